@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Attachment storage settings for the Dex Note Taking App.
+ *
+ * Files attached to notes (screenshots, PDFs and the like) are kept outside
+ * MongoDB, which only stores their metadata on the note. Where they go is
+ * chosen here: a directory on the server's disk, which needs no setup, or
+ * an S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, ...), which
+ * survives redeploys and is shared by every server instance.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import path from 'node:path';
+import { readPositiveNumber } from './env.js';
+
+/**
+ * Where attachments are stored: `"local"` or `"s3"`.
+ *
+ * Configured with `ATTACHMENT_STORAGE` (default: local). Local storage
+ * suits development and single-instance deployments with a persistent
+ * volume; on hosts whose disk is wiped on every deploy, use S3.
+ *
+ * @type {"local"|"s3"}
+ */
+export const ATTACHMENT_STORAGE =
+  process.env.ATTACHMENT_STORAGE === 's3' ? 's3' : 'local';
+
+/**
+ * Reads the directory local storage keeps attachments in.
+ *
+ * The default sits inside the app's own directory, which container hosts
+ * replace on every deploy, taking the files while their notes still list
+ * them. Production with local storage therefore refuses to start until
+ * `ATTACHMENT_DIR` names a directory on a persistent volume.
+ *
+ * @returns {string} Absolute directory path
+ * @throws {Error} If local storage has no `ATTACHMENT_DIR` in production
+ */
+const readAttachmentDir = () => {
+  const value = process.env.ATTACHMENT_DIR;
+  if (
+    !value &&
+    ATTACHMENT_STORAGE === 'local' &&
+    process.env.NODE_ENV === 'production'
+  ) {
+    throw new Error(
+      'ATTACHMENT_DIR (a persistent volume) or ATTACHMENT_STORAGE=s3 must be set in production'
+    );
+  }
+  return path.resolve(value || 'uploads');
+};
+
+/**
+ * Directory local storage keeps attachments in.
+ *
+ * Configured with `ATTACHMENT_DIR` (default: `uploads` in development),
+ * relative to the directory the server is started from.
+ *
+ * @type {string}
+ */
+export const ATTACHMENT_DIR = readAttachmentDir();
+
+/**
+ * Connection settings for S3 storage.
+ *
+ * - **bucket** (`ATTACHMENT_S3_BUCKET`): required with `ATTACHMENT_STORAGE=s3`
+ * - **region** (`ATTACHMENT_S3_REGION`, default `us-east-1`; R2 uses `auto`)
+ * - **endpoint** (`ATTACHMENT_S3_ENDPOINT`): for S3-compatible services;
+ *   left out for AWS itself
+ * - **forcePathStyle** (`ATTACHMENT_S3_FORCE_PATH_STYLE=true`): bucket in
+ *   the path instead of the host name, as MinIO expects
+ *
+ * Credentials come from `ATTACHMENT_S3_ACCESS_KEY_ID` and
+ * `ATTACHMENT_S3_SECRET_ACCESS_KEY`, or from the usual AWS sources (the
+ * `AWS_*` variables, an instance role) when those are unset.
+ *
+ * @type {{bucket: string|undefined, region: string, endpoint: string|undefined, forcePathStyle: boolean, accessKeyId: string|undefined, secretAccessKey: string|undefined}}
+ */
+export const ATTACHMENT_S3 = Object.freeze({
+  bucket: process.env.ATTACHMENT_S3_BUCKET,
+  region: process.env.ATTACHMENT_S3_REGION || 'us-east-1',
+  endpoint: process.env.ATTACHMENT_S3_ENDPOINT || undefined,
+  forcePathStyle: process.env.ATTACHMENT_S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId: process.env.ATTACHMENT_S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.ATTACHMENT_S3_SECRET_ACCESS_KEY,
+});
+
+/**
+ * Largest accepted attachment, in megabytes.
+ *
+ * Configured with `ATTACHMENT_MAX_FILE_MB` (default: 10). Uploads are held
+ * in memory until they are stored, so this also bounds how much memory one
+ * upload can take.
+ *
+ * @type {number}
+ */
+export const ATTACHMENT_MAX_FILE_MB = readPositiveNumber(
+  'ATTACHMENT_MAX_FILE_MB',
+  10
+);
+
+/**
+ * Most attachments a single note may have.
+ *
+ * Configured with `ATTACHMENT_MAX_PER_NOTE` (default: 20). Their metadata
+ * lives on the note document, so this keeps it small.
+ *
+ * @type {number}
+ */
+export const ATTACHMENT_MAX_PER_NOTE = readPositiveNumber(
+  'ATTACHMENT_MAX_PER_NOTE',
+  20
+);
+
+/**
+ * MIME types that may be attached.
+ *
+ * Configured with `ATTACHMENT_TYPES`, a comma-separated list (default:
+ * PNG, JPEG, GIF and WebP images, PDF and plain text). SVG and HTML are
+ * left out on purpose: both can carry scripts.
+ *
+ * @type {Array<string>}
+ */
+export const ATTACHMENT_TYPES = (
+  process.env.ATTACHMENT_TYPES ||
+  'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain'
+)
+  .split(',')
+  .map((type) => type.trim().toLowerCase())
+  .filter(Boolean);
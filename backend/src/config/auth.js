@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Authentication configuration for the Dex Note Taking App.
+ *
+ * Sessions use two JSON Web Tokens: a short-lived access token sent in the
+ * `Authorization` header of every API request, and a long-lived refresh
+ * token kept in an httpOnly cookie that can only be exchanged for a new
+ * access token. This module reads the signing secrets and lifetimes of both
+ * from the environment.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { readPositiveNumber } from './env.js';
+
+/**
+ * Reads a JWT signing secret from the environment.
+ *
+ * Unlike the tuning values in this module, a secret has no safe default:
+ * a hard-coded fallback would let anyone forge tokens. Production refuses
+ * to start without one, while development falls back to a fixed value so
+ * the app runs out of the box.
+ *
+ * @param {string} name - Environment variable name
+ * @returns {string} Signing secret
+ * @throws {Error} If the variable is missing in production
+ */
+const readSecret = (name) => {
+  const value = process.env[name];
+  if (value) return value;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  return `dev-only-${name.toLowerCase()}`;
+};
+
+/**
+ * Secret used to sign access tokens (`JWT_ACCESS_SECRET`).
+ *
+ * @type {string}
+ */
+export const JWT_ACCESS_SECRET = readSecret('JWT_ACCESS_SECRET');
+
+/**
+ * Secret used to sign refresh tokens (`JWT_REFRESH_SECRET`).
+ *
+ * Kept separate from the access secret so a refresh token can never be
+ * passed off as an access token, or the other way round.
+ *
+ * @type {string}
+ */
+export const JWT_REFRESH_SECRET = readSecret('JWT_REFRESH_SECRET');
+
+/**
+ * Access token lifetime in minutes (`ACCESS_TOKEN_TTL_MINUTES`, default: 15).
+ *
+ * Access tokens can't be revoked before they expire, so this is kept short;
+ * the frontend silently refreshes them when they run out.
+ *
+ * @type {number}
+ */
+export const ACCESS_TOKEN_TTL_MINUTES = readPositiveNumber(
+  'ACCESS_TOKEN_TTL_MINUTES',
+  15
+);
+
+/**
+ * Refresh token lifetime in days (`REFRESH_TOKEN_TTL_DAYS`, default: 30).
+ *
+ * This is how long a user stays signed in without using the app.
+ *
+ * @type {number}
+ */
+export const REFRESH_TOKEN_TTL_DAYS = readPositiveNumber(
+  'REFRESH_TOKEN_TTL_DAYS',
+  30
+);
+
+/**
+ * Name of the cookie holding the refresh token.
+ *
+ * @type {string}
+ */
+export const REFRESH_COOKIE_NAME = 'refreshToken';
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Environment helpers shared by the configuration modules of
+ * the Dex Note Taking App.
+ *
+ * Loads the `.env` file once, on first import, so every config module can
+ * read `process.env` at module load no matter which one is imported first,
+ * and provides the parsing the tuning settings have in common.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file
+// This must be called before accessing process.env variables
+dotenv.config();
+
+/**
+ * Reads a positive number from the environment, falling back to a default.
+ *
+ * Invalid values (non-numeric, zero or negative) fall back to the default
+ * rather than crashing startup, so a typo in a tuning setting can't take
+ * the server down or switch a feature off.
+ *
+ * @function readPositiveNumber
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number} Parsed positive number
+ *
+ * @example
+ * readPositiveNumber('TRASH_RETENTION_DAYS', 30);
+ * // Returns: 30 when TRASH_RETENTION_DAYS is unset, "abc" or "-1"
+ */
+export const readPositiveNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
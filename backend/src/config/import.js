@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Note import limits for the Dex Note Taking App.
+ *
+ * `POST /api/notes/import` accepts uploaded files and archives from other
+ * note tools. Uploads are held in memory while they are parsed, so these
+ * limits bound how much a single request can make the server hold and how
+ * many notes it can create at once.
+ *
+ * The defaults are sized for the 256 MB VM in `fly.toml`: the upload and
+ * what it unzips to are each capped at `IMPORT_MAX_TOTAL_MB`, so a request
+ * holds a few tens of megabytes at most, parsed text included.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { readPositiveNumber } from './env.js';
+
+/**
+ * Largest accepted upload, in megabytes, per file.
+ *
+ * Configured with `IMPORT_MAX_FILE_MB` (default: 5).
+ *
+ * @type {number}
+ */
+export const IMPORT_MAX_FILE_MB = readPositiveNumber('IMPORT_MAX_FILE_MB', 5);
+
+/**
+ * Most files accepted in one import request.
+ *
+ * Configured with `IMPORT_MAX_FILES` (default: 20).
+ *
+ * @type {number}
+ */
+export const IMPORT_MAX_FILES = readPositiveNumber('IMPORT_MAX_FILES', 20);
+
+/**
+ * Largest import request, in megabytes.
+ *
+ * Configured with `IMPORT_MAX_TOTAL_MB` (default: 10). It caps both the
+ * request body and the total uncompressed size of everything the request
+ * imports, ZIP contents included, so a small archive can't expand into
+ * something far larger in memory.
+ *
+ * @type {number}
+ */
+export const IMPORT_MAX_TOTAL_MB = readPositiveNumber(
+  'IMPORT_MAX_TOTAL_MB',
+  10
+);
+
+/**
+ * Most notes one import request may create, across all of its files.
+ *
+ * Configured with `IMPORT_MAX_NOTES` (default: 2000). Notes past the limit
+ * are reported as failed so the user knows to import them separately.
+ *
+ * @type {number}
+ */
+export const IMPORT_MAX_NOTES = readPositiveNumber('IMPORT_MAX_NOTES', 2000);
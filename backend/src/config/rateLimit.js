@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Rate limiting settings for the Dex Note Taking App.
+ *
+ * Requests are counted per client (the signed-in user, or the IP address
+ * for requests made before signing in) against named policies: reads,
+ * writes and authentication each get their own budget, so browsing can't
+ * use up the allowance for saving and vice versa.
+ *
+ * Counters live in a store chosen here: Upstash Redis, shared by every
+ * server instance, or an in-process memory store for local development,
+ * tests and single-instance deployments without Redis.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { readPositiveNumber } from './env.js';
+
+/**
+ * Where rate limit counters are kept: `"upstash"` or `"memory"`.
+ *
+ * Configured with `RATE_LIMIT_STORE`. When unset, Upstash is used if its
+ * credentials are present and the memory store otherwise, so the backend
+ * runs without any Redis setup. The memory store counts per process: with
+ * several instances, each one enforces the limits separately.
+ *
+ * @type {"upstash"|"memory"}
+ */
+export const RATE_LIMIT_STORE =
+  process.env.RATE_LIMIT_STORE === 'upstash' ||
+  process.env.RATE_LIMIT_STORE === 'memory'
+    ? process.env.RATE_LIMIT_STORE
+    : process.env.UPSTASH_REDIS_REST_URL
+      ? 'upstash'
+      : 'memory';
+
+/**
+ * Length of the sliding window every policy is counted over, in seconds.
+ *
+ * Configured with `RATE_LIMIT_WINDOW_SECONDS` (default: 60).
+ *
+ * @type {number}
+ */
+export const RATE_LIMIT_WINDOW_SECONDS = readPositiveNumber(
+  'RATE_LIMIT_WINDOW_SECONDS',
+  60
+);
+
+/**
+ * Requests allowed per window for each policy.
+ *
+ * - **read** (`RATE_LIMIT_READS`, default 300): listing, searching and
+ *   opening notes. Infinite scroll and search-as-you-type make several
+ *   requests a second while the user is active
+ * - **write** (`RATE_LIMIT_WRITES`, default 60): anything that changes
+ *   notes. Autosave fires at most about once a second while typing
+ * - **auth** (`RATE_LIMIT_AUTH`, default 20): sign-in, registration and
+ *   token refresh, counted per IP address to slow down password guessing
+ *
+ * @type {Object<string, {limit: number, windowSeconds: number}>}
+ */
+export const RATE_LIMIT_POLICIES = Object.freeze({
+  read: {
+    limit: readPositiveNumber('RATE_LIMIT_READS', 300),
+    windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+  },
+  write: {
+    limit: readPositiveNumber('RATE_LIMIT_WRITES', 60),
+    windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+  },
+  auth: {
+    limit: readPositiveNumber('RATE_LIMIT_AUTH', 20),
+    windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+  },
+});
+
+/**
+ * Number of reverse proxies in front of the server.
+ *
+ * Configured with `TRUST_PROXY_HOPS` (default: 0). Behind a load balancer
+ * every request arrives from the proxy's address, so clients would share
+ * one IP-based limit; setting this reads the client address from
+ * `X-Forwarded-For` instead. Since any client can send that header, it is
+ * only read for requests carrying `TRUST_PROXY_SECRET`, when one is set.
+ *
+ * The hosted deployment has two: the browser calls `/api` on Vercel, whose
+ * middleware forwards the request to Fly.io with the secret, and Fly's edge
+ * proxy passes it to the app. Vercel puts the client's address in
+ * `X-Forwarded-For` and Fly appends Vercel's, so `fly.toml` sets 2.
+ *
+ * @type {number}
+ */
+export const TRUST_PROXY_HOPS = readPositiveNumber('TRUST_PROXY_HOPS', 0);
+
+/**
+ * Secret the trusted proxy sends in `X-Proxy-Secret`.
+ *
+ * Configured with `TRUST_PROXY_SECRET` (default: none). The Fly.io origin
+ * is reachable directly, not only through Vercel, so without this check a
+ * script could send its own `X-Forwarded-For` to Fly and get a fresh rate
+ * limit with every request. Requests without the secret are treated as
+ * coming straight from the client. When unset, `TRUST_PROXY_HOPS` applies
+ * to every request, which is only safe when the proxy is the sole way in.
+ *
+ * @type {string|null}
+ */
+export const TRUST_PROXY_SECRET = process.env.TRUST_PROXY_SECRET || null;
+
+/**
+ * Header a platform's edge proxy sets to the address that connected to it.
+ *
+ * Configured with `CLIENT_IP_HEADER` (default: none, the socket address is
+ * used). Used for requests that didn't come through the trusted proxy. On
+ * Fly.io, `fly.toml` sets `Fly-Client-IP`, which Fly's edge overwrites, so
+ * clients can't forge it; elsewhere every client could, so leave it unset.
+ *
+ * @type {string|null}
+ */
+export const CLIENT_IP_HEADER = process.env.CLIENT_IP_HEADER || null;
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Delta sync configuration for the Dex Note Taking App.
+ *
+ * `GET /api/sync` tells clients about permanently deleted notes through
+ * tombstones, which are only kept for a limited time. A client that hasn't
+ * synced for longer than that could miss a deletion, so its sync token is
+ * refused and it starts over with a full sync.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { readPositiveNumber } from './env.js';
+
+/**
+ * Number of days tombstones of purged notes are kept, and therefore the
+ * longest a sync token stays usable.
+ *
+ * Configured with `SYNC_TOMBSTONE_RETENTION_DAYS` (default: 90). Longer
+ * retention lets devices stay offline longer without a full resync, at the
+ * cost of one small document per purged note.
+ *
+ * @type {number}
+ */
+export const SYNC_TOMBSTONE_RETENTION_DAYS = readPositiveNumber(
+  'SYNC_TOMBSTONE_RETENTION_DAYS',
+  90
+);
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Trash retention configuration for the Dex Note Taking App.
+ *
+ * Deleting a note moves it to the trash instead of removing it, and a
+ * background job permanently purges trashed notes once they are older than
+ * the retention period. This module reads both settings from the environment
+ * so deployments can tune them without code changes.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { readPositiveNumber } from './env.js';
+
+/**
+ * Number of days a note stays in the trash before it is purged for good.
+ *
+ * Configured with `TRASH_RETENTION_DAYS` (default: 30). The value is also
+ * returned by `GET /api/notes/trash` so the Trash page can tell users how
+ * long they have to restore a note.
+ *
+ * @type {number}
+ */
+export const TRASH_RETENTION_DAYS = readPositiveNumber(
+  'TRASH_RETENTION_DAYS',
+  30
+);
+
+/**
+ * How often, in minutes, the purge job checks for expired trash.
+ *
+ * Configured with `TRASH_PURGE_INTERVAL_MINUTES` (default: 60). Purging is
+ * not time-critical, so an hourly sweep keeps database load negligible.
+ *
+ * @type {number}
+ */
+export const TRASH_PURGE_INTERVAL_MINUTES = readPositiveNumber(
+  'TRASH_PURGE_INTERVAL_MINUTES',
+  60
+);
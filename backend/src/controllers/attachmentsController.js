@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Controller functions for note attachments in the Dex Note Taking App.
+ *
+ * Files are kept in the attachment store (local disk or S3, see
+ * `lib/attachments.js`) and their metadata in the note's `attachments`
+ * list, so a note loaded from the API already knows what is attached.
+ *
+ * Attaching or removing a file is not an edit of the note's text: it
+ * leaves `__v` alone, so an editor open on another device keeps saving
+ * without a conflict, but it does take a change sequence number and is
+ * published on the note event stream like any other change.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Note, { NOT_DELETED } from '../models/Note.js';
+import SyncCounter from '../models/SyncCounter.js';
+import { ATTACHMENT_MAX_PER_NOTE } from '../config/attachments.js';
+import {
+  attachmentFilename,
+  attachmentKey,
+  attachmentStore,
+  attachmentType,
+  removeAttachmentFiles,
+} from '../lib/attachments.js';
+import { publishNoteEvent } from '../lib/noteEvents.js';
+import { ApiError, notFound } from '../lib/errors.js';
+
+/**
+ * Attaches an uploaded file to a note.
+ *
+ * The file is stored first and listed on the note second; if the note is
+ * gone or full by then, the stored file is removed again.
+ *
+ * **Error Handling:**
+ * - Returns 400 `INVALID_UPLOAD` if the request has no file
+ * - Returns 404 if the note doesn't exist or is in the trash
+ * - Returns 409 `TOO_MANY_ATTACHMENTS` if the note already has
+ *   `ATTACHMENT_MAX_PER_NOTE` attachments
+ * - Returns 415 `UNSUPPORTED_MEDIA_TYPE` for a type that isn't allowed, or
+ *   content that doesn't match its type
+ * - Passes database and storage errors to the error handler (500)
+ *
+ * @async
+ * @function uploadAttachment
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {Object} req.file - Uploaded file from multer (`file` field)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends the new attachment's metadata (201) or error
+ *
+ * @example
+ * // Called by POST /api/notes/:id/attachments with multipart field "file"
+ * // Returns: { _id: "...", filename: "screenshot.png", mimeType: "image/png", size: 48213, createdAt: "..." }
+ *
+ * @see {@link ../middleware/attachmentUpload.js} Middleware that reads the upload
+ * @see {@link ../../frontend/src/components/AttachmentList.jsx} Frontend usage
+ */
+export async function uploadAttachment(req, res, next) {
+  try {
+    if (!req.file) {
+      throw new ApiError(
+        400,
+        'INVALID_UPLOAD',
+        'Upload a file in the "file" field'
+      );
+    }
+    const filter = { _id: req.params.id, owner: req.user.id, ...NOT_DELETED };
+
+    const note = await Note.findOne(filter).select('attachments._id');
+    if (!note) throw notFound('Note not found');
+    if (note.attachments.length >= ATTACHMENT_MAX_PER_NOTE) {
+      throw new ApiError(
+        409,
+        'TOO_MANY_ATTACHMENTS',
+        `A note can have at most ${ATTACHMENT_MAX_PER_NOTE} attachments`
+      );
+    }
+
+    const attachment = {
+      _id: new mongoose.Types.ObjectId(),
+      filename: attachmentFilename(req.file.originalname),
+      mimeType: attachmentType(req.file),
+      size: req.file.size,
+    };
+    const key = attachmentKey(req.user.id, req.params.id, attachment._id);
+    await attachmentStore.put(key, req.file.buffer, attachment.mimeType);
+
+    // The count is checked again here, in case uploads ran side by side
+    const updatedNote = await SyncCounter.withNext(req.user.id, (syncSeq) =>
+      Note.findOneAndUpdate(
+        {
+          ...filter,
+          [`attachments.${ATTACHMENT_MAX_PER_NOTE - 1}`]: { $exists: false },
+        },
+        { $push: { attachments: attachment }, syncSeq },
+        { new: true }
+      )
+    );
+    if (!updatedNote) {
+      await removeAttachmentFiles([key]);
+      throw new ApiError(
+        409,
+        'TOO_MANY_ATTACHMENTS',
+        `A note can have at most ${ATTACHMENT_MAX_PER_NOTE} attachments`
+      );
+    }
+    publishNoteEvent(req.user.id, 'updated', { note: updatedNote });
+
+    res.status(201).json(updatedNote.attachments.id(attachment._id));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Sends an attachment's content, in full or the byte range asked for.
+ *
+ * **Range requests:**
+ * - `Range: bytes=start-end` (or `start-`, or `-suffix`) answers 206 with
+ *   just those bytes and a `Content-Range` header, so large PDFs can be
+ *   viewed and interrupted downloads resumed
+ * - Several ranges in one request are merged into one, or served in full
+ *   when that isn't possible
+ * - A range past the end of the file answers 416
+ *
+ * The file is always sent as a download (`Content-Disposition: attachment`)
+ * with sniffing turned off, so an uploaded file can never be rendered as a
+ * page on the API's origin. The frontend shows images from a blob instead.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note or the attachment doesn't exist
+ * - Returns 416 `RANGE_NOT_SATISFIABLE` for a range outside the file
+ * - Passes database and storage errors to the error handler (500)
+ *
+ * @async
+ * @function downloadAttachment
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {string} req.params.attachmentId - MongoDB ObjectId of the attachment
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Streams the file (200 or 206) or sends an error
+ *
+ * @example
+ * // Called by GET /api/notes/:id/attachments/:attachmentId with "Range: bytes=0-1023"
+ * // Returns 206 with Content-Range: bytes 0-1023/48213 and the first 1 KB
+ *
+ * @see {@link ../../frontend/src/lib/attachments.js} Frontend usage
+ */
+export async function downloadAttachment(req, res, next) {
+  try {
+    const note = await Note.findOne({
+      _id: req.params.id,
+      owner: req.user.id,
+      ...NOT_DELETED,
+    }).select('attachments');
+    const attachment = note?.attachments.id(req.params.attachmentId);
+    if (!attachment) throw notFound('Attachment not found');
+
+    const { size } = attachment;
+    const ranges = req.headers.range
+      ? req.range(size, { combine: true })
+      : undefined;
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      throw new ApiError(
+        416,
+        'RANGE_NOT_SATISFIABLE',
+        'The requested range is outside the file'
+      );
+    }
+    // A malformed header (-2) or several separate ranges get the whole file
+    const range =
+      Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1
+        ? ranges[0]
+        : undefined;
+
+    const stream = await attachmentStore.get(
+      attachmentKey(req.user.id, note._id, attachment._id),
+      range
+    );
+
+    // res.attachment guesses a type from the name; the stored one wins
+    res.attachment(attachment.filename);
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': attachment.mimeType,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-cache',
+    });
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(size));
+    }
+
+    stream.on('error', next);
+    // Stop reading (or downloading from S3) when the client goes away
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Removes an attachment from a note and deletes its file.
+ *
+ * The note stops listing the attachment first; a file that then fails to
+ * delete is recorded and deleted again by the trash purge job, since the
+ * attachment itself is already gone.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note or the attachment doesn't exist
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function deleteAttachment
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {string} req.params.attachmentId - MongoDB ObjectId of the attachment
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends a success message or error
+ *
+ * @example
+ * // Called by DELETE /api/notes/:id/attachments/:attachmentId
+ * // Returns: { message: "Attachment deleted" }
+ *
+ * @see {@link ../../frontend/src/components/AttachmentList.jsx} Frontend usage
+ */
+export async function deleteAttachment(req, res, next) {
+  try {
+    const { id, attachmentId } = req.params;
+
+    const note = await SyncCounter.withNext(req.user.id, (syncSeq) =>
+      Note.findOneAndUpdate(
+        {
+          _id: id,
+          owner: req.user.id,
+          'attachments._id': attachmentId,
+          ...NOT_DELETED,
+        },
+        { $pull: { attachments: { _id: attachmentId } }, syncSeq },
+        { new: true }
+      )
+    );
+    if (!note) throw notFound('Attachment not found');
+    publishNoteEvent(req.user.id, 'updated', { note });
+
+    await removeAttachmentFiles([attachmentKey(req.user.id, id, attachmentId)]);
+
+    res.status(200).json({ message: 'Attachment deleted' });
+  } catch (error) {
+    next(error);
+  }
+}
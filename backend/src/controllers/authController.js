@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Controller functions for authentication in the Dex Note Taking App.
+ *
+ * This module handles account registration, login, logout and token refresh.
+ * A successful login or registration opens a server-side session and returns
+ * a short-lived access token in the response body, while the matching
+ * refresh token is set as an httpOnly cookie that JavaScript can't read.
+ *
+ * **Token Flow:**
+ * 1. `register`/`login` → `{ user, accessToken }` + refresh cookie
+ * 2. The frontend sends the access token as `Authorization: Bearer <token>`
+ * 3. When it expires, `refresh` exchanges the cookie for a new access token
+ *    and rotates the refresh token
+ * 4. `logout` deletes the session and clears the cookie
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import User, { MIN_PASSWORD_LENGTH } from '../models/User.js';
+import Session from '../models/Session.js';
+import { REFRESH_COOKIE_NAME, REFRESH_TOKEN_TTL_DAYS } from '../config/auth.js';
+import {
+  generateTokenId,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+} from '../lib/tokens.js';
+import { ApiError } from '../lib/errors.js';
+
+/**
+ * Loose email shape check; deliverability is not our concern here.
+ *
+ * @type {RegExp}
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Number of milliseconds in a day, used for session expiry.
+ *
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long, in milliseconds, a just-rotated refresh token is still accepted.
+ *
+ * Several tabs share one cookie. When two of them refresh at the same time,
+ * the slower one presents the token the faster one has just replaced; within
+ * this window that is treated as a race rather than as token theft.
+ *
+ * @type {number}
+ */
+const ROTATION_GRACE_MS = 10 * 1000;
+
+/**
+ * Options for the refresh token cookie.
+ *
+ * - `httpOnly`: Not readable from JavaScript, so XSS can't steal it
+ * - `sameSite: 'strict'`: Never sent on cross-site requests
+ * - `secure`: HTTPS-only in production
+ * - `path`: Only sent to the auth routes, not to every API call
+ *
+ * @type {Object}
+ */
+const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'strict',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth',
+};
+
+/**
+ * Computes the expiry date of a session that starts or is refreshed now.
+ *
+ * @returns {Date} Expiry date `REFRESH_TOKEN_TTL_DAYS` from now
+ */
+const sessionExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+/**
+ * Sets the refresh cookie and sends the user with a fresh access token.
+ *
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @param {number} status - HTTP status code
+ * @param {Object} user - User document
+ * @param {Object} session - Session document backing the refresh token
+ * @returns {void}
+ */
+const sendSession = (res, status, user, session) => {
+  res.cookie(REFRESH_COOKIE_NAME, signRefreshToken(session), {
+    ...REFRESH_COOKIE_OPTIONS,
+    expires: session.expiresAt,
+  });
+  res.status(status).json({ user, accessToken: signAccessToken(user._id) });
+};
+
+/**
+ * Reads and validates the `email`/`password` pair from a request body.
+ *
+ * @param {Object} body - Request body
+ * @returns {{email: string, password: string}} Normalized credentials
+ */
+const readCredentials = (body = {}) => ({
+  email: typeof body.email === 'string' ? body.email.trim().toLowerCase() : '',
+  password: typeof body.password === 'string' ? body.password : '',
+});
+
+/**
+ * Creates the 400 error for a single invalid credential field.
+ *
+ * @param {string} field - "email" or "password"
+ * @param {string} message - Message shown next to the field
+ * @returns {ApiError} The error
+ */
+const fieldError = (field, message) =>
+  new ApiError(400, 'VALIDATION_ERROR', message, [
+    { location: 'body', field, message },
+  ]);
+
+/**
+ * Creates the 409 error for a registration with a known email.
+ *
+ * @returns {ApiError} The error
+ */
+const emailTaken = () =>
+  new ApiError(409, 'EMAIL_TAKEN', 'Email is already registered');
+
+/**
+ * Creates the 401 error for a refresh cookie that no longer works.
+ *
+ * @returns {ApiError} The error
+ */
+const sessionExpired = () =>
+  new ApiError(401, 'SESSION_EXPIRED', 'Session expired');
+
+/**
+ * Creates a new account and signs the user in.
+ *
+ * **Error Handling:**
+ * - Returns 400 `VALIDATION_ERROR` for a malformed email or a password
+ *   shorter than `MIN_PASSWORD_LENGTH`
+ * - Returns 409 `EMAIL_TAKEN` if the email is already registered
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function register
+ * @param {Object} req - Express request object
+ * @param {string} req.body.email - Email address
+ * @param {string} req.body.password - Plain-text password
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends `{ user, accessToken }` with status 201
+ *
+ * @see {@link ../routes/authRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/pages/RegisterPage.jsx} Frontend registration form
+ */
+export async function register(req, res, next) {
+  try {
+    const { email, password } = readCredentials(req.body);
+
+    if (!EMAIL_PATTERN.test(email))
+      throw fieldError('email', 'Please enter a valid email');
+    if (password.length < MIN_PASSWORD_LENGTH)
+      throw fieldError(
+        'password',
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      );
+
+    if (await User.exists({ email })) throw emailTaken();
+
+    const user = await User.create({
+      email,
+      passwordHash: await User.hashPassword(password),
+    });
+    const session = await Session.create({
+      user: user._id,
+      tokenId: generateTokenId(),
+      expiresAt: sessionExpiry(),
+    });
+
+    sendSession(res, 201, user, session);
+  } catch (error) {
+    // Lost a race with another registration for the same email
+    next(error.code === 11000 ? emailTaken() : error);
+  }
+}
+
+/**
+ * Signs a user in with email and password.
+ *
+ * Unknown emails and wrong passwords get the same 401 message so the
+ * endpoint can't be used to find out which emails have accounts.
+ *
+ * **Error Handling:**
+ * - Returns 401 `INVALID_CREDENTIALS` for invalid credentials
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function login
+ * @param {Object} req - Express request object
+ * @param {string} req.body.email - Email address
+ * @param {string} req.body.password - Plain-text password
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends `{ user, accessToken }` with status 200
+ *
+ * @see {@link ../routes/authRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/pages/LoginPage.jsx} Frontend login form
+ */
+export async function login(req, res, next) {
+  try {
+    const { email, password } = readCredentials(req.body);
+    const user = email
+      ? await User.findOne({ email }).select('+passwordHash')
+      : null;
+
+    if (!user || !(await user.verifyPassword(password)))
+      throw new ApiError(
+        401,
+        'INVALID_CREDENTIALS',
+        'Invalid email or password'
+      );
+
+    const session = await Session.create({
+      user: user._id,
+      tokenId: generateTokenId(),
+      expiresAt: sessionExpiry(),
+    });
+
+    sendSession(res, 200, user, session);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Exchanges the refresh cookie for a new access token.
+ *
+ * The refresh token is rotated on every call: the session gets a new token
+ * ID and a new cookie is set. If a token with an outdated ID is presented,
+ * it has already been used once, which means it was copied; the whole
+ * session is deleted so neither copy works any more. The only exception is
+ * the token replaced within the last `ROTATION_GRACE_MS`, which covers two
+ * tabs refreshing at once. The rotation is a conditional update on the
+ * presented token ID, so of two such tabs only one rotates and both end up
+ * with the same new token.
+ *
+ * **Error Handling:**
+ * - Returns 401 `SESSION_EXPIRED` if the cookie is missing, invalid, reused or its session has ended
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function refresh
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends `{ user, accessToken }` with status 200
+ *
+ * @see {@link ../routes/authRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/lib/axios.js} Frontend silent refresh
+ */
+export async function refresh(req, res, next) {
+  try {
+    const claims = verifyRefreshToken(req.cookies?.[REFRESH_COOKIE_NAME]);
+    let session = claims ? await Session.findById(claims.sessionId) : null;
+
+    // Rotates only if the token is still current at write time. Of two
+    // tabs refreshing at once, one rotates; the other finds its token just
+    // replaced and is handed the new one by the grace check below
+    if (session && session.tokenId === claims.tokenId) {
+      session =
+        (await Session.findOneAndUpdate(
+          { _id: session._id, tokenId: claims.tokenId },
+          {
+            $set: {
+              previousTokenId: claims.tokenId,
+              tokenId: generateTokenId(),
+              rotatedAt: new Date(),
+              expiresAt: sessionExpiry(),
+            },
+          },
+          { new: true }
+        )) ?? (await Session.findById(session._id));
+    }
+
+    if (
+      !session ||
+      session.previousTokenId !== claims.tokenId ||
+      Date.now() - session.rotatedAt.getTime() >= ROTATION_GRACE_MS
+    ) {
+      if (session) await session.deleteOne();
+      res.clearCookie(REFRESH_COOKIE_NAME, REFRESH_COOKIE_OPTIONS);
+      throw sessionExpired();
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      await session.deleteOne();
+      res.clearCookie(REFRESH_COOKIE_NAME, REFRESH_COOKIE_OPTIONS);
+      throw sessionExpired();
+    }
+
+    sendSession(res, 200, user, session);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Signs the user out by ending the session behind the refresh cookie.
+ *
+ * Always succeeds, even without a valid cookie, so the frontend can treat
+ * logout as fire-and-forget.
+ *
+ * @async
+ * @function logout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends a confirmation message with status 200
+ *
+ * @see {@link ../routes/authRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/Navbar.jsx} Frontend logout button
+ */
+export async function logout(req, res, next) {
+  try {
+    const claims = verifyRefreshToken(req.cookies?.[REFRESH_COOKIE_NAME]);
+    if (claims) await Session.deleteOne({ _id: claims.sessionId });
+
+    res.clearCookie(REFRESH_COOKIE_NAME, REFRESH_COOKIE_OPTIONS);
+    res.status(200).json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Controller for bulk note operations in the Dex Note Taking App.
+ *
+ * Lets the HomePage selection mode act on many notes with one request:
+ * move them to the trash, archive or unarchive them, add or remove tags, or
+ * file them in a notebook. All changes of a request are made in a single
+ * MongoDB transaction, so a failure part-way leaves every note as it was.
+ *
+ * Transactions need a replica set; MongoDB Atlas clusters are one, and a
+ * local server can be started as a single-node replica set.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Note, {
+  MAX_TAGS_PER_NOTE,
+  NOT_DELETED,
+  normalizeTags,
+} from '../models/Note.js';
+import Notebook from '../models/Notebook.js';
+import SyncCounter from '../models/SyncCounter.js';
+import { notFound } from '../lib/errors.js';
+import { publishNoteEvent, publishNotesUpdated } from '../lib/noteEvents.js';
+
+/**
+ * Works out what a bulk action changes on one note.
+ *
+ * Returns the fields to set, `null` when the note already is the way the
+ * action would leave it, or `{ error }` when the action can't be applied to
+ * this note.
+ *
+ * @function planChange
+ * @param {Object} note - Current note (lean)
+ * @param {Object} body - Validated request body
+ * @param {Date} now - Timestamp used for deletions
+ * @returns {Object|null} Fields to set, null, or `{ error }`
+ */
+function planChange(note, body, now) {
+  switch (body.action) {
+    case 'delete':
+      return { deletedAt: now };
+
+    case 'archive':
+      return note.archived ? null : { archived: true, pinned: false };
+
+    case 'unarchive':
+      return note.archived ? { archived: false } : null;
+
+    case 'move':
+      return String(note.notebookId) === String(body.notebookId)
+        ? null
+        : { notebookId: body.notebookId };
+
+    case 'tag': {
+      const added = normalizeTags(body.tags).filter(
+        (tag) => !note.tags.includes(tag)
+      );
+      if (added.length === 0) return null;
+      if (note.tags.length + added.length > MAX_TAGS_PER_NOTE) {
+        return { error: `A note can have at most ${MAX_TAGS_PER_NOTE} tags` };
+      }
+      return { tags: [...note.tags, ...added] };
+    }
+
+    case 'untag': {
+      const removed = new Set(normalizeTags(body.tags));
+      const tags = note.tags.filter((tag) => !removed.has(tag));
+      return tags.length === note.tags.length ? null : { tags };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Applies one action to a list of notes and reports the outcome per note.
+ *
+ * **Actions:**
+ * - `delete`: Moves the notes to the trash
+ * - `archive` / `unarchive`: Hides notes from, or brings them back to, the
+ *   main listing (archiving also unpins)
+ * - `tag` / `untag`: Adds or removes `tags` on every note
+ * - `move`: Files the notes in `notebookId` (null for unfiled)
+ *
+ * **Per-note results:**
+ * - `updated` with the `changes` that were applied, so the client can patch
+ *   its copies without refetching
+ * - `unchanged` when the note already was the way the action leaves it
+ * - `not_found` for IDs that don't match a live note of the user
+ * - `failed` with an `error` when the action can't apply to that note (for
+ *   example, tagging would exceed the per-note tag limit)
+ *
+ * **Why one transaction?**
+ * - **All or nothing**: A database error part-way through rolls back every
+ *   change, so the user never has to work out which half of a selection
+ *   was processed
+ * - **Consistent reads**: Each note's change is planned from the same
+ *   snapshot it is written to; a concurrent write makes the transaction
+ *   retry instead of being overwritten
+ *
+ * Tag changes are edits, so they bump `__v` (the note's ETag) and
+ * `updatedAt`. Trashing, archiving and moving are organisational and leave
+ * both alone, like their single-note endpoints.
+ *
+ * **Error Handling:**
+ * - Invalid bodies are rejected with 400 by the `bulkBody` schema
+ * - Returns 404 if `move` names a notebook the user doesn't have
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function bulkUpdateNotes
+ * @param {Object} req - Express request object
+ * @param {string} req.body.action - "delete", "archive", "unarchive", "tag", "untag" or "move"
+ * @param {Array<string>} req.body.ids - Notes to act on
+ * @param {Array<string>} [req.body.tags] - Tags for "tag" and "untag"
+ * @param {string|null} [req.body.notebookId] - Target notebook for "move"
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON report or error
+ *
+ * @example
+ * // Called by POST /api/notes/bulk with { action: "tag", ids: ["a…", "b…"], tags: ["Work"] }
+ * // Returns: {
+ * //   summary: { updated: 1, unchanged: 1, not_found: 0, failed: 0 },
+ * //   results: [
+ * //     { id: "a…", status: "updated", changes: { tags: ["ideas", "work"] } },
+ * //     { id: "b…", status: "unchanged" }
+ * //   ]
+ * // }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/BulkActionBar.jsx} Frontend action bar
+ */
+export async function bulkUpdateNotes(req, res, next) {
+  try {
+    const owner = req.user.id;
+    const ids = [...new Set(req.body.ids.map((id) => id.toLowerCase()))];
+
+    if (req.body.action === 'move' && req.body.notebookId !== null) {
+      const exists = await Notebook.exists({
+        _id: req.body.notebookId,
+        owner,
+      });
+      if (!exists) throw notFound('Notebook not found');
+    }
+
+    let results = [];
+    // One change number for every note the action touches
+    await SyncCounter.withNext(owner, (syncSeq) =>
+      mongoose.connection.transaction(async (session) => {
+        // The callback may run again if the transaction is retried
+        results = [];
+        const now = new Date();
+
+        const notes = await Note.find(
+          { _id: { $in: ids }, owner, ...NOT_DELETED },
+          { tags: 1, archived: 1, notebookId: 1 }
+        )
+          .session(session)
+          .lean();
+        // Notes saved before tags existed have no `tags` field at all
+        const notesById = new Map(
+          notes.map((note) => [String(note._id), { tags: [], ...note }])
+        );
+
+        const operations = [];
+        for (const id of ids) {
+          const note = notesById.get(id);
+          if (!note) {
+            results.push({ id, status: 'not_found' });
+            continue;
+          }
+
+          const changes = planChange(note, req.body, now);
+          if (!changes) {
+            results.push({ id, status: 'unchanged' });
+          } else if (changes.error) {
+            results.push({ id, status: 'failed', error: changes.error });
+          } else {
+            const isEdit = 'tags' in changes;
+            operations.push({
+              updateOne: {
+                filter: { _id: note._id, owner, ...NOT_DELETED },
+                update: isEdit
+                  ? { ...changes, syncSeq, $inc: { __v: 1 } }
+                  : { ...changes, syncSeq },
+                timestamps: isEdit,
+              },
+            });
+            results.push({ id, status: 'updated', changes });
+          }
+        }
+
+        if (operations.length > 0) {
+          await Note.bulkWrite(operations, { session, ordered: true });
+        }
+      })
+    );
+
+    const summary = { updated: 0, unchanged: 0, not_found: 0, failed: 0 };
+    for (const result of results) summary[result.status]++;
+
+    // Published only once the transaction has committed
+    const updatedIds = results
+      .filter((result) => result.status === 'updated')
+      .map((result) => result.id);
+    if (req.body.action === 'delete') {
+      for (const id of updatedIds) publishNoteEvent(owner, 'deleted', { id });
+    } else {
+      await publishNotesUpdated(owner, updatedIds);
+    }
+
+    res.status(200).json({ summary, results });
+  } catch (error) {
+    next(error);
+  }
+}
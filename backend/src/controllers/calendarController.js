@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Controller functions for the calendar feed in the Dex Note Taking App.
+ *
+ * Every user can turn on a private iCalendar feed of their reminders and due
+ * dates. The signed-in user manages it through `/api/calendar/feed`; calendar
+ * apps then fetch `GET /api/calendar.ics?token=...` on their own schedule,
+ * without an access token, so the token in the URL is the only credential.
+ * Regenerating the token breaks every existing subscription, and turning the
+ * feed off removes it.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import Note, { NOT_ARCHIVED, NOT_DELETED } from '../models/Note.js';
+import User from '../models/User.js';
+import { renderCalendar } from '../lib/ics.js';
+import { generateCalendarToken } from '../lib/tokens.js';
+import { notFound } from '../lib/errors.js';
+
+/**
+ * Serves a user's reminders and due dates as an iCalendar feed.
+ *
+ * Lists the same notes as the Upcoming view, plus reminders that have
+ * already fired, so they stay in the calendar's history. Notes in the trash
+ * or the archive are left out.
+ *
+ * **Error Handling:**
+ * - Returns 404 if no user has this token, e.g. after it was regenerated or
+ *   the feed was turned off
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function getCalendarFeed
+ * @param {Object} req - Express request object
+ * @param {string} req.query.token - Token from the feed URL
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends the `text/calendar` document or error
+ *
+ * @example
+ * // Called by GET /api/calendar.ics?token=Yp3...
+ * // Returns: "BEGIN:VCALENDAR\r\nVERSION:2.0\r\n…\r\nEND:VCALENDAR\r\n"
+ *
+ * @see {@link ../routes/calendarFeedRoutes.js} Route that calls this function
+ */
+export async function getCalendarFeed(req, res, next) {
+  try {
+    const user = await User.exists({ calendarToken: req.query.token });
+    if (!user) throw notFound('Calendar feed not found');
+
+    const notes = await Note.find({
+      owner: user._id,
+      ...NOT_DELETED,
+      ...NOT_ARCHIVED,
+      $or: [{ remindAt: { $ne: null } }, { dueAt: { $ne: null } }],
+    })
+      .sort({ _id: 1 })
+      .select('title content type items tags remindAt dueAt');
+
+    // Turning the feed off must take effect at once, so no copy may be kept
+    res.set('Cache-Control', 'no-store');
+    res.set('Content-Disposition', 'inline; filename="dex-notes.ics"');
+    res.type('text/calendar; charset=utf-8');
+    res.status(200).send(renderCalendar(notes));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Returns the token of the signed-in user's calendar feed.
+ *
+ * @async
+ * @function getCalendarFeedSettings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends `{ token }`, null while the feed is off
+ *
+ * @example
+ * // Called by GET /api/calendar/feed
+ * // Returns: { token: "Yp3..." }
+ *
+ * @see {@link ../routes/calendarRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/CalendarFeedDialog.jsx} Frontend usage
+ */
+export async function getCalendarFeedSettings(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+    if (!user) throw notFound('User not found');
+
+    res.status(200).json({ token: user.calendarToken ?? null });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Turns on the signed-in user's calendar feed, or gives it a new token if
+ * it is already on. The old URL stops working immediately.
+ *
+ * @async
+ * @function createCalendarFeed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends `{ token }` (201) or error
+ *
+ * @example
+ * // Called by POST /api/calendar/feed
+ * // Returns: { token: "Qm8..." }
+ *
+ * @see {@link ../routes/calendarRoutes.js} Route that calls this function
+ */
+export async function createCalendarFeed(req, res, next) {
+  try {
+    const token = generateCalendarToken();
+    const user = await User.findByIdAndUpdate(req.user.id, {
+      calendarToken: token,
+    });
+    if (!user) throw notFound('User not found');
+
+    res.status(201).json({ token });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Turns off the signed-in user's calendar feed. Calendar apps subscribed to
+ * it get 404 from then on.
+ *
+ * @async
+ * @function deleteCalendarFeed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends a confirmation message or error
+ *
+ * @example
+ * // Called by DELETE /api/calendar/feed
+ * // Returns: { message: "Calendar feed turned off" }
+ *
+ * @see {@link ../routes/calendarRoutes.js} Route that calls this function
+ */
+export async function deleteCalendarFeed(req, res, next) {
+  try {
+    const user = await User.findByIdAndUpdate(req.user.id, {
+      $unset: { calendarToken: 1 },
+    });
+    if (!user) throw notFound('User not found');
+
+    res.status(200).json({ message: 'Calendar feed turned off' });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Controller functions for checklist items in the Dex Note Taking App.
+ *
+ * A checklist note's items are changed one at a time: add, tick off or
+ * rename, reorder, remove. Each request reads the list, applies its change
+ * and writes the list back only if nobody else wrote in between, retrying
+ * on the fresh copy when someone did. Two devices working through the same
+ * shopping list therefore never undo each other's ticks, and unlike
+ * `PUT /api/notes/:id` there is no `If-Match` to send.
+ *
+ * Every change is an edit: it bumps the note's version (`__v`), which the
+ * response carries as its `ETag`, and is published on the note event
+ * stream. Items are not part of the revision history.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import Note, { MAX_CHECKLIST_ITEMS, NOT_DELETED } from '../models/Note.js';
+import SyncCounter from '../models/SyncCounter.js';
+import { numberItems } from '../lib/checklist.js';
+import { setNoteETag } from '../lib/etag.js';
+import { publishNoteEvent } from '../lib/noteEvents.js';
+import { ApiError, badRequest, notFound } from '../lib/errors.js';
+
+/**
+ * How many times a change is retried when other writes keep landing
+ * between its read and its write.
+ *
+ * @type {number}
+ */
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Applies a change to a checklist's items and saves it.
+ *
+ * **Concurrency:**
+ * - The write is conditional on the version that was read, like
+ *   `PUT /api/notes/:id`
+ * - When another write got there first, the change is applied again to the
+ *   fresh list, up to `MAX_WRITE_ATTEMPTS` times, then given up with 409
+ *
+ * @async
+ * @function changeChecklist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} change - Receives the items as plain objects in order,
+ *   returns the new list in order; may throw an `ApiError`
+ * @param {number} [status=200] - Status to answer with
+ * @returns {Promise<void>} Sends JSON response with the updated note
+ * @throws {ApiError} 404 if the note doesn't exist or is in the trash, 409
+ *   `NOT_A_CHECKLIST` for a text note, 409 `VERSION_CONFLICT` when the
+ *   retries run out
+ */
+async function changeChecklist(req, res, change, status = 200) {
+  const filter = { _id: req.params.id, owner: req.user.id, ...NOT_DELETED };
+
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt += 1) {
+    const currentNote = await Note.findOne(filter);
+    if (!currentNote) throw notFound('Note not found');
+    if (currentNote.type !== 'checklist') {
+      throw new ApiError(
+        409,
+        'NOT_A_CHECKLIST',
+        'This note is not a checklist'
+      );
+    }
+
+    const items = change(
+      currentNote.items
+        .map((item) => item.toObject())
+        .sort((a, b) => a.order - b.order)
+    );
+
+    const note = await SyncCounter.withNext(req.user.id, (syncSeq) =>
+      Note.findOneAndUpdate(
+        { ...filter, __v: currentNote.__v },
+        { items: numberItems(items), syncSeq, $inc: { __v: 1 } },
+        { new: true }
+      )
+    );
+    if (note) {
+      publishNoteEvent(req.user.id, 'updated', { note });
+      setNoteETag(res, note);
+      res.status(status).json(note);
+      return;
+    }
+  }
+
+  throw new ApiError(
+    409,
+    'VERSION_CONFLICT',
+    'The checklist is changing too quickly. Try again'
+  );
+}
+
+/**
+ * Finds an item of a checklist.
+ *
+ * @function findItem
+ * @param {Array<Object>} items - The checklist's items
+ * @param {string} itemId - ID of the item
+ * @returns {number} The item's index
+ * @throws {ApiError} 404 if the checklist has no such item
+ */
+function findItem(items, itemId) {
+  const index = items.findIndex((item) => item._id.equals(itemId));
+  if (index === -1) throw notFound('Checklist item not found');
+  return index;
+}
+
+/**
+ * Adds an item to a checklist.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note doesn't exist or is in the trash
+ * - Returns 409 `NOT_A_CHECKLIST` if the note is a text note
+ * - Returns 400 if the checklist already has `MAX_CHECKLIST_ITEMS` items
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function addChecklistItem
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {string} req.body.text - Text of the item
+ * @param {boolean} [req.body.done=false] - Whether it is already ticked off
+ * @param {number} [req.body.position] - Index to insert it at; the end when
+ *   left out or past the end
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the updated note (201) or error
+ *
+ * @example
+ * // Called by POST /api/notes/:id/items with { text: "Eggs", position: 0 }
+ * // Returns (ETag: "8"): { _id: "...", type: "checklist", items: [{ _id: "...", text: "Eggs", done: false, order: 0 }, ...], ... }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/ChecklistEditor.jsx} Frontend usage
+ */
+export async function addChecklistItem(req, res, next) {
+  try {
+    const { text, done = false, position } = req.body;
+    await changeChecklist(
+      req,
+      res,
+      (items) => {
+        if (items.length >= MAX_CHECKLIST_ITEMS) {
+          throw badRequest(
+            `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`
+          );
+        }
+        const list = [...items];
+        list.splice(position ?? items.length, 0, { text, done });
+        return list;
+      },
+      201
+    );
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Ticks a checklist item off (or back on) and/or changes its text.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note or the item doesn't exist
+ * - Returns 409 `NOT_A_CHECKLIST` if the note is a text note
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function updateChecklistItem
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {string} req.params.itemId - MongoDB ObjectId of the item
+ * @param {string} [req.body.text] - New text
+ * @param {boolean} [req.body.done] - New ticked-off state
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the updated note or error
+ *
+ * @example
+ * // Called by PATCH /api/notes/:id/items/:itemId with { done: true }
+ * // Returns (ETag: "9"): { _id: "...", items: [{ _id: "...", text: "Eggs", done: true, order: 0 }, ...], ... }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ */
+export async function updateChecklistItem(req, res, next) {
+  try {
+    const { text, done } = req.body;
+    await changeChecklist(req, res, (items) => {
+      const index = findItem(items, req.params.itemId);
+      const list = [...items];
+      list[index] = {
+        ...items[index],
+        ...(text !== undefined && { text }),
+        ...(done !== undefined && { done }),
+      };
+      return list;
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Puts a checklist's items in a new order.
+ *
+ * The request lists every item ID once. An item added or removed elsewhere
+ * since the client loaded the list makes the request incomplete, and it is
+ * refused rather than guessing where the other items belong.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note doesn't exist or is in the trash
+ * - Returns 409 `NOT_A_CHECKLIST` if the note is a text note
+ * - Returns 400 if `itemIds` doesn't list each item exactly once
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function reorderChecklistItems
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {Array<string>} req.body.itemIds - Every item ID, in the new order
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the updated note or error
+ *
+ * @example
+ * // Called by PUT /api/notes/:id/items/order with { itemIds: ["66a1...", "66a0..."] }
+ * // Returns (ETag: "10"): { _id: "...", items: [{ _id: "66a1...", order: 0, ... }, { _id: "66a0...", order: 1, ... }], ... }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ */
+export async function reorderChecklistItems(req, res, next) {
+  try {
+    const { itemIds } = req.body;
+    await changeChecklist(req, res, (items) => {
+      const byId = new Map(items.map((item) => [String(item._id), item]));
+      if (
+        itemIds.length !== items.length ||
+        new Set(itemIds).size !== itemIds.length ||
+        !itemIds.every((itemId) => byId.has(itemId))
+      ) {
+        throw badRequest('The checklist has changed. Reload it and try again');
+      }
+      return itemIds.map((itemId) => byId.get(itemId));
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Removes an item from a checklist.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note or the item doesn't exist
+ * - Returns 409 `NOT_A_CHECKLIST` if the note is a text note
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function removeChecklistItem
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {string} req.params.itemId - MongoDB ObjectId of the item
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the updated note or error
+ *
+ * @example
+ * // Called by DELETE /api/notes/:id/items/:itemId
+ * // Returns (ETag: "11"): { _id: "...", items: [...], ... }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ */
+export async function removeChecklistItem(req, res, next) {
+  try {
+    await changeChecklist(req, res, (items) => {
+      const index = findItem(items, req.params.itemId);
+      return items.filter((_, other) => other !== index);
+    });
+  } catch (error) {
+    next(error);
+  }
+}
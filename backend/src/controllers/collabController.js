@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Controller for joining live editing sessions in the Dex Note Taking App.
+ *
+ * The sessions themselves run over WebSockets (see `lib/collabServer.js`)
+ * and connect the tabs and devices in which a note's owner has it open.
+ * This controller hands out the short-lived tickets that authenticate the
+ * WebSocket connection, since browsers can't attach the access token
+ * header to it.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import Note, { NOT_DELETED } from '../models/Note.js';
+import { COLLAB_TICKET_TTL_SECONDS, signCollabTicket } from '../lib/tokens.js';
+import { notFound } from '../lib/errors.js';
+
+/**
+ * Issues a ticket for joining a note's collaboration session.
+ *
+ * The client requests a fresh ticket for every connection attempt and
+ * opens `/api/collab/:id?ticket=...` with it right away. Only the note's
+ * owner gets one; other users can't see the note, let alone edit it.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note doesn't exist, isn't the user's, or is in the
+ *   trash (trashed notes can't be edited)
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function createCollabTicket
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the ticket or error
+ *
+ * @example
+ * // Called by POST /api/notes/:id/collab-ticket
+ * // Returns: { ticket: "eyJh...", expiresIn: 30 }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../lib/collabServer.js} WebSocket server that checks the ticket
+ * @see {@link ../../frontend/src/lib/collabProvider.js} Frontend client
+ */
+export async function createCollabTicket(req, res, next) {
+  try {
+    const exists = await Note.exists({
+      _id: req.params.id,
+      owner: req.user.id,
+      ...NOT_DELETED,
+    });
+    if (!exists) throw notFound('Note not found');
+
+    res.status(200).json({
+      ticket: signCollabTicket(req.user.id, req.params.id),
+      expiresIn: COLLAB_TICKET_TTL_SECONDS,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
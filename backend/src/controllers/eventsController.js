@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Controller for the live note event stream in the Dex Note Taking App.
+ *
+ * Serves `GET /api/notes/events` as a Server-Sent Events stream. Each change
+ * published through `lib/noteEvents.js` is written to the stream as a named
+ * event, which HomePage and NoteDetailPage merge into the notes they show.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { ACCESS_TOKEN_TTL_MINUTES } from '../config/auth.js';
+import { subscribeToNoteEvents } from '../lib/noteEvents.js';
+
+/**
+ * Interval between keep-alive comments on an idle stream.
+ *
+ * Proxies and load balancers close connections that stay silent for too
+ * long (often 60 seconds); a comment line every 25 seconds keeps the stream
+ * open without the client seeing an event.
+ *
+ * @type {number}
+ */
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Streams the signed-in user's note changes as Server-Sent Events.
+ *
+ * **Wire format:**
+ * ```
+ * event: updated
+ * data: {"note":{"_id":"...","title":"...","__v":5,...}}
+ *
+ * ```
+ * Event names are `created`, `updated` and `deleted` (whose data is
+ * `{ "id": "..." }`). Lines starting with `:` are keep-alive comments.
+ *
+ * **Why end the stream when the access token would expire?**
+ * - The token is only checked when the stream opens. Closing the stream
+ *   after one token lifetime makes the client reconnect with a fresh token,
+ *   so a session that was signed out stops receiving events soon after
+ *
+ * Events are not replayed: changes made while a client is disconnected are
+ * picked up the next time it loads the notes.
+ *
+ * @function streamNoteEvents
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void} Keeps the response open until the client disconnects
+ *
+ * @example
+ * // Called by GET /api/notes/events
+ * // Streams: "event: deleted\ndata: {\"id\":\"64f1...\"}\n\n"
+ *
+ * @see {@link ../lib/noteEvents.js} Where controllers publish events
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/lib/noteEvents.js} Frontend stream client
+ */
+export function streamNoteEvents(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const unsubscribe = subscribeToNoteEvents(req.user.id, ({ type, data }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  const heartbeat = setInterval(
+    () => res.write(': ping\n\n'),
+    HEARTBEAT_INTERVAL_MS
+  );
+  const expiry = setTimeout(
+    () => res.end(),
+    ACCESS_TOKEN_TTL_MINUTES * 60 * 1000
+  );
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+}
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Controller for exporting notes from the Dex Note Taking App.
+ *
+ * This module lets users take all of their notes out of the app in one
+ * download: a ZIP archive holding one Markdown file per note, each with the
+ * note's metadata in YAML front matter, or a single JSON file that the
+ * import endpoint can read back.
+ *
+ * The ZIP archive is streamed as it is built, one note at a time from a
+ * database cursor, so large accounts never need the whole archive in memory
+ * and the download starts right away.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { ZipArchive } from 'archiver';
+import Note, { NOT_DELETED } from '../models/Note.js';
+import {
+  createFilenameAllocator,
+  toMarkdownFile,
+} from '../lib/markdownFiles.js';
+import { toMarkdownBody } from '../lib/checklist.js';
+
+/**
+ * Note fields read for the JSON export. `type` and `items` are only read to
+ * write a checklist's items into its content.
+ *
+ * @type {string}
+ */
+const JSON_EXPORT_FIELDS = 'title content type items tags createdAt updatedAt';
+
+/**
+ * Exports every live note of the signed-in user as a file download.
+ *
+ * **Formats:**
+ * - `zip` (default): a ZIP of Markdown files, streamed
+ * - `json`: `{ exportedAt, notes: [{ title, content, tags, createdAt,
+ *   updatedAt }] }`, the format `POST /api/notes/import` accepts back
+ * - Either way a checklist's items are written after its content as a
+ *   Markdown task list, since that is what other tools understand
+ *
+ * **Archive Layout:**
+ * - One `<title>.md` file per note at the root of the archive, oldest first
+ * - Titles are cleaned into safe filenames; notes with the same title get
+ *   "(2)", "(3)", ... suffixes so no file overwrites another
+ * - Each file's modification time is the note's `updatedAt`
+ * - Notes in the trash are not exported
+ *
+ * **Error Handling:**
+ * - An unsupported `format` is rejected with 400 by the `exportQuery` schema
+ * - Passes the error on (500) if anything fails before the first byte is sent; after
+ *   that the status is already on the wire, so the connection is dropped
+ *   instead and the client sees an incomplete download
+ *
+ * @async
+ * @function exportNotes
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.format="zip"] - Export format, "zip" or "json"
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Streams the archive or passes an error on
+ *
+ * @example
+ * // Called by GET /api/notes/export?format=zip
+ * // Returns: application/zip attachment "dex-notes-2025-01-15.zip"
+ * // Called by GET /api/notes/export?format=json
+ * // Returns: application/json attachment "dex-notes-2025-01-15.json"
+ * // Or 400: { error: { code: "VALIDATION_ERROR", message: "format must be \"zip\" or \"json\"", details: [...] } }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../lib/markdownFiles.js} Front matter and filename helpers
+ * @see {@link ../../frontend/src/components/Navbar.jsx} Export action
+ */
+export async function exportNotes(req, res, next) {
+  const format = req.query.format ?? 'zip';
+
+  const date = new Date().toISOString().slice(0, 10);
+  const filter = { owner: req.user.id, ...NOT_DELETED };
+
+  if (format === 'json') {
+    try {
+      const notes = await Note.find(filter)
+        .sort({ createdAt: 1, _id: 1 })
+        .select(`-_id ${JSON_EXPORT_FIELDS}`)
+        .lean();
+      res.attachment(`dex-notes-${date}.json`);
+      return res.status(200).json({
+        exportedAt: new Date(),
+        notes: notes.map(({ type, items, ...note }) => ({
+          ...note,
+          content: toMarkdownBody({ ...note, type, items }),
+        })),
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  const archive = new ZipArchive({ zlib: { level: 6 } });
+
+  try {
+    const notes = Note.find(filter).sort({ createdAt: 1, _id: 1 }).cursor();
+    const nextFilename = createFilenameAllocator();
+
+    archive.on('error', (error) => res.destroy(error));
+    // Stop reading notes if the user cancels the download
+    res.on('close', () => {
+      if (!res.writableFinished) notes.close().catch(() => {});
+    });
+
+    res.status(200);
+    res.attachment(`dex-notes-${date}.zip`);
+    archive.pipe(res);
+
+    for await (const note of notes) {
+      if (res.destroyed) return;
+      archive.append(toMarkdownFile(note), {
+        name: nextFilename(note.title),
+        date: note.updatedAt,
+      });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    if (!res.headersSent) {
+      archive.unpipe(res);
+      archive.abort();
+      res.removeHeader('Content-Disposition');
+      return next(error);
+    }
+    res.destroy(error);
+  }
+}
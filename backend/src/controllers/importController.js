@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Controller for importing notes into the Dex Note Taking App.
+ *
+ * This module turns uploaded files from other note tools (or from our own
+ * export) into notes. Parsing is handled by `lib/noteImport.js`; this
+ * controller saves the results and reports, per note, whether it was
+ * created, skipped as a duplicate, or failed.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import Note, { NOT_DELETED } from '../models/Note.js';
+import NoteRevision from '../models/NoteRevision.js';
+import SyncCounter from '../models/SyncCounter.js';
+import { IMPORT_MAX_NOTES, IMPORT_MAX_TOTAL_MB } from '../config/import.js';
+import { parseFile } from '../lib/noteImport.js';
+import { publishNoteEvent } from '../lib/noteEvents.js';
+import { badRequest } from '../lib/errors.js';
+import { tags } from '../validation/notes.js';
+
+/**
+ * Imports notes from uploaded files.
+ *
+ * **Duplicates:**
+ * - A note is skipped when the user already has a live note with the same
+ *   title and content, so running the same import twice (or importing an
+ *   export back) doesn't double every note
+ * - Notes created earlier in the same request count too
+ *
+ * **Timestamps:**
+ * - `createdAt` / `updatedAt` from front matter, JSON or Evernote metadata
+ *   are kept, so imported notes sort by when they were really written
+ * - Missing timestamps default to the time of the import
+ *
+ * **Error Handling:**
+ * - Returns 400 when no files were uploaded
+ * - Files and notes that can't be parsed or saved are reported as
+ *   `failed` with a reason instead of failing the whole request; that
+ *   includes tags longer or more numerous than `POST /api/notes` allows
+ * - Files past the request's `IMPORT_MAX_TOTAL_MB` budget, counted after
+ *   unzipping, are reported as `failed` too
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function importNotes
+ * @param {Object} req - Express request object
+ * @param {Array<Object>} req.files - Uploaded files from multer (`files` field)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON import report or error
+ *
+ * @example
+ * // Called by POST /api/notes/import with multipart field "files"
+ * // Returns: {
+ * //   summary: { created: 2, duplicate: 1, failed: 1 },
+ * //   results: [
+ * //     { source: "ideas.md", title: "Ideas", status: "created", id: "..." },
+ * //     { source: "notes.zip/todo.md", title: "Todo", status: "duplicate", id: "..." },
+ * //     { source: "photo.png", status: "failed", error: "Unsupported file type" },
+ * //     ...
+ * //   ]
+ * // }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../lib/noteImport.js} File parsers
+ * @see {@link ../../frontend/src/pages/ImportPage.jsx} Frontend that calls this endpoint
+ */
+export async function importNotes(req, res, next) {
+  try {
+    const files = req.files ?? [];
+    if (files.length === 0) throw badRequest('No files uploaded');
+
+    const budget = { bytes: IMPORT_MAX_TOTAL_MB * 1024 * 1024 };
+    const candidates = files.flatMap((file) =>
+      parseFile(file.originalname, file.buffer, budget)
+    );
+
+    const results = [];
+    let imported = 0;
+
+    for (const candidate of candidates) {
+      const { source, title, error } = candidate;
+      const parsedTags = error ? null : tags.safeParse(candidate.tags);
+
+      if (error || !parsedTags.success) {
+        results.push({
+          source,
+          title,
+          status: 'failed',
+          error: error ?? parsedTags.error.issues[0].message,
+        });
+        continue;
+      }
+      if (imported >= IMPORT_MAX_NOTES) {
+        results.push({
+          source,
+          title,
+          status: 'failed',
+          error: `Import limit of ${IMPORT_MAX_NOTES} notes reached`,
+        });
+        continue;
+      }
+
+      const duplicate = await Note.exists({
+        owner: req.user.id,
+        title,
+        content: candidate.content,
+        ...NOT_DELETED,
+      });
+      if (duplicate) {
+        results.push({ source, title, status: 'duplicate', id: duplicate._id });
+        continue;
+      }
+
+      try {
+        const now = new Date();
+        const createdAt = candidate.createdAt ?? candidate.updatedAt ?? now;
+        const savedNote = await SyncCounter.withNext(req.user.id, (syncSeq) =>
+          new Note({
+            title,
+            content: candidate.content,
+            tags: parsedTags.data,
+            owner: req.user.id,
+            syncSeq,
+            createdAt,
+            updatedAt: candidate.updatedAt ?? createdAt,
+          }).save({ timestamps: false })
+        );
+        await NoteRevision.record(savedNote);
+        publishNoteEvent(req.user.id, 'created', { note: savedNote });
+
+        imported++;
+        results.push({ source, title, status: 'created', id: savedNote._id });
+      } catch (saveError) {
+        if (saveError.name !== 'ValidationError') throw saveError;
+        results.push({
+          source,
+          title,
+          status: 'failed',
+          error: 'Note failed validation',
+        });
+      }
+    }
+
+    const summary = { created: 0, duplicate: 0, failed: 0 };
+    for (const result of results) summary[result.status]++;
+
+    res.status(200).json({ summary, results });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Controller functions for notebooks in the Dex Note Taking App.
+ *
+ * Notebooks group notes into a folder tree. The API deals in a flat list of
+ * notebooks with `parent` references; the frontend assembles the tree. Like
+ * notes, every query is scoped to `owner: req.user.id`, so another user's
+ * notebook behaves exactly like one that doesn't exist (404).
+ *
+ * Changes to the tree keep two invariants:
+ * - **No cycles**: a notebook can't be moved inside itself or one of its
+ *   descendants
+ * - **Bounded depth**: nesting never exceeds `MAX_NOTEBOOK_DEPTH`
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import Notebook, { MAX_NOTEBOOK_DEPTH } from '../models/Notebook.js';
+import Note, { NOT_DELETED } from '../models/Note.js';
+import SyncCounter from '../models/SyncCounter.js';
+import { badRequest, notFound } from '../lib/errors.js';
+import { publishNoteEvent, publishNotesUpdated } from '../lib/noteEvents.js';
+
+/**
+ * Looks up the notebook a new or moved notebook should sit in, and checks
+ * that it may hold a subtree of the given height.
+ *
+ * @async
+ * @function resolveParent
+ * @param {mongoose.Types.ObjectId} ownerId - Signed-in user
+ * @param {string|null|undefined} parentId - Requested parent, null for top level
+ * @param {number} [subtreeHeight=1] - Levels the placed notebook brings with it
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} The parent followed by its ancestors
+ * @throws {ApiError} 404 if the parent doesn't exist, 400 if it is too deep
+ */
+async function resolveParent(ownerId, parentId, subtreeHeight = 1) {
+  if (!parentId) return [];
+
+  const parentExists = await Notebook.exists({ _id: parentId, owner: ownerId });
+  if (!parentExists) throw notFound('Parent notebook not found');
+
+  const lineage = await Notebook.ancestorIds(ownerId, parentId);
+  if (lineage.length + subtreeHeight > MAX_NOTEBOOK_DEPTH) {
+    throw badRequest(
+      `Notebooks can be nested at most ${MAX_NOTEBOOK_DEPTH} levels deep`
+    );
+  }
+  return lineage;
+}
+
+/**
+ * Counts the levels of a notebook's subtree, the notebook itself included.
+ *
+ * @async
+ * @function subtreeHeight
+ * @param {mongoose.Types.ObjectId} ownerId - Signed-in user
+ * @param {mongoose.Types.ObjectId|string} notebookId - Root of the subtree
+ * @returns {Promise<number>} 1 for a notebook without children
+ */
+async function subtreeHeight(ownerId, notebookId) {
+  let height = 1;
+  let level = [notebookId];
+
+  while (height <= MAX_NOTEBOOK_DEPTH) {
+    const children = await Notebook.find({
+      owner: ownerId,
+      parent: { $in: level },
+    })
+      .select('_id')
+      .lean();
+    if (children.length === 0) break;
+    level = children.map((child) => child._id);
+    height++;
+  }
+
+  return height;
+}
+
+/**
+ * Lists every notebook of the signed-in user with its note count.
+ *
+ * The response is flat and sorted by name; each entry's `parent` says where
+ * it belongs in the tree. `noteCount` counts the live notes filed directly
+ * in the notebook, not those in nested notebooks, and `unfiledCount` counts
+ * live notes that aren't in any notebook.
+ *
+ * **Why a flat list?**
+ * - **One query**: The whole tree comes back in a single round trip
+ * - **Cheap moves**: The client re-parents a node locally without
+ *   reshaping a nested response
+ *
+ * @async
+ * @function listNotebooks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with notebooks or error
+ *
+ * @example
+ * // Called by GET /api/notebooks
+ * // Returns: {
+ * //   notebooks: [{ _id: "...", name: "Work", parent: null, noteCount: 4, ... }],
+ * //   unfiledCount: 7
+ * // }
+ *
+ * @see {@link ../routes/notebooksRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/NotebookTree.jsx} Frontend tree view
+ */
+export async function listNotebooks(req, res, next) {
+  try {
+    const [notebooks, counts] = await Promise.all([
+      Notebook.find({ owner: req.user.id })
+        .collation({ locale: 'en', strength: 2 })
+        .sort({ name: 1, _id: 1 })
+        .lean(),
+      Note.aggregate([
+        { $match: { owner: req.user.id, ...NOT_DELETED } },
+        { $group: { _id: '$notebookId', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countByNotebook = new Map(
+      counts.map(({ _id, count }) => [String(_id), count])
+    );
+
+    res.status(200).json({
+      notebooks: notebooks.map((notebook) => ({
+        ...notebook,
+        noteCount: countByNotebook.get(String(notebook._id)) ?? 0,
+      })),
+      unfiledCount: countByNotebook.get('null') ?? 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Creates a notebook, at the top level or inside another notebook.
+ *
+ * **Error Handling:**
+ * - Returns 404 if `parent` isn't one of the user's notebooks
+ * - Returns 400 if the new notebook would be nested too deeply
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function createNotebook
+ * @param {Object} req - Express request object
+ * @param {string} req.body.name - Notebook name
+ * @param {string|null} [req.body.parent] - Parent notebook ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the created notebook or error
+ *
+ * @example
+ * // Called by POST /api/notebooks with { name: "Clients", parent: "64f1..." }
+ * // Returns 201: { _id: "...", name: "Clients", parent: "64f1...", noteCount: 0, ... }
+ *
+ * @see {@link ../routes/notebooksRoutes.js} Route that calls this function
+ */
+export async function createNotebook(req, res, next) {
+  try {
+    const { name, parent = null } = req.body;
+    await resolveParent(req.user.id, parent);
+
+    const notebook = await Notebook.create({
+      name,
+      parent,
+      owner: req.user.id,
+    });
+    res.status(201).json({ ...notebook.toObject(), noteCount: 0 });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Renames a notebook and/or moves it under another parent.
+ *
+ * Moving carries the whole subtree along: nested notebooks keep their
+ * `parent`, and notes keep their `notebookId`, so only one document changes.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the notebook or the new parent doesn't exist
+ * - Returns 400 if the move would put the notebook inside itself or one of
+ *   its descendants, or nest the subtree too deeply
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function updateNotebook
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Notebook to change
+ * @param {string} [req.body.name] - New name
+ * @param {string|null} [req.body.parent] - New parent, null for top level
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the updated notebook or error
+ *
+ * @see {@link ../routes/notebooksRoutes.js} Route that calls this function
+ */
+export async function updateNotebook(req, res, next) {
+  try {
+    const { name, parent } = req.body;
+    const notebook = await Notebook.findOne({
+      _id: req.params.id,
+      owner: req.user.id,
+    });
+    if (!notebook) throw notFound('Notebook not found');
+
+    if (name !== undefined) notebook.name = name;
+
+    if (parent !== undefined && String(parent) !== String(notebook.parent)) {
+      if (parent === String(notebook._id)) {
+        throw badRequest('A notebook cannot be moved inside itself');
+      }
+
+      const height = await subtreeHeight(req.user.id, notebook._id);
+      const lineage = await resolveParent(req.user.id, parent, height);
+      if (lineage.some((id) => id.equals(notebook._id))) {
+        throw badRequest('A notebook cannot be moved inside its own subfolder');
+      }
+      notebook.parent = parent;
+    }
+
+    await notebook.save();
+    res.status(200).json(notebook);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Deletes a notebook, deciding what happens to its contents by `mode`.
+ *
+ * **Modes:**
+ * - **reparent** (default): Child notebooks and notes move up one level, to
+ *   the deleted notebook's parent (or to the top level / unfiled). Nothing
+ *   but the notebook itself disappears
+ * - **cascade**: Every nested notebook is deleted too. Live notes anywhere in
+ *   the subtree go to the trash, so they can still be restored, and every
+ *   note in the subtree is unfiled so none points at a deleted notebook
+ *
+ * Contents are dealt with before the notebook is removed, so an interrupted
+ * delete leaves a notebook behind rather than notes pointing at nothing.
+ * The live notes affected are published as note events (`deleted` for
+ * cascade, `updated` for reparent) so open grids drop or refile them.
+ *
+ * @async
+ * @function deleteNotebook
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Notebook to delete
+ * @param {string} [req.query.mode="reparent"] - "reparent" or "cascade"
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response describing what was changed
+ *
+ * @example
+ * // Called by DELETE /api/notebooks/:id?mode=cascade
+ * // Returns: { message: "Notebook deleted", mode: "cascade", deletedNotebooks: 3, affectedNotes: 12 }
+ *
+ * @see {@link ../routes/notebooksRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/NotebookTree.jsx} Delete dialog
+ */
+export async function deleteNotebook(req, res, next) {
+  try {
+    const mode = req.query.mode ?? 'reparent';
+    const owner = req.user.id;
+    const notebook = await Notebook.findOne({ _id: req.params.id, owner });
+    if (!notebook) throw notFound('Notebook not found');
+
+    let deletedIds = [notebook._id];
+    let affectedNotes;
+    // One change number for every note moved or trashed
+    await SyncCounter.withNext(owner, async (syncSeq) => {
+      if (mode === 'cascade') {
+        deletedIds = deletedIds.concat(
+          await Notebook.descendantIds(owner, notebook._id)
+        );
+        const inSubtree = { owner, notebookId: { $in: deletedIds } };
+        const trashedIds = await Note.distinct('_id', {
+          ...inSubtree,
+          ...NOT_DELETED,
+        });
+
+        await Note.updateMany(
+          { ...inSubtree, ...NOT_DELETED },
+          { deletedAt: new Date(), syncSeq },
+          { timestamps: false }
+        );
+        ({ modifiedCount: affectedNotes } = await Note.updateMany(
+          inSubtree,
+          { notebookId: null, syncSeq },
+          { timestamps: false }
+        ));
+        for (const id of trashedIds) publishNoteEvent(owner, 'deleted', { id });
+      } else {
+        const movedIds = await Note.distinct('_id', {
+          owner,
+          notebookId: notebook._id,
+          ...NOT_DELETED,
+        });
+        await Notebook.updateMany(
+          { owner, parent: notebook._id },
+          { parent: notebook.parent }
+        );
+        ({ modifiedCount: affectedNotes } = await Note.updateMany(
+          { owner, notebookId: notebook._id },
+          { notebookId: notebook.parent, syncSeq },
+          { timestamps: false }
+        ));
+        await publishNotesUpdated(owner, movedIds);
+      }
+    });
+
+    const { deletedCount } = await Notebook.deleteMany({
+      owner,
+      _id: { $in: deletedIds },
+    });
+
+    res.status(200).json({
+      message: 'Notebook deleted',
+      mode,
+      deletedNotebooks: deletedCount,
+      affectedNotes,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
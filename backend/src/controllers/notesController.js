@@ -6,6 +6,14 @@
  * bridge between the Express.js routes and the MongoDB database, handling data
  * validation, transformation, and error management.
  *
+ * Every route using these controllers sits behind the auth middleware, which
+ * sets `req.user.id`. Each query filters on `owner: req.user.id`, so a user
+ * can only read or change their own notes; another user's note behaves
+ * exactly like a note that doesn't exist (404).
+ *
+ * Every successful change is also published through `lib/noteEvents.js`,
+ * so the user's other open tabs and devices see it without reloading.
+ *
  * All functions follow the Express.js controller pattern with async/await for
  * database operations and consistent error handling strategies. The controllers
  * work with the Note Mongoose model to perform database operations and return
@@ -15,52 +23,346 @@
  * @version 1.0.0
  */
 
-import Note from '../models/Note.js';
+import Note, {
+  IN_TRASH,
+  NOT_ARCHIVED,
+  NOT_DELETED,
+  normalizeTags,
+} from '../models/Note.js';
+import Notebook from '../models/Notebook.js';
+import SyncCounter from '../models/SyncCounter.js';
+import { TRASH_RETENTION_DAYS } from '../config/trash.js';
+import { purgeNotes } from '../jobs/trashPurge.js';
+import { afterCursor, decodeCursor, encodeCursor } from '../lib/cursor.js';
+import {
+  buildSnippet,
+  extractSearchTerms,
+  highlightText,
+} from '../lib/highlight.js';
+import { parseIfMatch, setNoteETag } from '../lib/etag.js';
+import { createNoteOnce, updateNoteFields } from '../lib/noteWrites.js';
+import { publishNoteEvent } from '../lib/noteEvents.js';
+import { ApiError, badRequest, notFound } from '../lib/errors.js';
 
 /**
- * Retrieves all notes from the database, sorted by creation date (newest first).
+ * Maximum number of results returned by a full-text search.
  *
- * This function fetches all notes from the MongoDB collection and returns them
- * in descending order by creation date. It's designed to provide the most recent
- * notes first, which aligns with typical note-taking app user expectations where
- * users want to see their latest notes at the top of the list.
+ * @type {number}
+ */
+const SEARCH_RESULT_LIMIT = 50;
+
+/**
+ * Page size used by `GET /api/notes` when the client doesn't pass `limit`.
  *
- * **Why this approach?**
- * - **User experience**: Most recent notes are most relevant to users
- * - **Performance**: Simple query without complex filtering or pagination
- * - **Consistency**: Predictable ordering makes the UI more intuitive
- * - **Error handling**: Graceful fallback to 500 error for any database issues
+ * @type {number}
+ */
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Retrieves one page of notes, sorted by creation date (newest first).
+ *
+ * This function returns notes in pages using cursor-based pagination. The
+ * first request omits `cursor`; each response includes a `nextCursor` that
+ * the client sends back to get the following page, until `nextCursor` is
+ * `null`. When a `tag` query parameter is supplied, only notes carrying that
+ * tag are returned, which powers the tag filter sidebar on the HomePage.
+ * A `notebook` parameter does the same for the notebook tree: a notebook ID
+ * lists the notes filed directly in it, and "none" lists unfiled notes.
+ *
+ * **Pinned and archived notes:**
+ * - Pinned notes matching the filters are all returned at the start of the
+ *   first page, ahead of (and in addition to) the `limit` regular notes;
+ *   later pages hold only unpinned notes
+ * - Archived notes are left out; `archived=true` lists only archived notes
+ *   instead, which is the HomePage's Archive view
+ * - Keeping pinned notes out of the cursor's sort key means the cursor
+ *   format, and every cursor already handed out, stays valid
+ *
+ * **Why cursor pagination?**
+ * - **Performance**: Each request reads at most `limit + 1` documents through
+ *   the `{ createdAt: -1, _id: -1 }` index, however many notes exist
+ * - **Stability**: Offsets shift when notes are created mid-scroll, causing
+ *   duplicates on the next page; a cursor anchored to the last seen note's
+ *   sort key is unaffected by new notes, which always sort before it
+ * - **Tie-breaking**: `_id` is part of the sort key, so notes sharing the
+ *   same `createdAt` are never skipped or repeated at page boundaries
  *
  * **Database Operation:**
- * - Uses `Note.find()` to retrieve all documents
- * - Sorts by `createdAt: -1` for descending order (newest first)
- * - No filtering or pagination (suitable for personal note-taking app)
+ * - Uses `Note.find()` on notes outside the trash, with an optional
+ *   `{ tags: tag }` filter plus the "older than the cursor" condition
+ *   from `afterCursor`
+ * - Sorts by `createdAt: -1, _id: -1` for descending order (newest first)
+ * - Fetches one extra document to know whether another page exists
  *
  * **Error Handling:**
- * - Catches any database connection or query errors
- * - Returns generic 500 error to avoid exposing internal details
- * - Maintains consistent error response format across all endpoints
+ * - `limit` and `cursor` are checked by the route's `listNotesQuery`
+ *   schema; a cursor that decodes to nonsense is rejected with 400 here
+ * - Passes database errors to the error handler (500)
  *
  * @async
  * @function getAllNotes
- * @param {Object} _ - Express request object (unused, hence underscore)
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.tag] - Optional tag to filter the notes by
+ * @param {string} [req.query.notebook] - Optional notebook ID, or "none"
+ * @param {string} [req.query.archived] - "true" to list archived notes instead
+ * @param {string} [req.query.limit] - Page size (default 20, max 100)
+ * @param {string} [req.query.cursor] - `nextCursor` from the previous page
  * @param {Object} res - Express response object
- * @returns {Promise<void>} Sends JSON response with notes array or error
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with a page of notes or error
  *
  * @example
- * // Called by GET /api/notes route
- * // Returns: [{ _id: "...", title: "Note 1", content: "...", createdAt: "...", updatedAt: "..." }]
+ * // Called by GET /api/notes?limit=2
+ * // Returns: { notes: [{ _id: "...", title: "Note 1", ... }, { ... }], nextCursor: "eyJj..." }
+ *
+ * // Called by GET /api/notes?limit=2&cursor=eyJj...
+ * // Returns: { notes: [{ ... }], nextCursor: null } (last page)
  *
  * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../lib/cursor.js} Cursor encoding helpers
  * @see {@link ../../frontend/src/pages/HomePage.jsx} Frontend that consumes this data
  * @see {@link ../models/Note.js} Note model used for database operations
  */
-export async function getAllNotes(_, res) {
+export async function getAllNotes(req, res, next) {
   try {
-    const notes = await Note.find().sort({ createdAt: -1 }); // -1 will sort in desc. order (newest first)
-    res.status(200).json(notes);
+    const limit = req.query.limit ?? DEFAULT_PAGE_SIZE;
+    const archived = req.query.archived === 'true';
+    const [tag] = normalizeTags(req.query.tag);
+    const filter = {
+      owner: req.user.id,
+      ...NOT_DELETED,
+      ...(archived ? { archived: true } : NOT_ARCHIVED),
+    };
+    if (tag) filter.tags = tag;
+    if (req.query.notebook !== undefined) {
+      filter.notebookId =
+        req.query.notebook === 'none' ? null : req.query.notebook;
+    }
+
+    let pinnedNotes = [];
+    if (!archived) {
+      if (req.query.cursor === undefined) {
+        pinnedNotes = await Note.find({ ...filter, pinned: true }).sort({
+          createdAt: -1,
+          _id: -1,
+        });
+      }
+      filter.pinned = { $ne: true };
+    }
+
+    if (req.query.cursor !== undefined) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) throw badRequest('Invalid cursor');
+      Object.assign(filter, afterCursor(cursor));
+    }
+
+    const notes = await Note.find(filter)
+      .sort({ createdAt: -1, _id: -1 }) // -1 will sort in desc. order (newest first)
+      .limit(limit + 1);
+
+    const hasMore = notes.length > limit;
+    const page = hasMore ? notes.slice(0, limit) : notes;
+
+    res.status(200).json({
+      notes: [...pinnedNotes, ...page],
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Internal server error' });
+    next(error);
+  }
+}
+
+/**
+ * Retrieves every tag in use along with the number of notes carrying it.
+ *
+ * This function aggregates the `tags` arrays across the user's notes outside
+ * the trash and returns one entry per distinct tag. The HomePage uses the result to render its tag
+ * filter sidebar, where each tag is shown with its note count.
+ *
+ * **Why an aggregation?**
+ * - **Single round trip**: `$unwind` + `$group` computes all counts in MongoDB
+ *   instead of loading every note into memory
+ * - **Always accurate**: Counts are derived from the notes themselves, so there
+ *   is no separate tag collection that could drift out of sync
+ * - **Stable ordering**: Most-used tags first, ties broken alphabetically
+ *
+ * @async
+ * @function getTags
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with tag counts or error
+ *
+ * @example
+ * // Called by GET /api/notes/tags route
+ * // Returns: [{ tag: "work", count: 12 }, { tag: "ideas", count: 3 }]
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/TagFilter.jsx} Frontend sidebar that consumes this data
+ */
+export async function getTags(req, res, next) {
+  try {
+    const tags = await Note.aggregate([
+      { $match: { owner: req.user.id, ...NOT_DELETED } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } },
+    ]);
+    res.status(200).json(tags);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Searches notes by title and content, ranked by relevance.
+ *
+ * This function runs a MongoDB `$text` query against the weighted text index
+ * defined on the Note model and returns the best matches first. Each result
+ * carries highlight segments for its title and a content snippet centred on
+ * the first match, so the frontend can show *why* a note matched instead of
+ * its first three lines.
+ *
+ * **Why this approach?**
+ * - **Relevance ranking**: Sorting by `textScore` puts the best matches first,
+ *   and the index weights make title hits outrank content hits
+ * - **Index-backed**: `$text` uses the text index instead of scanning every
+ *   note with a regular expression
+ * - **Safe highlighting**: Highlights are plain `{ text, match }` segments,
+ *   so note content is never sent to the browser as HTML
+ * - **Bounded response**: Results are capped at `SEARCH_RESULT_LIMIT`
+ *
+ * **Database Operation:**
+ * - Uses `Note.find({ $text: { $search: q } })` with a `textScore` projection,
+ *   excluding notes in the trash
+ * - Sorts by `{ score: { $meta: 'textScore' } }` (highest first)
+ * - Uses `.lean()` since results are decorated before being returned
+ *
+ * **Error Handling:**
+ * - A missing or blank `q` is rejected with 400 by the `searchQuery` schema
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function searchNotes
+ * @param {Object} req - Express request object
+ * @param {string} req.query.q - Search query (supports "quoted phrases" and -exclusions)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with ranked results or error
+ *
+ * @example
+ * // Called by GET /api/notes/search?q=budget
+ * // Returns: [{
+ * //   _id: "...", title: "Quarterly budget", content: "...", score: 7.5,
+ * //   highlights: {
+ * //     title: [{ text: "Quarterly ", match: false }, { text: "budget", match: true }],
+ * //     snippet: [{ text: "…the ", match: false }, { text: "budget", match: true }, ...]
+ * //   }
+ * // }]
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../lib/highlight.js} Highlighting helpers
+ * @see {@link ../../frontend/src/pages/HomePage.jsx} Frontend that renders the results
+ */
+export async function searchNotes(req, res, next) {
+  try {
+    const query = req.query.q;
+    const notes = await Note.find(
+      { $text: { $search: query }, owner: req.user.id, ...NOT_DELETED },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(SEARCH_RESULT_LIMIT)
+      .lean();
+
+    const terms = extractSearchTerms(query);
+    const results = notes.map((note) => ({
+      ...note,
+      highlights: {
+        title: highlightText(note.title, terms),
+        snippet: buildSnippet(note.content, terms),
+      },
+    }));
+
+    res.status(200).json(results);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * When a scheduled note next needs attention: its reminder if that is
+ * still ahead, or its due date, whichever comes first. A note with only a
+ * reminder that already went off falls back to that reminder.
+ *
+ * @function nextScheduledAt
+ * @param {Object} note - Note with `remindAt` and/or `dueAt`
+ * @param {Date} now - Reference time
+ * @returns {Date|null} The date, or null if the note has neither
+ */
+function nextScheduledAt(note, now) {
+  const dates = [note.dueAt];
+  if (note.remindAt && note.remindAt >= now) dates.push(note.remindAt);
+  const times = dates.filter(Boolean).map((date) => date.getTime());
+  return times.length ? new Date(Math.min(...times)) : note.remindAt;
+}
+
+/**
+ * Retrieves the notes with an upcoming reminder or a due date, soonest
+ * first.
+ *
+ * This powers the HomePage's Upcoming view, which also schedules the in-app
+ * notifications for the reminders it receives.
+ *
+ * **What is listed:**
+ * - Notes whose reminder is still ahead, or went off after `since`
+ * - Notes with a due date, including overdue ones, which stay listed
+ *   until the due date is cleared
+ * - Not notes in the trash or the archive
+ *
+ * **Why not paginate?**
+ * - Only notes with a date are listed, a small share of most accounts,
+ *   and the view groups them by day, which needs the whole list
+ *
+ * @async
+ * @function getUpcomingNotes
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.since] - ISO date-time; reminders that went off
+ *   after it are listed too, so a client can show the ones it missed
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the notes or error
+ *
+ * @example
+ * // Called by GET /api/notes/upcoming?since=2025-06-01T08:00:00.000Z
+ * // Returns: { notes: [{ _id: "...", title: "Call the bank", dueAt: "...", remindAt: null, ... }] }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/hooks/useReminders.js} Frontend that consumes this data
+ */
+export async function getUpcomingNotes(req, res, next) {
+  try {
+    const now = new Date();
+    const since = req.query.since ? new Date(req.query.since) : now;
+    const notes = await Note.find({
+      owner: req.user.id,
+      ...NOT_DELETED,
+      ...NOT_ARCHIVED,
+      $or: [
+        { dueAt: { $ne: null } },
+        { remindAt: { $gte: since < now ? since : now } },
+      ],
+    });
+
+    notes.sort(
+      (a, b) =>
+        nextScheduledAt(a, now) - nextScheduledAt(b, now) ||
+        String(a._id).localeCompare(String(b._id))
+    );
+    res.status(200).json({ notes });
+  } catch (error) {
+    next(error);
   }
 }
 
@@ -73,44 +375,53 @@ export async function getAllNotes(_, res) {
  * "note not found" scenarios and database connection issues.
  *
  * **Why this approach?**
- * - **Direct lookup**: Uses MongoDB's efficient `findById` method
+ * - **Direct lookup**: Uses an `_id` lookup, which is served by the primary key index
  * - **Explicit 404 handling**: Distinguishes between "not found" and server errors
  * - **Consistent responses**: Returns the note object directly for easy frontend consumption
  * - **Error safety**: Catches invalid ObjectId formats and database errors
  *
  * **Database Operation:**
- * - Uses `Note.findById()` for efficient single document retrieval
+ * - Uses `Note.findOne({ _id, owner, deletedAt: null })` so trashed notes
+ *   and other users' notes are hidden
  * - Handles both valid ObjectIds that don't exist and invalid ObjectId formats
  * - Returns the complete note object with all fields (title, content, timestamps)
+ * - Sends the note's version as an `ETag` header; the editor echoes it back
+ *   in `If-Match` when saving so concurrent edits are detected
  *
  * **Error Handling:**
- * - Returns 404 for notes that don't exist (valid ObjectId but no match)
- * - Returns 500 for database connection issues or invalid ObjectId formats
- * - Maintains consistent error message format across all endpoints
+ * - Returns 404 for notes that don't exist or are in the trash
+ * - Passes database errors to the error handler (500); malformed IDs are
+ *   rejected with 400 by the `noteIdParams` schema
  *
  * @async
  * @function getNoteById
  * @param {Object} req - Express request object
  * @param {string} req.params.id - MongoDB ObjectId of the note to retrieve
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
  * @returns {Promise<void>} Sends JSON response with note object or error
  *
  * @example
  * // Called by GET /api/notes/:id route
- * // Returns: { _id: "...", title: "Note Title", content: "...", createdAt: "...", updatedAt: "..." }
- * // Or 404: { message: "Note not found!" }
+ * // Returns (ETag: "3"): { _id: "...", title: "Note Title", content: "...", __v: 3, createdAt: "...", updatedAt: "..." }
+ * // Or 404: { error: { code: "NOT_FOUND", message: "Note not found", details: null } }
  *
  * @see {@link ../routes/notesRoutes.js} Route that calls this function
  * @see {@link ../../frontend/src/pages/NoteDetailPage.jsx} Frontend that consumes this data
  * @see {@link ../models/Note.js} Note model used for database operations
  */
-export async function getNoteById(req, res) {
+export async function getNoteById(req, res, next) {
   try {
-    const note = await Note.findById(req.params.id);
-    if (!note) return res.status(404).json({ message: 'Note not found!' });
+    const note = await Note.findOne({
+      _id: req.params.id,
+      owner: req.user.id,
+      ...NOT_DELETED,
+    });
+    if (!note) throw notFound('Note not found');
+    setNoteETag(res, note);
     res.json(note);
   } catch (error) {
-    res.status(500).json({ message: 'Internal server error' });
+    next(error);
   }
 }
 
@@ -130,81 +441,131 @@ export async function getNoteById(req, res) {
  * - **Error handling**: Catches validation errors and database connection issues
  *
  * **Database Operation:**
- * - Creates new Note instance with provided title and content
+ * - Creates new Note instance with provided title and content, owned by
+ *   the signed-in user
  * - Uses `note.save()` to persist to database with validation
+ * - Records revision 1 in the NoteRevision collection so the note's
+ *   original text is part of its history
  * - Mongoose automatically generates ObjectId and timestamps
  * - Returns the complete saved document for frontend consumption
  *
  * **Data Validation:**
- * - Title and content are required fields (enforced by Mongoose schema)
- * - Mongoose will throw validation errors for missing required fields
- * - These validation errors are caught and returned as 500 errors
+ * - Title is required, and so is content unless the note is a checklist
+ *   (enforced by Mongoose schema)
+ * - The body has already been checked by the `noteBody` schema, so the
+ *   model's own validation is a last line of defence
  *
  * **Error Handling:**
- * - Catches Mongoose validation errors (missing required fields)
- * - Catches database connection and save operation errors
- * - Returns generic 500 error to avoid exposing internal validation details
+ * - Invalid bodies never get here: `validate` answers them with 400
+ *   `VALIDATION_ERROR` and a message per field
+ * - Returns 404 if `notebookId` isn't one of the user's notebooks
+ * - Passes database errors to the error handler (500)
  *
  * @async
  * @function createNote
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body containing note data
  * @param {string} req.body.title - Note title (required by schema)
- * @param {string} req.body.content - Note content (required by schema)
+ * @param {string} [req.body.content] - Note content (required for text notes)
+ * @param {Array<string>} [req.body.tags] - Optional tags (normalized by the schema)
+ * @param {string} [req.body.type="text"] - "text" or "checklist"
+ * @param {Array<Object>} [req.body.items] - A checklist's items, in order
+ * @param {string|null} [req.body.notebookId] - Notebook to file the note in
+ * @param {string} [req.body.clientId] - The client's own ID for the note;
+ *   a retry with the same ID gets the note already created (200) instead
+ *   of a second one
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
  * @returns {Promise<void>} Sends JSON response with created note or error
  *
  * @example
  * // Called by POST /api/notes route
- * // Request body: { title: "My Note", content: "Note content here" }
- * // Returns: { _id: "...", title: "My Note", content: "...", createdAt: "...", updatedAt: "..." }
+ * // Request body: { title: "My Note", content: "Note content here", tags: ["Work"] }
+ * // Returns: { _id: "...", title: "My Note", content: "...", tags: ["work"], createdAt: "...", updatedAt: "..." }
+ * // Request body: { title: "Groceries", type: "checklist", items: [{ text: "Milk" }] }
+ * // Returns: { _id: "...", title: "Groceries", content: "", type: "checklist", items: [{ _id: "...", text: "Milk", done: false, order: 0 }], ... }
  *
  * @see {@link ../routes/notesRoutes.js} Route that calls this function
  * @see {@link ../../frontend/src/pages/CreatePage.jsx} Frontend that calls this endpoint
+ * @see {@link ../lib/noteWrites.js} createNoteOnce, which writes the note
  * @see {@link ../models/Note.js} Note model used for validation and persistence
  */
-export async function createNote(req, res) {
+export async function createNote(req, res, next) {
   try {
-    const { title, content } = req.body;
-    const note = new Note({ title, content });
-
-    const savedNote = await note.save();
-    res.status(201).json(savedNote);
+    await assertNotebookOwned(req.user.id, req.body.notebookId ?? null);
+    const { clientId, ...fields } = req.body;
+    const { note, created } = await createNoteOnce(
+      req.user.id,
+      fields,
+      clientId
+    );
+    res.status(created ? 201 : 200).json(note);
   } catch (error) {
-    res.status(500).json({ message: 'Internal server error' });
+    next(error);
   }
 }
 
 /**
  * Updates an existing note's title and content by its MongoDB ObjectId.
  *
- * This function updates a note using MongoDB's `findByIdAndUpdate` method, which
+ * This function updates a note using MongoDB's `findOneAndUpdate` method, which
  * provides atomic updates and ensures data consistency. The function updates
  * both title and content fields and returns the updated document with fresh
  * timestamps. It handles both "note not found" scenarios and database errors.
  *
  * **Why this approach?**
- * - **Atomic updates**: `findByIdAndUpdate` ensures the update operation is atomic
+ * - **Atomic updates**: `findOneAndUpdate` ensures the update operation is atomic
  * - **Return updated document**: `new: true` option returns the updated document
  * - **Automatic timestamps**: Mongoose automatically updates the `updatedAt` field
  * - **Explicit 404 handling**: Distinguishes between "not found" and server errors
  *
  * **Database Operation:**
- * - Uses `Note.findByIdAndUpdate()` for atomic update operation
+ * - Uses `Note.findOneAndUpdate()` for atomic update operation, matching
+ *   only notes outside the trash (trashed notes must be restored first)
  * - Updates both title and content fields in a single operation
  * - `new: true` option returns the updated document instead of the original
  * - Mongoose automatically updates the `updatedAt` timestamp
  *
+ * **Revision History:**
+ * - Before the first update of a note that has no history yet, its current
+ *   state is recorded as a baseline revision
+ * - After the update, a new revision is recorded whenever the title or
+ *   content actually changed (tag-only edits don't add history entries)
+ * - With `?autosave=true`, consecutive autosaves within a few minutes update
+ *   the same revision instead of adding one per keystroke pause
+ *
  * **Update Strategy:**
- * - Updates only the fields provided in the request body
+ * - Updates only the fields provided in the request body (content and tags
+ *   are left untouched when the request doesn't include them; editors in a
+ *   live collaboration session save content through the session instead)
  * - Preserves other fields (like createdAt) that aren't being updated
  * - Uses MongoDB's atomic update to prevent race conditions
  * - Returns the complete updated document for frontend state management
  *
+ * **Optimistic Concurrency:**
+ * - Each update increments the note's version (`__v`) and the response
+ *   carries the new version as an `ETag`
+ * - When the request sends `If-Match` with a version that is no longer
+ *   current, nothing is written and the response is 409 with the server's
+ *   copy of the note, so the editor can offer to resolve the conflict
+ * - The write itself is conditional on the version read just before it, so
+ *   two saves racing each other can't both win either
+ *
+ * **Checklists:**
+ * - `type` converts the note between text and checklist; a note that
+ *   becomes text drops its items
+ * - `items` replaces a checklist's items wholesale (sync clients use it);
+ *   editors change single items through the checklist endpoints instead
+ *
  * **Error Handling:**
  * - Returns 404 if the note with the given ID doesn't exist
- * - Returns 500 for database connection issues or invalid ObjectId formats
- * - Maintains consistent error message format across all endpoints
+ * - Returns 400 if the note would end up as a text note without content,
+ *   or with items
+ * - Returns 409 `VERSION_CONFLICT` with the server's copy in
+ *   `error.details.note` if the note changed since the version named in
+ *   `If-Match`
+ * - Passes database errors to the error handler (500); malformed IDs are
+ *   rejected with 400 by the `noteIdParams` schema
  *
  * @async
  * @function updateNote
@@ -212,95 +573,496 @@ export async function createNote(req, res) {
  * @param {string} req.params.id - MongoDB ObjectId of the note to update
  * @param {Object} req.body - Request body containing updated note data
  * @param {string} req.body.title - Updated note title
- * @param {string} req.body.content - Updated note content
+ * @param {string} [req.body.content] - Updated note content (kept when left out)
+ * @param {Array<string>} [req.body.tags] - Updated tags (replaces the existing list)
+ * @param {string} [req.body.type] - New note type
+ * @param {Array<Object>} [req.body.items] - Updated items (replaces the existing list)
+ * @param {string} [req.query.autosave] - "true" when sent by the editor's autosave
+ * @param {string} [req.headers.if-match] - ETag of the version the edit is based on
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
  * @returns {Promise<void>} Sends JSON response with updated note or error
  *
  * @example
- * // Called by PUT /api/notes/:id route
+ * // Called by PUT /api/notes/:id route with header If-Match: "4"
  * // Request body: { title: "Updated Title", content: "Updated content" }
- * // Returns: { _id: "...", title: "Updated Title", content: "...", createdAt: "...", updatedAt: "..." }
- * // Or 404: { message: "Note not found" }
+ * // Returns (ETag: "5"): { _id: "...", title: "Updated Title", content: "...", __v: 5, ... }
+ * // Or 404: { error: { code: "NOT_FOUND", message: "Note not found", details: null } }
+ * // Or 409: { error: { code: "VERSION_CONFLICT", message: "...", details: { note: { ...server copy } } } }
  *
  * @see {@link ../routes/notesRoutes.js} Route that calls this function
  * @see {@link ../../frontend/src/pages/NoteDetailPage.jsx} Frontend that calls this endpoint
+ * @see {@link ../lib/noteWrites.js} updateNoteFields, which makes the edit
  * @see {@link ../models/Note.js} Note model used for database operations
  */
-export async function updateNote(req, res) {
+export async function updateNote(req, res, next) {
   try {
-    const { title, content } = req.body;
-    const updatedNote = await Note.findByIdAndUpdate(
+    const result = await updateNoteFields(
+      req.user.id,
       req.params.id,
-      { title, content },
+      req.body,
       {
-        new: true,
+        baseVersion: parseIfMatch(req.get('If-Match')),
+        autosave: req.query.autosave === 'true',
       }
     );
+    if (result.status === 'not_found') throw notFound('Note not found');
+    if (result.status === 'invalid') throw badRequest(result.error);
+    if (result.status === 'conflict') throw versionConflict(res, result.note);
+
+    setNoteETag(res, result.note);
+    res.status(200).json(result.note);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Builds the 409 error for an update based on an outdated note version.
+ *
+ * The error details carry the server's current copy of the note (and the
+ * `ETag` header its version), which is everything the client needs to show
+ * both versions side by side and retry against the latest one.
+ *
+ * @function versionConflict
+ * @param {Object} res - Express response object, which gets the current ETag
+ * @param {Object} note - The note as currently stored
+ * @returns {ApiError} Error to throw
+ */
+function versionConflict(res, note) {
+  setNoteETag(res, note);
+  return new ApiError(
+    409,
+    'VERSION_CONFLICT',
+    'Note was changed by someone else',
+    { note }
+  );
+}
 
-    if (!updatedNote)
-      return res.status(404).json({ message: 'Note not found' });
+/**
+ * Checks that a notebook a note is being filed in belongs to the user.
+ *
+ * @async
+ * @function assertNotebookOwned
+ * @param {mongoose.Types.ObjectId} ownerId - Signed-in user
+ * @param {string|null} notebookId - Target notebook; null (unfiled) always passes
+ * @returns {Promise<void>}
+ * @throws {ApiError} 404 if the notebook doesn't exist or isn't the user's
+ */
+async function assertNotebookOwned(ownerId, notebookId) {
+  if (notebookId === null) return;
+  const exists = await Notebook.exists({ _id: notebookId, owner: ownerId });
+  if (!exists) throw notFound('Notebook not found');
+}
 
-    res.status(200).json(updatedNote);
+/**
+ * Files a note in another notebook, or takes it out of any notebook.
+ *
+ * Moving is bookkeeping rather than an edit: the note's title, content and
+ * version are untouched, so no revision is recorded and an editor holding
+ * the note's `ETag` can keep saving without a spurious conflict.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note doesn't exist or is in the trash, or if the
+ *   target notebook isn't one of the user's
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function moveNote
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note to move
+ * @param {string|null} req.body.notebookId - Target notebook, null to unfile
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the moved note or error
+ *
+ * @example
+ * // Called by POST /api/notes/:id/move with { notebookId: "64f1..." }
+ * // Returns: { _id: "...", title: "...", notebookId: "64f1...", ... }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/pages/HomePage.jsx} Drag-and-drop that calls this endpoint
+ */
+export async function moveNote(req, res, next) {
+  try {
+    const { notebookId } = req.body;
+    await assertNotebookOwned(req.user.id, notebookId);
+
+    const movedNote = await SyncCounter.withNext(req.user.id, (syncSeq) =>
+      Note.findOneAndUpdate(
+        { _id: req.params.id, owner: req.user.id, ...NOT_DELETED },
+        { notebookId, syncSeq },
+        { new: true, timestamps: false }
+      )
+    );
+    if (!movedNote) throw notFound('Note not found');
+    publishNoteEvent(req.user.id, 'updated', { note: movedNote });
+
+    setNoteETag(res, movedNote);
+    res.status(200).json(movedNote);
   } catch (error) {
-    res.status(500).json({ message: 'Internal server error' });
+    next(error);
   }
 }
 
 /**
- * Permanently deletes a note from the database by its MongoDB ObjectId.
+ * Applies a flag change that isn't an edit of the note's text.
  *
- * This function removes a note from the database using MongoDB's `findByIdAndDelete`
- * method, which provides atomic deletion and ensures data consistency. The function
- * handles both "note not found" scenarios and database errors, returning appropriate
- * HTTP status codes and messages.
+ * Pinning, archiving and scheduling are organisational: they leave `__v`
+ * and `updatedAt` alone, so the note doesn't look edited and an open editor
+ * keeps saving without a conflict.
  *
- * **Why this approach?**
- * - **Atomic deletion**: `findByIdAndDelete` ensures the deletion operation is atomic
- * - **Explicit 404 handling**: Distinguishes between "not found" and server errors
- * - **Confirmation response**: Returns success message to confirm deletion
- * - **Error safety**: Catches invalid ObjectId formats and database errors
+ * @async
+ * @function updateNoteFlags
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} update - Fields to set
+ * @returns {Promise<void>} Sends JSON response with the updated note
+ * @throws {ApiError} 404 if the note doesn't exist or is in the trash
+ */
+async function updateNoteFlags(req, res, update) {
+  const note = await SyncCounter.withNext(req.user.id, (syncSeq) =>
+    Note.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user.id, ...NOT_DELETED },
+      { ...update, syncSeq },
+      { new: true, timestamps: false }
+    )
+  );
+  if (!note) throw notFound('Note not found');
+  publishNoteEvent(req.user.id, 'updated', { note });
+
+  setNoteETag(res, note);
+  res.status(200).json(note);
+}
+
+/**
+ * Pins or unpins a note.
  *
- * **Database Operation:**
- * - Uses `Note.findByIdAndDelete()` for atomic deletion operation
- * - Deletes the document and returns the deleted document (if found)
- * - Handles both valid ObjectIds that don't exist and invalid ObjectId formats
- * - Provides immediate feedback on whether the deletion was successful
+ * Pinning an archived note brings it back out of the archive, since a note
+ * can't sit at the top of a listing it is hidden from.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note doesn't exist or is in the trash
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function pinNote
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {boolean} req.body.pinned - New pinned state
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the updated note or error
+ *
+ * @example
+ * // Called by PATCH /api/notes/:id/pin with { pinned: true }
+ * // Returns: { _id: "...", pinned: true, archived: false, ... }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/NoteCard.jsx} Pin button
+ */
+export async function pinNote(req, res, next) {
+  try {
+    const { pinned } = req.body;
+    await updateNoteFlags(
+      req,
+      res,
+      pinned ? { pinned, archived: false } : { pinned }
+    );
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Archives or unarchives a note.
  *
- * **Deletion Strategy:**
- * - Permanently removes the note from the database
- * - No soft delete or recovery mechanism (suitable for simple note-taking app)
- * - Returns confirmation message for frontend state management
- * - Handles cases where the note might have been deleted by another process
+ * Archiving also unpins the note; unarchiving brings it back unpinned.
  *
  * **Error Handling:**
- * - Returns 404 if the note with the given ID doesn't exist
- * - Returns 500 for database connection issues or invalid ObjectId formats
- * - Maintains consistent error message format across all endpoints
+ * - Returns 404 if the note doesn't exist or is in the trash
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function archiveNote
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {boolean} req.body.archived - New archived state
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the updated note or error
+ *
+ * @example
+ * // Called by PATCH /api/notes/:id/archive with { archived: true }
+ * // Returns: { _id: "...", pinned: false, archived: true, ... }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/NoteCard.jsx} Archive button
+ */
+export async function archiveNote(req, res, next) {
+  try {
+    const { archived } = req.body;
+    await updateNoteFlags(
+      req,
+      res,
+      archived ? { archived, pinned: false } : { archived }
+    );
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Sets or clears a note's reminder and due date.
+ *
+ * Fields left out of the body keep their value, and `null` clears one.
+ * Scheduling is organisational like pinning, so the note's version and
+ * `updatedAt` are left alone and an open editor isn't interrupted.
+ *
+ * **Error Handling:**
+ * - Returns 400 for dates that aren't ISO 8601 date-times with a time zone
+ * - Returns 404 if the note doesn't exist or is in the trash
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function scheduleNote
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {string|null} [req.body.remindAt] - When to remind the owner
+ * @param {string|null} [req.body.dueAt] - When the note is due
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the updated note or error
+ *
+ * @example
+ * // Called by PATCH /api/notes/:id/schedule with { remindAt: "2025-06-01T09:00:00Z" }
+ * // Returns: { _id: "...", remindAt: "2025-06-01T09:00:00.000Z", dueAt: null, ... }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/SchedulePicker.jsx} Date-time picker
+ */
+export async function scheduleNote(req, res, next) {
+  try {
+    const update = {};
+    for (const field of ['remindAt', 'dueAt']) {
+      const value = req.body[field];
+      if (value !== undefined) update[field] = value && new Date(value);
+    }
+    await updateNoteFlags(req, res, update);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Moves a note to the trash by setting its `deletedAt` timestamp.
+ *
+ * This function soft-deletes a note: the document stays in the database with
+ * `deletedAt` set, which hides it from every listing, search and lookup. The
+ * note can be brought back with `restoreNote` until the trash purge job
+ * removes it after the retention period.
+ *
+ * **Why soft delete?**
+ * - **Recoverability**: An accidental click no longer loses a note for good
+ * - **Atomic update**: `findOneAndUpdate` only matches notes that aren't
+ *   already trashed, so deleting twice returns 404 instead of resetting the
+ *   retention clock
+ * - **Bounded storage**: The purge job still removes trashed notes eventually
+ *
+ * **Database Operation:**
+ * - Uses `Note.findOneAndUpdate({ _id, deletedAt: null }, { deletedAt: now })`
+ * - Timestamps are not touched, so `updatedAt` still reflects the last edit
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note doesn't exist or is already in the trash
+ * - Passes database errors to the error handler (500); malformed IDs are
+ *   rejected with 400 by the `noteIdParams` schema
  *
  * @async
  * @function deleteNote
  * @param {Object} req - Express request object
- * @param {string} req.params.id - MongoDB ObjectId of the note to delete
+ * @param {string} req.params.id - MongoDB ObjectId of the note to trash
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
  * @returns {Promise<void>} Sends JSON response with success message or error
  *
  * @example
  * // Called by DELETE /api/notes/:id route
- * // Returns: { message: "Note deleted successfully!" }
- * // Or 404: { message: "Note not found" }
+ * // Returns: { message: "Note moved to trash", deletedAt: "..." }
+ * // Or 404: { error: { code: "NOT_FOUND", message: "Note not found", details: null } }
  *
  * @see {@link ../routes/notesRoutes.js} Route that calls this function
  * @see {@link ../../frontend/src/pages/NoteDetailPage.jsx} Frontend that calls this endpoint
  * @see {@link ../../frontend/src/components/NoteCard.jsx} Frontend that calls this endpoint
  * @see {@link ../models/Note.js} Note model used for database operations
  */
-export async function deleteNote(req, res) {
+export async function deleteNote(req, res, next) {
+  try {
+    const trashedNote = await SyncCounter.withNext(req.user.id, (syncSeq) =>
+      Note.findOneAndUpdate(
+        { _id: req.params.id, owner: req.user.id, ...NOT_DELETED },
+        { deletedAt: new Date(), syncSeq },
+        { new: true, timestamps: false }
+      )
+    );
+    if (!trashedNote) throw notFound('Note not found');
+    publishNoteEvent(req.user.id, 'deleted', { id: trashedNote._id });
+    res.status(200).json({
+      message: 'Note moved to trash',
+      deletedAt: trashedNote.deletedAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Retrieves every note currently in the trash, most recently deleted first.
+ *
+ * This function powers the Trash page. Along with the notes it returns the
+ * configured retention period, so the frontend can show how long each note
+ * has left before the purge job removes it.
+ *
+ * **Why not paginate?**
+ * - **Bounded size**: The trash only holds notes deleted within the retention
+ *   period, so it stays small compared to the main notes list
+ * - **Bulk actions**: "Empty trash" acts on everything, and the page shows
+ *   what will be affected
+ *
+ * @async
+ * @function getTrash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with trashed notes or error
+ *
+ * @example
+ * // Called by GET /api/notes/trash route
+ * // Returns: { notes: [{ _id: "...", title: "...", deletedAt: "..." }], retentionDays: 30 }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/pages/TrashPage.jsx} Frontend that consumes this data
+ * @see {@link ../config/trash.js} Retention configuration
+ */
+export async function getTrash(req, res, next) {
+  try {
+    const notes = await Note.find({ owner: req.user.id, ...IN_TRASH }).sort({
+      deletedAt: -1,
+      _id: -1,
+    });
+    res.status(200).json({ notes, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Restores a note from the trash.
+ *
+ * This function clears `deletedAt`, which makes the note visible again in
+ * listings, search and the detail page exactly as it was before deletion.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note doesn't exist or isn't in the trash
+ * - Passes database errors to the error handler (500); malformed IDs are
+ *   rejected with 400 by the `noteIdParams` schema
+ *
+ * @async
+ * @function restoreNote
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note to restore
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the restored note or error
+ *
+ * @example
+ * // Called by POST /api/notes/:id/restore route
+ * // Returns: { _id: "...", title: "...", deletedAt: null, ... }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/pages/TrashPage.jsx} Frontend that calls this endpoint
+ */
+export async function restoreNote(req, res, next) {
+  try {
+    const restoredNote = await SyncCounter.withNext(req.user.id, (syncSeq) =>
+      Note.findOneAndUpdate(
+        { _id: req.params.id, owner: req.user.id, ...IN_TRASH },
+        { deletedAt: null, syncSeq },
+        { new: true, timestamps: false }
+      )
+    );
+    if (!restoredNote) throw notFound('Note not found in trash');
+    publishNoteEvent(req.user.id, 'created', { note: restoredNote });
+    res.status(200).json(restoredNote);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Permanently deletes a single note from the trash.
+ *
+ * Only notes that are already in the trash can be deleted forever; a live
+ * note has to be moved to the trash first. This keeps permanent deletion a
+ * deliberate two-step action.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note doesn't exist or isn't in the trash
+ * - Passes database errors to the error handler (500); malformed IDs are
+ *   rejected with 400 by the `noteIdParams` schema
+ *
+ * @async
+ * @function deleteNotePermanently
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the trashed note
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with success message or error
+ *
+ * @example
+ * // Called by DELETE /api/notes/:id/permanent route
+ * // Returns: { message: "Note deleted permanently" }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../jobs/trashPurge.js} Shared purge helper
+ * @see {@link ../../frontend/src/pages/TrashPage.jsx} Frontend that calls this endpoint
+ */
+export async function deleteNotePermanently(req, res, next) {
+  try {
+    const deletedCount = await purgeNotes({
+      _id: req.params.id,
+      owner: req.user.id,
+    });
+    if (deletedCount === 0) throw notFound('Note not found in trash');
+    res.status(200).json({ message: 'Note deleted permanently' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Permanently deletes every note in the signed-in user's trash.
+ *
+ * @async
+ * @function emptyTrash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the number of purged notes
+ *
+ * @example
+ * // Called by DELETE /api/notes/trash route
+ * // Returns: { message: "Trash emptied", deletedCount: 4 }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../jobs/trashPurge.js} Shared purge helper
+ * @see {@link ../../frontend/src/pages/TrashPage.jsx} Frontend that calls this endpoint
+ */
+export async function emptyTrash(req, res, next) {
   try {
-    const deletedNote = await Note.findByIdAndDelete(req.params.id);
-    if (!deletedNote)
-      return res.status(404).json({ message: 'Note not found' });
-    res.status(200).json({ message: 'Note deleted successfully!' });
+    const deletedCount = await purgeNotes({ owner: req.user.id });
+    res.status(200).json({ message: 'Trash emptied', deletedCount });
   } catch (error) {
-    res.status(500).json({ message: 'Internal server error' });
+    next(error);
   }
 }
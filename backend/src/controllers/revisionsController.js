@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Controller functions for note revision history in the Dex Note Taking App.
+ *
+ * This module exposes the revisions recorded by the notes controller every
+ * time a note is created or edited. It lets clients list a note's history,
+ * read the full text of any revision (to diff two of them), and revert a
+ * note to an earlier revision.
+ *
+ * Revisions are reached through their note, so the owner check on the note
+ * is what keeps one user from reading another user's history.
+ *
+ * Reverting never rewrites history: it updates the note with the old title
+ * and content and records that as a *new* revision, so a revert can itself
+ * be undone.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import Note, { NOT_DELETED } from '../models/Note.js';
+import NoteRevision from '../models/NoteRevision.js';
+import SyncCounter from '../models/SyncCounter.js';
+import { setNoteETag } from '../lib/etag.js';
+import { publishNoteEvent } from '../lib/noteEvents.js';
+import { notFound } from '../lib/errors.js';
+
+/**
+ * Lists the revisions of a note, newest first.
+ *
+ * This function returns lightweight metadata for each revision (number,
+ * title, timestamp and content length) without the content itself, so the
+ * history panel can render a long list cheaply and only fetch the two
+ * revisions the user actually wants to compare.
+ *
+ * **Why metadata only?**
+ * - **Payload size**: A note edited hundreds of times would otherwise send
+ *   hundreds of copies of its content
+ * - **On-demand detail**: `getRevision` returns the full text when needed
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note doesn't exist, belongs to another user or is in the trash
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function listRevisions
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with revision metadata or error
+ *
+ * @example
+ * // Called by GET /api/notes/:id/revisions
+ * // Returns: [{ rev: 3, title: "Plan", length: 1204, restoredFrom: 1, autosave: false, createdAt: "...", updatedAt: "..." }, ...]
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/HistoryPanel.jsx} Frontend history panel
+ */
+export async function listRevisions(req, res, next) {
+  try {
+    const note = await Note.exists({
+      _id: req.params.id,
+      owner: req.user.id,
+      ...NOT_DELETED,
+    });
+    if (!note) throw notFound('Note not found');
+
+    const revisions = await NoteRevision.aggregate([
+      { $match: { note: note._id } },
+      { $sort: { rev: -1 } },
+      {
+        $project: {
+          _id: 0,
+          rev: 1,
+          title: 1,
+          restoredFrom: 1,
+          autosave: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          length: { $strLenCP: '$content' },
+        },
+      },
+    ]);
+
+    res.status(200).json(revisions);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Retrieves a single revision of a note, including its full content.
+ *
+ * **Error Handling:**
+ * - A `:rev` that isn't a positive integer is rejected with 400 by the
+ *   `revisionParams` schema
+ * - Returns 404 if the note or the revision doesn't exist
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function getRevision
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {number} req.params.rev - Revision number (coerced by `revisionParams`)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the revision or error
+ *
+ * @example
+ * // Called by GET /api/notes/:id/revisions/2
+ * // Returns: { rev: 2, title: "Plan", content: "...", restoredFrom: null, createdAt: "..." }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/HistoryPanel.jsx} Frontend diff view
+ */
+export async function getRevision(req, res, next) {
+  try {
+    const { rev } = req.params;
+
+    const note = await Note.exists({
+      _id: req.params.id,
+      owner: req.user.id,
+      ...NOT_DELETED,
+    });
+    if (!note) throw notFound('Note not found');
+
+    const revision = await NoteRevision.findOne({ note: note._id, rev });
+    if (!revision) throw notFound('Revision not found');
+
+    res.status(200).json(revision);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Reverts a note to the title and content of an earlier revision.
+ *
+ * The note is updated in place and the result is recorded as a new revision
+ * with `restoredFrom` pointing at the revision that was restored. Earlier
+ * revisions are never modified or removed, so the revert shows up in the
+ * history and can be undone like any other edit.
+ *
+ * **Why append instead of truncating history?**
+ * - **No data loss**: The edits made after the restored revision stay available
+ * - **Auditability**: The history shows when and from where a revert happened
+ *
+ * Like any other edit, a restore bumps the note's version, so an editor
+ * still holding the pre-restore `ETag` gets a 409 rather than undoing it.
+ *
+ * **Error Handling:**
+ * - A `:rev` that isn't a positive integer is rejected with 400 by the
+ *   `revisionParams` schema
+ * - Returns 404 if the note or the revision doesn't exist
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function restoreRevision
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {number} req.params.rev - Revision number (coerced by `revisionParams`) to restore
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the updated note or error
+ *
+ * @example
+ * // Called by POST /api/notes/:id/revisions/2/restore
+ * // Returns: { _id: "...", title: "<title of rev 2>", content: "<content of rev 2>", ... }
+ *
+ * @see {@link ../routes/notesRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/components/HistoryPanel.jsx} Frontend revert action
+ */
+export async function restoreRevision(req, res, next) {
+  try {
+    const { rev } = req.params;
+
+    const filter = { _id: req.params.id, owner: req.user.id, ...NOT_DELETED };
+    const currentNote = await Note.findOne(filter);
+    if (!currentNote) throw notFound('Note not found');
+
+    const revision = await NoteRevision.findOne({ note: currentNote._id, rev });
+    if (!revision) throw notFound('Revision not found');
+
+    await NoteRevision.ensureBaseline(currentNote);
+
+    const restoredNote = await SyncCounter.withNext(req.user.id, (syncSeq) =>
+      Note.findOneAndUpdate(
+        filter,
+        {
+          title: revision.title,
+          content: revision.content,
+          syncSeq,
+          $inc: { __v: 1 },
+        },
+        { new: true }
+      )
+    );
+    if (!restoredNote) throw notFound('Note not found');
+
+    await NoteRevision.record(restoredNote, { restoredFrom: rev });
+    publishNoteEvent(req.user.id, 'updated', { note: restoredNote });
+
+    setNoteETag(res, restoredNote);
+    res.status(200).json(restoredNote);
+  } catch (error) {
+    next(error);
+  }
+}
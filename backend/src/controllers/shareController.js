@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Controller functions for public share links in the Dex Note Taking App.
+ *
+ * Owners create, list and revoke links for their notes through
+ * `/api/notes/:id/share`; anyone holding a link reads the note through
+ * `GET /api/public/:token` without signing in.
+ *
+ * A link only ever exposes the note's title, content and tags, read-only.
+ * It stops working when it is revoked or expires, and while its note is in
+ * the trash; purging the note deletes its links.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import Note, { NOT_DELETED } from '../models/Note.js';
+import ShareLink from '../models/ShareLink.js';
+import { toMarkdownBody } from '../lib/checklist.js';
+import { generateShareToken } from '../lib/tokens.js';
+import { ApiError, notFound } from '../lib/errors.js';
+
+/**
+ * Header carrying the password of a protected link, percent-encoded so
+ * any character survives the trip through HTTP headers.
+ *
+ * @type {string}
+ */
+const SHARE_PASSWORD_HEADER = 'x-share-password';
+
+/**
+ * Creates a share link for a note.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the note doesn't exist, isn't the user's, or is in the trash
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function createShareLink
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {Object} req.body - `{ expiresInDays?, password? }`
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends the new link (201) or error
+ *
+ * @example
+ * // Called by POST /api/notes/:id/share with { "expiresInDays": 7 }
+ * // Returns: { _id, note, token: "Yp3...", expiresAt, hasPassword: false, ... }
+ */
+export async function createShareLink(req, res, next) {
+  try {
+    const { expiresInDays, password } = req.body;
+
+    const exists = await Note.exists({
+      _id: req.params.id,
+      owner: req.user.id,
+      ...NOT_DELETED,
+    });
+    if (!exists) throw notFound('Note not found');
+
+    const link = await ShareLink.create({
+      note: req.params.id,
+      owner: req.user.id,
+      token: generateShareToken(),
+      passwordHash: password ? await ShareLink.hashPassword(password) : null,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null,
+    });
+
+    res.status(201).json(link);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Lists a note's active share links, newest first.
+ *
+ * Links that have expired but not yet been removed by the TTL index are
+ * left out.
+ *
+ * @async
+ * @function listShareLinks
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends `{ links }` or error
+ */
+export async function listShareLinks(req, res, next) {
+  try {
+    const links = await ShareLink.find({
+      note: req.params.id,
+      owner: req.user.id,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({ links });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Revokes a share link; its URL stops working immediately.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the link doesn't exist or belongs to another note or user
+ *
+ * @async
+ * @function revokeShareLink
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - MongoDB ObjectId of the note
+ * @param {string} req.params.linkId - MongoDB ObjectId of the link
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends a confirmation message or error
+ */
+export async function revokeShareLink(req, res, next) {
+  try {
+    const link = await ShareLink.findOneAndDelete({
+      _id: req.params.linkId,
+      note: req.params.id,
+      owner: req.user.id,
+    });
+    if (!link) throw notFound('Share link not found');
+
+    res.status(200).json({ message: 'Share link revoked' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Serves a shared note to anyone holding its link.
+ *
+ * Protected links expect the password in the `X-Share-Password` header.
+ * A missing or wrong password is answered with 403 rather than 401, which
+ * the frontend reserves for its own expired sessions.
+ *
+ * **Error Handling:**
+ * - Returns 404 if the link doesn't exist, was revoked or has expired, or
+ *   its note is in the trash (all reported alike)
+ * - Returns 403 `PASSWORD_REQUIRED` / `PASSWORD_INCORRECT` for protected links
+ *
+ * @async
+ * @function getSharedNote
+ * @param {Object} req - Express request object
+ * @param {string} req.params.token - Token from the share URL
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends `{ note, expiresAt }` or error
+ *
+ * @example
+ * // Called by GET /api/public/Yp3...
+ * // Returns: { note: { title, content, tags, createdAt, updatedAt }, expiresAt: null }
+ *
+ * @see {@link ../routes/publicRoutes.js} Route that calls this function
+ * @see {@link ../../frontend/src/pages/SharedNotePage.jsx} Frontend usage
+ */
+export async function getSharedNote(req, res, next) {
+  try {
+    const link = await ShareLink.findOne({ token: req.params.token });
+    if (!link || link.isExpired()) throw notFound('Share link not found');
+
+    if (link.passwordHash) {
+      const header = req.get(SHARE_PASSWORD_HEADER);
+      if (!header) {
+        throw new ApiError(
+          403,
+          'PASSWORD_REQUIRED',
+          'This note is protected by a password'
+        );
+      }
+
+      let password;
+      try {
+        password = decodeURIComponent(header);
+      } catch {
+        password = header;
+      }
+      if (!(await link.verifyPassword(password))) {
+        throw new ApiError(403, 'PASSWORD_INCORRECT', 'Incorrect password');
+      }
+    }
+
+    const note = await Note.findOne({
+      _id: link.note,
+      owner: link.owner,
+      ...NOT_DELETED,
+    }).select('title content type items tags createdAt updatedAt');
+    if (!note) throw notFound('Share link not found');
+
+    // A revoked link must stop working at once, so no copy may be kept
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      note: {
+        title: note.title,
+        // Checklists are shown as a task list, ticked off as they are now
+        content: toMarkdownBody(note),
+        tags: note.tags,
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+      },
+      expiresAt: link.expiresAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,406 @@
+/**
+ * @fileoverview Controller for delta sync in the Dex Note Taking App.
+ *
+ * Offline and mobile clients keep their own copy of the user's notes. Rather
+ * than refetching every note to bring that copy up to date, they ask
+ * `GET /api/sync` for what changed since their last sync token, and send the
+ * changes they made offline to `POST /api/sync` in one batch.
+ *
+ * Changes are found through the change sequence number (`syncSeq`) that
+ * every note write takes from the owner's `SyncCounter`. Purged notes leave
+ * a `NoteTombstone` with a number of its own, so deletions are reported too.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import Note, { NOT_DELETED } from '../models/Note.js';
+import NoteTombstone from '../models/NoteTombstone.js';
+import Notebook from '../models/Notebook.js';
+import SyncCounter from '../models/SyncCounter.js';
+import { SYNC_TOMBSTONE_RETENTION_DAYS } from '../config/sync.js';
+import {
+  afterSyncPosition,
+  decodeSyncToken,
+  encodeSyncToken,
+} from '../lib/syncToken.js';
+import { createNoteOnce, updateNoteFields } from '../lib/noteWrites.js';
+import { publishNoteEvent } from '../lib/noteEvents.js';
+import { ApiError, badRequest } from '../lib/errors.js';
+
+/**
+ * Number of changes returned by `GET /api/sync` when the client doesn't
+ * pass `limit`.
+ *
+ * @type {number}
+ */
+const DEFAULT_SYNC_PAGE_SIZE = 200;
+
+/**
+ * Position in the change order of a note or tombstone.
+ *
+ * @function positionOf
+ * @param {Object} change - `{ note }` or `{ tombstone }`
+ * @returns {{seq: number, id: mongoose.Types.ObjectId}} Its position
+ */
+function positionOf({ note, tombstone }) {
+  return note
+    ? { seq: note.syncSeq ?? 0, id: note._id }
+    : { seq: tombstone.syncSeq, id: tombstone.note };
+}
+
+/**
+ * Orders two changes by sequence number, then by note ID.
+ *
+ * ObjectIds are compared as hex strings, which sort the same way MongoDB
+ * sorts the IDs themselves.
+ *
+ * @function compareChanges
+ * @param {Object} a - `{ note }` or `{ tombstone }`
+ * @param {Object} b - `{ note }` or `{ tombstone }`
+ * @returns {number} Negative, zero or positive, as for `Array#sort`
+ */
+function compareChanges(a, b) {
+  const first = positionOf(a);
+  const second = positionOf(b);
+  if (first.seq !== second.seq) return first.seq - second.seq;
+  const firstId = String(first.id);
+  const secondId = String(second.id);
+  if (firstId === secondId) return 0;
+  return firstId < secondId ? -1 : 1;
+}
+
+/**
+ * Returns the signed-in user's note changes after a sync token.
+ *
+ * Without `since` the client gets everything, which is how a new device
+ * fills its copy. Each response carries a `token` to send as `since` next
+ * time; while `hasMore` is true the client should ask again straight away.
+ *
+ * **What is reported:**
+ * - `created`: Notes created since the token was issued
+ * - `updated`: Notes otherwise changed, including pinned, moved, archived
+ *   and restored notes. Imported notes keep their original creation date,
+ *   so they may show up here too; clients should treat both lists as
+ *   "add or replace"
+ * - `tombstoned`: `{ _id, deletedAt }` of notes moved to the trash or
+ *   deleted for good, which the client should drop
+ *
+ * **Why sequence numbers rather than `updatedAt`?**
+ * - Pinning, moving and trashing deliberately leave `updatedAt` alone, so
+ *   timestamps would miss them
+ * - Numbers from one counter give every change a strict order, so a page
+ *   boundary can never skip or repeat a change
+ * - Writes don't always finish in the order they took their numbers, so
+ *   changes are only reported up to the last number before any write
+ *   still in progress (see `SyncCounter.withNext`)
+ *
+ * **Error Handling:**
+ * - Returns 400 if `since` isn't a token this API handed out
+ * - Returns 410 `SYNC_TOKEN_EXPIRED` if the token is older than the
+ *   tombstone retention, since deletions in between may have been forgotten;
+ *   the client should drop its copy and sync again without `since`
+ * - Passes database errors to the error handler (500)
+ *
+ * @async
+ * @function getChanges
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.since] - Token from the previous response
+ * @param {number} [req.query.limit] - Most changes to return (default 200, max 500)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON response with the changes or error
+ *
+ * @example
+ * // Called by GET /api/sync?since=eyJz...
+ * // Returns: {
+ * //   created: [{ _id: "...", title: "New", ... }],
+ * //   updated: [{ _id: "...", title: "Edited", ... }],
+ * //   tombstoned: [{ _id: "...", deletedAt: "..." }],
+ * //   token: "eyJz...",
+ * //   hasMore: false
+ * // }
+ *
+ * @see {@link ../routes/syncRoutes.js} Route that calls this function
+ * @see {@link ../lib/syncToken.js} Token encoding helpers
+ */
+export async function getChanges(req, res, next) {
+  try {
+    const owner = req.user.id;
+    const limit = req.query.limit ?? DEFAULT_SYNC_PAGE_SIZE;
+    const issuedAt = new Date();
+
+    let position = { seq: 0, id: null };
+    let since = null;
+    if (req.query.since !== undefined) {
+      const token = decodeSyncToken(req.query.since);
+      if (!token) throw badRequest('Invalid sync token');
+      const maxAge = SYNC_TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      if (issuedAt - token.issuedAt > maxAge) {
+        throw new ApiError(
+          410,
+          'SYNC_TOKEN_EXPIRED',
+          'Sync token has expired; sync again from the start'
+        );
+      }
+      position = { seq: token.seq, id: token.id };
+      since = token.issuedAt;
+    }
+
+    // Changes past a write still in progress wait for the next sync, or
+    // the token would move past that write before it lands
+    const settled = {
+      syncSeq: { $not: { $gt: await SyncCounter.settledSeq(owner) } },
+    };
+    const [notes, tombstones] = await Promise.all([
+      Note.find({ owner, ...afterSyncPosition(position), ...settled })
+        .sort({ syncSeq: 1, _id: 1 })
+        .limit(limit + 1),
+      NoteTombstone.find({
+        owner,
+        ...afterSyncPosition(position, 'note'),
+        ...settled,
+      })
+        .sort({ syncSeq: 1, note: 1 })
+        .limit(limit + 1)
+        .lean(),
+    ]);
+
+    const changes = [
+      ...notes.map((note) => ({ note })),
+      ...tombstones.map((tombstone) => ({ tombstone })),
+    ].sort(compareChanges);
+    const hasMore = changes.length > limit;
+    const page = hasMore ? changes.slice(0, limit) : changes;
+
+    const created = [];
+    const updated = [];
+    const tombstoned = [];
+    for (const { note, tombstone } of page) {
+      if (tombstone) {
+        tombstoned.push({
+          _id: tombstone.note,
+          deletedAt: tombstone.createdAt,
+        });
+      } else if (note.deletedAt) {
+        tombstoned.push({ _id: note._id, deletedAt: note.deletedAt });
+      } else if (!since || note.createdAt > since) {
+        created.push(note);
+      } else {
+        updated.push(note);
+      }
+    }
+
+    if (page.length > 0) position = positionOf(page[page.length - 1]);
+
+    res.status(200).json({
+      created,
+      updated,
+      tombstoned,
+      token: encodeSyncToken(position, issuedAt),
+      hasMore,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Result for a change made against an outdated version of a note.
+ *
+ * @function conflict
+ * @param {Object} note - The note as currently stored
+ * @returns {Object} Mutation result carrying the server's copy
+ */
+function conflict(note) {
+  return {
+    status: 'conflict',
+    error: 'Note was changed by someone else',
+    note,
+  };
+}
+
+/**
+ * Creates a note from a `create` mutation.
+ *
+ * A mutation sent again with the same `clientId`, because the response to
+ * the first try was lost, gets the note the first try created, reported
+ * as `created` again so the client maps its ID either way.
+ *
+ * @async
+ * @function applyCreate
+ * @param {string} owner - Signed-in user
+ * @param {Object} mutation - Validated mutation
+ * @returns {Promise<Object>} Mutation result
+ */
+async function applyCreate(owner, mutation) {
+  const { notebookId = null } = mutation.note;
+  if (
+    notebookId !== null &&
+    !(await Notebook.exists({ _id: notebookId, owner }))
+  ) {
+    return { status: 'failed', error: 'Notebook not found' };
+  }
+
+  try {
+    const { note } = await createNoteOnce(
+      owner,
+      mutation.note,
+      mutation.clientId
+    );
+    return { status: 'created', id: note._id, note };
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { status: 'failed', error: 'Note failed validation' };
+  }
+}
+
+/**
+ * Edits a note from an `update` mutation.
+ *
+ * Makes the same edit as `PUT /api/notes/:id`, with `baseVersion` in
+ * place of `If-Match`: a revision is recorded when the title or content
+ * changes, and a change based on an older version is refused with the
+ * server's copy.
+ *
+ * @async
+ * @function applyUpdate
+ * @param {string} owner - Signed-in user
+ * @param {Object} mutation - Validated mutation
+ * @returns {Promise<Object>} Mutation result
+ */
+async function applyUpdate(owner, mutation) {
+  const result = await updateNoteFields(owner, mutation.id, mutation.note, {
+    baseVersion: mutation.baseVersion,
+  });
+  if (result.status === 'invalid') {
+    return { status: 'failed', error: result.error };
+  }
+  if (result.status === 'conflict') return conflict(result.note);
+  return result;
+}
+
+/**
+ * Moves a note to the trash from a `delete` mutation.
+ *
+ * With `baseVersion`, a note edited elsewhere since the client last saw it
+ * is a conflict rather than silently thrown away.
+ *
+ * @async
+ * @function applyDelete
+ * @param {string} owner - Signed-in user
+ * @param {Object} mutation - Validated mutation
+ * @returns {Promise<Object>} Mutation result
+ */
+async function applyDelete(owner, mutation) {
+  const filter = { _id: mutation.id, owner, ...NOT_DELETED };
+  if (mutation.baseVersion !== undefined) filter.__v = mutation.baseVersion;
+
+  const trashedNote = await SyncCounter.withNext(owner, (syncSeq) =>
+    Note.findOneAndUpdate(
+      filter,
+      { deletedAt: new Date(), syncSeq },
+      { new: true, timestamps: false }
+    )
+  );
+  if (!trashedNote) {
+    const currentNote = await Note.findOne({
+      _id: mutation.id,
+      owner,
+      ...NOT_DELETED,
+    });
+    return currentNote ? conflict(currentNote) : { status: 'not_found' };
+  }
+
+  publishNoteEvent(owner, 'deleted', { id: trashedNote._id });
+  return { status: 'deleted', deletedAt: trashedNote.deletedAt };
+}
+
+/**
+ * Applies a batch of changes a client made offline and reports the outcome
+ * of each.
+ *
+ * Mutations are applied one at a time, in order. A conflict or failure of
+ * one mutation doesn't stop the others. A note created offline has no
+ * server ID yet, so the client sends its create with the latest content
+ * rather than a create followed by updates.
+ *
+ * **Per-mutation results**, in the order of the request:
+ * - `created` with the new note's `id` and the note, and the mutation's
+ *   `clientId` when it had one
+ * - `updated` / `deleted` when the change was made
+ * - `conflict` with the server's copy in `note` when `baseVersion` is no
+ *   longer the note's version; nothing is written
+ * - `not_found` when the note doesn't exist or is already in the trash
+ * - `failed` with an `error` when the change can't be made at all
+ *
+ * **Error Handling:**
+ * - Invalid bodies are rejected with 400 by the `syncBody` schema
+ * - Database errors stop the batch and go to the error handler (500);
+ *   mutations before the failing one stay applied, and resending them is
+ *   safe (creates too, when they carry a `clientId`)
+ *
+ * @async
+ * @function applyMutations
+ * @param {Object} req - Express request object
+ * @param {Array<Object>} req.body.mutations - Changes to apply
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ * @returns {Promise<void>} Sends JSON report or error
+ *
+ * @example
+ * // Called by POST /api/sync with {
+ * //   mutations: [
+ * //     { op: "create", clientId: "local-1", note: { title: "A", content: "…" } },
+ * //     { op: "update", id: "665f…", baseVersion: 3, note: { title: "B", content: "…" } }
+ * //   ]
+ * // }
+ * // Returns: {
+ * //   summary: { created: 1, updated: 0, deleted: 0, conflict: 1, not_found: 0, failed: 0 },
+ * //   results: [
+ * //     { op: "create", clientId: "local-1", status: "created", id: "6660…", note: { … } },
+ * //     { op: "update", id: "665f…", status: "conflict", error: "…", note: { …server copy } }
+ * //   ]
+ * // }
+ *
+ * @see {@link ../routes/syncRoutes.js} Route that calls this function
+ */
+export async function applyMutations(req, res, next) {
+  try {
+    const owner = req.user.id;
+    const results = [];
+
+    for (const mutation of req.body.mutations) {
+      let result;
+      if (mutation.op === 'create') {
+        result = await applyCreate(owner, mutation);
+      } else if (mutation.op === 'update') {
+        result = await applyUpdate(owner, mutation);
+      } else {
+        result = await applyDelete(owner, mutation);
+      }
+
+      results.push({
+        op: mutation.op,
+        ...(mutation.op === 'create'
+          ? { clientId: mutation.clientId }
+          : { id: mutation.id }),
+        ...result,
+      });
+    }
+
+    const summary = {
+      created: 0,
+      updated: 0,
+      deleted: 0,
+      conflict: 0,
+      not_found: 0,
+      failed: 0,
+    };
+    for (const result of results) summary[result.status]++;
+
+    res.status(200).json({ summary, results });
+  } catch (error) {
+    next(error);
+  }
+}
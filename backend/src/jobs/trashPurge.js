@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Background job that empties expired notes from the trash.
+ *
+ * Deleted notes are kept in the trash (with a `deletedAt` timestamp) so they
+ * can be restored. This job periodically removes notes whose `deletedAt` is
+ * older than the configured retention period, and exposes the shared purge
+ * helper used by the "delete forever" and "empty trash" endpoints. Each run
+ * also deletes attachment files that failed to delete earlier.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import Note, { IN_TRASH } from '../models/Note.js';
+import NoteRevision from '../models/NoteRevision.js';
+import NoteTombstone from '../models/NoteTombstone.js';
+import ShareLink from '../models/ShareLink.js';
+import SyncCounter from '../models/SyncCounter.js';
+import {
+  attachmentKey,
+  removeAttachmentFiles,
+  retryOrphanedFiles,
+} from '../lib/attachments.js';
+import {
+  TRASH_PURGE_INTERVAL_MINUTES,
+  TRASH_RETENTION_DAYS,
+} from '../config/trash.js';
+
+/**
+ * Permanently deletes every trashed note matching a filter.
+ *
+ * The filter is always combined with `deletedAt: { $ne: null }`, so this
+ * helper can never remove a note that isn't already in the trash, no matter
+ * what the caller passes in. The revision history, share links and
+ * attached files of each purged note are removed along with it (files
+ * that fail to delete are recorded and retried on a later run), and a
+ * tombstone is left in its place so `GET /api/sync` can still tell clients
+ * the note is gone. Notes are deleted one at a time so that this cleanup
+ * only ever covers notes that really were deleted: one restored while the
+ * purge runs keeps everything.
+ *
+ * **Why one helper for every purge path?**
+ * - **Safety**: The "must be in the trash" guard lives in exactly one place
+ * - **Consistency**: Manual deletes, "empty trash" and the scheduled job all
+ *   remove notes the same way
+ *
+ * @async
+ * @function purgeNotes
+ * @param {Object} [filter={}] - Additional MongoDB filter (e.g. `{ _id }`)
+ * @returns {Promise<number>} Number of notes permanently deleted
+ *
+ * @example
+ * // Delete one trashed note forever
+ * await purgeNotes({ _id: noteId });
+ *
+ * @see {@link ../controllers/notesController.js} Controllers that purge notes on demand
+ */
+export async function purgeNotes(filter = {}) {
+  const candidates = await Note.find({ ...filter, ...IN_TRASH }).select('_id');
+
+  // Each note is deleted on its own, and only while still in the trash, so
+  // a note restored since the find above is left alone. Everything below
+  // works from the notes actually deleted, never from the candidates.
+  const notes = [];
+  for (const { _id } of candidates) {
+    const note = await Note.findOneAndDelete({ _id, ...IN_TRASH }).select(
+      'owner attachments._id'
+    );
+    if (note) notes.push(note);
+  }
+  if (notes.length === 0) return 0;
+
+  const ids = notes.map((note) => note._id);
+  await NoteRevision.deleteMany({ note: { $in: ids } });
+  await ShareLink.deleteMany({ note: { $in: ids } });
+  await removeAttachmentFiles(
+    notes.flatMap(({ _id, owner, attachments }) =>
+      attachments.map((attachment) => attachmentKey(owner, _id, attachment._id))
+    )
+  );
+
+  // The scheduled purge spans every user, and each has their own counter
+  const notesByOwner = new Map();
+  for (const note of notes) {
+    const key = String(note.owner);
+    notesByOwner.set(key, [...(notesByOwner.get(key) ?? []), note]);
+  }
+  for (const ownerNotes of notesByOwner.values()) {
+    const { owner } = ownerNotes[0];
+    await SyncCounter.withNext(owner, (syncSeq) =>
+      NoteTombstone.insertMany(
+        ownerNotes.map(({ _id }) => ({ owner, note: _id, syncSeq }))
+      )
+    );
+  }
+
+  return notes.length;
+}
+
+/**
+ * Purges every note that has been in the trash longer than the retention period.
+ *
+ * @async
+ * @function purgeExpiredTrash
+ * @param {Date} [now=new Date()] - Reference time (injectable for testing)
+ * @returns {Promise<number>} Number of notes permanently deleted
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(
+    now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+  return purgeNotes({ deletedAt: { $lte: cutoff } });
+}
+
+/**
+ * Starts the recurring trash purge job.
+ *
+ * The job runs once right away (so notes that expired while the server was
+ * down are cleaned up promptly) and then every
+ * `TRASH_PURGE_INTERVAL_MINUTES`. After the purge, each run retries the
+ * attachment files recorded as failed deletions. The timer is `unref`'d so
+ * it never keeps the Node.js process alive on its own.
+ *
+ * **Error Handling:**
+ * - A failed run (e.g. a transient database error) is ignored; the next
+ *   scheduled run simply tries again, since purging is idempotent
+ * - A failed purge doesn't skip the retry of leftover files, nor the
+ *   other way round
+ *
+ * @function startTrashPurgeJob
+ * @returns {NodeJS.Timeout} Interval handle (pass to `clearInterval` to stop)
+ *
+ * @example
+ * // Called in server.js once the database connection is established
+ * connectDB().then(() => {
+ *   startTrashPurgeJob();
+ * });
+ *
+ * @see {@link ../server.js} Server startup sequence that starts this job
+ * @see {@link ../config/trash.js} Retention and interval configuration
+ */
+export function startTrashPurgeJob() {
+  // Both are retried on the next tick
+  const run = () =>
+    purgeExpiredTrash()
+      .catch(() => {})
+      .then(() => retryOrphanedFiles())
+      .catch(() => {});
+
+  run();
+  const timer = setInterval(run, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Storage drivers for note attachments in the Dex Note Taking App.
+ *
+ * Both drivers implement the same small interface, so the attachment
+ * controller doesn't care where files are kept:
+ *
+ * ```js
+ * await store.put(key, buffer, contentType);
+ * const stream = await store.get(key, { start, end }); // range is optional
+ * await store.remove(key);
+ * ```
+ *
+ * Keys are `/`-separated paths built from IDs (see `attachmentKey`), never
+ * from user input. `get` takes an inclusive byte range, as in an HTTP
+ * `Range` header, and resolves with a readable stream of just those bytes;
+ * it rejects with a 404 `ApiError` when the file is missing. `remove` is a
+ * no-op for a file that is already gone.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from '@aws-sdk/client-s3';
+import { notFound } from './errors.js';
+
+/**
+ * Creates a store that keeps attachments as files in a local directory.
+ *
+ * Needs no external service, which makes it the default. Files only live
+ * as long as the disk does, and are not shared between instances.
+ *
+ * @function createLocalStore
+ * @param {string} directory - Absolute path of the directory to use; created
+ *   on the first upload
+ * @returns {{name: string, put: Function, get: Function, remove: Function}} Attachment store
+ *
+ * @example
+ * const store = createLocalStore('/var/lib/dex/uploads');
+ * await store.put('66a0.../66a1.../66a2...', buffer, 'image/png');
+ */
+export function createLocalStore(directory) {
+  const filePath = (key) => path.join(directory, ...key.split('/'));
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const file = filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+
+    async get(key, range) {
+      let handle;
+      try {
+        handle = await fs.open(filePath(key), 'r');
+      } catch (error) {
+        if (error.code === 'ENOENT') throw notFound('Attachment not found');
+        throw error;
+      }
+      // The stream closes the file once it has been read or destroyed
+      return handle.createReadStream(range ?? {});
+    },
+
+    async remove(key) {
+      await fs.rm(filePath(key), { force: true });
+    },
+  };
+}
+
+/**
+ * Creates a store that keeps attachments in an S3-compatible bucket.
+ *
+ * Every server instance reads and writes the same bucket, and files
+ * survive redeploys. Ranges are passed on to S3, so only the requested
+ * bytes travel through the server.
+ *
+ * @function createS3Store
+ * @param {Object} settings - Connection settings, see `ATTACHMENT_S3`
+ * @returns {{name: string, put: Function, get: Function, remove: Function}} Attachment store
+ * @throws {Error} If no bucket is configured
+ *
+ * @see {@link ../config/attachments.js} Where the settings come from
+ * @see {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/client/s3/} AWS SDK S3 client documentation
+ */
+export function createS3Store(settings) {
+  if (!settings.bucket) {
+    throw new Error(
+      'ATTACHMENT_S3_BUCKET must be set when ATTACHMENT_STORAGE is "s3"'
+    );
+  }
+
+  const client = new S3Client({
+    region: settings.region,
+    endpoint: settings.endpoint,
+    forcePathStyle: settings.forcePathStyle,
+    credentials:
+      settings.accessKeyId && settings.secretAccessKey
+        ? {
+            accessKeyId: settings.accessKeyId,
+            secretAccessKey: settings.secretAccessKey,
+          }
+        : undefined,
+  });
+  const Bucket = settings.bucket;
+
+  return {
+    name: 's3',
+
+    async put(key, body, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    async get(key, range) {
+      try {
+        const { Body } = await client.send(
+          new GetObjectCommand({
+            Bucket,
+            Key: key,
+            Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+          })
+        );
+        return Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey') throw notFound('Attachment not found');
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      // Deleting a missing object succeeds, so there's nothing to check
+      await client.send(new DeleteObjectCommand({ Bucket, Key: key }));
+    },
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Attachment helpers for the Dex Note Taking App backend.
+ *
+ * Holds the store attachments are kept in, chosen by `ATTACHMENT_STORAGE`,
+ * and the checks an upload goes through before it is stored: its type has
+ * to be allowed and match what the file actually contains, and its name is
+ * cleaned up for use in a download. Files that fail to delete are recorded
+ * and deleted again later, so none is silently left behind.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import path from 'node:path';
+import {
+  ATTACHMENT_DIR,
+  ATTACHMENT_S3,
+  ATTACHMENT_STORAGE,
+  ATTACHMENT_TYPES,
+} from '../config/attachments.js';
+import OrphanedFile from '../models/OrphanedFile.js';
+import { createLocalStore, createS3Store } from './attachmentStores.js';
+import { ApiError } from './errors.js';
+
+/**
+ * Store every attachment is written to and read from.
+ *
+ * @type {{name: string, put: Function, get: Function, remove: Function}}
+ *
+ * @see {@link ./attachmentStores.js} Store interface
+ */
+export const attachmentStore =
+  ATTACHMENT_STORAGE === 's3'
+    ? createS3Store(ATTACHMENT_S3)
+    : createLocalStore(ATTACHMENT_DIR);
+
+/**
+ * Longest file name kept for an attachment, in characters.
+ *
+ * @type {number}
+ */
+export const MAX_FILENAME_LENGTH = 255;
+
+/**
+ * Leading bytes that identify file types browsers render themselves.
+ *
+ * The type a browser sends with an upload comes from the file name, so a
+ * renamed file would otherwise be stored, and later served, as something it
+ * isn't. Files of these types must start with their signature.
+ *
+ * @type {Array<{type: string, matches: Function}>}
+ */
+const SIGNATURES = [
+  {
+    type: 'image/png',
+    matches: (bytes) =>
+      bytes
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    type: 'image/jpeg',
+    matches: (bytes) =>
+      bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  },
+  {
+    type: 'image/gif',
+    matches: (bytes) => /^GIF8[79]a/.test(bytes.toString('latin1', 0, 6)),
+  },
+  {
+    type: 'image/webp',
+    matches: (bytes) =>
+      bytes.toString('latin1', 0, 4) === 'RIFF' &&
+      bytes.toString('latin1', 8, 12) === 'WEBP',
+  },
+  {
+    type: 'application/pdf',
+    matches: (bytes) => bytes.toString('latin1', 0, 5) === '%PDF-',
+  },
+];
+
+/**
+ * Builds the storage key of an attachment.
+ *
+ * Grouping by owner and note keeps one user's files together, which makes
+ * them easy to find, back up or remove in the bucket or directory.
+ *
+ * @function attachmentKey
+ * @param {string|Object} ownerId - ID of the note's owner
+ * @param {string|Object} noteId - ID of the note
+ * @param {string|Object} attachmentId - ID of the attachment
+ * @returns {string} Key such as "66a0.../66a1.../66a2..."
+ */
+export function attachmentKey(ownerId, noteId, attachmentId) {
+  return `${ownerId}/${noteId}/${attachmentId}`;
+}
+
+/**
+ * Deletes attachment files that nothing refers to any more.
+ *
+ * Every file is tried, even after one fails. A file that fails to delete is
+ * recorded as an `OrphanedFile`, which `retryOrphanedFiles` deletes later;
+ * only a failure to record it is thrown.
+ *
+ * @async
+ * @function removeAttachmentFiles
+ * @param {Array<string>} keys - Storage keys from `attachmentKey`
+ * @returns {Promise<number>} Number of files that failed and were recorded
+ */
+export async function removeAttachmentFiles(keys) {
+  let failed = 0;
+  for (const key of keys) {
+    try {
+      await attachmentStore.remove(key);
+    } catch (error) {
+      await OrphanedFile.updateOne(
+        { key },
+        { $inc: { attempts: 1 }, $set: { lastError: error.message } },
+        { upsert: true }
+      );
+      failed++;
+    }
+  }
+  return failed;
+}
+
+/**
+ * Deletes the files recorded by `removeAttachmentFiles`.
+ *
+ * A record is removed once its file is gone; a file that still fails keeps
+ * its record, with the attempt counted, for the next run.
+ *
+ * @async
+ * @function retryOrphanedFiles
+ * @returns {Promise<number>} Number of files deleted
+ *
+ * @see {@link ../jobs/trashPurge.js} Job that calls this on every run
+ */
+export async function retryOrphanedFiles() {
+  const orphans = await OrphanedFile.find().select('key');
+  let removed = 0;
+  for (const { _id, key } of orphans) {
+    try {
+      await attachmentStore.remove(key);
+    } catch (error) {
+      await OrphanedFile.updateOne(
+        { _id },
+        { $inc: { attempts: 1 }, $set: { lastError: error.message } }
+      );
+      continue;
+    }
+    await OrphanedFile.deleteOne({ _id });
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * Works out the type an uploaded file is stored and served as.
+ *
+ * A file whose content has a known signature is that type, whatever the
+ * browser claimed. A file without one keeps the type it was sent with,
+ * unless that type requires a signature (a "PNG" that isn't one).
+ *
+ * @function attachmentType
+ * @param {Object} file - Upload from multer, with `buffer` and `mimetype`
+ * @returns {string} MIME type, one of `ATTACHMENT_TYPES`
+ * @throws {ApiError} 415 `UNSUPPORTED_MEDIA_TYPE` if the type isn't allowed
+ *   or doesn't match the content
+ *
+ * @example
+ * attachmentType({ mimetype: 'image/jpeg', buffer: pngBytes });
+ * // Returns: 'image/png'
+ */
+export function attachmentType(file) {
+  const declared = file.mimetype.split(';')[0].trim().toLowerCase();
+  const detected = SIGNATURES.find(({ matches }) => matches(file.buffer))?.type;
+  const type =
+    detected ??
+    (SIGNATURES.some((signature) => signature.type === declared)
+      ? null
+      : declared);
+
+  if (!type || !ATTACHMENT_TYPES.includes(type)) {
+    throw new ApiError(
+      415,
+      'UNSUPPORTED_MEDIA_TYPE',
+      type
+        ? 'This type of file cannot be attached'
+        : "The file's content doesn't match its type",
+      { allowedTypes: ATTACHMENT_TYPES }
+    );
+  }
+  return type;
+}
+
+/**
+ * Cleans up an uploaded file's name: no directories, no control
+ * characters, at most `MAX_FILENAME_LENGTH` characters.
+ *
+ * @function attachmentFilename
+ * @param {string} name - Name the browser sent
+ * @returns {string} Name to store, "attachment" if nothing is left
+ *
+ * @example
+ * attachmentFilename('C:\\Users\\me\\screenshot.png');
+ * // Returns: 'screenshot.png'
+ */
+export function attachmentFilename(name) {
+  const cleaned = path.posix
+    .basename(name.replaceAll('\\', '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim()
+    .slice(0, MAX_FILENAME_LENGTH);
+  return cleaned || 'attachment';
+}
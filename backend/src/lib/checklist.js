@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Checklist helpers for the Dex Note Taking App backend.
+ *
+ * Checklist notes keep their items as structured data (see `models/Note.js`),
+ * but everything that takes a note out of the app — Markdown and JSON
+ * exports, share links, calendar events — only knows about text. There a
+ * checklist is written as a Markdown task list after the note's content, the
+ * same form GitHub and most Markdown editors understand.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+/**
+ * Numbers items by their position, the form they are stored in.
+ *
+ * @function numberItems
+ * @param {Array<Object>} items - Items in display order
+ * @returns {Array<Object>} The same items with `order` set to 0..n-1
+ *
+ * @example
+ * numberItems([{ text: 'Milk' }, { text: 'Eggs', done: true }]);
+ * // Returns: [{ text: 'Milk', order: 0 }, { text: 'Eggs', done: true, order: 1 }]
+ */
+export function numberItems(items) {
+  return items.map((item, order) => ({ ...item, order }));
+}
+
+/**
+ * Renders a note's body as Markdown: the content as is for text notes, and
+ * the content followed by a task list for checklists.
+ *
+ * @function toMarkdownBody
+ * @param {Object} note - Note with `content`, and `type` and `items` for checklists
+ * @returns {string} Markdown text
+ *
+ * @example
+ * toMarkdownBody({
+ *   type: 'checklist',
+ *   content: 'For Saturday',
+ *   items: [{ text: 'Milk', done: true, order: 0 }, { text: 'Eggs', done: false, order: 1 }],
+ * });
+ * // Returns: "For Saturday\n\n- [x] Milk\n- [ ] Eggs"
+ */
+export function toMarkdownBody(note) {
+  if (note.type !== 'checklist' || !note.items?.length) return note.content;
+
+  const list = [...note.items]
+    .sort((a, b) => a.order - b.order)
+    .map((item) => `- [${item.done ? 'x' : ' '}] ${item.text}`)
+    .join('\n');
+  return note.content.trim() ? `${note.content.trimEnd()}\n\n${list}` : list;
+}
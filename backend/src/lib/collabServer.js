@@ -0,0 +1,610 @@
+/**
+ * @fileoverview WebSocket server for live note editing in the Dex Note Taking App.
+ *
+ * A note's owner can edit its content in several tabs and on several
+ * devices at once. Each note being edited gets a "room" holding a Yjs
+ * document (a CRDT, so concurrent and offline edits merge without
+ * conflicts) and the presence of every tab in it: which are viewing and
+ * where their cursor is.
+ *
+ * **Scope:** notes belong to one user, and only the owner can join a
+ * note's room: tickets are issued to the owner alone, and the room is
+ * opened for the ticket's user only if that user owns the note. Editing a
+ * note together with other people would need notes to be shared with
+ * them first, which the app doesn't support.
+ *
+ * **Protocol:**
+ * - Connections are made to `/api/collab/:noteId?ticket=...`, with a ticket
+ *   from `POST /api/notes/:id/collab-ticket`
+ * - Messages use the standard Yjs wire format from `y-protocols`: a sync
+ *   message (type 0) carries document state, an awareness message (type 1)
+ *   carries presence
+ *
+ * **Persistence:**
+ * - A few seconds after the last change (and when the last editor leaves),
+ *   the room saves the document state to `Note.collabState` and its text to
+ *   `Note.content`, recording an autosave revision and publishing a note
+ *   event like any other edit
+ * - Content written through the REST API (a revert, or an older client)
+ *   is merged into the document as an ordinary edit, both when a room is
+ *   opened and while it is live
+ * - Each save bumps the note's version (`__v`) like any other edit, so a
+ *   REST or sync save based on an older version gets a 409 instead of
+ *   overwriting the session's text. Editors in the session compare the
+ *   title and tags only and rebase on the new version
+ *
+ * Rooms live in this server process, so every editor of a note has to be
+ * connected to the same instance.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { WebSocket, WebSocketServer } from 'ws';
+import * as Y from 'yjs';
+import * as syncProtocol from 'y-protocols/sync';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+import Note, { MAX_CONTENT_LENGTH, NOT_DELETED } from '../models/Note.js';
+import NoteRevision from '../models/NoteRevision.js';
+import SyncCounter from '../models/SyncCounter.js';
+import { verifyCollabTicket } from './tokens.js';
+import { publishNoteEvent, subscribeToNoteEvents } from './noteEvents.js';
+
+/**
+ * URL path under which collaboration sessions are served, followed by the note ID.
+ *
+ * @type {string}
+ */
+export const COLLAB_PATH_PREFIX = '/api/collab/';
+
+/**
+ * WebSocket close code sent when the note is no longer available, e.g.
+ * it was moved to the trash. Clients stop reconnecting on it.
+ *
+ * @type {number}
+ */
+export const CLOSE_NOTE_GONE = 4404;
+
+/**
+ * Message type carrying document state (sync step 1, step 2 or an update).
+ *
+ * @type {number}
+ */
+const MESSAGE_SYNC = 0;
+
+/**
+ * Message type carrying presence (awareness) changes.
+ *
+ * @type {number}
+ */
+const MESSAGE_AWARENESS = 1;
+
+/**
+ * Quiet period after the last change before a room is saved.
+ *
+ * @type {number}
+ */
+const PERSIST_DELAY_MS = 2000;
+
+/**
+ * Interval between pings that detect connections which dropped silently.
+ *
+ * @type {number}
+ */
+const PING_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Largest accepted WebSocket message. A note's content is capped at
+ * `MAX_CONTENT_LENGTH` characters, so even a full-document sync fits.
+ *
+ * @type {number}
+ */
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+/**
+ * Transaction origin for changes the server makes itself (loading and
+ * merging REST edits), as opposed to changes from a connection.
+ *
+ * @type {string}
+ */
+const SERVER_ORIGIN = 'server';
+
+/**
+ * Open rooms by note ID, each stored as the promise that loads it.
+ *
+ * @type {Map<string, Promise<Object|null>>}
+ */
+const rooms = new Map();
+
+/**
+ * Replaces the text of a `Y.Text` with `value` as a single edit.
+ *
+ * Only the part between the common prefix and suffix is deleted and
+ * re-inserted, so concurrent edits elsewhere in the text are unaffected.
+ *
+ * @function replaceText
+ * @param {Y.Text} ytext - Text to change
+ * @param {string} value - Text it should hold afterwards
+ * @returns {void}
+ */
+function replaceText(ytext, value) {
+  const current = ytext.toString();
+  if (current === value) return;
+
+  let start = 0;
+  while (
+    start < current.length &&
+    start < value.length &&
+    current[start] === value[start]
+  ) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < current.length - start &&
+    end < value.length - start &&
+    current[current.length - 1 - end] === value[value.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  ytext.delete(start, current.length - start - end);
+  ytext.insert(start, value.slice(start, value.length - end));
+}
+
+/**
+ * Encodes an awareness message for the given clients.
+ *
+ * @function awarenessMessage
+ * @param {awarenessProtocol.Awareness} awareness - Room presence
+ * @param {Array<number>} clients - Yjs client IDs whose state changed
+ * @returns {Uint8Array} Message ready to send
+ */
+function awarenessMessage(awareness, clients) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+  encoding.writeVarUint8Array(
+    encoder,
+    awarenessProtocol.encodeAwarenessUpdate(awareness, clients)
+  );
+  return encoding.toUint8Array(encoder);
+}
+
+/**
+ * Sends a message if the connection is still open.
+ *
+ * @function send
+ * @param {WebSocket} ws - Connection
+ * @param {Uint8Array} message - Encoded message
+ * @returns {void}
+ */
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(message);
+}
+
+/**
+ * Sends a message to every connection in a room except `except`.
+ *
+ * @function broadcast
+ * @param {Object} room - Room
+ * @param {Uint8Array} message - Encoded message
+ * @param {WebSocket} [except] - Connection the change came from
+ * @returns {void}
+ */
+function broadcast(room, message, except) {
+  for (const ws of room.conns.keys()) {
+    if (ws !== except) send(ws, message);
+  }
+}
+
+/**
+ * Runs a task after the room's earlier database work has finished.
+ *
+ * Saves and merges of REST edits read and write `persistedContent`, so they
+ * must not interleave. A failed task is not retried: every editor still
+ * holds the changes and sends them again when it next syncs.
+ *
+ * @function enqueue
+ * @param {Object} room - Room
+ * @param {Function} task - Async function to run
+ * @returns {Promise<void>} Resolves when the task has finished or failed
+ */
+function enqueue(room, task) {
+  room.queue = room.queue.then(task).catch(() => {});
+  return room.queue;
+}
+
+/**
+ * Saves a room's document to its note.
+ *
+ * The document state is always saved. The text is only written to
+ * `content` when it changed and is a valid note body (not empty, within
+ * `MAX_CONTENT_LENGTH`); otherwise `content` keeps the last valid text,
+ * and the next room opened for the note starts from it.
+ *
+ * `persistedAt` records the `updatedAt` of the saved note, which tells
+ * note events that were already overtaken by this save apart from newer
+ * REST edits.
+ *
+ * @function persistRoom
+ * @param {Object} room - Room to save
+ * @returns {Promise<void>} Resolves when this save has finished
+ */
+function persistRoom(room) {
+  clearTimeout(room.persistTimer);
+  room.persistTimer = null;
+
+  return enqueue(room, async () => {
+    const content = room.text.toString();
+    const collabState = Buffer.from(Y.encodeStateAsUpdate(room.doc));
+    const filter = { _id: room.noteId, owner: room.ownerId, ...NOT_DELETED };
+
+    if (
+      content === room.persistedContent ||
+      !content.trim() ||
+      content.length > MAX_CONTENT_LENGTH
+    ) {
+      await Note.updateOne(filter, { collabState }, { timestamps: false });
+      return;
+    }
+
+    const currentNote = await Note.findOne(filter);
+    if (!currentNote) return;
+    await NoteRevision.ensureBaseline(currentNote);
+
+    const note = await SyncCounter.withNext(room.ownerId, (syncSeq) =>
+      Note.findOneAndUpdate(
+        filter,
+        { content, collabState, syncSeq, $inc: { __v: 1 } },
+        { new: true }
+      )
+    );
+    if (!note) return;
+    room.persistedContent = content;
+    room.persistedAt = note.updatedAt;
+
+    await NoteRevision.record(note, { autosave: true });
+    publishNoteEvent(room.ownerId, 'updated', { note });
+  });
+}
+
+/**
+ * Schedules a save of the room once changes stop for `PERSIST_DELAY_MS`.
+ *
+ * @function schedulePersist
+ * @param {Object} room - Room that changed
+ * @returns {void}
+ */
+function schedulePersist(room) {
+  clearTimeout(room.persistTimer);
+  room.persistTimer = setTimeout(() => persistRoom(room), PERSIST_DELAY_MS);
+}
+
+/**
+ * Closes every connection of a room, e.g. when its note was trashed.
+ *
+ * @function closeConnections
+ * @param {Object} room - Room
+ * @param {number} code - WebSocket close code
+ * @param {string} reason - Close reason
+ * @returns {void}
+ */
+function closeConnections(room, code, reason) {
+  for (const ws of room.conns.keys()) ws.close(code, reason);
+}
+
+/**
+ * Opens the room of a note, loading its document from the database.
+ *
+ * A note that has never been edited collaboratively gets a new document
+ * built from its content, which is saved right away: every editor has to
+ * start from the same document history, or their offline copies would
+ * merge as duplicated text.
+ *
+ * @async
+ * @function loadRoom
+ * @param {string} noteId - Note to open
+ * @param {mongoose.Types.ObjectId} ownerId - Owner of the note
+ * @returns {Promise<Object|null>} The room, or null if the note doesn't
+ *   exist, isn't the owner's, or is in the trash
+ */
+async function loadRoom(noteId, ownerId) {
+  const note = await Note.findOne({
+    _id: noteId,
+    owner: ownerId,
+    ...NOT_DELETED,
+  }).select('+collabState');
+  if (!note) return null;
+
+  const doc = new Y.Doc();
+  if (note.collabState) Y.applyUpdate(doc, note.collabState);
+  const text = doc.getText('content');
+
+  // Brings in content saved over REST since the document was last saved
+  const stateBefore = Y.encodeStateVector(doc);
+  doc.transact(() => replaceText(text, note.content), SERVER_ORIGIN);
+  if (
+    !note.collabState ||
+    !Buffer.from(stateBefore).equals(Buffer.from(Y.encodeStateVector(doc)))
+  ) {
+    await Note.updateOne(
+      { _id: noteId },
+      { collabState: Buffer.from(Y.encodeStateAsUpdate(doc)) },
+      { timestamps: false }
+    );
+  }
+
+  const awareness = new awarenessProtocol.Awareness(doc);
+  awareness.setLocalState(null); // the server isn't a participant
+
+  const room = {
+    noteId,
+    ownerId,
+    doc,
+    text,
+    awareness,
+    conns: new Map(), // connection → Yjs client IDs it controls
+    persistedContent: note.content,
+    persistedAt: note.updatedAt,
+    persistTimer: null,
+    queue: Promise.resolve(),
+    destroyed: false,
+  };
+
+  doc.on('update', (update, origin) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    broadcast(room, encoding.toUint8Array(encoder), origin);
+    schedulePersist(room);
+  });
+
+  awareness.on('update', ({ added, updated, removed }, origin) => {
+    const clientIds = room.conns.get(origin);
+    if (clientIds) {
+      for (const id of added) clientIds.add(id);
+      for (const id of removed) clientIds.delete(id);
+    }
+    broadcast(
+      room,
+      awarenessMessage(awareness, [...added, ...updated, ...removed])
+    );
+  });
+
+  room.unsubscribe = subscribeToNoteEvents(ownerId, ({ type, data }) => {
+    if (type === 'deleted' && String(data.id) === noteId) {
+      closeConnections(room, CLOSE_NOTE_GONE, 'Note moved to trash');
+    } else if (type === 'updated' && String(data.note._id) === noteId) {
+      // Content written over REST while the room is open. Events of this
+      // room's own saves, and of REST writes the last save overtook, are
+      // skipped.
+      enqueue(room, () => {
+        const { content, updatedAt } = data.note;
+        if (
+          room.destroyed ||
+          content === room.persistedContent ||
+          updatedAt < room.persistedAt
+        ) {
+          return;
+        }
+        room.persistedContent = content;
+        room.persistedAt = updatedAt;
+        doc.transact(() => replaceText(text, content), SERVER_ORIGIN);
+      });
+    }
+  });
+
+  return room;
+}
+
+/**
+ * Returns the open room of a note, opening it if needed.
+ *
+ * Concurrent joins share one load, so a note never has two rooms.
+ *
+ * @function joinRoom
+ * @param {string} noteId - Note to open
+ * @param {mongoose.Types.ObjectId} ownerId - User joining
+ * @returns {Promise<Object|null>} The room, or null if the user can't edit the note
+ */
+function joinRoom(noteId, ownerId) {
+  let loading = rooms.get(noteId);
+  if (!loading) {
+    loading = loadRoom(noteId, ownerId);
+    rooms.set(noteId, loading);
+    loading.then(
+      (room) => {
+        if (!room) rooms.delete(noteId);
+      },
+      () => rooms.delete(noteId)
+    );
+  }
+
+  return loading.then((room) =>
+    room && String(room.ownerId) === String(ownerId) ? room : null
+  );
+}
+
+/**
+ * Removes a connection from its room, closing the room if it was the last.
+ *
+ * The closing room is saved before it is forgotten, and stays joinable
+ * until then, so an editor arriving meanwhile can't open a second room
+ * from the older saved state.
+ *
+ * @function leaveRoom
+ * @param {Object} room - Room
+ * @param {WebSocket} ws - Connection that closed
+ * @returns {void}
+ */
+function leaveRoom(room, ws) {
+  const clientIds = room.conns.get(ws);
+  room.conns.delete(ws);
+  awarenessProtocol.removeAwarenessStates(room.awareness, [...clientIds], null);
+
+  if (room.conns.size > 0) return;
+  persistRoom(room).then(() => {
+    if (room.conns.size > 0 || room.destroyed) return;
+    room.destroyed = true;
+    rooms.delete(room.noteId);
+    room.unsubscribe();
+    room.awareness.destroy();
+    room.doc.destroy();
+  });
+}
+
+/**
+ * Handles one message from a connection.
+ *
+ * @function handleMessage
+ * @param {Object} room - Room of the connection
+ * @param {WebSocket} ws - Connection
+ * @param {Uint8Array} message - Raw message
+ * @returns {void}
+ */
+function handleMessage(room, ws, message) {
+  const decoder = decoding.createDecoder(message);
+  const type = decoding.readVarUint(decoder);
+
+  if (type === MESSAGE_SYNC) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.readSyncMessage(decoder, encoder, room.doc, ws);
+    // A sync step 1 from the client gets the missing state back
+    if (encoding.length(encoder) > 1) send(ws, encoding.toUint8Array(encoder));
+  } else if (type === MESSAGE_AWARENESS) {
+    awarenessProtocol.applyAwarenessUpdate(
+      room.awareness,
+      decoding.readVarUint8Array(decoder),
+      ws
+    );
+  }
+}
+
+/**
+ * Adds a new connection to a room and sends it the room's state.
+ *
+ * @function handleConnection
+ * @param {WebSocket} ws - Upgraded connection
+ * @param {Object} room - Room it joins
+ * @returns {void}
+ */
+function handleConnection(ws, room) {
+  if (room.destroyed) {
+    // The room closed while this connection was being upgraded
+    ws.close(1013, 'Try again');
+    return;
+  }
+
+  room.conns.set(ws, new Set());
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+  ws.on('message', (data) => {
+    try {
+      handleMessage(room, ws, new Uint8Array(data));
+    } catch {
+      ws.close(1007, 'Malformed message');
+    }
+  });
+  ws.on('close', () => leaveRoom(room, ws));
+
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_SYNC);
+  syncProtocol.writeSyncStep1(encoder, room.doc);
+  send(ws, encoding.toUint8Array(encoder));
+
+  const states = room.awareness.getStates();
+  if (states.size > 0)
+    send(ws, awarenessMessage(room.awareness, [...states.keys()]));
+}
+
+/**
+ * Answers an upgrade request with an HTTP error and closes the socket.
+ *
+ * @function rejectUpgrade
+ * @param {net.Socket} socket - Socket of the upgrade request
+ * @param {number} status - HTTP status code
+ * @param {string} message - Status text
+ * @returns {void}
+ */
+function rejectUpgrade(socket, status, message) {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+}
+
+/**
+ * Serves collaboration sessions on the HTTP server's WebSocket upgrades.
+ *
+ * **Upgrade checks:**
+ * - The path must be `COLLAB_PATH_PREFIX` followed by a note ID
+ * - 401 if the `ticket` is missing, expired or issued for another note
+ * - 404 if the note doesn't exist, isn't the user's, or is in the trash
+ *
+ * A ping every `PING_INTERVAL_MS` drops connections that stopped
+ * answering, which frees their presence in the room.
+ *
+ * @function attachCollabServer
+ * @param {http.Server} server - Server returned by `app.listen`
+ * @returns {WebSocketServer} The WebSocket server
+ *
+ * @example
+ * // In server.js
+ * const server = app.listen(PORT);
+ * attachCollabServer(server);
+ *
+ * @see {@link ../controllers/collabController.js} Ticket endpoint
+ * @see {@link ../../frontend/src/lib/collabProvider.js} Frontend client
+ */
+export function attachCollabServer(server) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_MESSAGE_BYTES,
+  });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith(COLLAB_PATH_PREFIX)) {
+      rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+
+    const noteId = url.pathname.slice(COLLAB_PATH_PREFIX.length);
+    const ticket = verifyCollabTicket(url.searchParams.get('ticket') ?? '');
+    if (!ticket || ticket.noteId !== noteId) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    let room;
+    try {
+      room = await joinRoom(noteId, ticket.userId);
+    } catch {
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+      return;
+    }
+    if (!room) {
+      rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, room));
+  });
+
+  const pinger = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL_MS);
+  pinger.unref();
+  wss.on('close', () => clearInterval(pinger));
+
+  return wss;
+}
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Opaque pagination cursors for the Dex Note Taking App backend.
+ *
+ * Cursor pagination identifies a page by the last item the client has seen
+ * instead of by a numeric offset. This module turns the sort key of that last
+ * item into an opaque, URL-safe string (and back), so the API can hand out
+ * `nextCursor` values without exposing or committing to their format.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Encodes the sort key of a note into an opaque cursor string.
+ *
+ * The cursor holds both `createdAt` and `_id`: `createdAt` gives the order,
+ * and `_id` breaks ties between notes created in the same millisecond, so no
+ * note is ever skipped or repeated at a page boundary.
+ *
+ * @function encodeCursor
+ * @param {Object} note - Last note on the current page
+ * @param {Date} note.createdAt - Creation timestamp of the note
+ * @param {mongoose.Types.ObjectId|string} note._id - ID of the note
+ * @returns {string} Base64url-encoded cursor
+ *
+ * @example
+ * encodeCursor({ _id: '665f...', createdAt: new Date('2025-01-01') });
+ * // Returns: "eyJjIjoiMjAyNS0wMS0wMVQwMDowMDowMC4wMDBaIiwiaSI6IjY2NWYuLi4ifQ"
+ */
+export function encodeCursor(note) {
+  const payload = {
+    c: new Date(note.createdAt).toISOString(),
+    i: String(note._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor string produced by `encodeCursor`.
+ *
+ * Cursors come straight from the query string, so anything that doesn't
+ * decode to a valid date and ObjectId is rejected by returning `null`. The
+ * caller turns that into a 400 response.
+ *
+ * @function decodeCursor
+ * @param {string} cursor - Cursor from the `cursor` query parameter
+ * @returns {{createdAt: Date, id: mongoose.Types.ObjectId}|null} Decoded sort key, or null if invalid
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { c, i } = JSON.parse(
+      Buffer.from(String(cursor), 'base64url').toString('utf8')
+    );
+    const createdAt = new Date(c);
+
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(i)) {
+      return null;
+    }
+
+    return { createdAt, id: new mongoose.Types.ObjectId(i) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Builds the MongoDB filter that selects notes after a decoded cursor.
+ *
+ * Notes are listed newest first (`createdAt: -1, _id: -1`), so the next page
+ * holds notes that are strictly older than the cursor, or equally old with a
+ * smaller `_id`. Because the filter is anchored to a fixed sort key rather
+ * than an offset, notes created while the user scrolls only ever appear
+ * *before* the cursor and never shift later pages.
+ *
+ * @function afterCursor
+ * @param {{createdAt: Date, id: mongoose.Types.ObjectId}} cursor - Decoded cursor
+ * @returns {Object} MongoDB filter fragment
+ */
+export function afterCursor({ createdAt, id }) {
+  return {
+    $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: id } }],
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview API error type for the Dex Note Taking App backend.
+ *
+ * Controllers and middleware report expected failures (a missing note, an
+ * invalid field, an expired session) by passing an `ApiError` to `next()`.
+ * The error-handling middleware turns it into the standard error body:
+ *
+ * ```json
+ * { "error": { "code": "NOT_FOUND", "message": "Note not found", "details": null } }
+ * ```
+ *
+ * `code` is a stable, machine-readable identifier clients can branch on;
+ * `message` is written for people and may change.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+/**
+ * Error with an HTTP status, an error code and optional details.
+ *
+ * @class ApiError
+ * @extends Error
+ *
+ * @example
+ * throw new ApiError(404, 'NOT_FOUND', 'Note not found');
+ *
+ * @see {@link ../middleware/errorHandler.js} Middleware that sends these errors
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} code - Machine-readable error code, e.g. "NOT_FOUND"
+   * @param {string} message - Human-readable description
+   * @param {*} [details=null] - Extra data, such as per-field validation errors
+   */
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Creates a 404 error for a resource that doesn't exist (or isn't the
+ * user's, which is reported the same way so IDs can't be probed).
+ *
+ * @function notFound
+ * @param {string} message - Human-readable description, e.g. "Note not found"
+ * @returns {ApiError} The error
+ */
+export function notFound(message) {
+  return new ApiError(404, 'NOT_FOUND', message);
+}
+
+/**
+ * Creates a 400 error for a request the server understood but won't act on.
+ *
+ * @function badRequest
+ * @param {string} message - Human-readable description
+ * @param {*} [details] - Extra data for the client
+ * @returns {ApiError} The error
+ */
+export function badRequest(message, details) {
+  return new ApiError(400, 'BAD_REQUEST', message, details);
+}
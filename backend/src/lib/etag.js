@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Note version ETags for the Dex Note Taking App backend.
+ *
+ * Every note carries a version number (Mongoose's `__v` version key) that
+ * goes up by one on each edit. This module exposes that number to clients
+ * as an HTTP `ETag` and reads it back from `If-Match`, which is how
+ * `PUT /api/notes/:id` detects that someone else saved the note first.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+/**
+ * Formats a note's version as a strong ETag.
+ *
+ * Strong (not `W/`-prefixed) because `If-Match` only ever uses strong
+ * comparison, so a weak ETag could never match.
+ *
+ * @function formatETag
+ * @param {Object} note - Note document or plain object
+ * @returns {string} Quoted ETag, e.g. `"3"`
+ */
+export function formatETag(note) {
+  return `"${note.__v ?? 0}"`;
+}
+
+/**
+ * Sets the `ETag` response header for a note.
+ *
+ * @function setNoteETag
+ * @param {Object} res - Express response object
+ * @param {Object} note - Note being sent in the response
+ * @returns {void}
+ */
+export function setNoteETag(res, note) {
+  res.set('ETag', formatETag(note));
+}
+
+/**
+ * Reads the expected note version from an `If-Match` header.
+ *
+ * @function parseIfMatch
+ * @param {string|undefined} header - Raw `If-Match` header value
+ * @returns {number|null|undefined} The expected version; `undefined` when the
+ *   header is absent or `*` (no precondition); `null` when it is malformed,
+ *   which can never match
+ *
+ * @example
+ * parseIfMatch('"3"'); // Returns: 3
+ * parseIfMatch('*'); // Returns: undefined
+ */
+export function parseIfMatch(header) {
+  if (header === undefined || header.trim() === '*') return undefined;
+
+  const match = /^\s*"(\d+)"\s*$/.exec(header);
+  return match ? Number(match[1]) : null;
+}
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Search highlighting helpers for the Dex Note Taking App backend.
+ *
+ * MongoDB's `$text` search tells us which notes match a query and how well,
+ * but not where the matches are. This module fills that gap: it extracts the
+ * terms from a search query, locates them in a note's title and content, and
+ * splits the text into highlighted segments that the frontend can render
+ * without ever injecting HTML.
+ *
+ * The output format is an array of `{ text, match }` segments rather than a
+ * string with `<mark>` tags, so note content can never be interpreted as
+ * markup on the client.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+/**
+ * Number of characters shown on each side of the first match in a snippet.
+ *
+ * @type {number}
+ */
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Escapes characters that have a special meaning inside a regular expression.
+ *
+ * @param {string} value - Raw search term
+ * @returns {string} Term safe to embed in a RegExp source
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extracts the positive search terms from a `$text` search query.
+ *
+ * The query language supported by MongoDB allows quoted phrases and negated
+ * terms (`-draft`). Negated terms must not be highlighted because they are,
+ * by definition, absent from the results. Phrases are kept intact so the
+ * whole phrase is highlighted rather than its individual words.
+ *
+ * **Why mirror the `$text` syntax?**
+ * - **Consistency**: What's highlighted is what MongoDB actually matched on
+ * - **No surprises**: Excluded terms never light up in the results
+ *
+ * @function extractSearchTerms
+ * @param {string} query - Raw query string from `?q=`
+ * @returns {Array<string>} Lower-cased terms and phrases, longest first
+ *
+ * @example
+ * extractSearchTerms('"meeting notes" budget -draft');
+ * // Returns: ['meeting notes', 'budget']
+ */
+export function extractSearchTerms(query) {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] ?? match[4]).trim().toLowerCase();
+    if (!negated && term) terms.push(term);
+  }
+
+  // Longest first so "meeting notes" wins over "meeting" in the alternation
+  return [...new Set(terms)].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Builds a case-insensitive RegExp matching any of the given terms.
+ *
+ * Each term matches at the start of a word and extends to the end of that
+ * word, which approximates MongoDB's stemming: searching for "plan" also
+ * highlights "planning" and "plans".
+ *
+ * @param {Array<string>} terms - Terms returned by `extractSearchTerms`
+ * @returns {RegExp|null} Global RegExp, or null when there are no terms
+ */
+const buildTermPattern = (terms) => {
+  if (terms.length === 0) return null;
+  const alternation = terms.map(escapeRegExp).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternation})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+/**
+ * Splits text into highlighted and plain segments.
+ *
+ * @function highlightText
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Terms returned by `extractSearchTerms`
+ * @returns {Array<{text: string, match: boolean}>} Ordered segments covering the text
+ *
+ * @example
+ * highlightText('Budget planning', ['plan']);
+ * // Returns: [{ text: 'Budget ', match: false }, { text: 'planning', match: true }]
+ */
+export function highlightText(text, terms) {
+  const pattern = buildTermPattern(terms);
+  if (!pattern || !text) return [{ text: text ?? '', match: false }];
+
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const found of text.matchAll(pattern)) {
+    if (found.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    lastIndex = found.index + found[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+
+  return segments;
+}
+
+/**
+ * Builds a short, highlighted excerpt of note content around the first match.
+ *
+ * Search results replace the card's plain three-line preview with this
+ * snippet, so it shows the part of the note that actually matched instead
+ * of always showing the beginning. Ellipses mark where the text was cut.
+ *
+ * **Snippet Strategy:**
+ * - Centre a window of `SNIPPET_RADIUS` characters on the first match
+ * - Move the window edges to the nearest whitespace to avoid cutting words
+ * - Fall back to the start of the content when only the title matched
+ *
+ * @function buildSnippet
+ * @param {string} content - Full note content
+ * @param {Array<string>} terms - Terms returned by `extractSearchTerms`
+ * @returns {Array<{text: string, match: boolean}>} Highlighted snippet segments
+ */
+export function buildSnippet(content, terms) {
+  const text = (content ?? '').replace(/\s+/g, ' ').trim();
+  const pattern = buildTermPattern(terms);
+  const firstMatch = pattern ? pattern.exec(text) : null;
+  const center = firstMatch ? firstMatch.index : 0;
+
+  let start = Math.max(0, center - SNIPPET_RADIUS);
+  let end = Math.min(text.length, center + SNIPPET_RADIUS * 2);
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < center) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > center) end = space;
+  }
+
+  const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${
+    end < text.length ? '…' : ''
+  }`;
+
+  return highlightText(excerpt, terms);
+}
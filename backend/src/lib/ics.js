@@ -0,0 +1,180 @@
+/**
+ * @fileoverview iCalendar (RFC 5545) rendering for the Dex Note Taking App backend.
+ *
+ * Turns notes with a reminder or a due date into the `.ics` text served by
+ * `GET /api/calendar.ics`, which calendar apps (Google Calendar, Apple
+ * Calendar, Outlook, ...) subscribe to. Each reminder becomes an event with
+ * an alert at its time, and each due date an event of its own.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ *
+ * @see {@link https://www.rfc-editor.org/rfc/rfc5545} iCalendar specification
+ */
+
+import { toMarkdownBody } from './checklist.js';
+
+/**
+ * Product identifier written to the calendar, required by RFC 5545.
+ *
+ * @type {string}
+ */
+const PRODUCT_ID = '-//Dex Note Taking App//Reminders//EN';
+
+/**
+ * Domain part of event UIDs, which must be globally unique.
+ *
+ * @type {string}
+ */
+const UID_DOMAIN = 'dex-note-taking-app';
+
+/**
+ * Most characters of a note's content copied into an event description.
+ *
+ * @type {number}
+ */
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Longest content line, in octets, before it is folded (RFC 5545 §3.1).
+ *
+ * @type {number}
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes text for a TEXT property value (RFC 5545 §3.3.11).
+ *
+ * @function escapeText
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Formats a date as a UTC DATE-TIME value, e.g. `20250601T090000Z`.
+ *
+ * @function formatDateTime
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar date-time
+ */
+function formatDateTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+/**
+ * Folds a content line longer than 75 octets onto continuation lines,
+ * which start with a space. Splits between characters, never inside a
+ * multi-byte UTF-8 sequence.
+ *
+ * @function foldLine
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, with CRLF between the parts
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to their leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Renders the events of one note.
+ *
+ * @function noteEvents
+ * @param {Object} note - Note with `remindAt` and/or `dueAt`; a checklist's
+ *   items are listed in the description after its content
+ * @param {string} stamp - DTSTAMP value: when the calendar was rendered
+ * @returns {Array<string>} Unfolded content lines of its events
+ */
+function noteEvents(note, stamp) {
+  const id = String(note._id);
+  const description = toMarkdownBody(note).slice(0, MAX_DESCRIPTION_LENGTH);
+  const common = [
+    `DTSTAMP:${stamp}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(note.tags?.length
+      ? [`CATEGORIES:${note.tags.map(escapeText).join(',')}`]
+      : []),
+  ];
+
+  const lines = [];
+  if (note.remindAt) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${id}-reminder@${UID_DOMAIN}`,
+      `SUMMARY:${escapeText(`Reminder: ${note.title}`)}`,
+      `DTSTART:${formatDateTime(note.remindAt)}`,
+      ...common,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:PT0S',
+      `DESCRIPTION:${escapeText(note.title)}`,
+      'END:VALARM',
+      'END:VEVENT'
+    );
+  }
+  if (note.dueAt) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${id}-due@${UID_DOMAIN}`,
+      `SUMMARY:${escapeText(`Due: ${note.title}`)}`,
+      `DTSTART:${formatDateTime(note.dueAt)}`,
+      ...common,
+      'END:VEVENT'
+    );
+  }
+  return lines;
+}
+
+/**
+ * Renders a calendar of the given notes' reminders and due dates.
+ *
+ * Event UIDs are derived from the note ID, so calendar apps update an event
+ * in place when its date changes instead of adding a second one.
+ *
+ * @function renderCalendar
+ * @param {Array<Object>} notes - Notes with a reminder and/or a due date
+ * @param {Date} [now=new Date()] - Time the calendar is rendered
+ * @returns {string} iCalendar text with CRLF line endings
+ *
+ * @example
+ * renderCalendar([{ _id, title: 'Call the bank', content: '…', dueAt: new Date() }]);
+ * // Returns: "BEGIN:VCALENDAR\r\nVERSION:2.0\r\n…\r\nEND:VCALENDAR\r\n"
+ */
+export function renderCalendar(notes, now = new Date()) {
+  const stamp = formatDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Dex Notes',
+    ...notes.flatMap((note) => noteEvents(note, stamp)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Markdown file helpers for the Dex Note Taking App backend.
+ *
+ * Notes leave the app as plain `.md` files: the note content as the body,
+ * with its metadata in a YAML front matter block on top. This is the format
+ * most Markdown tools (Obsidian, static site generators, editors) read, so
+ * an export stays useful outside the app. This module renders those files
+ * and picks filenames for them.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import YAML from 'yaml';
+import { toMarkdownBody } from './checklist.js';
+
+/**
+ * Longest filename stem, in characters, before the extension is added.
+ *
+ * Keeps the names well under the 255-byte limit of common filesystems even
+ * with a " (n)" suffix and multi-byte characters.
+ *
+ * @type {number}
+ */
+const MAX_STEM_LENGTH = 80;
+
+/**
+ * Characters that aren't allowed (or are risky) in filenames on Windows,
+ * macOS or Linux, plus ASCII control characters.
+ *
+ * @type {RegExp}
+ */
+const UNSAFE_FILENAME_CHARS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+
+/**
+ * Names Windows reserves for devices, regardless of extension.
+ *
+ * @type {RegExp}
+ */
+const RESERVED_WINDOWS_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+/**
+ * Renders a note as a Markdown document with YAML front matter.
+ *
+ * Only the fields worth keeping outside the app are written: title, the two
+ * timestamps, and tags when the note has any. A checklist's items follow
+ * its content as a task list.
+ *
+ * @function toMarkdownFile
+ * @param {Object} note - Note document or plain object
+ * @returns {string} File contents
+ *
+ * @example
+ * toMarkdownFile({ title: 'Groceries', content: '- milk', tags: ['home'], ... });
+ * // Returns:
+ * // ---
+ * // title: Groceries
+ * // createdAt: 2025-01-15T10:30:00.000Z
+ * // updatedAt: 2025-01-16T08:00:00.000Z
+ * // tags:
+ * //   - home
+ * // ---
+ * //
+ * // - milk
+ */
+export function toMarkdownFile(note) {
+  const frontMatter = {
+    title: note.title,
+    createdAt: new Date(note.createdAt).toISOString(),
+    updatedAt: new Date(note.updatedAt).toISOString(),
+  };
+  if (note.tags?.length) frontMatter.tags = [...note.tags];
+
+  return `---\n${YAML.stringify(frontMatter)}---\n\n${toMarkdownBody(note)}\n`;
+}
+
+/**
+ * Turns a note title into a filename stem that is safe on every platform.
+ *
+ * @function toFilenameStem
+ * @param {string} title - Note title
+ * @returns {string} Filename without extension, never empty
+ */
+function toFilenameStem(title) {
+  const stem = String(title ?? '')
+    .normalize('NFC')
+    .replace(UNSAFE_FILENAME_CHARS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_STEM_LENGTH)
+    // Leading dots hide files; trailing dots and spaces are dropped on Windows
+    .replace(/^[.\s]+|[.\s]+$/g, '');
+
+  if (!stem || RESERVED_WINDOWS_NAMES.test(stem)) return `${stem} note`.trim();
+  return stem;
+}
+
+/**
+ * Creates a function that hands out unique filenames for an archive.
+ *
+ * Notes can share a title, so the second "Ideas" becomes "Ideas (2).md",
+ * the third "Ideas (3).md" and so on. Names are compared case-insensitively
+ * because macOS and Windows would otherwise overwrite one file with another
+ * when the archive is extracted.
+ *
+ * @function createFilenameAllocator
+ * @param {string} [extension='.md'] - Extension added to every name
+ * @returns {function(string): string} Takes a title and returns a filename
+ *   not handed out before
+ *
+ * @example
+ * const nextFilename = createFilenameAllocator();
+ * nextFilename('Ideas'); // Returns: "Ideas.md"
+ * nextFilename('ideas'); // Returns: "ideas (2).md"
+ * nextFilename('a/b?'); // Returns: "a b.md"
+ */
+export function createFilenameAllocator(extension = '.md') {
+  const taken = new Set();
+
+  return (title) => {
+    const stem = toFilenameStem(title);
+    let filename = `${stem}${extension}`;
+
+    for (let copy = 2; taken.has(filename.toLowerCase()); copy++) {
+      filename = `${stem} (${copy})${extension}`;
+    }
+
+    taken.add(filename.toLowerCase());
+    return filename;
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview In-process publish/subscribe for note changes in the Dex Note Taking App.
+ *
+ * Controllers publish an event whenever a note is created, changed or moved
+ * to the trash; the `GET /api/notes/events` stream forwards each event to
+ * every open connection of the note's owner, so other tabs and devices can
+ * update without reloading.
+ *
+ * **Event types:**
+ * - `created`: A note appeared in the owner's listings (created, imported
+ *   or restored from the trash), with the full `note`
+ * - `updated`: A note changed (edited, reverted, moved, pinned, archived,
+ *   tagged), with the full `note` after the change
+ * - `deleted`: A note was moved to the trash, with its `id`
+ *
+ * Events only reach connections held by the same server process. That is
+ * enough for a single instance; running several would need a shared
+ * broker (for example Redis pub/sub) behind the same two functions.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import Note from '../models/Note.js';
+
+/**
+ * Emitter with one channel per owner, named by the owner's ID.
+ *
+ * The listener limit is lifted because every open tab of a user adds a
+ * listener to the same channel.
+ *
+ * @type {EventEmitter}
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Publishes a note event to every stream of the note's owner.
+ *
+ * @function publishNoteEvent
+ * @param {mongoose.Types.ObjectId|string} ownerId - Owner of the note
+ * @param {string} type - "created", "updated" or "deleted"
+ * @param {Object} data - `{ note }` for created/updated, `{ id }` for deleted
+ * @returns {void}
+ *
+ * @example
+ * publishNoteEvent(req.user.id, 'updated', { note: updatedNote });
+ */
+export function publishNoteEvent(ownerId, type, data) {
+  emitter.emit(String(ownerId), { type, data });
+}
+
+/**
+ * Publishes `updated` events for notes changed by a multi-note write.
+ *
+ * Writes such as `updateMany` don't return the documents they changed, so
+ * the notes are read back first. Nothing is read when the owner has no
+ * stream open. Notes that ended up in the trash are published as
+ * `deleted` instead.
+ *
+ * A failed read is ignored rather than thrown: the write it reports on has
+ * already succeeded, and clients that miss the events catch up the next
+ * time they load their notes.
+ *
+ * @async
+ * @function publishNotesUpdated
+ * @param {mongoose.Types.ObjectId|string} ownerId - Owner of the notes
+ * @param {Array<mongoose.Types.ObjectId|string>} ids - Notes that changed
+ * @returns {Promise<void>}
+ */
+export async function publishNotesUpdated(ownerId, ids) {
+  if (ids.length === 0 || emitter.listenerCount(String(ownerId)) === 0) return;
+
+  const notes = await Note.find({ _id: { $in: ids }, owner: ownerId }).catch(
+    () => []
+  );
+  for (const note of notes) {
+    if (note.deletedAt) publishNoteEvent(ownerId, 'deleted', { id: note._id });
+    else publishNoteEvent(ownerId, 'updated', { note });
+  }
+}
+
+/**
+ * Registers a listener for the events of one owner.
+ *
+ * @function subscribeToNoteEvents
+ * @param {mongoose.Types.ObjectId|string} ownerId - Owner to listen to
+ * @param {Function} listener - Called with `{ type, data }` for each event
+ * @returns {Function} Removes the listener again
+ */
+export function subscribeToNoteEvents(ownerId, listener) {
+  const channel = String(ownerId);
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+}
@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Parsers for importing notes into the Dex Note Taking App.
+ *
+ * Turns uploaded files into note candidates (`title`, `content`, `tags`,
+ * timestamps) that the import controller then saves. Supported inputs:
+ *
+ * - **Markdown / text** (`.md`, `.markdown`, `.txt`): optional YAML front
+ *   matter supplies the title, tags and timestamps, as written by our export
+ * - **ZIP archives** (`.zip`): every supported file inside, e.g. our own
+ *   Markdown export or a folder zipped from another tool
+ * - **JSON** (`.json`): our `?format=json` export, or any array of objects
+ *   with `title` and `content`
+ * - **Evernote** (`.enex`): each note's ENML body is converted to Markdown
+ *
+ * Parsing never throws for bad input: a file or note that can't be read
+ * becomes an entry with an `error`, so one broken file doesn't abort the
+ * rest of the import.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import path from 'node:path';
+import { unzipSync } from 'fflate';
+import { XMLParser } from 'fast-xml-parser';
+import TurndownService from 'turndown';
+import YAML from 'yaml';
+import { MAX_TITLE_LENGTH } from '../models/Note.js';
+
+/**
+ * Front matter block at the very start of a Markdown file.
+ *
+ * @type {RegExp}
+ */
+const FRONT_MATTER = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Error reported for a file that doesn't fit in what is left of the
+ * request's size budget.
+ *
+ * @type {string}
+ */
+const TOO_LARGE = 'Over the size limit for one import';
+
+/**
+ * Extensions read as Markdown (plain text is valid Markdown).
+ *
+ * @type {Array<string>}
+ */
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+/**
+ * Shared Evernote XML parser.
+ *
+ * `note` and `tag` are always arrays so one-note exports and untagged notes
+ * read the same as larger ones. Values are kept as strings so a title like
+ * "2024" isn't turned into a number. The parser never resolves external
+ * entities, so a crafted file can't make it read local files.
+ *
+ * @type {XMLParser}
+ */
+const enexParser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false,
+  isArray: (name) => name === 'note' || name === 'tag',
+});
+
+/**
+ * HTML to Markdown converter for Evernote note bodies.
+ *
+ * @type {TurndownService}
+ */
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-',
+  // Empty elements skip the rules, so Evernote checkboxes are handled here
+  blankReplacement: (_content, node) => {
+    if (node.nodeName !== 'EN-TODO') return node.isBlock ? '\n\n' : '';
+
+    // Evernote checkboxes become GitHub-style task list items
+    const box = node.getAttribute('checked') === 'true' ? '[x] ' : '[ ] ';
+    return node.parentNode?.nodeName === 'LI' ? box : `- ${box}`;
+  },
+});
+
+/**
+ * Evernote's self-closing tags, which an HTML parser would otherwise treat
+ * as opening tags that swallow the text after them.
+ *
+ * @type {RegExp}
+ */
+const SELF_CLOSING_ENML = /<(en-todo|en-media)\b([^>]*?)\/>/gi;
+
+// Encrypted blocks can't be read without the user's passphrase
+turndown.addRule('enCrypt', {
+  filter: (node) => node.nodeName === 'EN-CRYPT',
+  replacement: () => '',
+});
+
+/**
+ * Parses a date from imported metadata, ignoring anything invalid.
+ *
+ * @param {*} value - Date, ISO string or Evernote "20240115T103000Z" timestamp
+ * @returns {Date|undefined} The date, or undefined if it can't be read
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const text = String(value).replace(
+    /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+    '$1-$2-$3T$4:$5:$6Z'
+  );
+  const date = value instanceof Date ? value : new Date(text);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Reads tags from imported metadata.
+ *
+ * @param {*} value - Array of tags, or a comma-separated string
+ * @returns {Array<string>} Raw tags; the Note schema normalizes them on save
+ */
+const parseTags = (value) => {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string') return value.split(',');
+  return [];
+};
+
+/**
+ * Builds a note candidate, falling back to the filename for the title.
+ *
+ * @param {string} source - Name shown in the import report
+ * @param {Object} fields - Fields read from the file
+ * @returns {Object} Note candidate, or an error entry if it has no content
+ */
+const toCandidate = (source, fields) => {
+  const content = String(fields.content ?? '').trim();
+  const title = (
+    String(fields.title ?? '').trim() ||
+    path.basename(source, path.extname(source)).trim() ||
+    'Untitled'
+  ).slice(0, MAX_TITLE_LENGTH);
+
+  if (!content) return { source, title, error: 'Note has no content' };
+
+  return {
+    source,
+    title,
+    content,
+    tags: parseTags(fields.tags),
+    createdAt: parseDate(fields.createdAt),
+    updatedAt: parseDate(fields.updatedAt),
+  };
+};
+
+/**
+ * Parses a Markdown or text file with optional YAML front matter.
+ *
+ * Without a `title` in the front matter, a leading `# Heading` becomes the
+ * title (and is removed from the body); otherwise the filename is used.
+ *
+ * @param {string} source - Name shown in the import report
+ * @param {string} text - File contents
+ * @returns {Array<Object>} A single note candidate or error entry
+ */
+function parseMarkdown(source, text) {
+  let body = text;
+  let meta = {};
+
+  const frontMatter = FRONT_MATTER.exec(text);
+  if (frontMatter) {
+    try {
+      meta = YAML.parse(frontMatter[1]) ?? {};
+    } catch {
+      return [{ source, error: 'Invalid front matter' }];
+    }
+    if (typeof meta !== 'object' || Array.isArray(meta))
+      return [{ source, error: 'Invalid front matter' }];
+    body = text.slice(frontMatter[0].length);
+  }
+
+  let title = meta.title;
+  if (!title) {
+    const heading = /^\s*#\s+(.+?)\s*#*\s*(?:\r?\n|$)/.exec(body);
+    if (heading) {
+      title = heading[1];
+      body = body.slice(heading[0].length);
+    }
+  }
+
+  return [toCandidate(source, { ...meta, title, content: body })];
+}
+
+/**
+ * Parses a JSON export: `{ notes: [...] }` or a bare array of notes.
+ *
+ * @param {string} source - Name shown in the import report
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Note candidates and error entries
+ */
+function parseJson(source, text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return [{ source, error: 'Invalid JSON' }];
+  }
+
+  const notes = Array.isArray(data) ? data : data?.notes;
+  if (!Array.isArray(notes))
+    return [{ source, error: 'Expected an array of notes' }];
+
+  return notes.map((note, index) => {
+    const entry = `${source}#${index + 1}`;
+    if (!note || typeof note !== 'object' || typeof note.content !== 'string')
+      return { source: entry, error: 'Not a note' };
+    return toCandidate(entry, note);
+  });
+}
+
+/**
+ * Parses an Evernote `.enex` export.
+ *
+ * @param {string} source - Name shown in the import report
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Note candidates and error entries
+ */
+function parseEnex(source, text) {
+  let notes;
+  try {
+    notes = enexParser.parse(text)['en-export']?.note;
+  } catch {
+    return [{ source, error: 'Invalid Evernote file' }];
+  }
+  if (!Array.isArray(notes))
+    return [{ source, error: 'No notes found in Evernote file' }];
+
+  return notes.map((note, index) => {
+    const entry = `${source}#${index + 1}`;
+    try {
+      return toCandidate(entry, {
+        title: note.title,
+        content: turndown.turndown(
+          String(note.content ?? '').replace(SELF_CLOSING_ENML, '<$1$2></$1>')
+        ),
+        tags: note.tag,
+        createdAt: note.created,
+        updatedAt: note.updated,
+      });
+    } catch {
+      return {
+        source: entry,
+        title: note.title,
+        error: 'Could not convert note',
+      };
+    }
+  });
+}
+
+/**
+ * Parses every supported file inside a ZIP archive.
+ *
+ * Folders, hidden files and macOS resource forks are skipped, as are nested
+ * archives. Entries are filtered on their declared size before anything is
+ * decompressed, so the archive can't expand past what is left of the
+ * budget in memory.
+ *
+ * @param {string} source - Name shown in the import report
+ * @param {Buffer} buffer - Archive contents
+ * @param {{bytes: number}} budget - Uncompressed bytes left for the request
+ * @returns {Array<Object>} Note candidates and error entries
+ */
+function parseZip(source, buffer, budget) {
+  let size = 0;
+  let tooLarge = false;
+  let files;
+
+  try {
+    files = unzipSync(new Uint8Array(buffer), {
+      filter: (file) => {
+        const base = path.posix.basename(file.name);
+        const wanted =
+          !file.name.endsWith('/') &&
+          !file.name.startsWith('__MACOSX/') &&
+          !base.startsWith('.') &&
+          isSupported(base) &&
+          path.extname(base).toLowerCase() !== '.zip';
+        if (!wanted) return false;
+
+        size += file.originalSize;
+        if (size > budget.bytes) tooLarge = true;
+        return !tooLarge;
+      },
+    });
+  } catch {
+    return [{ source, error: 'Invalid ZIP archive' }];
+  }
+  if (tooLarge) return [{ source, error: TOO_LARGE }];
+  budget.bytes -= size;
+
+  const entries = Object.entries(files).sort(([a], [b]) => a.localeCompare(b));
+  if (entries.length === 0)
+    return [{ source, error: 'No importable files in archive' }];
+
+  return entries.flatMap(([name, data]) =>
+    parseText(`${source}/${name}`, Buffer.from(data))
+  );
+}
+
+/**
+ * Whether a filename has an extension the importer understands.
+ *
+ * @function isSupported
+ * @param {string} filename - Uploaded or archived filename
+ * @returns {boolean} True for Markdown, text, ZIP, JSON and ENEX files
+ */
+export function isSupported(filename) {
+  const extension = path.extname(filename).toLowerCase();
+  return (
+    MARKDOWN_EXTENSIONS.includes(extension) ||
+    ['.zip', '.json', '.enex'].includes(extension)
+  );
+}
+
+/**
+ * Parses a file that isn't an archive, picking the parser by extension.
+ *
+ * @param {string} filename - Uploaded or archived filename
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} Note candidates and error entries
+ */
+function parseText(filename, buffer) {
+  const extension = path.extname(filename).toLowerCase();
+  const text = buffer.toString('utf8');
+  if (MARKDOWN_EXTENSIONS.includes(extension))
+    return parseMarkdown(filename, text);
+  if (extension === '.json') return parseJson(filename, text);
+  if (extension === '.enex') return parseEnex(filename, text);
+
+  return [{ source: filename, error: 'Unsupported file type' }];
+}
+
+/**
+ * Parses one uploaded file into note candidates.
+ *
+ * Every file is charged to `budget`, archives by the size of the contents
+ * they expand to, so one request can't make the server hold more than the
+ * budget however its files are packed. A file that doesn't fit is reported
+ * as failed and leaves the budget to the files after it.
+ *
+ * @function parseFile
+ * @param {string} filename - Original filename, used to pick the parser
+ * @param {Buffer} buffer - File contents
+ * @param {{bytes: number}} budget - Uncompressed bytes left for the request;
+ *   reduced by what this file takes
+ * @returns {Array<Object>} Candidates (`{ source, title, content, tags,
+ *   createdAt, updatedAt }`) and error entries (`{ source, title?, error }`)
+ *
+ * @example
+ * parseFile('todo.md', Buffer.from('---\ntags: [home]\n---\n# Todo\n- milk'), { bytes: 1e6 });
+ * // Returns: [{ source: 'todo.md', title: 'Todo', content: '- milk', tags: ['home'], ... }]
+ */
+export function parseFile(filename, buffer, budget) {
+  if (path.extname(filename).toLowerCase() === '.zip')
+    return parseZip(filename, buffer, budget);
+
+  if (buffer.length > budget.bytes)
+    return [{ source: filename, error: TOO_LARGE }];
+  budget.bytes -= buffer.length;
+  return parseText(filename, buffer);
+}
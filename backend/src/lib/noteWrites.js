@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Note writes shared by the notes API and the sync API of the
+ * Dex Note Taking App.
+ *
+ * `POST /api/notes` and the `create` mutations of `POST /api/sync` create
+ * notes the same way: one change sequence number, revision 1 of the
+ * history, a `created` event. `PUT /api/notes/:id` and the `update`
+ * mutations edit them the same way too, down to the version check. Keeping
+ * both in one place means the two APIs can't drift apart, and a create
+ * retried through either of them is recognised by its `clientId`.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import Note, { NOT_DELETED, noteShapeError } from '../models/Note.js';
+import NoteRevision from '../models/NoteRevision.js';
+import SyncCounter from '../models/SyncCounter.js';
+import { numberItems } from './checklist.js';
+import { publishNoteEvent } from './noteEvents.js';
+
+/**
+ * Creates a note, or returns the one an earlier try already created.
+ *
+ * With a `clientId`, a retry of a create whose response never reached the
+ * client finds the note made the first time (the unique
+ * `{ owner, clientId }` index settles two tries racing each other) and
+ * nothing is written. The note's notebook must already have been checked
+ * to belong to the owner.
+ *
+ * @async
+ * @function createNoteOnce
+ * @param {string} owner - Signed-in user
+ * @param {Object} fields - Validated note fields: `title`, `content`,
+ *   `tags`, `type`, `items` and `notebookId`
+ * @param {string} [clientId] - The client's own ID for the note
+ * @returns {Promise<{note: Object, created: boolean}>} The note, and
+ *   whether this call created it
+ * @throws {mongoose.Error.ValidationError} If the model rejects the note
+ *
+ * @example
+ * const { note, created } = await createNoteOnce(owner, body, 'local-6f1c...');
+ * res.status(created ? 201 : 200).json(note);
+ */
+export async function createNoteOnce(owner, fields, clientId) {
+  const { title, content, tags, type, items = [], notebookId = null } = fields;
+
+  if (clientId) {
+    const existing = await Note.findOne({ owner, clientId });
+    if (existing) return { note: existing, created: false };
+  }
+
+  let note;
+  try {
+    note = await SyncCounter.withNext(owner, (syncSeq) =>
+      new Note({
+        title,
+        content,
+        tags,
+        type,
+        items: numberItems(items),
+        notebookId,
+        owner,
+        clientId,
+        syncSeq,
+      }).save()
+    );
+  } catch (error) {
+    if (!clientId || error.code !== 11000) throw error;
+    // The other try got there first
+    const existing = await Note.findOne({ owner, clientId });
+    if (!existing) throw error;
+    return { note: existing, created: false };
+  }
+
+  await NoteRevision.record(note);
+  publishNoteEvent(owner, 'created', { note });
+  return { note, created: true };
+}
+
+/**
+ * Edits a note's title, content, tags, type or items.
+ *
+ * **What happens:**
+ * - A note converted to text without items loses its items
+ * - Before the first edit of a note without history, its current state is
+ *   recorded as a baseline revision; after the edit, a revision is
+ *   recorded when the title or content changed
+ * - `__v` goes up by one. The write only lands if `__v` is still what was
+ *   read, so two edits racing each other can't both win
+ *
+ * Outcomes are returned rather than thrown, since the notes API answers
+ * them with errors and the sync API with per-mutation results.
+ *
+ * @async
+ * @function updateNoteFields
+ * @param {string} owner - Signed-in user
+ * @param {string} id - Note to edit
+ * @param {Object} fields - Validated fields: `title`, and optionally
+ *   `content`, `tags`, `type` and `items`
+ * @param {Object} [options] - Edit options
+ * @param {number} [options.baseVersion] - Version the edit was made
+ *   against; any version is accepted when left out
+ * @param {boolean} [options.autosave=false] - Whether the editor's
+ *   autosave sent the edit, see `NoteRevision.record`
+ * @returns {Promise<Object>} One of
+ *   - `{ status: 'updated', note }`
+ *   - `{ status: 'not_found' }` when the note doesn't exist or is trashed
+ *   - `{ status: 'invalid', error }` when the note would end up with the
+ *     wrong content or items for its type
+ *   - `{ status: 'conflict', note }` with the stored note when it has
+ *     moved past `baseVersion`; nothing is written
+ *
+ * @example
+ * const result = await updateNoteFields(owner, id, body, { baseVersion: 4 });
+ * if (result.status === 'conflict') showServerCopy(result.note);
+ */
+export async function updateNoteFields(owner, id, fields, options = {}) {
+  const { title, content, tags, type, items } = fields;
+  const update = { title };
+  if (content !== undefined) update.content = content;
+  if (tags !== undefined) update.tags = tags;
+  if (type !== undefined) update.type = type;
+  if (items !== undefined) update.items = numberItems(items);
+  else if (type === 'text') update.items = [];
+
+  const filter = { _id: id, owner, ...NOT_DELETED };
+  const currentNote = await Note.findOne(filter);
+  if (!currentNote) return { status: 'not_found' };
+
+  const shapeError = noteShapeError({
+    type: type ?? currentNote.type,
+    content: content ?? currentNote.content,
+    items,
+  });
+  if (shapeError) return { status: 'invalid', error: shapeError.message };
+  if (
+    options.baseVersion !== undefined &&
+    options.baseVersion !== currentNote.__v
+  ) {
+    return { status: 'conflict', note: currentNote };
+  }
+
+  await NoteRevision.ensureBaseline(currentNote);
+
+  const note = await SyncCounter.withNext(owner, (syncSeq) =>
+    Note.findOneAndUpdate(
+      { ...filter, __v: currentNote.__v },
+      { ...update, syncSeq, $inc: { __v: 1 } },
+      { new: true }
+    )
+  );
+  if (!note) {
+    // Someone else saved between our read and our write
+    const latestNote = await Note.findOne(filter);
+    return latestNote
+      ? { status: 'conflict', note: latestNote }
+      : { status: 'not_found' };
+  }
+
+  if (
+    note.title !== currentNote.title ||
+    note.content !== currentNote.content
+  ) {
+    await NoteRevision.record(note, { autosave: options.autosave ?? false });
+  }
+
+  publishNoteEvent(owner, 'updated', { note });
+  return { status: 'updated', note };
+}
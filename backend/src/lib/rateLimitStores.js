@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Counter stores behind the rate limiter in the Dex Note Taking App.
+ *
+ * Both stores implement the same small interface so the middleware doesn't
+ * care where counts are kept:
+ *
+ * ```js
+ * const { success, limit, remaining, reset } = await store.hit(key, limit, windowMs);
+ * ```
+ *
+ * `reset` is the Unix time in milliseconds at which the current window ends.
+ * Both use a sliding window: the count from the previous fixed window is
+ * weighted by how much of it still overlaps the last `windowMs`, which
+ * avoids the double burst a plain fixed window allows at its boundary.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { Ratelimit } from '@upstash/ratelimit';
+import { Redis } from '@upstash/redis';
+
+/**
+ * How often the memory store drops counters for idle clients, in ms.
+ *
+ * @type {number}
+ */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates a store that keeps counters in this process's memory.
+ *
+ * Needs no external service, which makes it the default for development,
+ * tests and single-instance deployments. Counters are lost on restart and
+ * are not shared between instances.
+ *
+ * @function createMemoryStore
+ * @returns {{name: string, hit: Function}} Rate limit store
+ *
+ * @example
+ * const store = createMemoryStore();
+ * await store.hit('write:user:64f1...', 60, 60_000);
+ * // { success: true, limit: 60, remaining: 59, reset: 1736939460000 }
+ */
+export function createMemoryStore() {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.windowStart + 2 * counter.windowMs <= now)
+        counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just to clean up
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async hit(key, limit, windowMs) {
+      const now = Date.now();
+      const windowStart = now - (now % windowMs);
+
+      let counter = counters.get(key);
+      if (!counter || counter.windowStart + windowMs < windowStart) {
+        counter = { windowStart, windowMs, current: 0, previous: 0 };
+      } else if (counter.windowStart < windowStart) {
+        counter = {
+          windowStart,
+          windowMs,
+          current: 0,
+          previous: counter.current,
+        };
+      }
+      counters.set(key, counter);
+
+      const overlap = 1 - (now - windowStart) / windowMs;
+      const used = Math.floor(counter.previous * overlap) + counter.current;
+      const success = used < limit;
+      if (success) counter.current++;
+
+      return {
+        success,
+        limit,
+        remaining: Math.max(0, limit - used - (success ? 1 : 0)),
+        reset: windowStart + windowMs,
+      };
+    },
+  };
+}
+
+/**
+ * Creates a store that keeps counters in Upstash Redis.
+ *
+ * Every server instance shares the same counters, so limits hold however
+ * many instances are running. Credentials come from
+ * `UPSTASH_REDIS_REST_URL` and `UPSTASH_REDIS_REST_TOKEN`.
+ *
+ * One `Ratelimit` client is created per limit/window pair, since Upstash
+ * fixes both when the client is built.
+ *
+ * @function createUpstashStore
+ * @returns {{name: string, hit: Function}} Rate limit store
+ *
+ * @see {@link https://upstash.com/docs/redis/sdks/ratelimit-ts/overview} Upstash Ratelimit documentation
+ */
+export function createUpstashStore() {
+  const redis = Redis.fromEnv();
+  const limiters = new Map();
+
+  const limiterFor = (limit, windowMs) => {
+    const id = `${limit}/${windowMs}`;
+    if (!limiters.has(id)) {
+      limiters.set(
+        id,
+        new Ratelimit({
+          redis,
+          limiter: Ratelimit.slidingWindow(limit, `${windowMs} ms`),
+          prefix: 'dex-note:ratelimit',
+          // Answer clients that are already blocked without a Redis round trip
+          ephemeralCache: new Map(),
+        })
+      );
+    }
+    return limiters.get(id);
+  };
+
+  return {
+    name: 'upstash',
+
+    async hit(key, limit, windowMs) {
+      const result = await limiterFor(limit, windowMs).limit(key);
+      return {
+        success: result.success,
+        limit: result.limit,
+        remaining: result.remaining,
+        reset: result.reset,
+      };
+    },
+  };
+}
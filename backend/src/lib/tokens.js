@@ -0,0 +1,192 @@
+/**
+ * @fileoverview JSON Web Token helpers for the Dex Note Taking App backend.
+ *
+ * This module signs and verifies the two kinds of tokens used for
+ * authentication. Access tokens identify the user on every API request;
+ * refresh tokens identify a server-side session and can only be exchanged
+ * for a new access token at `POST /api/auth/refresh`.
+ *
+ * Each kind is signed with its own secret and carries a `typ` claim, so one
+ * can never be accepted in place of the other.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+
+import {
+  ACCESS_TOKEN_TTL_MINUTES,
+  JWT_ACCESS_SECRET,
+  JWT_REFRESH_SECRET,
+} from '../config/auth.js';
+
+/**
+ * Signs an access token for a user.
+ *
+ * @function signAccessToken
+ * @param {mongoose.Types.ObjectId|string} userId - ID of the signed-in user
+ * @returns {string} Signed JWT valid for `ACCESS_TOKEN_TTL_MINUTES`
+ */
+export function signAccessToken(userId) {
+  return jwt.sign({ typ: 'access' }, JWT_ACCESS_SECRET, {
+    subject: String(userId),
+    expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m`,
+  });
+}
+
+/**
+ * Verifies an access token from an `Authorization` header.
+ *
+ * Expired, tampered or malformed tokens all return `null`; the caller turns
+ * that into a 401 response and the frontend refreshes the token.
+ *
+ * @function verifyAccessToken
+ * @param {string} token - Raw JWT
+ * @returns {mongoose.Types.ObjectId|null} ID of the user, or null if invalid
+ */
+export function verifyAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, JWT_ACCESS_SECRET);
+    if (payload.typ !== 'access' || !mongoose.isValidObjectId(payload.sub)) {
+      return null;
+    }
+    return new mongoose.Types.ObjectId(payload.sub);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lifetime of a collaboration ticket, in seconds.
+ *
+ * Only long enough to open the WebSocket it was issued for.
+ *
+ * @type {number}
+ */
+export const COLLAB_TICKET_TTL_SECONDS = 30;
+
+/**
+ * Signs a ticket that lets a user join one note's collaboration session.
+ *
+ * Browsers can't send an `Authorization` header when opening a WebSocket,
+ * so the client first asks for a ticket over the authenticated REST API
+ * and passes it in the WebSocket URL. The ticket names a single note and
+ * expires within seconds, so one that leaks from a log is of little use.
+ *
+ * @function signCollabTicket
+ * @param {mongoose.Types.ObjectId|string} userId - ID of the signed-in user
+ * @param {mongoose.Types.ObjectId|string} noteId - Note whose session to join
+ * @returns {string} Signed JWT valid for `COLLAB_TICKET_TTL_SECONDS`
+ */
+export function signCollabTicket(userId, noteId) {
+  return jwt.sign({ typ: 'collab', note: String(noteId) }, JWT_ACCESS_SECRET, {
+    subject: String(userId),
+    expiresIn: COLLAB_TICKET_TTL_SECONDS,
+  });
+}
+
+/**
+ * Verifies a collaboration ticket from a WebSocket URL.
+ *
+ * @function verifyCollabTicket
+ * @param {string} token - Raw JWT
+ * @returns {{userId: mongoose.Types.ObjectId, noteId: string}|null} Ticket claims, or null if invalid
+ */
+export function verifyCollabTicket(token) {
+  try {
+    const payload = jwt.verify(token, JWT_ACCESS_SECRET);
+    if (
+      payload.typ !== 'collab' ||
+      !mongoose.isValidObjectId(payload.sub) ||
+      !mongoose.isValidObjectId(payload.note)
+    ) {
+      return null;
+    }
+    return {
+      userId: new mongoose.Types.ObjectId(payload.sub),
+      noteId: payload.note,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Generates a random ID for a new refresh token.
+ *
+ * @function generateTokenId
+ * @returns {string} 32 hex characters of cryptographically random data
+ */
+export function generateTokenId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Generates the token of a new public share link.
+ *
+ * 192 random bits can't be guessed or enumerated, which is all that keeps
+ * a link without a password private.
+ *
+ * @function generateShareToken
+ * @returns {string} 32 URL-safe base64 characters
+ */
+export function generateShareToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Generates the token of a user's calendar feed URL.
+ *
+ * Calendar apps can only fetch a plain URL, so the token is the feed's only
+ * protection and gets the same 192 random bits as a share link.
+ *
+ * @function generateCalendarToken
+ * @returns {string} 32 URL-safe base64 characters
+ */
+export function generateCalendarToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Signs a refresh token for a session.
+ *
+ * The token expires together with the session, so a stolen cookie is useless
+ * once the session has ended.
+ *
+ * @function signRefreshToken
+ * @param {Object} session - Session document
+ * @returns {string} Signed JWT carrying the session and token IDs
+ */
+export function signRefreshToken(session) {
+  return jwt.sign(
+    {
+      typ: 'refresh',
+      sid: String(session._id),
+      tid: session.tokenId,
+      exp: Math.floor(session.expiresAt.getTime() / 1000),
+    },
+    JWT_REFRESH_SECRET
+  );
+}
+
+/**
+ * Verifies a refresh token from the refresh cookie.
+ *
+ * @function verifyRefreshToken
+ * @param {string} token - Raw JWT
+ * @returns {{sessionId: string, tokenId: string}|null} Token claims, or null if invalid
+ */
+export function verifyRefreshToken(token) {
+  try {
+    const payload = jwt.verify(token, JWT_REFRESH_SECRET);
+    if (payload.typ !== 'refresh' || !mongoose.isValidObjectId(payload.sid)) {
+      return null;
+    }
+    return { sessionId: payload.sid, tokenId: payload.tid };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Multipart upload middleware for note attachments.
+ *
+ * Parses the `file` field of `POST /api/notes/:id/attachments` into
+ * `req.file`, held in memory as a Buffer: the controller checks its content
+ * before anything is written to storage, so a rejected upload never leaves
+ * a file behind. `ATTACHMENT_MAX_FILE_MB` bounds the memory it takes.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import multer from 'multer';
+import { ATTACHMENT_MAX_FILE_MB } from '../config/attachments.js';
+import { ApiError } from '../lib/errors.js';
+
+/**
+ * Multer instance accepting a single file in `file`.
+ *
+ * File names are read as UTF-8; multer's default (Latin-1) garbles
+ * anything outside ASCII, like "Ångström.pdf".
+ *
+ * @type {Function}
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: ATTACHMENT_MAX_FILE_MB * 1024 * 1024,
+    files: 1,
+  },
+}).single('file');
+
+/**
+ * Express.js middleware that reads the attachment upload.
+ *
+ * **Error Responses:**
+ * - 413 `PAYLOAD_TOO_LARGE` when the file is larger than
+ *   `ATTACHMENT_MAX_FILE_MB`
+ * - 400 `INVALID_UPLOAD` for more than one file, another field, or a
+ *   malformed body
+ *
+ * @function attachmentUpload
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ *
+ * @see {@link ../controllers/attachmentsController.js} Controller that reads `req.file`
+ */
+const attachmentUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return next(
+        new ApiError(
+          413,
+          'PAYLOAD_TOO_LARGE',
+          `Attachments must be ${ATTACHMENT_MAX_FILE_MB} MB or smaller`
+        )
+      );
+    }
+    if (
+      error.code === 'LIMIT_FILE_COUNT' ||
+      error.code === 'LIMIT_UNEXPECTED_FILE'
+    ) {
+      return next(
+        new ApiError(
+          400,
+          'INVALID_UPLOAD',
+          'Upload one file in the "file" field'
+        )
+      );
+    }
+    next(new ApiError(400, 'INVALID_UPLOAD', 'Invalid upload'));
+  });
+};
+
+export default attachmentUpload;
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Authentication middleware for the Dex Note Taking App.
+ *
+ * This middleware protects API routes by requiring a valid access token in
+ * the `Authorization: Bearer <token>` header. Authenticated requests get the
+ * signed-in user's ID attached as `req.user.id`, which the notes controllers
+ * use to scope every query to notes the user owns.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { verifyAccessToken } from '../lib/tokens.js';
+import { ApiError } from '../lib/errors.js';
+
+/**
+ * Express.js middleware that rejects requests without a valid access token.
+ *
+ * **Why a Bearer header instead of a cookie?**
+ * - **CSRF safety**: Browsers never attach the header automatically, so a
+ *   third-party page can't make requests on the user's behalf
+ * - **Short exposure**: The access token lives only in memory on the
+ *   frontend and expires after a few minutes
+ *
+ * **Frontend Integration:**
+ * - `lib/axios.js` adds the header to every request
+ * - A 401 response makes the client refresh the token once and retry
+ *
+ * @function requireAuth
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ *
+ * @example
+ * // Applied to every notes route in server.js
+ * app.use('/api/notes', requireAuth, notesRoutes);
+ *
+ * @see {@link ../lib/tokens.js} Access token verification
+ * @see {@link ../../frontend/src/lib/axios.js} Frontend token handling
+ */
+const requireAuth = (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') ?? '').split(' ');
+  const userId = scheme === 'Bearer' && token ? verifyAccessToken(token) : null;
+
+  if (!userId) {
+    return next(new ApiError(401, 'UNAUTHORIZED', 'Authentication required'));
+  }
+
+  req.user = { id: userId };
+  next();
+};
+
+export default requireAuth;
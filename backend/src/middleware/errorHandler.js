@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Error-handling middleware for the Dex Note Taking App.
+ *
+ * Every error passed to `next()` — from controllers, validation, auth, body
+ * parsing or uploads — ends up here and is sent in one consistent shape:
+ *
+ * ```json
+ * { "error": { "code": "NOT_FOUND", "message": "Note not found", "details": null } }
+ * ```
+ *
+ * Known error types are mapped to the matching 4xx status; anything else is
+ * logged and reported as a generic 500 so internals never leak to clients.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { ApiError } from '../lib/errors.js';
+
+/**
+ * Translates any thrown value into an `ApiError`.
+ *
+ * **Mappings:**
+ * - `ApiError` → used as-is
+ * - Mongoose `ValidationError` → 400 `VALIDATION_ERROR` with one detail per field
+ * - Mongoose `CastError` (e.g. a malformed ObjectId) → 400 `INVALID_ID`
+ * - MongoDB duplicate key (`E11000`) → 409 `CONFLICT`
+ * - Body too large (JSON or upload) → 413 `PAYLOAD_TOO_LARGE`
+ * - Malformed JSON body → 400 `INVALID_JSON`
+ * - Other upload errors → 400 `INVALID_UPLOAD`
+ * - Anything else → 500 `INTERNAL_ERROR`
+ *
+ * @param {*} error - Value passed to `next()`
+ * @returns {ApiError} Error to send
+ */
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(error.errors).map((fieldError) => ({
+      location: 'body',
+      field: fieldError.path,
+      message: fieldError.message,
+    }));
+    return new ApiError(400, 'VALIDATION_ERROR', details[0].message, details);
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new ApiError(400, 'INVALID_ID', `Invalid ${error.path}`);
+  }
+
+  if (error?.code === 11000) {
+    return new ApiError(409, 'CONFLICT', 'Resource already exists');
+  }
+
+  if (error?.type === 'entity.too.large' || error?.code === 'LIMIT_FILE_SIZE') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request is too large');
+  }
+
+  if (error?.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+
+  if (error instanceof multer.MulterError) {
+    return new ApiError(400, 'INVALID_UPLOAD', error.message);
+  }
+
+  return new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+};
+
+/**
+ * Express.js error-handling middleware sending the standard error body.
+ *
+ * Registered last in `server.js`. If the response has already started (for
+ * example an export stream that failed halfway) the error is handed to
+ * Express's default handler, which closes the connection.
+ *
+ * @function errorHandler
+ * @param {*} error - Error passed to `next()`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ *
+ * @see {@link ../lib/errors.js} ApiError used to report expected failures
+ * @see {@link ../../frontend/src/lib/apiErrors.js} Frontend reader for this format
+ */
+// Express recognizes error handlers by their four parameters, so `next` stays
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) console.error(error);
+
+  res.status(apiError.status).json({
+    error: {
+      code: apiError.code,
+      message: apiError.message,
+      details: apiError.details,
+    },
+  });
+}
+
+/**
+ * Express.js middleware answering unknown `/api` routes with a 404 in the
+ * standard error format (instead of Express's HTML "Cannot GET" page).
+ *
+ * @function notFoundHandler
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+export function notFoundHandler(req, res, next) {
+  next(new ApiError(404, 'NOT_FOUND', 'Route not found'));
+}
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Multipart upload middleware for note imports.
+ *
+ * Parses the `files` field of `POST /api/notes/import` into `req.files`,
+ * keeping each file in memory as a Buffer. Imports are parsed straight away
+ * and never stored, so there is no temporary directory to clean up; the
+ * size and count limits in `config/import.js` keep memory use bounded.
+ * The request's size is checked from its `Content-Length` before any of
+ * it is read, since multer only limits files one at a time.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import multer from 'multer';
+import {
+  IMPORT_MAX_FILE_MB,
+  IMPORT_MAX_FILES,
+  IMPORT_MAX_TOTAL_MB,
+} from '../config/import.js';
+import { ApiError } from '../lib/errors.js';
+
+/**
+ * Multer instance accepting up to `IMPORT_MAX_FILES` files in `files`.
+ *
+ * @type {Function}
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMPORT_MAX_FILE_MB * 1024 * 1024,
+    files: IMPORT_MAX_FILES,
+  },
+}).array('files', IMPORT_MAX_FILES);
+
+/**
+ * Express.js middleware that reads the import upload.
+ *
+ * Multer reports limit violations as errors with terse messages; they are
+ * rewrapped here as `ApiError`s that tell the user which limit they hit.
+ *
+ * **Error Responses:**
+ * - 411 `LENGTH_REQUIRED` when the request has no `Content-Length`, as
+ *   with a chunked body, whose size isn't known up front
+ * - 413 `PAYLOAD_TOO_LARGE` when the request is larger than
+ *   `IMPORT_MAX_TOTAL_MB` or a file larger than `IMPORT_MAX_FILE_MB`
+ * - 400 `INVALID_UPLOAD` for too many files, an unexpected field, or a
+ *   malformed body
+ *
+ * @function importUpload
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ *
+ * @see {@link ../controllers/importController.js} Controller that reads `req.files`
+ */
+const importUpload = (req, res, next) => {
+  const length = Number(req.get('Content-Length'));
+  if (!req.get('Content-Length') || !Number.isFinite(length)) {
+    return next(
+      new ApiError(411, 'LENGTH_REQUIRED', 'Content-Length header is required')
+    );
+  }
+  if (length > IMPORT_MAX_TOTAL_MB * 1024 * 1024) {
+    return next(
+      new ApiError(
+        413,
+        'PAYLOAD_TOO_LARGE',
+        `Imports must be ${IMPORT_MAX_TOTAL_MB} MB or smaller in total`
+      )
+    );
+  }
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return next(
+        new ApiError(
+          413,
+          'PAYLOAD_TOO_LARGE',
+          `Files must be ${IMPORT_MAX_FILE_MB} MB or smaller`
+        )
+      );
+    }
+    if (
+      error.code === 'LIMIT_FILE_COUNT' ||
+      error.code === 'LIMIT_UNEXPECTED_FILE'
+    ) {
+      return next(
+        new ApiError(
+          400,
+          'INVALID_UPLOAD',
+          `Upload up to ${IMPORT_MAX_FILES} files in the "files" field`
+        )
+      );
+    }
+    next(new ApiError(400, 'INVALID_UPLOAD', 'Invalid upload'));
+  });
+};
+
+export default importUpload;
@@ -1,88 +1,177 @@
 /**
  * @fileoverview Express.js rate limiting middleware for the Dex Note Taking App.
  *
- * This middleware implements distributed rate limiting using Upstash Redis to prevent
- * API abuse and ensure fair usage across all clients. It uses a sliding window
- * algorithm to allow 100 requests per minute per client, providing protection
- * against both intentional abuse and accidental high-frequency requests.
+ * This middleware limits how many requests each client can make per sliding
+ * window, to prevent API abuse and ensure fair usage across all clients.
+ * Routes pick a named policy (`read`, `write` or `auth`) so that, for
+ * example, saving notes is limited more strictly than reading them.
  *
- * The middleware is applied globally to all routes and integrates seamlessly with
- * the frontend's error handling system, providing a smooth user experience when
- * rate limits are exceeded.
+ * Clients are told where they stand on every response through the standard
+ * `RateLimit-*` headers, and a rejected request carries `Retry-After`, so
+ * the frontend can wait exactly as long as needed before trying again.
  *
  * @author Dayle Cortes
  * @version 1.0.0
  */
 
-import ratelimit from '../config/upstash.js';
+import crypto from 'node:crypto';
+import {
+  CLIENT_IP_HEADER,
+  RATE_LIMIT_POLICIES,
+  RATE_LIMIT_STORE,
+  TRUST_PROXY_HOPS,
+  TRUST_PROXY_SECRET,
+} from '../config/rateLimit.js';
+import {
+  createMemoryStore,
+  createUpstashStore,
+} from '../lib/rateLimitStores.js';
+import { ApiError } from '../lib/errors.js';
 
 /**
- * Express.js middleware function that enforces rate limiting on incoming requests.
- *
- * This middleware acts as a gatekeeper for all API requests, checking if the client
- * has exceeded the rate limit before allowing the request to proceed to the actual
- * route handlers. It uses Upstash Redis for distributed rate limiting, ensuring
- * consistent limits across multiple server instances.
- *
- * **Why this approach?**
- * - **Global protection**: Applied to all routes to prevent any endpoint from being abused
- * - **Distributed limiting**: Uses Redis for shared state across multiple server instances
- * - **User-friendly responses**: Returns clear error messages instead of generic failures
- * - **Graceful error handling**: Passes Redis connection errors to Express error middleware
- * - **Non-blocking**: Uses async/await to avoid blocking the event loop
- *
- * **Rate Limiting Details:**
- * - **Algorithm**: Sliding window (100 requests per 60-second window)
- * - **Scope**: Per-client (based on IP address or user identifier)
- * - **Storage**: Upstash Redis (cloud-hosted, globally distributed)
- * - **Response**: HTTP 429 with user-friendly JSON message
- *
- * **Frontend Integration:**
- * - Frontend detects 429 status codes and shows appropriate UI
- * - HomePage shows `RateLimitedUI` component for visual feedback
- * - CreatePage shows toast notification with emoji for immediate feedback
- * - All pages handle rate limiting gracefully without breaking user flow
+ * Counter store shared by every policy, chosen by `RATE_LIMIT_STORE`.
  *
- * **Error Handling Strategy:**
- * - Redis connection errors are passed to Express error middleware
- * - This ensures the app doesn't crash if Redis is temporarily unavailable
- * - Error middleware can log issues and potentially fall back to alternative limiting
+ * @type {{name: string, hit: Function}}
+ */
+const store =
+  RATE_LIMIT_STORE === 'upstash' ? createUpstashStore() : createMemoryStore();
+
+/**
+ * Whether a request came through the trusted proxy.
+ *
+ * The secrets are compared as hashes, in constant time, so the comparison
+ * neither leaks the secret's length nor how much of a guess was right.
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if `X-Proxy-Secret` matches, or no secret is set
+ */
+const viaTrustedProxy = (req) => {
+  if (!TRUST_PROXY_SECRET) return true;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(
+    digest(req.get('X-Proxy-Secret') ?? ''),
+    digest(TRUST_PROXY_SECRET)
+  );
+};
+
+/**
+ * Works out the IP address of the client that sent a request.
+ *
+ * Requests through the trusted proxy are traced back `TRUST_PROXY_HOPS`
+ * entries in `X-Forwarded-For`, the way Express's numeric `trust proxy`
+ * does. Any other request is taken to come straight from the client: its
+ * address is the one in `CLIENT_IP_HEADER`, or the socket's.
  *
- * @async
- * @function rateLimiter
+ * @function clientIp
  * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- * @returns {Promise<void>} Resolves when rate limit check is complete
+ * @returns {string} Client IP address
  *
  * @example
- * // Applied globally in server.js
- * app.use(rateLimiter);
+ * // X-Forwarded-For: 203.0.113.7, 76.76.21.21 with TRUST_PROXY_HOPS=2
+ * clientIp(req);
+ * // Returns: '203.0.113.7'
  *
- * // For individual routes (if needed)
- * app.get('/api/notes', rateLimiter, getAllNotes);
+ * @see {@link ../config/rateLimit.js} TRUST_PROXY_HOPS and TRUST_PROXY_SECRET
+ */
+export function clientIp(req) {
+  const socketAddress = req.socket.remoteAddress;
+  if (TRUST_PROXY_HOPS > 0 && viaTrustedProxy(req)) {
+    const forwarded = (req.get('X-Forwarded-For') ?? '')
+      .split(',')
+      .map((address) => address.trim())
+      .filter(Boolean)
+      .reverse();
+    const chain = [socketAddress, ...forwarded];
+    return chain[Math.min(TRUST_PROXY_HOPS, chain.length - 1)];
+  }
+  return (CLIENT_IP_HEADER && req.get(CLIENT_IP_HEADER)) || socketAddress;
+}
+
+/**
+ * Identifies the client a request is counted against.
  *
- * @see {@link ../config/upstash.js} Upstash Redis rate limiter configuration
- * @see {@link ../server.js} Global middleware registration
+ * Signed-in requests are counted per user, so one busy user can't use up
+ * the budget of everyone else behind the same office NAT. Requests made
+ * before signing in only have the client's IP address to go on.
+ *
+ * @function clientKey
+ * @param {Object} req - Express request object
+ * @returns {string} Key such as "user:64f1..." or "ip:203.0.113.7"
+ */
+export function clientKey(req) {
+  return req.user?.id ? `user:${req.user.id}` : `ip:${clientIp(req)}`;
+}
+
+/**
+ * Creates Express.js middleware that enforces one rate limit policy.
+ *
+ * **Why per-route policies instead of one global limit?**
+ * - **Fairness**: Heavy reading (infinite scroll, search-as-you-type) doesn't
+ *   stop the user from saving their work
+ * - **Abuse resistance**: Writes and sign-in attempts, the expensive or
+ *   sensitive requests, get the tightest budgets
+ * - **Per-client counting**: Each user (or IP address) has their own
+ *   counters, so one busy client never locks out everybody else
+ *
+ * **Response Headers:**
+ * - `RateLimit-Limit`: Requests allowed per window
+ * - `RateLimit-Remaining`: Requests left in the current window
+ * - `RateLimit-Reset`: Seconds until the current window ends
+ * - `RateLimit-Policy`: The policy as `<limit>;w=<window seconds>`
+ * - `Retry-After`: Seconds to wait, only on 429 responses
+ *
+ * **Error Handling Strategy:**
+ * - Over-limit requests get 429 `RATE_LIMITED`, sent by the error handler
+ * - Store errors (such as Redis being unreachable) are passed on to the
+ *   error handler rather than letting requests through unchecked
+ *
+ * @function rateLimit
+ * @param {string} policyName - Key of `RATE_LIMIT_POLICIES`: "read", "write" or "auth"
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * // Limit one route with the write policy
+ * router.post('/', rateLimit('write'), createNote);
+ *
+ * @see {@link ../config/rateLimit.js} Policies and store selection
+ * @see {@link ../lib/rateLimitStores.js} Memory and Upstash stores
  * @see {@link ../../frontend/src/components/RateLimitedUI.jsx} Frontend rate limit UI
- * @see {@link ../../frontend/src/pages/HomePage.jsx} Frontend rate limit handling
- * @see {@link ../../frontend/src/pages/CreatePage.jsx} Frontend rate limit handling
- * @see {@link https://expressjs.com/en/guide/using-middleware.html} Express middleware documentation
+ * @see {@link https://datatracker.ietf.org/doc/draft-ietf-httpapi-ratelimit-headers/} RateLimit header fields
  */
-const rateLimiter = async (req, res, next) => {
-  try {
-    const { success } = await ratelimit.limit('my-rate-limit');
+export default function rateLimit(policyName) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy "${policyName}"`);
+
+  const windowMs = policy.windowSeconds * 1000;
+
+  return async (req, res, next) => {
+    try {
+      const { success, limit, remaining, reset } = await store.hit(
+        `${policyName}:${clientKey(req)}`,
+        policy.limit,
+        windowMs
+      );
+      const resetSeconds = Math.max(0, Math.ceil((reset - Date.now()) / 1000));
 
-    if (!success) {
-      return res.status(429).json({
-        message: 'Too many requests, please try again later',
+      res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds),
+        'RateLimit-Policy': `${limit};w=${policy.windowSeconds}`,
       });
-    }
 
-    next();
-  } catch (error) {
-    next(error);
-  }
-};
+      if (!success) {
+        res.set('Retry-After', String(Math.max(1, resetSeconds)));
+        throw new ApiError(
+          429,
+          'RATE_LIMITED',
+          'Too many requests, please try again later'
+        );
+      }
 
-export default rateLimiter;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Request validation middleware for the Dex Note Taking App.
+ *
+ * Wraps Zod schemas into Express middleware that checks a request's route
+ * params, query string and body before the controller runs. On success the
+ * parsed values (trimmed strings, numbers coerced from the query string)
+ * replace the raw ones, so controllers can trust what they read. On failure
+ * the request stops with a 400 listing every problem at once.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { z } from 'zod';
+import { ApiError } from '../lib/errors.js';
+
+/**
+ * Request parts that are validated, in the order problems are reported.
+ *
+ * @type {Array<string>}
+ */
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Schema used for any part a route doesn't describe: nothing is allowed.
+ *
+ * @type {z.ZodObject}
+ */
+const NO_FIELDS = z.strictObject({});
+
+/**
+ * Converts a Zod issue into entries of the error response's `details`.
+ *
+ * @param {string} location - "params", "query" or "body"
+ * @param {Object} issue - Zod issue
+ * @returns {Array<{location: string, field: string|null, message: string}>} Details
+ */
+const toDetails = (location, issue) => {
+  if (issue.code === 'unrecognized_keys') {
+    return issue.keys.map((key) => ({
+      location,
+      field: key,
+      message: `Unknown field "${key}"`,
+    }));
+  }
+
+  return [
+    {
+      location,
+      field: issue.path.length ? issue.path.join('.') : null,
+      message: issue.message,
+    },
+  ];
+};
+
+/**
+ * Creates middleware that validates a request against the given schemas.
+ *
+ * Parts without a schema must be empty, which is what makes unknown query
+ * parameters or an unexpected body on a `GET` an error.
+ *
+ * **Error Response (400):**
+ * ```json
+ * {
+ *   "error": {
+ *     "code": "VALIDATION_ERROR",
+ *     "message": "Title is required",
+ *     "details": [{ "location": "body", "field": "title", "message": "Title is required" }]
+ *   }
+ * }
+ * ```
+ *
+ * @function validate
+ * @param {Object} [schemas] - Zod schemas keyed by request part
+ * @param {z.ZodType} [schemas.params] - Schema for `req.params`
+ * @param {z.ZodType} [schemas.query] - Schema for `req.query`
+ * @param {z.ZodType} [schemas.body] - Schema for `req.body`
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.put(
+ *   '/:id',
+ *   validate({ params: noteIdParams, body: noteBody }),
+ *   updateNote
+ * );
+ *
+ * @see {@link ../validation/notes.js} Schemas for the notes routes
+ * @see {@link ./errorHandler.js} Middleware that sends the 400 response
+ */
+export default function validate(schemas = {}) {
+  return (req, res, next) => {
+    const parsed = {};
+    const details = [];
+
+    for (const location of LOCATIONS) {
+      const schema = schemas[location] ?? NO_FIELDS;
+      const result = schema.safeParse(req[location] ?? {});
+
+      if (result.success) {
+        parsed[location] = result.data;
+      } else {
+        for (const issue of result.error.issues) {
+          details.push(...toDetails(location, issue));
+        }
+      }
+    }
+
+    if (details.length > 0) {
+      return next(
+        new ApiError(400, 'VALIDATION_ERROR', details[0].message, details)
+      );
+    }
+
+    Object.assign(req, parsed);
+    next();
+  };
+}
@@ -16,6 +16,206 @@
 
 import mongoose from 'mongoose';
 
+/**
+ * Maximum number of tags a single note may carry.
+ *
+ * @type {number}
+ */
+export const MAX_TAGS_PER_NOTE = 20;
+
+/**
+ * Maximum length of a note title, in characters.
+ *
+ * @type {number}
+ */
+export const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Maximum length of a note's content, in characters.
+ *
+ * Generous for prose, but keeps a single note (and each of its revision
+ * snapshots) far from MongoDB's 16 MB document limit.
+ *
+ * @type {number}
+ */
+export const MAX_CONTENT_LENGTH = 100_000;
+
+/**
+ * Maximum length of a single tag, in characters.
+ *
+ * @type {number}
+ */
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Kinds of note. A `text` note is free Markdown; a `checklist` note is a
+ * list of items that can be ticked off, with optional Markdown notes.
+ *
+ * @type {Array<string>}
+ */
+export const NOTE_TYPES = ['text', 'checklist'];
+
+/**
+ * Maximum number of items on a single checklist.
+ *
+ * @type {number}
+ */
+export const MAX_CHECKLIST_ITEMS = 500;
+
+/**
+ * Maximum length of a checklist item's text, in characters.
+ *
+ * @type {number}
+ */
+export const MAX_CHECKLIST_ITEM_LENGTH = 500;
+
+/**
+ * Filter fragment matching notes that are not in the trash.
+ *
+ * Every read and update of "live" notes spreads this into its filter so a
+ * trashed note behaves as if it didn't exist until it is restored. Matching
+ * `null` also matches documents created before `deletedAt` existed.
+ *
+ * @type {Object}
+ */
+export const NOT_DELETED = Object.freeze({ deletedAt: null });
+
+/**
+ * Filter fragment matching notes that are in the trash.
+ *
+ * @type {Object}
+ */
+export const IN_TRASH = Object.freeze({ deletedAt: { $ne: null } });
+
+/**
+ * Filter fragment matching notes that haven't been archived.
+ *
+ * Archived notes are kept out of the main listing but are otherwise normal
+ * notes: they can be opened, edited and searched. `$ne: true` also matches
+ * notes saved before the field existed.
+ *
+ * @type {Object}
+ */
+export const NOT_ARCHIVED = Object.freeze({ archived: { $ne: true } });
+
+/**
+ * Normalizes a list of tags into the canonical form stored on notes.
+ *
+ * Tags arrive from the frontend tag input, so they can contain stray
+ * whitespace, mixed casing and duplicates. This function trims and
+ * lower-cases every tag, collapses inner whitespace, drops empty values and
+ * duplicates, and caps the list at `MAX_TAGS_PER_NOTE` entries.
+ *
+ * **Why normalize on the model?**
+ * - **Single source of truth**: Every write path (create, update) gets the
+ *   same treatment without repeating the logic in each controller
+ * - **Accurate counts**: "Work" and "work" are counted as one tag
+ * - **Predictable filtering**: `?tag=Work` can be normalized the same way
+ *
+ * @function normalizeTags
+ * @param {Array<string>|string|undefined|null} tags - Raw tags from the request
+ * @returns {Array<string>} Normalized, de-duplicated tags
+ *
+ * @example
+ * normalizeTags([' Work ', 'work', 'Side  Project', '']);
+ * // Returns: ['work', 'side project']
+ */
+export function normalizeTags(tags) {
+  if (tags === undefined || tags === null) return [];
+
+  const list = Array.isArray(tags) ? tags : [tags];
+  const normalized = list
+    .filter((tag) => typeof tag === 'string')
+    .map((tag) => tag.trim().toLowerCase().replace(/\s+/g, ' '))
+    .filter(Boolean);
+
+  return [...new Set(normalized)].slice(0, MAX_TAGS_PER_NOTE);
+}
+
+/**
+ * Checks the rules that tie a note's fields to its type: a text note needs
+ * content and can't have items, while a checklist may leave its content
+ * blank.
+ *
+ * Lives on the model, like `normalizeTags`, because several paths need it:
+ * the create schema checks request bodies with it, and the update
+ * controllers check the note as it will be after the change, since an
+ * update can leave out the type or the content.
+ *
+ * @function noteShapeError
+ * @param {Object} note - The note's fields
+ * @param {string} [note.type="text"] - Note type
+ * @param {string} [note.content=""] - Content
+ * @param {Array<Object>} [note.items] - Items
+ * @returns {{field: string, message: string}|null} The broken rule, or null
+ *
+ * @example
+ * noteShapeError({ type: 'text', content: ' ' });
+ * // Returns: { field: 'content', message: 'Content is required' }
+ */
+export function noteShapeError({ type = 'text', content = '', items }) {
+  if (type === 'checklist') return null;
+  if (items?.length)
+    return { field: 'items', message: 'Only checklists can have items' };
+  if (!content.trim())
+    return { field: 'content', message: 'Content is required' };
+  return null;
+}
+
+/**
+ * Mongoose schema for one item of a checklist note.
+ *
+ * Items are subdocuments with their own `_id`, which is how the item
+ * endpoints address them. `order` is the item's position, always 0..n-1
+ * with no gaps; the checklist controller renumbers the list on every
+ * change and stores it sorted by it.
+ *
+ * @type {mongoose.Schema}
+ */
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_CHECKLIST_ITEM_LENGTH,
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+  order: {
+    type: Number,
+    required: true,
+  },
+});
+
+/**
+ * Mongoose schema for the metadata of a file attached to a note.
+ *
+ * The file itself lives in the attachment store, under a key built from
+ * the owner, note and attachment IDs (see `lib/attachments.js`), so no
+ * storage location is kept here.
+ *
+ * @type {mongoose.Schema}
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
 /**
  * Mongoose schema definition for Note documents.
  *
@@ -33,16 +233,27 @@ import mongoose from 'mongoose';
  *
  * **Schema Fields:**
  * - **title**: Required string field for note titles
- * - **content**: Required string field for note content/body
+ * - **content**: String field for note content/body, required for text notes
+ * - **type**: "text" or "checklist"
+ * - **items**: A checklist's items, in order
+ * - **attachments**: Metadata of the files attached to the note
+ * - **owner**: Required reference to the User who owns the note
+ * - **tags**: Optional array of normalized tag strings used for grouping
+ * - **notebookId**: Notebook the note is filed in (null when unfiled)
+ * - **pinned**: Whether the note is listed above all others
+ * - **archived**: Whether the note is hidden from the main listing
+ * - **deletedAt**: Soft-delete timestamp (null unless the note is in the trash)
+ * - **clientId**: The creating client's own ID for the note, if it sent one
  * - **createdAt**: Automatically added timestamp when note is created
  * - **updatedAt**: Automatically updated timestamp when note is modified
  * - **_id**: Automatically generated MongoDB ObjectId (primary key)
  *
  * **Validation Rules:**
- * - Both title and content are required fields
+ * - Title is required, and so is content on text notes
  * - Mongoose will throw validation errors if either field is missing
- * - Empty strings are considered valid (client-side validation handles this)
- * - No length limits (suitable for personal note-taking use case)
+ * - Title and content are capped at `MAX_TITLE_LENGTH` and
+ *   `MAX_CONTENT_LENGTH`; request bodies are checked against the same
+ *   limits before they reach the model (see `validation/notes.js`)
  *
  * **Automatic Features:**
  * - **Timestamps**: Mongoose automatically manages createdAt and updatedAt
@@ -87,23 +298,365 @@ const noteSchema = new mongoose.Schema(
     title: {
       type: String,
       required: true,
+      trim: true,
+      maxlength: MAX_TITLE_LENGTH,
+    },
+    /**
+     * Owning user.
+     *
+     * Every note belongs to exactly one user, and every notes query filters
+     * on this field so users only ever see and change their own notes. Set
+     * from the authenticated request, never from the request body.
+     *
+     * @type {mongoose.Types.ObjectId}
+     * @required
+     */
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
     },
     /**
      * Note content field.
      *
      * This field stores the main body content of the note. It's required
-     * to ensure every note has actual content. The frontend uses this field
-     * for displaying note content in cards and detail views.
+     * for text notes to ensure every note has actual content; on a
+     * checklist it holds optional notes shown below the items. The frontend
+     * uses this field for displaying note content in cards and detail views.
      *
      * @type {String}
      * @required
      */
     content: {
       type: String,
-      required: true,
+      required() {
+        return this.type !== 'checklist';
+      },
+      default: '',
+      maxlength: MAX_CONTENT_LENGTH,
+    },
+    /**
+     * Kind of note, one of `NOTE_TYPES`.
+     *
+     * Notes saved before checklists existed read as `text`.
+     *
+     * @type {String}
+     * @default "text"
+     */
+    type: {
+      type: String,
+      enum: NOTE_TYPES,
+      default: 'text',
+    },
+    /**
+     * A checklist's items, sorted by `order`.
+     *
+     * Always empty on text notes. Items are edited one at a time through
+     * `/api/notes/:id/items`, so ticking one off on a phone doesn't collide
+     * with typing the next one on a laptop. Like tags, items are not part of
+     * the revision history, which keeps title and content.
+     *
+     * @type {Array<Object>}
+     * @default []
+     *
+     * @see {@link ../controllers/checklistController.js} Item endpoints
+     */
+    items: {
+      type: [checklistItemSchema],
+      default: [],
+    },
+    /**
+     * Files attached to the note, oldest first.
+     *
+     * Added and removed through `/api/notes/:id/attachments`, which store
+     * and delete the files themselves. Like pinning, attaching a file
+     * doesn't bump `__v`; purging the note deletes its files.
+     *
+     * @type {Array<Object>}
+     * @default []
+     *
+     * @see {@link ../controllers/attachmentsController.js} Attachment endpoints
+     */
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    /**
+     * Note tags field.
+     *
+     * This field stores the labels a team uses to group related notes. Tags
+     * are normalized on write (see `normalizeTags`) so "Work", " work " and
+     * "WORK" all end up as the same tag, which keeps the tag-filtered listing
+     * and the tag counts returned by `GET /api/notes/tags` accurate.
+     *
+     * @type {String[]}
+     * @default []
+     */
+    tags: {
+      type: [String],
+      default: [],
+      set: normalizeTags,
+    },
+    /**
+     * Notebook the note is filed in.
+     *
+     * `null` for unfiled notes. Only the owner's own notebooks are accepted;
+     * the notes controller checks ownership before setting it. Moving a note
+     * changes only this field and does not bump `__v`, so an editor open on
+     * another device doesn't see a move as a conflicting edit.
+     *
+     * @type {mongoose.Types.ObjectId|null}
+     * @default null
+     */
+    notebookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notebook',
+      default: null,
+    },
+    /**
+     * Pinned flag.
+     *
+     * Pinned notes are listed before every other note on the first page of
+     * `GET /api/notes`. Like moving, pinning is not an edit: it doesn't
+     * bump `__v` or `updatedAt`.
+     *
+     * @type {Boolean}
+     * @default false
+     */
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
+    /**
+     * Archived flag.
+     *
+     * Archived notes are left out of `GET /api/notes` unless the client asks
+     * for `?archived=true`, which lists only them. Archiving a note also
+     * unpins it.
+     *
+     * @type {Boolean}
+     * @default false
+     */
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+    /**
+     * When to remind the owner about the note.
+     *
+     * `null` for no reminder. The HomePage shows an in-app notification
+     * when the time comes, and the calendar feed carries it as an event
+     * with an alert. Setting it is organisational, like pinning: it doesn't
+     * bump `__v` or `updatedAt`.
+     *
+     * @type {Date|null}
+     * @default null
+     */
+    remindAt: {
+      type: Date,
+      default: null,
+    },
+    /**
+     * When the follow-up the note describes is due.
+     *
+     * `null` for no due date. Unlike a reminder, a due date stays in the
+     * Upcoming view after it passes (as overdue) until it is cleared.
+     *
+     * @type {Date|null}
+     * @default null
+     */
+    dueAt: {
+      type: Date,
+      default: null,
+    },
+    /**
+     * Soft-delete timestamp.
+     *
+     * `null` for live notes. Deleting a note sets this to the deletion time
+     * instead of removing the document, which moves the note to the trash
+     * where it can be restored. The trash purge job permanently removes
+     * notes whose `deletedAt` is older than the retention period.
+     *
+     * @type {Date|null}
+     * @default null
+     */
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    /**
+     * Saved state of the note's collaborative editing document.
+     *
+     * The Yjs document behind live editing sessions, encoded as one update.
+     * Keeping it (rather than rebuilding the document from `content` each
+     * time) lets clients that edited offline merge into the same document
+     * history when they reconnect. `content` holds the plain-text snapshot
+     * of the same document for everything else. Never sent to clients.
+     *
+     * @type {Buffer|null}
+     * @default null
+     *
+     * @see {@link ../lib/collabServer.js} Collaboration server that maintains it
+     */
+    collabState: {
+      type: Buffer,
+      default: null,
+      select: false,
+    },
+    /**
+     * Change sequence number of the note's last change.
+     *
+     * Taken from the owner's `SyncCounter` by every write that changes
+     * something clients see, including pinning, moving and trashing, so
+     * `GET /api/sync` can find everything changed since a client last
+     * synced. Writes that only save `collabState` leave it alone. Notes
+     * last changed before delta sync existed have no number and sort first.
+     *
+     * @type {Number}
+     *
+     * @see {@link ./SyncCounter.js} Counter the numbers come from
+     */
+    syncSeq: {
+      type: Number,
+    },
+    /**
+     * ID the creating client gave the note before the server knew it, such
+     * as the `local-...` ID of a note written offline.
+     *
+     * A client whose create request succeeded but whose response was lost
+     * sends the same create again. With the ID stored, the server
+     * recognises the retry and returns the note it already made instead of
+     * a duplicate. Unique per owner; absent on notes created without one.
+     *
+     * @type {String}
+     *
+     * @see {@link ../lib/noteWrites.js} createNoteOnce, which checks it
+     */
+    clientId: {
+      type: String,
     },
   },
-  { timestamps: true } // createdAt, updatedAt
+  {
+    timestamps: true, // createdAt, updatedAt
+    /**
+     * Version key used for optimistic concurrency.
+     *
+     * `__v` starts at 0 and every edit increments it (`$inc` in the update
+     * controllers and collaboration saves; `optimisticConcurrency` covers
+     * `save()`). It is exposed to
+     * clients as the note's `ETag`, and `PUT /api/notes/:id` rejects an
+     * `If-Match` that names an older version with 409 instead of silently
+     * overwriting the newer copy.
+     */
+    versionKey: '__v',
+    optimisticConcurrency: true,
+  }
+);
+
+/**
+ * Index supporting the paginated notes listing.
+ *
+ * `GET /api/notes` only lists the signed-in user's live notes
+ * (`owner`, `deletedAt: null`), sorts by `{ createdAt: -1, _id: -1 }` and
+ * seeks past the pagination cursor on the same keys, so this index lets each
+ * page be read directly instead of sorting the whole collection in memory.
+ * With `owner` and `deletedAt` as the prefix it also serves the trash listing.
+ */
+noteSchema.index({ owner: 1, deletedAt: 1, createdAt: -1, _id: -1 });
+
+/**
+ * Index supporting the trash purge job, which scans every user's trash for
+ * notes deleted before the retention cutoff.
+ */
+noteSchema.index({ deletedAt: 1 });
+
+/**
+ * Index supporting the tag-filtered notes listing.
+ *
+ * `GET /api/notes?tag=...` filters on `tags` and paginates by `createdAt`
+ * and `_id`, so a compound multikey index lets MongoDB answer the query
+ * without scanning every note. The same index also speeds up the
+ * `$unwind`/`$group` aggregation behind `GET /api/notes/tags`.
+ */
+noteSchema.index({
+  owner: 1,
+  tags: 1,
+  deletedAt: 1,
+  createdAt: -1,
+  _id: -1,
+});
+
+/**
+ * Index supporting the pinned notes that lead the first page of
+ * `GET /api/notes`. Most notes aren't pinned, so the index is partial and
+ * only holds the ones that are.
+ */
+noteSchema.index(
+  { owner: 1, createdAt: -1, _id: -1 },
+  { partialFilterExpression: { pinned: true } }
+);
+
+/**
+ * Index supporting the notebook-filtered notes listing.
+ *
+ * `GET /api/notes?notebook=...` narrows the paginated listing to one
+ * notebook (or to unfiled notes with `notebookId: null`), and deleting a
+ * notebook finds every note filed in it, trashed or not.
+ */
+noteSchema.index({
+  owner: 1,
+  notebookId: 1,
+  deletedAt: 1,
+  createdAt: -1,
+  _id: -1,
+});
+
+/**
+ * Indexes supporting the Upcoming view and the calendar feed, which list a
+ * user's notes with a reminder or a due date. Few notes have either, so
+ * both indexes are partial and only hold notes that do.
+ */
+noteSchema.index(
+  { owner: 1, remindAt: 1 },
+  { partialFilterExpression: { remindAt: { $type: 'date' } } }
+);
+noteSchema.index(
+  { owner: 1, dueAt: 1 },
+  { partialFilterExpression: { dueAt: { $type: 'date' } } }
+);
+
+/**
+ * Index supporting `GET /api/sync`, which reads the user's notes changed
+ * after a sequence number, in sequence-number order with `_id` as the
+ * tie-break. Trashed notes are included: they are reported as deleted.
+ */
+noteSchema.index({ owner: 1, syncSeq: 1, _id: 1 });
+
+/**
+ * Unique index that makes a replayed create find the note it already made.
+ *
+ * Only notes created with a `clientId` are indexed, so the many notes
+ * without one don't collide with each other.
+ */
+noteSchema.index(
+  { owner: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+/**
+ * Weighted text index backing `GET /api/notes/search`.
+ *
+ * MongoDB allows a single text index per collection, so title and content
+ * share this one. Title matches are weighted five times higher than content
+ * matches: a note called "Quarterly budget" is a better hit for "budget"
+ * than a long note that mentions the word once in passing. Searches also
+ * filter on `owner`, which MongoDB applies to the text matches.
+ *
+ * @see {@link https://www.mongodb.com/docs/manual/core/indexes/index-types/index-text/} MongoDB text indexes
+ */
+noteSchema.index(
+  { title: 'text', content: 'text' },
+  { name: 'note_text_search', weights: { title: 5, content: 1 } }
 );
 
 /**
@@ -125,13 +678,15 @@ const noteSchema = new mongoose.Schema(
  * - `Note.findById()` - Retrieve a single note by ID
  * - `new Note({...}).save()` - Create a new note
  * - `Note.findByIdAndUpdate()` - Update an existing note
- * - `Note.findByIdAndDelete()` - Delete a note
+ * - `Note.updateOne({ _id }, { deletedAt: new Date() })` - Move a note to the trash
+ * - `Note.deleteMany({ deletedAt: { $ne: null } })` - Purge trashed notes
+ * - `Note.find({ $text: { $search } })` - Full-text search using the text index
  *
  * @type {mongoose.Model}
  *
  * @example
- * // Find all notes
- * const notes = await Note.find().sort({ createdAt: -1 });
+ * // Find the newest page of notes
+ * const notes = await Note.find().sort({ createdAt: -1, _id: -1 }).limit(20);
  *
  * // Create a new note
  * const note = new Note({ title: "Title", content: "Content" });
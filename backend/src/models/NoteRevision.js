@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Mongoose model for note revisions in the Dex Note Taking App.
+ *
+ * Every time a note is created or updated, a snapshot of its title and content
+ * is written to the `noterevisions` collection. Revisions are numbered per
+ * note (1, 2, 3, ...) and power the history panel in the NoteDetailPage,
+ * which can diff any two revisions and revert a note to an earlier one.
+ *
+ * Revisions live in their own collection rather than as an array on the note
+ * so that notes stay small to read and list, and so a long edit history never
+ * pushes a note document towards MongoDB's 16 MB document limit.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Number of times `record` retries when two writers pick the same revision number.
+ *
+ * @type {number}
+ */
+const MAX_RECORD_ATTEMPTS = 3;
+
+/**
+ * Window, in milliseconds, during which autosaves keep updating one revision.
+ *
+ * The editor autosaves about a second after the user stops typing. Without
+ * coalescing, a single editing session would leave dozens of near-identical
+ * revisions; instead, autosaves within this window of the revision they
+ * would follow are folded into it.
+ *
+ * @type {number}
+ */
+const AUTOSAVE_COALESCE_MS = 5 * 60 * 1000;
+
+/**
+ * Mongoose schema definition for NoteRevision documents.
+ *
+ * **Schema Fields:**
+ * - **note**: The note this revision belongs to
+ * - **rev**: Revision number, starting at 1 and increasing per note
+ * - **title**: Note title at the time of the revision
+ * - **content**: Note content at the time of the revision
+ * - **restoredFrom**: Revision number this one was reverted from, if any
+ * - **autosave**: Whether the revision came from an autosave; only the
+ *   latest autosave revision is ever updated (see `record`)
+ * - **createdAt**: When the revision was written
+ * - **updatedAt**: When an autosave last folded into the revision
+ *
+ * **Indexes:**
+ * - Unique `{ note, rev }` so revision numbers can't collide, which also
+ *   serves "latest revision" lookups and the newest-first history listing
+ *
+ * @type {mongoose.Schema}
+ *
+ * @see {@link ../controllers/revisionsController.js} Controllers that read revisions
+ * @see {@link ../controllers/notesController.js} Controllers that write revisions
+ */
+const noteRevisionSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true,
+    },
+    rev: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      default: '',
+    },
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+    autosave: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+noteRevisionSchema.index({ note: 1, rev: -1 }, { unique: true });
+
+/**
+ * Writes a new revision snapshotting the given note.
+ *
+ * The revision number is the note's latest revision plus one. If another
+ * request records a revision for the same note at the same moment, the
+ * unique `{ note, rev }` index rejects one of them with a duplicate-key error
+ * and that writer simply retries with the next number.
+ *
+ * With `autosave: true`, the snapshot is folded into the latest revision
+ * instead when that revision is itself an autosave started less than
+ * `AUTOSAVE_COALESCE_MS` ago. Explicit saves and restores always get a
+ * revision of their own, so they remain clear points in the history.
+ *
+ * **Why compute numbers this way?**
+ * - **No counter document**: The revisions themselves are the source of truth
+ * - **Race-safe**: The unique index turns a race into a retry, never into two
+ *   revisions sharing a number
+ *
+ * @async
+ * @function record
+ * @memberof NoteRevision
+ * @param {Object} note - Note document (or plain object) to snapshot
+ * @param {Object} [options] - Extra fields for the revision
+ * @param {number} [options.restoredFrom] - Revision number being reverted to
+ * @param {boolean} [options.autosave] - Whether the change came from an autosave
+ * @returns {Promise<mongoose.Document>} The saved revision
+ *
+ * @example
+ * const savedNote = await note.save();
+ * await NoteRevision.record(savedNote);
+ */
+noteRevisionSchema.statics.record = async function (note, options = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ note: note._id }).sort({ rev: -1 });
+
+    const canCoalesce =
+      options.autosave &&
+      latest?.autosave &&
+      Date.now() - latest.createdAt.getTime() < AUTOSAVE_COALESCE_MS;
+    if (canCoalesce) {
+      latest.title = note.title;
+      latest.content = note.content;
+      return latest.save();
+    }
+
+    try {
+      return await this.create({
+        note: note._id,
+        rev: (latest?.rev ?? 0) + 1,
+        title: note.title,
+        content: note.content,
+        restoredFrom: options.restoredFrom ?? null,
+        autosave: Boolean(options.autosave),
+      });
+    } catch (error) {
+      const isRevisionClash = error.code === 11000;
+      if (!isRevisionClash || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Makes sure a note's pre-existing state is captured before it is changed.
+ *
+ * Notes created before revision history existed have no revisions at all.
+ * Calling this before the first update records their current state as
+ * revision 1, so that state can still be diffed against and restored.
+ *
+ * @async
+ * @function ensureBaseline
+ * @memberof NoteRevision
+ * @param {Object} note - Note document in its state *before* the update
+ * @returns {Promise<void>} Resolves once a baseline revision exists
+ */
+noteRevisionSchema.statics.ensureBaseline = async function (note) {
+  const hasHistory = await this.exists({ note: note._id });
+  if (!hasHistory) await this.record(note);
+};
+
+/**
+ * Mongoose model for NoteRevision documents.
+ *
+ * @type {mongoose.Model}
+ *
+ * @see {@link https://mongoosejs.com/docs/models.html} Mongoose model documentation
+ */
+const NoteRevision = mongoose.model('NoteRevision', noteRevisionSchema);
+
+export default NoteRevision;
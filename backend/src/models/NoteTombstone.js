@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Mongoose model for tombstones of purged notes in the Dex Note Taking App.
+ *
+ * Notes in the trash still exist, so `GET /api/sync` reports them from the
+ * note itself. Once the trash is purged the note is gone, and a client that
+ * last synced before the purge would never learn about it. A tombstone is
+ * left behind instead: the note's ID and the change sequence number of the
+ * purge, kept for `SYNC_TOMBSTONE_RETENTION_DAYS`.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { SYNC_TOMBSTONE_RETENTION_DAYS } from '../config/sync.js';
+
+/**
+ * Mongoose schema definition for NoteTombstone documents.
+ *
+ * **Schema Fields:**
+ * - **owner**: User the purged note belonged to
+ * - **note**: ID of the purged note
+ * - **syncSeq**: Change sequence number of the purge
+ * - **expiresAt**: When the tombstone is removed
+ *
+ * **Indexes:**
+ * - `{ owner, syncSeq, note }` for the "changed since" range query, in the
+ *   same order `GET /api/sync` pages through notes
+ * - TTL index on `expiresAt` so MongoDB removes old tombstones by itself
+ *
+ * @type {mongoose.Schema}
+ *
+ * @see {@link ../jobs/trashPurge.js} Purge helper that writes tombstones
+ * @see {@link ../controllers/syncController.js} Controller that reads them
+ */
+const noteTombstoneSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    syncSeq: {
+      type: Number,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(
+          Date.now() + SYNC_TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        ),
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+noteTombstoneSchema.index({ owner: 1, syncSeq: 1, note: 1 });
+noteTombstoneSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Mongoose model for NoteTombstone documents.
+ *
+ * @type {mongoose.Model}
+ *
+ * @see {@link https://mongoosejs.com/docs/models.html} Mongoose model documentation
+ */
+const NoteTombstone = mongoose.model('NoteTombstone', noteTombstoneSchema);
+
+export default NoteTombstone;
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Mongoose model for notebooks in the Dex Note Taking App.
+ *
+ * Notebooks are folders for notes. Each one may sit inside another notebook
+ * through its `parent` reference, so users can build a hierarchy such as
+ * "Work › Clients › Acme". Notes point at the notebook they live in through
+ * `Note.notebookId`; a note with no notebook is "unfiled".
+ *
+ * The tree is stored as parent references rather than as nested arrays so
+ * that moving a notebook is a single update of its `parent`, and so the
+ * whole tree for a user can be loaded with one query and assembled on the
+ * client.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Maximum length of a notebook name, in characters.
+ *
+ * @type {number}
+ */
+export const MAX_NOTEBOOK_NAME_LENGTH = 100;
+
+/**
+ * Deepest allowed nesting; a top-level notebook is at depth 1.
+ *
+ * Keeps the sidebar tree readable and bounds the ancestor walks used for
+ * cycle checks.
+ *
+ * @type {number}
+ */
+export const MAX_NOTEBOOK_DEPTH = 6;
+
+/**
+ * Mongoose schema definition for Notebook documents.
+ *
+ * **Schema Fields:**
+ * - **name**: Display name, trimmed
+ * - **owner**: The User who owns the notebook
+ * - **parent**: Enclosing notebook, or null for a top-level notebook
+ * - **createdAt** / **updatedAt**: Managed by Mongoose timestamps
+ *
+ * **Indexes:**
+ * - `{ owner, parent }` for loading a user's tree and finding children
+ *
+ * @type {mongoose.Schema}
+ *
+ * @see {@link ../controllers/notebooksController.js} Controllers that use this model
+ * @see {@link ../../frontend/src/components/NotebookTree.jsx} Frontend tree view
+ */
+const notebookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_NOTEBOOK_NAME_LENGTH,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notebook',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+notebookSchema.index({ owner: 1, parent: 1 });
+
+/**
+ * Lists the IDs of a notebook's ancestors, nearest first.
+ *
+ * @param {mongoose.Types.ObjectId|string} ownerId - Owner of the notebook
+ * @param {mongoose.Types.ObjectId|string|null} parentId - The notebook's parent
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} Ancestor IDs, up to the root
+ */
+notebookSchema.statics.ancestorIds = async function (ownerId, parentId) {
+  const ancestors = [];
+  let currentId = parentId;
+
+  // Bounded by the depth limit, with headroom for trees built before it
+  while (currentId && ancestors.length <= MAX_NOTEBOOK_DEPTH * 2) {
+    const notebook = await this.findOne({ _id: currentId, owner: ownerId })
+      .select('parent')
+      .lean();
+    if (!notebook) break;
+    ancestors.push(notebook._id);
+    currentId = notebook.parent;
+  }
+
+  return ancestors;
+};
+
+/**
+ * Lists the IDs of every notebook nested anywhere inside a notebook.
+ *
+ * @param {mongoose.Types.ObjectId|string} ownerId - Owner of the notebook
+ * @param {mongoose.Types.ObjectId|string} notebookId - Root of the subtree
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} Descendant IDs (not including the root)
+ */
+notebookSchema.statics.descendantIds = async function (ownerId, notebookId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(notebookId)) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants',
+        restrictSearchWithMatch: {
+          owner: new mongoose.Types.ObjectId(String(ownerId)),
+        },
+      },
+    },
+    { $project: { ids: '$descendants._id' } },
+  ]);
+
+  return result?.ids ?? [];
+};
+
+/**
+ * Mongoose model for Notebook documents.
+ *
+ * @type {mongoose.Model}
+ *
+ * @example
+ * // Create a notebook inside another one
+ * await Notebook.create({ name: 'Clients', owner: userId, parent: workId });
+ */
+const Notebook = mongoose.model('Notebook', notebookSchema);
+
+export default Notebook;
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Mongoose model for attachment files left behind in the Dex Note Taking App.
+ *
+ * An attachment's file is deleted after the note stops listing it, so a
+ * failed deletion (the bucket unreachable, a full or read-only disk) can't
+ * be undone by keeping the attachment. The file's storage key is recorded
+ * here instead, and the trash purge job deletes it on a later run.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema definition for OrphanedFile documents.
+ *
+ * **Schema Fields:**
+ * - **key**: Storage key of the file (see `attachmentKey`)
+ * - **attempts**: Failed deletions so far, the first one included
+ * - **lastError**: Message of the most recent failure
+ *
+ * **Indexes:**
+ * - Unique `key`, so a file that fails again is counted, not listed twice
+ *
+ * @type {mongoose.Schema}
+ *
+ * @see {@link ../lib/attachments.js} Helpers that record and retry deletions
+ * @see {@link ../jobs/trashPurge.js} Job that retries them
+ */
+const orphanedFileSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+  },
+  { timestamps: true } // createdAt, updatedAt
+);
+
+/**
+ * Mongoose model for OrphanedFile documents.
+ *
+ * @type {mongoose.Model}
+ *
+ * @see {@link https://mongoosejs.com/docs/models.html} Mongoose model documentation
+ */
+const OrphanedFile = mongoose.model('OrphanedFile', orphanedFileSchema);
+
+export default OrphanedFile;
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Mongoose model for login sessions in the Dex Note Taking App.
+ *
+ * A session is created at login or registration and backs the refresh token
+ * stored in the user's cookie. The refresh token carries the session ID and
+ * a random token ID; only the token ID currently stored on the session is
+ * accepted, and it changes every time the token is refreshed. The token it
+ * replaced stays valid for a short grace period so two tabs refreshing at
+ * the same moment don't look like a stolen token.
+ *
+ * Storing sessions server-side is what makes logout real: deleting the
+ * session invalidates its refresh token immediately, even though the token
+ * itself is a stateless JWT.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema definition for Session documents.
+ *
+ * **Schema Fields:**
+ * - **user**: The user the session belongs to
+ * - **tokenId**: ID of the refresh token currently issued for the session
+ * - **previousTokenId**: ID of the token it replaced, still honoured for a
+ *   few seconds after rotation (see `rotatedAt`)
+ * - **rotatedAt**: When the token was last rotated
+ * - **expiresAt**: When the session (and its refresh token) expires
+ *
+ * **Indexes:**
+ * - TTL index on `expiresAt` so MongoDB removes expired sessions by itself
+ *
+ * @type {mongoose.Schema}
+ *
+ * @see {@link ../controllers/authController.js} Controllers that manage sessions
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenId: {
+      type: String,
+      required: true,
+    },
+    previousTokenId: {
+      type: String,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Mongoose model for Session documents.
+ *
+ * @type {mongoose.Model}
+ *
+ * @see {@link https://mongoosejs.com/docs/models.html} Mongoose model documentation
+ */
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
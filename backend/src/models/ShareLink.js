@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Mongoose model for public share links in the Dex Note Taking App.
+ *
+ * A share link lets anyone who has its URL read one note without signing
+ * in. The owner creates links from the note editor, optionally with an
+ * expiry date and a password, and can revoke them at any time; revoking
+ * deletes the link, so its URL stops working at once.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+
+/**
+ * bcrypt cost factor for link passwords.
+ *
+ * Lower than for account passwords: a link password only guards one note,
+ * and every view of a protected link pays this cost again.
+ *
+ * @type {number}
+ */
+const BCRYPT_ROUNDS = 10;
+
+/**
+ * Mongoose schema definition for ShareLink documents.
+ *
+ * **Schema Fields:**
+ * - **note**: The shared note
+ * - **owner**: Owner of the note, so links are listed and revoked per user
+ * - **token**: Random, URL-safe token that forms the public URL
+ * - **passwordHash**: bcrypt hash of the link password, or null for none;
+ *   serialized only as `hasPassword`
+ * - **expiresAt**: When the link stops working, or null for never
+ *
+ * **Indexes:**
+ * - Unique `token`, used by every public view
+ * - `{ note, owner }` for listing a note's links
+ * - TTL index on `expiresAt` so MongoDB removes expired links by itself
+ *   (links without an expiry are never touched)
+ *
+ * @type {mongoose.Schema}
+ *
+ * @see {@link ../controllers/shareController.js} Controllers that manage links
+ */
+const shareLinkSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    passwordHash: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // The hash never leaves the server; clients only learn that there is one
+      transform: (doc, ret) => {
+        ret.hasPassword = Boolean(ret.passwordHash);
+        delete ret.passwordHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+shareLinkSchema.index({ note: 1, owner: 1 });
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hashes a link password for storage.
+ *
+ * @async
+ * @function hashPassword
+ * @memberof ShareLink
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+shareLinkSchema.statics.hashPassword = function (password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+};
+
+/**
+ * Checks a password against the link's hash.
+ *
+ * @async
+ * @function verifyPassword
+ * @memberof ShareLink
+ * @param {string} password - Plain-text password to check
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+shareLinkSchema.methods.verifyPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+/**
+ * Whether the link has passed its expiry date.
+ *
+ * The TTL index removes expired links only once a minute, so lookups check
+ * the date themselves.
+ *
+ * @function isExpired
+ * @memberof ShareLink
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True once `expiresAt` has passed
+ */
+shareLinkSchema.methods.isExpired = function (now = new Date()) {
+  return this.expiresAt !== null && this.expiresAt <= now;
+};
+
+/**
+ * Mongoose model for ShareLink documents.
+ *
+ * @type {mongoose.Model}
+ *
+ * @see {@link https://mongoosejs.com/docs/models.html} Mongoose model documentation
+ */
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+export default ShareLink;
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Mongoose model for per-user change counters in the Dex Note Taking App.
+ *
+ * Each user has one counter document, keyed by their user ID, holding the
+ * last change sequence number handed out. Every write that changes one of
+ * the user's notes takes the next number and stores it on the note as
+ * `syncSeq` (or on a `NoteTombstone` when the note is purged), so
+ * `GET /api/sync` can answer "what changed after number N" with a single
+ * indexed range query instead of comparing timestamps. The counter also
+ * lists the numbers of writes still in progress, so that answer never
+ * runs ahead of a write that hasn't landed yet.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * How long, in milliseconds, a sequence number handed out to a write keeps
+ * `GET /api/sync` from reporting changes past it.
+ *
+ * Writes release their number as soon as they finish; this only matters
+ * when a server dies mid-write and never does, so sync isn't held up for
+ * good. It comfortably outlasts the slowest write (a bulk action or a
+ * notebook delete moving a few thousand notes).
+ *
+ * @type {number}
+ */
+const PENDING_WRITE_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Mongoose schema definition for SyncCounter documents.
+ *
+ * **Schema Fields:**
+ * - **_id**: The user the counter belongs to
+ * - **seq**: Last sequence number handed out; 0 before the first change
+ * - **pending**: Numbers handed out to writes that haven't finished yet,
+ *   with when they were handed out
+ *
+ * @type {mongoose.Schema}
+ *
+ * @see {@link ./Note.js} Notes that carry the numbers
+ * @see {@link ../controllers/syncController.js} Controller that reads changes by number
+ */
+const syncCounterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+    pending: {
+      type: [{ _id: false, seq: Number, at: Date }],
+      default: [],
+    },
+  },
+  { versionKey: false }
+);
+
+/**
+ * Runs a write with the next change sequence number of a user.
+ *
+ * Numbers are handed out in order, but writes don't finish in order: a
+ * write given 7 can land after one given 8. A client syncing in between
+ * would move past 8 and never see 7. So the number stays listed as pending
+ * until the write is done, successful or not, and `settledSeq` keeps sync
+ * from reporting anything past a pending number.
+ *
+ * The counter is created on the user's first change. The update is atomic,
+ * so two writes racing each other always get different numbers. Writes
+ * that change several notes at once (bulk actions, deleting a notebook)
+ * take one number for all of them; `GET /api/sync` orders changes by
+ * number and then by note ID, so sharing a number never hides a change.
+ *
+ * @async
+ * @function withNext
+ * @memberof SyncCounter
+ * @param {mongoose.Types.ObjectId|string} ownerId - User whose notes change
+ * @param {Function} write - Called with the number; stores it as `syncSeq`
+ *   on every note (or `NoteTombstone`) it changes
+ * @returns {Promise<*>} Whatever `write` resolves with
+ *
+ * @example
+ * const note = await SyncCounter.withNext(req.user.id, (syncSeq) =>
+ *   Note.findOneAndUpdate({ _id, owner }, { pinned: true, syncSeq })
+ * );
+ */
+syncCounterSchema.statics.withNext = async function (ownerId, write) {
+  const counter = await this.findOneAndUpdate(
+    { _id: ownerId },
+    [
+      {
+        $set: {
+          seq: { $add: [{ $ifNull: ['$seq', 0] }, 1] },
+          // Drop numbers left behind by writes that never finished
+          pending: {
+            $filter: {
+              input: { $ifNull: ['$pending', []] },
+              cond: {
+                $gt: [
+                  '$$this.at',
+                  { $subtract: ['$$NOW', PENDING_WRITE_TIMEOUT_MS] },
+                ],
+              },
+            },
+          },
+        },
+      },
+      {
+        $set: {
+          pending: {
+            $concatArrays: ['$pending', [{ seq: '$seq', at: '$$NOW' }]],
+          },
+        },
+      },
+    ],
+    { new: true, upsert: true, projection: { seq: 1 } }
+  ).lean();
+
+  try {
+    return await write(counter.seq);
+  } finally {
+    await this.updateOne(
+      { _id: ownerId },
+      { $pull: { pending: { seq: counter.seq } } }
+    );
+  }
+};
+
+/**
+ * Highest sequence number up to which every write of a user has finished.
+ *
+ * `GET /api/sync` reports no change past this number, so a client's token
+ * never moves past a write that is still going on.
+ *
+ * @async
+ * @function settledSeq
+ * @memberof SyncCounter
+ * @param {mongoose.Types.ObjectId|string} ownerId - User to check
+ * @returns {Promise<number>} The number; 0 before the user's first change
+ */
+syncCounterSchema.statics.settledSeq = async function (ownerId) {
+  const counter = await this.findById(ownerId).lean();
+  if (!counter) return 0;
+
+  const cutoff = Date.now() - PENDING_WRITE_TIMEOUT_MS;
+  const pending = (counter.pending ?? [])
+    .filter(({ at }) => at.getTime() > cutoff)
+    .map(({ seq }) => seq);
+  return pending.length > 0 ? Math.min(...pending) - 1 : counter.seq;
+};
+
+/**
+ * Mongoose model for SyncCounter documents.
+ *
+ * @type {mongoose.Model}
+ *
+ * @see {@link https://mongoosejs.com/docs/models.html} Mongoose model documentation
+ */
+const SyncCounter = mongoose.model('SyncCounter', syncCounterSchema);
+
+export default SyncCounter;
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Mongoose model for user accounts in the Dex Note Taking App.
+ *
+ * Each user owns their own notes: the auth middleware attaches the signed-in
+ * user to every request and the notes controllers only ever read or write
+ * notes whose `owner` is that user. Passwords are stored as bcrypt hashes and
+ * are never returned by queries unless explicitly selected.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+
+/**
+ * bcrypt cost factor used when hashing passwords.
+ *
+ * Each increment doubles the hashing time. 12 keeps a login well under a
+ * second on a small server while making offline guessing expensive.
+ *
+ * @type {number}
+ */
+const BCRYPT_ROUNDS = 12;
+
+/**
+ * Minimum password length accepted at registration.
+ *
+ * @type {number}
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Mongoose schema definition for User documents.
+ *
+ * **Schema Fields:**
+ * - **email**: Login identifier, stored trimmed and lower-cased so
+ *   "Dex@Example.com" and "dex@example.com" are the same account
+ * - **passwordHash**: bcrypt hash of the password, excluded from queries by
+ *   default (`select: false`)
+ * - **calendarToken**: Secret in the URL of the user's calendar feed
+ *   (`GET /api/calendar.ics`), absent while the feed is turned off; also
+ *   excluded from queries by default
+ * - **createdAt/updatedAt**: Automatically managed timestamps
+ *
+ * **Indexes:**
+ * - Unique index on `email`
+ * - Unique, sparse index on `calendarToken`, used by every feed request
+ *
+ * @type {mongoose.Schema}
+ *
+ * @see {@link ../controllers/authController.js} Controllers that create and authenticate users
+ */
+const userSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    calendarToken: {
+      type: String,
+      select: false,
+      index: { unique: true, sparse: true },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Never serialize secrets, even when they were selected explicitly
+      transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.calendarToken;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Hashes a plain-text password for storage.
+ *
+ * @async
+ * @function hashPassword
+ * @memberof User
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+userSchema.statics.hashPassword = function (password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+};
+
+/**
+ * Checks a plain-text password against the stored hash.
+ *
+ * The document must have been loaded with `.select('+passwordHash')`.
+ *
+ * @async
+ * @function verifyPassword
+ * @memberof User
+ * @param {string} password - Plain-text password to check
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+userSchema.methods.verifyPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+/**
+ * Mongoose model for User documents.
+ *
+ * @type {mongoose.Model}
+ *
+ * @see {@link https://mongoosejs.com/docs/models.html} Mongoose model documentation
+ */
+const User = mongoose.model('User', userSchema);
+
+export default User;
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Express.js routes for authentication in the Dex Note Taking App.
+ *
+ * These routes are mounted at `/api/auth` in server.js and are the only API
+ * routes that don't require an access token.
+ *
+ * **Route Structure:**
+ * - `POST /register` → `POST /api/auth/register` (create account and sign in)
+ * - `POST /login` → `POST /api/auth/login` (sign in)
+ * - `POST /logout` → `POST /api/auth/logout` (end the session)
+ * - `POST /refresh` → `POST /api/auth/refresh` (new access token from the cookie)
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import {
+  login,
+  logout,
+  refresh,
+  register,
+} from '../controllers/authController.js';
+
+/**
+ * Express router instance for authentication routes.
+ *
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Route handler for creating an account.
+ *
+ * **Frontend Usage:**
+ * - Called by RegisterPage when the form is submitted
+ *
+ * @route POST /register
+ * @param {Object} body - `{ email, password }`
+ * @returns {Object} `{ user, accessToken }` plus the refresh cookie
+ * @returns {400} Invalid email or password too short
+ * @returns {409} Email already registered
+ * @see {@link ../controllers/authController.js#register} Controller implementation
+ * @see {@link ../../frontend/src/pages/RegisterPage.jsx} Frontend usage
+ */
+router.post('/register', register);
+
+/**
+ * Route handler for signing in.
+ *
+ * **Frontend Usage:**
+ * - Called by LoginPage when the form is submitted
+ *
+ * @route POST /login
+ * @param {Object} body - `{ email, password }`
+ * @returns {Object} `{ user, accessToken }` plus the refresh cookie
+ * @returns {401} Invalid email or password
+ * @see {@link ../controllers/authController.js#login} Controller implementation
+ * @see {@link ../../frontend/src/pages/LoginPage.jsx} Frontend usage
+ */
+router.post('/login', login);
+
+/**
+ * Route handler for signing out.
+ *
+ * **Frontend Usage:**
+ * - Called by the logout button in the Navbar
+ *
+ * @route POST /logout
+ * @returns {Object} Confirmation message; the refresh cookie is cleared
+ * @see {@link ../controllers/authController.js#logout} Controller implementation
+ * @see {@link ../../frontend/src/components/Navbar.jsx} Frontend usage
+ */
+router.post('/logout', logout);
+
+/**
+ * Route handler for refreshing the access token.
+ *
+ * **Frontend Usage:**
+ * - Called on page load to restore the session
+ * - Called by the axios client when a request fails with 401
+ *
+ * @route POST /refresh
+ * @returns {Object} `{ user, accessToken }` plus a rotated refresh cookie
+ * @returns {401} Missing, invalid or reused refresh token
+ * @see {@link ../controllers/authController.js#refresh} Controller implementation
+ * @see {@link ../../frontend/src/lib/axios.js} Frontend usage
+ */
+router.post('/refresh', refresh);
+
+export default router;
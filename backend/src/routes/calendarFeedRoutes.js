@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Express.js route serving the calendar feed of the Dex Note Taking App.
+ *
+ * This router is mounted at `/api/calendar.ics` in server.js **without** the
+ * auth middleware: calendar apps fetch the feed on their own, with only the
+ * URL to go on. The token in its query string identifies the user.
+ *
+ * **Route Structure:**
+ * - `GET /` → `GET /api/calendar.ics?token=<token>` (reminders and due dates)
+ *
+ * The feed is turned on, regenerated and turned off under
+ * `/api/calendar/feed`.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import { getCalendarFeed } from '../controllers/calendarController.js';
+import validate from '../middleware/validate.js';
+import { calendarFeedQuery } from '../validation/calendar.js';
+
+/**
+ * Express router instance for the calendar feed.
+ *
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Route handler for the iCalendar feed.
+ *
+ * **Frontend Usage:**
+ * - None: CalendarFeedDialog shows the URL, and the user pastes it into
+ *   their calendar app's "subscribe" option
+ *
+ * @route GET /
+ * @param {string} token - Query parameter: token from the feed URL
+ * @returns {string} `text/calendar` document with one event per reminder and due date
+ * @returns {400} Missing or malformed token
+ * @returns {404} Unknown token, e.g. regenerated or turned off
+ * @see {@link ../controllers/calendarController.js#getCalendarFeed} Controller implementation
+ */
+router.get('/', validate({ query: calendarFeedQuery }), getCalendarFeed);
+
+export default router;
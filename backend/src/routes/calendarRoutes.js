@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Express.js routes for managing the calendar feed in the Dex Note Taking App.
+ *
+ * These routes are mounted at `/api/calendar` in server.js behind the auth
+ * middleware and act on the signed-in user's own feed.
+ *
+ * **Route Structure:**
+ * - `GET /feed` → `GET /api/calendar/feed` (current feed token)
+ * - `POST /feed` → `POST /api/calendar/feed` (turn on or regenerate)
+ * - `DELETE /feed` → `DELETE /api/calendar/feed` (turn off)
+ *
+ * The feed itself is served by `GET /api/calendar.ics`, see
+ * `calendarFeedRoutes.js`.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import {
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarFeedSettings,
+} from '../controllers/calendarController.js';
+import validate from '../middleware/validate.js';
+import rateLimit from '../middleware/rateLimiter.js';
+
+/**
+ * Express router instance for calendar feed settings.
+ *
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Route handler for reading the feed's token.
+ *
+ * @route GET /feed
+ * @returns {Object} `{ token }`, null while the feed is off
+ * @see {@link ../controllers/calendarController.js#getCalendarFeedSettings} Controller implementation
+ * @see {@link ../../frontend/src/components/CalendarFeedDialog.jsx} Frontend usage
+ */
+router.get('/feed', rateLimit('read'), validate(), getCalendarFeedSettings);
+
+/**
+ * Route handler for turning the feed on, or regenerating its token.
+ *
+ * @route POST /feed
+ * @returns {Object} `{ token }` (201)
+ * @see {@link ../controllers/calendarController.js#createCalendarFeed} Controller implementation
+ */
+router.post('/feed', rateLimit('write'), validate(), createCalendarFeed);
+
+/**
+ * Route handler for turning the feed off.
+ *
+ * @route DELETE /feed
+ * @returns {Object} Confirmation message
+ * @see {@link ../controllers/calendarController.js#deleteCalendarFeed} Controller implementation
+ */
+router.delete('/feed', rateLimit('write'), validate(), deleteCalendarFeed);
+
+export default router;
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Express.js routes for notebooks in the Dex Note Taking App.
+ *
+ * These routes are mounted at `/api/notebooks` in server.js behind the auth
+ * middleware. Reads and writes are rate limited with the same policies as
+ * the notes routes, and every route validates its input with the schemas
+ * from `validation/notebooks.js`.
+ *
+ * **Route Structure:**
+ * - `GET /` → `GET /api/notebooks` (all notebooks with note counts)
+ * - `POST /` → `POST /api/notebooks` (create a notebook)
+ * - `PATCH /:id` → `PATCH /api/notebooks/:id` (rename or move a notebook)
+ * - `DELETE /:id` → `DELETE /api/notebooks/:id?mode=reparent|cascade` (delete a notebook)
+ *
+ * Notes are moved between notebooks with `POST /api/notes/:id/move`.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import {
+  createNotebook,
+  deleteNotebook,
+  listNotebooks,
+  updateNotebook,
+} from '../controllers/notebooksController.js';
+import validate from '../middleware/validate.js';
+import rateLimit from '../middleware/rateLimiter.js';
+import {
+  createNotebookBody,
+  deleteNotebookQuery,
+  notebookIdParams,
+  updateNotebookBody,
+} from '../validation/notebooks.js';
+
+/**
+ * Express router instance for notebook routes.
+ *
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Route handler for listing notebooks.
+ *
+ * **Frontend Usage:**
+ * - Called by HomePage to build the notebook tree in the sidebar, and again
+ *   after notes are moved so the counts stay current
+ *
+ * @route GET /
+ * @returns {Object} `{ notebooks, unfiledCount }`, notebooks sorted by name
+ * @see {@link ../controllers/notebooksController.js#listNotebooks} Controller implementation
+ * @see {@link ../../frontend/src/components/NotebookTree.jsx} Frontend usage
+ */
+router.get('/', rateLimit('read'), validate(), listNotebooks);
+
+/**
+ * Route handler for creating a notebook.
+ *
+ * @route POST /
+ * @param {Object} body - `{ name, parent? }`
+ * @returns {Object} The created notebook
+ * @returns {201} Notebook created
+ * @returns {400} Invalid name or nesting too deep
+ * @returns {404} Parent notebook not found
+ * @see {@link ../controllers/notebooksController.js#createNotebook} Controller implementation
+ */
+router.post(
+  '/',
+  rateLimit('write'),
+  validate({ body: createNotebookBody }),
+  createNotebook
+);
+
+/**
+ * Route handler for renaming a notebook or moving it to another parent.
+ *
+ * @route PATCH /:id
+ * @param {string} id - MongoDB ObjectId of the notebook
+ * @param {Object} body - `{ name?, parent? }`, at least one of them
+ * @returns {Object} The updated notebook
+ * @returns {400} Invalid body, a move into its own subtree, or nesting too deep
+ * @returns {404} Notebook or new parent not found
+ * @see {@link ../controllers/notebooksController.js#updateNotebook} Controller implementation
+ */
+router.patch(
+  '/:id',
+  rateLimit('write'),
+  validate({ params: notebookIdParams, body: updateNotebookBody }),
+  updateNotebook
+);
+
+/**
+ * Route handler for deleting a notebook.
+ *
+ * **Frontend Usage:**
+ * - Called by the delete dialog in NotebookTree, which asks whether the
+ *   contents should move up a level or be deleted with the notebook
+ *
+ * @route DELETE /:id
+ * @param {string} id - MongoDB ObjectId of the notebook
+ * @param {string} [mode="reparent"] - Query parameter: "reparent" or "cascade"
+ * @returns {Object} `{ message, mode, deletedNotebooks, affectedNotes }`
+ * @returns {404} Notebook not found
+ * @see {@link ../controllers/notebooksController.js#deleteNotebook} Controller implementation
+ * @see {@link ../../frontend/src/components/NotebookTree.jsx} Frontend usage
+ */
+router.delete(
+  '/:id',
+  rateLimit('write'),
+  validate({ params: notebookIdParams, query: deleteNotebookQuery }),
+  deleteNotebook
+);
+
+export default router;
@@ -7,8 +7,13 @@
  *
  * The router is mounted at `/api/notes` in the main server, making the endpoints
  * available at `/api/notes/` for collection operations and `/api/notes/:id` for
- * individual note operations. All routes are protected by the global rate limiting
- * middleware applied in server.js.
+ * individual note operations. Every route is rate limited per user, reads
+ * with the generous `read` policy and changes with the stricter `write`
+ * policy, so heavy browsing never blocks saving.
+ *
+ * Every route runs `validate` with the schemas from `validation/notes.js`
+ * (`validation/shares.js` for share links) before its controller, so malformed IDs, unknown fields and out-of-range
+ * values are answered with a 400 `VALIDATION_ERROR` listing each problem.
  *
  * @author Dayle Cortes
  * @version 1.0.0
@@ -16,12 +21,93 @@
 
 import express from 'express';
 import {
+  archiveNote,
   createNote,
   deleteNote,
+  deleteNotePermanently,
+  emptyTrash,
   getAllNotes,
   getNoteById,
+  getTags,
+  getTrash,
+  getUpcomingNotes,
+  moveNote,
+  pinNote,
+  restoreNote,
+  scheduleNote,
+  searchNotes,
   updateNote,
 } from '../controllers/notesController.js';
+import {
+  getRevision,
+  listRevisions,
+  restoreRevision,
+} from '../controllers/revisionsController.js';
+import {
+  addChecklistItem,
+  removeChecklistItem,
+  reorderChecklistItems,
+  updateChecklistItem,
+} from '../controllers/checklistController.js';
+import {
+  deleteAttachment,
+  downloadAttachment,
+  uploadAttachment,
+} from '../controllers/attachmentsController.js';
+import { exportNotes } from '../controllers/exportController.js';
+import { importNotes } from '../controllers/importController.js';
+import { bulkUpdateNotes } from '../controllers/bulkController.js';
+import { streamNoteEvents } from '../controllers/eventsController.js';
+import { createCollabTicket } from '../controllers/collabController.js';
+import {
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+} from '../controllers/shareController.js';
+import importUpload from '../middleware/importUpload.js';
+import attachmentUpload from '../middleware/attachmentUpload.js';
+import validate from '../middleware/validate.js';
+import rateLimit from '../middleware/rateLimiter.js';
+import {
+  addChecklistItemBody,
+  archiveNoteBody,
+  attachmentParams,
+  bulkBody,
+  checklistItemParams,
+  createNoteBody,
+  exportQuery,
+  listNotesQuery,
+  moveNoteBody,
+  noteIdParams,
+  pinNoteBody,
+  reorderChecklistBody,
+  revisionParams,
+  scheduleNoteBody,
+  searchQuery,
+  upcomingQuery,
+  updateChecklistItemBody,
+  updateNoteBody,
+  updateNoteQuery,
+} from '../validation/notes.js';
+import {
+  createShareBody,
+  shareLinkParams,
+  shareParams,
+} from '../validation/shares.js';
+
+/**
+ * Rate limit for routes that only read notes.
+ *
+ * @type {Function}
+ */
+const limitReads = rateLimit('read');
+
+/**
+ * Rate limit for routes that create, change or delete notes.
+ *
+ * @type {Function}
+ */
+const limitWrites = rateLimit('write');
 
 /**
  * Express.js router instance for note-related API endpoints.
@@ -38,35 +124,267 @@ import {
  *
  * **Route Structure:**
  * All routes are relative to the mounting path `/api/notes`:
- * - `GET /` → `GET /api/notes/` (retrieve all notes)
+ * - `GET /` → `GET /api/notes/` (retrieve a page of notes, optionally filtered by tag or notebook)
+ * - `GET /tags` → `GET /api/notes/tags` (list tags with note counts)
+ * - `GET /search` → `GET /api/notes/search?q=` (ranked full-text search)
+ * - `GET /events` → `GET /api/notes/events` (live change stream, Server-Sent Events)
+ * - `GET /export` → `GET /api/notes/export?format=zip|json` (download all notes)
+ * - `POST /import` → `POST /api/notes/import` (create notes from uploaded files)
+ * - `POST /bulk` → `POST /api/notes/bulk` (apply one action to many notes)
  * - `GET /:id` → `GET /api/notes/:id` (retrieve specific note)
  * - `POST /` → `POST /api/notes/` (create new note)
  * - `PUT /:id` → `PUT /api/notes/:id` (update existing note)
- * - `DELETE /:id` → `DELETE /api/notes/:id` (delete note)
+ * - `DELETE /:id` → `DELETE /api/notes/:id` (move note to trash)
+ * - `POST /:id/move` → `POST /api/notes/:id/move` (file note in another notebook)
+ * - `PATCH /:id/pin` → `PATCH /api/notes/:id/pin` (pin or unpin note)
+ * - `PATCH /:id/archive` → `PATCH /api/notes/:id/archive` (archive or unarchive note)
+ * - `POST /:id/items` → `POST /api/notes/:id/items` (add a checklist item)
+ * - `PATCH /:id/items/:itemId` → `PATCH /api/notes/:id/items/:itemId` (tick off or rename an item)
+ * - `PUT /:id/items/order` → `PUT /api/notes/:id/items/order` (reorder a checklist)
+ * - `DELETE /:id/items/:itemId` → `DELETE /api/notes/:id/items/:itemId` (remove an item)
+ * - `POST /:id/attachments` → `POST /api/notes/:id/attachments` (attach a file)
+ * - `GET /:id/attachments/:attachmentId` → `GET /api/notes/:id/attachments/:attachmentId` (download a file, with ranges)
+ * - `DELETE /:id/attachments/:attachmentId` → `DELETE /api/notes/:id/attachments/:attachmentId` (remove a file)
+ * - `POST /:id/collab-ticket` → `POST /api/notes/:id/collab-ticket` (join live editing)
+ * - `GET /:id/share` → `GET /api/notes/:id/share` (list active share links)
+ * - `POST /:id/share` → `POST /api/notes/:id/share` (create a public share link)
+ * - `DELETE /:id/share/:linkId` → `DELETE /api/notes/:id/share/:linkId` (revoke a share link)
+ * - `GET /trash` → `GET /api/notes/trash` (list trashed notes)
+ * - `DELETE /trash` → `DELETE /api/notes/trash` (empty the trash)
+ * - `POST /:id/restore` → `POST /api/notes/:id/restore` (restore from trash)
+ * - `DELETE /:id/permanent` → `DELETE /api/notes/:id/permanent` (delete forever)
+ * - `GET /:id/revisions` → `GET /api/notes/:id/revisions` (list revision history)
+ * - `GET /:id/revisions/:rev` → `GET /api/notes/:id/revisions/:rev` (read one revision)
+ * - `POST /:id/revisions/:rev/restore` → `POST /api/notes/:id/revisions/:rev/restore` (revert)
  *
  * @type {express.Router}
  */
 const router = express.Router();
 
 /**
- * Route handler for retrieving all notes.
+ * Route handler for retrieving notes one page at a time.
  *
- * This endpoint returns all notes in the database, sorted by creation date
- * in descending order (newest first). It's used by the frontend HomePage
- * to display the complete list of notes in a grid layout.
+ * This endpoint returns notes sorted by creation date in descending order
+ * (newest first), using cursor-based pagination. It's used by the frontend
+ * HomePage to fill the notes grid with infinite scroll.
  *
  * **Frontend Usage:**
- * - Called by HomePage on component mount
- * - Used to populate the notes grid display
+ * - Called by HomePage on component mount for the first page
+ * - Called again with `cursor` as the grid's end scrolls into view
  * - Handles loading states and error scenarios
  * - Integrates with rate limiting UI for 429 responses
  *
+ * An optional `tag` query parameter narrows the list to notes carrying
+ * that tag, which is how the HomePage tag filter sidebar works. Likewise
+ * `notebook` narrows it to one notebook, or to unfiled notes with "none".
+ * Pinned notes come first on the first page, and archived notes are only
+ * listed with `archived=true`.
+ *
  * @route GET /
- * @returns {Array<Object>} Array of note objects with title, content, and timestamps
+ * @param {string} [tag] - Query parameter restricting results to one tag
+ * @param {string} [notebook] - Query parameter with a notebook ID, or "none" for unfiled notes
+ * @param {string} [archived] - Query parameter; "true" lists archived notes only
+ * @param {number} [limit=20] - Query parameter with the page size (1–100)
+ * @param {string} [cursor] - Query parameter with the previous page's `nextCursor`
+ * @returns {Object} `{ notes, nextCursor }` where `nextCursor` is null on the last page
+ * @returns {400} Invalid `limit`, `cursor` or unknown query parameter
  * @see {@link ../controllers/notesController.js#getAllNotes} Controller implementation
  * @see {@link ../../frontend/src/pages/HomePage.jsx} Frontend usage
  */
-router.get('/', getAllNotes);
+router.get('/', limitReads, validate({ query: listNotesQuery }), getAllNotes);
+
+/**
+ * Route handler for listing every tag with its note count.
+ *
+ * This endpoint aggregates the tags used across all notes and returns each
+ * distinct tag together with how many notes carry it. It must be registered
+ * before `GET /:id`, otherwise Express would treat "tags" as a note ID.
+ *
+ * **Frontend Usage:**
+ * - Called by HomePage to populate the tag filter sidebar
+ * - Counts are shown next to each tag in the sidebar
+ *
+ * @route GET /tags
+ * @returns {Array<Object>} Array of `{ tag, count }` objects, most used first
+ * @see {@link ../controllers/notesController.js#getTags} Controller implementation
+ * @see {@link ../../frontend/src/components/TagFilter.jsx} Frontend usage
+ */
+router.get('/tags', limitReads, validate(), getTags);
+
+/**
+ * Route handler for full-text search across note titles and content.
+ *
+ * This endpoint runs a relevance-ranked text search and returns matching
+ * notes with highlighted title segments and a content snippet. Like
+ * `/tags`, it has to be registered before `GET /:id`.
+ *
+ * **Frontend Usage:**
+ * - Called by HomePage when the user types in the Navbar search box
+ * - Highlighted snippets replace the plain preview in NoteCard
+ * - Requests are debounced on the client to avoid one call per keystroke
+ *
+ * @route GET /search
+ * @param {string} q - Query parameter with the search text (required)
+ * @returns {Array<Object>} Matching notes with `score` and `highlights`, best first
+ * @returns {400} Missing or over-long search query
+ * @see {@link ../controllers/notesController.js#searchNotes} Controller implementation
+ * @see {@link ../../frontend/src/components/Navbar.jsx} Search box
+ */
+router.get(
+  '/search',
+  limitReads,
+  validate({ query: searchQuery }),
+  searchNotes
+);
+
+/**
+ * Route handler for listing notes with an upcoming reminder or a due date.
+ * Registered before `GET /:id`, like the other fixed paths.
+ *
+ * **Frontend Usage:**
+ * - Called by HomePage for its Upcoming view, and to schedule the in-app
+ *   notifications of the reminders
+ *
+ * @route GET /upcoming
+ * @param {string} [since] - Query parameter: also list reminders that went
+ *   off after this ISO date-time
+ * @returns {Object} `{ notes }`, soonest reminder or due date first
+ * @returns {400} Malformed `since`
+ * @see {@link ../controllers/notesController.js#getUpcomingNotes} Controller implementation
+ * @see {@link ../../frontend/src/hooks/useReminders.js} Frontend usage
+ */
+router.get(
+  '/upcoming',
+  limitReads,
+  validate({ query: upcomingQuery }),
+  getUpcomingNotes
+);
+
+/**
+ * Route handler for the live stream of note changes.
+ *
+ * This endpoint keeps the response open and sends a Server-Sent Event each
+ * time one of the user's notes is created, updated or moved to the trash.
+ * Opening the stream counts once against the read limit. Registered before
+ * `GET /:id` so "events" isn't taken for a note ID.
+ *
+ * **Frontend Usage:**
+ * - HomePage merges the events into the notes grid
+ * - NoteDetailPage warns when the open note changed elsewhere
+ *
+ * @route GET /events
+ * @returns {text/event-stream} `created`, `updated` and `deleted` events
+ * @see {@link ../controllers/eventsController.js#streamNoteEvents} Controller implementation
+ * @see {@link ../../frontend/src/lib/noteEvents.js} Frontend stream client
+ */
+router.get('/events', limitReads, validate(), streamNoteEvents);
+
+/**
+ * Route handler for exporting all notes.
+ *
+ * This endpoint streams a ZIP archive with one Markdown file per live note,
+ * each starting with YAML front matter (title, timestamps, tags), or with
+ * `format=json` a single JSON document that `POST /import` reads back.
+ * Registered before `GET /:id` so "export" isn't read as an ID.
+ *
+ * **Frontend Usage:**
+ * - Called by the Export action in the Navbar, which saves the response as
+ *   a file download
+ *
+ * @route GET /export
+ * @param {string} [format="zip"] - "zip" for Markdown files, "json" for one JSON file
+ * @returns {Blob} `application/zip` or `application/json` attachment
+ * @returns {400} Unsupported format
+ * @see {@link ../controllers/exportController.js#exportNotes} Controller implementation
+ * @see {@link ../../frontend/src/components/Navbar.jsx} Frontend usage
+ */
+router.get(
+  '/export',
+  limitReads,
+  validate({ query: exportQuery }),
+  exportNotes
+);
+
+/**
+ * Route handler for importing notes from files.
+ *
+ * This endpoint accepts a multipart upload of Markdown/text files, ZIP
+ * archives of them, JSON exports and Evernote `.enex` files, creates a note
+ * for each note found, and reports the outcome per note.
+ *
+ * **Frontend Usage:**
+ * - Called by ImportPage with the files dropped or picked by the user
+ * - The `results` list is shown as the import report
+ *
+ * @route POST /import
+ * @param {Array<File>} files - Multipart field holding the uploaded files
+ * @returns {Object} `{ summary, results }` with a status per imported note
+ * @returns {400} No files, too many files, or a malformed upload
+ * @returns {413} A file is over the size limit
+ * @see {@link ../controllers/importController.js#importNotes} Controller implementation
+ * @see {@link ../../frontend/src/pages/ImportPage.jsx} Frontend usage
+ */
+router.post('/import', limitWrites, validate(), importUpload, importNotes);
+
+/**
+ * Route handler for acting on many notes at once.
+ *
+ * This endpoint trashes, archives, unarchives, tags, untags or moves a list
+ * of notes in one transaction and reports the outcome for each ID. The
+ * whole request counts once against the write limit, however many notes
+ * it touches.
+ *
+ * **Frontend Usage:**
+ * - Called by the floating action bar of the HomePage selection mode
+ *
+ * @route POST /bulk
+ * @param {Object} body - `{ action, ids, tags?, notebookId? }`
+ * @returns {Object} `{ summary, results }` with a status per note ID
+ * @returns {400} Unknown action, bad IDs, or fields the action doesn't take
+ * @returns {404} Target notebook not found (for "move")
+ * @see {@link ../controllers/bulkController.js#bulkUpdateNotes} Controller implementation
+ * @see {@link ../../frontend/src/components/BulkActionBar.jsx} Frontend usage
+ */
+router.post(
+  '/bulk',
+  limitWrites,
+  validate({ body: bulkBody }),
+  bulkUpdateNotes
+);
+
+/**
+ * Route handler for listing the notes in the trash.
+ *
+ * This endpoint returns every soft-deleted note (most recently deleted
+ * first) along with the retention period after which trashed notes are
+ * purged. Registered before `GET /:id` so "trash" isn't read as an ID.
+ *
+ * **Frontend Usage:**
+ * - Called by TrashPage on mount and after restore/delete actions
+ * - `retentionDays` is used to show when each note will be purged
+ *
+ * @route GET /trash
+ * @returns {Object} `{ notes, retentionDays }`
+ * @see {@link ../controllers/notesController.js#getTrash} Controller implementation
+ * @see {@link ../../frontend/src/pages/TrashPage.jsx} Frontend usage
+ */
+router.get('/trash', limitReads, validate(), getTrash);
+
+/**
+ * Route handler for emptying the trash.
+ *
+ * This endpoint permanently deletes every note currently in the trash.
+ * Live notes are never affected.
+ *
+ * **Frontend Usage:**
+ * - Called by the "Empty trash" button on TrashPage after confirmation
+ *
+ * @route DELETE /trash
+ * @returns {Object} `{ message, deletedCount }`
+ * @see {@link ../controllers/notesController.js#emptyTrash} Controller implementation
+ * @see {@link ../../frontend/src/pages/TrashPage.jsx} Frontend usage
+ */
+router.delete('/trash', limitWrites, validate(), emptyTrash);
 
 /**
  * Route handler for retrieving a specific note by ID.
@@ -84,11 +402,13 @@ router.get('/', getAllNotes);
  * @route GET /:id
  * @param {string} id - MongoDB ObjectId of the note to retrieve
  * @returns {Object} Note object with title, content, and timestamps
+ * @returns {string} ETag header holding the note's version
+ * @returns {400} Malformed note ID
  * @returns {404} Note not found error
  * @see {@link ../controllers/notesController.js#getNoteById} Controller implementation
  * @see {@link ../../frontend/src/pages/NoteDetailPage.jsx} Frontend usage
  */
-router.get('/:id', getNoteById);
+router.get('/:id', limitReads, validate({ params: noteIdParams }), getNoteById);
 
 /**
  * Route handler for creating a new note.
@@ -108,59 +428,541 @@ router.get('/:id', getNoteById);
  * @param {Object} req.body - Request body containing note data
  * @param {string} req.body.title - Note title (required)
  * @param {string} req.body.content - Note content (required)
+ * @param {Array<string>} [req.body.tags] - Optional tags for grouping the note
+ * @param {string|null} [req.body.notebookId] - Optional notebook to file the note in
+ * @param {string} [req.body.clientId] - Client's own ID for the note, making retries safe
  * @returns {Object} Created note object with generated ID and timestamps
  * @returns {201} Note created successfully
+ * @returns {200} Note already created by an earlier request with the same clientId
+ * @returns {400} Missing, blank, over-long or unknown fields, one message per field
+ * @returns {404} Notebook not found
  * @see {@link ../controllers/notesController.js#createNote} Controller implementation
  * @see {@link ../../frontend/src/pages/CreatePage.jsx} Frontend usage
  */
-router.post('/', createNote);
+router.post('/', limitWrites, validate({ body: createNoteBody }), createNote);
 
 /**
  * Route handler for updating an existing note.
  *
  * This endpoint updates a note's title and content by its MongoDB ObjectId.
- * It uses findByIdAndUpdate to ensure atomic updates and returns the
- * updated note. Used by the frontend NoteDetailPage for saving changes.
+ * The write is conditional on the note's version, so when `If-Match` names
+ * an outdated version the update is refused with 409 instead of silently
+ * overwriting a newer save. Used by the frontend NoteDetailPage for saving
+ * changes.
  *
  * **Frontend Usage:**
- * - Called by NoteDetailPage when saving note changes
+ * - Called by NoteDetailPage's debounced autosave (with `?autosave=true`)
+ * - Called by the "Save Changes" button, which then navigates home
+ * - Sends the last seen `ETag` as `If-Match` and opens the conflict dialog
+ *   on 409
  * - Validates required fields before submission
- * - Shows success toast and navigates to home page
- * - Handles loading states during save operation
  *
  * @route PUT /:id
  * @param {string} id - MongoDB ObjectId of the note to update
  * @param {Object} req.body - Request body containing updated note data
  * @param {string} req.body.title - Updated note title
- * @param {string} req.body.content - Updated note content
- * @returns {Object} Updated note object with new timestamps
+ * @param {string} [req.body.content] - Updated note content (left out by live collaboration sessions)
+ * @param {Array<string>} [req.body.tags] - Updated tags (replaces existing tags)
+ * @param {string} [autosave] - Query flag; "true" folds the change into a recent autosave revision
+ * @param {string} [If-Match] - Header with the ETag of the version being edited
+ * @returns {Object} Updated note object with new timestamps and a new ETag
+ * @returns {400} Invalid ID or body, one message per field
  * @returns {404} Note not found error
+ * @returns {409} `VERSION_CONFLICT` with the server's copy in `error.details.note` when the version is stale
  * @see {@link ../controllers/notesController.js#updateNote} Controller implementation
  * @see {@link ../../frontend/src/pages/NoteDetailPage.jsx} Frontend usage
  */
-router.put('/:id', updateNote);
+router.put(
+  '/:id',
+  limitWrites,
+  validate({
+    params: noteIdParams,
+    query: updateNoteQuery,
+    body: updateNoteBody,
+  }),
+  updateNote
+);
 
 /**
  * Route handler for deleting a note.
  *
- * This endpoint permanently removes a note from the database by its
- * MongoDB ObjectId. It's used by both the frontend NoteDetailPage
- * and NoteCard component for note deletion with confirmation.
+ * This endpoint moves a note to the trash by its MongoDB ObjectId. The
+ * note disappears from listings but can be restored until the purge job
+ * removes it after the retention period. It's used by both the frontend
+ * NoteDetailPage and NoteCard component.
  *
  * **Frontend Usage:**
- * - Called by NoteDetailPage delete button with confirmation
- * - Called by NoteCard delete button with confirmation
+ * - Called by NoteDetailPage delete button
+ * - Called by NoteCard delete button
  * - Shows success toast and updates UI state
  * - Handles error scenarios gracefully
  *
  * @route DELETE /:id
- * @param {string} id - MongoDB ObjectId of the note to delete
- * @returns {Object} Success message confirming deletion
+ * @param {string} id - MongoDB ObjectId of the note to move to the trash
+ * @returns {Object} Success message and the `deletedAt` timestamp
  * @returns {404} Note not found error
  * @see {@link ../controllers/notesController.js#deleteNote} Controller implementation
  * @see {@link ../../frontend/src/pages/NoteDetailPage.jsx} Frontend usage
  * @see {@link ../../frontend/src/components/NoteCard.jsx} Frontend usage
  */
-router.delete('/:id', deleteNote);
+router.delete(
+  '/:id',
+  limitWrites,
+  validate({ params: noteIdParams }),
+  deleteNote
+);
+
+/**
+ * Route handler for moving a note into another notebook.
+ *
+ * Only the note's `notebookId` changes; its version is left alone, so an
+ * editor open on the note can keep saving without a conflict.
+ *
+ * **Frontend Usage:**
+ * - Called when a NoteCard is dropped onto a notebook in NotebookTree
+ *
+ * @route POST /:id/move
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {Object} body - `{ notebookId }`, null to unfile the note
+ * @returns {Object} The moved note
+ * @returns {404} Note or notebook not found
+ * @see {@link ../controllers/notesController.js#moveNote} Controller implementation
+ * @see {@link ../../frontend/src/pages/HomePage.jsx} Frontend usage
+ */
+router.post(
+  '/:id/move',
+  limitWrites,
+  validate({ params: noteIdParams, body: moveNoteBody }),
+  moveNote
+);
+
+/**
+ * Route handler for pinning or unpinning a note.
+ *
+ * **Frontend Usage:**
+ * - Called by the pin button on NoteCard
+ *
+ * @route PATCH /:id/pin
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {Object} body - `{ pinned: boolean }`
+ * @returns {Object} The updated note
+ * @returns {404} Note not found
+ * @see {@link ../controllers/notesController.js#pinNote} Controller implementation
+ * @see {@link ../../frontend/src/components/NoteCard.jsx} Frontend usage
+ */
+router.patch(
+  '/:id/pin',
+  limitWrites,
+  validate({ params: noteIdParams, body: pinNoteBody }),
+  pinNote
+);
+
+/**
+ * Route handler for archiving or unarchiving a note.
+ *
+ * **Frontend Usage:**
+ * - Called by the archive button on NoteCard, in the main grid and in the
+ *   Archive view
+ *
+ * @route PATCH /:id/archive
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {Object} body - `{ archived: boolean }`
+ * @returns {Object} The updated note
+ * @returns {404} Note not found
+ * @see {@link ../controllers/notesController.js#archiveNote} Controller implementation
+ * @see {@link ../../frontend/src/components/NoteCard.jsx} Frontend usage
+ */
+router.patch(
+  '/:id/archive',
+  limitWrites,
+  validate({ params: noteIdParams, body: archiveNoteBody }),
+  archiveNote
+);
+
+/**
+ * Route handler for setting or clearing a note's reminder and due date.
+ *
+ * **Frontend Usage:**
+ * - Called by the date-time pickers on NoteDetailPage
+ *
+ * @route PATCH /:id/schedule
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {Object} body - `{ remindAt?, dueAt? }`, ISO 8601 date-times or null
+ * @returns {Object} The updated note
+ * @returns {400} Invalid dates, or neither field given
+ * @returns {404} Note not found
+ * @see {@link ../controllers/notesController.js#scheduleNote} Controller implementation
+ * @see {@link ../../frontend/src/components/SchedulePicker.jsx} Frontend usage
+ */
+router.patch(
+  '/:id/schedule',
+  limitWrites,
+  validate({ params: noteIdParams, body: scheduleNoteBody }),
+  scheduleNote
+);
+
+/**
+ * Route handler for adding an item to a checklist note.
+ *
+ * **Frontend Usage:**
+ * - Called by the checklist editor when Enter is pressed on an item, or
+ *   text is typed into the "Add item" row
+ *
+ * @route POST /:id/items
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {Object} body - `{ text, done?, position? }`
+ * @returns {Object} The updated note (201)
+ * @returns {400} Invalid item, or the checklist is full
+ * @returns {404} Note not found
+ * @returns {409} The note is not a checklist
+ * @see {@link ../controllers/checklistController.js#addChecklistItem} Controller implementation
+ * @see {@link ../../frontend/src/components/ChecklistEditor.jsx} Frontend usage
+ */
+router.post(
+  '/:id/items',
+  limitWrites,
+  validate({ params: noteIdParams, body: addChecklistItemBody }),
+  addChecklistItem
+);
+
+/**
+ * Route handler for reordering a checklist note's items.
+ *
+ * **Frontend Usage:**
+ * - Called when an item is dragged to a new place, or moved with
+ *   Alt+Arrow keys
+ *
+ * @route PUT /:id/items/order
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {Object} body - `{ itemIds }`, every item ID in the new order
+ * @returns {Object} The updated note
+ * @returns {400} `itemIds` doesn't list each item exactly once
+ * @returns {404} Note not found
+ * @returns {409} The note is not a checklist
+ * @see {@link ../controllers/checklistController.js#reorderChecklistItems} Controller implementation
+ */
+router.put(
+  '/:id/items/order',
+  limitWrites,
+  validate({ params: noteIdParams, body: reorderChecklistBody }),
+  reorderChecklistItems
+);
+
+/**
+ * Route handler for ticking a checklist item off or changing its text.
+ *
+ * **Frontend Usage:**
+ * - Called by the item checkboxes, and when an item's text is edited
+ *
+ * @route PATCH /:id/items/:itemId
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {string} itemId - MongoDB ObjectId of the item
+ * @param {Object} body - `{ text?, done? }`
+ * @returns {Object} The updated note
+ * @returns {404} Note or item not found
+ * @returns {409} The note is not a checklist
+ * @see {@link ../controllers/checklistController.js#updateChecklistItem} Controller implementation
+ */
+router.patch(
+  '/:id/items/:itemId',
+  limitWrites,
+  validate({ params: checklistItemParams, body: updateChecklistItemBody }),
+  updateChecklistItem
+);
+
+/**
+ * Route handler for removing an item from a checklist note.
+ *
+ * **Frontend Usage:**
+ * - Called by an item's remove button, and by Backspace on an empty item
+ *
+ * @route DELETE /:id/items/:itemId
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {string} itemId - MongoDB ObjectId of the item
+ * @returns {Object} The updated note
+ * @returns {404} Note or item not found
+ * @returns {409} The note is not a checklist
+ * @see {@link ../controllers/checklistController.js#removeChecklistItem} Controller implementation
+ */
+router.delete(
+  '/:id/items/:itemId',
+  limitWrites,
+  validate({ params: checklistItemParams }),
+  removeChecklistItem
+);
+
+/**
+ * Route handler for attaching a file to a note.
+ *
+ * The body is multipart with the file in the `file` field; its size and
+ * type are checked against `config/attachments.js`.
+ *
+ * **Frontend Usage:**
+ * - Called when images are pasted or files are dropped onto the note
+ *   editor, or picked with the attach button
+ *
+ * @route POST /:id/attachments
+ * @param {string} id - MongoDB ObjectId of the note
+ * @returns {Object} The new attachment's metadata (201)
+ * @returns {400} No file, or more than one
+ * @returns {404} Note not found or in the trash
+ * @returns {409} The note has as many attachments as it may have
+ * @returns {413} The file is too large
+ * @returns {415} The file type isn't allowed, or doesn't match the content
+ * @see {@link ../controllers/attachmentsController.js#uploadAttachment} Controller implementation
+ * @see {@link ../../frontend/src/components/AttachmentList.jsx} Frontend usage
+ */
+router.post(
+  '/:id/attachments',
+  limitWrites,
+  validate({ params: noteIdParams }),
+  attachmentUpload,
+  uploadAttachment
+);
+
+/**
+ * Route handler for downloading an attachment.
+ *
+ * Honors `Range` headers (206 Partial Content), so media and large PDFs
+ * can be read in pieces and downloads resumed.
+ *
+ * **Frontend Usage:**
+ * - Called to show image thumbnails and to download files from the
+ *   attachment list
+ *
+ * @route GET /:id/attachments/:attachmentId
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {string} attachmentId - MongoDB ObjectId of the attachment
+ * @returns {Binary} The file, or the requested range of it
+ * @returns {404} Note or attachment not found
+ * @returns {416} The range is outside the file
+ * @see {@link ../controllers/attachmentsController.js#downloadAttachment} Controller implementation
+ */
+router.get(
+  '/:id/attachments/:attachmentId',
+  limitReads,
+  validate({ params: attachmentParams }),
+  downloadAttachment
+);
+
+/**
+ * Route handler for removing an attachment.
+ *
+ * **Frontend Usage:**
+ * - Called by the remove button next to each file in the attachment list
+ *
+ * @route DELETE /:id/attachments/:attachmentId
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {string} attachmentId - MongoDB ObjectId of the attachment
+ * @returns {Object} Success message
+ * @returns {404} Note or attachment not found
+ * @see {@link ../controllers/attachmentsController.js#deleteAttachment} Controller implementation
+ */
+router.delete(
+  '/:id/attachments/:attachmentId',
+  limitWrites,
+  validate({ params: attachmentParams }),
+  deleteAttachment
+);
+
+/**
+ * Route handler for issuing a collaboration ticket.
+ *
+ * WebSocket connections can't carry the `Authorization` header, so the
+ * editor first fetches a ticket here and passes it to the
+ * `/api/collab/:id` socket. Tickets expire after a few seconds.
+ *
+ * **Frontend Usage:**
+ * - Called by the collaboration provider before every (re)connect
+ *
+ * @route POST /:id/collab-ticket
+ * @param {string} id - MongoDB ObjectId of the note
+ * @returns {Object} `{ ticket, expiresIn }`
+ * @returns {404} Note not found or in the trash
+ * @see {@link ../controllers/collabController.js#createCollabTicket} Controller implementation
+ * @see {@link ../lib/collabServer.js} WebSocket server that accepts the ticket
+ * @see {@link ../../frontend/src/lib/collabProvider.js} Frontend usage
+ */
+router.post(
+  '/:id/collab-ticket',
+  limitReads,
+  validate({ params: noteIdParams }),
+  createCollabTicket
+);
+
+/**
+ * Route handler for listing a note's active share links.
+ *
+ * **Frontend Usage:**
+ * - Called by ShareDialog when it opens
+ *
+ * @route GET /:id/share
+ * @param {string} id - MongoDB ObjectId of the note
+ * @returns {Object} `{ links }`, newest first, expired links left out
+ * @see {@link ../controllers/shareController.js#listShareLinks} Controller implementation
+ * @see {@link ../../frontend/src/components/ShareDialog.jsx} Frontend usage
+ */
+router.get(
+  '/:id/share',
+  limitReads,
+  validate({ params: shareParams }),
+  listShareLinks
+);
+
+/**
+ * Route handler for creating a public share link.
+ *
+ * The link's token is the only secret of a link without a password, so it
+ * is long and random; see `generateShareToken`.
+ *
+ * **Frontend Usage:**
+ * - Called by the "Create link" form in ShareDialog
+ *
+ * @route POST /:id/share
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {Object} body - `{ expiresInDays?, password? }`, both optional
+ * @returns {Object} The new link (201), with `token` and `hasPassword`
+ * @returns {404} Note not found or in the trash
+ * @see {@link ../controllers/shareController.js#createShareLink} Controller implementation
+ * @see {@link ../../frontend/src/components/ShareDialog.jsx} Frontend usage
+ */
+router.post(
+  '/:id/share',
+  limitWrites,
+  validate({ params: shareParams, body: createShareBody }),
+  createShareLink
+);
+
+/**
+ * Route handler for revoking a share link.
+ *
+ * **Frontend Usage:**
+ * - Called by the revoke button next to each link in ShareDialog
+ *
+ * @route DELETE /:id/share/:linkId
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {string} linkId - MongoDB ObjectId of the link
+ * @returns {Object} Success message
+ * @returns {404} Link not found
+ * @see {@link ../controllers/shareController.js#revokeShareLink} Controller implementation
+ * @see {@link ../../frontend/src/components/ShareDialog.jsx} Frontend usage
+ */
+router.delete(
+  '/:id/share/:linkId',
+  limitWrites,
+  validate({ params: shareLinkParams }),
+  revokeShareLink
+);
+
+/**
+ * Route handler for restoring a note from the trash.
+ *
+ * **Frontend Usage:**
+ * - Called by the "Restore" button on TrashPage
+ *
+ * @route POST /:id/restore
+ * @param {string} id - MongoDB ObjectId of the trashed note
+ * @returns {Object} The restored note
+ * @returns {404} Note not found in trash
+ * @see {@link ../controllers/notesController.js#restoreNote} Controller implementation
+ * @see {@link ../../frontend/src/pages/TrashPage.jsx} Frontend usage
+ */
+router.post(
+  '/:id/restore',
+  limitWrites,
+  validate({ params: noteIdParams }),
+  restoreNote
+);
+
+/**
+ * Route handler for permanently deleting a trashed note.
+ *
+ * Only notes already in the trash can be deleted forever.
+ *
+ * **Frontend Usage:**
+ * - Called by the "Delete forever" button on TrashPage after confirmation
+ *
+ * @route DELETE /:id/permanent
+ * @param {string} id - MongoDB ObjectId of the trashed note
+ * @returns {Object} Success message confirming permanent deletion
+ * @returns {404} Note not found in trash
+ * @see {@link ../controllers/notesController.js#deleteNotePermanently} Controller implementation
+ * @see {@link ../../frontend/src/pages/TrashPage.jsx} Frontend usage
+ */
+router.delete(
+  '/:id/permanent',
+  limitWrites,
+  validate({ params: noteIdParams }),
+  deleteNotePermanently
+);
+
+/**
+ * Route handler for listing a note's revision history.
+ *
+ * Returns revision metadata (number, title, timestamp, content length),
+ * newest first, without the content of each revision.
+ *
+ * **Frontend Usage:**
+ * - Called by the history panel in NoteDetailPage when it opens
+ *
+ * @route GET /:id/revisions
+ * @param {string} id - MongoDB ObjectId of the note
+ * @returns {Array<Object>} Revision metadata, newest first
+ * @returns {404} Note not found
+ * @see {@link ../controllers/revisionsController.js#listRevisions} Controller implementation
+ * @see {@link ../../frontend/src/components/HistoryPanel.jsx} Frontend usage
+ */
+router.get(
+  '/:id/revisions',
+  limitReads,
+  validate({ params: noteIdParams }),
+  listRevisions
+);
+
+/**
+ * Route handler for reading a single revision with its full content.
+ *
+ * **Frontend Usage:**
+ * - Called by the history panel to load the two revisions being diffed
+ *
+ * @route GET /:id/revisions/:rev
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {number} rev - Revision number
+ * @returns {Object} Revision with title and content
+ * @returns {400} Invalid revision number
+ * @returns {404} Note or revision not found
+ * @see {@link ../controllers/revisionsController.js#getRevision} Controller implementation
+ * @see {@link ../../frontend/src/components/HistoryPanel.jsx} Frontend usage
+ */
+router.get(
+  '/:id/revisions/:rev',
+  limitReads,
+  validate({ params: revisionParams }),
+  getRevision
+);
+
+/**
+ * Route handler for reverting a note to an earlier revision.
+ *
+ * The revert is recorded as a new revision, so it can be undone too.
+ *
+ * **Frontend Usage:**
+ * - Called by the "Restore" button in the history panel after confirmation
+ *
+ * @route POST /:id/revisions/:rev/restore
+ * @param {string} id - MongoDB ObjectId of the note
+ * @param {number} rev - Revision number to restore
+ * @returns {Object} The updated note
+ * @returns {400} Invalid revision number
+ * @returns {404} Note or revision not found
+ * @see {@link ../controllers/revisionsController.js#restoreRevision} Controller implementation
+ * @see {@link ../../frontend/src/components/HistoryPanel.jsx} Frontend usage
+ */
+router.post(
+  '/:id/revisions/:rev/restore',
+  limitWrites,
+  validate({ params: revisionParams }),
+  restoreRevision
+);
 
 export default router;
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Express.js routes for public, signed-out access in the Dex Note Taking App.
+ *
+ * These routes are mounted at `/api/public` in server.js **without** the
+ * auth middleware: they serve notes to people who only have a share link.
+ * Nothing here can change data.
+ *
+ * **Route Structure:**
+ * - `GET /:token` → `GET /api/public/:token` (read a shared note)
+ *
+ * Links are created and revoked by the note's owner under
+ * `/api/notes/:id/share`.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import { getSharedNote } from '../controllers/shareController.js';
+import validate from '../middleware/validate.js';
+import { publicNoteParams } from '../validation/shares.js';
+
+/**
+ * Express router instance for public routes.
+ *
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Route handler for reading a shared note.
+ *
+ * **Frontend Usage:**
+ * - Called by SharedNotePage, the page behind `/s/:token` links, first
+ *   without a password and again with the one the visitor enters
+ *
+ * @route GET /:token
+ * @param {string} token - Token from the share URL
+ * @header {string} [X-Share-Password] - Percent-encoded link password
+ * @returns {Object} `{ note: { title, content, tags, createdAt, updatedAt }, expiresAt }`
+ * @returns {403} Password required or incorrect
+ * @returns {404} Link not found, revoked or expired, or note trashed
+ * @see {@link ../controllers/shareController.js#getSharedNote} Controller implementation
+ * @see {@link ../../frontend/src/pages/SharedNotePage.jsx} Frontend usage
+ */
+router.get('/:token', validate({ params: publicNoteParams }), getSharedNote);
+
+export default router;
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Express.js routes for delta sync in the Dex Note Taking App.
+ *
+ * These routes are mounted at `/api/sync` in server.js behind the auth
+ * middleware, and validate their input with the schemas from
+ * `validation/sync.js`.
+ *
+ * **Route Structure:**
+ * - `GET /` → `GET /api/sync?since=<token>` (changes since a sync token)
+ * - `POST /` → `POST /api/sync` (apply a batch of offline changes)
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import { applyMutations, getChanges } from '../controllers/syncController.js';
+import validate from '../middleware/validate.js';
+import rateLimit from '../middleware/rateLimiter.js';
+import { syncBody, syncQuery } from '../validation/sync.js';
+
+/**
+ * Express router instance for sync routes.
+ *
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Route handler for reading changes since a sync token.
+ *
+ * Without `since`, every note is returned, paged by `limit`; clients keep
+ * asking with the returned `token` while `hasMore` is true.
+ *
+ * @route GET /
+ * @param {string} [since] - Query parameter: token from the previous response
+ * @param {number} [limit=200] - Query parameter: most changes per response (max 500)
+ * @returns {Object} `{ created, updated, tombstoned, token, hasMore }`
+ * @returns {400} Malformed sync token
+ * @returns {410} Sync token too old; sync again without `since`
+ * @see {@link ../controllers/syncController.js#getChanges} Controller implementation
+ */
+router.get('/', rateLimit('read'), validate({ query: syncQuery }), getChanges);
+
+/**
+ * Route handler for applying changes made offline.
+ *
+ * A whole batch counts as one write against the rate limit, which is the
+ * point of sending changes in batches after a long time offline.
+ *
+ * @route POST /
+ * @param {Object} body - `{ mutations: [{ op, id?, clientId?, baseVersion?, note? }] }`
+ * @returns {Object} `{ summary, results }`, one result per mutation
+ * @returns {400} Invalid body
+ * @see {@link ../controllers/syncController.js#applyMutations} Controller implementation
+ */
+router.post(
+  '/',
+  rateLimit('write'),
+  validate({ body: syncBody }),
+  applyMutations
+);
+
+export default router;
@@ -5,6 +5,7 @@
  * - Environment-specific CORS configuration (development vs production)
  * - Rate limiting using Upstash Redis to prevent abuse
  * - MongoDB integration for persistent note storage
+ * - User accounts with JWT access tokens and rotating refresh tokens
  * - Health check endpoint for Fly.io deployment monitoring
  * - Comprehensive error handling and middleware stack
  *
@@ -17,12 +18,23 @@
 
 import express from 'express';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import dotenv from 'dotenv';
 import path from 'path';
 
 import notesRoutes from './routes/notesRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import notebooksRoutes from './routes/notebooksRoutes.js';
+import syncRoutes from './routes/syncRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import calendarFeedRoutes from './routes/calendarFeedRoutes.js';
+import publicRoutes from './routes/publicRoutes.js';
 import { connectDB } from './config/db.js';
-import rateLimiter from './middleware/rateLimiter.js';
+import rateLimit from './middleware/rateLimiter.js';
+import requireAuth from './middleware/auth.js';
+import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { startTrashPurgeJob } from './jobs/trashPurge.js';
+import { attachCollabServer } from './lib/collabServer.js';
 
 // Load environment variables from .env file
 // This must be called before accessing process.env variables
@@ -58,6 +70,27 @@ const PORT = process.env.PORT || 8080;
  */
 const __dirname = path.resolve();
 
+/**
+ * Response headers the frontend needs to read.
+ *
+ * Browsers hide headers outside the CORS safelist from scripts unless they
+ * are listed here: `ETag` for the editor's `If-Match` saves,
+ * `Content-Disposition` for naming export and attachment downloads,
+ * `Content-Range` for ranged attachment reads, and the rate limit headers
+ * so the client knows how long to back off after a 429.
+ *
+ * @type {Array<string>}
+ */
+const EXPOSED_HEADERS = [
+  'ETag',
+  'Content-Disposition',
+  'Content-Range',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'Retry-After',
+];
+
 /**
  * CORS (Cross-Origin Resource Sharing) configuration with environment-specific settings.
  *
@@ -65,7 +98,11 @@ const __dirname = path.resolve();
  * with this backend API (hosted on Fly.io). The configuration differs between environments:
  *
  * Development: Allows requests from localhost:5173 (Vite dev server)
- * Production: Allows requests from the deployed Vercel domains with credentials support
+ * Production: Allows requests from the deployed Vercel domains
+ *
+ * Both environments allow credentials so the browser sends the refresh token
+ * cookie to `/api/auth/refresh` and stores the rotated one it gets back. They
+ * also expose `EXPOSED_HEADERS` to frontend scripts.
  *
  * The production configuration includes both the main domain and the git-main branch domain
  * because Vercel creates separate deployments for different branches.
@@ -76,6 +113,8 @@ if (process.env.NODE_ENV !== 'production') {
   app.use(
     cors({
       origin: 'http://localhost:5173',
+      credentials: true,
+      exposedHeaders: EXPOSED_HEADERS,
     })
   );
 } else {
@@ -86,6 +125,7 @@ if (process.env.NODE_ENV !== 'production') {
         'https://dex-note-taking-app-git-main.vercel.app',
       ],
       credentials: true,
+      exposedHeaders: EXPOSED_HEADERS,
     })
   );
 }
@@ -97,23 +137,22 @@ if (process.env.NODE_ENV !== 'production') {
  * data available on req.body. It's essential for handling POST and PUT requests
  * that send note data in JSON format.
  *
+ * The 1 MB limit leaves room for a note at the maximum content length even
+ * when most of it is multi-byte text; larger bodies are rejected with 413.
+ *
  * @see {@link https://expressjs.com/en/api.html#express.json} Express JSON middleware documentation
  */
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
 
 /**
- * Rate limiting middleware using Upstash Redis.
- *
- * This middleware prevents API abuse by limiting the number of requests per client.
- * It uses Redis for distributed rate limiting, which is essential for production
- * deployments where multiple server instances might be running.
+ * Cookie parsing middleware.
  *
- * The rate limiter is applied globally to all routes, providing protection against
- * both intentional abuse and accidental high-frequency requests.
+ * Populates `req.cookies` so the auth controllers can read the httpOnly
+ * refresh token cookie on `/api/auth/refresh` and `/api/auth/logout`.
  *
- * @see {@link ./middleware/rateLimiter.js} Rate limiter implementation
+ * @see {@link ./controllers/authController.js} Controllers that read the refresh cookie
  */
-app.use(rateLimiter);
+app.use(cookieParser());
 
 /**
  * Health check endpoint for Fly.io deployment monitoring.
@@ -141,22 +180,136 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+/**
+ * Authentication API routes configuration.
+ *
+ * Mounted without the auth middleware, since these are the routes that
+ * hand out tokens in the first place:
+ * - POST /api/auth/register - Create an account and sign in
+ * - POST /api/auth/login - Sign in with email and password
+ * - POST /api/auth/logout - End the current session
+ * - POST /api/auth/refresh - Exchange the refresh cookie for a new access token
+ *
+ * The `auth` rate limit policy is counted per IP address, since nobody is
+ * signed in yet, and is strict enough to slow down password guessing.
+ *
+ * @see {@link ./routes/authRoutes.js} Auth routes implementation
+ * @see {@link ./middleware/rateLimiter.js} Rate limiter implementation
+ */
+app.use('/api/auth', rateLimit('auth'), authRoutes);
+
 /**
  * Notes API routes configuration.
  *
  * This mounts all note-related routes under the /api/notes path. The notesRoutes
  * module provides CRUD operations for managing notes:
- * - GET /api/notes - Retrieve all notes
+ * - GET /api/notes - Retrieve a page of notes, pinned first (?limit=, ?cursor=, ?tag=, ?notebook=, ?archived=)
+ * - GET /api/notes/tags - Retrieve every tag with its note count
+ * - GET /api/notes/search?q= - Ranked full-text search with highlights
+ * - GET /api/notes/upcoming - Notes with an upcoming reminder or a due date
+ * - GET /api/notes/events - Server-Sent Events stream of note changes
+ * - GET /api/notes/export?format=zip|json - Download every note as Markdown or JSON
+ * - POST /api/notes/import - Create notes from Markdown, ZIP, JSON or ENEX uploads
+ * - POST /api/notes/bulk - Trash, archive, tag, untag or move many notes at once
  * - GET /api/notes/:id - Retrieve a specific note by ID
  * - POST /api/notes - Create a new note
- * - PUT /api/notes/:id - Update an existing note
- * - DELETE /api/notes/:id - Delete a note
- *
- * All routes are protected by the rate limiting middleware applied earlier.
+ * - PUT /api/notes/:id - Update an existing note (honours If-Match)
+ * - DELETE /api/notes/:id - Move a note to the trash
+ * - POST /api/notes/:id/move - Move a note into another notebook
+ * - PATCH /api/notes/:id/pin - Pin or unpin a note
+ * - PATCH /api/notes/:id/archive - Archive or unarchive a note
+ * - PATCH /api/notes/:id/schedule - Set or clear a note's reminder and due date
+ * - POST /api/notes/:id/items - Add an item to a checklist
+ * - PATCH /api/notes/:id/items/:itemId - Tick off or rename a checklist item
+ * - PUT /api/notes/:id/items/order - Reorder a checklist
+ * - DELETE /api/notes/:id/items/:itemId - Remove a checklist item
+ * - POST /api/notes/:id/attachments - Attach a file (multipart, field "file")
+ * - GET /api/notes/:id/attachments/:attachmentId - Download an attachment (supports Range)
+ * - DELETE /api/notes/:id/attachments/:attachmentId - Remove an attachment
+ * - POST /api/notes/:id/collab-ticket - Get a ticket for the collaboration socket
+ * - GET /api/notes/:id/share - List a note's active share links
+ * - POST /api/notes/:id/share - Create a public share link
+ * - DELETE /api/notes/:id/share/:linkId - Revoke a share link
+ * - GET /api/notes/trash - List notes in the trash
+ * - DELETE /api/notes/trash - Empty the trash
+ * - POST /api/notes/:id/restore - Restore a note from the trash
+ * - DELETE /api/notes/:id/permanent - Permanently delete a trashed note
+ * - GET /api/notes/:id/revisions - List a note's revision history
+ * - GET /api/notes/:id/revisions/:rev - Retrieve a single revision
+ * - POST /api/notes/:id/revisions/:rev/restore - Revert a note to a revision
+ *
+ * All routes require a valid access token, and each user only sees their
+ * own notes. Authentication runs first so each route's rate limit (reads
+ * and writes are limited separately) is counted per user.
  *
  * @see {@link ./routes/notesRoutes.js} Notes routes implementation
+ * @see {@link ./middleware/auth.js} Authentication middleware
+ */
+app.use('/api/notes', requireAuth, notesRoutes);
+
+/**
+ * Notebooks API routes configuration.
+ *
+ * Mounts the notebook tree under /api/notebooks:
+ * - GET /api/notebooks - List notebooks with note counts
+ * - POST /api/notebooks - Create a notebook
+ * - PATCH /api/notebooks/:id - Rename a notebook or move it under another
+ * - DELETE /api/notebooks/:id?mode=reparent|cascade - Delete a notebook
+ *
+ * Like the notes routes, these require a valid access token and only ever
+ * touch the signed-in user's notebooks.
+ *
+ * @see {@link ./routes/notebooksRoutes.js} Notebooks routes implementation
+ */
+app.use('/api/notebooks', requireAuth, notebooksRoutes);
+
+/**
+ * Delta sync API routes configuration.
+ *
+ * Mounts the sync endpoints for offline and mobile clients under /api/sync:
+ * - GET /api/sync?since=<token> - Notes created, updated or deleted since a sync token
+ * - POST /api/sync - Apply a batch of offline changes, with per-change conflicts
+ *
+ * Signed-in only, like the notes routes they mirror.
+ *
+ * @see {@link ./routes/syncRoutes.js} Sync routes implementation
  */
-app.use('/api/notes', notesRoutes);
+app.use('/api/sync', requireAuth, syncRoutes);
+
+/**
+ * Calendar feed routes configuration.
+ *
+ * Mounts the iCalendar feed of reminders and due dates, and its settings:
+ * - GET /api/calendar.ics?token=<token> - The feed, fetched by calendar apps
+ * - GET /api/calendar/feed - Current feed token
+ * - POST /api/calendar/feed - Turn the feed on, or regenerate its token
+ * - DELETE /api/calendar/feed - Turn the feed off
+ *
+ * The feed is mounted first and without the auth middleware, since calendar
+ * apps can't sign in; its token is the credential, so it shares the `auth`
+ * rate limit policy with other guessable secrets. The settings are
+ * signed-in only.
+ *
+ * @see {@link ./routes/calendarFeedRoutes.js} Feed route implementation
+ * @see {@link ./routes/calendarRoutes.js} Settings routes implementation
+ */
+app.use('/api/calendar.ics', rateLimit('auth'), calendarFeedRoutes);
+app.use('/api/calendar', requireAuth, calendarRoutes);
+
+/**
+ * Public API routes configuration.
+ *
+ * Mounts the signed-out routes under /api/public:
+ * - GET /api/public/:token - Read a note through its share link
+ *
+ * No access token is needed; the share link's token (and its password, if
+ * it has one) is the credential. The `auth` rate limit policy applies,
+ * counted per IP address, because guessing a link password is just like
+ * guessing an account password.
+ *
+ * @see {@link ./routes/publicRoutes.js} Public routes implementation
+ */
+app.use('/api/public', rateLimit('auth'), publicRoutes);
 
 /**
  * Root API endpoint providing API information and available endpoints.
@@ -175,7 +328,13 @@ app.use('/api/notes', notesRoutes);
  * @returns {string} returns.message - Descriptive API name and purpose
  * @returns {Object} returns.endpoints - Available API endpoints
  * @returns {string} returns.endpoints.health - Health check endpoint path
+ * @returns {string} returns.endpoints.auth - Auth API endpoint path
  * @returns {string} returns.endpoints.notes - Notes API endpoint path
+ * @returns {string} returns.endpoints.notebooks - Notebooks API endpoint path
+ * @returns {string} returns.endpoints.sync - Delta sync API endpoint path
+ * @returns {string} returns.endpoints.calendar - Calendar feed endpoint path
+ * @returns {string} returns.endpoints.collab - Collaboration WebSocket path
+ * @returns {string} returns.endpoints.public - Shared notes API endpoint path
  * @returns {string} returns.timestamp - ISO 8601 timestamp of the response
  */
 app.get('/', (req, res) => {
@@ -183,12 +342,41 @@ app.get('/', (req, res) => {
     message: 'Dex Note Taking App Backend API',
     endpoints: {
       health: '/health',
+      auth: '/api/auth',
       notes: '/api/notes',
+      notebooks: '/api/notebooks',
+      sync: '/api/sync',
+      calendar: '/api/calendar.ics',
+      collab: '/api/collab/:noteId',
+      public: '/api/public',
     },
     timestamp: new Date().toISOString(),
   });
 });
 
+/**
+ * Fallback for unknown API routes, answered with a JSON 404.
+ *
+ * @see {@link ./middleware/errorHandler.js} notFoundHandler implementation
+ */
+app.use('/api', notFoundHandler);
+
+/**
+ * Error-handling middleware, registered after every route.
+ *
+ * Controllers and middleware pass failures to `next(error)`; this turns them
+ * into a status code and the standard `{ error: { code, message, details } }`
+ * body:
+ * - 400 for validation errors, malformed JSON and invalid IDs
+ * - 401 / 404 / 409 / 429 for the matching `ApiError`s
+ * - 413 for bodies or uploads over the size limits
+ * - 500 for anything unexpected (logged, with a generic message)
+ *
+ * @see {@link ./middleware/errorHandler.js} errorHandler implementation
+ * @see {@link ./lib/errors.js} ApiError
+ */
+app.use(errorHandler);
+
 /**
  * Database connection and server startup sequence.
  *
@@ -203,13 +391,23 @@ app.get('/', (req, res) => {
  * - Graceful error handling for database connection issues
  *
  * Once the database connection is established, the server starts listening on the
- * configured PORT, making the API available for incoming requests.
+ * configured PORT, making the API available for incoming requests, and the trash
+ * purge job starts removing notes that have outlived the retention period.
+ *
+ * The collaboration WebSocket server shares the same HTTP server: it takes
+ * over upgrade requests to `/api/collab/:noteId?ticket=...` and syncs the
+ * note's content between every editor that has it open. Ordinary requests
+ * never reach it.
  *
  * @see {@link ./config/db.js} Database connection implementation
+ * @see {@link ./jobs/trashPurge.js} Trash purge job
+ * @see {@link ./lib/collabServer.js} Collaboration WebSocket server
  * @see {@link https://mongoosejs.com/docs/connections.html} Mongoose connection documentation
  */
 connectDB().then(() => {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     // Server started successfully
   });
+  attachCollabServer(server);
+  startTrashPurgeJob();
 });
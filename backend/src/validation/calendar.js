@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Request schemas for the calendar feed of the Dex Note Taking App.
+ *
+ * Only the public `GET /api/calendar.ics` takes input; the signed-in
+ * `/api/calendar/feed` routes act on the current user and have none.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { z } from 'zod';
+
+/**
+ * Query of `GET /api/calendar.ics`. A malformed token is rejected before it
+ * reaches the database, like a share link token.
+ *
+ * @type {z.ZodObject}
+ */
+export const calendarFeedQuery = z.strictObject({
+  token: z
+    .string({ error: 'Calendar feed token is required' })
+    .regex(/^[A-Za-z0-9_-]{16,64}$/, 'Invalid calendar feed token'),
+});
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Schema building blocks shared by the request schemas.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { z } from 'zod';
+
+/**
+ * A MongoDB ObjectId in its 24-character hex form.
+ *
+ * Checked up front so a malformed ID is a 400 with a clear message instead
+ * of a `CastError` deep inside a query.
+ *
+ * @function objectId
+ * @param {string} message - Message for a malformed ID, e.g. "Invalid note ID"
+ * @returns {z.ZodString} Schema for the ID
+ *
+ * @example
+ * const noteIdParams = z.strictObject({ id: objectId('Invalid note ID') });
+ */
+export const objectId = (message) =>
+  z.string({ error: message }).regex(/^[a-f\d]{24}$/i, message);
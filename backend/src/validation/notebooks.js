@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Request schemas for the notebooks API of the Dex Note Taking App.
+ *
+ * Used by `routes/notebooksRoutes.js` in the same way `validation/notes.js`
+ * is used by the notes routes: strict objects, user-facing messages.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { z } from 'zod';
+import { objectId } from './common.js';
+import { MAX_NOTEBOOK_NAME_LENGTH } from '../models/Notebook.js';
+
+/**
+ * ID of a notebook, in a route parameter or as a parent reference.
+ *
+ * @type {z.ZodString}
+ */
+const notebookId = objectId('Invalid notebook ID');
+
+/**
+ * Notebook name: trimmed, required, bounded.
+ *
+ * @type {z.ZodString}
+ */
+const name = z
+  .string({ error: 'Name is required' })
+  .trim()
+  .min(1, 'Name is required')
+  .max(
+    MAX_NOTEBOOK_NAME_LENGTH,
+    `Name must be ${MAX_NOTEBOOK_NAME_LENGTH} characters or fewer`
+  );
+
+/**
+ * Params of routes addressing one notebook (`/:id`).
+ *
+ * @type {z.ZodObject}
+ */
+export const notebookIdParams = z.strictObject({ id: notebookId });
+
+/**
+ * Body of `POST /api/notebooks`; a missing or null `parent` creates a
+ * top-level notebook.
+ *
+ * @type {z.ZodObject}
+ */
+export const createNotebookBody = z.strictObject({
+  name,
+  parent: notebookId.nullable().optional(),
+});
+
+/**
+ * Body of `PATCH /api/notebooks/:id`: rename, move under another parent
+ * (`null` for top level), or both.
+ *
+ * @type {z.ZodObject}
+ */
+export const updateNotebookBody = z
+  .strictObject({
+    name: name.optional(),
+    parent: notebookId.nullable().optional(),
+  })
+  .refine(
+    (body) => body.name !== undefined || body.parent !== undefined,
+    'Nothing to update'
+  );
+
+/**
+ * Query of `DELETE /api/notebooks/:id`.
+ *
+ * - `reparent` (default): child notebooks and notes move up to the deleted
+ *   notebook's parent, so nothing is lost
+ * - `cascade`: nested notebooks are deleted too and their notes go to the
+ *   trash, where they can still be restored
+ *
+ * @type {z.ZodObject}
+ */
+export const deleteNotebookQuery = z.strictObject({
+  mode: z
+    .enum(['reparent', 'cascade'], {
+      error: 'mode must be "reparent" or "cascade"',
+    })
+    .optional(),
+});
@@ -0,0 +1,523 @@
+/**
+ * @fileoverview Request schemas for the notes API of the Dex Note Taking App.
+ *
+ * Every route in `routes/notesRoutes.js` declares what its params, query
+ * string and body may contain using the Zod schemas below, and the
+ * `validate` middleware checks requests against them before any controller
+ * runs. Schemas are strict: fields they don't list are rejected rather than
+ * silently ignored, so a typo like `tittle` surfaces as an error.
+ *
+ * Messages are written for end users; the frontend shows them as-is next to
+ * the form that sent the request.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { z } from 'zod';
+import { objectId } from './common.js';
+import {
+  MAX_CHECKLIST_ITEM_LENGTH,
+  MAX_CHECKLIST_ITEMS,
+  MAX_CONTENT_LENGTH,
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_NOTE,
+  MAX_TITLE_LENGTH,
+  NOTE_TYPES,
+  noteShapeError,
+} from '../models/Note.js';
+
+/**
+ * Largest page size a client may request from `GET /api/notes`.
+ *
+ * @type {number}
+ */
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Most notes a single `POST /api/notes/bulk` request may act on.
+ *
+ * @type {number}
+ */
+export const MAX_BULK_NOTES = 500;
+
+/**
+ * Longest accepted search query, in characters.
+ *
+ * @type {number}
+ */
+const MAX_SEARCH_LENGTH = 200;
+
+/**
+ * ID of a note in a route parameter.
+ *
+ * @type {z.ZodString}
+ */
+const noteId = objectId('Invalid note ID');
+
+/**
+ * ID of a notebook in a query or body.
+ *
+ * @type {z.ZodString}
+ */
+const notebookId = objectId('Invalid notebook ID');
+
+/**
+ * Note title: trimmed, required, bounded.
+ *
+ * @type {z.ZodString}
+ */
+const title = z
+  .string({ error: 'Title is required' })
+  .trim()
+  .min(1, 'Title is required')
+  .max(
+    MAX_TITLE_LENGTH,
+    `Title must be ${MAX_TITLE_LENGTH} characters or fewer`
+  );
+
+/**
+ * Note content: bounded, but not trimmed, because leading indentation and
+ * trailing blank lines can be meaningful in Markdown. Whether it may be
+ * blank depends on the note's type; see `noteShapeError` in the model.
+ *
+ * @type {z.ZodString}
+ */
+const content = z
+  .string({ error: 'Content is required' })
+  .max(
+    MAX_CONTENT_LENGTH,
+    `Content must be ${MAX_CONTENT_LENGTH.toLocaleString('en-US')} characters or fewer`
+  );
+
+/**
+ * Tag list; further normalized (lower-cased, de-duplicated) by the model.
+ * Imported notes are checked against it too.
+ *
+ * @type {z.ZodArray}
+ */
+export const tags = z
+  .array(
+    z
+      .string({ error: 'Tags must be text' })
+      .trim()
+      .max(
+        MAX_TAG_LENGTH,
+        `Tags must be ${MAX_TAG_LENGTH} characters or fewer`
+      ),
+    { error: 'Tags must be a list' }
+  )
+  .max(MAX_TAGS_PER_NOTE, `A note can have at most ${MAX_TAGS_PER_NOTE} tags`);
+
+/**
+ * Note type.
+ *
+ * @type {z.ZodEnum}
+ */
+const type = z.enum(NOTE_TYPES, {
+  error: 'type must be "text" or "checklist"',
+});
+
+/**
+ * Text of a checklist item: trimmed, required, bounded.
+ *
+ * @type {z.ZodString}
+ */
+const itemText = z
+  .string({ error: 'Item text is required' })
+  .trim()
+  .min(1, 'Item text is required')
+  .max(
+    MAX_CHECKLIST_ITEM_LENGTH,
+    `Items must be ${MAX_CHECKLIST_ITEM_LENGTH} characters or fewer`
+  );
+
+/**
+ * Whether a checklist item is ticked off.
+ *
+ * @type {z.ZodBoolean}
+ */
+const itemDone = z.boolean({ error: 'done must be true or false' });
+
+/**
+ * A whole checklist, in display order. Items get new IDs when a list is
+ * replaced this way.
+ *
+ * @type {z.ZodArray}
+ */
+const items = z
+  .array(z.strictObject({ text: itemText, done: itemDone.optional() }), {
+    error: 'items must be a list',
+  })
+  .max(
+    MAX_CHECKLIST_ITEMS,
+    `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`
+  );
+
+/**
+ * Params of routes addressing one note (`/:id`).
+ *
+ * @type {z.ZodObject}
+ */
+export const noteIdParams = z.strictObject({ id: noteId });
+
+/**
+ * Params of routes addressing one revision (`/:id/revisions/:rev`).
+ *
+ * @type {z.ZodObject}
+ */
+export const revisionParams = z.strictObject({
+  id: noteId,
+  rev: z.coerce
+    .number({ error: 'Invalid revision number' })
+    .int('Invalid revision number')
+    .min(1, 'Invalid revision number'),
+});
+
+/**
+ * Note fields shared by the create and update bodies.
+ *
+ * @type {z.ZodObject}
+ */
+export const noteBody = z.strictObject({
+  title,
+  content,
+  tags: tags.optional(),
+  type: type.optional(),
+  items: items.optional(),
+});
+
+/**
+ * Body of `PUT /api/notes/:id`.
+ *
+ * `content` may be left out: editors in a live collaboration session save
+ * the content through the session and only send title and tags here.
+ * Changing `type` converts the note; a note turned back into text loses its
+ * items, so clients fold them into the content first.
+ *
+ * @type {z.ZodObject}
+ */
+export const updateNoteBody = noteBody.partial({ content: true });
+
+/**
+ * ID a client gives a note it creates, such as the `local-...` ID of a
+ * note written offline. Sending it makes the create safe to retry: the
+ * server answers a repeat with the note it already created.
+ *
+ * @type {z.ZodString}
+ */
+export const clientId = z
+  .string({ error: 'clientId must be text' })
+  .min(1, 'clientId must not be empty')
+  .max(100, 'clientId must be 100 characters or fewer');
+
+/**
+ * Fields of a new note: a note can be created straight into a notebook.
+ * Edits never move a note; that is what `POST /api/notes/:id/move` is for.
+ * A checklist can be created with its items and without content.
+ *
+ * @type {z.ZodObject}
+ */
+const newNoteFields = noteBody.extend({
+  content: content.optional(),
+  notebookId: notebookId.nullable().optional(),
+});
+
+/**
+ * Checks that a new note's content and items fit its type.
+ *
+ * @param {Object} body - Parsed body
+ * @param {Object} ctx - Zod refinement context
+ * @returns {void}
+ */
+const checkNoteShape = (body, ctx) => {
+  const error = noteShapeError(body);
+  if (error)
+    ctx.addIssue({
+      code: 'custom',
+      path: [error.field],
+      message: error.message,
+    });
+};
+
+/**
+ * A new note as sent in a `create` mutation of `POST /api/sync`, which
+ * carries the client's ID next to the note rather than in it.
+ *
+ * @type {z.ZodObject}
+ */
+export const newNoteBody = newNoteFields.superRefine(checkNoteShape);
+
+/**
+ * Body of `POST /api/notes`: the fields of a new note, and optionally the
+ * client's own ID for it.
+ *
+ * @type {z.ZodObject}
+ */
+export const createNoteBody = newNoteFields
+  .extend({ clientId: clientId.optional() })
+  .superRefine(checkNoteShape);
+
+/**
+ * Params of routes addressing one checklist item (`/:id/items/:itemId`).
+ *
+ * @type {z.ZodObject}
+ */
+export const checklistItemParams = z.strictObject({
+  id: noteId,
+  itemId: objectId('Invalid item ID'),
+});
+
+/**
+ * Body of `POST /api/notes/:id/items`. `position` is where the item goes,
+ * counted from 0; it is added at the end when left out.
+ *
+ * @type {z.ZodObject}
+ */
+export const addChecklistItemBody = z.strictObject({
+  text: itemText,
+  done: itemDone.optional(),
+  position: z
+    .number({ error: 'position must be a number' })
+    .int('position must be a whole number')
+    .min(0, 'position must be 0 or more')
+    .optional(),
+});
+
+/**
+ * Body of `PATCH /api/notes/:id/items/:itemId`: ticks an item off, or
+ * back on, and/or changes its text.
+ *
+ * @type {z.ZodObject}
+ */
+export const updateChecklistItemBody = z
+  .strictObject({
+    text: itemText.optional(),
+    done: itemDone.optional(),
+  })
+  .refine(
+    (body) => body.text !== undefined || body.done !== undefined,
+    'Set text, done or both'
+  );
+
+/**
+ * Body of `PUT /api/notes/:id/items/order`: every item ID of the
+ * checklist, in the new order.
+ *
+ * @type {z.ZodObject}
+ */
+export const reorderChecklistBody = z.strictObject({
+  itemIds: z
+    .array(objectId('Invalid item ID'), {
+      error: 'itemIds must be a list of item IDs',
+    })
+    .max(
+      MAX_CHECKLIST_ITEMS,
+      `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`
+    ),
+});
+
+/**
+ * Params of routes addressing one attachment
+ * (`/:id/attachments/:attachmentId`).
+ *
+ * @type {z.ZodObject}
+ */
+export const attachmentParams = z.strictObject({
+  id: noteId,
+  attachmentId: objectId('Invalid attachment ID'),
+});
+
+/**
+ * Body of `POST /api/notes/:id/move`; `null` moves the note out of any
+ * notebook.
+ *
+ * @type {z.ZodObject}
+ */
+export const moveNoteBody = z.strictObject({
+  notebookId: notebookId.nullable(),
+});
+
+/**
+ * Body of `PATCH /api/notes/:id/pin`.
+ *
+ * @type {z.ZodObject}
+ */
+export const pinNoteBody = z.strictObject({
+  pinned: z.boolean({ error: 'pinned must be true or false' }),
+});
+
+/**
+ * Body of `PATCH /api/notes/:id/archive`.
+ *
+ * @type {z.ZodObject}
+ */
+export const archiveNoteBody = z.strictObject({
+  archived: z.boolean({ error: 'archived must be true or false' }),
+});
+
+/**
+ * A reminder or due date: an ISO 8601 date-time with a time zone, or
+ * `null` to clear it.
+ *
+ * @function scheduleDate
+ * @param {string} label - Field name used in the message, e.g. "remindAt"
+ * @returns {z.ZodType} Schema for the field
+ */
+const scheduleDate = (label) =>
+  z.iso
+    .datetime({
+      offset: true,
+      error: `${label} must be a date and time, e.g. 2025-06-01T09:00:00Z`,
+    })
+    .nullable()
+    .optional();
+
+/**
+ * Body of `PATCH /api/notes/:id/schedule`. A field left out keeps its
+ * current value, so the reminder and the due date can be set separately.
+ *
+ * @type {z.ZodObject}
+ */
+export const scheduleNoteBody = z
+  .strictObject({
+    remindAt: scheduleDate('remindAt'),
+    dueAt: scheduleDate('dueAt'),
+  })
+  .refine(
+    (body) => body.remindAt !== undefined || body.dueAt !== undefined,
+    'Set remindAt, dueAt or both'
+  );
+
+/**
+ * Note IDs a bulk action applies to.
+ *
+ * @type {z.ZodArray}
+ */
+const bulkIds = z
+  .array(noteId, { error: 'ids must be a list of note IDs' })
+  .min(1, 'Select at least one note')
+  .max(
+    MAX_BULK_NOTES,
+    `At most ${MAX_BULK_NOTES} notes can be changed at once`
+  );
+
+/**
+ * Tags added or removed by a bulk tag action.
+ *
+ * @type {z.ZodArray}
+ */
+const bulkTags = tags.min(1, 'Choose at least one tag');
+
+/**
+ * Body of `POST /api/notes/bulk`.
+ *
+ * `action` decides which other fields are needed, and each variant is
+ * strict, so e.g. `tags` on a `move` is rejected rather than ignored.
+ *
+ * @type {z.ZodDiscriminatedUnion}
+ */
+export const bulkBody = z.discriminatedUnion(
+  'action',
+  [
+    z.strictObject({ action: z.literal('delete'), ids: bulkIds }),
+    z.strictObject({ action: z.literal('archive'), ids: bulkIds }),
+    z.strictObject({ action: z.literal('unarchive'), ids: bulkIds }),
+    z.strictObject({
+      action: z.literal('tag'),
+      ids: bulkIds,
+      tags: bulkTags,
+    }),
+    z.strictObject({
+      action: z.literal('untag'),
+      ids: bulkIds,
+      tags: bulkTags,
+    }),
+    z.strictObject({
+      action: z.literal('move'),
+      ids: bulkIds,
+      notebookId: notebookId.nullable(),
+    }),
+  ],
+  {
+    error:
+      'action must be one of delete, archive, unarchive, tag, untag or move',
+  }
+);
+
+/**
+ * Query of `GET /api/notes`.
+ *
+ * @type {z.ZodObject}
+ */
+export const listNotesQuery = z.strictObject({
+  limit: z.coerce
+    .number({ error: 'limit must be a number' })
+    .int('limit must be a whole number')
+    .min(1, `limit must be between 1 and ${MAX_PAGE_SIZE}`)
+    .max(MAX_PAGE_SIZE, `limit must be between 1 and ${MAX_PAGE_SIZE}`)
+    .optional(),
+  cursor: z.string().max(512, 'Invalid cursor').optional(),
+  tag: z
+    .string()
+    .trim()
+    .max(MAX_TAG_LENGTH, `Tags must be ${MAX_TAG_LENGTH} characters or fewer`)
+    .optional(),
+  // A notebook ID, or "none" for notes that aren't in any notebook
+  notebook: z.union([notebookId, z.literal('none')]).optional(),
+  archived: z
+    .enum(['true', 'false'], { error: 'archived must be "true" or "false"' })
+    .optional(),
+});
+
+/**
+ * Query of `GET /api/notes/search`.
+ *
+ * @type {z.ZodObject}
+ */
+export const searchQuery = z.strictObject({
+  q: z
+    .string({ error: 'Search query is required' })
+    .trim()
+    .min(1, 'Search query is required')
+    .max(
+      MAX_SEARCH_LENGTH,
+      `Search query must be ${MAX_SEARCH_LENGTH} characters or fewer`
+    ),
+});
+
+/**
+ * Query of `GET /api/notes/upcoming`.
+ *
+ * @type {z.ZodObject}
+ */
+export const upcomingQuery = z.strictObject({
+  since: z.iso
+    .datetime({
+      offset: true,
+      error: 'since must be a date and time, e.g. 2025-06-01T09:00:00Z',
+    })
+    .optional(),
+});
+
+/**
+ * Query of `GET /api/notes/export`.
+ *
+ * @type {z.ZodObject}
+ */
+export const exportQuery = z.strictObject({
+  format: z
+    .enum(['zip', 'json'], { error: 'format must be "zip" or "json"' })
+    .optional(),
+});
+
+/**
+ * Query of `PUT /api/notes/:id`.
+ *
+ * @type {z.ZodObject}
+ */
+export const updateNoteQuery = z.strictObject({
+  autosave: z
+    .enum(['true', 'false'], { error: 'autosave must be "true" or "false"' })
+    .optional(),
+});
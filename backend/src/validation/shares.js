@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Request schemas for share links in the Dex Note Taking App.
+ *
+ * Covers the owner's share endpoints under `/api/notes/:id/share` and the
+ * public `/api/public/:token` view.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { z } from 'zod';
+import { objectId } from './common.js';
+
+/**
+ * Longest expiry a link can be created with, in days.
+ *
+ * @type {number}
+ */
+export const MAX_SHARE_EXPIRY_DAYS = 365;
+
+/**
+ * Shortest accepted link password.
+ *
+ * @type {number}
+ */
+export const MIN_SHARE_PASSWORD_LENGTH = 4;
+
+/**
+ * Longest accepted link password; bcrypt ignores anything past 72 bytes.
+ *
+ * @type {number}
+ */
+const MAX_SHARE_PASSWORD_LENGTH = 72;
+
+/**
+ * Params of routes addressing a note's share links (`/:id/share`).
+ *
+ * @type {z.ZodObject}
+ */
+export const shareParams = z.strictObject({
+  id: objectId('Invalid note ID'),
+});
+
+/**
+ * Params of the route revoking one link (`/:id/share/:linkId`).
+ *
+ * @type {z.ZodObject}
+ */
+export const shareLinkParams = shareParams.extend({
+  linkId: objectId('Invalid share link ID'),
+});
+
+/**
+ * Body of `POST /api/notes/:id/share`. Both fields are optional: an empty
+ * body creates a link that never expires and has no password.
+ *
+ * @type {z.ZodObject}
+ */
+export const createShareBody = z.strictObject({
+  expiresInDays: z
+    .number({ error: 'expiresInDays must be a number' })
+    .int('expiresInDays must be a whole number')
+    .min(1, 'expiresInDays must be at least 1')
+    .max(
+      MAX_SHARE_EXPIRY_DAYS,
+      `expiresInDays must be ${MAX_SHARE_EXPIRY_DAYS} or fewer`
+    )
+    .nullable()
+    .optional(),
+  password: z
+    .string({ error: 'Password must be text' })
+    .min(
+      MIN_SHARE_PASSWORD_LENGTH,
+      `Password must be at least ${MIN_SHARE_PASSWORD_LENGTH} characters`
+    )
+    .max(
+      MAX_SHARE_PASSWORD_LENGTH,
+      `Password must be ${MAX_SHARE_PASSWORD_LENGTH} characters or fewer`
+    )
+    .nullable()
+    .optional(),
+});
+
+/**
+ * Params of `GET /api/public/:token`.
+ *
+ * @type {z.ZodObject}
+ */
+export const publicNoteParams = z.strictObject({
+  token: z.string().regex(/^[A-Za-z0-9_-]{16,64}$/, 'Invalid share link'),
+});
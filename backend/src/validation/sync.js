@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Request schemas for the delta sync API of the Dex Note Taking App.
+ *
+ * Mutations reuse the note body schemas of the notes API, so a note that
+ * can't be saved through `POST /api/notes` or `PUT /api/notes/:id` can't be
+ * synced either. One malformed mutation rejects the whole batch with 400:
+ * that is a client bug, unlike conflicts, which are reported per mutation.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { z } from 'zod';
+import { objectId } from './common.js';
+import { clientId, newNoteBody, updateNoteBody } from './notes.js';
+
+/**
+ * Largest page size a client may request from `GET /api/sync`.
+ *
+ * @type {number}
+ */
+export const MAX_SYNC_PAGE_SIZE = 500;
+
+/**
+ * Most mutations a single `POST /api/sync` request may carry.
+ *
+ * @type {number}
+ */
+export const MAX_SYNC_MUTATIONS = 100;
+
+/**
+ * ID of an existing note a mutation applies to.
+ *
+ * @type {z.ZodString}
+ */
+const noteId = objectId('Invalid note ID');
+
+/**
+ * Version of the note the client's change was made against, i.e. the number
+ * in the note's `ETag`. Left out, the change applies whatever the version.
+ *
+ * @type {z.ZodNumber}
+ */
+const baseVersion = z
+  .number({ error: 'baseVersion must be a number' })
+  .int('baseVersion must be a whole number')
+  .min(0, 'baseVersion must be a whole number');
+
+/**
+ * Query of `GET /api/sync`.
+ *
+ * @type {z.ZodObject}
+ */
+export const syncQuery = z.strictObject({
+  since: z.string().max(512, 'Invalid sync token').optional(),
+  limit: z.coerce
+    .number({ error: 'limit must be a number' })
+    .int('limit must be a whole number')
+    .min(1, `limit must be between 1 and ${MAX_SYNC_PAGE_SIZE}`)
+    .max(
+      MAX_SYNC_PAGE_SIZE,
+      `limit must be between 1 and ${MAX_SYNC_PAGE_SIZE}`
+    )
+    .optional(),
+});
+
+/**
+ * Body of `POST /api/sync`.
+ *
+ * Each mutation is strict for its `op`, like the bulk actions, so e.g. a
+ * `note` on a `delete` is rejected rather than ignored.
+ *
+ * @type {z.ZodObject}
+ */
+export const syncBody = z.strictObject({
+  mutations: z
+    .array(
+      z.discriminatedUnion(
+        'op',
+        [
+          z.strictObject({
+            op: z.literal('create'),
+            clientId: clientId.optional(),
+            note: newNoteBody,
+          }),
+          z.strictObject({
+            op: z.literal('update'),
+            id: noteId,
+            baseVersion: baseVersion.optional(),
+            note: updateNoteBody,
+          }),
+          z.strictObject({
+            op: z.literal('delete'),
+            id: noteId,
+            baseVersion: baseVersion.optional(),
+          }),
+        ],
+        { error: 'op must be one of create, update or delete' }
+      ),
+      { error: 'mutations must be a list' }
+    )
+    .min(1, 'Send at least one mutation')
+    .max(
+      MAX_SYNC_MUTATIONS,
+      `At most ${MAX_SYNC_MUTATIONS} mutations can be synced at once`
+    ),
+});
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Tests for attachment downloads with a `Range` header
+ * (attachmentsController.downloadAttachment).
+ *
+ * The note lookup is stubbed and files are served by a local store in a
+ * temporary directory, so these cover the status codes and byte ranges a
+ * client gets back, without a database.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it, mock } from 'node:test';
+import express from 'express';
+import Note from '../src/models/Note.js';
+import { downloadAttachment } from '../src/controllers/attachmentsController.js';
+import { attachmentKey, attachmentStore } from '../src/lib/attachments.js';
+import { createLocalStore } from '../src/lib/attachmentStores.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+
+const OWNER = '66a000000000000000000001';
+const NOTE_ID = '66a000000000000000000002';
+const ATTACHMENT_ID = '66a000000000000000000003';
+const CONTENT = '0123456789abcdefghij';
+
+let directory;
+let server;
+let baseUrl;
+
+/**
+ * Downloads the attachment.
+ *
+ * @param {string} [range] - `Range` header to send
+ * @returns {Promise<{status: number, headers: Headers, body: string}>} Response
+ */
+const download = async (range) => {
+  const res = await fetch(`${baseUrl}/${NOTE_ID}/${ATTACHMENT_ID}`, {
+    headers: range ? { Range: range } : {},
+  });
+  return { status: res.status, headers: res.headers, body: await res.text() };
+};
+
+before(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dex-attachments-'));
+  const store = createLocalStore(directory);
+  await store.put(attachmentKey(OWNER, NOTE_ID, ATTACHMENT_ID), CONTENT);
+  mock.method(attachmentStore, 'get', (key, range) => store.get(key, range));
+
+  const attachment = {
+    _id: ATTACHMENT_ID,
+    filename: 'notes.txt',
+    mimeType: 'text/plain',
+    size: CONTENT.length,
+  };
+  const note = {
+    _id: NOTE_ID,
+    attachments: {
+      id: (attachmentId) =>
+        attachmentId === ATTACHMENT_ID ? attachment : null,
+    },
+  };
+  mock.method(Note, 'findOne', () => ({ select: async () => note }));
+
+  const app = express();
+  app.get(
+    '/:id/:attachmentId',
+    (req, res, next) => {
+      req.user = { id: OWNER };
+      next();
+    },
+    downloadAttachment
+  );
+  app.use(errorHandler);
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+describe('downloadAttachment', () => {
+  it('sends the whole file without a Range header', async () => {
+    const res = await download();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body, CONTENT);
+    assert.equal(res.headers.get('accept-ranges'), 'bytes');
+    assert.equal(res.headers.get('content-length'), String(CONTENT.length));
+  });
+
+  it('sends just the bytes asked for', async () => {
+    const res = await download('bytes=2-5');
+
+    assert.equal(res.status, 206);
+    assert.equal(res.body, '2345');
+    assert.equal(res.headers.get('content-range'), 'bytes 2-5/20');
+    assert.equal(res.headers.get('content-length'), '4');
+  });
+
+  it('sends the end of the file for a suffix range', async () => {
+    const res = await download('bytes=-3');
+
+    assert.equal(res.status, 206);
+    assert.equal(res.body, 'hij');
+    assert.equal(res.headers.get('content-range'), 'bytes 17-19/20');
+  });
+
+  it('merges overlapping ranges into one', async () => {
+    const res = await download('bytes=0-3,2-6');
+
+    assert.equal(res.status, 206);
+    assert.equal(res.body, '0123456');
+  });
+
+  it('sends the whole file for separate ranges or a malformed header', async () => {
+    for (const range of ['bytes=0-1,5-6', 'pages=1-2']) {
+      const res = await download(range);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body, CONTENT);
+    }
+  });
+
+  it('answers 416 for a range past the end of the file', async () => {
+    const res = await download('bytes=50-60');
+
+    assert.equal(res.status, 416);
+    assert.equal(res.headers.get('content-range'), 'bytes */20');
+    assert.equal(JSON.parse(res.body).error.code, 'RANGE_NOT_SATISFIABLE');
+  });
+
+  it('answers 404 for an attachment the note does not have', async () => {
+    const res = await fetch(`${baseUrl}/${NOTE_ID}/${OWNER}`);
+
+    assert.equal(res.status, 404);
+  });
+});
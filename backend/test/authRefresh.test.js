@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Tests for refresh token rotation (authController.refresh).
+ *
+ * Session and user queries are stubbed, so these cover which refresh
+ * tokens are accepted, rotated or turned away, without a database.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import { REFRESH_COOKIE_NAME } from '../src/config/auth.js';
+import { refresh } from '../src/controllers/authController.js';
+import { signRefreshToken, verifyRefreshToken } from '../src/lib/tokens.js';
+
+const SESSION_ID = '66a000000000000000000001';
+const USER_ID = '66a000000000000000000002';
+
+/**
+ * A stored session whose current refresh token is `tokenId`.
+ *
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Session
+ */
+const storedSession = (fields = {}) => ({
+  _id: SESSION_ID,
+  user: USER_ID,
+  tokenId: 'current',
+  previousTokenId: 'older',
+  rotatedAt: new Date(),
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  deleteOne: async () => {},
+  ...fields,
+});
+
+/**
+ * Calls `refresh` with a cookie for the given token ID.
+ *
+ * @param {string} tokenId - Token ID the cookie carries
+ * @returns {Promise<Object>} Cookie set, cookie cleared, status and error
+ */
+const refreshWith = async (tokenId) => {
+  const result = {};
+  const req = {
+    cookies: {
+      [REFRESH_COOKIE_NAME]: signRefreshToken(storedSession({ tokenId })),
+    },
+  };
+  const res = {
+    cookie: (name, value) => (result.cookie = value),
+    clearCookie: () => (result.cleared = true),
+    status(status) {
+      result.status = status;
+      return this;
+    },
+    json: () => {},
+  };
+  await refresh(req, res, (error) => (result.error = error));
+  return result;
+};
+
+/**
+ * Stubs the session store and the session's user.
+ *
+ * @param {Object} t - Test context
+ * @param {Object} session - Stored session
+ * @param {Object|null} [rotated] - Result of the conditional rotation
+ */
+const stubSession = (t, session, rotated = null) => {
+  t.mock.method(Session, 'findById', async () => session);
+  t.mock.method(Session, 'findOneAndUpdate', async () => rotated);
+  t.mock.method(User, 'findById', async () => ({ _id: USER_ID }));
+};
+
+describe('refresh', () => {
+  it('rotates the current token and sends the new one', async (t) => {
+    const rotated = storedSession({
+      tokenId: 'next',
+      previousTokenId: 'current',
+    });
+    stubSession(t, storedSession(), rotated);
+
+    const result = await refreshWith('current');
+
+    assert.equal(result.status, 200);
+    assert.equal(verifyRefreshToken(result.cookie).tokenId, 'next');
+    const [filter] = Session.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: SESSION_ID, tokenId: 'current' });
+  });
+
+  it('hands the new token to a request that lost the rotation race', async (t) => {
+    const rotated = storedSession({
+      tokenId: 'next',
+      previousTokenId: 'current',
+    });
+    // Read before the other request rotated, written after
+    const reads = [storedSession(), rotated];
+    t.mock.method(Session, 'findById', async () => reads.shift());
+    t.mock.method(Session, 'findOneAndUpdate', async () => null);
+    t.mock.method(User, 'findById', async () => ({ _id: USER_ID }));
+
+    const result = await refreshWith('current');
+
+    assert.equal(result.status, 200);
+    assert.equal(verifyRefreshToken(result.cookie).tokenId, 'next');
+  });
+
+  it('accepts the token it just replaced within the grace period', async (t) => {
+    stubSession(t, storedSession({ previousTokenId: 'older' }));
+
+    const result = await refreshWith('older');
+
+    assert.equal(result.status, 200);
+    assert.equal(verifyRefreshToken(result.cookie).tokenId, 'current');
+    assert.equal(Session.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('ends the session when a replaced token is reused later', async (t) => {
+    const session = storedSession({
+      previousTokenId: 'older',
+      rotatedAt: new Date(Date.now() - 60 * 1000),
+    });
+    t.mock.method(session, 'deleteOne', async () => {});
+    stubSession(t, session);
+
+    const result = await refreshWith('older');
+
+    assert.equal(result.error.status, 401);
+    assert.equal(result.cleared, true);
+    assert.equal(session.deleteOne.mock.callCount(), 1);
+  });
+
+  it('turns away a token of a session that no longer exists', async (t) => {
+    stubSession(t, null);
+
+    const result = await refreshWith('current');
+
+    assert.equal(result.error.status, 401);
+    assert.equal(result.cleared, true);
+  });
+
+  it('turns away a missing cookie', async (t) => {
+    stubSession(t, storedSession());
+    const result = {};
+
+    await refresh(
+      { cookies: {} },
+      { clearCookie: () => (result.cleared = true) },
+      (error) => (result.error = error)
+    );
+
+    assert.equal(result.error.status, 401);
+    assert.equal(Session.findById.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Tests for the size budget of an import (lib/noteImport.js).
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { strToU8, zipSync } from 'fflate';
+import { parseFile } from '../src/lib/noteImport.js';
+
+const TOO_LARGE = 'Over the size limit for one import';
+
+/**
+ * A ZIP archive of Markdown files.
+ *
+ * @param {Object<string, string>} files - Contents by path
+ * @returns {Buffer} Archive
+ */
+const zipOf = (files) =>
+  Buffer.from(
+    zipSync(
+      Object.fromEntries(
+        Object.entries(files).map(([name, text]) => [name, strToU8(text)])
+      )
+    )
+  );
+
+describe('parseFile', () => {
+  it('charges each file to the budget', () => {
+    const budget = { bytes: 100 };
+
+    const [note] = parseFile('todo.md', Buffer.from('# Todo\n- milk'), budget);
+
+    assert.equal(note.title, 'Todo');
+    assert.equal(budget.bytes, 100 - '# Todo\n- milk'.length);
+  });
+
+  it('turns away a file over the budget and leaves the budget as it was', () => {
+    const budget = { bytes: 10 };
+
+    const entries = parseFile('long.md', Buffer.from('x'.repeat(11)), budget);
+
+    assert.deepEqual(entries, [{ source: 'long.md', error: TOO_LARGE }]);
+    assert.equal(budget.bytes, 10);
+  });
+
+  it('charges an archive by the size of its contents, not the archive', () => {
+    const text = 'a'.repeat(5000);
+    const archive = zipOf({ 'one.md': text, 'two.md': text });
+    assert.ok(archive.length < 10000);
+
+    const budget = { bytes: 9999 };
+    const entries = parseFile('notes.zip', archive, budget);
+
+    assert.deepEqual(entries, [{ source: 'notes.zip', error: TOO_LARGE }]);
+    assert.equal(budget.bytes, 9999);
+  });
+
+  it('imports every note of an archive that fits', () => {
+    const budget = { bytes: 1000 };
+
+    const entries = parseFile(
+      'notes.zip',
+      zipOf({ 'a.md': '# A\none', 'b.md': '# B\ntwo' }),
+      budget
+    );
+
+    assert.deepEqual(
+      entries.map(({ title }) => title),
+      ['A', 'B']
+    );
+    assert.equal(budget.bytes, 1000 - 14);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Tests for the shared note write paths (lib/noteWrites.js).
+ *
+ * Model queries are stubbed, so these cover the version checks, the
+ * conflicts they report and the idempotent create without a database.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Note from '../src/models/Note.js';
+import NoteRevision from '../src/models/NoteRevision.js';
+import SyncCounter from '../src/models/SyncCounter.js';
+import { createNoteOnce, updateNoteFields } from '../src/lib/noteWrites.js';
+
+const OWNER = '66a000000000000000000001';
+const NOTE_ID = '66a000000000000000000002';
+
+/**
+ * A stored text note at version `__v`.
+ *
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Note
+ */
+const storedNote = (fields = {}) => ({
+  _id: NOTE_ID,
+  owner: OWNER,
+  type: 'text',
+  title: 'Groceries',
+  content: 'milk',
+  __v: 2,
+  ...fields,
+});
+
+/**
+ * Stubs the sync counter and the revision history, which every write
+ * goes through.
+ *
+ * @param {Object} t - Test context
+ */
+const stubWriteSide = (t) => {
+  t.mock.method(SyncCounter, 'withNext', async (owner, write) => write(41));
+  t.mock.method(NoteRevision, 'ensureBaseline', async () => {});
+  t.mock.method(NoteRevision, 'record', async () => {});
+};
+
+/**
+ * Stubs `Note.findOne` to return the given notes, one per call.
+ *
+ * @param {Object} t - Test context
+ * @param {...(Object|null)} results - Notes in the order they are read
+ */
+const stubReads = (t, ...results) => {
+  t.mock.method(Note, 'findOne', async () => results.shift() ?? null);
+};
+
+describe('updateNoteFields', () => {
+  it('reports a missing note', async (t) => {
+    stubWriteSide(t);
+    stubReads(t, null);
+
+    const result = await updateNoteFields(OWNER, NOTE_ID, { title: 'x' });
+
+    assert.deepEqual(result, { status: 'not_found' });
+  });
+
+  it('rejects a text note without content', async (t) => {
+    stubWriteSide(t);
+    stubReads(t, storedNote());
+
+    const result = await updateNoteFields(OWNER, NOTE_ID, {
+      title: 'Groceries',
+      content: '  ',
+    });
+
+    assert.equal(result.status, 'invalid');
+    assert.equal(SyncCounter.withNext.mock.callCount(), 0);
+  });
+
+  it('reports a conflict, without writing, for an outdated base version', async (t) => {
+    stubWriteSide(t);
+    const current = storedNote();
+    stubReads(t, current);
+    t.mock.method(Note, 'findOneAndUpdate', async () => null);
+
+    const result = await updateNoteFields(
+      OWNER,
+      NOTE_ID,
+      { title: 'Groceries', content: 'eggs' },
+      { baseVersion: 1 }
+    );
+
+    assert.deepEqual(result, { status: 'conflict', note: current });
+    assert.equal(Note.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(SyncCounter.withNext.mock.callCount(), 0);
+  });
+
+  it('saves on top of the version it read and records a revision', async (t) => {
+    stubWriteSide(t);
+    stubReads(t, storedNote());
+    const saved = storedNote({ content: 'eggs', __v: 3, syncSeq: 41 });
+    t.mock.method(Note, 'findOneAndUpdate', async () => saved);
+
+    const result = await updateNoteFields(
+      OWNER,
+      NOTE_ID,
+      { title: 'Groceries', content: 'eggs' },
+      { baseVersion: 2, autosave: true }
+    );
+
+    assert.deepEqual(result, { status: 'updated', note: saved });
+    const [filter, update] = Note.findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.__v, 2);
+    assert.equal(update.syncSeq, 41);
+    assert.deepEqual(update.$inc, { __v: 1 });
+    assert.deepEqual(NoteRevision.record.mock.calls[0].arguments, [
+      saved,
+      { autosave: true },
+    ]);
+  });
+
+  it('records no revision when only the tags changed', async (t) => {
+    stubWriteSide(t);
+    stubReads(t, storedNote());
+    t.mock.method(Note, 'findOneAndUpdate', async () =>
+      storedNote({ tags: ['home'], __v: 3 })
+    );
+
+    const result = await updateNoteFields(OWNER, NOTE_ID, {
+      title: 'Groceries',
+      tags: ['home'],
+    });
+
+    assert.equal(result.status, 'updated');
+    assert.equal(NoteRevision.record.mock.callCount(), 0);
+  });
+
+  it('reports a conflict when another save lands between read and write', async (t) => {
+    stubWriteSide(t);
+    const latest = storedNote({ content: 'bread', __v: 3 });
+    stubReads(t, storedNote(), latest);
+    t.mock.method(Note, 'findOneAndUpdate', async () => null);
+
+    const result = await updateNoteFields(OWNER, NOTE_ID, {
+      title: 'Groceries',
+      content: 'eggs',
+    });
+
+    assert.deepEqual(result, { status: 'conflict', note: latest });
+    assert.equal(NoteRevision.record.mock.callCount(), 0);
+  });
+
+  it('reports a missing note when it is deleted between read and write', async (t) => {
+    stubWriteSide(t);
+    stubReads(t, storedNote(), null);
+    t.mock.method(Note, 'findOneAndUpdate', async () => null);
+
+    const result = await updateNoteFields(OWNER, NOTE_ID, {
+      title: 'Groceries',
+      content: 'eggs',
+    });
+
+    assert.deepEqual(result, { status: 'not_found' });
+  });
+});
+
+describe('createNoteOnce', () => {
+  it('creates the note with the next sync number', async (t) => {
+    stubWriteSide(t);
+    t.mock.method(Note.prototype, 'save', async function () {
+      return this;
+    });
+
+    const { note, created } = await createNoteOnce(OWNER, {
+      title: 'Groceries',
+      content: 'milk',
+    });
+
+    assert.equal(created, true);
+    assert.equal(note.syncSeq, 41);
+    assert.equal(NoteRevision.record.mock.callCount(), 1);
+  });
+
+  it('returns the note already created for a retried client ID', async (t) => {
+    stubWriteSide(t);
+    const existing = storedNote({ clientId: 'local-1' });
+    stubReads(t, existing);
+
+    const result = await createNoteOnce(
+      OWNER,
+      { title: 'Groceries', content: 'milk' },
+      'local-1'
+    );
+
+    assert.deepEqual(result, { note: existing, created: false });
+    assert.equal(SyncCounter.withNext.mock.callCount(), 0);
+  });
+
+  it('returns the winner of a race for the same client ID', async (t) => {
+    stubWriteSide(t);
+    const winner = storedNote({ clientId: 'local-1' });
+    stubReads(t, null, winner);
+    t.mock.method(Note.prototype, 'save', async () => {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+
+    const result = await createNoteOnce(
+      OWNER,
+      { title: 'Groceries', content: 'milk' },
+      'local-1'
+    );
+
+    assert.deepEqual(result, { note: winner, created: false });
+    assert.equal(NoteRevision.record.mock.callCount(), 0);
+  });
+});
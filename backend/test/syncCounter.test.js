@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Tests for the per-user sync sequence (SyncCounter).
+ *
+ * The counter's queries are stubbed, so these cover how `withNext` hands
+ * out and releases numbers and how `settledSeq` reads the pending list,
+ * without a database.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import SyncCounter from '../src/models/SyncCounter.js';
+
+const OWNER = '66a000000000000000000001';
+
+/**
+ * Stubs `findOneAndUpdate` to hand out `seq` and records the `$pull` that
+ * releases it.
+ *
+ * @param {Object} t - Test context
+ * @param {number} seq - Number the counter hands out
+ * @returns {Array<Object>} Updates passed to `updateOne`
+ */
+const stubCounter = (t, seq) => {
+  t.mock.method(SyncCounter, 'findOneAndUpdate', () => ({
+    lean: async () => ({ _id: OWNER, seq }),
+  }));
+  const released = [];
+  t.mock.method(SyncCounter, 'updateOne', async (filter, update) => {
+    released.push({ filter, update });
+  });
+  return released;
+};
+
+/**
+ * Stubs `findById` to return the given counter document.
+ *
+ * @param {Object} t - Test context
+ * @param {Object|null} counter - Stored counter, or null for none
+ */
+const stubStored = (t, counter) => {
+  t.mock.method(SyncCounter, 'findById', () => ({
+    lean: async () => counter,
+  }));
+};
+
+describe('SyncCounter.withNext', () => {
+  it('passes the next number to the write and returns its result', async (t) => {
+    const released = stubCounter(t, 7);
+
+    const result = await SyncCounter.withNext(OWNER, async (seq) => ({ seq }));
+
+    assert.deepEqual(result, { seq: 7 });
+    const [filter, , options] =
+      SyncCounter.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: OWNER });
+    assert.equal(options.upsert, true);
+    assert.deepEqual(released, [
+      { filter: { _id: OWNER }, update: { $pull: { pending: { seq: 7 } } } },
+    ]);
+  });
+
+  it('releases the number when the write fails', async (t) => {
+    const released = stubCounter(t, 3);
+
+    await assert.rejects(
+      SyncCounter.withNext(OWNER, async () => {
+        throw new Error('write failed');
+      }),
+      /write failed/
+    );
+    assert.deepEqual(released[0].update, { $pull: { pending: { seq: 3 } } });
+  });
+});
+
+describe('SyncCounter.settledSeq', () => {
+  it('is 0 for a user without a counter', async (t) => {
+    stubStored(t, null);
+    assert.equal(await SyncCounter.settledSeq(OWNER), 0);
+  });
+
+  it('is the counter itself when no write is pending', async (t) => {
+    stubStored(t, { _id: OWNER, seq: 12, pending: [] });
+    assert.equal(await SyncCounter.settledSeq(OWNER), 12);
+  });
+
+  it('stops below the oldest pending write', async (t) => {
+    const now = new Date();
+    stubStored(t, {
+      _id: OWNER,
+      seq: 12,
+      pending: [
+        { seq: 12, at: now },
+        { seq: 10, at: now },
+      ],
+    });
+    assert.equal(await SyncCounter.settledSeq(OWNER), 9);
+  });
+
+  it('ignores writes pending for longer than a minute', async (t) => {
+    stubStored(t, {
+      _id: OWNER,
+      seq: 12,
+      pending: [
+        { seq: 8, at: new Date(Date.now() - 2 * 60 * 1000) },
+        { seq: 11, at: new Date() },
+      ],
+    });
+    assert.equal(await SyncCounter.settledSeq(OWNER), 10);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Tests for permanently deleting notes from the trash
+ * (jobs/trashPurge.js).
+ *
+ * Model queries and the attachment store are stubbed, so these cover what
+ * a purge removes along with each note and the tombstones it leaves for
+ * sync, without a database.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Note from '../src/models/Note.js';
+import NoteRevision from '../src/models/NoteRevision.js';
+import NoteTombstone from '../src/models/NoteTombstone.js';
+import OrphanedFile from '../src/models/OrphanedFile.js';
+import ShareLink from '../src/models/ShareLink.js';
+import SyncCounter from '../src/models/SyncCounter.js';
+import { attachmentStore } from '../src/lib/attachments.js';
+import { purgeNotes } from '../src/jobs/trashPurge.js';
+
+const ALICE = '66a000000000000000000001';
+const BOB = '66a000000000000000000002';
+
+/**
+ * Stubs the trash with the given notes. Notes missing from `deletable`
+ * were restored after the trash was listed and are no longer deleted.
+ *
+ * @param {Object} t - Test context
+ * @param {Array<Object>} trashed - Notes in the trash when it is listed
+ * @param {Array<Object>} [deletable=trashed] - Notes still there on delete
+ */
+const stubTrash = (t, trashed, deletable = trashed) => {
+  t.mock.method(Note, 'find', () => ({
+    select: async () => trashed.map(({ _id }) => ({ _id })),
+  }));
+  t.mock.method(Note, 'findOneAndDelete', ({ _id }) => ({
+    select: async () => deletable.find((note) => note._id === _id) ?? null,
+  }));
+};
+
+/**
+ * Stubs everything a purge cleans up after the notes themselves.
+ *
+ * @param {Object} t - Test context
+ * @param {Function} [remove] - Attachment store `remove`
+ */
+const stubCleanup = (t, remove = async () => {}) => {
+  t.mock.method(NoteRevision, 'deleteMany', async () => {});
+  t.mock.method(ShareLink, 'deleteMany', async () => {});
+  t.mock.method(attachmentStore, 'remove', remove);
+  t.mock.method(OrphanedFile, 'updateOne', async () => {});
+  t.mock.method(SyncCounter, 'withNext', async (owner, write) =>
+    write(owner === ALICE ? 5 : 9)
+  );
+  t.mock.method(NoteTombstone, 'insertMany', async () => {});
+};
+
+describe('purgeNotes', () => {
+  it('deletes revisions, share links and attachment files with the notes', async (t) => {
+    stubTrash(t, [
+      { _id: 'n1', owner: ALICE, attachments: [{ _id: 'a1' }, { _id: 'a2' }] },
+      { _id: 'n2', owner: ALICE, attachments: [] },
+    ]);
+    stubCleanup(t);
+
+    assert.equal(await purgeNotes({ owner: ALICE }), 2);
+
+    const [filter] = Note.find.mock.calls[0].arguments;
+    assert.equal(filter.owner, ALICE);
+    assert.deepEqual(filter.deletedAt, { $ne: null });
+    assert.deepEqual(NoteRevision.deleteMany.mock.calls[0].arguments, [
+      { note: { $in: ['n1', 'n2'] } },
+    ]);
+    assert.deepEqual(ShareLink.deleteMany.mock.calls[0].arguments, [
+      { note: { $in: ['n1', 'n2'] } },
+    ]);
+    assert.deepEqual(
+      attachmentStore.remove.mock.calls.map((call) => call.arguments[0]),
+      [`${ALICE}/n1/a1`, `${ALICE}/n1/a2`]
+    );
+  });
+
+  it('records files it could not delete for a later retry', async (t) => {
+    stubTrash(t, [{ _id: 'n1', owner: ALICE, attachments: [{ _id: 'a1' }] }]);
+    stubCleanup(t, async () => {
+      throw new Error('disk unavailable');
+    });
+
+    assert.equal(await purgeNotes(), 1);
+
+    const [filter, update, options] =
+      OrphanedFile.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { key: `${ALICE}/n1/a1` });
+    assert.equal(update.$set.lastError, 'disk unavailable');
+    assert.equal(options.upsert, true);
+  });
+
+  it('leaves notes restored since the trash was listed', async (t) => {
+    const kept = { _id: 'n1', owner: ALICE, attachments: [] };
+    const restored = { _id: 'n2', owner: ALICE, attachments: [] };
+    stubTrash(t, [kept, restored], [kept]);
+    stubCleanup(t);
+
+    assert.equal(await purgeNotes(), 1);
+
+    assert.deepEqual(NoteRevision.deleteMany.mock.calls[0].arguments, [
+      { note: { $in: ['n1'] } },
+    ]);
+    assert.deepEqual(NoteTombstone.insertMany.mock.calls[0].arguments, [
+      [{ owner: ALICE, note: 'n1', syncSeq: 5 }],
+    ]);
+  });
+
+  it('does nothing when every note was restored', async (t) => {
+    stubTrash(t, [{ _id: 'n1', owner: ALICE, attachments: [] }], []);
+    stubCleanup(t);
+
+    assert.equal(await purgeNotes(), 0);
+
+    assert.equal(NoteRevision.deleteMany.mock.callCount(), 0);
+    assert.equal(SyncCounter.withNext.mock.callCount(), 0);
+  });
+
+  it('leaves one batch of tombstones per owner, numbered by their counter', async (t) => {
+    stubTrash(t, [
+      { _id: 'n1', owner: ALICE, attachments: [] },
+      { _id: 'n2', owner: BOB, attachments: [] },
+      { _id: 'n3', owner: ALICE, attachments: [] },
+    ]);
+    stubCleanup(t);
+
+    assert.equal(await purgeNotes(), 3);
+
+    assert.deepEqual(
+      SyncCounter.withNext.mock.calls.map((call) => call.arguments[0]),
+      [ALICE, BOB]
+    );
+    assert.deepEqual(
+      NoteTombstone.insertMany.mock.calls.map((call) => call.arguments[0]),
+      [
+        [
+          { owner: ALICE, note: 'n1', syncSeq: 5 },
+          { owner: ALICE, note: 'n3', syncSeq: 5 },
+        ],
+        [{ owner: BOB, note: 'n2', syncSeq: 9 }],
+      ]
+    );
+  });
+});
@@ -0,0 +1,53 @@
+/* global process */
+/**
+ * @fileoverview Vercel routing middleware for the Dex Note Taking App frontend.
+ *
+ * Forwards API calls (`/api/...`) to the backend on Fly.io, like a rewrite,
+ * but adds the `X-Proxy-Secret` header on the way. The backend is also
+ * reachable directly, so it only believes the client address in
+ * `X-Forwarded-For` when the request carries that secret; without it, every
+ * visitor would share Vercel's address and its rate limits.
+ *
+ * Environment variables (set in the Vercel project):
+ * - `PROXY_SECRET`: must equal the backend's `TRUST_PROXY_SECRET`
+ * - `BACKEND_URL`: backend origin (default: the hosted Fly.io app)
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ *
+ * @see {@link ../backend/src/middleware/rateLimiter.js} Backend check of the secret
+ */
+
+import { rewrite } from '@vercel/functions';
+
+/**
+ * Backend origin API calls are forwarded to.
+ *
+ * @type {string}
+ */
+const BACKEND_URL =
+  process.env.BACKEND_URL || 'https://dex-note-taking-app-backend.fly.dev';
+
+/**
+ * Paths this middleware runs for.
+ *
+ * @type {{matcher: string}}
+ */
+export const config = { matcher: '/api/:path*' };
+
+/**
+ * Forwards an API call to the backend with the proxy secret.
+ *
+ * @param {Request} request - Incoming request
+ * @returns {Response} Rewrite to the same path on the backend
+ */
+export default function middleware(request) {
+  const { pathname, search } = new URL(request.url);
+  const headers = new Headers(request.headers);
+  if (process.env.PROXY_SECRET)
+    headers.set('X-Proxy-Secret', process.env.PROXY_SECRET);
+
+  return rewrite(new URL(`${pathname}${search}`, BACKEND_URL), {
+    request: { headers },
+  });
+}
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Service worker for the Dex Note Taking App frontend.
+ *
+ * Keeps the app itself (the HTML shell, scripts, styles and icons) in the
+ * Cache Storage so it opens without a connection. Notes are not cached
+ * here: the app keeps them in IndexedDB (see `src/lib/offlineStore.js`),
+ * and API requests always go to the network.
+ *
+ * Caching Strategies:
+ * - Page navigations: Network first, so a deploy is picked up on the next
+ *   visit; the cached shell is served when the network fails. Every route
+ *   is the same single-page app, so one copy of index.html serves them all
+ * - `/assets/*`: Cache first. Vite puts a content hash in these file names,
+ *   so a cached file can never be stale
+ * - Other static files: The cached copy right away, refreshed in the
+ *   background
+ * - API calls, other origins and non-GET requests: Not handled
+ *
+ * Bump `CACHE_NAME` to drop everything cached by an older version, e.g. the
+ * asset files of old deploys.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ *
+ * @see {@link ../src/main.jsx} Entry point that registers this worker
+ */
+
+/**
+ * Name of the cache used by this version of the worker.
+ *
+ * @type {string}
+ */
+const CACHE_NAME = 'dex-shell-v1';
+
+/**
+ * Files cached on install, so the app opens offline even before the
+ * first navigation has been cached.
+ *
+ * @type {Array<string>}
+ */
+const SHELL_FILES = ['/index.html', '/notebook.svg', '/manifest.webmanifest'];
+
+/**
+ * Cache key of the app shell.
+ *
+ * @type {string}
+ */
+const SHELL_KEY = '/index.html';
+
+/**
+ * Stores a copy of a successful response.
+ *
+ * @param {Request|string} key - Cache key
+ * @param {Response} response - Response to store
+ * @returns {Promise<void>}
+ */
+const store = async (key, response) => {
+  if (!response.ok) return;
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(key, response);
+};
+
+/**
+ * Network first for page navigations, with the cached shell as fallback.
+ *
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page response
+ */
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    await store(SHELL_KEY, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await caches.match(SHELL_KEY);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Cache first for files whose name changes with their content.
+ *
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} Cached or fetched response
+ */
+const handleAsset = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  await store(request, response.clone());
+  return response;
+};
+
+/**
+ * The cached copy right away when there is one, refreshed in the background.
+ *
+ * @param {Request} request - Static file request
+ * @param {ExtendableEvent} event - Fetch event, kept alive for the refresh
+ * @returns {Promise<Response>} Cached or fetched response
+ */
+const handleStatic = async (request, event) => {
+  const cached = await caches.match(request);
+  const refresh = fetch(request).then(async (response) => {
+    await store(request, response.clone());
+    return response;
+  });
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (
+    request.method !== 'GET' ||
+    url.origin !== self.location.origin ||
+    url.pathname.startsWith('/api/')
+  )
+    return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(handleAsset(request));
+  } else {
+    event.respondWith(handleStatic(request, event));
+  }
+});
@@ -10,7 +10,9 @@
  * - Client-side routing with React Router
  * - Custom radial gradient background design
  * - Responsive layout with full-screen coverage
- * - Three main application routes (Home, Create, Note Detail)
+ * - Main application routes (Home, Create, Note Detail, Trash, Import)
+ * - Login, registration and share-link routes, with every other route
+ *   behind a protected-route guard
  * - Consistent visual design across all pages
  *
  * @author Dayle Cortes
@@ -22,6 +24,13 @@ import { Route, Routes } from 'react-router';
 import HomePage from './pages/HomePage';
 import CreatePage from './pages/CreatePage';
 import NoteDetailPage from './pages/NoteDetailPage';
+import TrashPage from './pages/TrashPage';
+import ImportPage from './pages/ImportPage';
+import LoginPage from './pages/LoginPage';
+import RegisterPage from './pages/RegisterPage';
+import SharedNotePage from './pages/SharedNotePage';
+import SyncPage from './pages/SyncPage';
+import ProtectedRoute from './components/ProtectedRoute';
 
 /**
  * Main App component that serves as the root of the application.
@@ -42,12 +51,22 @@ import NoteDetailPage from './pages/NoteDetailPage';
  * - "/" (HomePage): Displays list of notes with navigation and rate limiting
  * - "/create" (CreatePage): Form for creating new notes with validation
  * - "/note/:id" (NoteDetailPage): Edit and delete individual notes
+ * - "/trash" (TrashPage): Restore or permanently delete trashed notes
+ * - "/import" (ImportPage): Upload files from other tools and see the report
+ * - "/sync" (SyncPage): Offline changes waiting to sync, and their conflicts
+ * - "/login" (LoginPage) and "/register" (RegisterPage): Public auth pages
+ * - "/s/:token" (SharedNotePage): Read-only note opened from a share link
+ *
+ * Every route except the auth pages and share links is nested under ProtectedRoute, which
+ * redirects signed-out users to /login.
  *
  * @returns {JSX.Element} The main application component with routing and layout
  *
  * @see {@link ./pages/HomePage.jsx} Home page component for notes list
  * @see {@link ./pages/CreatePage.jsx} Create page component for new notes
  * @see {@link ./pages/NoteDetailPage.jsx} Detail page component for note editing
+ * @see {@link ./pages/TrashPage.jsx} Trash page component for deleted notes
+ * @see {@link ./components/ProtectedRoute.jsx} Guard for signed-in routes
  * @see {@link ../main.jsx} Main entry point that renders this component
  */
 const App = () => {
@@ -58,14 +77,33 @@ const App = () => {
 
       {/* Main routing configuration for the application */}
       <Routes>
-        {/* Home page route - displays notes list and navigation */}
-        <Route path="/" element={<HomePage />} />
+        {/* Public auth routes - sign in and create an account */}
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/register" element={<RegisterPage />} />
+
+        {/* Public share links - read-only notes for anyone with the link */}
+        <Route path="/s/:token" element={<SharedNotePage />} />
+
+        {/* Everything below requires a signed-in user */}
+        <Route element={<ProtectedRoute />}>
+          {/* Home page route - displays notes list and navigation */}
+          <Route path="/" element={<HomePage />} />
+
+          {/* Create page route - form for creating new notes */}
+          <Route path="/create" element={<CreatePage />} />
+
+          {/* Note detail page route - edit and delete individual notes */}
+          <Route path="/note/:id" element={<NoteDetailPage />} />
+
+          {/* Trash page route - restore or permanently delete trashed notes */}
+          <Route path="/trash" element={<TrashPage />} />
 
-        {/* Create page route - form for creating new notes */}
-        <Route path="/create" element={<CreatePage />} />
+          {/* Import page route - bring in notes from files and other tools */}
+          <Route path="/import" element={<ImportPage />} />
 
-        {/* Note detail page route - edit and delete individual notes */}
-        <Route path="/note/:id" element={<NoteDetailPage />} />
+          {/* Sync page route - queued offline changes and their conflicts */}
+          <Route path="/sync" element={<SyncPage />} />
+        </Route>
       </Routes>
     </div>
   );
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview AttachmentList component for the Dex Note Taking App frontend.
+ *
+ * This component shows the files attached to a note in the note editor:
+ * images as thumbnails, other files as a list, and the uploads still in
+ * progress. Like the reminder and due date, attachments are saved on their
+ * own as soon as they are added or removed, not with the autosaved form.
+ *
+ * Key Features:
+ * - "Attach files" button with a file picker; the editor also accepts
+ *   pasted and dropped files
+ * - Image thumbnails that open the full image in a new tab
+ * - Download and remove buttons on every attachment
+ * - Progress bar for each upload
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  DownloadIcon,
+  FileIcon,
+  FileTextIcon,
+  LoaderIcon,
+  PaperclipIcon,
+  Trash2Icon,
+} from 'lucide-react';
+import { getErrorMessage } from '../lib/apiErrors';
+import {
+  ATTACHMENT_ACCEPT,
+  fetchAttachment,
+  isImageAttachment,
+} from '../lib/attachments';
+import { downloadBlob, formatFileSize } from '../lib/utils';
+
+/**
+ * Picks the icon for a file that isn't shown as a thumbnail.
+ *
+ * @param {string} mimeType - Attachment's MIME type
+ * @returns {Function} lucide-react icon component
+ */
+const fileIcon = (mimeType) =>
+  mimeType === 'application/pdf' || mimeType.startsWith('text/')
+    ? FileTextIcon
+    : FileIcon;
+
+/**
+ * Thumbnail of an image attachment.
+ *
+ * The image is fetched with the auth header and shown from an object URL,
+ * which is revoked when the thumbnail goes away.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - Note the image belongs to
+ * @param {Object} props.attachment - Image attachment metadata
+ * @returns {JSX.Element} Image button, or a placeholder while loading
+ */
+const AttachmentThumbnail = ({ noteId, attachment }) => {
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    fetchAttachment(noteId, attachment._id)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [noteId, attachment._id]);
+
+  if (!url) {
+    return (
+      <div className="size-full flex items-center justify-center bg-base-200">
+        {failed ? (
+          <FileIcon className="size-6 text-base-content/50" />
+        ) : (
+          <LoaderIcon className="size-5 animate-spin text-base-content/50" />
+        )}
+      </div>
+    );
+  }
+  return (
+    <a href={url} target="_blank" rel="noreferrer" title={attachment.filename}>
+      <img
+        src={url}
+        alt={attachment.filename}
+        className="size-full object-cover"
+      />
+    </a>
+  );
+};
+
+/**
+ * AttachmentList component for the files attached to a note.
+ *
+ * This is a controlled component: the parent uploads and removes files
+ * and passes the resulting lists back in.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - Note the files are attached to
+ * @param {Array<Object>} props.attachments - Attachment metadata:
+ *   `{ _id, filename, mimeType, size, createdAt }`
+ * @param {Array<Object>} [props.uploads=[]] - Uploads in progress:
+ *   `{ id, name, progress }`, with progress from 0 to 1
+ * @param {Function} props.onAttach - Called with an array of `File`s
+ * @param {Function} props.onDelete - Called with the attachment to remove
+ * @param {boolean} [props.disabled=false] - Disables adding and removing,
+ *   e.g. for a note created offline that the server doesn't know yet
+ * @returns {JSX.Element} Attachment section of the editor
+ *
+ * @see {@link ../pages/NoteDetailPage.jsx} Editor that renders this list
+ * @see {@link ../../../backend/src/controllers/attachmentsController.js} Backend attachment controllers
+ */
+const AttachmentList = ({
+  noteId,
+  attachments,
+  uploads = [],
+  onAttach,
+  onDelete,
+  disabled = false,
+}) => {
+  const inputRef = useRef(null);
+
+  /**
+   * ID of the attachment being downloaded, if any.
+   *
+   * @type {string|null}
+   */
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const images = attachments.filter(isImageAttachment);
+  const files = attachments.filter(
+    (attachment) => !isImageAttachment(attachment)
+  );
+
+  /**
+   * Saves an attachment to the user's downloads.
+   *
+   * @async
+   * @function handleDownload
+   * @param {Object} attachment - Attachment to download
+   * @returns {Promise<void>}
+   */
+  const handleDownload = async (attachment) => {
+    setDownloadingId(attachment._id);
+    try {
+      const blob = await fetchAttachment(noteId, attachment._id);
+      downloadBlob(blob, attachment.filename);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to download the file'));
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <span className="label-text flex items-center gap-1.5">
+          <PaperclipIcon className="size-4" />
+          Attachments
+          {attachments.length > 0 && (
+            <span className="text-base-content/60">({attachments.length})</span>
+          )}
+        </span>
+        <button
+          type="button"
+          className="btn btn-ghost btn-sm"
+          onClick={() => inputRef.current?.click()}
+          disabled={disabled}
+        >
+          Attach files
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={ATTACHMENT_ACCEPT}
+          className="hidden"
+          onChange={(e) => {
+            const selected = Array.from(e.target.files);
+            // Clear the input so picking the same file again still fires
+            e.target.value = '';
+            if (selected.length > 0) onAttach(selected);
+          }}
+        />
+      </div>
+
+      {attachments.length === 0 && uploads.length === 0 && (
+        <p className="text-sm text-base-content/60">
+          {disabled
+            ? 'Files can be attached once this note has synced.'
+            : 'Paste or drop images and files into the note to attach them.'}
+        </p>
+      )}
+
+      {images.length > 0 && (
+        <div className="grid grid-cols-3 sm:grid-cols-5 gap-2 mb-2">
+          {images.map((attachment) => (
+            <div
+              key={attachment._id}
+              className="group relative aspect-square rounded-lg overflow-hidden border border-base-300"
+            >
+              <AttachmentThumbnail noteId={noteId} attachment={attachment} />
+              <div className="absolute top-1 right-1 flex gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                <button
+                  type="button"
+                  className="btn btn-xs btn-square"
+                  onClick={() => handleDownload(attachment)}
+                  disabled={downloadingId === attachment._id}
+                  aria-label={`Download ${attachment.filename}`}
+                  title="Download"
+                >
+                  <DownloadIcon className="size-3.5" />
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-xs btn-square btn-error"
+                  onClick={() => onDelete(attachment)}
+                  disabled={disabled}
+                  aria-label={`Remove ${attachment.filename}`}
+                  title="Remove"
+                >
+                  <Trash2Icon className="size-3.5" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {(files.length > 0 || uploads.length > 0) && (
+        <ul className="divide-y divide-base-300 border border-base-300 rounded-lg">
+          {files.map((attachment) => {
+            const Icon = fileIcon(attachment.mimeType);
+            return (
+              <li
+                key={attachment._id}
+                className="flex items-center gap-2 px-3 py-2"
+              >
+                <Icon className="size-4 shrink-0 text-base-content/60" />
+                <span className="flex-1 min-w-0 truncate">
+                  {attachment.filename}
+                </span>
+                <span className="text-xs text-base-content/60 shrink-0">
+                  {formatFileSize(attachment.size)}
+                </span>
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-xs btn-square"
+                  onClick={() => handleDownload(attachment)}
+                  disabled={downloadingId === attachment._id}
+                  aria-label={`Download ${attachment.filename}`}
+                  title="Download"
+                >
+                  {downloadingId === attachment._id ? (
+                    <LoaderIcon className="size-3.5 animate-spin" />
+                  ) : (
+                    <DownloadIcon className="size-3.5" />
+                  )}
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-xs btn-square text-error"
+                  onClick={() => onDelete(attachment)}
+                  disabled={disabled}
+                  aria-label={`Remove ${attachment.filename}`}
+                  title="Remove"
+                >
+                  <Trash2Icon className="size-3.5" />
+                </button>
+              </li>
+            );
+          })}
+          {uploads.map((upload) => (
+            <li key={upload.id} className="flex items-center gap-2 px-3 py-2">
+              <LoaderIcon className="size-4 shrink-0 animate-spin text-base-content/60" />
+              <span className="flex-1 min-w-0 truncate">{upload.name}</span>
+              <progress
+                className="progress progress-primary w-24"
+                value={Math.round(upload.progress * 100)}
+                max="100"
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentList;
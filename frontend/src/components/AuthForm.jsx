@@ -0,0 +1,155 @@
+/**
+ * @fileoverview AuthForm component for the Dex Note Taking App frontend.
+ *
+ * This component renders the email/password card shared by the login and
+ * registration pages. It handles field state, basic validation, the
+ * submitting state and error toasts, and leaves the actual request to the
+ * page through the `onSubmit` prop.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { getErrorMessage } from '../lib/apiErrors';
+
+/**
+ * AuthForm component with email and password fields.
+ *
+ * Why share one form?
+ * - Consistency: Login and registration look and behave the same
+ * - Single place for validation and error display
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Card heading
+ * @param {string} props.submitLabel - Submit button label
+ * @param {string} props.submittingLabel - Submit button label while the request runs
+ * @param {string} props.passwordAutoComplete - "current-password" or "new-password"
+ * @param {number} [props.minPasswordLength] - Minimum password length to enforce
+ * @param {Function} props.onSubmit - Async callback receiving (email, password)
+ * @param {React.ReactNode} props.footer - Content below the form (e.g. link to the other page)
+ * @returns {JSX.Element} The form card
+ *
+ * @see {@link ../pages/LoginPage.jsx} Login page using this form
+ * @see {@link ../pages/RegisterPage.jsx} Registration page using this form
+ */
+const AuthForm = ({
+  title,
+  submitLabel,
+  submittingLabel,
+  passwordAutoComplete,
+  minPasswordLength,
+  onSubmit,
+  footer,
+}) => {
+  /**
+   * State for the email field.
+   *
+   * @type {string}
+   */
+  const [email, setEmail] = useState('');
+
+  /**
+   * State for the password field.
+   *
+   * @type {string}
+   */
+  const [password, setPassword] = useState('');
+
+  /**
+   * State for tracking the submit request, used to disable the button.
+   *
+   * @type {boolean}
+   */
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Validates the fields and runs `onSubmit`, showing the server's message on failure.
+   *
+   * @async
+   * @param {Event} e - Form submit event
+   * @returns {Promise<void>} Resolves when the request has finished
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email.trim() || !password) {
+      toast.error('Please enter your email and password');
+      return;
+    }
+    if (minPasswordLength && password.length < minPasswordLength) {
+      toast.error(`Password must be at least ${minPasswordLength} characters`);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await onSubmit(email.trim(), password);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Something went wrong'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-base-200 w-full flex items-center justify-center px-3">
+      <div className="card bg-base-100 shadow-xl w-full max-w-md">
+        <div className="card-body p-5 sm:p-8">
+          <h1 className="text-xl sm:text-2xl font-bold text-primary font-mono tracking-tight mb-1">
+            Dex-Note-Taking-App
+          </h1>
+          <h2 className="card-title text-lg sm:text-xl mb-4">{title}</h2>
+          <form onSubmit={handleSubmit}>
+            <div className="form-control mb-4">
+              <label className="label" htmlFor="auth-email">
+                <span className="label-text font-medium">Email</span>
+              </label>
+              <input
+                id="auth-email"
+                type="email"
+                autoComplete="email"
+                className="input input-bordered text-base w-full"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+            </div>
+            <div className="form-control mb-6">
+              <label className="label" htmlFor="auth-password">
+                <span className="label-text font-medium">Password</span>
+              </label>
+              <input
+                id="auth-password"
+                type="password"
+                autoComplete={passwordAutoComplete}
+                className="input input-bordered text-base w-full"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+            <button
+              type="submit"
+              className="btn btn-primary w-full touch-manipulation"
+              disabled={submitting}
+            >
+              {submitting ? (
+                <>
+                  <span className="loading loading-spinner loading-sm"></span>
+                  {submittingLabel}
+                </>
+              ) : (
+                submitLabel
+              )}
+            </button>
+          </form>
+          <div className="text-sm text-center text-base-content/70 mt-4">
+            {footer}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuthForm;
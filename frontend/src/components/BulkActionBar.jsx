@@ -0,0 +1,223 @@
+/**
+ * @fileoverview BulkActionBar component for the Dex Note Taking App frontend.
+ *
+ * This component is the floating toolbar shown at the bottom of the
+ * HomePage while notes are being selected. It applies one action to every
+ * selected note through `POST /api/notes/bulk`.
+ *
+ * Key Features:
+ * - Selected count with select-all and clear shortcuts
+ * - Archive (or unarchive, in the Archive view), tag, untag, move and delete
+ * - Notebook picker for moves, indented to show the notebook tree
+ * - Disabled while a bulk request is in flight
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import {
+  ArchiveIcon,
+  ArchiveRestoreIcon,
+  CheckCheckIcon,
+  FolderInputIcon,
+  InboxIcon,
+  TagIcon,
+  Trash2Icon,
+  XIcon,
+} from 'lucide-react';
+import { flattenNotebooks } from '../lib/notebooks';
+
+/**
+ * Asks for a comma-separated list of tags.
+ *
+ * @param {string} message - Prompt text
+ * @returns {Array<string>|null} Entered tags, or null if cancelled or empty
+ */
+function promptTags(message) {
+  const tags = (window.prompt(message) ?? '')
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  return tags.length > 0 ? tags : null;
+}
+
+/**
+ * BulkActionBar component with the actions for the current selection.
+ *
+ * The bar only reports which action was picked (with its tags or target
+ * notebook); HomePage sends the request and updates the grid, since it owns
+ * both the notes and the selection.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.selectedCount - Number of selected notes
+ * @param {number} props.loadedCount - Number of notes loaded in the grid
+ * @param {boolean} props.archivedView - Whether the Archive view is shown
+ * @param {Array<Object>} props.notebooks - Notebooks offered as move targets
+ * @param {boolean} props.busy - Whether a bulk request is in flight
+ * @param {Function} props.onAction - Called with `(action, extra)`, e.g. `('tag', { tags })`
+ * @param {Function} props.onSelectAll - Selects every loaded note
+ * @param {Function} props.onClear - Clears the selection
+ * @param {Function} props.onClose - Leaves selection mode
+ * @returns {JSX.Element} The floating action bar
+ *
+ * @see {@link ../pages/HomePage.jsx} HomePage that owns the selection
+ * @see {@link ../../../backend/src/controllers/bulkController.js} Backend bulk controller
+ */
+const BulkActionBar = ({
+  selectedCount,
+  loadedCount,
+  archivedView,
+  notebooks,
+  busy,
+  onAction,
+  onSelectAll,
+  onClear,
+  onClose,
+}) => {
+  const disabled = busy || selectedCount === 0;
+
+  const handleTag = () => {
+    const tags = promptTags('Tags to add (comma-separated)');
+    if (tags) onAction('tag', { tags });
+  };
+
+  const handleUntag = () => {
+    const tags = promptTags('Tags to remove (comma-separated)');
+    if (tags) onAction('untag', { tags });
+  };
+
+  const handleMove = (notebookId) => {
+    // Close the DaisyUI dropdown, which stays open while it has focus
+    document.activeElement?.blur();
+    onAction('move', { notebookId });
+  };
+
+  return (
+    <div
+      className="fixed bottom-4 inset-x-0 z-40 flex justify-center px-3 pointer-events-none"
+      role="toolbar"
+      aria-label="Bulk actions"
+    >
+      <div className="pointer-events-auto flex flex-wrap items-center justify-center gap-1 sm:gap-2 rounded-box bg-base-300 shadow-xl px-3 py-2 max-w-full">
+        <span className="text-sm font-medium px-1 whitespace-nowrap">
+          {selectedCount} selected
+        </span>
+
+        <button
+          type="button"
+          className="btn btn-ghost btn-sm"
+          onClick={selectedCount === loadedCount ? onClear : onSelectAll}
+          disabled={busy || loadedCount === 0}
+        >
+          <CheckCheckIcon className="size-4" />
+          <span className="hidden sm:inline">
+            {selectedCount === loadedCount ? 'Clear' : 'Select all'}
+          </span>
+        </button>
+
+        <div className="divider divider-horizontal mx-0 hidden sm:flex" />
+
+        {archivedView ? (
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm"
+            onClick={() => onAction('unarchive')}
+            disabled={disabled}
+          >
+            <ArchiveRestoreIcon className="size-4" />
+            <span className="hidden sm:inline">Unarchive</span>
+          </button>
+        ) : (
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm"
+            onClick={() => onAction('archive')}
+            disabled={disabled}
+          >
+            <ArchiveIcon className="size-4" />
+            <span className="hidden sm:inline">Archive</span>
+          </button>
+        )}
+
+        <button
+          type="button"
+          className="btn btn-ghost btn-sm"
+          onClick={handleTag}
+          disabled={disabled}
+        >
+          <TagIcon className="size-4" />
+          <span className="hidden sm:inline">Tag</span>
+        </button>
+
+        <button
+          type="button"
+          className="btn btn-ghost btn-sm"
+          onClick={handleUntag}
+          disabled={disabled}
+        >
+          <TagIcon className="size-4 opacity-50" />
+          <span className="hidden sm:inline">Untag</span>
+        </button>
+
+        {/* Notebook picker for moving the selection */}
+        <div className="dropdown dropdown-top dropdown-end">
+          <button
+            type="button"
+            tabIndex={0}
+            className="btn btn-ghost btn-sm"
+            disabled={disabled}
+          >
+            <FolderInputIcon className="size-4" />
+            <span className="hidden sm:inline">Move</span>
+          </button>
+          <ul
+            tabIndex={0}
+            className="dropdown-content menu menu-sm bg-base-100 rounded-box shadow-lg w-56 max-h-72 overflow-y-auto flex-nowrap mb-2 z-50"
+          >
+            <li>
+              <button type="button" onClick={() => handleMove(null)}>
+                <InboxIcon className="size-4" />
+                Unfiled
+              </button>
+            </li>
+            {flattenNotebooks(notebooks).map(({ notebook, depth }) => (
+              <li key={notebook._id}>
+                <button
+                  type="button"
+                  onClick={() => handleMove(notebook._id)}
+                  style={{ paddingLeft: `${0.75 + depth * 0.75}rem` }}
+                >
+                  <span className="truncate">{notebook.name}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <button
+          type="button"
+          className="btn btn-ghost btn-sm text-error"
+          onClick={() => onAction('delete')}
+          disabled={disabled}
+        >
+          <Trash2Icon className="size-4" />
+          <span className="hidden sm:inline">Delete</span>
+        </button>
+
+        <div className="divider divider-horizontal mx-0 hidden sm:flex" />
+
+        <button
+          type="button"
+          className="btn btn-ghost btn-sm btn-square"
+          onClick={onClose}
+          disabled={busy}
+          aria-label="Exit selection mode"
+        >
+          <XIcon className="size-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
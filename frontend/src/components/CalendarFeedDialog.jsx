@@ -0,0 +1,250 @@
+/**
+ * @fileoverview CalendarFeedDialog component for the Dex Note Taking App frontend.
+ *
+ * This component is the dialog behind the "Subscribe in calendar" button of
+ * the Upcoming view. It turns on the user's private calendar feed and shows
+ * its URL, which calendar apps subscribe to so reminders and due dates show
+ * up next to the user's other events.
+ *
+ * Key Features:
+ * - Turn the feed on, and off again
+ * - Copy-to-clipboard for the feed URL, with the URL selectable as a fallback
+ * - Regenerate the URL when it may have leaked, which stops the old one
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  CalendarPlusIcon,
+  CopyIcon,
+  LoaderIcon,
+  RefreshCwIcon,
+} from 'lucide-react';
+import api from '../lib/axios';
+import { getErrorMessage } from '../lib/apiErrors';
+
+/**
+ * Builds the absolute URL of a feed. Relative API URLs (production, where
+ * the API is served under the app's own origin) are resolved against it.
+ *
+ * @param {string} token - Feed token
+ * @returns {string} Absolute `/api/calendar.ics?token=...` URL
+ */
+const feedUrl = (token) =>
+  new URL(
+    `${api.defaults.baseURL}/calendar.ics?token=${token}`,
+    window.location.origin
+  ).href;
+
+/**
+ * CalendarFeedDialog component for managing the calendar feed.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Closes the dialog
+ * @returns {JSX.Element} Modal dialog
+ *
+ * @see {@link ../pages/HomePage.jsx} Upcoming view that opens this dialog
+ * @see {@link ../../../backend/src/controllers/calendarController.js} Backend calendar controllers
+ */
+const CalendarFeedDialog = ({ onClose }) => {
+  /**
+   * Token of the feed: undefined until loaded, null while the feed is off.
+   *
+   * @type {string|null|undefined}
+   */
+  const [token, setToken] = useState(undefined);
+
+  /**
+   * Whether the feed is being turned on, regenerated or turned off.
+   *
+   * @type {boolean}
+   */
+  const [busy, setBusy] = useState(false);
+
+  // Load the feed's state when the dialog opens
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get('/calendar/feed')
+      .then((res) => {
+        if (!cancelled) setToken(res.data.token);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setToken(null);
+        toast.error(getErrorMessage(error, 'Failed to load calendar feed'));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Escape closes the dialog, like the backdrop
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  /**
+   * Copies the feed URL to the clipboard.
+   *
+   * @async
+   * @function handleCopy
+   * @param {string} feedToken - Feed token
+   * @returns {Promise<void>}
+   */
+  const handleCopy = async (feedToken) => {
+    try {
+      await navigator.clipboard.writeText(feedUrl(feedToken));
+      toast.success('Calendar URL copied');
+    } catch {
+      toast.error("Couldn't copy the URL. Select it and copy it instead");
+    }
+  };
+
+  /**
+   * Turns the feed on, or gives it a new URL, and copies the URL.
+   *
+   * @async
+   * @function handleCreate
+   * @returns {Promise<void>}
+   */
+  const handleCreate = async () => {
+    const regenerating = !!token;
+    setBusy(true);
+    try {
+      const res = await api.post('/calendar/feed');
+      setToken(res.data.token);
+      if (regenerating)
+        toast.success('New URL created. The old one no longer works');
+      await handleCopy(res.data.token);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to create calendar feed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Turns the feed off.
+   *
+   * @async
+   * @function handleDelete
+   * @returns {Promise<void>}
+   */
+  const handleDelete = async () => {
+    setBusy(true);
+    try {
+      await api.delete('/calendar/feed');
+      setToken(null);
+      toast.success('Calendar feed turned off');
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to turn off calendar feed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      className="modal modal-open"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="calendar-feed-dialog-title"
+    >
+      <div className="modal-box max-w-xl">
+        <h3
+          id="calendar-feed-dialog-title"
+          className="font-bold text-lg flex items-center gap-2"
+        >
+          <CalendarPlusIcon className="size-5" />
+          Subscribe in your calendar
+        </h3>
+        <p className="text-sm text-base-content/70 mt-1">
+          Add this URL to Google Calendar, Apple Calendar or Outlook as a
+          calendar &quot;from URL&quot; to see your reminders and due dates
+          there. Calendar apps refresh it every few hours. Keep it private:
+          anyone with the URL can see the titles and text of those notes.
+        </p>
+
+        <div className="mt-4">
+          {token === undefined ? (
+            <div className="flex justify-center py-4">
+              <LoaderIcon className="size-5 animate-spin" />
+            </div>
+          ) : token === null ? (
+            <button
+              type="button"
+              className="btn btn-primary btn-sm"
+              onClick={handleCreate}
+              disabled={busy}
+            >
+              {busy ? (
+                <LoaderIcon className="size-4 animate-spin" />
+              ) : (
+                <CalendarPlusIcon className="size-4" />
+              )}
+              Turn on calendar feed
+            </button>
+          ) : (
+            <>
+              <div className="flex items-center gap-2 rounded-lg bg-base-200 px-3 py-2">
+                <input
+                  type="text"
+                  readOnly
+                  className="flex-1 min-w-0 bg-transparent font-mono text-xs truncate focus:outline-none"
+                  value={feedUrl(token)}
+                  onFocus={(e) => e.target.select()}
+                  aria-label="Calendar feed URL"
+                />
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-sm btn-square"
+                  onClick={() => handleCopy(token)}
+                  aria-label="Copy URL"
+                  title="Copy URL"
+                >
+                  <CopyIcon className="size-4" />
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-2 mt-3">
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-sm"
+                  onClick={handleCreate}
+                  disabled={busy}
+                >
+                  <RefreshCwIcon className="size-4" />
+                  New URL
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-sm text-error"
+                  onClick={handleDelete}
+                  disabled={busy}
+                >
+                  Turn off
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="modal-action">
+          <button type="button" className="btn btn-sm" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default CalendarFeedDialog;
@@ -0,0 +1,547 @@
+/**
+ * @fileoverview ChecklistEditor component for the Dex Note Taking App frontend.
+ *
+ * This component edits the items of a checklist note: ticking them off,
+ * typing new ones, renaming, reordering and removing them. It is built to be
+ * driven from the keyboard, so a list can be typed out in one go, and is
+ * used by both the CreatePage and the NoteDetailPage.
+ *
+ * Key Features:
+ * - Enter adds an item below the current one; Enter on an empty new item
+ *   stops adding
+ * - Backspace on an empty item removes it
+ * - Arrow keys move between items, Alt+Arrow keys move the item itself
+ * - Ctrl/Cmd+Enter ticks the current item off
+ * - Drag handles for reordering with the mouse
+ * - Progress bar with the number of items done
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { GripVerticalIcon, PlusIcon, XIcon } from 'lucide-react';
+import {
+  checklistProgress,
+  MAX_CHECKLIST_ITEM_LENGTH,
+  MAX_CHECKLIST_ITEMS,
+} from '../lib/checklist';
+
+/**
+ * Drag-and-drop data type carrying an item ID between rows of the list.
+ *
+ * @type {string}
+ */
+const ITEM_DRAG_TYPE = 'application/x-dex-checklist-item';
+
+/**
+ * Row key of the item being inserted between existing items.
+ *
+ * @type {string}
+ */
+const DRAFT_KEY = 'draft';
+
+/**
+ * Row key of the "Add item" row at the bottom of the list.
+ *
+ * @type {string}
+ */
+const NEW_KEY = 'new';
+
+/**
+ * Moves one entry of a list to another index.
+ *
+ * @param {Array} list - List to reorder
+ * @param {number} from - Index of the entry to move
+ * @param {number} to - Index it should end up at
+ * @returns {Array} Reordered copy of the list
+ */
+const moveEntry = (list, from, to) => {
+  const next = [...list];
+  const [entry] = next.splice(from, 1);
+  next.splice(to, 0, entry);
+  return next;
+};
+
+/**
+ * ChecklistEditor component for the items of a checklist.
+ *
+ * This is a controlled component: the parent owns the items and decides
+ * how each change is applied (local state on the CreatePage, API calls on
+ * the NoteDetailPage). Text being typed stays in local state until it is
+ * committed with Enter or by leaving the field.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.items - Items in order: `{ _id, text, done }`,
+ *   with `pending: true` on items the server hasn't confirmed yet
+ * @param {Function} props.onAdd - Called with `(text, position)`
+ * @param {Function} props.onUpdate - Called with `(itemId, changes)`, where
+ *   changes has `text`, `done` or both
+ * @param {Function} props.onRemove - Called with `(itemId)`
+ * @param {Function} props.onReorder - Called with every item ID in the new order
+ * @param {boolean} [props.disabled=false] - Makes the list read-only
+ * @returns {JSX.Element} The checklist editor
+ *
+ * @see {@link ../pages/CreatePage.jsx} CreatePage that uses this editor
+ * @see {@link ../pages/NoteDetailPage.jsx} NoteDetailPage that uses this editor
+ * @see {@link ../../../backend/src/controllers/checklistController.js} Backend item endpoints
+ */
+const ChecklistEditor = ({
+  items,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onReorder,
+  disabled = false,
+}) => {
+  /**
+   * Item being inserted between existing items, if any.
+   *
+   * @type {{position: number, text: string}|null}
+   */
+  const [draft, setDraft] = useState(null);
+
+  /**
+   * Text typed into the "Add item" row.
+   *
+   * @type {string}
+   */
+  const [newText, setNewText] = useState('');
+
+  /**
+   * Text of existing items being edited, by item ID. An item without an
+   * entry shows its saved text.
+   *
+   * @type {Object<string, string>}
+   */
+  const [edits, setEdits] = useState({});
+
+  /**
+   * Item being dragged, and the index it would be dropped at.
+   *
+   * @type {{id: string, index: number|null}|null}
+   */
+  const [drag, setDrag] = useState(null);
+
+  /**
+   * Row to focus once it has rendered, with the caret at the start or end.
+   *
+   * @type {{key: string, caret: string}|null}
+   */
+  const [pendingFocus, setPendingFocus] = useState(null);
+
+  /**
+   * Text inputs by row key, for moving the focus between rows.
+   *
+   * @type {React.MutableRefObject<Map<string, HTMLInputElement>>}
+   */
+  const inputsRef = useRef(new Map());
+
+  // Focus the requested row as soon as it exists
+  useEffect(() => {
+    if (!pendingFocus) return;
+    const input = inputsRef.current.get(pendingFocus.key);
+    if (!input) return;
+    input.focus();
+    const caret = pendingFocus.caret === 'start' ? 0 : input.value.length;
+    input.setSelectionRange(caret, caret);
+    setPendingFocus(null);
+  }, [pendingFocus, items, draft]);
+
+  /**
+   * Row keys in display order: items, the inserted draft, the "Add item" row.
+   *
+   * @type {Array<string>}
+   */
+  const rowKeys = items.map((item) => item._id);
+  if (draft) rowKeys.splice(draft.position, 0, DRAFT_KEY);
+  rowKeys.push(NEW_KEY);
+
+  const full = items.length >= MAX_CHECKLIST_ITEMS;
+  const { done, total } = checklistProgress(items);
+
+  /**
+   * Moves the focus to the row before or after another one.
+   *
+   * @function focusNear
+   * @param {string} key - Row to start from
+   * @param {number} step - -1 for the row above, 1 for the row below
+   * @param {string} [caret="end"] - Where to put the caret
+   * @returns {void}
+   */
+  const focusNear = (key, step, caret = 'end') => {
+    const target = rowKeys[rowKeys.indexOf(key) + step];
+    if (target) setPendingFocus({ key: target, caret });
+  };
+
+  /**
+   * Registers a row's input so the focus can be moved to it.
+   *
+   * @function inputRef
+   * @param {string} key - Row key
+   * @returns {Function} Ref callback
+   */
+  const inputRef = (key) => (element) => {
+    if (element) inputsRef.current.set(key, element);
+    else inputsRef.current.delete(key);
+  };
+
+  /**
+   * Forgets the unsaved text of an item.
+   *
+   * @function dropEdit
+   * @param {string} itemId - Item ID
+   * @returns {void}
+   */
+  const dropEdit = (itemId) =>
+    setEdits((prev) => {
+      const next = { ...prev };
+      delete next[itemId];
+      return next;
+    });
+
+  /**
+   * Saves an item's edited text, unless it is unchanged or blank (blank
+   * text puts the saved text back; Backspace is how items are removed),
+   * together with any other change to the item.
+   *
+   * @function commitEdit
+   * @param {Object} item - Item being edited
+   * @param {Object} [changes={}] - Other changes, e.g. `{ done: true }`
+   * @returns {void}
+   */
+  const commitEdit = (item, changes = {}) => {
+    const text = edits[item._id]?.trim();
+    if (item._id in edits) dropEdit(item._id);
+    const update = text && text !== item.text ? { ...changes, text } : changes;
+    if (Object.keys(update).length > 0) onUpdate(item._id, update);
+  };
+
+  /**
+   * Opens a new, empty item at a position and focuses it.
+   *
+   * @function openDraft
+   * @param {number} position - Index the item will be added at
+   * @returns {void}
+   */
+  const openDraft = (position) => {
+    if (full) return;
+    if (position >= items.length) {
+      setDraft(null);
+      setPendingFocus({ key: NEW_KEY, caret: 'end' });
+      return;
+    }
+    setDraft({ position, text: '' });
+    setPendingFocus({ key: DRAFT_KEY, caret: 'end' });
+  };
+
+  /**
+   * Moves an item one place up or down, keeping the focus on it.
+   *
+   * @function moveItem
+   * @param {number} index - Index of the item
+   * @param {number} step - -1 to move it up, 1 to move it down
+   * @returns {void}
+   */
+  const moveItem = (index, step) => {
+    const to = index + step;
+    if (to < 0 || to >= items.length) return;
+    onReorder(moveEntry(items, index, to).map((item) => item._id));
+    setPendingFocus({ key: items[index]._id, caret: 'end' });
+  };
+
+  /**
+   * Keyboard shortcuts of an existing item.
+   *
+   * @function handleItemKeyDown
+   * @param {KeyboardEvent} e - Key event from the item's input
+   * @param {Object} item - The item
+   * @param {number} index - Its index
+   * @returns {void}
+   */
+  const handleItemKeyDown = (e, item, index) => {
+    const value = edits[item._id] ?? item.text;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (e.ctrlKey || e.metaKey) {
+        commitEdit(item, { done: !item.done });
+      } else {
+        commitEdit(item);
+        openDraft(index + 1);
+      }
+    } else if (e.key === 'Backspace' && !value) {
+      e.preventDefault();
+      dropEdit(item._id);
+      focusNear(item._id, index === 0 ? 1 : -1);
+      onRemove(item._id);
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      const step = e.key === 'ArrowUp' ? -1 : 1;
+      if (e.altKey) moveItem(index, step);
+      else focusNear(item._id, step);
+    } else if (e.key === 'Escape') {
+      dropEdit(item._id);
+      e.currentTarget.blur();
+    }
+  };
+
+  /**
+   * Adds the draft's text as an item, and closes the draft or, after
+   * Enter, opens the next one below it.
+   *
+   * @function commitDraft
+   * @param {boolean} keepAdding - Whether to open another draft
+   * @returns {void}
+   */
+  const commitDraft = (keepAdding) => {
+    if (!draft) return;
+    const text = draft.text.trim();
+    if (!text) {
+      setDraft(null);
+      if (keepAdding) {
+        setPendingFocus({
+          key: items[draft.position]?._id ?? NEW_KEY,
+          caret: 'start',
+        });
+      }
+      return;
+    }
+    onAdd(text, draft.position);
+    if (keepAdding && items.length + 1 < MAX_CHECKLIST_ITEMS) {
+      setDraft({ position: draft.position + 1, text: '' });
+    } else {
+      setDraft(null);
+    }
+  };
+
+  /**
+   * Keyboard shortcuts of the draft item.
+   *
+   * @function handleDraftKeyDown
+   * @param {KeyboardEvent} e - Key event from the draft's input
+   * @returns {void}
+   */
+  const handleDraftKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitDraft(true);
+    } else if (e.key === 'Backspace' && !draft.text) {
+      e.preventDefault();
+      focusNear(DRAFT_KEY, -1);
+      setDraft(null);
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      focusNear(DRAFT_KEY, e.key === 'ArrowUp' ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      setDraft(null);
+    }
+  };
+
+  /**
+   * Keyboard shortcuts of the "Add item" row.
+   *
+   * @function handleNewKeyDown
+   * @param {KeyboardEvent} e - Key event from the row's input
+   * @returns {void}
+   */
+  const handleNewKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault(); // don't submit the surrounding form
+      const text = newText.trim();
+      if (!text) return;
+      onAdd(text, items.length);
+      setNewText('');
+    } else if ((e.key === 'Backspace' && !newText) || e.key === 'ArrowUp') {
+      e.preventDefault();
+      focusNear(NEW_KEY, -1);
+    }
+  };
+
+  /**
+   * Drop-target props for an item row: dropping above or below its middle
+   * puts the dragged item before or after it.
+   *
+   * @function dropTargetProps
+   * @param {number} index - Index of the row's item
+   * @returns {Object} onDragOver and onDrop props
+   */
+  const dropTargetProps = (index) => ({
+    onDragOver: (e) => {
+      if (!drag || !e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      const box = e.currentTarget.getBoundingClientRect();
+      const before = e.clientY < box.top + box.height / 2;
+      const target = before ? index : index + 1;
+      if (drag.index !== target) setDrag({ ...drag, index: target });
+    },
+    onDrop: (e) => {
+      if (!drag || drag.index === null) return;
+      e.preventDefault();
+      const from = items.findIndex((item) => item._id === drag.id);
+      // Indexes after the dragged item shift up once it is taken out
+      const to = drag.index > from ? drag.index - 1 : drag.index;
+      if (from !== -1 && to !== from)
+        onReorder(moveEntry(items, from, to).map((item) => item._id));
+      setDrag(null);
+    },
+  });
+
+  /**
+   * Renders the row of the draft item.
+   *
+   * @function renderDraft
+   * @returns {JSX.Element}
+   */
+  const renderDraft = () => (
+    <li key={DRAFT_KEY} className="flex items-center gap-2 py-1 pl-7">
+      <input
+        type="checkbox"
+        className="checkbox checkbox-sm"
+        disabled
+        aria-hidden="true"
+        tabIndex={-1}
+      />
+      <input
+        ref={inputRef(DRAFT_KEY)}
+        type="text"
+        className="input input-ghost input-sm flex-1 min-w-0 text-base"
+        placeholder="New item"
+        aria-label="New item"
+        maxLength={MAX_CHECKLIST_ITEM_LENGTH}
+        value={draft.text}
+        onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+        onKeyDown={handleDraftKeyDown}
+        onBlur={() => commitDraft(false)}
+      />
+    </li>
+  );
+
+  return (
+    <div className="w-full">
+      {/* Progress, once there is something to tick off */}
+      {total > 0 && (
+        <div className="flex items-center gap-3 mb-2">
+          <progress
+            className="progress progress-success flex-1"
+            value={done}
+            max={total}
+            aria-label="Checklist progress"
+          />
+          <span className="text-sm text-base-content/70 whitespace-nowrap">
+            {done}/{total} done
+          </span>
+        </div>
+      )}
+
+      <ul className="flex flex-col" onDragEnd={() => setDrag(null)}>
+        {/* One flat list, so the draft keeps its input (and the focus)
+            when an item is added above it */}
+        {items.flatMap((item, index) => {
+          const value = edits[item._id] ?? item.text;
+          const locked = disabled || item.pending;
+          return [
+            ...(draft?.position === index ? [renderDraft()] : []),
+            <li
+              key={item._id}
+              className={`flex items-center gap-2 py-1 border-t-2 ${
+                drag?.index === index ? 'border-primary' : 'border-transparent'
+              } ${
+                drag?.index === index + 1 && index === items.length - 1
+                  ? 'border-b-2 border-b-primary'
+                  : ''
+              } ${drag?.id === item._id ? 'opacity-50' : ''}`}
+              {...dropTargetProps(index)}
+            >
+              {/* Drag handle; Alt+Arrow keys do the same from the keyboard */}
+              <span
+                draggable={!locked}
+                onDragStart={(e) => {
+                  e.dataTransfer.setData(ITEM_DRAG_TYPE, item._id);
+                  e.dataTransfer.effectAllowed = 'move';
+                  e.dataTransfer.setDragImage(
+                    e.currentTarget.parentElement,
+                    0,
+                    0
+                  );
+                  setDrag({ id: item._id, index: null });
+                }}
+                className={`text-base-content/40 ${
+                  locked ? 'invisible' : 'cursor-grab'
+                }`}
+                title="Drag to reorder"
+                aria-hidden="true"
+              >
+                <GripVerticalIcon className="size-5" />
+              </span>
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm checkbox-success"
+                checked={item.done}
+                disabled={locked}
+                onChange={() => onUpdate(item._id, { done: !item.done })}
+                aria-label={`Mark "${item.text}" as ${item.done ? 'not done' : 'done'}`}
+              />
+              <input
+                ref={inputRef(item._id)}
+                type="text"
+                className={`input input-ghost input-sm flex-1 min-w-0 text-base ${
+                  item.done ? 'line-through text-base-content/50' : ''
+                }`}
+                aria-label="Item"
+                maxLength={MAX_CHECKLIST_ITEM_LENGTH}
+                value={value}
+                readOnly={locked}
+                onChange={(e) =>
+                  setEdits((prev) => ({ ...prev, [item._id]: e.target.value }))
+                }
+                onKeyDown={(e) => !locked && handleItemKeyDown(e, item, index)}
+                onBlur={() => commitEdit(item)}
+              />
+              <button
+                type="button"
+                className="btn btn-ghost btn-xs btn-square"
+                onClick={() => onRemove(item._id)}
+                disabled={locked}
+                aria-label={`Remove "${item.text}"`}
+                title="Remove"
+              >
+                <XIcon className="size-4" />
+              </button>
+            </li>,
+          ];
+        })}
+        {draft?.position >= items.length && renderDraft()}
+
+        {/* "Add item" row: Enter adds and keeps the focus here */}
+        <li className="flex items-center gap-2 py-1 pl-7">
+          <PlusIcon className="size-5 text-base-content/40" />
+          <input
+            ref={inputRef(NEW_KEY)}
+            type="text"
+            className="input input-ghost input-sm flex-1 min-w-0 text-base"
+            placeholder={
+              full
+                ? `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`
+                : 'Add item (press Enter)'
+            }
+            aria-label="Add item"
+            maxLength={MAX_CHECKLIST_ITEM_LENGTH}
+            value={newText}
+            disabled={disabled || full}
+            onChange={(e) => setNewText(e.target.value)}
+            onKeyDown={handleNewKeyDown}
+            onBlur={() => {
+              const text = newText.trim();
+              if (!text) return;
+              onAdd(text, items.length);
+              setNewText('');
+            }}
+          />
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+export default ChecklistEditor;
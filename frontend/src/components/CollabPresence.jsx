@@ -0,0 +1,86 @@
+/**
+ * @fileoverview CollabPresence component for the Dex Note Taking App frontend.
+ *
+ * This component shows the state of a note's live editing session next to
+ * the content label: whether edits are syncing live or kept locally until
+ * the connection returns, and a colored dot for every other tab or device
+ * that has the note open.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { CloudOffIcon, LoaderIcon, RadioIcon } from 'lucide-react';
+
+/**
+ * Badge text, style and icon for each connection status.
+ *
+ * "gone" has no badge: the page already warns that the note was trashed.
+ *
+ * @type {Object<string, {label: string, className: string, Icon: Function}>}
+ */
+const STATUSES = {
+  connecting: {
+    label: 'Connecting…',
+    className: 'badge-ghost',
+    Icon: LoaderIcon,
+  },
+  connected: { label: 'Live', className: 'badge-success', Icon: RadioIcon },
+  disconnected: {
+    label: 'Offline, edits kept on this device',
+    className: 'badge-warning',
+    Icon: CloudOffIcon,
+  },
+};
+
+/**
+ * CollabPresence component rendering the session badge and other tabs.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.status - Connection status from useCollaboration
+ * @param {Array<Object>} props.peers - Other editors, with `name` and `color`
+ * @returns {JSX.Element|null} Badge and a dot per tab or device, or null once the
+ *   note is gone
+ *
+ * @see {@link ../hooks/useCollaboration.js} Hook that tracks the session
+ * @see {@link ../pages/NoteDetailPage.jsx} Page that renders this
+ */
+const CollabPresence = ({ status, peers }) => {
+  const badge = STATUSES[status];
+  if (!badge) return null;
+  const { label, className, Icon } = badge;
+
+  return (
+    <div className="flex items-center gap-2 min-w-0">
+      <span
+        className={`badge badge-sm gap-1 ${className}`}
+        role="status"
+        aria-live="polite"
+      >
+        <Icon
+          className={`size-3 ${status === 'connecting' ? 'animate-spin' : ''}`}
+        />
+        {label}
+      </span>
+      {peers.length > 0 && (
+        <ul
+          className="flex -space-x-1"
+          aria-label={`Also open in ${peers.length} other ${
+            peers.length === 1 ? 'place' : 'places'
+          }`}
+        >
+          {peers.map((peer) => (
+            <li
+              key={peer.clientId}
+              className="size-4 rounded-full ring-2 ring-base-100"
+              style={{ backgroundColor: peer.color }}
+              title={peer.name}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CollabPresence;
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview ConflictDialog component for the Dex Note Taking App frontend.
+ *
+ * This component is shown when saving a note fails with 409 because the note
+ * was saved somewhere else (another tab or device) since the editor loaded
+ * it. It shows how the two versions differ and lets the user keep their own
+ * version, take the server's, or merge the two by hand.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useMemo, useState } from 'react';
+import { diffLines } from 'diff';
+import {
+  GitMergeIcon,
+  ServerIcon,
+  TriangleAlertIcon,
+  UserIcon,
+} from 'lucide-react';
+
+/**
+ * Matches a conflict marker line left in a merge draft.
+ *
+ * @type {RegExp}
+ */
+const CONFLICT_MARKER = /^(<<<<<<<|=======|>>>>>>>)/m;
+
+/**
+ * Formats a timestamp with date and time for the dialog header.
+ *
+ * @param {string} value - ISO timestamp
+ * @returns {string} Human-readable timestamp, e.g. "Jan 15, 2025, 3:04 PM"
+ */
+const formatTimestamp = (value) =>
+  new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+/**
+ * Ends a chunk of text with a newline so markers always start a new line.
+ *
+ * @param {string} text - Chunk of lines
+ * @returns {string} The chunk with a trailing newline
+ */
+const withNewline = (text) => (text.endsWith('\n') ? text : `${text}\n`);
+
+/**
+ * Builds the starting text for a manual merge.
+ *
+ * Lines both versions share are kept once. Wherever they differ, both sides
+ * are included between Git-style conflict markers, so the user only has to
+ * look at the places that actually conflict.
+ *
+ * @param {string} theirs - Content as saved on the server
+ * @param {string} mine - Content in the editor
+ * @returns {string} Merge draft
+ *
+ * @example
+ * buildMergeDraft('a\nb\n', 'a\nc\n');
+ * // Returns: "a\n<<<<<<< Yours\nc\n=======\nb\n>>>>>>> Server\n"
+ */
+const buildMergeDraft = (theirs, mine) => {
+  let merged = '';
+  let yours = '';
+  let server = '';
+
+  const flushConflict = () => {
+    if (!yours && !server) return;
+    merged += `<<<<<<< Yours\n${yours}=======\n${server}>>>>>>> Server\n`;
+    yours = '';
+    server = '';
+  };
+
+  for (const part of diffLines(theirs, mine)) {
+    if (part.added) {
+      yours += withNewline(part.value);
+    } else if (part.removed) {
+      server += withNewline(part.value);
+    } else {
+      flushConflict();
+      merged += part.value;
+    }
+  }
+  flushConflict();
+
+  return merged;
+};
+
+/**
+ * ConflictDialog component for resolving a conflicting save.
+ *
+ * Resolution options:
+ * - Keep mine: Save the editor's version over the server's
+ * - Take theirs: Discard local edits and load the server's version
+ * - Merge manually: Edit a combined draft, then save that
+ *
+ * @param {Object} props - Component props
+ * @param {{title: string, content: string, tags: Array<string>}} props.mine -
+ *   Fields currently in the editor
+ * @param {Object} props.theirs - The note as currently saved on the server
+ * @param {Function} props.onResolve - Called with the choice ("mine",
+ *   "theirs" or "merged") and the fields to keep
+ * @returns {JSX.Element} Modal dialog
+ *
+ * @see {@link ../pages/NoteDetailPage.jsx} Editor that opens the dialog on 409
+ * @see {@link ../../../backend/src/controllers/notesController.js} Backend updateNote controller
+ */
+const ConflictDialog = ({ mine, theirs, onResolve }) => {
+  /**
+   * Whether the manual merge editor is shown instead of the comparison.
+   *
+   * @type {boolean}
+   */
+  const [merging, setMerging] = useState(false);
+
+  /**
+   * Fields being assembled in the manual merge editor.
+   *
+   * Starts from the user's title, a marked-up content draft and the union of
+   * both tag lists.
+   *
+   * @type {{title: string, content: string, tags: Array<string>}}
+   */
+  const [merged, setMerged] = useState(() => ({
+    title: mine.title,
+    content: buildMergeDraft(theirs.content, mine.content),
+    tags: [...new Set([...mine.tags, ...(theirs.tags ?? [])])],
+  }));
+
+  /**
+   * Line diff from the server's version to the user's, title included.
+   *
+   * @type {Array<Object>}
+   */
+  const changes = useMemo(
+    () =>
+      diffLines(
+        `# ${theirs.title}\n\n${theirs.content}`,
+        `# ${mine.title}\n\n${mine.content}`
+      ),
+    [mine, theirs]
+  );
+
+  const hasMarkers = CONFLICT_MARKER.test(merged.content);
+  const canSaveMerge =
+    merged.title.trim() && merged.content.trim() && !hasMarkers;
+
+  return (
+    <div
+      className="modal modal-open"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="conflict-dialog-title"
+    >
+      <div className="modal-box max-w-3xl">
+        <h3
+          id="conflict-dialog-title"
+          className="font-bold text-lg flex items-center gap-2"
+        >
+          <TriangleAlertIcon className="size-5 text-warning" />
+          This note was changed elsewhere
+        </h3>
+        <p className="text-sm text-base-content/70 mt-1">
+          Someone saved a newer version
+          {theirs.updatedAt && ` on ${formatTimestamp(theirs.updatedAt)}`} while
+          you were editing. Choose which changes to keep.
+        </p>
+
+        {merging ? (
+          <div className="flex flex-col gap-3 mt-4">
+            <input
+              type="text"
+              aria-label="Merged title"
+              className="input input-bordered w-full"
+              value={merged.title}
+              onChange={(e) =>
+                setMerged((prev) => ({ ...prev, title: e.target.value }))
+              }
+            />
+            <textarea
+              aria-label="Merged content"
+              className="textarea textarea-bordered font-mono text-sm h-72 w-full"
+              value={merged.content}
+              onChange={(e) =>
+                setMerged((prev) => ({ ...prev, content: e.target.value }))
+              }
+            />
+            <p
+              className={`text-xs ${hasMarkers ? 'text-warning' : 'text-base-content/60'}`}
+            >
+              {hasMarkers
+                ? 'Edit each block between <<<<<<< and >>>>>>> down to the text you want, then remove the markers.'
+                : 'Tags from both versions are kept.'}
+            </p>
+          </div>
+        ) : (
+          <div className="mt-4">
+            <p className="text-xs text-base-content/60 mb-1">
+              <span className="text-success">+ yours</span> ·{' '}
+              <span className="text-error">- server</span>
+            </p>
+            <div className="rounded-lg bg-base-200 text-sm font-mono overflow-x-auto max-h-80">
+              {changes.map((part, index) =>
+                part.value
+                  .replace(/\n$/, '')
+                  .split('\n')
+                  .map((line, lineIndex) => (
+                    <div
+                      key={`${index}-${lineIndex}`}
+                      className={`px-3 whitespace-pre-wrap break-words ${
+                        part.added
+                          ? 'bg-success/20 text-success'
+                          : part.removed
+                            ? 'bg-error/20 text-error'
+                            : 'text-base-content/60'
+                      }`}
+                    >
+                      {part.added ? '+ ' : part.removed ? '- ' : '  '}
+                      {line}
+                    </div>
+                  ))
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="modal-action flex-wrap gap-2">
+          {merging ? (
+            <>
+              <button
+                className="btn btn-ghost btn-sm sm:btn-md"
+                onClick={() => setMerging(false)}
+              >
+                Back
+              </button>
+              <button
+                className="btn btn-primary btn-sm sm:btn-md"
+                disabled={!canSaveMerge}
+                onClick={() => onResolve('merged', merged)}
+              >
+                Save merged version
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                className="btn btn-ghost btn-sm sm:btn-md"
+                onClick={() => onResolve('theirs', theirs)}
+              >
+                <ServerIcon className="size-4" />
+                Take theirs
+              </button>
+              <button
+                className="btn btn-outline btn-sm sm:btn-md"
+                onClick={() => setMerging(true)}
+              >
+                <GitMergeIcon className="size-4" />
+                Merge manually
+              </button>
+              <button
+                className="btn btn-primary btn-sm sm:btn-md"
+                onClick={() => onResolve('mine', mine)}
+              >
+                <UserIcon className="size-4" />
+                Keep mine
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview HighlightedText component for the Dex Note Taking App frontend.
+ *
+ * This component renders the `{ text, match }` segments returned by the
+ * search endpoint, wrapping matched segments in `<mark>` elements. Because
+ * the segments are rendered as React text nodes, note content is never
+ * interpreted as HTML.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+/**
+ * HighlightedText component that renders search highlight segments.
+ *
+ * Why segments instead of HTML?
+ * - Security: No dangerouslySetInnerHTML, so note content can't inject markup
+ * - Styling: Highlight styling lives in the frontend, not in API responses
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{text: string, match: boolean}>} props.segments - Highlight segments
+ * @returns {JSX.Element} Inline text with matches highlighted
+ *
+ * @see {@link ./NoteCard.jsx} NoteCard that renders search results
+ * @see {@link ../../../backend/src/lib/highlight.js} Backend segment builder
+ */
+const HighlightedText = ({ segments }) => {
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <mark
+            key={index}
+            className="bg-primary/30 text-base-content rounded px-0.5"
+          >
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </>
+  );
+};
+
+export default HighlightedText;
@@ -0,0 +1,332 @@
+/**
+ * @fileoverview HistoryPanel component for the Dex Note Taking App frontend.
+ *
+ * This component shows the revision history of a note inside the
+ * NoteDetailPage. Users can pick any two revisions to see a line-by-line
+ * diff between them, and revert the note to any earlier revision.
+ *
+ * Key Features:
+ * - Newest-first list of revisions with timestamps
+ * - Two revision pickers ("from" and "to") feeding a line-level diff
+ * - Added/removed lines highlighted, unchanged lines shown dimmed
+ * - Restore action with confirmation that reverts the note
+ * - Revisions created by a restore are labelled with their source revision
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import { diffLines } from 'diff';
+import { HistoryIcon, LoaderIcon, RotateCcwIcon } from 'lucide-react';
+import api from '../lib/axios';
+import { getErrorMessage } from '../lib/apiErrors';
+
+/**
+ * Formats a revision timestamp with both date and time.
+ *
+ * Revisions are often minutes apart, so the date-only `formatDate` helper
+ * used on note cards isn't precise enough here.
+ *
+ * @param {string} value - ISO timestamp
+ * @returns {string} Formatted timestamp, e.g. "Jan 15, 2024, 3:42 PM"
+ */
+const formatTimestamp = (value) =>
+  new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+/**
+ * Renders a revision as a single text block so title changes show up in the diff.
+ *
+ * @param {Object} revision - Revision with title and content
+ * @returns {string} Title line, blank line, then content
+ */
+const revisionText = (revision) =>
+  `${revision.title}\n\n${revision.content ?? ''}`;
+
+/**
+ * HistoryPanel component that lists, diffs and restores note revisions.
+ *
+ * Why fetch revision contents lazily?
+ * - Payload size: The list endpoint only returns metadata
+ * - Responsiveness: Only the two revisions being compared are downloaded
+ * - Caching: Each revision is fetched once and kept for later comparisons
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - MongoDB ObjectId of the note
+ * @param {Function} props.onRestore - Called with the updated note and its
+ *   new `ETag` after a revert
+ * @returns {JSX.Element} The history panel
+ *
+ * @see {@link ../pages/NoteDetailPage.jsx} Page that renders this panel
+ * @see {@link ../../../backend/src/controllers/revisionsController.js} Backend revision controllers
+ */
+const HistoryPanel = ({ noteId, onRestore }) => {
+  /**
+   * State for the revision metadata list, newest first.
+   *
+   * @type {Array<Object>}
+   */
+  const [revisions, setRevisions] = useState([]);
+
+  /**
+   * State for tracking the revision list fetch.
+   *
+   * @type {boolean}
+   */
+  const [loading, setLoading] = useState(true);
+
+  /**
+   * State for the revision numbers being compared.
+   *
+   * @type {{from: number|null, to: number|null}}
+   */
+  const [selection, setSelection] = useState({ from: null, to: null });
+
+  /**
+   * Cache of fetched revisions keyed by revision number.
+   *
+   * @type {Object<number, Object>}
+   */
+  const [contents, setContents] = useState({});
+
+  /**
+   * State for the revision number being restored, if any.
+   *
+   * @type {number|null}
+   */
+  const [restoring, setRestoring] = useState(null);
+
+  /**
+   * Loads the revision list and selects the two most recent revisions.
+   *
+   * @async
+   * @function fetchRevisions
+   * @returns {Promise<void>} Resolves when the list has loaded
+   */
+  const fetchRevisions = useCallback(async () => {
+    try {
+      const res = await api.get(`/notes/${noteId}/revisions`);
+      setRevisions(res.data);
+      setSelection({
+        from: res.data[1]?.rev ?? res.data[0]?.rev ?? null,
+        to: res.data[0]?.rev ?? null,
+      });
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to load history'));
+    } finally {
+      setLoading(false);
+    }
+  }, [noteId]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  /**
+   * useEffect hook for fetching the contents of the selected revisions.
+   *
+   * Only revisions missing from the cache are requested.
+   */
+  useEffect(() => {
+    const missing = [selection.from, selection.to].filter(
+      (rev, index, all) =>
+        rev !== null && !(rev in contents) && all.indexOf(rev) === index
+    );
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+
+    Promise.all(
+      missing.map((rev) => api.get(`/notes/${noteId}/revisions/${rev}`))
+    )
+      .then((responses) => {
+        if (cancelled) return;
+        setContents((prev) => {
+          const next = { ...prev };
+          responses.forEach(({ data }) => {
+            next[data.rev] = data;
+          });
+          return next;
+        });
+      })
+      .catch((error) => {
+        if (!cancelled)
+          toast.error(getErrorMessage(error, 'Failed to load revision'));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [noteId, selection, contents]);
+
+  /**
+   * Line-level diff between the selected revisions, or null while loading.
+   *
+   * @type {Array<Object>|null}
+   */
+  const changes = useMemo(() => {
+    const from = contents[selection.from];
+    const to = contents[selection.to];
+    if (!from || !to) return null;
+    return diffLines(revisionText(from), revisionText(to));
+  }, [contents, selection]);
+
+  /**
+   * Reverts the note to a revision after confirmation.
+   *
+   * @async
+   * @function handleRestore
+   * @param {number} rev - Revision number to restore
+   * @returns {Promise<void>} Resolves when the revert is complete
+   */
+  const handleRestore = async (rev) => {
+    if (
+      !window.confirm(
+        `Restore revision ${rev}? Your current version stays in the history.`
+      )
+    )
+      return;
+
+    setRestoring(rev);
+    try {
+      const res = await api.post(`/notes/${noteId}/revisions/${rev}/restore`);
+      onRestore(res.data, res.headers.etag);
+      toast.success(`Restored revision ${rev}`);
+      await fetchRevisions();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to restore revision'));
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoaderIcon className="animate-spin size-6" />
+      </div>
+    );
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <p className="text-sm text-base-content/70 py-4">
+        No history recorded for this note yet.
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-4">
+      <h3 className="font-semibold flex items-center gap-2">
+        <HistoryIcon className="size-5" />
+        History
+      </h3>
+
+      {/* Revision pickers */}
+      <div className="flex flex-col sm:flex-row gap-2">
+        {['from', 'to'].map((side) => (
+          <label key={side} className="form-control flex-1">
+            <span className="label-text text-xs uppercase mb-1">
+              {side === 'from' ? 'Compare' : 'With'}
+            </span>
+            <select
+              className="select select-bordered select-sm"
+              value={selection[side] ?? ''}
+              onChange={(e) =>
+                setSelection((prev) => ({
+                  ...prev,
+                  [side]: Number(e.target.value),
+                }))
+              }
+            >
+              {revisions.map((revision) => (
+                <option key={revision.rev} value={revision.rev}>
+                  #{revision.rev} ·{' '}
+                  {formatTimestamp(revision.updatedAt ?? revision.createdAt)}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      {/* Line diff */}
+      <div className="rounded-lg bg-base-200 text-sm font-mono overflow-x-auto max-h-80">
+        {changes === null ? (
+          <div className="flex justify-center py-4">
+            <LoaderIcon className="animate-spin size-5" />
+          </div>
+        ) : (
+          changes.map((part, index) =>
+            part.value
+              .replace(/\n$/, '')
+              .split('\n')
+              .map((line, lineIndex) => (
+                <div
+                  key={`${index}-${lineIndex}`}
+                  className={`px-3 whitespace-pre-wrap break-words ${
+                    part.added
+                      ? 'bg-success/20 text-success'
+                      : part.removed
+                        ? 'bg-error/20 text-error line-through'
+                        : 'text-base-content/60'
+                  }`}
+                >
+                  {part.added ? '+ ' : part.removed ? '- ' : '  '}
+                  {line}
+                </div>
+              ))
+          )
+        )}
+      </div>
+
+      {/* Revision list */}
+      <ul className="flex flex-col divide-y divide-base-content/10">
+        {revisions.map((revision, index) => (
+          <li
+            key={revision.rev}
+            className="flex items-center justify-between gap-2 py-2"
+          >
+            <div className="min-w-0">
+              <p className="text-sm font-medium truncate">
+                #{revision.rev} · {revision.title}
+              </p>
+              <p className="text-xs text-base-content/60">
+                {formatTimestamp(revision.updatedAt ?? revision.createdAt)}
+                {revision.autosave && ' · autosaved'}
+                {revision.restoredFrom &&
+                  ` · restored from #${revision.restoredFrom}`}
+              </p>
+            </div>
+            {index === 0 ? (
+              <span className="badge badge-ghost badge-sm">Current</span>
+            ) : (
+              <button
+                onClick={() => handleRestore(revision.rev)}
+                disabled={restoring !== null}
+                className="btn btn-ghost btn-xs touch-manipulation"
+              >
+                {restoring === revision.rev ? (
+                  <span className="loading loading-spinner loading-xs"></span>
+                ) : (
+                  <RotateCcwIcon className="size-4" />
+                )}
+                Restore
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview MarkdownContent component for the Dex Note Taking App frontend.
+ *
+ * This component renders note content written in Markdown. It supports
+ * GitHub Flavored Markdown (tables, task lists, strikethrough, autolinks)
+ * and syntax-highlights fenced code blocks.
+ *
+ * Notes are user input, so the rendered HTML is sanitized before anything
+ * reaches the DOM: raw HTML in a note is never rendered, and attributes are
+ * limited to GitHub's allow-list.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github-dark.css';
+
+/**
+ * Remark (Markdown) plugins: GitHub Flavored Markdown extensions.
+ *
+ * @type {Array}
+ */
+const REMARK_PLUGINS = [remarkGfm];
+
+/**
+ * Rehype (HTML) plugins, applied in order.
+ *
+ * Sanitizing runs before highlighting: the sanitizer cleans what the user
+ * wrote, then the highlighter adds its own `hljs-*` spans, which would
+ * otherwise be stripped as unknown class names.
+ *
+ * @type {Array}
+ */
+const REHYPE_PLUGINS = [rehypeSanitize, [rehypeHighlight, { detect: false }]];
+
+/**
+ * Element overrides for the rendered Markdown.
+ *
+ * Links open in a new tab so following one doesn't navigate away from an
+ * unsaved note.
+ *
+ * @type {Object}
+ */
+const COMPONENTS = {
+  a: (props) => {
+    // `node` is react-markdown's syntax tree node, not a DOM attribute
+    const { node: _node, ...anchorProps } = props;
+    return <a {...anchorProps} target="_blank" rel="noopener noreferrer" />;
+  },
+};
+
+/**
+ * MarkdownContent component that renders sanitized Markdown.
+ *
+ * Why react-markdown?
+ * - No innerHTML: Markdown is turned into React elements, not an HTML string
+ * - Plugin ecosystem: GFM, sanitizing and highlighting are separate plugins
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.content - Markdown source
+ * @param {string} [props.className] - Extra classes for the wrapper
+ * @returns {JSX.Element} Rendered Markdown inside a `prose` container
+ *
+ * @see {@link ./MarkdownEditor.jsx} Editor that previews with this component
+ * @see {@link ./MarkdownExcerpt.jsx} Stripped-down variant used on note cards
+ */
+const MarkdownContent = ({ content, className = '' }) => {
+  return (
+    <div
+      className={`prose prose-sm sm:prose-base max-w-none break-words ${className}`}
+    >
+      <ReactMarkdown
+        remarkPlugins={REMARK_PLUGINS}
+        rehypePlugins={REHYPE_PLUGINS}
+        components={COMPONENTS}
+      >
+        {content}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default MarkdownContent;
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview MarkdownEditor component for the Dex Note Taking App frontend.
+ *
+ * This component replaces the plain content textarea on the create and edit
+ * pages. A three-way toggle switches between editing the Markdown source,
+ * previewing the rendered note, and a split view with both side by side
+ * (stacked on small screens).
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import { ColumnsIcon, EyeIcon, PencilIcon } from 'lucide-react';
+import MarkdownContent from './MarkdownContent';
+
+/**
+ * Available editor modes with their toggle labels and icons.
+ *
+ * @type {Array<{value: string, label: string, Icon: Function}>}
+ */
+const MODES = [
+  { value: 'edit', label: 'Edit', Icon: PencilIcon },
+  { value: 'preview', label: 'Preview', Icon: EyeIcon },
+  { value: 'split', label: 'Split', Icon: ColumnsIcon },
+];
+
+/**
+ * MarkdownEditor component with edit, preview and split modes.
+ *
+ * Why keep the textarea?
+ * - Plain text: Notes stay portable Markdown, with nothing editor-specific
+ * - Mobile: A native textarea works with every on-screen keyboard
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Markdown source
+ * @param {Function} props.onChange - Called with the new source on every edit
+ * @param {string} [props.placeholder] - Textarea placeholder
+ * @param {string} [props.defaultMode='edit'] - Initial mode: "edit", "preview" or "split"
+ * @param {string} [props.id] - ID for the textarea, so a label can point at it
+ * @param {React.Ref} [props.textareaRef] - Ref attached to the textarea
+ * @param {Function} [props.onSelect] - Called when the textarea's selection changes
+ * @param {boolean} [props.disabled=false] - Disables the textarea while true
+ * @param {React.ReactNode} [props.overlay] - Layer drawn over the textarea,
+ *   such as collaborators' cursors
+ * @returns {JSX.Element} The editor with its mode toggle
+ *
+ * @see {@link ../pages/CreatePage.jsx} Create page using this editor
+ * @see {@link ../pages/NoteDetailPage.jsx} Detail page using this editor
+ */
+const MarkdownEditor = ({
+  value,
+  onChange,
+  placeholder,
+  defaultMode = 'edit',
+  id,
+  textareaRef,
+  onSelect,
+  disabled = false,
+  overlay,
+}) => {
+  /**
+   * State for the current editor mode.
+   *
+   * @type {string}
+   */
+  const [mode, setMode] = useState(defaultMode);
+
+  const showEditor = mode !== 'preview';
+  const showPreview = mode !== 'edit';
+
+  return (
+    <div className="flex flex-col gap-2">
+      {/* Mode toggle */}
+      <div className="join self-end" role="group" aria-label="Editor mode">
+        {MODES.map((option) => {
+          const Icon = option.Icon;
+          return (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setMode(option.value)}
+              className={`btn btn-xs sm:btn-sm join-item ${
+                mode === option.value ? 'btn-active' : ''
+              }`}
+              aria-pressed={mode === option.value}
+            >
+              <Icon className="size-3.5 sm:size-4" />
+              <span className="hidden sm:inline">{option.label}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className={`grid gap-3 ${mode === 'split' ? 'md:grid-cols-2' : ''}`}>
+        {showEditor && (
+          <div className="relative">
+            <textarea
+              id={id}
+              ref={textareaRef}
+              placeholder={placeholder}
+              className="textarea textarea-bordered text-base font-mono h-40 sm:h-48 md:h-56 w-full"
+              value={value}
+              onChange={(e) => onChange(e.target.value)}
+              onSelect={onSelect}
+              disabled={disabled}
+            />
+            {overlay}
+          </div>
+        )}
+        {showPreview && (
+          <div className="rounded-lg border border-base-content/20 p-3 sm:p-4 min-h-40 sm:min-h-48 md:min-h-56 overflow-auto">
+            {value.trim() ? (
+              <MarkdownContent content={value} />
+            ) : (
+              <p className="text-base-content/50 italic">Nothing to preview</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
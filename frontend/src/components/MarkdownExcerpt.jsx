@@ -0,0 +1,69 @@
+/**
+ * @fileoverview MarkdownExcerpt component for the Dex Note Taking App frontend.
+ *
+ * Note cards show a three-line preview of each note. Showing the raw
+ * Markdown there looks noisy ("## Plan", "- [ ] call Sam", "**urgent**"),
+ * while rendering it fully would put headings, tables and code blocks into
+ * a small card. This component sits in between: it keeps inline emphasis
+ * and code, and flattens everything else into plain running text.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+
+/**
+ * Number of Markdown characters rendered for an excerpt.
+ *
+ * Cards clamp the preview to three lines, so rendering a long note in full
+ * would only waste work on text that is never visible.
+ *
+ * @type {number}
+ */
+const EXCERPT_SOURCE_LENGTH = 600;
+
+/**
+ * Inline elements kept in the excerpt; everything else is unwrapped to text.
+ *
+ * Links are deliberately not kept: the card itself is a link, and nested
+ * links are invalid HTML.
+ *
+ * @type {Array<string>}
+ */
+const ALLOWED_ELEMENTS = ['strong', 'em', 'del', 'code'];
+
+/**
+ * MarkdownExcerpt component that renders a flattened preview of a note.
+ *
+ * Why no sanitizer here?
+ * - Only the four inline elements above can be produced, and raw HTML in
+ *   the source is skipped, so there is nothing to sanitize
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.content - Markdown source
+ * @param {string} [props.className] - Classes for the wrapping paragraph
+ * @returns {JSX.Element} Paragraph containing the excerpt
+ *
+ * @see {@link ./NoteCard.jsx} Note cards that show the excerpt
+ * @see {@link ./MarkdownContent.jsx} Full renderer used on the detail page
+ */
+const MarkdownExcerpt = ({ content, className = '' }) => {
+  return (
+    <p
+      className={`[&_code]:bg-base-300 [&_code]:px-1 [&_code]:rounded ${className}`}
+    >
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        allowedElements={ALLOWED_ELEMENTS}
+        unwrapDisallowed
+        skipHtml
+      >
+        {(content ?? '').slice(0, EXCERPT_SOURCE_LENGTH)}
+      </ReactMarkdown>
+    </p>
+  );
+};
+
+export default MarkdownExcerpt;
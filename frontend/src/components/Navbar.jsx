@@ -13,13 +13,36 @@
  * - Consistent styling with DaisyUI theme
  * - Mobile-optimized button text and sizing
  * - Clean, minimal design focused on functionality
+ * - Optional search box for full-text note search
+ * - Link to the Trash page
+ * - Export action that downloads every note as a Markdown ZIP
+ * - Link to the Import page for bringing notes in from files
+ * - Log out button that ends the current session
+ * - Count of offline changes waiting to sync, linking to the Sync page
  *
  * @author Dayle Cortes
  * @version 1.0.0
  */
 
+import { useEffect, useState } from 'react';
 import { Link } from 'react-router';
-import { PlusIcon } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  CloudUploadIcon,
+  DownloadIcon,
+  LoaderIcon,
+  LogOutIcon,
+  PlusIcon,
+  SearchIcon,
+  Trash2Icon,
+  UploadIcon,
+  XIcon,
+} from 'lucide-react';
+import useAuth from '../hooks/useAuth';
+import api from '../lib/axios';
+import { getErrorMessage } from '../lib/apiErrors';
+import { downloadBlob, filenameFromDisposition } from '../lib/utils';
+import { subscribeToSyncQueue } from '../lib/syncQueue';
 
 /**
  * Navbar component that provides the main navigation header.
@@ -49,13 +72,82 @@ import { PlusIcon } from 'lucide-react';
  * - Button text: Shows full text on larger screens, abbreviated on mobile
  * - Icon sizing: Scales appropriately for different screen sizes
  *
+ * Search Box:
+ * - Only rendered when the parent passes `onSearchChange`, so pages that
+ *   have nothing to search don't show an inert input
+ * - Controlled by the parent, which debounces the value before searching
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.searchQuery] - Current search text
+ * @param {Function} [props.onSearchChange] - Called with the new search text
+ * @param {boolean} [props.showActions=true] - Whether to show the note
+ *   actions (trash, import, export, new note, log out); off on pages that
+ *   signed-out visitors see
  * @returns {JSX.Element} The navigation header component
  *
  * @see {@link ../pages/HomePage.jsx} HomePage component that uses this navbar
  * @see {@link ../pages/CreatePage.jsx} CreatePage that this navbar links to
  * @see {@link ../App.jsx} App component that provides routing context
  */
-const Navbar = () => {
+const Navbar = ({ searchQuery = '', onSearchChange, showActions = true }) => {
+  const { user, logout } = useAuth();
+
+  /**
+   * State for tracking an export download in progress.
+   *
+   * @type {boolean}
+   */
+  const [exporting, setExporting] = useState(false);
+
+  /**
+   * Offline changes waiting to sync, and whether any need the user
+   * (a conflict or a change the server refused).
+   *
+   * @type {{count: number, attention: boolean}}
+   */
+  const [unsynced, setUnsynced] = useState({ count: 0, attention: false });
+
+  useEffect(
+    () =>
+      subscribeToSyncQueue(({ mutations }) =>
+        setUnsynced({
+          count: mutations.length,
+          attention: mutations.some((item) => item.status !== 'pending'),
+        })
+      ),
+    []
+  );
+
+  /**
+   * Downloads every note as a ZIP of Markdown files.
+   *
+   * @async
+   * @function handleExport
+   * @returns {Promise<void>} Resolves once the download has been handed to the browser
+   *
+   * @see {@link ../../../backend/src/controllers/exportController.js} Backend exportNotes controller
+   */
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const res = await api.get('/notes/export', {
+        params: { format: 'zip' },
+        responseType: 'blob',
+      });
+      downloadBlob(
+        res.data,
+        filenameFromDisposition(
+          res.headers['content-disposition'],
+          'dex-notes.zip'
+        )
+      );
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to export notes'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
   return (
     <header className="bg-base-300 border-b border-base-content/10">
       <div className="mx-auto max-w-6xl px-2.5 sm:px-4 py-3 sm:py-4">
@@ -66,15 +158,105 @@ const Navbar = () => {
             <span className="block sm:hidden">Dex-Note</span>
             <span className="hidden sm:block">Dex-Note-Taking-App</span>
           </h1>
-          {/* Primary action button for creating new notes */}
-          <Link
-            to={'/create'}
-            className="btn btn-primary btn-sm sm:btn-md shrink-0"
-          >
-            <PlusIcon className="size-4 sm:size-5" />
-            <span className="hidden sm:inline">New Note</span>
-            <span className="inline sm:hidden">New</span>
-          </Link>
+          {/* Search box (only on pages that support searching) */}
+          {onSearchChange && (
+            <label className="input input-bordered input-sm sm:input-md flex items-center gap-2 flex-1 min-w-0 max-w-md">
+              <SearchIcon className="size-4 shrink-0 text-base-content/60" />
+              <input
+                type="search"
+                className="grow min-w-0"
+                placeholder="Search notes"
+                value={searchQuery}
+                onChange={(e) => onSearchChange(e.target.value)}
+                aria-label="Search notes"
+              />
+              {searchQuery && (
+                <button
+                  type="button"
+                  onClick={() => onSearchChange('')}
+                  aria-label="Clear search"
+                >
+                  <XIcon className="size-4" />
+                </button>
+              )}
+            </label>
+          )}
+          {showActions && (
+            <div className="flex items-center gap-1.5 sm:gap-2 shrink-0">
+              {/* Offline changes waiting to sync, shown only while there are some */}
+              {unsynced.count > 0 && (
+                <Link
+                  to="/sync"
+                  className={`btn btn-ghost btn-sm sm:btn-md gap-1 ${
+                    unsynced.attention ? 'text-warning' : ''
+                  }`}
+                  aria-label={`${unsynced.count} unsynced ${
+                    unsynced.count === 1 ? 'change' : 'changes'
+                  }`}
+                  title={
+                    unsynced.attention
+                      ? 'Some offline changes need your attention'
+                      : 'Offline changes waiting to sync'
+                  }
+                >
+                  <CloudUploadIcon className="size-4 sm:size-5" />
+                  <span className="text-xs">{unsynced.count}</span>
+                </Link>
+              )}
+              {/* Link to the trash where deleted notes can be restored */}
+              <Link
+                to="/trash"
+                className="btn btn-ghost btn-sm sm:btn-md"
+                aria-label="Trash"
+                title="Trash"
+              >
+                <Trash2Icon className="size-4 sm:size-5" />
+              </Link>
+              {/* Link to the import page for uploading notes from files */}
+              <Link
+                to="/import"
+                className="btn btn-ghost btn-sm sm:btn-md"
+                aria-label="Import notes"
+                title="Import notes"
+              >
+                <UploadIcon className="size-4 sm:size-5" />
+              </Link>
+              {/* Download every note as Markdown files */}
+              <button
+                type="button"
+                onClick={handleExport}
+                disabled={exporting}
+                className="btn btn-ghost btn-sm sm:btn-md"
+                aria-label="Export notes"
+                title="Export notes as Markdown (ZIP)"
+              >
+                {exporting ? (
+                  <LoaderIcon className="size-4 sm:size-5 animate-spin" />
+                ) : (
+                  <DownloadIcon className="size-4 sm:size-5" />
+                )}
+              </button>
+              {/* Primary action button for creating new notes */}
+              <Link
+                to={'/create'}
+                className="btn btn-primary btn-sm sm:btn-md shrink-0"
+              >
+                <PlusIcon className="size-4 sm:size-5" />
+                <span className="hidden sm:inline">New Note</span>
+                <span className="inline sm:hidden">New</span>
+              </Link>
+              {/* Sign out of the current session */}
+              <button
+                type="button"
+                onClick={logout}
+                className="btn btn-ghost btn-sm sm:btn-md"
+                aria-label="Log out"
+                title={user ? `Log out ${user.email}` : 'Log out'}
+              >
+                <LogOutIcon className="size-4 sm:size-5" />
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </header>
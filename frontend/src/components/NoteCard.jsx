@@ -9,22 +9,66 @@
  *
  * Key Features:
  * - Note preview with title and content truncation
+ * - Content preview rendered from Markdown with block syntax flattened
+ * - Tag chips showing how the note is grouped
+ * - Highlighted title and snippet when rendered as a search result
  * - Navigation to note detail page on click
- * - Delete functionality with confirmation dialog
+ * - Delete functionality that moves the note to the trash
+ * - Pin and archive toggles next to the delete button
  * - Responsive design for all screen sizes
  * - Real-time state updates through parent component
  * - Visual indicators for edit and delete actions
  * - Formatted date display using utility functions
+ * - Draggable onto a notebook in the sidebar to move the note
+ * - Checkbox overlay in the HomePage selection mode
+ * - Due date and upcoming reminder badges, with overdue notes in red
+ * - First items and a "3/7 done" progress count for checklists
+ * - Attachment count badge
  *
  * @author Dayle Cortes
  * @version 1.0.0
  */
 
-import { PenSquareIcon, Trash2Icon } from 'lucide-react';
+import {
+  ArchiveIcon,
+  ArchiveRestoreIcon,
+  BellIcon,
+  CalendarClockIcon,
+  ListChecksIcon,
+  PaperclipIcon,
+  PenSquareIcon,
+  PinIcon,
+  PinOffIcon,
+  SquareCheckIcon,
+  SquareIcon,
+  Trash2Icon,
+} from 'lucide-react';
 import { Link } from 'react-router';
-import { formatDate } from '../lib/utils';
+import { formatDate, formatDateTime } from '../lib/utils';
+import { checklistProgress } from '../lib/checklist';
 import api from '../lib/axios';
+import { getErrorMessage, normalizeError } from '../lib/apiErrors';
+import { isLocalNoteId, queueDelete } from '../lib/syncQueue';
 import toast from 'react-hot-toast';
+import HighlightedText from './HighlightedText';
+import MarkdownExcerpt from './MarkdownExcerpt';
+
+/**
+ * Drag-and-drop data type carrying a note ID from a card to NotebookTree.
+ *
+ * A custom type means other drops (files, links, text) are ignored by the
+ * notebook drop targets.
+ *
+ * @type {string}
+ */
+export const NOTE_DRAG_TYPE = 'application/x-dex-note';
+
+/**
+ * Number of checklist items previewed on a card.
+ *
+ * @type {number}
+ */
+const PREVIEW_ITEMS = 3;
 
 /**
  * NoteCard component that displays individual notes in a card format.
@@ -46,11 +90,16 @@ import toast from 'react-hot-toast';
  * Props Interface:
  * - note: Complete note object with all fields from the API
  * - setNotes: Function to update the parent component's notes state
+ * - selectable / selected / onToggleSelect: Selection mode; clicking the
+ *   card then toggles its checkbox instead of opening the note
  *
  * Note Object Structure:
  * - _id: MongoDB ObjectId for unique identification
  * - title: Note title (required field)
  * - content: Note content/body (required field)
+ * - tags: Array of normalized tag strings (may be empty)
+ * - pinned / archived: Organisation flags toggled from the card
+ * - remindAt / dueAt: Reminder and due date, shown as badges
  * - createdAt: Creation timestamp (automatically generated)
  * - updatedAt: Last modification timestamp (automatically generated)
  *
@@ -59,9 +108,18 @@ import toast from 'react-hot-toast';
  * @param {string} props.note._id - MongoDB ObjectId for unique identification
  * @param {string} props.note.title - Note title for display
  * @param {string} props.note.content - Note content for preview
+ * @param {Array<string>} [props.note.tags] - Tags rendered as chips
+ * @param {boolean} [props.note.pinned] - Whether the note is pinned
+ * @param {boolean} [props.note.archived] - Whether the note is archived
+ * @param {string|null} [props.note.remindAt] - Reminder, badged while still ahead
+ * @param {string|null} [props.note.dueAt] - Due date, badged in red once past
+ * @param {Object} [props.note.highlights] - Search highlights (title and snippet segments)
  * @param {string} props.note.createdAt - Creation timestamp for display
  * @param {string} props.note.updatedAt - Last modification timestamp
  * @param {Function} props.setNotes - Function to update parent component's notes state
+ * @param {boolean} [props.selectable=false] - Whether the grid is in selection mode
+ * @param {boolean} [props.selected=false] - Whether this card is selected
+ * @param {Function} [props.onToggleSelect] - Called with the click event (for Shift-click ranges)
  * @returns {JSX.Element} The note card component with preview and actions
  *
  * @see {@link ../pages/HomePage.jsx} HomePage component that uses this card
@@ -69,66 +127,264 @@ import toast from 'react-hot-toast';
  * @see {@link ../lib/axios.js} API client for delete operations
  * @see {@link ../../backend/src/models/Note.js} Note model for data structure
  */
-const NoteCard = ({ note, setNotes }) => {
+const NoteCard = ({
+  note,
+  setNotes,
+  selectable = false,
+  selected = false,
+  onToggleSelect,
+}) => {
   /**
-   * Handles note deletion with confirmation dialog and state updates.
+   * Moves the note to the trash and removes it from the grid.
    *
-   * This function processes the note deletion by preventing the default
-   * navigation behavior, showing a confirmation dialog, making an API
-   * call to delete the note, and updating the parent component's state
-   * to reflect the deletion immediately.
+   * This function prevents the default navigation behavior (the button
+   * lives inside the card's link), makes an API call to trash the note,
+   * and updates the parent component's state to reflect the change
+   * immediately.
    *
-   * Why this approach?
-   * - Event prevention: Prevents navigation when delete button is clicked
-   * - User confirmation: Prevents accidental deletions with confirmation dialog
-   * - State management: Updates parent component's notes state immediately
-   * - User feedback: Shows success/error messages for operation feedback
-   * - Real-time updates: Provides immediate UI feedback without page refresh
+   * Why no confirmation dialog?
+   * - Recoverable: Deleted notes go to the trash and can be restored from
+   *   the Trash page, so an accidental click is no longer destructive
+   * - Less friction: Cleaning up several notes doesn't need a dialog each
+   *
+   * Offline:
+   * - A delete that can't reach the server (or of a note created offline)
+   *   is queued and sent when the connection returns; the card goes away
+   *   right away either way
    *
    * State Update Strategy:
-   * - Filters out the deleted note from the parent's notes array
+   * - Filters out the trashed note from the parent's notes array
    * - Uses functional update to ensure state consistency
    * - Provides immediate UI feedback without API refetch
-   * - Maintains data consistency between parent and child components
    *
    * @async
    * @function handleDelete
    * @param {Event} e - Click event from the delete button
-   * @param {string} id - MongoDB ObjectId of the note to delete
-   * @returns {Promise<void>} Resolves when deletion operation is complete
+   * @param {string} id - MongoDB ObjectId of the note to move to the trash
+   * @returns {Promise<void>} Resolves when the operation is complete
    *
    * @see {@link ../lib/axios.js} API client used for the delete request
+   * @see {@link ../pages/TrashPage.jsx} Trash page where the note can be restored
    * @see {@link ../../backend/src/controllers/notesController.js} Backend deleteNote controller
    */
   const handleDelete = async (e, id) => {
     e.preventDefault(); // get rid of the navigation behaviour
 
-    if (!window.confirm('Are you sure you want to delete this note?')) return;
+    try {
+      if (isLocalNoteId(id)) {
+        await queueDelete(id);
+      } else {
+        await api.delete(`/notes/${id}`);
+      }
+      setNotes((prev) => prev.filter((note) => note._id !== id)); // get rid of the trashed one
+      toast.success('Note moved to trash');
+    } catch (error) {
+      if (!normalizeError(error).isNetworkError) {
+        toast.error(getErrorMessage(error, 'Failed to delete note'));
+        return;
+      }
+      try {
+        await queueDelete(id);
+        setNotes((prev) => prev.filter((note) => note._id !== id));
+        toast.success("Note moved to trash. It'll sync when you reconnect");
+      } catch {
+        toast.error(getErrorMessage(error, 'Failed to delete note'));
+      }
+    }
+  };
+
+  /**
+   * Pins or unpins the note.
+   *
+   * The updated note replaces the old one in the parent's list; HomePage
+   * splits that list into the Pinned section and the rest, so the card
+   * moves between them straight away.
+   *
+   * @async
+   * @function handleTogglePin
+   * @param {Event} e - Click event from the pin button
+   * @returns {Promise<void>} Resolves when the operation is complete
+   *
+   * @see {@link ../../backend/src/controllers/notesController.js} Backend pinNote controller
+   */
+  const handleTogglePin = async (e) => {
+    e.preventDefault();
 
     try {
-      await api.delete(`/notes/${id}`);
-      setNotes((prev) => prev.filter((note) => note._id !== id)); // get rid of the deleted one
-      toast.success('Note deleted successfully');
-    } catch {
-      toast.error('Failed to delete note');
+      const res = await api.patch(`/notes/${note._id}/pin`, {
+        pinned: !note.pinned,
+      });
+      setNotes((prev) =>
+        prev.map((item) => (item._id === note._id ? res.data : item))
+      );
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to pin note'));
     }
   };
 
+  /**
+   * Archives the note, or brings it back from the archive.
+   *
+   * Either way the note leaves the list it's shown in (the main grid hides
+   * archived notes and the Archive view shows only them), so it's removed
+   * from the parent's state.
+   *
+   * @async
+   * @function handleToggleArchive
+   * @param {Event} e - Click event from the archive button
+   * @returns {Promise<void>} Resolves when the operation is complete
+   *
+   * @see {@link ../../backend/src/controllers/notesController.js} Backend archiveNote controller
+   */
+  const handleToggleArchive = async (e) => {
+    e.preventDefault();
+    const archived = !note.archived;
+
+    try {
+      await api.patch(`/notes/${note._id}/archive`, { archived });
+      setNotes((prev) => prev.filter((item) => item._id !== note._id));
+      toast.success(archived ? 'Note archived' : 'Note moved out of archive');
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to archive note'));
+    }
+  };
+
+  // Badges are worked out when the card renders; the grid re-renders on
+  // every change, which is often enough for "overdue" to stay right
+  const renderedAt = new Date();
+  const dueAt = note.dueAt ? new Date(note.dueAt) : null;
+  const remindAt = note.remindAt ? new Date(note.remindAt) : null;
+  const checklist = note.type === 'checklist' ? (note.items ?? []) : null;
+  const progress = checklist && checklistProgress(checklist);
+  const attachmentCount = note.attachments?.length ?? 0;
+
   return (
     <Link
       to={`/note/${note._id}`}
-      className="card bg-base-100 hover:shadow-lg active:shadow-xl transition-all duration-200 
-      border-t-4 border-solid border-[#66d9e8] h-full touch-manipulation w-full"
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData(NOTE_DRAG_TYPE, note._id);
+        e.dataTransfer.effectAllowed = 'move';
+      }}
+      onClick={
+        selectable
+          ? (e) => {
+              e.preventDefault(); // select instead of opening the note
+              onToggleSelect(e);
+            }
+          : undefined
+      }
+      aria-pressed={selectable ? selected : undefined}
+      className={`card relative bg-base-100 hover:shadow-lg active:shadow-xl transition-all duration-200 
+      border-t-4 border-solid border-[#66d9e8] h-full touch-manipulation w-full ${
+        selectable ? 'select-none' : ''
+      } ${selected ? 'ring-2 ring-primary' : ''}`}
     >
+      {/* Selection checkbox, shown in selection mode */}
+      {selectable && (
+        <input
+          type="checkbox"
+          className="checkbox checkbox-primary checkbox-sm absolute top-3 right-3 pointer-events-none"
+          checked={selected}
+          readOnly
+          tabIndex={-1}
+          aria-hidden="true"
+        />
+      )}
       <div className="card-body p-3 sm:p-5">
         {/* Note title with responsive typography and text truncation */}
         <h3 className="card-title text-base sm:text-lg md:text-xl line-clamp-2 mb-2 break-words">
-          {note.title}
+          {note.highlights ? (
+            <HighlightedText segments={note.highlights.title} />
+          ) : (
+            note.title
+          )}
         </h3>
-        {/* Note content preview with responsive typography and text truncation */}
-        <p className="text-base-content/70 line-clamp-3 text-sm sm:text-base mb-3 sm:mb-4 break-words">
-          {note.content}
-        </p>
+        {/* Search results show the matching snippet instead of the preview */}
+        {note.highlights ? (
+          <p className="text-base-content/70 text-sm sm:text-base mb-3 sm:mb-4 break-words">
+            <HighlightedText segments={note.highlights.snippet} />
+          </p>
+        ) : checklist?.length > 0 ? (
+          /* First few items of a checklist */
+          <ul className="text-base-content/70 text-sm sm:text-base mb-3 sm:mb-4 space-y-1">
+            {checklist.slice(0, PREVIEW_ITEMS).map((item) => (
+              <li key={item._id} className="flex items-start gap-2 min-w-0">
+                {item.done ? (
+                  <SquareCheckIcon className="size-4 mt-0.5 shrink-0 text-success" />
+                ) : (
+                  <SquareIcon className="size-4 mt-0.5 shrink-0" />
+                )}
+                <span
+                  className={`truncate ${item.done ? 'line-through text-base-content/50' : ''}`}
+                >
+                  {item.text}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          /* Rendered Markdown excerpt with responsive typography and text truncation */
+          <MarkdownExcerpt
+            content={note.content}
+            className="text-base-content/70 line-clamp-3 text-sm sm:text-base mb-3 sm:mb-4 break-words"
+          />
+        )}
+        {/* Checklist progress */}
+        {progress?.total > 0 && (
+          <div className="flex items-center gap-2 mb-3">
+            <progress
+              className="progress progress-success w-20"
+              value={progress.done}
+              max={progress.total}
+              aria-hidden="true"
+            />
+            <span className="badge badge-ghost badge-sm gap-1">
+              <ListChecksIcon className="size-3" />
+              {progress.done}/{progress.total} done
+            </span>
+          </div>
+        )}
+        {/* Tag chips (only rendered when the note has tags) */}
+        {note.tags?.length > 0 && (
+          <div className="flex flex-wrap gap-1.5 mb-3">
+            {note.tags.map((tag) => (
+              <span key={tag} className="badge badge-outline badge-sm">
+                #{tag}
+              </span>
+            ))}
+          </div>
+        )}
+        {/* Due date, upcoming reminder and attachments (only when set) */}
+        {(dueAt || remindAt > renderedAt || attachmentCount > 0) && (
+          <div className="flex flex-wrap gap-1.5 mb-3">
+            {dueAt && (
+              <span
+                className={`badge badge-sm gap-1 ${
+                  dueAt < renderedAt ? 'badge-error' : 'badge-ghost'
+                }`}
+              >
+                <CalendarClockIcon className="size-3" />
+                {dueAt < renderedAt ? 'Overdue' : 'Due'} {formatDateTime(dueAt)}
+              </span>
+            )}
+            {remindAt > renderedAt && (
+              <span className="badge badge-ghost badge-sm gap-1">
+                <BellIcon className="size-3" />
+                {formatDateTime(remindAt)}
+              </span>
+            )}
+            {attachmentCount > 0 && (
+              <span
+                className="badge badge-ghost badge-sm gap-1"
+                title={`${attachmentCount} attachment${attachmentCount === 1 ? '' : 's'}`}
+              >
+                <PaperclipIcon className="size-3" />
+                {attachmentCount}
+              </span>
+            )}
+          </div>
+        )}
         {/* Card actions with date display and action buttons */}
         <div className="card-actions justify-between items-center mt-auto pt-2 flex-wrap">
           {/* Formatted creation date */}
@@ -139,14 +395,50 @@ const NoteCard = ({ note, setNotes }) => {
           <div className="flex items-center gap-1.5 sm:gap-3 flex-shrink-0">
             {/* Edit icon indicator */}
             <PenSquareIcon className="size-4 sm:size-5 text-base-content/60" />
-            {/* Delete button with confirmation */}
-            <button
-              className="btn btn-ghost btn-xs sm:btn-sm text-error p-1.5 min-h-[2rem] min-w-[2rem]"
-              onClick={(e) => handleDelete(e, note._id)}
-              aria-label="Delete note"
-            >
-              <Trash2Icon className="size-4 sm:size-5" />
-            </button>
+            {/* Pin toggle; archived notes have to leave the archive first */}
+            {!note.archived && !selectable && (
+              <button
+                className={`btn btn-ghost btn-xs sm:btn-sm p-1.5 min-h-[2rem] min-w-[2rem] ${
+                  note.pinned ? 'text-primary' : ''
+                }`}
+                onClick={handleTogglePin}
+                aria-label={note.pinned ? 'Unpin note' : 'Pin note'}
+                aria-pressed={!!note.pinned}
+              >
+                {note.pinned ? (
+                  <PinOffIcon className="size-4 sm:size-5" />
+                ) : (
+                  <PinIcon className="size-4 sm:size-5" />
+                )}
+              </button>
+            )}
+            {/* Per-note actions; the bulk action bar replaces them while selecting */}
+            {!selectable && (
+              <>
+                {/* Archive toggle */}
+                <button
+                  className="btn btn-ghost btn-xs sm:btn-sm p-1.5 min-h-[2rem] min-w-[2rem]"
+                  onClick={handleToggleArchive}
+                  aria-label={
+                    note.archived ? 'Move note out of archive' : 'Archive note'
+                  }
+                >
+                  {note.archived ? (
+                    <ArchiveRestoreIcon className="size-4 sm:size-5" />
+                  ) : (
+                    <ArchiveIcon className="size-4 sm:size-5" />
+                  )}
+                </button>
+                {/* Delete button (moves the note to the trash) */}
+                <button
+                  className="btn btn-ghost btn-xs sm:btn-sm text-error p-1.5 min-h-[2rem] min-w-[2rem]"
+                  onClick={(e) => handleDelete(e, note._id)}
+                  aria-label="Move note to trash"
+                >
+                  <Trash2Icon className="size-4 sm:size-5" />
+                </button>
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,460 @@
+/**
+ * @fileoverview NotebookTree component for the Dex Note Taking App frontend.
+ *
+ * This component renders the user's notebooks as a collapsible folder tree
+ * in the HomePage sidebar. Selecting a notebook narrows the notes grid to
+ * the notes filed in it, and dropping a NoteCard onto a notebook moves the
+ * note there.
+ *
+ * Key Features:
+ * - "All notes" and "Unfiled" entries above the tree
+ * - Nested notebooks that expand and collapse
+ * - Note count badge next to each notebook
+ * - Create, rename and delete actions on each notebook
+ * - Delete dialog offering to keep the contents or delete them too
+ * - Drop targets for NoteCards dragged from the grid
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useMemo, useState } from 'react';
+import {
+  ChevronDownIcon,
+  ChevronRightIcon,
+  FolderIcon,
+  FolderPlusIcon,
+  InboxIcon,
+  LibraryIcon,
+  PencilIcon,
+  Trash2Icon,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../lib/axios';
+import { getErrorMessage } from '../lib/apiErrors';
+import { groupByParent } from '../lib/notebooks';
+import { NOTE_DRAG_TYPE } from './NoteCard';
+
+/**
+ * Returns whether a drag event carries a note from the grid.
+ *
+ * @param {DragEvent} e - Drag event
+ * @returns {boolean} True if a NoteCard is being dragged
+ */
+const isNoteDrag = (e) => e.dataTransfer.types.includes(NOTE_DRAG_TYPE);
+
+/**
+ * Dialog asking what should happen to a notebook's contents on delete.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.notebook - Notebook being deleted
+ * @param {boolean} props.busy - Whether the delete request is in flight
+ * @param {Function} props.onConfirm - Called with "reparent" or "cascade"
+ * @param {Function} props.onCancel - Called when the dialog is dismissed
+ * @returns {JSX.Element} Modal dialog
+ */
+const DeleteNotebookDialog = ({ notebook, busy, onConfirm, onCancel }) => {
+  const [mode, setMode] = useState('reparent');
+
+  return (
+    <div
+      className="modal modal-open"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="delete-notebook-title"
+    >
+      <div className="modal-box">
+        <h3 id="delete-notebook-title" className="font-bold text-lg">
+          Delete &ldquo;{notebook.name}&rdquo;?
+        </h3>
+        <p className="text-sm text-base-content/70 mt-1">
+          What should happen to the notes and notebooks inside it?
+        </p>
+
+        <div className="flex flex-col gap-3 mt-4">
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="radio"
+              name="delete-mode"
+              className="radio radio-primary mt-0.5"
+              checked={mode === 'reparent'}
+              onChange={() => setMode('reparent')}
+            />
+            <span>
+              <span className="font-medium">Keep the contents</span>
+              <span className="block text-sm text-base-content/70">
+                Notes and notebooks inside move up one level.
+              </span>
+            </span>
+          </label>
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="radio"
+              name="delete-mode"
+              className="radio radio-error mt-0.5"
+              checked={mode === 'cascade'}
+              onChange={() => setMode('cascade')}
+            />
+            <span>
+              <span className="font-medium">Delete everything inside</span>
+              <span className="block text-sm text-base-content/70">
+                Nested notebooks are deleted and their notes go to the trash.
+              </span>
+            </span>
+          </label>
+        </div>
+
+        <div className="modal-action">
+          <button
+            type="button"
+            className="btn btn-ghost"
+            onClick={onCancel}
+            disabled={busy}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn btn-error"
+            onClick={() => onConfirm(mode)}
+            disabled={busy}
+          >
+            {busy ? 'Deleting...' : 'Delete notebook'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * NotebookTree component that lists notebooks and reports the selected one.
+ *
+ * HomePage owns the notebook list and the selection, like it does for
+ * TagFilter. The tree makes the create, rename and delete requests itself,
+ * then asks HomePage to reload through `onChange`; moving notes is handed
+ * to HomePage through `onMoveNote` because it also updates the grid.
+ *
+ * Why drag and drop onto the sidebar?
+ * - Direct: Filing a note is one gesture, without opening it
+ * - Discoverable: Drop targets light up as soon as a card is dragged
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.notebooks - Flat notebook list with `parent` and `noteCount`
+ * @param {number} props.unfiledCount - Number of notes outside any notebook
+ * @param {string|null} props.selectedNotebook - Notebook ID, "none" for unfiled, or null for all notes
+ * @param {Function} props.onSelect - Called with the new selection
+ * @param {Function} props.onMoveNote - Called with `(noteId, notebookId)` when a card is dropped; notebookId is null for "Unfiled"
+ * @param {Function} props.onChange - Called after notebooks were created, renamed or deleted
+ * @returns {JSX.Element} The notebook tree sidebar section
+ *
+ * @see {@link ../pages/HomePage.jsx} HomePage that renders this tree
+ * @see {@link ./NoteCard.jsx} Draggable cards dropped onto the tree
+ * @see {@link ../../../backend/src/controllers/notebooksController.js} Backend notebooks controller
+ */
+const NotebookTree = ({
+  notebooks,
+  unfiledCount,
+  selectedNotebook,
+  onSelect,
+  onMoveNote,
+  onChange,
+}) => {
+  /**
+   * IDs of collapsed notebooks. Tracking collapsed rather than expanded
+   * ones means newly created notebooks start out open.
+   *
+   * @type {Set<string>}
+   */
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  /**
+   * Drop target currently under a dragged card ("none" for Unfiled).
+   *
+   * @type {string|null}
+   */
+  const [dropTarget, setDropTarget] = useState(null);
+
+  /**
+   * Notebook whose delete dialog is open.
+   *
+   * @type {Object|null}
+   */
+  const [deleting, setDeleting] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const childrenByParent = useMemo(() => groupByParent(notebooks), [notebooks]);
+
+  const toggle = (id) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  /**
+   * Asks for a name and creates a notebook.
+   *
+   * @async
+   * @param {string|null} parent - Parent notebook ID, null for top level
+   * @returns {Promise<void>}
+   */
+  const handleCreate = async (parent) => {
+    const name = window.prompt('Notebook name')?.trim();
+    if (!name) return;
+
+    try {
+      await api.post('/notebooks', { name, parent });
+      if (parent) {
+        setCollapsed((prev) => {
+          const next = new Set(prev);
+          next.delete(parent);
+          return next;
+        });
+      }
+      onChange();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to create notebook'));
+    }
+  };
+
+  /**
+   * Asks for a new name and renames a notebook.
+   *
+   * @async
+   * @param {Object} notebook - Notebook to rename
+   * @returns {Promise<void>}
+   */
+  const handleRename = async (notebook) => {
+    const name = window.prompt('Rename notebook', notebook.name)?.trim();
+    if (!name || name === notebook.name) return;
+
+    try {
+      await api.patch(`/notebooks/${notebook._id}`, { name });
+      onChange();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to rename notebook'));
+    }
+  };
+
+  /**
+   * Deletes the notebook in the open dialog.
+   *
+   * If the deleted notebook (or, when cascading, anything) was selected,
+   * the selection falls back to all notes so the grid isn't left showing a
+   * notebook that no longer exists.
+   *
+   * @async
+   * @param {"reparent"|"cascade"} mode - What to do with the contents
+   * @returns {Promise<void>}
+   */
+  const handleDelete = async (mode) => {
+    setBusy(true);
+    try {
+      await api.delete(`/notebooks/${deleting._id}`, { params: { mode } });
+      toast.success('Notebook deleted');
+      if (selectedNotebook === deleting._id || mode === 'cascade') {
+        onSelect(null);
+      }
+      setDeleting(null);
+      onChange({ notesChanged: true });
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to delete notebook'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Builds the drag-and-drop handlers for one drop target.
+   *
+   * @param {string} key - Target key: notebook ID or "none"
+   * @returns {Object} onDragOver, onDragLeave and onDrop props
+   */
+  const dropHandlers = (key) => ({
+    onDragOver: (e) => {
+      if (!isNoteDrag(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropTarget(key);
+    },
+    onDragLeave: () => {
+      setDropTarget((current) => (current === key ? null : current));
+    },
+    onDrop: (e) => {
+      if (!isNoteDrag(e)) return;
+      e.preventDefault();
+      setDropTarget(null);
+      onMoveNote(
+        e.dataTransfer.getData(NOTE_DRAG_TYPE),
+        key === 'none' ? null : key
+      );
+    },
+  });
+
+  /**
+   * Builds the class list for an entry based on selection and drag state.
+   *
+   * @param {string|null} key - Entry key
+   * @returns {string} Tailwind/DaisyUI class names
+   */
+  const entryClass = (key) =>
+    `btn btn-sm flex-1 min-w-0 justify-between flex-nowrap touch-manipulation ${
+      selectedNotebook === key ? 'btn-primary' : 'btn-ghost'
+    } ${dropTarget === key ? 'ring-2 ring-primary' : ''}`;
+
+  /**
+   * Renders a notebook and, unless collapsed, its children.
+   *
+   * @param {Object} notebook - Notebook to render
+   * @param {number} depth - Nesting level, 0 for top level
+   * @returns {JSX.Element} List item
+   */
+  const renderNotebook = (notebook, depth) => {
+    const children = childrenByParent.get(notebook._id) ?? [];
+    const isCollapsed = collapsed.has(notebook._id);
+
+    return (
+      <li key={notebook._id}>
+        <div
+          className="group flex items-center gap-0.5"
+          style={{ paddingLeft: `${depth * 0.75}rem` }}
+        >
+          <button
+            type="button"
+            className={`btn btn-ghost btn-xs btn-square ${children.length === 0 ? 'invisible' : ''}`}
+            onClick={() => toggle(notebook._id)}
+            aria-label={isCollapsed ? 'Expand notebook' : 'Collapse notebook'}
+            aria-expanded={!isCollapsed}
+          >
+            {isCollapsed ? (
+              <ChevronRightIcon className="size-3.5" />
+            ) : (
+              <ChevronDownIcon className="size-3.5" />
+            )}
+          </button>
+          <button
+            type="button"
+            className={entryClass(notebook._id)}
+            onClick={() => onSelect(notebook._id)}
+            {...dropHandlers(notebook._id)}
+          >
+            <span className="flex items-center gap-1.5 min-w-0">
+              <FolderIcon className="size-4 shrink-0" />
+              <span className="truncate">{notebook.name}</span>
+            </span>
+            <span className="badge badge-sm badge-neutral">
+              {notebook.noteCount}
+            </span>
+          </button>
+          {/* Actions appear on hover (always visible on touch screens) */}
+          <div className="flex md:hidden md:group-hover:flex md:group-focus-within:flex">
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs btn-square"
+              onClick={() => handleCreate(notebook._id)}
+              aria-label={`New notebook in ${notebook.name}`}
+            >
+              <FolderPlusIcon className="size-3.5" />
+            </button>
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs btn-square"
+              onClick={() => handleRename(notebook)}
+              aria-label={`Rename ${notebook.name}`}
+            >
+              <PencilIcon className="size-3.5" />
+            </button>
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs btn-square text-error"
+              onClick={() => setDeleting(notebook)}
+              aria-label={`Delete ${notebook.name}`}
+            >
+              <Trash2Icon className="size-3.5" />
+            </button>
+          </div>
+        </div>
+
+        {!isCollapsed && children.length > 0 && (
+          <ul className="flex flex-col gap-1 mt-1">
+            {children.map((child) => renderNotebook(child, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  const topLevel = childrenByParent.get(null) ?? [];
+
+  return (
+    <section>
+      <h2 className="flex items-center justify-between text-sm font-semibold uppercase tracking-wide text-base-content/60 mb-2 sm:mb-3">
+        <span className="flex items-center gap-2">
+          <LibraryIcon className="size-4" />
+          Notebooks
+        </span>
+        <button
+          type="button"
+          className="btn btn-ghost btn-xs btn-square"
+          onClick={() => handleCreate(null)}
+          aria-label="New notebook"
+        >
+          <FolderPlusIcon className="size-4" />
+        </button>
+      </h2>
+
+      <nav className="flex flex-col gap-1">
+        {/* Entry that clears the notebook filter */}
+        <div className="flex">
+          <button
+            type="button"
+            className={entryClass(null)}
+            onClick={() => onSelect(null)}
+          >
+            All notes
+          </button>
+        </div>
+
+        {/* Notes outside any notebook; dropping here unfiles a note */}
+        <div className="flex">
+          <button
+            type="button"
+            className={entryClass('none')}
+            onClick={() => onSelect('none')}
+            {...dropHandlers('none')}
+          >
+            <span className="flex items-center gap-1.5">
+              <InboxIcon className="size-4" />
+              Unfiled
+            </span>
+            <span className="badge badge-sm badge-neutral">{unfiledCount}</span>
+          </button>
+        </div>
+
+        {topLevel.length > 0 ? (
+          <ul className="flex flex-col gap-1">
+            {topLevel.map((notebook) => renderNotebook(notebook, 0))}
+          </ul>
+        ) : (
+          <p className="text-xs text-base-content/50 px-3 py-1">
+            No notebooks yet
+          </p>
+        )}
+      </nav>
+
+      {deleting && (
+        <DeleteNotebookDialog
+          notebook={deleting}
+          busy={busy}
+          onConfirm={handleDelete}
+          onCancel={() => setDeleting(null)}
+        />
+      )}
+    </section>
+  );
+};
+
+export default NotebookTree;
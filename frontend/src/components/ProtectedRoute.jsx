@@ -0,0 +1,50 @@
+/**
+ * @fileoverview ProtectedRoute component for the Dex Note Taking App frontend.
+ *
+ * This layout route guards every page that needs a signed-in user. While the
+ * saved session is being restored it shows a spinner; afterwards it either
+ * renders the matched child route or redirects to the login page.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { Navigate, Outlet, useLocation } from 'react-router';
+import { LoaderIcon } from 'lucide-react';
+import useAuth from '../hooks/useAuth';
+
+/**
+ * ProtectedRoute component that only renders its child routes when signed in.
+ *
+ * Why a layout route?
+ * - One guard: App.jsx nests every private route under a single element
+ * - Return path: The attempted location is passed to /login in router state,
+ *   so users land back where they were after signing in
+ * - Session expiry: When a refresh fails mid-session the user is cleared and
+ *   this component redirects on the next render
+ *
+ * @returns {JSX.Element} Spinner, redirect, or the matched child route
+ *
+ * @see {@link ../App.jsx} Route configuration that uses this guard
+ * @see {@link ../pages/LoginPage.jsx} Page users are redirected to
+ */
+const ProtectedRoute = () => {
+  const { user, initializing } = useAuth();
+  const location = useLocation();
+
+  if (initializing) {
+    return (
+      <div className="min-h-screen bg-base-200 flex items-center justify-center">
+        <LoaderIcon className="animate-spin size-10" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return <Outlet />;
+};
+
+export default ProtectedRoute;
@@ -11,7 +11,8 @@
  * Key Features:
  * - Rate limiting error state with clear visual indicators
  * - User-friendly messaging explaining the rate limit situation
- * - Guidance on when to try again for better user experience
+ * - Live countdown to when requests are allowed again, from `Retry-After`
+ * - Fetches again by itself when the countdown reaches zero
  * - Responsive design for all screen sizes
  * - Consistent styling with application theme
  * - Warning visual design with appropriate iconography
@@ -20,13 +21,23 @@
  * @version 1.0.0
  */
 
+import { useEffect, useRef, useState } from 'react';
 import { ZapIcon } from 'lucide-react';
 
+/**
+ * Seconds left until a point in time, never negative.
+ *
+ * @param {number} until - Unix time in milliseconds
+ * @returns {number} Whole seconds remaining
+ */
+const secondsUntil = (until) =>
+  Math.max(0, Math.ceil((until - Date.now()) / 1000));
+
 /**
  * RateLimitedUI component that displays a rate limiting error state.
  *
  * This component serves as a specialized error state interface that appears
- * when the user has exceeded the API rate limits (100 requests per minute).
+ * when the user has exceeded the API rate limits.
  * It provides clear visual feedback, helpful messaging, and guidance on what
  * users should do next. The component is designed to be informative and
  * reassuring rather than just showing a generic error message.
@@ -48,11 +59,16 @@ import { ZapIcon } from 'lucide-react';
  * - Responsive: Adapts gracefully to different screen sizes
  *
  * Rate Limiting Context:
- * - Backend uses Upstash Redis for distributed rate limiting
- * - Rate limit: 100 requests per 60-second sliding window
- * - Applied globally to all API endpoints for protection
- * - 429 HTTP status code indicates rate limit exceeded
- * - Component appears when HomePage detects 429 status in API responses
+ * - Backend limits reads and writes per user over a sliding window
+ * - 429 HTTP status code indicates rate limit exceeded, and its
+ *   `Retry-After` header says how long to wait
+ * - Short waits are retried silently by the API client; this component
+ *   appears when HomePage still gets a 429 after that
+ *
+ * Countdown:
+ * - Counts down to `until` once a second
+ * - Calls `onRetry` once when it reaches zero; if that fetch is limited
+ *   again the parent passes a new `until` and the countdown restarts
  *
  * Error State Best Practices:
  * - Clear messaging: Explains what the error means in user-friendly terms
@@ -61,14 +77,52 @@ import { ZapIcon } from 'lucide-react';
  * - Encouraging tone: Motivates users to try again rather than giving up
  * - Consistent styling: Matches the application's design system
  *
- * @returns {JSX.Element} The rate limiting error state component with icon, message, and guidance
+ * @param {Object} props - Component props
+ * @param {number} props.until - Unix time in ms at which requests are allowed again
+ * @param {Function} props.onRetry - Called when the countdown reaches zero
+ * @returns {JSX.Element} The rate limiting error state component with icon, message, and countdown
  *
  * @see {@link ../pages/HomePage.jsx} HomePage component that displays this error state
  * @see {@link ../../backend/src/middleware/rateLimiter.js} Backend rate limiting middleware
- * @see {@link ../../backend/src/config/upstash.js} Upstash Redis rate limiter configuration
+ * @see {@link ../../backend/src/config/rateLimit.js} Rate limit policies and store configuration
  * @see {@link ../lib/axios.js} API client that handles 429 status codes
  */
-const RateLimitedUI = () => {
+const RateLimitedUI = ({ until, onRetry }) => {
+  /**
+   * Seconds left on the countdown.
+   *
+   * @type {number}
+   */
+  const [secondsLeft, setSecondsLeft] = useState(() => secondsUntil(until));
+
+  /**
+   * Latest `onRetry`, so a parent re-render doesn't restart the countdown.
+   *
+   * @type {React.MutableRefObject<Function>}
+   */
+  const onRetryRef = useRef(onRetry);
+  useEffect(() => {
+    onRetryRef.current = onRetry;
+  }, [onRetry]);
+
+  /**
+   * Ticks the countdown and retries once when it runs out.
+   */
+  useEffect(() => {
+    const tick = () => {
+      const remaining = secondsUntil(until);
+      setSecondsLeft(remaining);
+      if (remaining === 0) {
+        clearInterval(timer);
+        onRetryRef.current();
+      }
+    };
+
+    const timer = setInterval(tick, 1000);
+    tick();
+    return () => clearInterval(timer);
+  }, [until]);
+
   return (
     <div className="max-w-6xl mx-auto px-3 sm:px-4 py-4 sm:py-8 w-full">
       {/* Main error state card with warning styling */}
@@ -89,9 +143,14 @@ const RateLimitedUI = () => {
               You've made too many requests in a short period. Please wait a
               moment.
             </p>
-            {/* Secondary guidance message with smaller typography */}
-            <p className="text-xs sm:text-sm text-base-content/70">
-              Try again in a few seconds for the best experience.
+            {/* Live countdown until the automatic retry */}
+            <p
+              className="text-xs sm:text-sm text-base-content/70"
+              aria-live="polite"
+            >
+              {secondsLeft > 0
+                ? `Trying again in ${secondsLeft} second${secondsLeft === 1 ? '' : 's'}...`
+                : 'Trying again...'}
             </p>
           </div>
         </div>
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview RemoteCursors component for the Dex Note Taking App frontend.
+ *
+ * This component draws the cursors of other editors of the same note on
+ * top of the content textarea, each as a colored caret with a small label
+ * naming the tab or device it belongs to.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useEffect, useLayoutEffect, useState } from 'react';
+
+/**
+ * Textarea styles copied to the measuring element, so text wraps there
+ * exactly as it does in the textarea.
+ *
+ * @type {Array<string>}
+ */
+const MIRRORED_STYLES = [
+  'boxSizing',
+  'width',
+  'paddingTop',
+  'paddingRight',
+  'paddingBottom',
+  'paddingLeft',
+  'borderTopWidth',
+  'borderRightWidth',
+  'borderBottomWidth',
+  'borderLeftWidth',
+  'fontFamily',
+  'fontSize',
+  'fontWeight',
+  'fontStyle',
+  'letterSpacing',
+  'lineHeight',
+  'tabSize',
+  'textIndent',
+  'wordSpacing',
+];
+
+/**
+ * Measures where a text index is drawn inside a textarea.
+ *
+ * Textareas don't expose caret coordinates, so the text up to the index is
+ * copied into a hidden element styled like the textarea and the position
+ * of a marker placed after it is read instead.
+ *
+ * @param {HTMLTextAreaElement} textarea - Textarea to measure
+ * @param {number} index - Index in the textarea's value
+ * @returns {{top: number, left: number, height: number}} Caret box relative
+ *   to the textarea's border box, ignoring scrolling
+ */
+const caretCoordinates = (textarea, index) => {
+  const style = window.getComputedStyle(textarea);
+  const mirror = document.createElement('div');
+  for (const property of MIRRORED_STYLES) {
+    mirror.style[property] = style[property];
+  }
+  mirror.style.position = 'absolute';
+  mirror.style.visibility = 'hidden';
+  mirror.style.whiteSpace = 'pre-wrap';
+  mirror.style.overflowWrap = 'break-word';
+  mirror.style.borderStyle = 'solid';
+  mirror.style.width = `${textarea.clientWidth + textarea.clientLeft * 2}px`;
+
+  mirror.textContent = textarea.value.slice(0, index);
+  const marker = document.createElement('span');
+  // Non-empty so the marker has a line box even at the end of a line
+  marker.textContent = textarea.value.slice(index) || '.';
+  mirror.appendChild(marker);
+
+  document.body.appendChild(mirror);
+  const coordinates = {
+    // Offsets start inside the border, the overlay at the border's edge
+    top: marker.offsetTop + textarea.clientTop,
+    left: marker.offsetLeft + textarea.clientLeft,
+    height: parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2,
+  };
+  document.body.removeChild(mirror);
+  return coordinates;
+};
+
+/**
+ * RemoteCursors component that overlays the cursors of other tabs and devices.
+ *
+ * Must be rendered inside a positioned element that shares its top-left
+ * corner with the textarea. Cursors are re-measured whenever the text,
+ * the cursors, the scroll position or the textarea's size change, and
+ * cursors scrolled out of view are hidden.
+ *
+ * @param {Object} props - Component props
+ * @param {React.RefObject<HTMLTextAreaElement>} props.textareaRef - Content textarea
+ * @param {string} props.value - Current textarea value
+ * @param {Array<Object>} props.peers - Other editors, from useCollaboration
+ * @returns {JSX.Element} Absolutely positioned cursor layer
+ *
+ * @see {@link ../hooks/useCollaboration.js} Hook that tracks the peers
+ * @see {@link ./MarkdownEditor.jsx} Editor that renders this overlay
+ */
+const RemoteCursors = ({ textareaRef, value, peers }) => {
+  const [carets, setCarets] = useState([]);
+  const [layoutVersion, setLayoutVersion] = useState(0);
+
+  // Scrolling and resizing move the cursors without changing the text
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const relayout = () => setLayoutVersion((version) => version + 1);
+    const observer = new ResizeObserver(relayout);
+    observer.observe(textarea);
+    textarea.addEventListener('scroll', relayout);
+    return () => {
+      observer.disconnect();
+      textarea.removeEventListener('scroll', relayout);
+    };
+  }, [textareaRef]);
+
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) {
+      setCarets([]);
+      return;
+    }
+
+    setCarets(
+      peers
+        .filter((peer) => peer.cursor !== null)
+        .map((peer) => {
+          const { top, left, height } = caretCoordinates(
+            textarea,
+            Math.min(peer.cursor, value.length)
+          );
+          return {
+            ...peer,
+            top: top - textarea.scrollTop,
+            left: left - textarea.scrollLeft,
+            height,
+          };
+        })
+        .filter(
+          (caret) =>
+            caret.top >= 0 && caret.top + caret.height <= textarea.offsetHeight
+        )
+    );
+  }, [textareaRef, value, peers, layoutVersion]);
+
+  return (
+    <div
+      className="pointer-events-none absolute inset-0 overflow-hidden"
+      aria-hidden="true"
+    >
+      {carets.map((caret) => (
+        <div
+          key={caret.clientId}
+          className="absolute"
+          style={{ top: caret.top, left: caret.left, height: caret.height }}
+        >
+          <div
+            className="absolute inset-y-0 w-0.5 -ml-px"
+            style={{ backgroundColor: caret.color }}
+          />
+          <span
+            className={`absolute left-0 whitespace-nowrap ${
+              // Labels on the first line go below it, or they'd be cut off
+              caret.top < 16 ? 'top-full' : 'bottom-full'
+            } rounded px-1 text-[10px] leading-4 text-white`}
+            style={{ backgroundColor: caret.color }}
+          >
+            {caret.name}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RemoteCursors;
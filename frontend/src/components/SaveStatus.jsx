@@ -0,0 +1,83 @@
+/**
+ * @fileoverview SaveStatus component for the Dex Note Taking App frontend.
+ *
+ * This component shows the autosave state of the note being edited as a
+ * small badge next to the editor: whether the latest edits are saved, being
+ * saved, waiting to be saved, kept on the device until the connection
+ * returns, stuck because not even that worked, or blocked on a conflict
+ * with a newer version saved elsewhere.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import {
+  AlertCircleIcon,
+  CheckIcon,
+  CloudOffIcon,
+  CloudUploadIcon,
+  GitMergeIcon,
+  LoaderIcon,
+  PencilIcon,
+} from 'lucide-react';
+
+/**
+ * Badge text, style and icon for each save status.
+ *
+ * @type {Object<string, {label: string, className: string, Icon: Function}>}
+ */
+const STATUSES = {
+  saved: { label: 'Saved', className: 'badge-ghost', Icon: CheckIcon },
+  saving: { label: 'Saving…', className: 'badge-ghost', Icon: LoaderIcon },
+  unsaved: { label: 'Unsaved', className: 'badge-ghost', Icon: PencilIcon },
+  invalid: {
+    label: 'Title and content required',
+    className: 'badge-warning',
+    Icon: AlertCircleIcon,
+  },
+  queued: {
+    label: 'Saved on this device',
+    className: 'badge-ghost',
+    Icon: CloudUploadIcon,
+  },
+  offline: { label: 'Offline', className: 'badge-warning', Icon: CloudOffIcon },
+  conflict: {
+    label: 'Conflict',
+    className: 'badge-warning',
+    Icon: GitMergeIcon,
+  },
+  error: {
+    label: 'Save failed',
+    className: 'badge-error',
+    Icon: AlertCircleIcon,
+  },
+};
+
+/**
+ * SaveStatus component rendering the autosave badge.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.status - One of "saved", "saving", "unsaved",
+ *   "invalid", "queued", "offline", "conflict" or "error"
+ * @returns {JSX.Element} Status badge, announced politely to screen readers
+ *
+ * @see {@link ../pages/NoteDetailPage.jsx} Editor that tracks the status
+ */
+const SaveStatus = ({ status }) => {
+  const { label, className, Icon } = STATUSES[status] ?? STATUSES.saved;
+
+  return (
+    <span
+      className={`badge gap-1.5 py-3 ${className}`}
+      role="status"
+      aria-live="polite"
+    >
+      <Icon
+        className={`size-3.5 ${status === 'saving' ? 'animate-spin' : ''}`}
+      />
+      {label}
+    </span>
+  );
+};
+
+export default SaveStatus;
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview SchedulePicker component for the Dex Note Taking App frontend.
+ *
+ * This component sets a note's reminder and due date from the note editor.
+ * Unlike the title and content, they are not part of the autosaved form:
+ * each one is saved on its own through `PATCH /notes/:id/schedule` as soon
+ * as the user leaves the field or clears it, like pinning a note from its
+ * card.
+ *
+ * Key Features:
+ * - Native date-time inputs in the user's local time
+ * - Clear buttons that remove a reminder or due date
+ * - Saving indicator, with the previous value put back if the save fails
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { BellIcon, CalendarClockIcon, LoaderIcon, XIcon } from 'lucide-react';
+import api from '../lib/axios';
+import { getErrorMessage } from '../lib/apiErrors';
+import { fromDateTimeInputValue, toDateTimeInputValue } from '../lib/utils';
+
+/**
+ * The two fields, in display order.
+ *
+ * @type {Array<{name: string, label: string, Icon: Function}>}
+ */
+const FIELDS = [
+  { name: 'remindAt', label: 'Remind me', Icon: BellIcon },
+  { name: 'dueAt', label: 'Due', Icon: CalendarClockIcon },
+];
+
+/**
+ * SchedulePicker component for a note's reminder and due date.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - Note being scheduled
+ * @param {string|null} [props.remindAt] - Current reminder (ISO date-time)
+ * @param {string|null} [props.dueAt] - Current due date (ISO date-time)
+ * @param {boolean} [props.disabled=false] - Disables the inputs, e.g. for a
+ *   note created offline that the server doesn't know yet
+ * @param {Function} props.onChange - Called with the saved note
+ * @returns {JSX.Element} Reminder and due date inputs
+ *
+ * @see {@link ../pages/NoteDetailPage.jsx} Editor that renders this picker
+ * @see {@link ../../../backend/src/controllers/notesController.js} Backend scheduleNote controller
+ */
+const SchedulePicker = ({
+  noteId,
+  remindAt = null,
+  dueAt = null,
+  disabled = false,
+  onChange,
+}) => {
+  /**
+   * Saved values, as ISO date-times, kept by field name.
+   *
+   * @type {{remindAt: string|null, dueAt: string|null}}
+   */
+  const saved = { remindAt, dueAt };
+
+  /**
+   * Values typed but not saved yet, by field name. A field without an
+   * entry shows its saved value.
+   *
+   * @type {Object<string, string>}
+   */
+  const [drafts, setDrafts] = useState({});
+
+  /**
+   * Field being saved, if any.
+   *
+   * @type {string|null}
+   */
+  const [savingField, setSavingField] = useState(null);
+
+  /**
+   * Forgets the unsaved value of a field, so it shows its saved value.
+   *
+   * @function dropDraft
+   * @param {string} name - "remindAt" or "dueAt"
+   * @returns {void}
+   */
+  const dropDraft = (name) =>
+    setDrafts((prev) => {
+      const next = { ...prev };
+      delete next[name];
+      return next;
+    });
+
+  /**
+   * Saves one field, unless it is unchanged.
+   *
+   * @async
+   * @function save
+   * @param {string} name - "remindAt" or "dueAt"
+   * @param {string} inputValue - Value of its `datetime-local` input
+   * @returns {Promise<void>}
+   */
+  const save = async (name, inputValue) => {
+    const value = fromDateTimeInputValue(inputValue);
+    if (inputValue === toDateTimeInputValue(saved[name])) {
+      dropDraft(name);
+      return;
+    }
+
+    setSavingField(name);
+    try {
+      const res = await api.patch(`/notes/${noteId}/schedule`, {
+        [name]: value,
+      });
+      onChange(res.data);
+      if (name === 'remindAt' && value && Date.parse(value) <= Date.now()) {
+        toast("That time has passed, so you won't be reminded");
+      }
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to save the date'));
+    } finally {
+      dropDraft(name);
+      setSavingField(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-3 sm:gap-4">
+      {FIELDS.map((field) => {
+        const { name, label } = field;
+        const Icon = field.Icon;
+        const value = drafts[name] ?? toDateTimeInputValue(saved[name]);
+        return (
+          <div key={name} className="flex-1 min-w-0">
+            <label
+              htmlFor={`schedule-${name}`}
+              className="label-text flex items-center gap-1.5 mb-1"
+            >
+              <Icon className="size-4" />
+              {label}
+              {savingField === name && (
+                <LoaderIcon className="size-3.5 animate-spin" />
+              )}
+            </label>
+            <div className="join w-full">
+              <input
+                id={`schedule-${name}`}
+                type="datetime-local"
+                className="input input-bordered input-sm join-item flex-1 min-w-0"
+                value={value}
+                disabled={disabled || savingField === name}
+                onChange={(e) =>
+                  setDrafts((prev) => ({ ...prev, [name]: e.target.value }))
+                }
+                onBlur={(e) => {
+                  if (name in drafts) save(name, e.target.value);
+                }}
+              />
+              <button
+                type="button"
+                className="btn btn-sm join-item"
+                onClick={() => save(name, '')}
+                disabled={disabled || savingField === name || !value}
+                aria-label={`Clear ${label.toLowerCase()}`}
+                title="Clear"
+              >
+                <XIcon className="size-4" />
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SchedulePicker;
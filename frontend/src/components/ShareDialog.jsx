@@ -0,0 +1,349 @@
+/**
+ * @fileoverview ShareDialog component for the Dex Note Taking App frontend.
+ *
+ * This component is the dialog behind the Share button of the note editor.
+ * It creates public, read-only links to the note, lists the links that are
+ * still active, and revokes them.
+ *
+ * Key Features:
+ * - Optional expiry (a day, a week, a month) and password for new links
+ * - Copy-to-clipboard for each link, with the link text selectable as a fallback
+ * - Expiry and password shown for every active link
+ * - Revoke buttons that take effect immediately
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  CopyIcon,
+  LinkIcon,
+  LoaderIcon,
+  LockIcon,
+  Share2Icon,
+  Trash2Icon,
+} from 'lucide-react';
+import api from '../lib/axios';
+import { getErrorMessage } from '../lib/apiErrors';
+import { formatDate } from '../lib/utils';
+
+/**
+ * Expiry choices for new links, in days; null never expires.
+ *
+ * @type {Array<{label: string, days: number|null}>}
+ */
+const EXPIRY_OPTIONS = [
+  { label: 'Never expires', days: null },
+  { label: 'Expires in 1 day', days: 1 },
+  { label: 'Expires in 7 days', days: 7 },
+  { label: 'Expires in 30 days', days: 30 },
+];
+
+/**
+ * Shortest password the backend accepts for a link.
+ *
+ * @type {number}
+ *
+ * @see {@link ../../../backend/src/validation/shares.js} MIN_SHARE_PASSWORD_LENGTH
+ */
+const MIN_PASSWORD_LENGTH = 4;
+
+/**
+ * Builds the public URL of a link.
+ *
+ * @param {string} token - Link token
+ * @returns {string} Absolute `/s/:token` URL
+ */
+const shareUrl = (token) => `${window.location.origin}/s/${token}`;
+
+/**
+ * ShareDialog component for managing a note's public links.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - Note being shared
+ * @param {Function} props.onClose - Closes the dialog
+ * @returns {JSX.Element} Modal dialog
+ *
+ * @see {@link ../pages/NoteDetailPage.jsx} Editor that opens this dialog
+ * @see {@link ../pages/SharedNotePage.jsx} Page the links open
+ * @see {@link ../../../backend/src/controllers/shareController.js} Backend share controllers
+ */
+const ShareDialog = ({ noteId, onClose }) => {
+  /**
+   * Active links, newest first; null until loaded.
+   *
+   * @type {Array<Object>|null}
+   */
+  const [links, setLinks] = useState(null);
+
+  /**
+   * Options for the next link.
+   *
+   * @type {{days: number|null, password: string}}
+   */
+  const [options, setOptions] = useState({ days: null, password: '' });
+
+  /**
+   * Whether a link is being created.
+   *
+   * @type {boolean}
+   */
+  const [creating, setCreating] = useState(false);
+
+  /**
+   * ID of the link being revoked, if any.
+   *
+   * @type {string|null}
+   */
+  const [revokingId, setRevokingId] = useState(null);
+
+  // Load the active links when the dialog opens
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get(`/notes/${noteId}/share`)
+      .then((res) => {
+        if (!cancelled) setLinks(res.data.links);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setLinks([]);
+        toast.error(getErrorMessage(error, 'Failed to load share links'));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [noteId]);
+
+  // Escape closes the dialog, like the backdrop
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  /**
+   * Copies a link's URL to the clipboard.
+   *
+   * @async
+   * @function handleCopy
+   * @param {string} token - Link token
+   * @returns {Promise<void>}
+   */
+  const handleCopy = async (token) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(token));
+      toast.success('Link copied');
+    } catch {
+      toast.error("Couldn't copy the link. Select it and copy it instead");
+    }
+  };
+
+  /**
+   * Creates a link with the chosen options and copies it.
+   *
+   * @async
+   * @function handleCreate
+   * @param {Event} e - Form submit event
+   * @returns {Promise<void>}
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const password = options.password.trim();
+    if (password && password.length < MIN_PASSWORD_LENGTH) {
+      toast.error(
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      );
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const res = await api.post(`/notes/${noteId}/share`, {
+        expiresInDays: options.days,
+        password: password || null,
+      });
+      setLinks((prev) => [res.data, ...(prev ?? [])]);
+      setOptions({ days: null, password: '' });
+      await handleCopy(res.data.token);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to create share link'));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  /**
+   * Revokes a link.
+   *
+   * @async
+   * @function handleRevoke
+   * @param {string} linkId - Link to revoke
+   * @returns {Promise<void>}
+   */
+  const handleRevoke = async (linkId) => {
+    setRevokingId(linkId);
+    try {
+      await api.delete(`/notes/${noteId}/share/${linkId}`);
+      setLinks((prev) => prev.filter((link) => link._id !== linkId));
+      toast.success('Link revoked');
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to revoke share link'));
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div
+      className="modal modal-open"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="share-dialog-title"
+    >
+      <div className="modal-box max-w-xl">
+        <h3
+          id="share-dialog-title"
+          className="font-bold text-lg flex items-center gap-2"
+        >
+          <Share2Icon className="size-5" />
+          Share note
+        </h3>
+        <p className="text-sm text-base-content/70 mt-1">
+          Anyone with a link can read this note without signing in. They
+          can&apos;t edit it, and revoking a link stops it working at once.
+        </p>
+
+        {/* New link options */}
+        <form
+          className="flex flex-col sm:flex-row gap-2 mt-4"
+          onSubmit={handleCreate}
+        >
+          <select
+            className="select select-bordered select-sm"
+            aria-label="Link expiry"
+            value={options.days ?? ''}
+            onChange={(e) =>
+              setOptions((prev) => ({
+                ...prev,
+                days: e.target.value ? Number(e.target.value) : null,
+              }))
+            }
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.days ?? ''}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="password"
+            className="input input-bordered input-sm flex-1 min-w-0"
+            placeholder="Password (optional)"
+            aria-label="Link password"
+            autoComplete="new-password"
+            value={options.password}
+            onChange={(e) =>
+              setOptions((prev) => ({ ...prev, password: e.target.value }))
+            }
+          />
+          <button
+            type="submit"
+            className="btn btn-primary btn-sm"
+            disabled={creating}
+          >
+            {creating ? (
+              <LoaderIcon className="size-4 animate-spin" />
+            ) : (
+              <LinkIcon className="size-4" />
+            )}
+            Create link
+          </button>
+        </form>
+
+        {/* Active links */}
+        <div className="mt-5">
+          <h4 className="text-sm font-medium mb-2">Active links</h4>
+          {links === null ? (
+            <div className="flex justify-center py-4">
+              <LoaderIcon className="size-5 animate-spin" />
+            </div>
+          ) : links.length === 0 ? (
+            <p className="text-sm text-base-content/60">
+              This note isn&apos;t shared yet.
+            </p>
+          ) : (
+            <ul className="flex flex-col gap-2 max-h-64 overflow-y-auto">
+              {links.map((link) => (
+                <li
+                  key={link._id}
+                  className="flex items-center gap-2 rounded-lg bg-base-200 px-3 py-2"
+                >
+                  <div className="flex-1 min-w-0">
+                    <input
+                      type="text"
+                      readOnly
+                      className="w-full bg-transparent font-mono text-xs truncate focus:outline-none"
+                      value={shareUrl(link.token)}
+                      onFocus={(e) => e.target.select()}
+                      aria-label="Share link"
+                    />
+                    <div className="flex flex-wrap items-center gap-1.5 mt-1 text-xs text-base-content/60">
+                      <span>
+                        {link.expiresAt
+                          ? `Expires ${formatDate(new Date(link.expiresAt))}`
+                          : 'Never expires'}
+                      </span>
+                      {link.hasPassword && (
+                        <span className="badge badge-ghost badge-xs gap-1">
+                          <LockIcon className="size-2.5" />
+                          Password
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-sm btn-square"
+                    onClick={() => handleCopy(link.token)}
+                    aria-label="Copy link"
+                    title="Copy link"
+                  >
+                    <CopyIcon className="size-4" />
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-sm btn-square text-error"
+                    onClick={() => handleRevoke(link._id)}
+                    disabled={revokingId === link._id}
+                    aria-label="Revoke link"
+                    title="Revoke link"
+                  >
+                    {revokingId === link._id ? (
+                      <LoaderIcon className="size-4 animate-spin" />
+                    ) : (
+                      <Trash2Icon className="size-4" />
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="modal-action">
+          <button type="button" className="btn btn-sm" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview TagFilter component for the Dex Note Taking App frontend.
+ *
+ * This component renders the tag filter in the HomePage sidebar. It lists
+ * every tag returned by `GET /api/notes/tags` with its note count and lets
+ * the user narrow the notes grid down to a single tag.
+ *
+ * Key Features:
+ * - "All tags" entry to clear the filter
+ * - Note count badge next to each tag
+ * - Active tag highlighted with the primary colour
+ * - Horizontal scrolling chips on mobile, vertical list on desktop
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { TagIcon } from 'lucide-react';
+
+/**
+ * TagFilter component that lists tags and reports the selected one.
+ *
+ * The component is purely presentational: HomePage fetches the tag counts,
+ * owns the selected tag, and refetches notes when the selection changes.
+ *
+ * Why keep it presentational?
+ * - Single fetch path: HomePage already coordinates every notes request
+ * - Simple testing: Output depends only on props
+ * - Reusability: Could be reused by any page that lists tags
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{tag: string, count: number}>} props.tags - Tags with note counts
+ * @param {string|null} props.selectedTag - Currently selected tag, or null for all notes
+ * @param {Function} props.onSelect - Called with the tag to filter by, or null to clear
+ * @returns {JSX.Element} The tag filter sidebar
+ *
+ * @see {@link ../pages/HomePage.jsx} HomePage that renders this sidebar
+ * @see {@link ../../../backend/src/controllers/notesController.js} Backend getTags controller
+ */
+const TagFilter = ({ tags, selectedTag, onSelect }) => {
+  /**
+   * Builds the class list for a filter entry based on whether it's active.
+   *
+   * @param {boolean} active - Whether the entry is the current selection
+   * @returns {string} Tailwind/DaisyUI class names
+   */
+  const entryClass = (active) =>
+    `btn btn-sm justify-between flex-nowrap shrink-0 md:w-full touch-manipulation ${
+      active ? 'btn-primary' : 'btn-ghost'
+    }`;
+
+  return (
+    <section>
+      <h2 className="flex items-center gap-2 text-sm font-semibold uppercase tracking-wide text-base-content/60 mb-2 sm:mb-3">
+        <TagIcon className="size-4" />
+        Tags
+      </h2>
+
+      <nav className="flex md:flex-col gap-1.5 overflow-x-auto pb-2 md:pb-0">
+        {/* Entry that clears the tag filter */}
+        <button
+          type="button"
+          className={entryClass(selectedTag === null)}
+          onClick={() => onSelect(null)}
+        >
+          All tags
+        </button>
+
+        {/* One entry per tag with its note count */}
+        {tags.map(({ tag, count }) => (
+          <button
+            key={tag}
+            type="button"
+            className={entryClass(selectedTag === tag)}
+            onClick={() => onSelect(tag)}
+          >
+            <span className="truncate">#{tag}</span>
+            <span className="badge badge-sm badge-neutral">{count}</span>
+          </button>
+        ))}
+
+        {tags.length === 0 && (
+          <p className="text-xs text-base-content/50 md:px-3 py-1">
+            No tags yet
+          </p>
+        )}
+      </nav>
+    </section>
+  );
+};
+
+export default TagFilter;
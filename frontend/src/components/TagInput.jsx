@@ -0,0 +1,146 @@
+/**
+ * @fileoverview TagInput component for the Dex Note Taking App frontend.
+ *
+ * This component provides a chip-style input for editing the tags attached to
+ * a note. Users type a tag and press Enter (or a comma) to add it, and remove
+ * tags with the chip's close button or Backspace on an empty input. It is used
+ * by both the CreatePage and the NoteDetailPage so tag editing behaves the
+ * same everywhere.
+ *
+ * Key Features:
+ * - Enter/comma to commit a tag, Backspace to remove the last one
+ * - Client-side normalization matching the backend (trimmed, lower-case)
+ * - Duplicate prevention so each tag appears once
+ * - Pending text committed on blur so nothing typed is lost
+ * - Touch-friendly remove buttons on each chip
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import { XIcon } from 'lucide-react';
+
+/**
+ * Maximum number of tags allowed on a note (mirrors the backend limit).
+ *
+ * @type {number}
+ */
+const MAX_TAGS = 20;
+
+/**
+ * Normalizes a raw tag string the same way the backend does.
+ *
+ * @param {string} value - Raw text typed by the user
+ * @returns {string} Trimmed, lower-cased tag with collapsed whitespace
+ */
+const normalizeTag = (value) => value.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * TagInput component that edits a list of tags as removable chips.
+ *
+ * This is a controlled component: the parent owns the tags array and receives
+ * a new array through `onChange` whenever a tag is added or removed. The text
+ * currently being typed is kept in local state until it is committed.
+ *
+ * Why a controlled component?
+ * - Form integration: Parent pages already hold title/content state and submit
+ *   everything together, so tags live next to them
+ * - Reusability: The same component works for creating and editing notes
+ * - Predictability: The parent always sees exactly what will be sent to the API
+ *
+ * Keyboard Interaction:
+ * - Enter or comma: Adds the typed tag
+ * - Backspace on empty input: Removes the last tag
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.tags - Current list of tags
+ * @param {Function} props.onChange - Called with the updated tags array
+ * @returns {JSX.Element} The tag input component
+ *
+ * @see {@link ../pages/CreatePage.jsx} CreatePage that uses this input
+ * @see {@link ../pages/NoteDetailPage.jsx} NoteDetailPage that uses this input
+ * @see {@link ../../../backend/src/models/Note.js} Backend normalizeTags implementation
+ */
+const TagInput = ({ tags, onChange }) => {
+  /**
+   * State for the tag text currently being typed.
+   *
+   * @type {string}
+   */
+  const [draft, setDraft] = useState('');
+
+  /**
+   * Commits the typed text as a new tag if it's valid and not a duplicate.
+   *
+   * @function commitDraft
+   * @returns {void}
+   */
+  const commitDraft = () => {
+    const tag = normalizeTag(draft);
+    setDraft('');
+
+    if (!tag || tags.includes(tag) || tags.length >= MAX_TAGS) return;
+    onChange([...tags, tag]);
+  };
+
+  /**
+   * Removes a tag from the list.
+   *
+   * @function removeTag
+   * @param {string} tag - Tag to remove
+   * @returns {void}
+   */
+  const removeTag = (tag) => {
+    onChange(tags.filter((t) => t !== tag));
+  };
+
+  /**
+   * Handles the keyboard shortcuts for committing and removing tags.
+   *
+   * @function handleKeyDown
+   * @param {KeyboardEvent} e - Key event from the text input
+   * @returns {void}
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault(); // don't submit the surrounding form
+      commitDraft();
+    } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  return (
+    <div className="input input-bordered flex flex-wrap items-center gap-1.5 h-auto min-h-12 py-2 w-full">
+      {/* Existing tags rendered as removable chips */}
+      {tags.map((tag) => (
+        <span key={tag} className="badge badge-primary badge-outline gap-1">
+          {tag}
+          <button
+            type="button"
+            onClick={() => removeTag(tag)}
+            aria-label={`Remove tag ${tag}`}
+            className="touch-manipulation"
+          >
+            <XIcon className="size-3" />
+          </button>
+        </span>
+      ))}
+
+      {/* Text input for typing new tags */}
+      <input
+        type="text"
+        className="flex-1 min-w-[8rem] bg-transparent outline-none text-base"
+        placeholder={tags.length ? 'Add another tag' : 'Add tags (press Enter)'}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={commitDraft}
+        disabled={tags.length >= MAX_TAGS}
+      />
+    </div>
+  );
+};
+
+export default TagInput;
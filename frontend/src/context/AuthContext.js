@@ -0,0 +1,28 @@
+/**
+ * @fileoverview React context carrying the authentication state.
+ *
+ * The context object lives in its own module so the provider component file
+ * only exports a component, which keeps Vite's fast refresh working.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { createContext } from 'react';
+
+/**
+ * Authentication context.
+ *
+ * Value shape (provided by AuthProvider):
+ * - user: Signed-in user, or null
+ * - initializing: True until the saved session has been checked
+ * - login(email, password), register(email, password), logout()
+ *
+ * @type {React.Context<Object|null>}
+ *
+ * @see {@link ./AuthProvider.jsx} Provider that supplies the value
+ * @see {@link ../hooks/useAuth.js} Hook that reads the value
+ */
+const AuthContext = createContext(null);
+
+export default AuthContext;
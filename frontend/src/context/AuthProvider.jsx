@@ -0,0 +1,219 @@
+/**
+ * @fileoverview AuthProvider component for the Dex Note Taking App frontend.
+ *
+ * This component owns the signed-in user. On startup it tries to restore the
+ * session from the refresh cookie, so reloading the page doesn't sign the
+ * user out, and it exposes login, register and logout actions to the rest
+ * of the app through AuthContext.
+ *
+ * It also starts the offline storage for whoever is signed in: the last
+ * user is remembered so the app still opens (with the notes kept on the
+ * device) when the server can't be reached at startup.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import AuthContext from './AuthContext';
+import api, {
+  refreshSession,
+  setAccessToken,
+  setSessionExpiredHandler,
+} from '../lib/axios';
+import { normalizeError } from '../lib/apiErrors';
+import { clearOfflineData, setOfflineAccount } from '../lib/offlineStore';
+import { startSyncQueue, stopSyncQueue } from '../lib/syncQueue';
+
+/**
+ * localStorage key of the last signed-in user.
+ *
+ * Only the public profile returned by the auth endpoints is stored, never
+ * a token; it lets the app open offline, but every request still needs a
+ * valid session once the server is reachable.
+ *
+ * @type {string}
+ */
+const LAST_USER_KEY = 'dex-last-user';
+
+/**
+ * Reads the last signed-in user.
+ *
+ * @returns {Object|null} The user, or null
+ */
+const readLastUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LAST_USER_KEY));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * AuthProvider component that makes the authentication state available.
+ *
+ * Why restore the session with a refresh call?
+ * - The access token is only kept in memory and is gone after a reload
+ * - The httpOnly refresh cookie survives reloads but can't be read by
+ *   JavaScript, so asking the backend is the only way to know if it's valid
+ * - If the backend can't be reached at all, the last user is restored
+ *   instead; requests refresh the session on their first 401 once the
+ *   connection is back
+ *
+ * State Management:
+ * - user: Signed-in user returned by the auth endpoints, or null
+ * - initializing: True until the startup refresh has finished
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Application tree
+ * @returns {JSX.Element} Context provider wrapping the children
+ *
+ * @see {@link ../main.jsx} Entry point that renders this provider
+ * @see {@link ../lib/axios.js} API client holding the access token
+ */
+const AuthProvider = ({ children }) => {
+  /**
+   * State for the signed-in user.
+   *
+   * @type {Object|null}
+   */
+  const [user, setUserState] = useState(null);
+
+  /**
+   * Changes the signed-in user.
+   *
+   * The offline storage switches accounts first, in the same call, so the
+   * pages rendered for the new user already read that user's notes from
+   * their first effects.
+   *
+   * @param {Object|null} nextUser - Signed-in user, or null
+   * @returns {void}
+   */
+  const setUser = useCallback((nextUser) => {
+    setOfflineAccount(nextUser?._id ?? null);
+    setUserState(nextUser);
+  }, []);
+
+  /**
+   * State for tracking the startup session check.
+   *
+   * Protected routes wait for this instead of redirecting to /login while
+   * the session is still being restored.
+   *
+   * @type {boolean}
+   */
+  const [initializing, setInitializing] = useState(true);
+
+  /**
+   * useEffect hook for restoring the session and watching for its expiry.
+   */
+  useEffect(() => {
+    setSessionExpiredHandler(() => setUser(null));
+
+    refreshSession()
+      .then((data) => setUser(data.user))
+      .catch((error) =>
+        setUser(normalizeError(error).isNetworkError ? readLastUser() : null)
+      )
+      .finally(() => setInitializing(false));
+
+    return () => setSessionExpiredHandler(() => {});
+  }, [setUser]);
+
+  /**
+   * useEffect hook for remembering the signed-in user.
+   */
+  useEffect(() => {
+    if (user) localStorage.setItem(LAST_USER_KEY, JSON.stringify(user));
+  }, [user]);
+
+  /**
+   * useEffect hook for running the offline change queue while signed in.
+   */
+  const userId = user?._id;
+  useEffect(() => {
+    if (!userId) return;
+    startSyncQueue();
+    return stopSyncQueue;
+  }, [userId]);
+
+  /**
+   * Stores the session returned by login or registration.
+   *
+   * @param {Object} data - `{ user, accessToken }` response body
+   * @returns {Object} The signed-in user
+   */
+  const startSession = useCallback(
+    (data) => {
+      setAccessToken(data.accessToken);
+      setUser(data.user);
+      return data.user;
+    },
+    [setUser]
+  );
+
+  /**
+   * Signs in with email and password.
+   *
+   * @async
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Promise<Object>} The signed-in user; rejects with the axios error
+   */
+  const login = useCallback(
+    async (email, password) => {
+      const res = await api.post('/auth/login', { email, password });
+      return startSession(res.data);
+    },
+    [startSession]
+  );
+
+  /**
+   * Creates an account and signs in.
+   *
+   * @async
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Promise<Object>} The new user; rejects with the axios error
+   */
+  const register = useCallback(
+    async (email, password) => {
+      const res = await api.post('/auth/register', { email, password });
+      return startSession(res.data);
+    },
+    [startSession]
+  );
+
+  /**
+   * Signs out locally and ends the session on the server.
+   *
+   * The local state is cleared even if the request fails, so the user is
+   * never stuck signed in because the network is down. The notes kept on
+   * the device go too, including changes that never synced: a signed-out
+   * browser shouldn't hold anyone's notes.
+   *
+   * @async
+   * @returns {Promise<void>} Resolves once the user is signed out
+   */
+  const logout = useCallback(async () => {
+    try {
+      await api.post('/auth/logout');
+    } catch {
+      // The session expires on its own if the server can't be reached
+    } finally {
+      setAccessToken(null);
+      localStorage.removeItem(LAST_USER_KEY);
+      if (user) await clearOfflineData(user._id);
+      setUser(null);
+    }
+  }, [user, setUser]);
+
+  const value = useMemo(
+    () => ({ user, initializing, login, register, logout }),
+    [user, initializing, login, register, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview useAttachments hook for the Dex Note Taking App frontend.
+ *
+ * This hook attaches files to the note open in the editor, whether they are
+ * picked, pasted or dropped on it, shows the progress of each upload, and
+ * removes attachments again.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../lib/axios';
+import { getErrorMessage } from '../lib/apiErrors';
+import {
+  MAX_ATTACHMENT_MB,
+  namePastedFile,
+  uploadAttachment,
+} from '../lib/attachments';
+import { isLocalNoteId } from '../lib/syncQueue';
+
+/**
+ * Attachment uploads and removals for the editor's note.
+ *
+ * Attachments are saved on their own rather than with the note's fields,
+ * so they are added to and removed from the note state directly.
+ *
+ * @param {string} id - ID of the open note
+ * @param {Function} setNote - Setter of the editor's note state
+ * @returns {{
+ *   uploads: Array<{id: string, name: string, progress: number}>,
+ *   dragOver: boolean,
+ *   attach: Function,
+ *   removeAttachment: Function,
+ *   handlePaste: Function,
+ *   dropHandlers: Object<string, Function>
+ * }} Uploads in progress and handlers for the editor
+ *
+ * @example
+ * const { handlePaste, dropHandlers } = useAttachments(id, setNote);
+ * <div onPaste={handlePaste} {...dropHandlers}>...</div>
+ *
+ * @see {@link ../components/AttachmentList.jsx} List that shows them
+ * @see {@link ../../../backend/src/controllers/attachmentsController.js} Backend attachment controllers
+ */
+const useAttachments = (id, setNote) => {
+  /**
+   * Attachment uploads in progress: `{ id, name, progress }`.
+   *
+   * @type {Array<Object>}
+   */
+  const [uploads, setUploads] = useState([]);
+
+  /**
+   * Whether files are being dragged over the editor.
+   *
+   * @type {boolean}
+   */
+  const [dragOver, setDragOver] = useState(false);
+
+  /**
+   * Uploads files as attachments of the note, side by side.
+   *
+   * Each upload shows its progress in the attachment list until it is done.
+   * Files over the size limit are turned away before uploading.
+   *
+   * @async
+   * @function attach
+   * @param {Array<File>} files - Files picked, pasted or dropped
+   * @returns {Promise<void>} Resolves when every upload is done or failed
+   */
+  const attach = async (files) => {
+    if (isLocalNoteId(id)) {
+      toast.error('Files can be attached once this note has synced');
+      return;
+    }
+    const accepted = files.filter((file) => {
+      if (file.size <= MAX_ATTACHMENT_MB * 1024 * 1024) return true;
+      toast.error(`${file.name} is larger than ${MAX_ATTACHMENT_MB} MB`);
+      return false;
+    });
+
+    await Promise.all(
+      accepted.map(async (file) => {
+        const uploadId = crypto.randomUUID();
+        setUploads((prev) => [
+          ...prev,
+          { id: uploadId, name: file.name, progress: 0 },
+        ]);
+        try {
+          const attachment = await uploadAttachment(id, file, (progress) =>
+            setUploads((prev) =>
+              prev.map((upload) =>
+                upload.id === uploadId ? { ...upload, progress } : upload
+              )
+            )
+          );
+          // The note event may have added it already
+          setNote((prev) =>
+            prev.attachments?.some((entry) => entry._id === attachment._id)
+              ? prev
+              : {
+                  ...prev,
+                  attachments: [...(prev.attachments ?? []), attachment],
+                }
+          );
+        } catch (error) {
+          toast.error(getErrorMessage(error, `Failed to attach ${file.name}`));
+        } finally {
+          setUploads((prev) => prev.filter((upload) => upload.id !== uploadId));
+        }
+      })
+    );
+  };
+
+  /**
+   * Removes an attachment after confirming, putting it back if that fails.
+   *
+   * Unlike the note itself, a removed attachment can't be restored, hence
+   * the confirmation.
+   *
+   * @async
+   * @function removeAttachment
+   * @param {Object} attachment - Attachment to remove
+   * @returns {Promise<void>}
+   */
+  const removeAttachment = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.filename} from this note?`)) {
+      return;
+    }
+    const without = (list = []) =>
+      list.filter((entry) => entry._id !== attachment._id);
+    setNote((prev) => ({ ...prev, attachments: without(prev.attachments) }));
+    try {
+      await api.delete(`/notes/${id}/attachments/${attachment._id}`);
+    } catch (error) {
+      setNote((prev) => ({
+        ...prev,
+        attachments: [...without(prev.attachments), attachment],
+      }));
+      toast.error(getErrorMessage(error, 'Failed to remove the attachment'));
+    }
+  };
+
+  /**
+   * Attaches files pasted into the editor, such as screenshots.
+   *
+   * Pasted text is left alone, even when it comes with an image (copying
+   * from a word processor can put both on the clipboard).
+   *
+   * @function handlePaste
+   * @param {ClipboardEvent} e - Paste event from anywhere in the editor card
+   * @returns {void}
+   */
+  const handlePaste = (e) => {
+    const { clipboardData } = e;
+    if (
+      clipboardData.files.length === 0 ||
+      clipboardData.types.includes('text/plain')
+    ) {
+      return;
+    }
+    e.preventDefault();
+    attach(Array.from(clipboardData.files, (file) => namePastedFile(file)));
+  };
+
+  /**
+   * Drag-and-drop handlers that attach files dropped on the editor card.
+   * Drags of anything but files, like a checklist item or selected text,
+   * are ignored.
+   *
+   * @type {Object<string, Function>}
+   */
+  const dropHandlers = {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      setDragOver(true);
+    },
+    onDragLeave: (e) => {
+      // Moving onto a child element also fires dragleave on the card
+      if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(false);
+    },
+    onDrop: (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      setDragOver(false);
+      attach(Array.from(e.dataTransfer.files));
+    },
+  };
+
+  return {
+    uploads,
+    dragOver,
+    attach,
+    removeAttachment,
+    handlePaste,
+    dropHandlers,
+  };
+};
+
+export default useAttachments;
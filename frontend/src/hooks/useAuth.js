@@ -0,0 +1,31 @@
+/**
+ * @fileoverview useAuth hook for the Dex Note Taking App frontend.
+ *
+ * Components call this hook to get the signed-in user and the login,
+ * register and logout actions without importing the context directly.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useContext } from 'react';
+import AuthContext from '../context/AuthContext';
+
+/**
+ * Returns the authentication state and actions from AuthProvider.
+ *
+ * @returns {{user: Object|null, initializing: boolean, login: Function, register: Function, logout: Function}}
+ * @throws {Error} If used outside AuthProvider
+ *
+ * @example
+ * const { user, logout } = useAuth();
+ *
+ * @see {@link ../context/AuthProvider.jsx} Provider that supplies the state
+ */
+const useAuth = () => {
+  const auth = useContext(AuthContext);
+  if (!auth) throw new Error('useAuth must be used inside AuthProvider');
+  return auth;
+};
+
+export default useAuth;
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview useChecklistItems hook for the Dex Note Taking App frontend.
+ *
+ * This hook edits the items of the checklist open in the editor: items are
+ * ticked off, added, removed and reordered in place and saved one change at
+ * a time, and the note can be converted between a text note and a
+ * checklist.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../lib/axios';
+import { getErrorMessage, normalizeError } from '../lib/apiErrors';
+import { checklistToMarkdown, parseChecklist } from '../lib/checklist';
+import { cacheNotes } from '../lib/offlineStore';
+
+/**
+ * Checklist item handlers and conversion for the editor's note.
+ *
+ * Item changes are saved on their own, like the reminder, and need a
+ * connection. They go through the save queue of useNoteSave, behind any
+ * save in flight, and each response becomes the base for the next save.
+ *
+ * @param {string} id - ID of the open note
+ * @param {Object|null} note - Note state of the editor
+ * @param {Function} setNote - Setter of that state
+ * @param {Object} save - Save pipeline returned by useNoteSave
+ * @returns {{
+ *   itemHandlers: Object<string, Function>,
+ *   mergeItems: Function,
+ *   converting: boolean,
+ *   convert: Function
+ * }} Item handlers, conversion and its progress
+ *
+ * @example
+ * const { itemHandlers } = useChecklistItems(id, note, setNote, save);
+ * <ChecklistEditor items={note.items} {...itemHandlers} />
+ *
+ * @see {@link ./useNoteSave.js} Save pipeline the changes are queued on
+ * @see {@link ../components/ChecklistEditor.jsx} Editor that calls the handlers
+ * @see {@link ../../../backend/src/controllers/checklistController.js} Backend checklist controllers
+ */
+const useChecklistItems = (id, note, setNote, save) => {
+  const { queueTask, setBaseEtag, saveNote, putNote, loadVersion } = save;
+
+  /**
+   * Checklist items as last confirmed by the server, put back when a change
+   * to them fails.
+   *
+   * @type {React.MutableRefObject<Array<Object>>}
+   */
+  const serverItemsRef = useRef([]);
+
+  /**
+   * Number of checklist item changes still waiting for the server. Items
+   * are only replaced by the server's copy once none are left, so a later
+   * change doesn't flicker back while an earlier one is answered.
+   *
+   * @type {React.MutableRefObject<number>}
+   */
+  const pendingItemsRef = useRef(0);
+
+  /**
+   * Server IDs of items added on this page, by their temporary IDs, for
+   * changes made to an item before its add was answered.
+   *
+   * @type {React.MutableRefObject<Map<string, string>>}
+   */
+  const itemIdsRef = useRef(new Map());
+
+  /**
+   * Whether the note is being converted between text and checklist.
+   *
+   * @type {boolean}
+   */
+  const [converting, setConverting] = useState(false);
+
+  useEffect(() => {
+    if (note && !pendingItemsRef.current)
+      serverItemsRef.current = note.items ?? [];
+  }, [note]);
+
+  /**
+   * Applies a change to the checklist's items right away and sends it to
+   * the server behind any save in flight.
+   *
+   * Once the last pending change is answered the items become the server's
+   * copy, which also brings in changes made elsewhere; if a change fails,
+   * the items go back to the last confirmed copy.
+   *
+   * @function changeItems
+   * @param {Function} apply - Receives the current items, returns the new list
+   * @param {Function} request - Sends the change; resolves with the response
+   * @returns {void}
+   */
+  const changeItems = (apply, request) => {
+    setNote((prev) => ({ ...prev, items: apply(prev.items ?? []) }));
+    pendingItemsRef.current += 1;
+
+    queueTask(async () => {
+      try {
+        const res = await request();
+        setBaseEtag(res.headers.etag);
+        serverItemsRef.current = res.data.items;
+        cacheNotes([res.data]);
+      } catch (error) {
+        toast.error(getErrorMessage(error, 'Failed to update the checklist'), {
+          id: 'checklist-error',
+        });
+      } finally {
+        pendingItemsRef.current -= 1;
+        if (!pendingItemsRef.current)
+          setNote((prev) => ({ ...prev, items: serverItemsRef.current }));
+      }
+    });
+  };
+
+  /**
+   * Server ID of an item, for one added on this page before its ID was known.
+   *
+   * @param {string} itemId - Item ID as the editor knows it
+   * @returns {string} ID to send to the server
+   */
+  const serverItemId = (itemId) => itemIdsRef.current.get(itemId) ?? itemId;
+
+  /**
+   * Checklist editor callbacks, each applied at once and saved through
+   * `changeItems`.
+   *
+   * @type {Object<string, Function>}
+   */
+  const itemHandlers = {
+    onAdd: (text, position) => {
+      const tempId = `pending-${crypto.randomUUID()}`;
+      changeItems(
+        (items) => {
+          const next = [...items];
+          next.splice(position, 0, {
+            _id: tempId,
+            text,
+            done: false,
+            pending: true,
+          });
+          return next;
+        },
+        async () => {
+          const known = new Set(serverItemsRef.current.map((item) => item._id));
+          const res = await api.post(`/notes/${id}/items`, { text, position });
+          const added = res.data.items.find(
+            (item) => !known.has(item._id) && item.text === text
+          );
+          if (added) itemIdsRef.current.set(tempId, added._id);
+          return res;
+        }
+      );
+    },
+    onUpdate: (itemId, changes) =>
+      changeItems(
+        (items) =>
+          items.map((item) =>
+            item._id === itemId ? { ...item, ...changes } : item
+          ),
+        () => api.patch(`/notes/${id}/items/${serverItemId(itemId)}`, changes)
+      ),
+    onRemove: (itemId) =>
+      changeItems(
+        (items) => items.filter((item) => item._id !== itemId),
+        () => api.delete(`/notes/${id}/items/${serverItemId(itemId)}`)
+      ),
+    onReorder: (itemIds) =>
+      changeItems(
+        (items) =>
+          itemIds
+            .map((itemId) => items.find((item) => item._id === itemId))
+            .filter(Boolean),
+        () =>
+          api.put(`/notes/${id}/items/order`, {
+            itemIds: itemIds.map(serverItemId),
+          })
+      ),
+  };
+
+  /**
+   * Takes the items of a version saved elsewhere, unless changes made here
+   * are still waiting for the server.
+   *
+   * @function mergeItems
+   * @param {Array<Object>} items - Items of that version
+   * @returns {void}
+   */
+  const mergeItems = useCallback(
+    (items) => {
+      if (!pendingItemsRef.current)
+        setNote((prev) => prev && { ...prev, items });
+    },
+    [setNote]
+  );
+
+  /**
+   * Turns a text note into a checklist, or a checklist back into text.
+   *
+   * Markdown list lines of the content become items (ticked off for
+   * `- [x]`) and the rest stays as the checklist's notes; going back, the
+   * items are written after the notes as a Markdown task list. Pending
+   * edits are saved first, then the conversion is saved like any other
+   * edit, so it shows up in the revision history and can conflict.
+   *
+   * @async
+   * @function convert
+   * @returns {Promise<void>} Resolves when the conversion is saved or failed
+   *
+   * @see {@link ../../../backend/src/controllers/notesController.js} Backend updateNote controller
+   */
+  const convert = async () => {
+    setConverting(true);
+    const status = await saveNote(false);
+    if (status !== 'saved') {
+      setConverting(false);
+      toast.error('Save your changes before converting the note');
+      return;
+    }
+
+    await queueTask(async (current) => {
+      const toChecklist = current.type !== 'checklist';
+      const body = toChecklist
+        ? { type: 'checklist', ...parseChecklist(current.content) }
+        : {
+            type: 'text',
+            content: checklistToMarkdown(current.content, current.items ?? []),
+          };
+
+      try {
+        const res = await putNote(body);
+        loadVersion(res.data, res.headers.etag);
+        cacheNotes([res.data]);
+        toast.success(
+          toChecklist ? 'Converted to a checklist' : 'Converted to a text note'
+        );
+      } catch (error) {
+        toast.error(
+          normalizeError(error).status === 409
+            ? 'This note was changed elsewhere. Load the latest version first'
+            : getErrorMessage(error, 'Failed to convert the note')
+        );
+      }
+    });
+    setConverting(false);
+  };
+
+  return { itemHandlers, mergeItems, converting, convert };
+};
+
+export default useChecklistItems;
@@ -0,0 +1,353 @@
+/**
+ * @fileoverview useCollaboration hook for the Dex Note Taking App frontend.
+ *
+ * This hook makes a note's content a shared Yjs document: edits from every
+ * tab and device the owner has the note open in merge live, each one's
+ * cursor is visible to the others, and a local copy in IndexedDB keeps the
+ * note editable offline. Only the owner can join, so it is not a way for
+ * several people to edit together.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import {
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from 'react';
+import * as Y from 'yjs';
+import { Awareness } from 'y-protocols/awareness';
+import { IndexeddbPersistence } from 'y-indexeddb';
+import { createCollabProvider } from '../lib/collabProvider';
+
+/**
+ * How long to wait for the first sync before giving up on collaboration
+ * for this visit and editing over plain REST saves instead.
+ *
+ * @type {number}
+ */
+const COLLAB_TIMEOUT_MS = 8000;
+
+/**
+ * Cursor colors, picked per Yjs client so each editor keeps its color.
+ *
+ * @type {Array<string>}
+ */
+const CURSOR_COLORS = [
+  '#e11d48',
+  '#2563eb',
+  '#16a34a',
+  '#d97706',
+  '#9333ea',
+  '#0891b2',
+  '#db2777',
+  '#65a30d',
+];
+
+/**
+ * Describes the current browser, e.g. "Firefox on Linux".
+ *
+ * Everyone in a note's session is its owner, in another tab or on another
+ * device, so the device is what tells them apart.
+ *
+ * @returns {string} Short browser and platform label
+ */
+const deviceLabel = () => {
+  const agent = navigator.userAgent;
+  const browser =
+    [
+      ['Edg/', 'Edge'],
+      ['Firefox/', 'Firefox'],
+      ['Chrome/', 'Chrome'],
+      ['Safari/', 'Safari'],
+    ].find(([token]) => agent.includes(token))?.[1] ?? 'Browser';
+  const platform =
+    [
+      ['Android', 'Android'],
+      ['iPhone', 'iOS'],
+      ['iPad', 'iOS'],
+      ['Windows', 'Windows'],
+      ['Mac OS', 'macOS'],
+      ['Linux', 'Linux'],
+    ].find(([token]) => agent.includes(token))?.[1] ?? null;
+  return platform ? `${browser} on ${platform}` : browser;
+};
+
+/**
+ * Replaces the text of a `Y.Text` with `value` as a single edit.
+ *
+ * A textarea only reports its new value, so the edit is recovered by
+ * trimming the common prefix and suffix; edits elsewhere by collaborators
+ * are left alone.
+ *
+ * @param {Y.Text} ytext - Shared text
+ * @param {string} value - New textarea value
+ * @returns {void}
+ */
+const replaceText = (ytext, value) => {
+  const current = ytext.toString();
+  if (current === value) return;
+
+  let start = 0;
+  while (
+    start < current.length &&
+    start < value.length &&
+    current[start] === value[start]
+  ) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < current.length - start &&
+    end < value.length - start &&
+    current[current.length - 1 - end] === value[value.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  ytext.delete(start, current.length - start - end);
+  ytext.insert(start, value.slice(start, value.length - end));
+};
+
+/**
+ * Resolves a relative position stored in awareness to a text index.
+ *
+ * @param {Object|null} json - Relative position as JSON
+ * @param {Y.Doc} doc - Document it points into
+ * @returns {number|null} Index in the text, or null if it can't be resolved
+ */
+const toIndex = (json, doc) => {
+  if (!json) return null;
+  const position = Y.createAbsolutePositionFromRelativePosition(
+    Y.createRelativePositionFromJSON(json),
+    doc
+  );
+  return position?.index ?? null;
+};
+
+/**
+ * Shares a note's content between every editor that has it open.
+ *
+ * Lifecycle:
+ * - The local IndexedDB copy loads first; if there is one, the editor is
+ *   ready at once, even offline
+ * - Otherwise the editor waits for the first sync with the server, and
+ *   falls back to REST editing (`unavailable`) if that doesn't happen
+ *   within `COLLAB_TIMEOUT_MS`
+ * - The document is never seeded from the note's REST content: it has to
+ *   share its history with the server's copy, or merging would duplicate
+ *   the text
+ *
+ * Why track the selection as Yjs relative positions?
+ * - A remote edit re-renders the textarea, which moves the caret to the
+ *   end; relative positions survive the edit and put the caret (and the
+ *   cursor shown to others) back where it belongs
+ *
+ * @param {string|null} noteId - Note being edited; null for a note the
+ *   server doesn't know yet (created offline), which can't be shared
+ * @param {Object} user - Signed-in user, used to keep local copies per account
+ * @param {React.RefObject<HTMLTextAreaElement>} textareaRef - Content textarea
+ * @returns {{content: string|null, ready: boolean, unavailable: boolean, status: string, peers: Array<Object>, setContent: Function, updateCursor: Function}}
+ *   Shared content (null until ready), connection status (see
+ *   `createCollabProvider`), other editors with their color and cursor
+ *   index, and functions to apply a textarea edit or selection change
+ *
+ * @example
+ * const collab = useCollaboration(id, user, textareaRef);
+ * <textarea value={collab.content} onChange={(e) => collab.setContent(e.target.value)} />
+ *
+ * @see {@link ../lib/collabProvider.js} WebSocket client
+ * @see {@link ../pages/NoteDetailPage.jsx} Page that edits with this hook
+ */
+const useCollaboration = (noteId, user, textareaRef) => {
+  const [content, setContentState] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [unavailable, setUnavailable] = useState(false);
+  const [status, setStatus] = useState('connecting');
+  const [peers, setPeers] = useState([]);
+
+  /**
+   * Document, text and presence of the current session.
+   *
+   * @type {React.MutableRefObject<Object|null>}
+   */
+  const sessionRef = useRef(null);
+
+  /**
+   * Local selection as relative positions, kept across remote edits.
+   *
+   * @type {React.MutableRefObject<{anchor: Object, head: Object}|null>}
+   */
+  const selectionRef = useRef(null);
+
+  /**
+   * Selection to restore after the next render, set by remote edits.
+   *
+   * @type {React.MutableRefObject<{start: number, end: number}|null>}
+   */
+  const restoreSelectionRef = useRef(null);
+
+  const userId = user?._id;
+
+  useEffect(() => {
+    setContentState(null);
+    setReady(false);
+    setUnavailable(false);
+    setStatus('connecting');
+    setPeers([]);
+    selectionRef.current = null;
+
+    if (!noteId) {
+      setUnavailable(true);
+      return;
+    }
+
+    const doc = new Y.Doc();
+    const text = doc.getText('content');
+    const awareness = new Awareness(doc);
+    awareness.setLocalStateField('user', {
+      name: deviceLabel(),
+      color: CURSOR_COLORS[doc.clientID % CURSOR_COLORS.length],
+    });
+    sessionRef.current = { doc, text, awareness };
+
+    const updatePeers = () => {
+      const others = [];
+      awareness.getStates().forEach((state, clientId) => {
+        if (clientId === doc.clientID || !state.user) return;
+        others.push({
+          clientId,
+          name: state.user.name,
+          color: state.user.color,
+          cursor: toIndex(state.cursor?.head, doc),
+        });
+      });
+      setPeers(others);
+    };
+
+    let isReady = false;
+    const markReady = () => {
+      if (isReady) return;
+      isReady = true;
+      clearTimeout(fallbackTimer);
+      setContentState(text.toString());
+      setReady(true);
+    };
+
+    const handleTextChange = (event) => {
+      setContentState(text.toString());
+      updatePeers();
+
+      const selection = selectionRef.current;
+      if (event.transaction.local || !selection) return;
+      const start = toIndex(selection.anchor, doc);
+      const end = toIndex(selection.head, doc);
+      if (start !== null && end !== null) {
+        restoreSelectionRef.current = { start, end };
+      }
+    };
+
+    text.observe(handleTextChange);
+    awareness.on('change', updatePeers);
+
+    const local = new IndexeddbPersistence(`dex-note:${userId}:${noteId}`, doc);
+    local.whenSynced.then(() => {
+      // Only a copy that has synced with the server before is worth using
+      if (doc.store.clients.size > 0) markReady();
+    });
+
+    const provider = createCollabProvider(noteId, doc, awareness, {
+      onStatus: setStatus,
+      onSynced: markReady,
+    });
+
+    const fallbackTimer = setTimeout(() => {
+      if (isReady) return;
+      provider.destroy();
+      setUnavailable(true);
+    }, COLLAB_TIMEOUT_MS);
+
+    return () => {
+      clearTimeout(fallbackTimer);
+      provider.destroy();
+      local.destroy();
+      text.unobserve(handleTextChange);
+      awareness.destroy();
+      doc.destroy();
+      sessionRef.current = null;
+    };
+  }, [noteId, userId]);
+
+  // Put the caret back after a remote edit re-rendered the textarea
+  useLayoutEffect(() => {
+    const selection = restoreSelectionRef.current;
+    const textarea = textareaRef.current;
+    restoreSelectionRef.current = null;
+    if (!selection || !textarea || document.activeElement !== textarea) return;
+    textarea.setSelectionRange(
+      Math.min(selection.start, selection.end),
+      Math.max(selection.start, selection.end),
+      selection.start > selection.end ? 'backward' : 'forward'
+    );
+  }, [content, textareaRef]);
+
+  /**
+   * Records the textarea's selection and shares it as this editor's cursor.
+   *
+   * @function updateCursor
+   * @returns {void}
+   */
+  const updateCursor = useCallback(() => {
+    const session = sessionRef.current;
+    const textarea = textareaRef.current;
+    if (!session || !textarea) return;
+
+    const backward = textarea.selectionDirection === 'backward';
+    const anchor = Y.createRelativePositionFromTypeIndex(
+      session.text,
+      backward ? textarea.selectionEnd : textarea.selectionStart
+    );
+    const head = Y.createRelativePositionFromTypeIndex(
+      session.text,
+      backward ? textarea.selectionStart : textarea.selectionEnd
+    );
+    const cursor = {
+      anchor: Y.relativePositionToJSON(anchor),
+      head: Y.relativePositionToJSON(head),
+    };
+    selectionRef.current = cursor;
+    session.awareness.setLocalStateField('cursor', cursor);
+  }, [textareaRef]);
+
+  /**
+   * Applies a textarea edit to the shared text.
+   *
+   * @function setContent
+   * @param {string} value - New textarea value
+   * @returns {void}
+   */
+  const setContent = useCallback(
+    (value) => {
+      const session = sessionRef.current;
+      if (!session) return;
+      session.doc.transact(() => replaceText(session.text, value));
+      updateCursor();
+    },
+    [updateCursor]
+  );
+
+  return {
+    content,
+    ready,
+    unavailable,
+    status,
+    peers,
+    setContent,
+    updateCursor,
+  };
+};
+
+export default useCollaboration;
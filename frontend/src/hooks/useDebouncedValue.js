@@ -0,0 +1,43 @@
+/**
+ * @fileoverview useDebouncedValue hook for the Dex Note Taking App frontend.
+ *
+ * This hook delays propagating a rapidly changing value (such as the text in
+ * a search box) until it has stopped changing for a short period. Components
+ * use the debounced value to trigger API requests, so typing "budget" sends
+ * one search request instead of six.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+
+/**
+ * Returns a copy of `value` that only updates after `delay` ms of inactivity.
+ *
+ * Why debounce in a hook?
+ * - Rate limits: The backend is rate limited, so per-keystroke requests
+ *   would quickly hit 429 responses
+ * - Reusability: Any component can debounce a value with one line
+ * - Cleanup: The pending timer is cleared automatically on change and unmount
+ *
+ * @param {*} value - Value to debounce
+ * @param {number} [delay=300] - Quiet period in milliseconds
+ * @returns {*} The debounced value
+ *
+ * @example
+ * const debouncedQuery = useDebouncedValue(query, 300);
+ * useEffect(() => { search(debouncedQuery); }, [debouncedQuery]);
+ */
+const useDebouncedValue = (value, delay = 300) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
+
+export default useDebouncedValue;
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview useDraft hook for the Dex Note Taking App frontend.
+ *
+ * This hook keeps a piece of form state mirrored in localStorage, so an
+ * unfinished note survives a reload, a closed tab or a crashed browser and
+ * is filled back in the next time the form opens.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * Delay in milliseconds between the last change and writing the draft.
+ *
+ * @type {number}
+ */
+const DRAFT_SAVE_DELAY_MS = 500;
+
+/**
+ * Reads a stored draft, ignoring missing or corrupted entries.
+ *
+ * @param {string} key - localStorage key
+ * @returns {Object|null} Stored draft, or null
+ */
+const readDraft = (key) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Writes a draft, or removes it when it is empty.
+ *
+ * Storage errors (quota exceeded, private mode) are ignored: losing the
+ * draft backup must never break the form itself.
+ *
+ * @param {string} key - localStorage key
+ * @param {Object} draft - Draft to store
+ * @param {Function} isEmpty - Returns true when the draft isn't worth keeping
+ * @returns {void}
+ */
+const writeDraft = (key, draft, isEmpty) => {
+  try {
+    if (isEmpty(draft)) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(draft));
+  } catch {
+    // Drafts are best-effort
+  }
+};
+
+/**
+ * Form state that is debounced into localStorage and restored on mount.
+ *
+ * Why debounce?
+ * - Serializing a long note on every keystroke is wasted work
+ * - Pending changes are still flushed when the component unmounts or the
+ *   page is hidden, so the last keystrokes are never lost
+ *
+ * @param {string} key - localStorage key (include the user ID so drafts
+ *   aren't shared between accounts on one browser)
+ * @param {Object} emptyDraft - Initial value when nothing is stored
+ * @param {Function} isEmpty - Returns true for drafts that shouldn't be kept
+ * @returns {{draft: Object, setDraft: Function, clearDraft: Function, restored: boolean}}
+ *   Current draft, a merge-style updater (taking the changes, or a function
+ *   from the current draft to the changes), a reset that also removes the
+ *   stored copy, and whether a stored draft was loaded on mount
+ *
+ * @example
+ * const { draft, setDraft, clearDraft } = useDraft('draft:new', { title: '' }, (d) => !d.title);
+ * setDraft({ title: 'Hello' });
+ * setDraft((prev) => ({ title: prev.title.trim() }));
+ *
+ * @see {@link ../pages/CreatePage.jsx} Create page that keeps its form as a draft
+ */
+const useDraft = (key, emptyDraft, isEmpty) => {
+  const [initial] = useState(() => {
+    const stored = readDraft(key);
+    return { draft: { ...emptyDraft, ...stored }, restored: Boolean(stored) };
+  });
+  const [draft, setDraftState] = useState(initial.draft);
+
+  const latestRef = useRef({ key, draft, isEmpty, pending: false });
+
+  const flush = useCallback(() => {
+    const latest = latestRef.current;
+    if (!latest.pending) return;
+    writeDraft(latest.key, latest.draft, latest.isEmpty);
+    latest.pending = false;
+  }, []);
+
+  // Debounced write after each change
+  useEffect(() => {
+    latestRef.current = {
+      key,
+      draft,
+      isEmpty,
+      pending: latestRef.current.pending,
+    };
+    const timer = setTimeout(flush, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [key, draft, isEmpty, flush]);
+
+  // Flush on unmount and when the page is hidden or closed
+  useEffect(() => {
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, [flush]);
+
+  const setDraft = useCallback((changes) => {
+    latestRef.current.pending = true;
+    setDraftState((prev) => ({
+      ...prev,
+      ...(typeof changes === 'function' ? changes(prev) : changes),
+    }));
+  }, []);
+
+  const clearDraft = useCallback(() => {
+    latestRef.current.pending = false;
+    setDraftState(emptyDraft);
+    try {
+      localStorage.removeItem(key);
+    } catch {
+      // Drafts are best-effort
+    }
+  }, [key, emptyDraft]);
+
+  return { draft, setDraft, clearDraft, restored: initial.restored };
+};
+
+export default useDraft;
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview useInfiniteScroll hook for the Dex Note Taking App frontend.
+ *
+ * This hook watches a sentinel element placed after the last item of a list
+ * and calls `onLoadMore` when that element scrolls into view. The HomePage
+ * uses it to fetch the next page of notes as the grid reaches the bottom.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useEffect, useRef } from 'react';
+
+/**
+ * Calls `onLoadMore` whenever the returned sentinel ref becomes visible.
+ *
+ * Why IntersectionObserver?
+ * - Performance: No scroll listeners firing on every frame
+ * - Prefetching: `rootMargin` starts loading before the user hits the end
+ * - Simplicity: Works with any scroll container, including the window
+ *
+ * The observer is disconnected while `enabled` is false (for example while
+ * a page is already loading or when there are no more pages), so at most one
+ * page request is in flight at a time.
+ *
+ * @param {Object} options - Hook options
+ * @param {boolean} options.enabled - Whether more items can be loaded right now
+ * @param {Function} options.onLoadMore - Called when the sentinel becomes visible
+ * @param {string} [options.rootMargin='400px'] - How early to trigger loading
+ * @returns {React.RefObject<HTMLElement>} Ref to attach to the sentinel element
+ *
+ * @example
+ * const sentinelRef = useInfiniteScroll({ enabled: !!nextCursor, onLoadMore });
+ * return <div ref={sentinelRef} />;
+ */
+const useInfiniteScroll = ({ enabled, onLoadMore, rootMargin = '400px' }) => {
+  const sentinelRef = useRef(null);
+
+  /**
+   * Ref holding the latest callback so the observer doesn't need to be
+   * recreated every time the parent re-renders with a new function.
+   */
+  const onLoadMoreRef = useRef(onLoadMore);
+
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  }, [onLoadMore]);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          onLoadMoreRef.current();
+        }
+      },
+      { rootMargin }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled, rootMargin]);
+
+  return sentinelRef;
+};
+
+export default useInfiniteScroll;
@@ -0,0 +1,595 @@
+/**
+ * @fileoverview useNoteListing hook for the Dex Note Taking App frontend.
+ *
+ * This hook loads the HomePage's notes grid and sidebar: the notes for the
+ * selected tag, notebook and view page by page, the tag and notebook
+ * counts, and the copy kept on the device when the server can't be
+ * reached. It keeps the listing current as notes change elsewhere and as
+ * offline changes sync, and switches to a countdown when rate limited.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../lib/axios';
+import { getErrorMessage, normalizeError } from '../lib/apiErrors';
+import {
+  cacheMeta,
+  cacheNotes,
+  getCachedMeta,
+  getCachedNotes,
+  removeCachedNote,
+} from '../lib/offlineStore';
+import {
+  hasQueuedChanges,
+  isLocalNoteId,
+  subscribeToSyncResults,
+} from '../lib/syncQueue';
+
+/**
+ * Number of notes requested per page from `GET /notes`.
+ *
+ * @type {number}
+ */
+const PAGE_SIZE = 24;
+
+/**
+ * Countdown length used when a 429 arrives without a `Retry-After` header.
+ *
+ * @type {number}
+ */
+const DEFAULT_RETRY_AFTER_SECONDS = 10;
+
+/**
+ * Quiet period after a note event before the sidebar counts are reloaded.
+ *
+ * A bulk change elsewhere arrives as one event per note; waiting for the
+ * burst to end reloads the tag and notebook counts once instead of per note.
+ *
+ * @type {number}
+ */
+const SIDEBAR_REFRESH_DELAY_MS = 1000;
+
+/**
+ * Inserts a note into a listing ordered newest first.
+ *
+ * Pinned notes go to the front (HomePage shows them in their own section
+ * anyway). Other notes go before the first older unpinned note; a note
+ * older than everything loaded is only appended when the listing is
+ * complete, since otherwise it belongs on a page that hasn't been fetched.
+ *
+ * @param {Array<Object>} notes - Loaded notes
+ * @param {Object} note - Note to insert
+ * @param {boolean} complete - Whether every page has been loaded
+ * @returns {Array<Object>} The listing with the note inserted (or unchanged)
+ */
+const insertNote = (notes, note, complete) => {
+  if (note.pinned) return [note, ...notes];
+
+  const index = notes.findIndex(
+    (other) => !other.pinned && other.createdAt < note.createdAt
+  );
+  if (index === -1) return complete ? [...notes, note] : notes;
+  return [...notes.slice(0, index), note, ...notes.slice(index)];
+};
+
+/**
+ * Builds a listing from the notes kept on the device.
+ *
+ * Applies the same filters and order as `GET /notes`: notes matching the
+ * view, newest first, with pinned notes in front outside the Archive.
+ *
+ * @param {Array<Object>} notes - Cached notes
+ * @param {{tag: string|null, notebook: string|null, archived: boolean}} view -
+ *   Current filters
+ * @returns {Array<Object>} The notes the view would show
+ */
+const listCachedNotes = (notes, { tag, notebook, archived }) =>
+  notes
+    .filter(
+      (note) =>
+        !note.deletedAt &&
+        !!note.archived === archived &&
+        (notebook === null || (note.notebookId ?? 'none') === notebook) &&
+        (!tag || (note.tags ?? []).includes(tag))
+    )
+    .sort((a, b) => {
+      if (!archived && !!a.pinned !== !!b.pinned) return a.pinned ? -1 : 1;
+      return b.createdAt.localeCompare(a.createdAt);
+    });
+
+/**
+ * Notes listing of the HomePage for the given filters.
+ *
+ * Why a generation counter?
+ * - Stale pages: It's bumped whenever the first page is (re)loaded, e.g.
+ *   when the tag filter changes; a page request that finishes after the
+ *   listing has changed compares its generation and discards its results
+ *
+ * Cache first:
+ * - The notes kept on the device are shown as soon as they are read, so
+ *   the grid isn't blank while the server answers; the server's listing
+ *   then replaces them
+ * - Notes created offline and not synced yet stay in the listing, since
+ *   the server doesn't know them
+ * - When the server can't be reached the cached notes, tags and notebooks
+ *   stay, `offline` is set, and the listing reloads once the connection
+ *   returns
+ *
+ * Error handling (`handleRequestError`, also for the page's own requests):
+ * - 429: Sets `rateLimitedUntil` from the response's `Retry-After`, for the
+ *   RateLimitedUI countdown, which calls `reload` when it runs out
+ * - Other errors: A toast with the server's message
+ *
+ * @param {Object} filters - Current view
+ * @param {string|null} filters.tag - Tag filter, null for all notes
+ * @param {string|null} filters.notebook - Notebook ID, "none" for unfiled,
+ *   null for all notes
+ * @param {boolean} filters.archived - Whether the Archive is shown
+ * @param {Function} onReload - Called whenever the first page is reloaded,
+ *   e.g. to drop a selection of notes that may no longer be listed
+ * @returns {{
+ *   notes: Array<Object>,
+ *   setNotes: Function,
+ *   loading: boolean,
+ *   loadingMore: boolean,
+ *   nextCursor: string|null,
+ *   offline: boolean,
+ *   tags: Array<{tag: string, count: number}>,
+ *   notebookTree: {notebooks: Array<Object>, unfiledCount: number},
+ *   rateLimitedUntil: number|null,
+ *   handleRequestError: Function,
+ *   reload: Function,
+ *   loadMore: Function,
+ *   loadTags: Function,
+ *   loadNotebooks: Function,
+ *   moveNote: Function,
+ *   belongsInView: Function,
+ *   applyNoteEvent: Function
+ * }} Listing state and actions
+ *
+ * @example
+ * const { notes, loadMore, nextCursor } = useNoteListing(
+ *   { tag: null, notebook: null, archived: false },
+ *   clearSelection
+ * );
+ *
+ * @see {@link ../pages/HomePage.jsx} Page that shows the listing
+ * @see {@link ../lib/offlineStore.js} Copy kept on the device
+ * @see {@link ../../../backend/src/controllers/notesController.js} Backend getAllNotes controller
+ */
+const useNoteListing = ({ tag, notebook, archived }, onReload) => {
+  /**
+   * When requests are allowed again after a 429 that outlasted the API
+   * client's own retries; null when not rate limited.
+   *
+   * @type {number|null}
+   */
+  const [rateLimitedUntil, setRateLimitedUntil] = useState(null);
+
+  /**
+   * Counter bumped to fetch the first page again without changing filters.
+   *
+   * @type {number}
+   */
+  const [reloadKey, setReloadKey] = useState(0);
+
+  /**
+   * Notes loaded so far (all fetched pages).
+   *
+   * @type {Array<Object>}
+   */
+  const [notes, setNotes] = useState([]);
+
+  /**
+   * Whether the first page is being fetched.
+   *
+   * @type {boolean}
+   */
+  const [loading, setLoading] = useState(true);
+
+  /**
+   * Cursor of the next page; `null` once the last page has been loaded.
+   *
+   * @type {string|null}
+   */
+  const [nextCursor, setNextCursor] = useState(null);
+
+  /**
+   * Whether a further page is being fetched. Kept separate from `loading`
+   * so the grid stays visible while the next page loads.
+   *
+   * @type {boolean}
+   */
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  /**
+   * Whether the listing shows the notes kept on the device because the
+   * server couldn't be reached.
+   *
+   * @type {boolean}
+   */
+  const [offline, setOffline] = useState(false);
+
+  /**
+   * Tag counts from `GET /notes/tags`, refreshed together with the notes.
+   *
+   * @type {Array<{tag: string, count: number}>}
+   */
+  const [tags, setTags] = useState([]);
+
+  /**
+   * Notebook tree from `GET /notebooks`: the flat list of notebooks
+   * (NotebookTree nests it by `parent`) and the number of unfiled notes.
+   *
+   * @type {{notebooks: Array<Object>, unfiledCount: number}}
+   */
+  const [notebookTree, setNotebookTree] = useState({
+    notebooks: [],
+    unfiledCount: 0,
+  });
+
+  /**
+   * Counter identifying the current listing; see "Why a generation counter?".
+   *
+   * @type {React.MutableRefObject<number>}
+   */
+  const listGenerationRef = useRef(0);
+
+  /**
+   * Pending sidebar reload scheduled by `applyNoteEvent`.
+   *
+   * @type {React.MutableRefObject<number|undefined>}
+   */
+  const sidebarRefreshTimerRef = useRef();
+
+  /**
+   * Shows a failed request to the user.
+   *
+   * @function handleRequestError
+   * @param {Error} error - Error thrown by the API client
+   * @param {string} fallback - Toast message when the server sent none
+   * @returns {void}
+   */
+  const handleRequestError = useCallback((error, fallback) => {
+    const { isRateLimited, retryAfter } = normalizeError(error);
+    if (isRateLimited) {
+      const seconds = retryAfter ?? DEFAULT_RETRY_AFTER_SECONDS;
+      setRateLimitedUntil(Date.now() + seconds * 1000);
+    } else {
+      toast.error(getErrorMessage(error, fallback));
+    }
+  }, []);
+
+  /**
+   * Fetches the first page again with the same filters.
+   *
+   * @function reload
+   * @returns {void}
+   */
+  const reload = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  /**
+   * Reloads the notebook tree and its note counts.
+   *
+   * @async
+   * @function loadNotebooks
+   * @returns {Promise<void>}
+   */
+  const loadNotebooks = useCallback(async () => {
+    try {
+      const res = await api.get('/notebooks');
+      setNotebookTree(res.data);
+    } catch (error) {
+      handleRequestError(error, 'Failed to load notebooks');
+    }
+  }, [handleRequestError]);
+
+  /**
+   * Reloads the tag counts shown in the filter sidebar.
+   *
+   * @async
+   * @function loadTags
+   * @returns {Promise<void>}
+   */
+  const loadTags = useCallback(async () => {
+    try {
+      const res = await api.get('/notes/tags');
+      setTags(res.data);
+    } catch (error) {
+      handleRequestError(error, 'Failed to load tags');
+    }
+  }, [handleRequestError]);
+
+  /**
+   * useEffect hook for fetching the first page, with the tag and notebook
+   * counts, on mount and whenever the filters change or `reload` is called.
+   */
+  useEffect(() => {
+    /**
+     * Fetches the first page, showing the copy on the device meanwhile.
+     *
+     * @async
+     * @function fetchNotes
+     * @returns {Promise<void>} Resolves when fetch operation is complete
+     */
+    const fetchNotes = async () => {
+      const generation = ++listGenerationRef.current;
+      onReload();
+      let cached = [];
+
+      try {
+        setLoading(true);
+        cached = listCachedNotes(await getCachedNotes(), {
+          tag,
+          notebook,
+          archived,
+        });
+        if (generation !== listGenerationRef.current) return;
+        if (cached.length > 0) {
+          setNotes(cached);
+          setNextCursor(null);
+          setLoading(false);
+        }
+
+        const [notesRes, tagsRes, notebooksRes] = await Promise.all([
+          api.get('/notes', {
+            params: {
+              limit: PAGE_SIZE,
+              tag: tag ?? undefined,
+              notebook: notebook ?? undefined,
+              archived: archived ? 'true' : undefined,
+            },
+          }),
+          api.get('/notes/tags'),
+          api.get('/notebooks'),
+        ]);
+        if (generation !== listGenerationRef.current) return;
+
+        const { nextCursor: cursor } = notesRes.data;
+        setNotes(
+          cached
+            .filter((note) => isLocalNoteId(note._id))
+            .reduce(
+              (listing, note) => insertNote(listing, note, !cursor),
+              notesRes.data.notes
+            )
+        );
+        setNextCursor(cursor);
+        setTags(tagsRes.data);
+        setNotebookTree(notebooksRes.data);
+        setRateLimitedUntil(null);
+        setOffline(false);
+
+        cacheNotes(
+          notesRes.data.notes.filter((note) => !hasQueuedChanges(note._id))
+        );
+        cacheMeta('tags', tagsRes.data);
+        cacheMeta('notebooks', notebooksRes.data);
+      } catch (error) {
+        if (generation !== listGenerationRef.current) return;
+        if (normalizeError(error).isNetworkError) {
+          const [cachedTags, cachedNotebooks] = await Promise.all([
+            getCachedMeta('tags'),
+            getCachedMeta('notebooks'),
+          ]);
+          if (generation !== listGenerationRef.current) return;
+          setNotes(cached);
+          setNextCursor(null);
+          if (cachedTags) setTags(cachedTags);
+          if (cachedNotebooks) setNotebookTree(cachedNotebooks);
+          setOffline(true);
+        } else {
+          handleRequestError(error, 'Failed to load notes');
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchNotes();
+  }, [tag, notebook, archived, reloadKey, onReload, handleRequestError]);
+
+  /**
+   * Fetches the page after `nextCursor` and appends it to the listing.
+   *
+   * Because the API paginates by cursor rather than offset, notes created
+   * while the user scrolls don't cause duplicates here; they simply appear
+   * on the next fresh load.
+   *
+   * @async
+   * @function loadMore
+   * @returns {Promise<void>} Resolves when the page has been appended
+   */
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+
+    const generation = listGenerationRef.current;
+    setLoadingMore(true);
+
+    try {
+      const res = await api.get('/notes', {
+        params: {
+          limit: PAGE_SIZE,
+          cursor: nextCursor,
+          tag: tag ?? undefined,
+          notebook: notebook ?? undefined,
+          archived: archived ? 'true' : undefined,
+        },
+      });
+      if (generation !== listGenerationRef.current) return;
+
+      setNotes((prev) => [...prev, ...res.data.notes]);
+      setNextCursor(res.data.nextCursor);
+      cacheNotes(res.data.notes.filter((note) => !hasQueuedChanges(note._id)));
+    } catch (error) {
+      handleRequestError(error, 'Failed to load more notes');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore, tag, notebook, archived, handleRequestError]);
+
+  /**
+   * Moves a note into a notebook, e.g. one dropped onto the notebook tree.
+   *
+   * The listing is updated in place: when it is filtered by a notebook, a
+   * note moved somewhere else no longer belongs in it and is removed. The
+   * tree is reloaded afterwards so its counts reflect the move.
+   *
+   * @async
+   * @function moveNote
+   * @param {string} noteId - Note to move
+   * @param {string|null} notebookId - Target notebook, null for unfiled
+   * @returns {Promise<void>}
+   *
+   * @see {@link ../../../backend/src/controllers/notesController.js} Backend moveNote controller
+   */
+  const moveNote = useCallback(
+    async (noteId, notebookId) => {
+      if (!noteId) return;
+
+      try {
+        const res = await api.post(`/notes/${noteId}/move`, { notebookId });
+        const stillListed =
+          notebook === null || notebook === (notebookId ?? 'none');
+        setNotes((prev) =>
+          stillListed
+            ? prev.map((note) => (note._id === noteId ? res.data : note))
+            : prev.filter((note) => note._id !== noteId)
+        );
+
+        const target = notebookTree.notebooks.find(
+          (entry) => entry._id === notebookId
+        );
+        toast.success(target ? `Moved to ${target.name}` : 'Moved to Unfiled');
+        loadNotebooks();
+      } catch (error) {
+        handleRequestError(error, 'Failed to move note');
+      }
+    },
+    [notebook, notebookTree, loadNotebooks, handleRequestError]
+  );
+
+  /**
+   * Whether a note belongs in the listing as currently filtered.
+   *
+   * Used to patch the listing in place after changes: a note that was
+   * trashed, archived or unarchived, moved out of the selected notebook, or
+   * untagged from the selected tag drops out of the view.
+   *
+   * @function belongsInView
+   * @param {Object} note - Note as it is now
+   * @returns {boolean} True if the current listing would include it
+   */
+  const belongsInView = useCallback(
+    (note) =>
+      !note.deletedAt &&
+      !!note.archived === archived &&
+      (notebook === null || (note.notebookId ?? 'none') === notebook) &&
+      (!tag || (note.tags ?? []).includes(tag)),
+    [archived, notebook, tag]
+  );
+
+  /**
+   * Merges a live note event into the listing.
+   *
+   * A created or updated note replaces its loaded copy, is inserted if it
+   * now belongs in the view, or is removed if it no longer does (e.g. it was
+   * archived or moved to another notebook elsewhere). A deleted note is
+   * removed. Sidebar counts are reloaded once a burst of events is over.
+   * The copy kept on the device follows along, except for notes with
+   * offline changes still queued, whose cached copy shows those changes.
+   *
+   * @function applyNoteEvent
+   * @param {{type: string, data: Object}} event - Event from the stream
+   * @returns {boolean} Whether the note is in the listing now
+   *
+   * @see {@link ../lib/noteEvents.js} Stream client
+   */
+  const applyNoteEvent = useCallback(
+    ({ type, data }) => {
+      const id = type === 'deleted' ? data.id : data.note._id;
+      const listed = type !== 'deleted' && belongsInView(data.note);
+
+      if (type === 'deleted') removeCachedNote(id);
+      else if (!hasQueuedChanges(id)) cacheNotes([data.note]);
+
+      setNotes((prev) => {
+        if (!prev.some((note) => note._id === id)) {
+          return listed ? insertNote(prev, data.note, !nextCursor) : prev;
+        }
+        return listed
+          ? prev.map((note) => (note._id === id ? data.note : note))
+          : prev.filter((note) => note._id !== id);
+      });
+
+      clearTimeout(sidebarRefreshTimerRef.current);
+      sidebarRefreshTimerRef.current = setTimeout(() => {
+        loadTags();
+        loadNotebooks();
+      }, SIDEBAR_REFRESH_DELAY_MS);
+      return listed;
+    },
+    [belongsInView, nextCursor, loadTags, loadNotebooks]
+  );
+
+  useEffect(() => () => clearTimeout(sidebarRefreshTimerRef.current), []);
+
+  /**
+   * useEffect hook for merging offline changes into the listing as they sync.
+   *
+   * A note created offline swaps its local ID for the server's (unless the
+   * event stream already added it), so its card doesn't vanish and reappear.
+   *
+   * @see {@link ../lib/syncQueue.js} Queue that reports the results
+   */
+  useEffect(
+    () =>
+      subscribeToSyncResults((result) => {
+        if (result.type === 'created') {
+          const { localId, note } = result;
+          setNotes((prev) =>
+            prev.some((item) => item._id === note._id)
+              ? prev.filter((item) => item._id !== localId)
+              : prev.map((item) => (item._id === localId ? note : item))
+          );
+        } else if (result.type === 'deleted') {
+          setNotes((prev) => prev.filter((item) => item._id !== result.noteId));
+        }
+      }),
+    []
+  );
+
+  /**
+   * useEffect hook for reloading from the server when the connection returns.
+   */
+  useEffect(() => {
+    if (!offline) return;
+    window.addEventListener('online', reload);
+    return () => window.removeEventListener('online', reload);
+  }, [offline, reload]);
+
+  return {
+    notes,
+    setNotes,
+    loading,
+    loadingMore,
+    nextCursor,
+    offline,
+    tags,
+    notebookTree,
+    rateLimitedUntil,
+    handleRequestError,
+    reload,
+    loadMore,
+    loadTags,
+    loadNotebooks,
+    moveNote,
+    belongsInView,
+    applyNoteEvent,
+  };
+};
+
+export default useNoteListing;
@@ -0,0 +1,596 @@
+/**
+ * @fileoverview useNoteSave hook for the Dex Note Taking App frontend.
+ *
+ * This hook saves the note open in the editor: a debounced autosave of the
+ * title, content and tags, sent one request at a time with the last seen
+ * ETag as `If-Match` so edits saved elsewhere surface as a conflict, and
+ * queued on the device when the server can't be reached.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../lib/axios';
+import { getErrorMessage, normalizeError } from '../lib/apiErrors';
+import { cacheNotes } from '../lib/offlineStore';
+import {
+  hasQueuedChanges,
+  isAlreadySaved,
+  isLocalNoteId,
+  queueUpdate,
+  subscribeToSyncResults,
+} from '../lib/syncQueue';
+
+/**
+ * Quiet period in milliseconds after the last edit before autosaving.
+ *
+ * @type {number}
+ */
+const AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * Picks the fields of a note that the editor can change.
+ *
+ * @param {Object} note - Note object
+ * @returns {{title: string, content: string, tags: Array<string>}} Editable fields
+ */
+export const editableFields = (note) => ({
+  title: note.title,
+  content: note.content,
+  tags: note.tags ?? [],
+});
+
+/**
+ * Compares two sets of editable fields.
+ *
+ * @param {Object} a - Editable fields
+ * @param {Object} b - Editable fields
+ * @returns {boolean} True when title, content and tags are identical
+ */
+const sameFields = (a, b) =>
+  a.title === b.title &&
+  a.content === b.content &&
+  a.tags.length === b.tags.length &&
+  a.tags.every((tag, index) => tag === b.tags[index]);
+
+/**
+ * Compares the fields saved over REST while the content is edited in a
+ * collaboration session, which saves the content itself.
+ *
+ * @param {Object} a - Editable fields
+ * @param {Object} b - Editable fields
+ * @returns {boolean} True when title and tags are identical
+ */
+const sameSharedFields = (a, b) =>
+  sameFields({ ...a, content: '' }, { ...b, content: '' });
+
+/**
+ * Reads the note version out of an ETag such as `"5"`.
+ *
+ * @param {string|null} etag - ETag header value
+ * @returns {number} The version, or -1 if there is none
+ */
+const etagVersion = (etag) => Number(/"(\d+)"/.exec(etag ?? '')?.[1] ?? -1);
+
+/**
+ * Saves the editor's note and tracks which server version it is based on.
+ *
+ * Why a queue of saves?
+ * - Ordering: Saves run one after another so an older request can never
+ *   finish after a newer one and overwrite it on the server
+ * - Collapsing: Each save reads the latest note when it runs rather than
+ *   when it was queued, so a burst of queued saves becomes one request
+ * - Other writes: Checklist item changes and conversions go through the
+ *   same queue (`queueTask`), so they are based on the latest version too
+ *
+ * Save statuses:
+ * - "saved", "saving", "unsaved" (waiting for the debounce), "invalid"
+ *   (title or content empty), "queued" (kept on the device until the
+ *   connection returns), "offline" (not even that worked), "conflict" (the
+ *   server has a newer version) or "error"
+ *
+ * Live editing:
+ * - While `collab.ready`, the shared document is the source of truth for
+ *   the content and the server saves it, so REST saves leave it out and it
+ *   counts as saved as soon as it is in the document
+ *
+ * @param {string} id - ID of the open note
+ * @param {Object|null} note - Note state of the editor
+ * @param {Function} setNote - Setter of that state
+ * @param {{ready: boolean, content: string|null}} collab - Live editing
+ *   session from useCollaboration
+ * @returns {{
+ *   status: string,
+ *   conflict: {note: Object, etag: string}|null,
+ *   saveNote: Function,
+ *   hasUnsavedChanges: Function,
+ *   getSaveError: Function,
+ *   loadVersion: Function,
+ *   resolveConflict: Function,
+ *   discardChanges: Function,
+ *   compareRemote: Function,
+ *   queueTask: Function,
+ *   putNote: Function,
+ *   setBaseEtag: Function
+ * }} Save state and actions
+ *
+ * @example
+ * const { status, saveNote } = useNoteSave(id, note, setNote, collab);
+ * // Flush pending edits before leaving
+ * if ((await saveNote(false)) === 'saved') navigate('/');
+ *
+ * @see {@link ../pages/NoteDetailPage.jsx} Editor that uses this hook
+ * @see {@link ../components/SaveStatus.jsx} Badge that displays the status
+ * @see {@link ../lib/syncQueue.js} Queue for saves made offline
+ * @see {@link ../../../backend/src/controllers/notesController.js} Backend updateNote controller
+ */
+const useNoteSave = (id, note, setNote, collab) => {
+  /**
+   * State for the autosave indicator; see "Save statuses" above.
+   *
+   * @type {string}
+   */
+  const [status, setStatus] = useState('saved');
+
+  /**
+   * State for an unresolved save conflict.
+   *
+   * Set when a save is rejected with 409; holds the server's copy of the
+   * note and its ETag. Autosave is paused until the user resolves it.
+   *
+   * @type {{note: Object, etag: string}|null}
+   *
+   * @see {@link ../components/ConflictDialog.jsx} Dialog that resolves it
+   */
+  const [conflict, setConflict] = useState(null);
+
+  /**
+   * Latest note state, readable from callbacks without re-creating them.
+   *
+   * @type {React.MutableRefObject<Object|null>}
+   */
+  const noteRef = useRef(null);
+
+  /**
+   * Editable fields as last confirmed by the server.
+   *
+   * Comparing against this tells whether there is anything left to save.
+   *
+   * @type {React.MutableRefObject<Object|null>}
+   */
+  const savedFieldsRef = useRef(null);
+
+  /**
+   * ETag of the server version the editor's changes are based on.
+   *
+   * Sent as `If-Match` with every save and replaced by the ETag of each
+   * successful response, so the server can tell when someone else saved in
+   * between.
+   *
+   * @type {React.MutableRefObject<string|null>}
+   */
+  const etagRef = useRef(null);
+
+  /**
+   * Server's explanation of the last failed save, such as the field-level
+   * messages of a validation error, shown when the user saves explicitly.
+   *
+   * @type {React.MutableRefObject<string|null>}
+   */
+  const saveErrorRef = useRef(null);
+
+  /**
+   * Tail of the save queue.
+   *
+   * @type {React.MutableRefObject<Promise<string>>}
+   */
+  const saveQueueRef = useRef(Promise.resolve('saved'));
+
+  /**
+   * Whether the content is currently owned by the live session, readable
+   * from the save callbacks.
+   *
+   * @type {React.MutableRefObject<boolean>}
+   */
+  const collabReadyRef = useRef(false);
+
+  useEffect(() => {
+    noteRef.current = note;
+  }, [note]);
+
+  /**
+   * useEffect hook for mirroring the shared content into the note state.
+   *
+   * Note versions loaded over REST (a reverted revision, the latest version
+   * from elsewhere) get the shared content put back in.
+   */
+  useEffect(() => {
+    collabReadyRef.current = collab.ready;
+    // Just converted to a checklist: the session is closing
+    if (!collab.ready || !note || note.type === 'checklist') return;
+
+    savedFieldsRef.current = {
+      ...savedFieldsRef.current,
+      content: collab.content,
+    };
+    if (note.content !== collab.content)
+      setNote({ ...note, content: collab.content });
+  }, [collab.ready, collab.content, note, setNote]);
+
+  /**
+   * useEffect hook for following this note's queued changes as they sync.
+   *
+   * - Synced edits become the base for the next save, and the badge turns
+   *   to "Saved" once nothing is left in the queue
+   * - A conflict is left to the Sync page, which shows all of them
+   *
+   * @see {@link ../pages/SyncPage.jsx} Page that resolves conflicts
+   */
+  useEffect(
+    () =>
+      subscribeToSyncResults((result) => {
+        if (result.type === 'updated' && result.note._id === id) {
+          etagRef.current = result.etag;
+          if (!hasQueuedChanges(id))
+            setStatus((current) => (current === 'queued' ? 'saved' : current));
+        } else if (result.type === 'conflict' && result.noteId === id) {
+          setStatus('conflict');
+          toast.error(
+            'Your offline changes conflict with a newer version. Resolve them on the Sync page',
+            { id: 'sync-conflict' }
+          );
+        }
+      }),
+    [id]
+  );
+
+  /**
+   * Whether the editor holds changes the server doesn't have yet.
+   *
+   * @function hasUnsavedChanges
+   * @returns {boolean} True while there is something left to save
+   */
+  const hasUnsavedChanges = useCallback(
+    () =>
+      Boolean(noteRef.current && savedFieldsRef.current) &&
+      !sameFields(editableFields(noteRef.current), savedFieldsRef.current),
+    []
+  );
+
+  /**
+   * Sends a PUT for the note based on the version in `etagRef`.
+   *
+   * @function putNote
+   * @param {Object} body - Fields to save
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<Object>} Axios response
+   */
+  const putNote = useCallback(
+    (body, params) =>
+      api.put(`/notes/${id}`, body, {
+        params,
+        headers: etagRef.current ? { 'If-Match': etagRef.current } : undefined,
+      }),
+    [id]
+  );
+
+  /**
+   * Sends the current editor contents to the server if they changed.
+   *
+   * Why treat a missing response as offline?
+   * - Axios errors without a response mean the request never reached the
+   *   server; the edits are kept and retried when the browser reconnects
+   *
+   * A 409 means the note was saved elsewhere since `etagRef`'s version; the
+   * edits are kept and the conflict dialog opens with the server's copy.
+   *
+   * Offline, or while earlier changes to the note are still queued (or the
+   * note only exists on this device), the save goes into the sync queue
+   * instead, so it can't overtake those changes.
+   *
+   * @async
+   * @function persistNote
+   * @param {boolean} autosave - Whether this save comes from the autosave timer
+   * @returns {Promise<string>} Resulting save status
+   */
+  const persistNote = useCallback(
+    async (autosave) => {
+      if (!noteRef.current || !savedFieldsRef.current) return 'saved';
+
+      const fields = editableFields(noteRef.current);
+      const shared = collabReadyRef.current;
+      const { content, ...sharedFields } = fields;
+      const body = shared ? sharedFields : { ...sharedFields, content };
+      const queueSave = () =>
+        queueUpdate(id, body, etagRef.current).then(
+          () => {
+            savedFieldsRef.current = fields;
+            return hasUnsavedChanges() ? 'unsaved' : 'queued';
+          },
+          () => 'offline'
+        );
+      let result;
+
+      if (sameFields(fields, savedFieldsRef.current)) {
+        result = hasQueuedChanges(id) ? 'queued' : 'saved';
+      } else if (
+        !fields.title.trim() ||
+        (!shared &&
+          noteRef.current.type !== 'checklist' &&
+          !fields.content.trim())
+      ) {
+        result = 'invalid';
+      } else if (
+        !navigator.onLine ||
+        isLocalNoteId(id) ||
+        hasQueuedChanges(id)
+      ) {
+        result = await queueSave();
+      } else {
+        setStatus('saving');
+        const put = () =>
+          putNote(body, autosave ? { autosave: true } : undefined);
+        try {
+          let res;
+          try {
+            res = await put();
+          } catch (error) {
+            const failure = normalizeError(error);
+            if (failure.status !== 409) throw error;
+            const server = failure.details.note;
+            if (isAlreadySaved(server, body)) {
+              // This very save landed, only its response was lost
+              res = { data: server, headers: error.response.headers };
+            } else if (
+              shared &&
+              sameSharedFields(editableFields(server), savedFieldsRef.current)
+            ) {
+              // The session saved the content in the meantime, before its
+              // event came in: not a conflict for the title and tags
+              etagRef.current = error.response.headers.etag;
+              res = await put();
+            } else {
+              throw error;
+            }
+          }
+          etagRef.current = res.headers.etag ?? null;
+          savedFieldsRef.current = fields;
+          cacheNotes([res.data]);
+          result = hasUnsavedChanges() ? 'unsaved' : 'saved';
+        } catch (error) {
+          const failure = normalizeError(error);
+          if (failure.status === 409) {
+            setConflict({
+              note: failure.details.note,
+              etag: error.response.headers.etag,
+            });
+            result = 'conflict';
+          } else if (!failure.isNetworkError) {
+            saveErrorRef.current = getErrorMessage(
+              error,
+              'Failed to update note'
+            );
+            result = 'error';
+            // One toast per failure kind, not one per autosave attempt
+            if (autosave)
+              toast.error(saveErrorRef.current, { id: 'save-error' });
+          } else {
+            result = await queueSave();
+          }
+        }
+      }
+
+      setStatus(result);
+      return result;
+    },
+    [id, hasUnsavedChanges, putNote]
+  );
+
+  /**
+   * Queues a save behind any save already in flight.
+   *
+   * @function saveNote
+   * @param {boolean} autosave - Whether this save comes from the autosave timer
+   * @returns {Promise<string>} Resulting save status
+   */
+  const saveNote = useCallback(
+    (autosave) => {
+      const run = saveQueueRef.current.then(() => persistNote(autosave));
+      saveQueueRef.current = run.catch(() => 'error');
+      return run;
+    },
+    [persistNote]
+  );
+
+  /**
+   * Runs another write to the note behind the saves in flight, with the
+   * latest note state; later saves wait for it in turn.
+   *
+   * @function queueTask
+   * @param {Function} task - Receives the latest note; may return a promise
+   * @returns {Promise<*>} Settles with the task
+   */
+  const queueTask = useCallback((task) => {
+    const run = saveQueueRef.current.then(() => task(noteRef.current));
+    saveQueueRef.current = run.then(
+      () => 'saved',
+      () => 'error'
+    );
+    return run;
+  }, []);
+
+  /**
+   * Makes a new server version the base for the next save, keeping the
+   * editor's fields, e.g. after a checklist item change was saved.
+   *
+   * @function setBaseEtag
+   * @param {string|null} etag - ETag of that version
+   * @returns {void}
+   */
+  const setBaseEtag = useCallback((etag) => {
+    etagRef.current = etag ?? null;
+  }, []);
+
+  /**
+   * Replaces the editor's note with a server version, dropping unsaved edits
+   * and any unresolved conflict.
+   *
+   * @function loadVersion
+   * @param {Object} loaded - Note as saved on the server (or on the device)
+   * @param {string|null} etag - ETag of that version
+   * @returns {void}
+   */
+  const loadVersion = useCallback(
+    (loaded, etag) => {
+      etagRef.current = etag ?? null;
+      savedFieldsRef.current = editableFields(loaded);
+      noteRef.current = loaded;
+      setNote(loaded);
+      setConflict(null);
+      setStatus('saved');
+    },
+    [setNote]
+  );
+
+  /**
+   * Applies the user's choice from the conflict dialog.
+   *
+   * Either way the server's version becomes the new base: its ETag is used
+   * for the next `If-Match` and its fields count as saved. Taking theirs
+   * simply loads it; keeping mine or a manual merge puts those fields in the
+   * editor and saves them on top of it straight away.
+   *
+   * @function resolveConflict
+   * @param {string} choice - "mine", "theirs" or "merged"
+   * @param {Object} fields - Title, content and tags to keep
+   * @returns {void}
+   *
+   * @see {@link ../components/ConflictDialog.jsx} Dialog that offers the choices
+   */
+  const resolveConflict = useCallback(
+    (choice, fields) => {
+      if (choice === 'theirs') {
+        loadVersion(conflict.note, conflict.etag);
+        return;
+      }
+
+      etagRef.current = conflict.etag ?? null;
+      savedFieldsRef.current = editableFields(conflict.note);
+      setConflict(null);
+      const resolved = { ...noteRef.current, ...fields };
+      noteRef.current = resolved;
+      setNote(resolved);
+      saveNote(false);
+    },
+    [conflict, loadVersion, setNote, saveNote]
+  );
+
+  /**
+   * Marks the editor's fields as saved without saving them, for edits that
+   * go to the trash with the note.
+   *
+   * @function discardChanges
+   * @returns {void}
+   */
+  const discardChanges = useCallback(() => {
+    if (noteRef.current)
+      savedFieldsRef.current = editableFields(noteRef.current);
+  }, []);
+
+  /**
+   * Compares a version of the note from the event stream with the editor.
+   *
+   * - "seen": not newer than the version the editor is based on, such as
+   *   this tab's own save
+   * - "merged": newer, but with the title, content and tags this tab
+   *   already has (typically its own offline edits synced by the queue, or
+   *   items changed elsewhere); it becomes the base for the next save
+   * - "changed": saved elsewhere with other fields
+   *
+   * In a session the content is merged by the session, which saves it with
+   * a new version of its own, so only the title and tags are compared.
+   * Call it through `queueTask`: the event for this tab's own save can
+   * arrive before the save's response has updated `etagRef`.
+   *
+   * @function compareRemote
+   * @param {Object} remote - Note from the event stream
+   * @returns {string} "seen", "merged" or "changed"
+   */
+  const compareRemote = useCallback((remote) => {
+    if ((remote.__v ?? 0) <= etagVersion(etagRef.current)) return 'seen';
+    const fields = editableFields(remote);
+    const same = collabReadyRef.current ? sameSharedFields : sameFields;
+    if (
+      noteRef.current &&
+      (remote.type ?? 'text') === (noteRef.current.type ?? 'text') &&
+      (same(fields, editableFields(noteRef.current)) ||
+        same(fields, savedFieldsRef.current))
+    ) {
+      etagRef.current = `"${remote.__v}"`;
+      return 'merged';
+    }
+    return 'changed';
+  }, []);
+
+  /**
+   * Message of the last failed save, for an explicit save to show.
+   *
+   * @function getSaveError
+   * @returns {string|null}
+   */
+  const getSaveError = useCallback(() => saveErrorRef.current, []);
+
+  /**
+   * useEffect hook for the debounced autosave.
+   *
+   * Every edit restarts the timer, so the note is saved once typing has
+   * paused for `AUTOSAVE_DELAY_MS`. Paused while a conflict is unresolved,
+   * since every save would be rejected again.
+   */
+  useEffect(() => {
+    if (!note || conflict || !hasUnsavedChanges()) return;
+
+    setStatus('unsaved');
+    const timer = setTimeout(() => saveNote(true), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [note, conflict, saveNote, hasUnsavedChanges]);
+
+  /**
+   * useEffect hook for reacting to the browser going offline and back online.
+   *
+   * Pending edits are shown as offline while disconnected (the next save
+   * queues them) and saved as soon as the connection returns.
+   */
+  useEffect(() => {
+    const handleOffline = () => {
+      if (hasUnsavedChanges()) setStatus('offline');
+    };
+    const handleOnline = () => saveNote(true);
+
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [saveNote, hasUnsavedChanges]);
+
+  return {
+    status,
+    conflict,
+    saveNote,
+    hasUnsavedChanges,
+    getSaveError,
+    loadVersion,
+    resolveConflict,
+    discardChanges,
+    compareRemote,
+    queueTask,
+    putNote,
+    setBaseEtag,
+  };
+};
+
+export default useNoteSave;
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview useNoteSearch hook for the Dex Note Taking App frontend.
+ *
+ * This hook runs the full-text search typed in the Navbar: the query is
+ * debounced, sent to `GET /notes/search`, and the ranked results, with
+ * their highlighted snippets, are kept current as notes change elsewhere.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import api from '../lib/axios';
+import useDebouncedValue from './useDebouncedValue';
+
+/**
+ * Delay in milliseconds between the last keystroke and the search request.
+ *
+ * @type {number}
+ */
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Search state for the HomePage.
+ *
+ * Clearing the search box resets `searchResults` to null, which brings
+ * back the regular notes grid without refetching it. Responses for an
+ * outdated query are ignored so fast typing can't show stale results.
+ *
+ * @param {Function} onError - Called with a failed request's error and a
+ *   fallback message
+ * @returns {{
+ *   searchQuery: string,
+ *   setSearchQuery: Function,
+ *   debouncedQuery: string,
+ *   searchResults: Array<Object>|null,
+ *   setSearchResults: Function,
+ *   searching: boolean,
+ *   applyNoteEvent: Function
+ * }} Search state and actions
+ *
+ * @example
+ * const { searchQuery, setSearchQuery } = useNoteSearch(handleRequestError);
+ * <Navbar searchQuery={searchQuery} onSearchChange={setSearchQuery} />
+ *
+ * @see {@link ../pages/HomePage.jsx} Page that shows the results
+ * @see {@link ../../../backend/src/controllers/notesController.js} Backend searchNotes controller
+ */
+const useNoteSearch = (onError) => {
+  /**
+   * Text typed in the Navbar search box, updated on every keystroke.
+   *
+   * @type {string}
+   */
+  const [searchQuery, setSearchQuery] = useState('');
+
+  /**
+   * Debounced search text that actually triggers search requests.
+   *
+   * @type {string}
+   */
+  const debouncedQuery = useDebouncedValue(searchQuery.trim(), SEARCH_DELAY_MS);
+
+  /**
+   * Results from `GET /notes/search`; `null` when no search is active.
+   * Results include `highlights`, which NoteCard renders in place of its
+   * usual content preview.
+   *
+   * @type {Array<Object>|null}
+   */
+  const [searchResults, setSearchResults] = useState(null);
+
+  /**
+   * Whether a search request is in flight.
+   *
+   * @type {boolean}
+   */
+  const [searching, setSearching] = useState(false);
+
+  /**
+   * useEffect hook for running a search when the debounced query changes.
+   */
+  useEffect(() => {
+    if (!debouncedQuery) {
+      setSearchResults(null);
+      setSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+
+    const search = async () => {
+      setSearching(true);
+      try {
+        const res = await api.get('/notes/search', {
+          params: { q: debouncedQuery },
+        });
+        if (!cancelled) setSearchResults(res.data);
+      } catch (error) {
+        if (!cancelled) onError(error, 'Search failed');
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    };
+
+    search();
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuery, onError]);
+
+  /**
+   * Merges a live note event into the results: an updated note keeps its
+   * place and highlights, a deleted one is removed.
+   *
+   * @function applyNoteEvent
+   * @param {{type: string, data: Object}} event - Event from the stream
+   * @returns {void}
+   */
+  const applyNoteEvent = useCallback(({ type, data }) => {
+    setSearchResults(
+      (prev) =>
+        prev &&
+        (type === 'deleted'
+          ? prev.filter((note) => note._id !== data.id)
+          : prev.map((note) =>
+              note._id === data.note._id ? { ...note, ...data.note } : note
+            ))
+    );
+  }, []);
+
+  return {
+    searchQuery,
+    setSearchQuery,
+    debouncedQuery,
+    searchResults,
+    setSearchResults,
+    searching,
+    applyNoteEvent,
+  };
+};
+
+export default useNoteSearch;
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview useNoteSelection hook for the Dex Note Taking App frontend.
+ *
+ * This hook holds the HomePage's selection mode: which note cards are
+ * selected for a bulk action, with Shift-click ranges like in a file
+ * manager.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useCallback, useRef, useState } from 'react';
+
+/**
+ * Selection of notes for bulk actions.
+ *
+ * In selection mode clicking a card toggles its checkbox instead of
+ * opening it, and the BulkActionBar is shown. Ranges follow the order the
+ * cards are displayed in, which the caller passes in, so a range is
+ * exactly the cards between the two clicks on screen.
+ *
+ * @returns {{
+ *   selectionMode: boolean,
+ *   setSelectionMode: Function,
+ *   selectedIds: Set<string>,
+ *   toggleSelect: Function,
+ *   selectAll: Function,
+ *   deselect: Function,
+ *   clearSelection: Function,
+ *   exitSelectionMode: Function
+ * }} Selection state and actions
+ *
+ * @example
+ * const { selectedIds, toggleSelect } = useNoteSelection();
+ * <NoteCard onToggleSelect={(e) => toggleSelect(note._id, e, notes)} />
+ *
+ * @see {@link ../pages/HomePage.jsx} Page that owns the selection
+ * @see {@link ../components/BulkActionBar.jsx} Bar that acts on it
+ */
+const useNoteSelection = () => {
+  /**
+   * Whether the grid is in selection mode.
+   *
+   * @type {boolean}
+   */
+  const [selectionMode, setSelectionMode] = useState(false);
+
+  /**
+   * IDs of the selected notes.
+   *
+   * @type {Set<string>}
+   */
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  /**
+   * The note clicked last in selection mode, the anchor for Shift-click ranges.
+   *
+   * @type {React.MutableRefObject<string|null>}
+   */
+  const lastSelectedIdRef = useRef(null);
+
+  /**
+   * Toggles a note's selection, or selects a range on Shift-click.
+   *
+   * A Shift-click selects every card between the previously clicked one and
+   * this one (in display order). A plain click toggles just this card.
+   *
+   * @function toggleSelect
+   * @param {string} noteId - Note whose card was clicked
+   * @param {MouseEvent} event - The click, checked for the Shift key
+   * @param {Array<Object>} notes - Notes in display order
+   * @returns {void}
+   */
+  const toggleSelect = useCallback((noteId, event, notes) => {
+    const anchorId = lastSelectedIdRef.current;
+    lastSelectedIdRef.current = noteId;
+
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      const ids = notes.map((note) => note._id);
+      const from = ids.indexOf(anchorId);
+      const to = ids.indexOf(noteId);
+
+      if (event.shiftKey && from !== -1 && to !== -1) {
+        const [start, end] = from < to ? [from, to] : [to, from];
+        for (const id of ids.slice(start, end + 1)) next.add(id);
+      } else if (next.has(noteId)) {
+        next.delete(noteId);
+      } else {
+        next.add(noteId);
+      }
+      return next;
+    });
+  }, []);
+
+  /**
+   * Selects every note given.
+   *
+   * @function selectAll
+   * @param {Array<Object>} notes - Notes to select
+   * @returns {void}
+   */
+  const selectAll = useCallback((notes) => {
+    setSelectedIds(new Set(notes.map((note) => note._id)));
+  }, []);
+
+  /**
+   * Drops a note from the selection, e.g. one that left the view.
+   *
+   * @function deselect
+   * @param {string} noteId - Note to drop
+   * @returns {void}
+   */
+  const deselect = useCallback((noteId) => {
+    setSelectedIds((prev) => {
+      if (!prev.has(noteId)) return prev;
+      const next = new Set(prev);
+      next.delete(noteId);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Forgets the selection but stays in selection mode.
+   *
+   * @function clearSelection
+   * @returns {void}
+   */
+  const clearSelection = useCallback(() => {
+    setSelectedIds(new Set());
+    lastSelectedIdRef.current = null;
+  }, []);
+
+  /**
+   * Turns selection mode off and forgets the selection.
+   *
+   * @function exitSelectionMode
+   * @returns {void}
+   */
+  const exitSelectionMode = useCallback(() => {
+    setSelectionMode(false);
+    clearSelection();
+  }, [clearSelection]);
+
+  return {
+    selectionMode,
+    setSelectionMode,
+    selectedIds,
+    toggleSelect,
+    selectAll,
+    deselect,
+    clearSelection,
+    exitSelectionMode,
+  };
+};
+
+export default useNoteSelection;
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview useReminders hook for the Dex Note Taking App frontend.
+ *
+ * This hook loads the signed-in user's notes with an upcoming reminder or a
+ * due date, keeps them current over the note event stream, and shows an
+ * in-app notification when a reminder goes off. Reminders that went off
+ * while the app was closed are shown the next time it opens.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../lib/axios';
+import { getErrorMessage, normalizeError } from '../lib/apiErrors';
+import { subscribeToNoteEvents } from '../lib/noteEvents';
+import { getCachedNotes } from '../lib/offlineStore';
+import { nextScheduledAt } from '../lib/utils';
+
+/**
+ * Prefix of the localStorage key holding when this device last showed
+ * reminders, per user.
+ *
+ * @type {string}
+ */
+const SEEN_KEY_PREFIX = 'dex-reminders-seen:';
+
+/**
+ * Longest single timer delay. Browsers fire timers longer than about 24.8
+ * days at once, and a sleeping laptop delays them anyway, so far-off
+ * reminders are re-checked at least once a day instead.
+ *
+ * @type {number}
+ */
+const MAX_TIMER_DELAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long a reminder notification stays on screen.
+ *
+ * @type {number}
+ */
+const REMINDER_TOAST_DURATION_MS = 15000;
+
+/**
+ * Reads when reminders were last shown on this device.
+ *
+ * @param {string} key - localStorage key
+ * @returns {number|null} Time in milliseconds, or null the first time
+ */
+const readSeen = (key) => {
+  try {
+    const stored = Number(localStorage.getItem(key));
+    return stored > 0 ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Records when reminders were last shown on this device.
+ *
+ * @param {string} key - localStorage key
+ * @param {number} time - Time in milliseconds
+ * @returns {void}
+ */
+const writeSeen = (key, time) => {
+  try {
+    localStorage.setItem(key, String(time));
+  } catch {
+    // At worst a reminder is shown again on the next visit
+  }
+};
+
+/**
+ * Whether a note has a reminder or a due date and is neither trashed nor
+ * archived, i.e. whether `GET /notes/upcoming` could list it.
+ *
+ * @param {Object} note - Note from the API or the event stream
+ * @returns {boolean}
+ */
+const isScheduled = (note) =>
+  !note.deletedAt && !note.archived && !!(note.remindAt || note.dueAt);
+
+/**
+ * Shows the notification of a reminder.
+ *
+ * @param {Object} note - Note whose reminder went off
+ * @returns {void}
+ */
+const notify = (note) =>
+  toast(`Reminder: ${note.title}`, {
+    id: `reminder-${note._id}`,
+    icon: '🔔',
+    duration: REMINDER_TOAST_DURATION_MS,
+  });
+
+/**
+ * Upcoming reminders and due dates, with in-app reminder notifications.
+ *
+ * **What counts as upcoming:**
+ * - Notes whose reminder is still ahead
+ * - Notes with a due date, overdue ones included
+ * - Same rule as the backend, re-applied as time passes so a note whose
+ *   reminder just went off (and has no due date) drops out of the list
+ *
+ * **Missed reminders:**
+ * - This device remembers when it last showed reminders, and asks the API
+ *   for the ones that went off since then
+ * - The very first time nothing is "missed", so signing in on a new device
+ *   doesn't replay old reminders
+ *
+ * While offline, the notes kept on the device stand in for the API.
+ *
+ * @param {string|undefined} userId - Signed-in user; nothing loads without one
+ * @returns {{upcoming: Array<Object>, loading: boolean}} Notes soonest first,
+ *   and whether the first load is still running
+ *
+ * @example
+ * const { user } = useAuth();
+ * const { upcoming, loading } = useReminders(user?._id);
+ *
+ * @see {@link ../pages/HomePage.jsx} Upcoming view that uses this hook
+ * @see {@link ../../../backend/src/controllers/notesController.js} Backend getUpcomingNotes controller
+ */
+const useReminders = (userId) => {
+  /**
+   * Scheduled notes as loaded and updated live, including reminders that
+   * already went off; `upcoming` filters and sorts them.
+   *
+   * @type {Array<Object>}
+   */
+  const [notes, setNotes] = useState([]);
+
+  /**
+   * Whether the first load is still running.
+   *
+   * @type {boolean}
+   */
+  const [loading, setLoading] = useState(true);
+
+  /**
+   * Time the list was last brought up to date, in milliseconds. Moved
+   * forward whenever a reminder goes off.
+   *
+   * @type {number}
+   */
+  const [now, setNow] = useState(() => Date.now());
+
+  // Load the list, including reminders missed since the last visit
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    const seen = readSeen(`${SEEN_KEY_PREFIX}${userId}`);
+
+    const load = async () => {
+      try {
+        const res = await api.get('/notes/upcoming', {
+          params: { since: seen ? new Date(seen).toISOString() : undefined },
+        });
+        if (!cancelled) setNotes(res.data.notes);
+      } catch (error) {
+        if (cancelled) return;
+        if (normalizeError(error).isNetworkError) {
+          const cached = await getCachedNotes();
+          if (!cancelled) setNotes(cached.filter(isScheduled));
+        } else {
+          toast.error(getErrorMessage(error, 'Failed to load reminders'));
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Follow changes made in other tabs, on other devices and in the editor
+  useEffect(
+    () =>
+      subscribeToNoteEvents(({ type, data }) => {
+        const id = type === 'deleted' ? data.id : data.note._id;
+        setNotes((prev) => {
+          const others = prev.filter((note) => note._id !== id);
+          return type !== 'deleted' && isScheduled(data.note)
+            ? [...others, data.note]
+            : others;
+        });
+      }),
+    []
+  );
+
+  // Show reminders that are due, then wait for the next one
+  useEffect(() => {
+    if (!userId || loading) return;
+    const key = `${SEEN_KEY_PREFIX}${userId}`;
+    let timer;
+
+    const check = () => {
+      const current = Date.now();
+      const seen = readSeen(key) ?? current;
+      const reminders = notes
+        .filter((note) => note.remindAt)
+        .map((note) => ({ note, at: Date.parse(note.remindAt) }));
+
+      for (const { note, at } of reminders) {
+        if (at > seen && at <= current) notify(note);
+      }
+      writeSeen(key, current);
+      setNow(current);
+
+      const next = Math.min(
+        ...reminders.map(({ at }) => at).filter((at) => at > current)
+      );
+      if (Number.isFinite(next)) {
+        timer = setTimeout(check, Math.min(next - current, MAX_TIMER_DELAY_MS));
+      }
+    };
+
+    check();
+    return () => clearTimeout(timer);
+  }, [notes, loading, userId]);
+
+  /**
+   * The notes the Upcoming view lists, soonest first.
+   *
+   * @type {Array<Object>}
+   */
+  const upcoming = useMemo(
+    () =>
+      notes
+        .filter((note) => note.dueAt || Date.parse(note.remindAt) >= now)
+        .sort(
+          (a, b) =>
+            nextScheduledAt(a, now) - nextScheduledAt(b, now) ||
+            (a._id < b._id ? -1 : 1)
+        ),
+    [notes, now]
+  );
+
+  return { upcoming, loading };
+};
+
+export default useReminders;
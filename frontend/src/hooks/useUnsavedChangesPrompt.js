@@ -0,0 +1,68 @@
+/**
+ * @fileoverview useUnsavedChangesPrompt hook for the Dex Note Taking App frontend.
+ *
+ * This hook asks for confirmation before the user leaves a page with unsaved
+ * changes, both for in-app navigation (links, back button) and for closing
+ * or reloading the tab.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect } from 'react';
+import { useBlocker } from 'react-router';
+
+/**
+ * Warns before navigating away while `isDirty()` returns true.
+ *
+ * Why a callback instead of a boolean?
+ * - Freshness: The check runs at the moment of navigation, so a save that
+ *   finished just before `navigate()` is taken into account even though
+ *   the component hasn't re-rendered yet
+ *
+ * How it works:
+ * - In-app navigation is held by React Router's `useBlocker` and released
+ *   or cancelled depending on the user's answer to a confirm dialog
+ * - Closing or reloading the tab triggers the browser's own
+ *   "Leave site?" dialog through `beforeunload`
+ *
+ * @param {Function} isDirty - Returns true while there are unsaved changes
+ * @param {string} [message] - Text of the in-app confirmation dialog
+ * @returns {void}
+ *
+ * @example
+ * useUnsavedChangesPrompt(() => hasUnsavedEdits.current);
+ *
+ * @see {@link ../pages/NoteDetailPage.jsx} Editor that uses this guard
+ * @see {@link ../main.jsx} Data router required by `useBlocker`
+ */
+const useUnsavedChangesPrompt = (
+  isDirty,
+  message = 'You have unsaved changes. Leave anyway?'
+) => {
+  const shouldBlock = useCallback(
+    ({ currentLocation, nextLocation }) =>
+      currentLocation.pathname !== nextLocation.pathname && isDirty(),
+    [isDirty]
+  );
+  const blocker = useBlocker(shouldBlock);
+
+  useEffect(() => {
+    if (blocker.state !== 'blocked') return;
+    if (window.confirm(message)) blocker.proceed();
+    else blocker.reset();
+  }, [blocker, message]);
+
+  useEffect(() => {
+    const handleBeforeUnload = (e) => {
+      if (!isDirty()) return;
+      e.preventDefault();
+      e.returnValue = ''; // Required by older browsers to show the dialog
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+};
+
+export default useUnsavedChangesPrompt;
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Helpers for reading API error responses in the Dex Note Taking App frontend.
+ *
+ * The backend answers every failed request with the same body:
+ *
+ * ```json
+ * { "error": { "code": "VALIDATION_ERROR", "message": "Title is required", "details": [...] } }
+ * ```
+ *
+ * Requests can also fail without any response at all (offline, server
+ * unreachable, request cancelled). `normalizeError` folds all of these into
+ * one shape so every page handles errors the same way and never has to
+ * check whether `error.response` exists.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import axios from 'axios';
+
+/**
+ * Message shown when the server couldn't be reached at all.
+ *
+ * @type {string}
+ */
+export const NETWORK_ERROR_MESSAGE =
+  "Can't reach the server. Check your connection and try again";
+
+/**
+ * Parses a `Retry-After` header into seconds.
+ *
+ * The header is either a number of seconds or an HTTP date; both forms are
+ * accepted. Dates in the past count as "retry now".
+ *
+ * @function parseRetryAfter
+ * @param {string|number|undefined|null} value - Header value
+ * @returns {number|null} Seconds to wait, or null if the header is missing or invalid
+ *
+ * @example
+ * parseRetryAfter('12'); // 12
+ * parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT'); // seconds until then
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Returns the structured error from a failed axios request.
+ *
+ * @param {Error} error - Error thrown by the API client
+ * @returns {{code: string, message: string, details: *}|null} The error body,
+ *   or null for network failures and non-API responses
+ *
+ * @see {@link ../../../backend/src/middleware/errorHandler.js} Backend that sends this format
+ */
+export function getApiError(error) {
+  return error?.response?.data?.error ?? null;
+}
+
+/**
+ * Turns anything thrown by the API client into one predictable shape.
+ *
+ * Why normalize?
+ * - Safety: `error.response` is undefined for network failures, so reading
+ *   `error.response.status` directly crashes the error handler itself
+ * - Consistency: Every page branches on the same flags instead of
+ *   re-deriving them from status codes
+ * - Rate limiting: `retryAfter` is read from the header once, here
+ *
+ * @function normalizeError
+ * @param {Error} error - Error thrown by the API client
+ * @returns {{
+ *   status: number|null,
+ *   code: string|null,
+ *   message: string|null,
+ *   details: *,
+ *   retryAfter: number|null,
+ *   isNetworkError: boolean,
+ *   isRateLimited: boolean,
+ *   isCanceled: boolean
+ * }} Normalized error
+ *
+ * @example
+ * const { isRateLimited, retryAfter } = normalizeError(error);
+ * if (isRateLimited) showCountdown(retryAfter);
+ */
+export function normalizeError(error) {
+  const response = error?.response;
+  const apiError = getApiError(error);
+  const isCanceled = axios.isCancel(error);
+
+  return {
+    status: response?.status ?? null,
+    code: apiError?.code ?? null,
+    message: apiError?.message ?? null,
+    details: apiError?.details ?? null,
+    retryAfter: parseRetryAfter(response?.headers?.['retry-after']),
+    isNetworkError: !response && !isCanceled,
+    isRateLimited: response?.status === 429,
+    isCanceled,
+  };
+}
+
+/**
+ * Returns a message suitable for a toast from a failed axios request.
+ *
+ * Validation errors list one message per invalid field; they are joined so
+ * the user sees everything that needs fixing at once, not just the first
+ * problem. Requests that never reached the server get a connection hint.
+ *
+ * @param {Error} error - Error thrown by the API client
+ * @param {string} fallback - Message used when the server didn't send one
+ * @returns {string} Message to show the user
+ *
+ * @example
+ * toast.error(getErrorMessage(error, 'Failed to create note'));
+ * // "Title is required · Content must be 100,000 characters or fewer"
+ */
+export function getErrorMessage(error, fallback) {
+  const { details, message, isNetworkError } = normalizeError(error);
+  if (isNetworkError) return NETWORK_ERROR_MESSAGE;
+
+  if (Array.isArray(details) && details.length > 0) {
+    const messages = details.map((detail) => detail?.message).filter(Boolean);
+    if (messages.length > 0) return [...new Set(messages)].join(' · ');
+  }
+
+  return message || fallback;
+}
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Helpers for note attachments in the Dex Note Taking App frontend.
+ *
+ * Attachments are uploaded to and read from `/api/notes/:id/attachments`.
+ * Downloads need the auth header, so they can't be plain `<img>` or `<a>`
+ * links: files are fetched as Blobs and shown or saved through object URLs.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import api from './axios';
+
+/**
+ * Largest file the backend accepts by default, in megabytes; checked
+ * before uploading so a large file fails at once instead of after the
+ * upload.
+ *
+ * @type {number}
+ */
+export const MAX_ATTACHMENT_MB = 10;
+
+/**
+ * File types the backend accepts by default, for the file picker.
+ *
+ * @type {string}
+ */
+export const ATTACHMENT_ACCEPT =
+  'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain';
+
+/**
+ * Whether an attachment is an image the browser can show as a thumbnail.
+ *
+ * @function isImageAttachment
+ * @param {Object} attachment - Attachment metadata with `mimeType`
+ * @returns {boolean}
+ */
+export function isImageAttachment(attachment) {
+  return attachment.mimeType.startsWith('image/');
+}
+
+/**
+ * Gives a pasted file a name worth keeping.
+ *
+ * Browsers name every pasted screenshot "image.png"; the paste time tells
+ * them apart in the attachment list and in the downloads folder.
+ *
+ * @function namePastedFile
+ * @param {File} file - File from the clipboard
+ * @param {Date} [now=new Date()] - Paste time
+ * @returns {File} The same content as "Pasted image 2025-06-01 09.30.12.png"
+ */
+export function namePastedFile(file, now = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const stamp =
+    `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ` +
+    `${pad(now.getHours())}.${pad(now.getMinutes())}.${pad(now.getSeconds())}`;
+  const extension = file.name.includes('.') ? file.name.split('.').pop() : '';
+  const kind = file.type.startsWith('image/') ? 'image' : 'file';
+  return new File(
+    [file],
+    `Pasted ${kind} ${stamp}${extension ? `.${extension}` : ''}`,
+    { type: file.type }
+  );
+}
+
+/**
+ * Uploads a file as an attachment of a note.
+ *
+ * @async
+ * @function uploadAttachment
+ * @param {string} noteId - Note to attach the file to
+ * @param {File} file - File to upload
+ * @param {Function} [onProgress] - Called with the fraction uploaded, 0 to 1
+ * @returns {Promise<Object>} The new attachment's metadata
+ *
+ * @see {@link ../../../backend/src/controllers/attachmentsController.js} Backend uploadAttachment controller
+ */
+export async function uploadAttachment(noteId, file, onProgress) {
+  const formData = new FormData();
+  formData.append('file', file);
+  const res = await api.post(`/notes/${noteId}/attachments`, formData, {
+    onUploadProgress: (event) => {
+      if (event.total) onProgress?.(event.loaded / event.total);
+    },
+  });
+  return res.data;
+}
+
+/**
+ * Downloads an attachment's content.
+ *
+ * @async
+ * @function fetchAttachment
+ * @param {string} noteId - Note the attachment belongs to
+ * @param {string} attachmentId - Attachment to download
+ * @returns {Promise<Blob>} The file
+ */
+export async function fetchAttachment(noteId, attachmentId) {
+  const res = await api.get(`/notes/${noteId}/attachments/${attachmentId}`, {
+    responseType: 'blob',
+  });
+  return res.data;
+}
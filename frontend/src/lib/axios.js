@@ -13,12 +13,24 @@
  * - Development/production URL switching
  * - Integration with Vite's environment variables
  * - Support for all CRUD operations on notes
+ * - Access token attached to every request as a Bearer header
+ * - Silent token refresh and retry when a request fails with 401
+ * - Automatic retries with backoff: reads after a rate limit, a network
+ *   failure or a temporarily unavailable server; writes only when the
+ *   server is known not to have processed them (429, 503)
+ *
+ * Token Storage:
+ * - The access token is kept in module memory only, never in localStorage,
+ *   so injected scripts can't read it from storage
+ * - The refresh token lives in an httpOnly cookie set by the backend and is
+ *   only ever sent to /api/auth
  *
  * @author Dayle Cortes
  * @version 1.0.0
  */
 
 import axios from 'axios';
+import { parseRetryAfter } from './apiErrors';
 
 /**
  * Environment-specific base URL for API requests.
@@ -61,6 +73,7 @@ const BASE_URL =
  * - Environment handling: Automatically uses correct URLs for each environment
  *
  * API Endpoints Used:
+ * - POST /auth/login, /auth/register, /auth/logout, /auth/refresh (AuthProvider)
  * - GET /notes - Retrieve all notes (HomePage)
  * - POST /notes - Create new note (CreatePage)
  * - GET /notes/:id - Retrieve specific note (NoteDetailPage)
@@ -68,9 +81,10 @@ const BASE_URL =
  * - DELETE /notes/:id - Delete note (NoteDetailPage, NoteCard)
  *
  * Error Handling:
- * - Components handle 429 status codes for rate limiting
+ * - Short rate limits and transient failures are retried here, so
+ *   components only see errors that outlast the retries
+ * - Components read errors through `normalizeError` in `lib/apiErrors.js`
  * - Toast notifications show success/error messages
- * - Graceful fallbacks for network failures
  *
  * @type {AxiosInstance}
  *
@@ -82,6 +96,257 @@ const BASE_URL =
  */
 const api = axios.create({
   baseURL: BASE_URL,
+  withCredentials: true,
+});
+
+/**
+ * Methods that only read, so sending them again changes nothing.
+ *
+ * Writes aren't among them, `PUT` and `DELETE` included: if the first
+ * attempt landed and only its response was lost, a repeated save fails its
+ * `If-Match` with 409 and a repeated delete finds nothing (404), and the
+ * user is shown an error for a change that worked.
+ *
+ * @type {Array<string>}
+ */
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+/**
+ * Statuses that mean the request was not processed, so any request can be
+ * sent again: rate limited before reaching a handler, or no server was
+ * available to take it (for example during a deploy).
+ *
+ * @type {Array<number>}
+ */
+const NOT_PROCESSED_STATUSES = [429, 503];
+
+/**
+ * Further statuses worth retrying for safe methods: the proxy lost the
+ * server's response, which may or may not have been processed.
+ *
+ * @type {Array<number>}
+ */
+const LOST_RESPONSE_STATUSES = [502, 504];
+
+/**
+ * Retry settings.
+ *
+ * - maxRetries: Attempts after the first one
+ * - baseDelayMs: First backoff step; each retry doubles it
+ * - maxDelayMs: Cap on a single backoff delay
+ * - maxRetryAfterMs: Longest `Retry-After` worth waiting for in the
+ *   background; longer waits are left to the UI (RateLimitedUI shows a
+ *   countdown) instead of leaving a request hanging silently
+ *
+ * @type {{maxRetries: number, baseDelayMs: number, maxDelayMs: number, maxRetryAfterMs: number}}
+ */
+const RETRY = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 10000,
+};
+
+/**
+ * Current access token, or null when signed out.
+ *
+ * @type {string|null}
+ */
+let accessToken = null;
+
+/**
+ * In-flight refresh request shared by every caller that needs a new token.
+ *
+ * @type {Promise<Object>|null}
+ */
+let refreshPromise = null;
+
+/**
+ * Callback run when the session can't be refreshed any more.
+ *
+ * @type {Function}
+ */
+let sessionExpiredHandler = () => {};
+
+/**
+ * Stores the access token used by every subsequent request.
+ *
+ * @param {string|null} token - New access token, or null to sign out
+ * @returns {void}
+ */
+export const setAccessToken = (token) => {
+  accessToken = token;
+};
+
+/**
+ * Returns the current access token.
+ *
+ * For requests made without axios, such as the `fetch`-based note event
+ * stream, which can't go through the interceptors below.
+ *
+ * @returns {string|null} Access token, or null when signed out
+ *
+ * @see {@link ./noteEvents.js} Event stream client
+ */
+export const getAccessToken = () => accessToken;
+
+/**
+ * Registers the callback run when the session has expired for good.
+ *
+ * The AuthProvider uses this to clear the signed-in user, which makes the
+ * protected routes redirect to the login page.
+ *
+ * @param {Function} handler - Callback with no arguments
+ * @returns {void}
+ *
+ * @see {@link ../context/AuthProvider.jsx} Provider that registers the handler
+ */
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+/**
+ * Exchanges the refresh cookie for a new access token.
+ *
+ * Concurrent callers share a single request. This matters because the
+ * backend rotates the refresh token on every call: several requests failing
+ * with 401 at once must not each try to refresh with the same cookie.
+ *
+ * @async
+ * @function refreshSession
+ * @returns {Promise<{user: Object, accessToken: string}>} Refreshed session
+ *
+ * @see {@link ../../../backend/src/controllers/authController.js} Backend refresh controller
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post('/auth/refresh')
+      .then((res) => {
+        setAccessToken(res.data.accessToken);
+        return res.data;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Request interceptor that attaches the access token.
+ */
+api.interceptors.request.use((config) => {
+  if (accessToken) config.headers.Authorization = `Bearer ${accessToken}`;
+  return config;
 });
 
+/**
+ * Response interceptor that refreshes an expired access token and retries.
+ *
+ * Requests to /auth/* are never retried: a 401 from login means wrong
+ * credentials, and a 401 from refresh means the session is over.
+ */
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    const isAuthRequest = config?.url?.startsWith('/auth/');
+
+    if (response?.status !== 401 || !config || isAuthRequest || config._retried)
+      return Promise.reject(error);
+
+    config._retried = true;
+    try {
+      await refreshSession();
+    } catch {
+      setAccessToken(null);
+      sessionExpiredHandler();
+      return Promise.reject(error);
+    }
+    return api(config);
+  }
+);
+
+/**
+ * Delay before the next retry of a failed request.
+ *
+ * Uses the server's `Retry-After` when it sent one. Otherwise the delay is
+ * exponential backoff with "full jitter": a random time up to the backoff
+ * step, so clients that failed together don't all retry in the same
+ * instant and knock the server over again.
+ *
+ * @param {Object|undefined} response - Failed response, if there was one
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number|null} Delay in ms, or null if waiting that long isn't worthwhile
+ */
+const retryDelay = (response, attempt) => {
+  const retryAfter = parseRetryAfter(response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    const delay = retryAfter * 1000;
+    return delay <= RETRY.maxRetryAfterMs ? delay : null;
+  }
+
+  const step = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * 2 ** attempt);
+  return Math.random() * step;
+};
+
+/**
+ * Waits for `ms`, or until the request is cancelled.
+ *
+ * @param {number} ms - Time to wait
+ * @param {AbortSignal} [signal] - Signal of the request being retried
+ * @returns {Promise<void>} Resolves after the delay; rejects with a
+ *   `CanceledError` if the request is aborted first
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new axios.CanceledError());
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Response interceptor that retries requests after transient failures.
+ *
+ * Any request is retried on the statuses in `NOT_PROCESSED_STATUSES`.
+ * Network errors (but not cancellations) and `LOST_RESPONSE_STATUSES` are
+ * only retried for `SAFE_METHODS`: a write may have succeeded before the
+ * response was lost, and sending it again would report a failure or apply
+ * it twice. At most `RETRY.maxRetries` retries are made. A request can opt
+ * out with `{ retry: false }` in its config.
+ */
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    if (!config || config.retry === false || axios.isCancel(error))
+      return Promise.reject(error);
+
+    const method = (config.method ?? 'get').toLowerCase();
+    const retryable =
+      (response && NOT_PROCESSED_STATUSES.includes(response.status)) ||
+      (SAFE_METHODS.includes(method) &&
+        (!response || LOST_RESPONSE_STATUSES.includes(response.status)));
+    const attempt = config._retryCount ?? 0;
+
+    if (!retryable || attempt >= RETRY.maxRetries) return Promise.reject(error);
+
+    const delay = retryDelay(response, attempt);
+    if (delay === null) return Promise.reject(error);
+
+    config._retryCount = attempt + 1;
+    await wait(delay, config.signal);
+    return api(config);
+  }
+);
+
 export default api;
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Helpers for checklist notes in the Dex Note Taking App frontend.
+ *
+ * A checklist note keeps its items as a list of `{ _id, text, done, order }`
+ * next to optional Markdown content. These helpers count ticked-off items
+ * for the progress indicators, and convert between a text note's Markdown
+ * lists and a checklist's items so a to-do list kept as text can be turned
+ * into a checklist and back without losing anything.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+/**
+ * Most items a checklist may have; mirrors the backend limit.
+ *
+ * @type {number}
+ */
+export const MAX_CHECKLIST_ITEMS = 500;
+
+/**
+ * Longest item text, in characters; mirrors the backend limit.
+ *
+ * @type {number}
+ */
+export const MAX_CHECKLIST_ITEM_LENGTH = 500;
+
+/**
+ * A Markdown list line: bullet or number, then an optional task box.
+ *
+ * @type {RegExp}
+ */
+const LIST_LINE = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*\S)\s*$/;
+
+/**
+ * Counts a checklist's items and how many are ticked off.
+ *
+ * @function checklistProgress
+ * @param {Array<Object>} [items] - Checklist items
+ * @returns {{done: number, total: number}} Counts
+ *
+ * @example
+ * checklistProgress([{ done: true }, { done: false }]);
+ * // Returns: { done: 1, total: 2 }
+ */
+export function checklistProgress(items = []) {
+  return {
+    done: items.filter((item) => item.done).length,
+    total: items.length,
+  };
+}
+
+/**
+ * Splits a text note's content into checklist items and the rest.
+ *
+ * Every Markdown list line becomes an item, ticked off if it is a checked
+ * task (`- [x]`); all other lines stay as the checklist's notes.
+ *
+ * @function parseChecklist
+ * @param {string} content - Markdown content
+ * @returns {{content: string, items: Array<{text: string, done: boolean}>}}
+ *   Remaining content and the items, in order
+ *
+ * @example
+ * parseChecklist('Before the trip\n- [x] Passport\n- Tickets');
+ * // Returns: { content: 'Before the trip', items: [{ text: 'Passport', done: true }, { text: 'Tickets', done: false }] }
+ */
+export function parseChecklist(content) {
+  const items = [];
+  const rest = [];
+  for (const line of content.split('\n')) {
+    const match = LIST_LINE.exec(line);
+    if (match && items.length < MAX_CHECKLIST_ITEMS) {
+      items.push({
+        text: match[2].slice(0, MAX_CHECKLIST_ITEM_LENGTH),
+        done: match[1] === 'x' || match[1] === 'X',
+      });
+    } else {
+      rest.push(line);
+    }
+  }
+  return { content: rest.join('\n').trim(), items };
+}
+
+/**
+ * Writes a checklist as Markdown: its content, then its items as a task
+ * list. The reverse of `parseChecklist`, and the same form the backend
+ * uses for exports and share links.
+ *
+ * @function checklistToMarkdown
+ * @param {string} content - The checklist's notes
+ * @param {Array<Object>} items - Items in order
+ * @returns {string} Markdown content
+ *
+ * @example
+ * checklistToMarkdown('Before the trip', [{ text: 'Passport', done: true }]);
+ * // Returns: 'Before the trip\n\n- [x] Passport'
+ */
+export function checklistToMarkdown(content, items) {
+  const list = items
+    .map((item) => `- [${item.done ? 'x' : ' '}] ${item.text}`)
+    .join('\n');
+  if (!list) return content;
+  return content.trim() ? `${content.trimEnd()}\n\n${list}` : list;
+}
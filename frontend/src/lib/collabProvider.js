@@ -0,0 +1,291 @@
+/**
+ * @fileoverview WebSocket client for live note editing in the Dex Note Taking App frontend.
+ *
+ * Connects a Yjs document and its awareness (presence) to the note's room
+ * on the backend's `/api/collab/:noteId` socket and keeps them in sync.
+ * Messages use the standard `y-protocols` wire format, the same one the
+ * server speaks.
+ *
+ * Connecting:
+ * - Browsers can't send the `Authorization` header on a WebSocket, so every
+ *   attempt first fetches a short-lived ticket from
+ *   `POST /api/notes/:id/collab-ticket` (over axios, which refreshes the
+ *   access token when needed) and passes it in the URL
+ * - A dropped connection is reopened with exponential backoff and jitter,
+ *   right away when the browser comes back online
+ * - Edits made while disconnected stay in the document and are merged on
+ *   the next sync
+ * - The provider stops for good once the note is gone (404, or the server
+ *   closing the room because the note was trashed)
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import * as syncProtocol from 'y-protocols/sync';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+import api from './axios';
+import { normalizeError } from './apiErrors';
+
+/**
+ * Message type carrying document state.
+ *
+ * @type {number}
+ */
+const MESSAGE_SYNC = 0;
+
+/**
+ * Message type carrying presence changes.
+ *
+ * @type {number}
+ */
+const MESSAGE_AWARENESS = 1;
+
+/**
+ * Close code the server sends when the note was moved to the trash.
+ *
+ * @type {number}
+ *
+ * @see {@link ../../../backend/src/lib/collabServer.js} CLOSE_NOTE_GONE
+ */
+const CLOSE_NOTE_GONE = 4404;
+
+/**
+ * Reconnect backoff: first step and cap, in milliseconds.
+ *
+ * @type {{baseDelayMs: number, maxDelayMs: number}}
+ */
+const RECONNECT = {
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+/**
+ * Builds the socket URL of a note's room.
+ *
+ * Defaults to the API's own host. `VITE_COLLAB_URL` overrides it for
+ * deployments whose `/api` proxy can't forward WebSockets (Vercel
+ * rewrites can't), e.g. `wss://your-app-name-backend.fly.dev/api/collab`.
+ *
+ * @param {string} noteId - Note to join
+ * @returns {URL} `ws:` or `wss:` URL without the ticket
+ */
+const roomUrl = (noteId) => {
+  const base =
+    import.meta.env.VITE_COLLAB_URL ?? `${api.defaults.baseURL}/collab`;
+  const url = new URL(`${base}/${noteId}`, window.location.href);
+  if (url.protocol === 'http:') url.protocol = 'ws:';
+  if (url.protocol === 'https:') url.protocol = 'wss:';
+  return url;
+};
+
+/**
+ * Encodes an awareness message for the given clients.
+ *
+ * @param {awarenessProtocol.Awareness} awareness - Presence to encode
+ * @param {Array<number>} clients - Yjs client IDs to include
+ * @returns {Uint8Array} Message ready to send
+ */
+const awarenessMessage = (awareness, clients) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+  encoding.writeVarUint8Array(
+    encoder,
+    awarenessProtocol.encodeAwarenessUpdate(awareness, clients)
+  );
+  return encoding.toUint8Array(encoder);
+};
+
+/**
+ * Keeps a document and its presence in sync with a note's room.
+ *
+ * Status values passed to `onStatus`:
+ * - "connecting": Fetching a ticket or opening the socket
+ * - "connected": Socket open; edits are exchanged live
+ * - "disconnected": Waiting to reconnect; edits are kept locally
+ * - "gone": The note was trashed or deleted; the provider has stopped
+ *
+ * @function createCollabProvider
+ * @param {string} noteId - Note whose room to join
+ * @param {Y.Doc} doc - Document holding the note's `content` text
+ * @param {awarenessProtocol.Awareness} awareness - Presence of `doc`
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onStatus - Called with the connection status
+ * @param {Function} handlers.onSynced - Called each time the document has
+ *   caught up with the server after connecting
+ * @returns {{destroy: Function}} Handle that disconnects for good
+ *
+ * @example
+ * const provider = createCollabProvider(id, doc, awareness, {
+ *   onStatus: setStatus,
+ *   onSynced: () => setReady(true),
+ * });
+ * // later
+ * provider.destroy();
+ *
+ * @see {@link ../hooks/useCollaboration.js} Hook that owns the document
+ * @see {@link ../../../backend/src/lib/collabServer.js} Server side of the protocol
+ */
+export const createCollabProvider = (
+  noteId,
+  doc,
+  awareness,
+  { onStatus, onSynced }
+) => {
+  let socket = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let stopped = false;
+
+  // Origin of changes received from the server, so they aren't echoed back
+  const origin = {};
+
+  const send = (message) => {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(message);
+  };
+
+  const stop = (status) => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    onStatus(status);
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    onStatus('disconnected');
+    const step = Math.min(
+      RECONNECT.maxDelayMs,
+      RECONNECT.baseDelayMs * 2 ** attempt++
+    );
+    retryTimer = setTimeout(connect, step / 2 + (Math.random() * step) / 2);
+  };
+
+  const handleMessage = (data) => {
+    const decoder = decoding.createDecoder(new Uint8Array(data));
+    const type = decoding.readVarUint(decoder);
+
+    if (type === MESSAGE_SYNC) {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+      const syncType = syncProtocol.readSyncMessage(
+        decoder,
+        encoder,
+        doc,
+        origin
+      );
+      if (encoding.length(encoder) > 1) send(encoding.toUint8Array(encoder));
+      if (syncType === syncProtocol.messageYjsSyncStep2) onSynced();
+    } else if (type === MESSAGE_AWARENESS) {
+      awarenessProtocol.applyAwarenessUpdate(
+        awareness,
+        decoding.readVarUint8Array(decoder),
+        origin
+      );
+    }
+  };
+
+  async function connect() {
+    retryTimer = null;
+    onStatus('connecting');
+
+    let ticket;
+    try {
+      const res = await api.post(`/notes/${noteId}/collab-ticket`);
+      ticket = res.data.ticket;
+    } catch (error) {
+      if (normalizeError(error).status === 404) stop('gone');
+      else scheduleReconnect();
+      return;
+    }
+    if (stopped) return;
+
+    const url = roomUrl(noteId);
+    url.searchParams.set('ticket', ticket);
+    const ws = new WebSocket(url);
+    ws.binaryType = 'arraybuffer';
+    socket = ws;
+
+    ws.onopen = () => {
+      attempt = 0;
+      onStatus('connected');
+
+      // Ask for what the server has that we don't; it asks us the same
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+      syncProtocol.writeSyncStep1(encoder, doc);
+      send(encoding.toUint8Array(encoder));
+
+      if (awareness.getLocalState())
+        send(awarenessMessage(awareness, [doc.clientID]));
+    };
+    ws.onmessage = (event) => {
+      try {
+        handleMessage(event.data);
+      } catch {
+        ws.close();
+      }
+    };
+    ws.onclose = (event) => {
+      if (socket === ws) socket = null;
+
+      // Everyone else's presence is unknown until the next connection
+      const others = [...awareness.getStates().keys()].filter(
+        (clientId) => clientId !== doc.clientID
+      );
+      awarenessProtocol.removeAwarenessStates(awareness, others, origin);
+
+      if (event.code === CLOSE_NOTE_GONE) stop('gone');
+      else scheduleReconnect();
+    };
+  }
+
+  const handleDocUpdate = (update, updateOrigin) => {
+    if (updateOrigin === origin) return;
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    send(encoding.toUint8Array(encoder));
+  };
+
+  const handleAwarenessUpdate = ({ added, updated, removed }, updateOrigin) => {
+    if (updateOrigin === origin) return;
+    send(awarenessMessage(awareness, [...added, ...updated, ...removed]));
+  };
+
+  const handleOnline = () => {
+    if (!retryTimer) return;
+    clearTimeout(retryTimer);
+    attempt = 0;
+    connect();
+  };
+
+  doc.on('update', handleDocUpdate);
+  awareness.on('update', handleAwarenessUpdate);
+  window.addEventListener('online', handleOnline);
+  connect();
+
+  return {
+    destroy() {
+      stopped = true;
+      clearTimeout(retryTimer);
+
+      // Tell the others this client left instead of letting it time out
+      awarenessProtocol.removeAwarenessStates(
+        awareness,
+        [doc.clientID],
+        'local'
+      );
+
+      doc.off('update', handleDocUpdate);
+      awareness.off('update', handleAwarenessUpdate);
+      window.removeEventListener('online', handleOnline);
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+    },
+  };
+};
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Client for the live note event stream of the Dex Note Taking App frontend.
+ *
+ * The backend publishes every note change on `GET /api/notes/events` as
+ * Server-Sent Events (`created`, `updated` and `deleted`). This module keeps
+ * one connection open while any component is subscribed and hands each
+ * event to the subscribers, which merge it into the notes they show.
+ *
+ * Why not the browser's EventSource?
+ * - EventSource can't send headers, and the API only accepts the access
+ *   token as an `Authorization: Bearer` header (never a cookie or a URL
+ *   parameter, where it would end up in logs). `fetch` can send it and
+ *   read the response as a stream
+ *
+ * Reconnection:
+ * - A dropped connection is reopened with exponential backoff and jitter
+ * - A 401 refreshes the access token first; the server also ends each
+ *   stream after one token lifetime, which lands here as a normal reconnect
+ * - Events sent while disconnected are not replayed
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import api, { getAccessToken, refreshSession } from './axios';
+
+/**
+ * Reconnect backoff: first step and cap, in milliseconds.
+ *
+ * @type {{baseDelayMs: number, maxDelayMs: number}}
+ */
+const RECONNECT = {
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+/**
+ * Subscribed listeners, each called with `{ type, data }`.
+ *
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Aborts the open connection; null while nobody is subscribed.
+ *
+ * @type {AbortController|null}
+ */
+let connection = null;
+
+/**
+ * Waits for `ms`, returning early if the signal aborts.
+ *
+ * @param {number} ms - Time to wait
+ * @param {AbortSignal} signal - Signal of the connection
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * Parses one Server-Sent Events message (the lines before a blank line).
+ *
+ * @param {string} block - Message lines
+ * @returns {{type: string, data: string}|null} The event, or null for a
+ *   comment-only block such as the server's keep-alive
+ */
+const parseMessage = (block) => {
+  let type = 'message';
+  const data = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+    if (field === 'event') type = value;
+    else if (field === 'data') data.push(value);
+  }
+  return data.length > 0 ? { type, data: data.join('\n') } : null;
+};
+
+/**
+ * Reads events from a response body until the stream ends.
+ *
+ * @async
+ * @param {ReadableStream<Uint8Array>} body - Response body of the stream
+ * @returns {Promise<void>} Resolves when the server closes the stream
+ */
+const readEvents = async (body) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buffer += value;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const message = parseMessage(buffer.slice(0, end));
+      buffer = buffer.slice(end + 2);
+      if (!message) continue;
+
+      const event = { type: message.type, data: JSON.parse(message.data) };
+      for (const listener of listeners) listener(event);
+    }
+  }
+};
+
+/**
+ * Keeps the event stream open until the signal aborts.
+ *
+ * @async
+ * @param {AbortSignal} signal - Aborted when the last subscriber leaves
+ * @returns {Promise<void>}
+ */
+const connect = async (signal) => {
+  let attempt = 0;
+
+  while (!signal.aborted) {
+    try {
+      const res = await fetch(`${api.defaults.baseURL}/notes/events`, {
+        headers: {
+          Accept: 'text/event-stream',
+          Authorization: `Bearer ${getAccessToken()}`,
+        },
+        signal,
+      });
+
+      if (res.status === 401) {
+        await refreshSession();
+      } else if (res.ok && res.body) {
+        attempt = 0;
+        await readEvents(res.body);
+      }
+    } catch {
+      // Dropped connection, failed refresh or abort; retried below
+    }
+
+    if (signal.aborted) return;
+    const step = Math.min(
+      RECONNECT.maxDelayMs,
+      RECONNECT.baseDelayMs * 2 ** attempt++
+    );
+    await sleep(step / 2 + (Math.random() * step) / 2, signal);
+  }
+};
+
+/**
+ * Subscribes to note events.
+ *
+ * The first subscriber opens the connection and the last one to leave
+ * closes it, so pages can subscribe in an effect without coordinating.
+ *
+ * @function subscribeToNoteEvents
+ * @param {Function} listener - Called with `{ type, data }`: `data.note`
+ *   for "created" and "updated", `data.id` for "deleted"
+ * @returns {Function} Unsubscribes the listener
+ *
+ * @example
+ * useEffect(
+ *   () => subscribeToNoteEvents(({ type, data }) => console.log(type, data)),
+ *   []
+ * );
+ *
+ * @see {@link ../../../backend/src/controllers/eventsController.js} Backend stream
+ */
+export const subscribeToNoteEvents = (listener) => {
+  listeners.add(listener);
+  if (!connection) {
+    connection = new AbortController();
+    connect(connection.signal);
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && connection) {
+      connection.abort();
+      connection = null;
+    }
+  };
+};
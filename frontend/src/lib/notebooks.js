@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Helpers for working with the notebook tree in the Dex Note Taking App frontend.
+ *
+ * `GET /api/notebooks` returns a flat list where each notebook names its
+ * `parent`. These helpers turn that list into the shapes the UI needs: a
+ * parent → children map for the sidebar tree, and an indented, depth-first
+ * list for pickers.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+/**
+ * Groups notebooks by their parent so the tree can be rendered top-down.
+ *
+ * Notebooks whose parent isn't in the list (which shouldn't happen, but
+ * would otherwise make them invisible) are treated as top level.
+ *
+ * @function groupByParent
+ * @param {Array<Object>} notebooks - Flat list from `GET /notebooks`
+ * @returns {Map<string|null, Array<Object>>} Children keyed by parent ID (null for top level)
+ */
+export function groupByParent(notebooks) {
+  const ids = new Set(notebooks.map((notebook) => notebook._id));
+  const children = new Map();
+
+  for (const notebook of notebooks) {
+    const parent = ids.has(notebook.parent) ? notebook.parent : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(notebook);
+  }
+  return children;
+}
+
+/**
+ * Lists notebooks in tree order with their nesting depth.
+ *
+ * @function flattenNotebooks
+ * @param {Array<Object>} notebooks - Flat list from `GET /notebooks`
+ * @returns {Array<{notebook: Object, depth: number}>} Depth-first order, top level at depth 0
+ *
+ * @example
+ * flattenNotebooks(notebooks).map(({ notebook, depth }) => '  '.repeat(depth) + notebook.name);
+ * // ["Work", "  Clients", "Personal"]
+ */
+export function flattenNotebooks(notebooks) {
+  const childrenByParent = groupByParent(notebooks);
+  const flat = [];
+
+  const visit = (parent, depth) => {
+    for (const notebook of childrenByParent.get(parent) ?? []) {
+      flat.push({ notebook, depth });
+      visit(notebook._id, depth + 1);
+    }
+  };
+  visit(null, 0);
+
+  return flat;
+}
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview IndexedDB storage for offline use of the Dex Note Taking App frontend.
+ *
+ * Keeps a copy of everything the app needs to work without a connection:
+ * - `notes`: Every note the user has loaded, as last seen from the server
+ *   (or as changed locally while offline), keyed by `_id`
+ * - `meta`: The last tag counts and notebook tree, keyed by name
+ * - `mutations`: Changes made while offline, in the order they were made;
+ *   see `syncQueue.js`, which owns this store
+ *
+ * Each account gets its own database (`dex-offline:<userId>`), so two people
+ * sharing a browser never see each other's notes, and signing out deletes it.
+ *
+ * The notes and meta helpers are best-effort: IndexedDB can be missing
+ * (some private modes) or full, and a failed cache read or write must never
+ * break a page that has the data from the network anyway. The mutation
+ * helpers do report failures, since a change that wasn't stored would
+ * otherwise be lost silently.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+/**
+ * Schema version; bump it and extend `upgrade` to add stores or indexes.
+ *
+ * @type {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * ID of the signed-in user whose database is used, or null.
+ *
+ * @type {string|null}
+ */
+let accountId = null;
+
+/**
+ * Open database of `accountId`, opened on first use.
+ *
+ * @type {Promise<IDBDatabase>|null}
+ */
+let dbPromise = null;
+
+/**
+ * Name of an account's database.
+ *
+ * @param {string} userId - Account
+ * @returns {string} Database name
+ */
+const databaseName = (userId) => `dex-offline:${userId}`;
+
+/**
+ * Creates the object stores of a new or older database.
+ *
+ * @param {IDBDatabase} db - Database being upgraded
+ * @returns {void}
+ */
+const upgrade = (db) => {
+  if (!db.objectStoreNames.contains('notes')) {
+    db.createObjectStore('notes', { keyPath: '_id' });
+  }
+  if (!db.objectStoreNames.contains('meta')) {
+    db.createObjectStore('meta');
+  }
+  if (!db.objectStoreNames.contains('mutations')) {
+    db.createObjectStore('mutations', { keyPath: 'seq', autoIncrement: true });
+  }
+};
+
+/**
+ * Opens the current account's database.
+ *
+ * @returns {Promise<IDBDatabase>} Open database; rejects when nobody is
+ *   signed in or IndexedDB is unavailable
+ */
+const openDb = () => {
+  if (!accountId) return Promise.reject(new Error('Not signed in'));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(databaseName(accountId), DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again instead of caching the failure
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs one transaction over a store.
+ *
+ * @param {string} storeName - Object store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} work - Called with the store; may return a request
+ *   whose result becomes the transaction's result
+ * @returns {Promise<*>} Result of the returned request, once the
+ *   transaction has committed
+ */
+const transact = async (storeName, mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = work(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Switches storage to another account's database.
+ *
+ * Called by AuthProvider whenever the signed-in user changes.
+ *
+ * @function setOfflineAccount
+ * @param {string|null} userId - Signed-in user, or null
+ * @returns {void}
+ */
+export const setOfflineAccount = (userId) => {
+  if (userId === accountId) return;
+  dbPromise?.then((db) => db.close()).catch(() => {});
+  dbPromise = null;
+  accountId = userId;
+};
+
+/**
+ * Deletes an account's offline data, including unsynced changes.
+ *
+ * @function clearOfflineData
+ * @param {string} userId - Account to clear
+ * @returns {Promise<void>} Resolves once deleted (or if it can't be)
+ */
+export const clearOfflineData = (userId) => {
+  if (userId === accountId) setOfflineAccount(null);
+  return new Promise((resolve) => {
+    try {
+      const request = indexedDB.deleteDatabase(databaseName(userId));
+      request.onsuccess = () => resolve();
+      request.onerror = () => resolve();
+      request.onblocked = () => resolve();
+    } catch {
+      resolve();
+    }
+  });
+};
+
+/**
+ * Reads every cached note.
+ *
+ * @function getCachedNotes
+ * @returns {Promise<Array<Object>>} Cached notes, in no particular order
+ */
+export const getCachedNotes = () =>
+  transact('notes', 'readonly', (store) => store.getAll()).catch(() => []);
+
+/**
+ * Reads one cached note.
+ *
+ * @function getCachedNote
+ * @param {string} id - Note ID (a server ID or a local one)
+ * @returns {Promise<Object|null>} The note, or null
+ */
+export const getCachedNote = (id) =>
+  transact('notes', 'readonly', (store) => store.get(id))
+    .then((note) => note ?? null)
+    .catch(() => null);
+
+/**
+ * Stores notes, replacing older copies.
+ *
+ * @function cacheNotes
+ * @param {Array<Object>} notes - Notes as returned by the API
+ * @returns {Promise<void>}
+ */
+export const cacheNotes = (notes) =>
+  transact('notes', 'readwrite', (store) => {
+    for (const note of notes) store.put(note);
+  }).catch(() => {});
+
+/**
+ * Removes a note from the cache, e.g. after it was moved to the trash.
+ *
+ * @function removeCachedNote
+ * @param {string} id - Note ID
+ * @returns {Promise<void>}
+ */
+export const removeCachedNote = (id) =>
+  transact('notes', 'readwrite', (store) => {
+    store.delete(id);
+  }).catch(() => {});
+
+/**
+ * Reads a cached value such as the tag counts.
+ *
+ * @function getCachedMeta
+ * @param {string} key - "tags" or "notebooks"
+ * @returns {Promise<*>} The value, or null
+ */
+export const getCachedMeta = (key) =>
+  transact('meta', 'readonly', (store) => store.get(key))
+    .then((value) => value ?? null)
+    .catch(() => null);
+
+/**
+ * Stores a value such as the tag counts.
+ *
+ * @function cacheMeta
+ * @param {string} key - "tags" or "notebooks"
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+export const cacheMeta = (key, value) =>
+  transact('meta', 'readwrite', (store) => {
+    store.put(value, key);
+  }).catch(() => {});
+
+/**
+ * Reads every queued mutation, oldest first.
+ *
+ * @function getMutations
+ * @returns {Promise<Array<Object>>} Mutations ordered by `seq`
+ */
+export const getMutations = () =>
+  transact('mutations', 'readonly', (store) => store.getAll());
+
+/**
+ * Adds or replaces a queued mutation.
+ *
+ * @function putMutation
+ * @param {Object} mutation - Mutation; without `seq` it is appended
+ * @returns {Promise<number>} Its `seq`
+ */
+export const putMutation = (mutation) =>
+  transact('mutations', 'readwrite', (store) => store.put(mutation));
+
+/**
+ * Removes a queued mutation.
+ *
+ * @function deleteMutation
+ * @param {number} seq - Mutation to remove
+ * @returns {Promise<void>}
+ */
+export const deleteMutation = (seq) =>
+  transact('mutations', 'readwrite', (store) => {
+    store.delete(seq);
+  });
@@ -0,0 +1,676 @@
+/**
+ * @fileoverview Offline change queue for the Dex Note Taking App frontend.
+ *
+ * Notes created, edited or trashed while the server can't be reached are
+ * queued here as mutations, stored in IndexedDB so they survive reloads,
+ * and sent through the regular API client once the connection returns.
+ *
+ * Mutations:
+ * - `{ type: "create", noteId, body }`: `noteId` is a local ID
+ *   (`local-<uuid>`) standing in for the note until the server assigns one
+ * - `{ type: "update", noteId, body, etag }`: A PUT with `If-Match: etag`
+ * - `{ type: "delete", noteId }`: Moves the note to the trash
+ *
+ * Each mutation also has a `status`: "pending" until sent, "conflict" when
+ * an update was rejected with 409 (`server` then holds the server's note
+ * and ETag), or "failed" when the server refused it for good (`error`).
+ * Conflicts and failures wait for the user on the Sync page.
+ *
+ * Why coalesce changes per note?
+ * - Autosave queues a change every second of typing; replaying one PUT per
+ *   note with the latest fields is both faster and avoids conflicting with
+ *   the queue's own earlier saves
+ * - Changes to a note created offline fold into its create, and trashing
+ *   such a note simply drops it, since the server never saw it
+ *
+ * Replay:
+ * - Runs when the browser comes back online, at startup, and after each
+ *   queued change while online
+ * - Mutations are sent in order, one at a time; a network error, 5xx or
+ *   429 stops the run and leaves the rest queued for the next one
+ * - The mutation being sent is never changed in place: later edits to the
+ *   same note queue behind it instead
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import api from './axios';
+import { getErrorMessage, normalizeError } from './apiErrors';
+import {
+  cacheNotes,
+  deleteMutation,
+  getCachedNote,
+  getMutations,
+  putMutation,
+  removeCachedNote,
+} from './offlineStore';
+
+/**
+ * Delay before retrying a replay that stopped on a server error while the
+ * browser still reports being online.
+ *
+ * @type {number}
+ */
+const RETRY_DELAY_MS = 30000;
+
+/**
+ * Prefix of the IDs given to notes created offline.
+ *
+ * @type {string}
+ */
+const LOCAL_ID_PREFIX = 'local-';
+
+/**
+ * Queued mutations, oldest first, mirroring the IndexedDB store.
+ *
+ * @type {Array<Object>}
+ */
+let mutations = [];
+
+/**
+ * Whether the queue has been loaded for the signed-in user.
+ *
+ * @type {boolean}
+ */
+let started = false;
+
+/**
+ * Whether a replay is running.
+ *
+ * @type {boolean}
+ */
+let syncing = false;
+
+/**
+ * `seq` of the mutation being sent, which must not be changed meanwhile.
+ *
+ * @type {number|null}
+ */
+let inFlightSeq = null;
+
+/**
+ * Timer of the next retry after a server error.
+ *
+ * @type {number|null}
+ */
+let retryTimer = null;
+
+/**
+ * Server IDs of notes created offline this session, by local ID.
+ *
+ * An editor still open on the local ID keeps queuing changes under it for
+ * a moment after the create went through; they are filed under the
+ * server ID instead.
+ *
+ * @type {Map<string, string>}
+ */
+const syncedIds = new Map();
+
+/**
+ * Tail of the chain that serializes changes to the queue.
+ *
+ * @type {Promise<void>}
+ */
+let lock = Promise.resolve();
+
+/**
+ * Listeners for the queue's state, each called with `{ mutations, syncing }`.
+ *
+ * @type {Set<Function>}
+ */
+const stateListeners = new Set();
+
+/**
+ * Listeners for replayed mutations.
+ *
+ * @type {Set<Function>}
+ */
+const resultListeners = new Set();
+
+/**
+ * Runs `task` after every queue change started before it.
+ *
+ * @param {Function} task - Async function
+ * @returns {Promise<*>} Result of the task
+ */
+const withLock = (task) => {
+  const run = lock.then(task);
+  lock = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Tells the state listeners about the current queue.
+ *
+ * @returns {void}
+ */
+const emitState = () => {
+  const state = { mutations: [...mutations], syncing };
+  stateListeners.forEach((listener) => listener(state));
+};
+
+/**
+ * Tells the result listeners about a replayed mutation.
+ *
+ * @param {Object} result - See `subscribeToSyncResults`
+ * @returns {void}
+ */
+const emitResult = (result) => {
+  resultListeners.forEach((listener) => listener(result));
+};
+
+/**
+ * Starts a replay soon if there is anything to send.
+ *
+ * @returns {void}
+ */
+const scheduleReplay = () => {
+  if (mutations.some((item) => item.status === 'pending'))
+    setTimeout(replayMutations, 0);
+};
+
+/**
+ * Stores a mutation and updates the in-memory copy.
+ *
+ * @param {Object} mutation - Mutation, with or without `seq`
+ * @returns {Promise<Object>} The stored mutation
+ */
+const saveMutation = async (mutation) => {
+  const seq = await putMutation(mutation);
+  const saved = { ...mutation, seq };
+  const index = mutations.findIndex((item) => item.seq === seq);
+  if (index === -1) mutations.push(saved);
+  else mutations[index] = saved;
+  return saved;
+};
+
+/**
+ * Removes a mutation from storage and memory.
+ *
+ * @param {number} seq - Mutation to remove
+ * @returns {Promise<void>}
+ */
+const removeMutation = async (seq) => {
+  await deleteMutation(seq);
+  mutations = mutations.filter((item) => item.seq !== seq);
+};
+
+/**
+ * ETag for a note returned without one, such as a newly created note.
+ *
+ * @param {Object} note - Note from the API
+ * @returns {string} ETag built from its version
+ */
+const versionETag = (note) => `"${note.__v ?? 0}"`;
+
+/**
+ * Whether a note ID was assigned offline and is unknown to the server.
+ *
+ * @function isLocalNoteId
+ * @param {string} id - Note ID
+ * @returns {boolean} True for local IDs
+ */
+export const isLocalNoteId = (id) => id?.startsWith(LOCAL_ID_PREFIX) ?? false;
+
+/**
+ * Subscribes to the queue's state.
+ *
+ * The listener is called right away and again after every change.
+ *
+ * @function subscribeToSyncQueue
+ * @param {Function} listener - Called with `{ mutations, syncing }`
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSyncQueue = (listener) => {
+  stateListeners.add(listener);
+  listener({ mutations: [...mutations], syncing });
+  return () => stateListeners.delete(listener);
+};
+
+/**
+ * Subscribes to mutations as the server accepts or rejects them.
+ *
+ * Results:
+ * - `{ type: "created", localId, note, etag }`: A note created offline now
+ *   exists on the server under `note._id`
+ * - `{ type: "updated", note, etag }`: Queued edits were saved
+ * - `{ type: "deleted", noteId }`: The note is in the trash
+ * - `{ type: "conflict", noteId }`: Queued edits hit a newer version
+ *
+ * @function subscribeToSyncResults
+ * @param {Function} listener - Called with each result
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSyncResults = (listener) => {
+  resultListeners.add(listener);
+  return () => resultListeners.delete(listener);
+};
+
+/**
+ * Whether a note has changes waiting in the queue.
+ *
+ * Editors send their saves through the queue while this is true, so they
+ * can't overtake (and conflict with) the queued ones.
+ *
+ * @function hasQueuedChanges
+ * @param {string} noteId - Note ID
+ * @returns {boolean} True if any mutation for the note is queued
+ */
+export const hasQueuedChanges = (noteId) =>
+  mutations.some((mutation) => mutation.noteId === noteId);
+
+/**
+ * Queues a new note.
+ *
+ * @async
+ * @function queueCreate
+ * @param {{title: string, content: string, tags: Array<string>}} body -
+ *   Fields of the note, plus `type` and `items` for a checklist
+ * @returns {Promise<Object>} The note as cached locally, with a local ID
+ */
+export const queueCreate = (body) =>
+  withLock(async () => {
+    const now = new Date().toISOString();
+    const note = {
+      _id: `${LOCAL_ID_PREFIX}${crypto.randomUUID()}`,
+      ...body,
+      // Checklist items get stand-in IDs as well, until the server's copy
+      items: (body.items ?? []).map((item, order) => ({
+        ...item,
+        _id: `${LOCAL_ID_PREFIX}${crypto.randomUUID()}`,
+        order,
+      })),
+      notebookId: null,
+      pinned: false,
+      archived: false,
+      createdAt: now,
+      updatedAt: now,
+      __v: 0,
+    };
+    await saveMutation({
+      type: 'create',
+      noteId: note._id,
+      body,
+      status: 'pending',
+    });
+    await cacheNotes([note]);
+    emitState();
+    return note;
+  }).finally(scheduleReplay);
+
+/**
+ * Queues changes to a note.
+ *
+ * Folds into the note's queued create or update when there is one that
+ * isn't being sent; a conflicting update keeps its conflict, so the user
+ * still gets to compare the latest edits with the server's version.
+ *
+ * @async
+ * @function queueUpdate
+ * @param {string} localOrServerId - Note ID
+ * @param {Object} body - Changed fields, as sent to PUT /notes/:id
+ * @param {string|null} etag - ETag the changes are based on
+ * @returns {Promise<void>}
+ */
+export const queueUpdate = (localOrServerId, body, etag) =>
+  withLock(async () => {
+    const noteId = syncedIds.get(localOrServerId) ?? localOrServerId;
+    const queued = mutations.find(
+      (mutation) =>
+        mutation.noteId === noteId &&
+        mutation.seq !== inFlightSeq &&
+        (mutation.type === 'create' || mutation.type === 'update')
+    );
+    if (queued) {
+      await saveMutation({
+        ...queued,
+        body: { ...queued.body, ...body },
+        status: queued.status === 'failed' ? 'pending' : queued.status,
+        error: undefined,
+      });
+    } else {
+      await saveMutation({
+        type: 'update',
+        noteId,
+        body,
+        etag,
+        status: 'pending',
+      });
+    }
+
+    const cached = await getCachedNote(noteId);
+    if (cached) {
+      await cacheNotes([
+        { ...cached, ...body, updatedAt: new Date().toISOString() },
+      ]);
+    }
+    emitState();
+  }).finally(scheduleReplay);
+
+/**
+ * Queues moving a note to the trash.
+ *
+ * Queued edits to the note are dropped, since they would be trashed with
+ * it; a note created offline is forgotten entirely.
+ *
+ * @async
+ * @function queueDelete
+ * @param {string} localOrServerId - Note ID
+ * @returns {Promise<void>}
+ */
+export const queueDelete = (localOrServerId) =>
+  withLock(async () => {
+    const noteId = syncedIds.get(localOrServerId) ?? localOrServerId;
+    const createdOffline = mutations.some(
+      (mutation) => mutation.type === 'create' && mutation.noteId === noteId
+    );
+    const createInFlight = mutations.some(
+      (mutation) =>
+        mutation.seq === inFlightSeq &&
+        mutation.type === 'create' &&
+        mutation.noteId === noteId
+    );
+    for (const mutation of mutations.filter(
+      (item) => item.noteId === noteId && item.seq !== inFlightSeq
+    )) {
+      await removeMutation(mutation.seq);
+    }
+    // A create being sent right now still needs trashing once it lands
+    if (!createdOffline || createInFlight) {
+      await saveMutation({ type: 'delete', noteId, status: 'pending' });
+    }
+    await removeCachedNote(noteId);
+    emitState();
+  }).finally(scheduleReplay);
+
+/**
+ * Resolves a conflicting update.
+ *
+ * Taking the server's version drops the queued edits and caches that
+ * version. Keeping the local fields (or a manual merge) re-queues them on
+ * top of the server's version, so the next replay saves them.
+ *
+ * @async
+ * @function resolveConflict
+ * @param {number} seq - Conflicting mutation
+ * @param {string} choice - "mine", "theirs" or "merged"
+ * @param {Object} fields - Title, content and tags to keep
+ * @returns {Promise<void>}
+ *
+ * @see {@link ../components/ConflictDialog.jsx} Dialog that offers the choices
+ */
+export const resolveConflict = (seq, choice, fields) =>
+  withLock(async () => {
+    const mutation = mutations.find((item) => item.seq === seq);
+    if (!mutation?.server) return;
+
+    if (choice === 'theirs') {
+      await removeMutation(seq);
+      await cacheNotes([mutation.server.note]);
+    } else {
+      const { title, content, tags } = fields;
+      await saveMutation({
+        ...mutation,
+        body: { ...mutation.body, title, content, tags },
+        etag: mutation.server.etag,
+        status: 'pending',
+        server: undefined,
+      });
+    }
+    emitState();
+  }).finally(scheduleReplay);
+
+/**
+ * Drops a queued mutation without sending it.
+ *
+ * @async
+ * @function discardMutation
+ * @param {number} seq - Mutation to drop
+ * @returns {Promise<void>}
+ */
+export const discardMutation = (seq) =>
+  withLock(async () => {
+    const mutation = mutations.find((item) => item.seq === seq);
+    if (!mutation || seq === inFlightSeq) return;
+    await removeMutation(seq);
+    if (mutation.type === 'create') await removeCachedNote(mutation.noteId);
+    emitState();
+  });
+
+/**
+ * Sends one mutation.
+ *
+ * @param {Object} mutation - Mutation to send
+ * @returns {Promise<{note?: Object, etag?: string}>} The saved note and
+ *   its ETag, for `applySuccess`; rejects with the axios error
+ */
+const send = async (mutation) => {
+  const { type, noteId, body, etag } = mutation;
+  if (type === 'create') {
+    // A create whose response was lost is sent again on the next run; the
+    // local ID tells the server it is the same note, not a new one
+    const res = await api.post('/notes', { ...body, clientId: noteId });
+    return { note: res.data, etag: res.headers.etag ?? versionETag(res.data) };
+  }
+  if (type === 'update') {
+    const res = await api.put(`/notes/${noteId}`, body, {
+      headers: etag ? { 'If-Match': etag } : undefined,
+    });
+    return { note: res.data, etag: res.headers.etag ?? versionETag(res.data) };
+  }
+  await api.delete(`/notes/${noteId}`);
+  return {};
+};
+
+/**
+ * Records the outcome of a sent mutation.
+ *
+ * After a create, later mutations switch from the local ID to the server's,
+ * and they (like the ones after an update) are rebased on the new ETag:
+ * they were made on top of the change that was just saved.
+ *
+ * @param {Object} mutation - Mutation that was sent
+ * @param {{note?: Object, etag?: string}} outcome - Result of `send`
+ * @returns {Promise<void>}
+ */
+const applySuccess = async (mutation, { note, etag }) => {
+  await removeMutation(mutation.seq);
+
+  if (mutation.type === 'delete') {
+    emitResult({ type: 'deleted', noteId: mutation.noteId });
+    return;
+  }
+
+  for (const later of mutations.filter(
+    (item) => item.noteId === mutation.noteId
+  )) {
+    await saveMutation({
+      ...later,
+      noteId: note._id,
+      etag: later.type === 'update' ? etag : later.etag,
+    });
+  }
+
+  if (mutation.type === 'create') {
+    syncedIds.set(mutation.noteId, note._id);
+    const local = await getCachedNote(mutation.noteId);
+    await removeCachedNote(mutation.noteId);
+    // Keep edits queued behind the create visible until they are sent
+    await cacheNotes([{ ...note, ...(local ? localEdits(local) : {}) }]);
+    emitResult({ type: 'created', localId: mutation.noteId, note, etag });
+  } else {
+    const local = hasQueuedChanges(note._id)
+      ? await getCachedNote(note._id)
+      : null;
+    await cacheNotes([{ ...note, ...(local ? localEdits(local) : {}) }]);
+    emitResult({ type: 'updated', note, etag });
+  }
+};
+
+/**
+ * Picks the editable fields of a cached note.
+ *
+ * @param {Object} note - Cached note
+ * @returns {{title: string, content: string, tags: Array<string>}} Fields
+ */
+const localEdits = ({ title, content, tags }) => ({ title, content, tags });
+
+/**
+ * Whether the server's copy of a note already holds the fields of a save.
+ *
+ * A save whose response was lost may still have landed; sent again, its
+ * `If-Match` names the version it replaced and is refused with 409. When
+ * the note in that 409 has exactly the fields that were sent, the save
+ * succeeded and there is nothing to resolve.
+ *
+ * @function isAlreadySaved
+ * @param {Object} note - Server's note, from the 409 response
+ * @param {Object} body - Fields the save sent
+ * @returns {boolean} True if every sent field has the sent value
+ */
+export const isAlreadySaved = (note, body) =>
+  Object.entries(body).every(
+    ([field, value]) =>
+      JSON.stringify(note[field] ?? null) === JSON.stringify(value ?? null)
+  );
+
+/**
+ * Records a mutation the server refused.
+ *
+ * @param {Object} mutation - Mutation that was sent
+ * @param {Error} error - Axios error
+ * @returns {Promise<void>}
+ */
+const applyFailure = async (mutation, error) => {
+  const { status, details } = normalizeError(error);
+
+  if (mutation.type === 'delete' && status === 404) {
+    // Already gone
+    await removeMutation(mutation.seq);
+    emitResult({ type: 'deleted', noteId: mutation.noteId });
+  } else if (
+    mutation.type === 'update' &&
+    status === 409 &&
+    details?.note &&
+    isAlreadySaved(details.note, mutation.body)
+  ) {
+    await applySuccess(mutation, {
+      note: details.note,
+      etag: error.response.headers.etag ?? versionETag(details.note),
+    });
+  } else if (status === 409 && details?.note) {
+    await saveMutation({
+      ...mutation,
+      status: 'conflict',
+      server: { note: details.note, etag: error.response.headers.etag },
+    });
+    emitResult({ type: 'conflict', noteId: mutation.noteId });
+  } else {
+    await saveMutation({
+      ...mutation,
+      status: 'failed',
+      error:
+        status === 404
+          ? 'This note no longer exists'
+          : getErrorMessage(error, 'The server rejected this change'),
+    });
+  }
+};
+
+/**
+ * Whether an error means "try again later" rather than "never".
+ *
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, 401, 429 and 5xx
+ */
+const isTransient = (error) => {
+  const { status, isNetworkError } = normalizeError(error);
+  return isNetworkError || status === 401 || status === 429 || status >= 500;
+};
+
+/**
+ * Sends every pending mutation, in order.
+ *
+ * Only one replay runs at a time; calling this during one is a no-op.
+ *
+ * @async
+ * @function replayMutations
+ * @returns {Promise<void>} Resolves when the run ends
+ */
+export const replayMutations = async () => {
+  if (!started || syncing || !navigator.onLine) return;
+  clearTimeout(retryTimer);
+  syncing = true;
+  emitState();
+
+  try {
+    for (;;) {
+      const mutation = mutations.find((item) => item.status === 'pending');
+      if (!mutation) break;
+
+      inFlightSeq = mutation.seq;
+      let outcome;
+      try {
+        outcome = await send(mutation);
+      } catch (error) {
+        inFlightSeq = null;
+        if (isTransient(error)) {
+          if (navigator.onLine)
+            retryTimer = setTimeout(replayMutations, RETRY_DELAY_MS);
+          break;
+        }
+        await withLock(() => applyFailure(mutation, error));
+        emitState();
+        continue;
+      }
+      inFlightSeq = null;
+      await withLock(() => applySuccess(mutation, outcome));
+      emitState();
+    }
+  } catch {
+    // Storage failed; the mutations stay queued for the next run
+  } finally {
+    inFlightSeq = null;
+    syncing = false;
+    emitState();
+  }
+};
+
+/**
+ * Loads the signed-in user's queue and replays it.
+ *
+ * Called by AuthProvider once a user is known, including a user restored
+ * offline from the last session.
+ *
+ * @async
+ * @function startSyncQueue
+ * @returns {Promise<void>}
+ */
+export const startSyncQueue = () =>
+  withLock(async () => {
+    try {
+      mutations = await getMutations();
+    } catch {
+      mutations = [];
+    }
+    started = true;
+    emitState();
+  }).finally(scheduleReplay);
+
+/**
+ * Forgets the queue in memory, e.g. on sign-out. Stored mutations are
+ * left to the caller (see `clearOfflineData`).
+ *
+ * @function stopSyncQueue
+ * @returns {void}
+ */
+export const stopSyncQueue = () => {
+  started = false;
+  mutations = [];
+  syncedIds.clear();
+  clearTimeout(retryTimer);
+  emitState();
+};
+
+window.addEventListener('online', () => replayMutations());
@@ -61,3 +61,134 @@ export function formatDate(date) {
     year: 'numeric',
   });
 }
+
+/**
+ * Saves a Blob to the user's device as a file download.
+ *
+ * Downloads that need the auth header can't be plain links, so the response
+ * is fetched as a Blob first and handed to the browser through a temporary
+ * object URL.
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested name for the saved file
+ * @returns {void}
+ *
+ * @see {@link ../components/Navbar.jsx} Export action that uses this function
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started using the URL
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Formats a byte count for lists of files.
+ *
+ * @param {number} bytes - File size in bytes
+ * @returns {string} Size such as "820 B", "14.2 KB" or "3.1 MB"
+ *
+ * @see {@link ../pages/ImportPage.jsx} Selected-files list
+ * @see {@link ../components/AttachmentList.jsx} Attachment list
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Reads the filename from a `Content-Disposition` response header.
+ *
+ * @param {string|undefined} header - Raw header value
+ * @param {string} fallback - Name to use when the header has none
+ * @returns {string} The server's suggested filename, or the fallback
+ *
+ * @example
+ * filenameFromDisposition('attachment; filename="notes.zip"', 'export.zip');
+ * // Returns: "notes.zip"
+ */
+export function filenameFromDisposition(header, fallback) {
+  const match = /filename="?([^";]+)"?/i.exec(header ?? '');
+  return match ? match[1] : fallback;
+}
+
+/**
+ * Formats a date and time for reminders and due dates, e.g.
+ * "Mon, Jan 15, 9:00 AM". The year is only shown when it isn't this one.
+ *
+ * @param {Date} date - The Date object to format
+ * @returns {string} Formatted date and time in the user's time zone
+ *
+ * @see {@link ../components/NoteCard.jsx} Reminder and due date badges
+ */
+export function formatDateTime(date) {
+  return date.toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year:
+      date.getFullYear() === new Date().getFullYear() ? undefined : 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Converts an ISO date-time from the API into the value of a
+ * `datetime-local` input, which has no time zone and is read as local time.
+ *
+ * @param {string|null} iso - ISO 8601 date-time, or null
+ * @returns {string} "YYYY-MM-DDTHH:mm" in local time, or "" for null
+ *
+ * @example
+ * toDateTimeInputValue('2025-06-01T07:00:00.000Z');
+ * // Returns: "2025-06-01T09:00" in UTC+2
+ */
+export function toDateTimeInputValue(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  const pad = (value) => String(value).padStart(2, '0');
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+/**
+ * Converts the value of a `datetime-local` input back into an ISO date-time
+ * for the API.
+ *
+ * @param {string} value - "YYYY-MM-DDTHH:mm" in local time, or ""
+ * @returns {string|null} ISO 8601 date-time in UTC, or null when empty
+ */
+export function fromDateTimeInputValue(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * When a scheduled note next needs attention: its reminder if that is
+ * still ahead, or its due date, whichever comes first. A reminder that
+ * already went off is used only when there is no due date.
+ *
+ * Mirrors the order of `GET /api/notes/upcoming`, so notes changed live
+ * can be put back in the right place.
+ *
+ * @param {Object} note - Note with `remindAt` and/or `dueAt` (ISO strings)
+ * @param {number} now - Reference time in milliseconds
+ * @returns {number|null} Time in milliseconds, or null if the note has neither
+ *
+ * @see {@link ../../../backend/src/controllers/notesController.js} Backend getUpcomingNotes controller
+ */
+export function nextScheduledAt(note, now) {
+  const remindAt = note.remindAt ? Date.parse(note.remindAt) : null;
+  const times = [note.dueAt ? Date.parse(note.dueAt) : null];
+  if (remindAt !== null && remindAt >= now) times.push(remindAt);
+  const upcoming = times.filter((time) => time !== null);
+  return upcoming.length ? Math.min(...upcoming) : remindAt;
+}
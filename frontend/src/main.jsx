@@ -10,8 +10,11 @@
  * Key Features:
  * - React 19 with modern createRoot API
  * - StrictMode for development warnings and checks
- * - Client-side routing with React Router
+ * - Client-side routing with React Router's data router (needed for
+ *   navigation blocking)
+ * - Authentication state shared through AuthProvider
  * - Global toast notification system
+ * - Service worker registration for offline use (production builds only)
  * - CSS imports for Tailwind styling
  * - Component tree initialization
  *
@@ -23,8 +26,36 @@ import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import './index.css';
 import App from './App.jsx';
-import { BrowserRouter } from 'react-router';
+import { createBrowserRouter, RouterProvider } from 'react-router';
 import { Toaster } from 'react-hot-toast';
+import AuthProvider from './context/AuthProvider.jsx';
+
+/**
+ * Application router.
+ *
+ * A data router is used instead of `<BrowserRouter>` because only data
+ * routers support `useBlocker`, which the editor uses to warn before
+ * leaving a note with unsaved changes. The individual pages are still
+ * declared with `<Routes>` in App.jsx; this single catch-all route simply
+ * hands every URL to App.
+ *
+ * @type {Object}
+ *
+ * @see {@link ./App.jsx} Route declarations
+ * @see {@link ./hooks/useUnsavedChangesPrompt.js} Hook that blocks navigation
+ */
+const router = createBrowserRouter([
+  {
+    path: '*',
+    element: (
+      // Authentication state for every route
+      <AuthProvider>
+        {/* Main application component containing all routes and layout */}
+        <App />
+      </AuthProvider>
+    ),
+  },
+]);
 
 /**
  * React application initialization and DOM mounting.
@@ -37,13 +68,14 @@ import { Toaster } from 'react-hot-toast';
  * Why this approach?
  * - createRoot API: Modern React 19 API with better performance and features
  * - StrictMode: Catches potential issues and enforces best practices
- * - BrowserRouter: Enables client-side routing for single-page application
+ * - RouterProvider: Enables client-side routing for single-page application
  * - Toaster: Provides global notification system for user feedback
  * - Component structure: Clean separation of concerns with App as root component
  *
  * Application Structure:
  * - StrictMode: Development warnings and additional checks
- * - BrowserRouter: Client-side routing provider
+ * - RouterProvider: Client-side routing provider
+ * - AuthProvider: Signed-in user and login/logout actions (inside the router)
  * - App: Main application component with routes and layout
  * - Toaster: Global notification system for user feedback
  *
@@ -78,13 +110,29 @@ createRoot(document.getElementById('root')).render(
    *
    */
   <StrictMode>
-    {/* BrowserRouter provider for client-side routing */}
-    <BrowserRouter>
-      {/* Main application component containing all routes and layout */}
-      <App />
+    {/* Router provider for client-side routing */}
+    <RouterProvider router={router} />
 
-      {/* Global toast notification system for user feedback */}
-      <Toaster />
-    </BrowserRouter>
+    {/* Global toast notification system for user feedback */}
+    <Toaster />
   </StrictMode>
 );
+
+/**
+ * Service worker registration.
+ *
+ * The worker caches the app shell so the app opens without a connection;
+ * the notes themselves come from IndexedDB. It is only registered in
+ * production builds: in development it would serve stale modules over
+ * Vite's hot reloading.
+ *
+ * @see {@link ../public/sw.js} Service worker
+ * @see {@link ./lib/offlineStore.js} Notes kept on the device
+ */
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => {
+      // The app works without it, just not offline
+    });
+  });
+}
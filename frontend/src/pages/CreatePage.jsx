@@ -9,6 +9,11 @@
  *
  * Key Features:
  * - Form validation for required fields
+ * - Optional tags entered through the TagInput component
+ * - Markdown editor with edit, preview and split modes
+ * - Checklists, typed out item by item, as an alternative to text notes
+ * - Drafts kept in localStorage and restored after a reload
+ * - Notes created offline are queued and sent when the connection returns
  * - API integration with error handling
  * - Rate limiting detection with custom UI feedback
  * - Loading states with visual indicators
@@ -20,11 +25,53 @@
  * @version 1.0.0
  */
 
-import { ArrowLeftIcon } from 'lucide-react';
-import { useState } from 'react';
+import { ArrowLeftIcon, FileTextIcon, ListChecksIcon } from 'lucide-react';
+import { useEffect, useState } from 'react';
 import toast from 'react-hot-toast';
 import { Link, useNavigate } from 'react-router';
 import api from '../lib/axios';
+import { getErrorMessage, normalizeError } from '../lib/apiErrors';
+import { queueCreate } from '../lib/syncQueue';
+import { checklistToMarkdown, parseChecklist } from '../lib/checklist';
+import TagInput from '../components/TagInput';
+import MarkdownEditor from '../components/MarkdownEditor';
+import ChecklistEditor from '../components/ChecklistEditor';
+import useAuth from '../hooks/useAuth';
+import useDraft from '../hooks/useDraft';
+
+/**
+ * Form state for a brand new note.
+ *
+ * @type {{title: string, content: string, tags: Array<string>, type: string, items: Array<Object>}}
+ */
+const EMPTY_DRAFT = Object.freeze({
+  title: '',
+  content: '',
+  tags: [],
+  type: 'text',
+  items: [],
+});
+
+/**
+ * Whether a draft has nothing worth keeping.
+ *
+ * @param {Object} draft - Draft form state
+ * @returns {boolean} True when every field is blank
+ */
+const isDraftEmpty = (draft) =>
+  !draft.title.trim() &&
+  !draft.content.trim() &&
+  draft.tags.length === 0 &&
+  draft.items.length === 0;
+
+/**
+ * Gives a checklist item of the draft an ID of its own, which the
+ * checklist editor addresses it by. The server assigns the real ones.
+ *
+ * @param {{text: string, done: boolean}} item - Item
+ * @returns {Object} The item with an `_id`
+ */
+const withDraftId = (item) => ({ ...item, _id: crypto.randomUUID() });
 
 /**
  * CreatePage component that provides a form for creating new notes.
@@ -48,7 +95,7 @@ import api from '../lib/axios';
  * - User feedback: Shows appropriate error messages for validation failures
  *
  * API Integration:
- * - POST request to /notes endpoint with title and content
+ * - POST request to /notes endpoint with title, content, and tags
  * - Handles success response with navigation to home page
  * - Handles rate limiting (429 status) with custom error message
  * - Handles other errors with generic error message
@@ -62,38 +109,34 @@ import api from '../lib/axios';
  */
 const CreatePage = () => {
   /**
-   * State for storing the note title input value.
+   * Signed-in user, used to keep drafts separate per account.
    *
-   * This state manages the title input field value and is updated
-   * as the user types. It's used for form validation and API submission.
-   * The state is controlled by the input field's onChange handler.
-   *
-   * Why use controlled input?
-   * - Form validation: Enables real-time validation of input values
-   * - State management: Provides single source of truth for input value
-   * - User experience: Allows for dynamic form behavior and validation
-   * - API integration: Ensures clean data is sent to the backend
-   *
-   * @type {string}
+   * @type {Object}
    */
-  const [title, setTitle] = useState('');
+  const { user } = useAuth();
 
   /**
-   * State for storing the note content input value.
+   * Form fields (title, content and tags), kept as a draft in localStorage.
    *
-   * This state manages the content textarea value and is updated
-   * as the user types. It's used for form validation and API submission.
-   * The state is controlled by the textarea's onChange handler.
+   * The draft is written shortly after each change and restored when the
+   * page is opened again, so a reload or a closed tab doesn't lose an
+   * unfinished note. It is removed once the note has been created.
    *
-   * Why use controlled input?
-   * - Form validation: Enables real-time validation of input values
-   * - State management: Provides single source of truth for input value
-   * - User experience: Allows for dynamic form behavior and validation
-   * - API integration: Ensures clean data is sent to the backend
+   * Why use a draft instead of plain state?
+   * - Durability: The form survives reloads, crashes and closed tabs
+   * - No prompts: Since nothing is lost, leaving the page needs no warning
    *
-   * @type {string}
+   * @type {{title: string, content: string, tags: Array<string>}}
+   *
+   * @see {@link ../hooks/useDraft.js} Hook that persists the draft
    */
-  const [content, setContent] = useState('');
+  const { draft, setDraft, clearDraft, restored } = useDraft(
+    `dex-note:draft:${user._id}`,
+    EMPTY_DRAFT,
+    isDraftEmpty
+  );
+  const { title, content, tags, type, items } = draft;
+  const isChecklist = type === 'checklist';
 
   /**
    * State for tracking the form submission loading status.
@@ -129,6 +172,107 @@ const CreatePage = () => {
    */
   const navigate = useNavigate();
 
+  /**
+   * useEffect hook for letting the user know an earlier draft was restored.
+   *
+   * The fixed toast ID keeps StrictMode's double effect run from showing it twice.
+   */
+  useEffect(() => {
+    if (restored)
+      toast('Restored your unsaved draft', { id: 'draft-restored' });
+  }, [restored]);
+
+  /**
+   * Discards the current draft after confirmation.
+   *
+   * @function handleDiscardDraft
+   * @returns {void}
+   */
+  const handleDiscardDraft = () => {
+    if (window.confirm('Discard this draft?')) clearDraft();
+  };
+
+  /**
+   * Switches the draft between a text note and a checklist.
+   *
+   * Nothing typed is lost: Markdown list lines of the content become
+   * checklist items, and items become a Markdown task list again when
+   * switching back.
+   *
+   * @function handleTypeChange
+   * @param {string} nextType - "text" or "checklist"
+   * @returns {void}
+   */
+  const handleTypeChange = (nextType) =>
+    setDraft((prev) => {
+      if (nextType === prev.type) return {};
+      if (nextType === 'text') {
+        return {
+          type: nextType,
+          content: checklistToMarkdown(prev.content, prev.items),
+          items: [],
+        };
+      }
+      const parsed = parseChecklist(prev.content);
+      return {
+        type: nextType,
+        content: parsed.content,
+        items: [...prev.items, ...parsed.items.map(withDraftId)],
+      };
+    });
+
+  /**
+   * Checklist editor callbacks, applied to the draft.
+   *
+   * @type {Object<string, Function>}
+   *
+   * @see {@link ../components/ChecklistEditor.jsx} Editor that calls them
+   */
+  const itemHandlers = {
+    onAdd: (text, position) =>
+      setDraft((prev) => {
+        const next = [...prev.items];
+        next.splice(position, 0, withDraftId({ text, done: false }));
+        return { items: next };
+      }),
+    onUpdate: (itemId, changes) =>
+      setDraft((prev) => ({
+        items: prev.items.map((item) =>
+          item._id === itemId ? { ...item, ...changes } : item
+        ),
+      })),
+    onRemove: (itemId) =>
+      setDraft((prev) => ({
+        items: prev.items.filter((item) => item._id !== itemId),
+      })),
+    onReorder: (itemIds) =>
+      setDraft((prev) => ({
+        items: itemIds
+          .map((itemId) => prev.items.find((item) => item._id === itemId))
+          .filter(Boolean),
+      })),
+  };
+
+  /**
+   * Queues the note to be created once the connection returns.
+   *
+   * @async
+   * @function saveOffline
+   * @param {Object} body - Fields of the note, as they would be posted
+   * @returns {Promise<boolean>} False if the queue couldn't store it
+   */
+  const saveOffline = async (body) => {
+    try {
+      await queueCreate(body);
+    } catch {
+      return false;
+    }
+    clearDraft();
+    toast.success("You're offline. The note will sync when you reconnect");
+    navigate('/');
+    return true;
+  };
+
   /**
    * Handles form submission for creating a new note.
    *
@@ -151,6 +295,8 @@ const CreatePage = () => {
    *
    * Error Handling Strategy:
    * - 429 status: Rate limiting with custom message and emoji
+   * - Network failure: The note is queued for when the connection returns
+   *   and shows up on the home page straight away
    * - Other errors: Generic error message for server issues
    * - Validation: Client-side validation with immediate feedback
    * - Success: Success message and navigation to home page
@@ -167,28 +313,43 @@ const CreatePage = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    if (!title.trim() || !content.trim()) {
-      toast.error('All fields are required');
+    if (!title.trim() || (!isChecklist && !content.trim())) {
+      toast.error(
+        isChecklist ? 'Please add a title' : 'All fields are required'
+      );
       return;
     }
 
+    // The draft's item IDs are its own; the server assigns real ones
+    const body = isChecklist
+      ? {
+          title,
+          content,
+          tags,
+          type,
+          items: items.map((item) => ({ text: item.text, done: item.done })),
+        }
+      : { title, content, tags };
+
     setLoading(true);
     try {
-      await api.post('/notes', {
-        title,
-        content,
-      });
+      await api.post('/notes', body);
 
+      clearDraft();
       toast.success('Note created successfully!');
       navigate('/');
     } catch (error) {
-      if (error.response.status === 429) {
-        toast.error("Slow down! You're creating notes too fast", {
+      const { isRateLimited, retryAfter, isNetworkError } =
+        normalizeError(error);
+      if (isNetworkError && (await saveOffline(body))) return;
+      if (isRateLimited) {
+        const wait = retryAfter ? ` Try again in ${retryAfter}s` : '';
+        toast.error(`Slow down! You're creating notes too fast.${wait}`, {
           duration: 4000,
           icon: '💀',
         });
       } else {
-        toast.error('Failed to create note');
+        toast.error(getErrorMessage(error, 'Failed to create note'));
       }
     } finally {
       setLoading(false);
@@ -212,9 +373,32 @@ const CreatePage = () => {
           {/* Main form card container */}
           <div className="card bg-base-100 shadow-xl w-full">
             <div className="card-body p-4 sm:p-6 md:p-8">
-              <h2 className="card-title text-xl sm:text-2xl md:text-3xl mb-5 sm:mb-6">
-                Create New Note
-              </h2>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-5 sm:mb-6">
+                <h2 className="card-title text-xl sm:text-2xl md:text-3xl">
+                  Create New Note
+                </h2>
+                {/* Note type: free text or a checklist */}
+                <div className="join" role="group" aria-label="Note type">
+                  <button
+                    type="button"
+                    className={`btn btn-sm join-item ${!isChecklist ? 'btn-active' : ''}`}
+                    onClick={() => handleTypeChange('text')}
+                    aria-pressed={!isChecklist}
+                  >
+                    <FileTextIcon className="size-4" />
+                    Text
+                  </button>
+                  <button
+                    type="button"
+                    className={`btn btn-sm join-item ${isChecklist ? 'btn-active' : ''}`}
+                    onClick={() => handleTypeChange('checklist')}
+                    aria-pressed={isChecklist}
+                  >
+                    <ListChecksIcon className="size-4" />
+                    Checklist
+                  </button>
+                </div>
+              </div>
               <form onSubmit={handleSubmit}>
                 {/* Title input field */}
                 <div className="form-control mb-5 sm:mb-6">
@@ -228,27 +412,65 @@ const CreatePage = () => {
                     placeholder="Note Title"
                     className="input input-bordered text-base w-full"
                     value={title}
-                    onChange={(e) => setTitle(e.target.value)}
+                    onChange={(e) => setDraft({ title: e.target.value })}
                   />
                 </div>
 
-                {/* Content textarea field */}
+                {/* Checklist items */}
+                {isChecklist && (
+                  <div className="form-control mb-5 sm:mb-6">
+                    <label className="label">
+                      <span className="label-text text-base sm:text-lg font-medium">
+                        Items
+                      </span>
+                    </label>
+                    <ChecklistEditor items={items} {...itemHandlers} />
+                  </div>
+                )}
+
+                {/* Content textarea field; optional notes on a checklist */}
                 <div className="form-control mb-6 sm:mb-8">
                   <label className="label">
                     <span className="label-text text-base sm:text-lg font-medium">
-                      Content
+                      {isChecklist ? 'Notes' : 'Content'}
                     </span>
                   </label>
-                  <textarea
-                    placeholder="Write your note here..."
-                    className="textarea textarea-bordered text-base h-40 sm:h-48 md:h-56 w-full"
+                  <MarkdownEditor
+                    placeholder={
+                      isChecklist
+                        ? 'Anything else worth noting (optional)'
+                        : 'Write your note here... (Markdown supported)'
+                    }
                     value={content}
-                    onChange={(e) => setContent(e.target.value)}
+                    onChange={(value) => setDraft({ content: value })}
+                  />
+                </div>
+
+                {/* Tags input field */}
+                <div className="form-control mb-6 sm:mb-8">
+                  <label className="label">
+                    <span className="label-text text-base sm:text-lg font-medium">
+                      Tags
+                    </span>
+                  </label>
+                  <TagInput
+                    tags={tags}
+                    onChange={(value) => setDraft({ tags: value })}
                   />
                 </div>
 
-                {/* Submit button with loading state */}
-                <div className="card-actions justify-end">
+                {/* Discard-draft and submit buttons */}
+                <div className="card-actions justify-end items-center">
+                  {!isDraftEmpty(draft) && (
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-md sm:btn-lg text-base touch-manipulation"
+                      onClick={handleDiscardDraft}
+                      disabled={loading}
+                    >
+                      Discard draft
+                    </button>
+                  )}
                   <button
                     type="submit"
                     className="btn btn-primary btn-md sm:btn-lg text-base sm:text-lg touch-manipulation"
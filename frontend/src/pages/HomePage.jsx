@@ -12,20 +12,94 @@
  * - Loading states with visual indicators
  * - Empty state handling with custom UI
  * - Real-time note updates through state management
+ * - Tag filter sidebar for narrowing the grid to a single tag
+ * - Notebook tree for browsing notebooks and filing notes by drag and drop
+ * - Pinned notes in their own section above the grid, and an Archive view
+ * - Upcoming view of reminders and due dates, in-app notifications when a
+ *   reminder goes off, and a calendar feed to subscribe to
+ * - Selection mode with Shift-click ranges and a bulk action bar
+ * - Live updates from other tabs and devices over the note event stream
+ * - Full-text search from the Navbar with highlighted result snippets
+ * - Infinite scroll backed by cursor-paginated `GET /notes`
+ * - Notes kept on the device: shown before the server answers, and
+ *   instead of it while offline
  * - Mobile-first responsive design
  *
  * @author Dayle Cortes
  * @version 1.0.0
  */
 
-import { useState } from 'react';
+import { useCallback, useMemo, useRef, useState } from 'react';
 import Navbar from '../components/Navbar';
 import RateLimitedUI from '../components/RateLimitedUI';
 import { useEffect } from 'react';
 import api from '../lib/axios';
+import {
+  ArchiveIcon,
+  CalendarClockIcon,
+  CalendarPlusIcon,
+  CloudOffIcon,
+  NotebookPenIcon,
+  PinIcon,
+  SquareCheckIcon,
+} from 'lucide-react';
 import toast from 'react-hot-toast';
 import NoteCard from '../components/NoteCard';
 import NotesNotFound from '../components/NotesNotFound';
+import TagFilter from '../components/TagFilter';
+import NotebookTree from '../components/NotebookTree';
+import BulkActionBar from '../components/BulkActionBar';
+import CalendarFeedDialog from '../components/CalendarFeedDialog';
+import { subscribeToNoteEvents } from '../lib/noteEvents';
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import useNoteListing from '../hooks/useNoteListing';
+import useNoteSelection from '../hooks/useNoteSelection';
+import useNoteSearch from '../hooks/useNoteSearch';
+import useReminders from '../hooks/useReminders';
+import useAuth from '../hooks/useAuth';
+import { nextScheduledAt } from '../lib/utils';
+
+/**
+ * Splits the Upcoming view's notes (already soonest first) into sections
+ * by when they next need attention.
+ *
+ * @param {Array<Object>} notes - Notes with a reminder or a due date
+ * @param {Date} now - Reference time
+ * @returns {Array<{title: string, notes: Array<Object>}>} Non-empty sections
+ *   in order: Overdue, Today, Next 7 days, Later
+ */
+const groupUpcoming = (notes, now) => {
+  const endOfToday = new Date(now);
+  endOfToday.setHours(24, 0, 0, 0);
+  const endOfWeek = new Date(endOfToday);
+  endOfWeek.setDate(endOfWeek.getDate() + 7);
+
+  const sections = [
+    { title: 'Overdue', before: now.getTime(), notes: [] },
+    { title: 'Today', before: endOfToday.getTime(), notes: [] },
+    { title: 'Next 7 days', before: endOfWeek.getTime(), notes: [] },
+    { title: 'Later', before: Infinity, notes: [] },
+  ];
+  for (const note of notes) {
+    const at = nextScheduledAt(note, now.getTime());
+    sections.find((section) => at < section.before).notes.push(note);
+  }
+  return sections.filter((section) => section.notes.length > 0);
+};
+
+/**
+ * Past-tense verbs used in the toast after a bulk action.
+ *
+ * @type {Object<string, string>}
+ */
+const BULK_ACTION_VERBS = {
+  delete: 'Moved to trash:',
+  archive: 'Archived',
+  unarchive: 'Unarchived',
+  tag: 'Tagged',
+  untag: 'Untagged',
+  move: 'Moved',
+};
 
 /**
  * HomePage component that displays all notes in a responsive grid layout.
@@ -46,12 +120,23 @@ import NotesNotFound from '../components/NotesNotFound';
  * - Loading: Shows loading spinner while fetching notes
  * - Rate Limited: Shows RateLimitedUI component when API returns 429 status
  * - Empty: Shows NotesNotFound component when no notes exist
- * - Success: Shows grid of NoteCard components with all notes
+ * - Success: Shows pinned notes in their own section, then the grid of
+ *   NoteCard components with the remaining notes
  *
  * State Management:
- * - notes: Array of note objects from the API
- * - loading: Boolean indicating if notes are being fetched
- * - isRateLimited: Boolean indicating if user has hit rate limits
+ * - notes, nextCursor, loading, loadingMore, offline: The listing for the
+ *   current filters, from useNoteListing
+ * - rateLimitedUntil: When requests are allowed again after a 429 (null if
+ *   not limited), also from useNoteListing
+ * - tags / notebookTree: Tag counts and notebook tree shown in the sidebar
+ * - selectedTag: Tag the grid is currently filtered by (null for all notes)
+ * - selectedNotebook: Notebook the grid is filtered by ("none" for unfiled, null for all)
+ * - view: Whether the regular notes, the Upcoming view or the Archive view is shown
+ * - upcoming: Notes with an upcoming reminder or a due date, from useReminders
+ * - showCalendarFeed: Whether the calendar feed dialog is open
+ * - selectionMode / selectedIds: Multi-select state for bulk actions, from
+ *   useNoteSelection
+ * - search: Navbar query and ranked results, from useNoteSearch
  *
  * @returns {JSX.Element} The home page component with notes grid and navigation
  *
@@ -63,149 +148,640 @@ import NotesNotFound from '../components/NotesNotFound';
  */
 const HomePage = () => {
   /**
-   * State for tracking rate limiting status.
+   * State for the tag the notes grid is filtered by.
    *
-   * This state is set to true when the API returns a 429 status code,
-   * indicating that the user has exceeded the rate limit. When true,
-   * the component displays the RateLimitedUI component instead of
-   * the notes grid.
+   * `null` means no filter is applied and every note is shown. Changing
+   * this value reloads the listing with a `?tag=` query parameter.
    *
-   * Why track this separately?
-   * - User feedback: Provides clear indication when rate limits are hit
-   * - UI control: Determines which component to render
-   * - Error distinction: Separates rate limiting from other API errors
-   * - User experience: Prevents confusion about why notes aren't loading
+   * @type {string|null}
+   */
+  const [selectedTag, setSelectedTag] = useState(null);
+
+  /**
+   * State for the notebook the notes grid is filtered by.
+   *
+   * `null` shows every note, "none" shows unfiled notes, and a notebook ID
+   * shows the notes filed directly in that notebook. Combines with the tag
+   * filter.
+   *
+   * @type {string|null}
+   */
+  const [selectedNotebook, setSelectedNotebook] = useState(null);
+
+  /**
+   * State for which view is shown: "notes", "upcoming" or "archive".
+   *
+   * The Archive view lists archived notes (`?archived=true`) with the same
+   * tag and notebook filters; the regular view hides them. The Upcoming
+   * view lists notes with a reminder or due date instead of the grid.
+   *
+   * @type {string}
+   */
+  const [view, setView] = useState('notes');
+
+  /**
+   * Whether the Archive view is shown; the grid's listing depends on little
+   * else about the view.
+   *
+   * @type {boolean}
+   */
+  const showArchived = view === 'archive';
+
+  /**
+   * State for whether the calendar feed dialog is open.
    *
    * @type {boolean}
    */
-  const [isRateLimited, setIsRateLimited] = useState(false);
+  const [showCalendarFeed, setShowCalendarFeed] = useState(false);
 
   /**
-   * State for storing the array of notes from the API.
+   * State for tracking whether a bulk request is in flight.
    *
-   * This state holds all notes fetched from the backend API and is
-   * used to render the NoteCard components in the grid. The state
-   * is updated when notes are successfully fetched and can be
-   * modified by child components (like NoteCard) for real-time updates.
+   * @type {boolean}
+   */
+  const [bulkBusy, setBulkBusy] = useState(false);
+
+  /**
+   * Selection mode and the notes selected for a bulk action.
    *
-   * Why use this state?
-   * - Real-time updates: Allows immediate UI updates when notes change
-   * - Component communication: Enables child components to update the list
-   * - Performance: Avoids unnecessary re-fetches from the API
-   * - User experience: Provides instant feedback for user actions
+   * @see {@link ../hooks/useNoteSelection.js} Hook that holds the selection
+   */
+  const {
+    selectionMode,
+    setSelectionMode,
+    selectedIds,
+    toggleSelect,
+    selectAll,
+    deselect,
+    clearSelection,
+    exitSelectionMode,
+  } = useNoteSelection();
+
+  /**
+   * Notes grid and sidebar counts for the current filters. The selection
+   * is cleared whenever the listing is reloaded, so a bulk action never
+   * reaches notes that are no longer on screen.
    *
-   * @type {Array<Object>}
+   * @see {@link ../hooks/useNoteListing.js} Hook that loads the listing
    */
-  const [notes, setNotes] = useState([]);
+  const {
+    notes,
+    setNotes,
+    loading,
+    loadingMore,
+    nextCursor,
+    offline,
+    tags,
+    notebookTree,
+    rateLimitedUntil,
+    handleRequestError,
+    reload,
+    loadMore,
+    loadTags,
+    loadNotebooks,
+    moveNote,
+    belongsInView,
+    applyNoteEvent,
+  } = useNoteListing(
+    { tag: selectedTag, notebook: selectedNotebook, archived: showArchived },
+    clearSelection
+  );
+  const isRateLimited = rateLimitedUntil !== null;
 
   /**
-   * State for tracking the loading status of the notes fetch operation.
+   * Full-text search from the Navbar, shown instead of the grid.
    *
-   * This state is used to show a loading spinner while notes are being
-   * fetched from the API. It provides visual feedback to users and
-   * prevents interaction with the notes list during the loading process.
+   * @see {@link ../hooks/useNoteSearch.js} Hook that runs the search
+   */
+  const search = useNoteSearch(handleRequestError);
+  const { searchResults, searching, debouncedQuery } = search;
+
+  const { user } = useAuth();
+
+  /**
+   * Notes with an upcoming reminder or a due date, kept live. The hook also
+   * shows the reminder notifications, on whichever view is open.
    *
-   * Why track loading state?
-   * - User feedback: Shows that the app is working and not frozen
-   * - UI control: Determines whether to show loading spinner or notes
-   * - User experience: Prevents confusion about why notes aren't visible
-   * - Performance: Indicates when async operations are in progress
+   * @see {@link ../hooks/useReminders.js} Hook that loads them
+   */
+  const { upcoming, loading: loadingUpcoming } = useReminders(user?._id);
+
+  /**
+   * The Upcoming view's notes, with the tag and notebook filters applied,
+   * in sections by date.
    *
-   * @type {boolean}
+   * @type {Array<{title: string, notes: Array<Object>}>}
    */
-  const [loading, setLoading] = useState(true);
+  const upcomingSections = useMemo(
+    () =>
+      groupUpcoming(
+        upcoming.filter(
+          (note) =>
+            (selectedNotebook === null ||
+              (note.notebookId ?? 'none') === selectedNotebook) &&
+            (!selectedTag || (note.tags ?? []).includes(selectedTag))
+        ),
+        new Date()
+      ),
+    [upcoming, selectedNotebook, selectedTag]
+  );
 
   /**
-   * useEffect hook for fetching notes on component mount.
+   * The loaded notes split into the Pinned section and everything else.
    *
-   * This effect runs once when the component mounts and fetches all
-   * notes from the backend API. It handles both successful responses
-   * and errors, including specific handling for rate limiting (429 status).
+   * The API sends pinned notes first on the first page; splitting here
+   * (rather than relying on that order) also keeps a card in the right
+   * section right after it is pinned or unpinned.
    *
-   * Why use useEffect for data fetching?
-   * - Lifecycle management: Runs at the right time (component mount)
-   * - Dependency control: Empty dependency array ensures it runs only once
-   * - Error handling: Centralizes error handling for the fetch operation
-   * - State management: Updates multiple state variables based on response
+   * @type {{pinned: Array<Object>, others: Array<Object>}}
+   */
+  const sections = useMemo(
+    () => ({
+      pinned: notes.filter((note) => note.pinned),
+      others: notes.filter((note) => !note.pinned),
+    }),
+    [notes]
+  );
+
+  /**
+   * Loaded notes in the order they are displayed (pinned first).
    *
-   * Error Handling Strategy:
-   * - 429 status: Sets isRateLimited to true, shows RateLimitedUI
-   * - Other errors: Shows toast notification, keeps isRateLimited false
-   * - Success: Updates notes state, resets isRateLimited to false
+   * Shift-click ranges and "Select all" follow this order, so a range is
+   * exactly the cards between the two clicks on screen.
    *
-   * @see {@link ../lib/axios.js} API client used for the request
-   * @see {@link ../components/RateLimitedUI.jsx} Component shown when rate limited
+   * @type {Array<Object>}
    */
-  useEffect(() => {
-    /**
-     * Async function to fetch notes from the backend API.
-     *
-     * This function makes a GET request to the /notes endpoint and handles
-     * the response appropriately. It distinguishes between rate limiting
-     * errors (429 status) and other errors, providing appropriate user
-     * feedback for each case.
-     *
-     * Why this error handling approach?
-     * - Rate limiting: Special handling with dedicated UI component
-     * - Other errors: Generic error message with toast notification
-     * - User experience: Clear feedback about what went wrong
-     * - State management: Updates relevant state variables based on response
-     *
-     * @async
-     * @function fetchNotes
-     * @returns {Promise<void>} Resolves when fetch operation is complete
-     */
-    const fetchNotes = async () => {
+  const orderedNotes = useMemo(
+    () => [...sections.pinned, ...sections.others],
+    [sections]
+  );
+
+  /**
+   * Reloads after NotebookTree created, renamed or deleted a notebook.
+   *
+   * Deleting a notebook can move or trash notes, so in that case the grid
+   * is reloaded as well; otherwise only the tree needs refreshing.
+   *
+   * @function handleNotebooksChange
+   * @param {{notesChanged?: boolean}} [options] - Whether notes were affected
+   * @returns {void}
+   */
+  const handleNotebooksChange = useCallback(
+    ({ notesChanged = false } = {}) => {
+      if (notesChanged) reload();
+      else loadNotebooks();
+    },
+    [reload, loadNotebooks]
+  );
+
+  /**
+   * Applies a BulkActionBar action to the selected notes.
+   *
+   * Sends one `POST /notes/bulk` request and patches the loaded notes with
+   * the `changes` reported for each updated note. Notes that no longer
+   * belong in the current view (trashed, archived or unarchived, moved out
+   * of the selected notebook, or untagged from the selected tag) are
+   * removed from the grid. Per-note failures are reported in a toast; the
+   * sidebar counts are reloaded afterwards.
+   *
+   * @async
+   * @function handleBulkAction
+   * @param {string} action - "delete", "archive", "unarchive", "tag", "untag" or "move"
+   * @param {Object} [extra] - `{ tags }` for tag actions, `{ notebookId }` for moves
+   * @returns {Promise<void>}
+   *
+   * @see {@link ../../../backend/src/controllers/bulkController.js} Backend bulk controller
+   */
+  const handleBulkAction = useCallback(
+    async (action, extra = {}) => {
+      const ids = [...selectedIds];
+      if (ids.length === 0) return;
+
+      setBulkBusy(true);
       try {
-        const res = await api.get('/notes');
-        setNotes(res.data);
-        setIsRateLimited(false);
-      } catch (error) {
-        if (error.response?.status === 429) {
-          setIsRateLimited(true);
-        } else {
-          toast.error('Failed to load notes');
+        const res = await api.post('/notes/bulk', { action, ids, ...extra });
+        const { summary, results } = res.data;
+
+        const changesById = new Map(
+          results
+            .filter((result) => result.status === 'updated')
+            .map((result) => [result.id, result.changes])
+        );
+        const missingIds = new Set(
+          results
+            .filter((result) => result.status === 'not_found')
+            .map((result) => result.id)
+        );
+        setNotes((prev) =>
+          prev.flatMap((note) => {
+            if (missingIds.has(note._id)) return [];
+            const changes = changesById.get(note._id);
+            if (!changes) return [note];
+            const updated = { ...note, ...changes };
+            return belongsInView(updated) ? [updated] : [];
+          })
+        );
+
+        const count = `${summary.updated} note${summary.updated === 1 ? '' : 's'}`;
+        if (summary.updated > 0) {
+          toast.success(`${BULK_ACTION_VERBS[action]} ${count}`);
+        } else if (summary.failed === 0) {
+          toast('Nothing to change');
         }
+        if (summary.failed > 0) {
+          const { error } = results.find(
+            (result) => result.status === 'failed'
+          );
+          toast.error(
+            `${summary.failed} note${
+              summary.failed === 1 ? '' : 's'
+            } couldn't be changed: ${error}`
+          );
+        }
+
+        clearSelection();
+        loadTags();
+        loadNotebooks();
+      } catch (error) {
+        handleRequestError(error, 'Bulk action failed');
       } finally {
-        setLoading(false);
+        setBulkBusy(false);
       }
-    };
+    },
+    [
+      selectedIds,
+      setNotes,
+      belongsInView,
+      clearSelection,
+      loadTags,
+      loadNotebooks,
+      handleRequestError,
+    ]
+  );
 
-    fetchNotes();
-  }, []);
+  /**
+   * Latest `handleNoteEvent`, called by the long-lived subscription.
+   *
+   * @type {React.MutableRefObject<Function|null>}
+   */
+  const noteEventHandlerRef = useRef(null);
+
+  /**
+   * Merges a live note event into the grid, search results and selection.
+   *
+   * Kept in a ref by the subscription effect below, so the stream stays
+   * connected while filters and pages change.
+   *
+   * @function handleNoteEvent
+   * @param {{type: string, data: Object}} event - Event from the stream
+   * @returns {void}
+   *
+   * @see {@link ../lib/noteEvents.js} Stream client
+   */
+  const handleNoteEvent = (event) => {
+    const listed = applyNoteEvent(event);
+    search.applyNoteEvent(event);
+    if (!listed)
+      deselect(event.type === 'deleted' ? event.data.id : event.data.note._id);
+  };
+
+  useEffect(() => {
+    noteEventHandlerRef.current = handleNoteEvent;
+  });
+
+  /**
+   * useEffect hook for subscribing to live note events while the page is open.
+   *
+   * Changes made in other tabs or on other devices (and by this tab's own
+   * requests, which merge as no-ops) arrive here without a reload.
+   */
+  useEffect(
+    () => subscribeToNoteEvents((event) => noteEventHandlerRef.current(event)),
+    []
+  );
+
+  /**
+   * Sentinel ref that triggers `loadMore` as the grid's end scrolls into view.
+   *
+   * Disabled while a page is loading, while rate limited, and once there
+   * are no more pages.
+   */
+  const sentinelRef = useInfiniteScroll({
+    enabled: !!nextCursor && !loading && !loadingMore && !isRateLimited,
+    onLoadMore: loadMore,
+  });
 
   return (
     <div className="min-h-screen w-full overflow-x-hidden">
       {/* Navigation bar with app title and new note button */}
-      <Navbar />
+      <Navbar
+        searchQuery={search.searchQuery}
+        onSearchChange={search.setSearchQuery}
+      />
 
       {/* Rate limiting UI shown when user exceeds API rate limits */}
-      {isRateLimited && <RateLimitedUI />}
+      {isRateLimited && (
+        <RateLimitedUI until={rateLimitedUntil} onRetry={reload} />
+      )}
 
       {/* Main content area with responsive container */}
-      <div className="max-w-6xl mx-auto px-3 sm:px-5 md:px-6 py-4 sm:py-6 md:py-8">
-        {/* Loading state with spinner and message */}
-        {loading && (
-          <div className="text-center text-primary py-10 sm:py-12 md:py-16">
-            <span className="loading loading-dots loading-lg"></span>
-            <p className="mt-3 text-base sm:text-lg font-medium">
-              Loading notes...
-            </p>
-          </div>
-        )}
+      <div
+        className={`max-w-6xl mx-auto px-3 sm:px-5 md:px-6 py-4 sm:py-6 md:py-8 flex flex-col md:flex-row gap-4 md:gap-6 ${
+          selectionMode ? 'pb-24 sm:pb-24 md:pb-24' : ''
+        }`}
+      >
+        {/* Sidebar with the notebook tree and the tag filter */}
+        <aside className="md:w-60 shrink-0 flex flex-col gap-4 md:gap-6">
+          <NotebookTree
+            notebooks={notebookTree.notebooks}
+            unfiledCount={notebookTree.unfiledCount}
+            selectedNotebook={selectedNotebook}
+            onSelect={setSelectedNotebook}
+            onMoveNote={moveNote}
+            onChange={handleNotebooksChange}
+          />
+          <TagFilter
+            tags={tags}
+            selectedTag={selectedTag}
+            onSelect={setSelectedTag}
+          />
+        </aside>
 
-        {/* Empty state shown when no notes exist and not rate limited */}
-        {notes.length === 0 && !isRateLimited && <NotesNotFound />}
+        <div className="flex-1 min-w-0">
+          {/* Offline banner while the grid shows the notes on the device */}
+          {offline && (
+            <div role="status" className="alert mb-3 sm:mb-4">
+              <CloudOffIcon className="size-5 shrink-0" />
+              <span>
+                You&apos;re offline. Showing the notes saved on this device;
+                changes sync when you reconnect.
+              </span>
+            </div>
+          )}
 
-        {/* Notes grid shown when notes exist and not rate limited */}
-        {notes.length > 0 && !isRateLimited && (
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-5 md:gap-6">
-            {notes.map((note) => (
-              <NoteCard key={note._id} note={note} setNotes={setNotes} />
-            ))}
-          </div>
-        )}
+          {searchResults !== null || searching ? (
+            /* Search results replace the notes grid while a query is active */
+            <>
+              <p className="text-sm text-base-content/70 mb-3 sm:mb-4">
+                {searching
+                  ? 'Searching...'
+                  : `${searchResults.length} result${
+                      searchResults.length === 1 ? '' : 's'
+                    } for "${debouncedQuery}"`}
+              </p>
+              {searchResults?.length > 0 && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-5 md:gap-6">
+                  {searchResults.map((note) => (
+                    <NoteCard
+                      key={note._id}
+                      note={note}
+                      setNotes={search.setSearchResults}
+                    />
+                  ))}
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+              <div className="flex items-center justify-between gap-2 mb-4">
+                {/* Switch between the regular notes, Upcoming and Archive views */}
+                <div role="tablist" className="tabs tabs-boxed w-fit">
+                  <button
+                    type="button"
+                    role="tab"
+                    className={`tab gap-2 ${view === 'notes' ? 'tab-active' : ''}`}
+                    aria-selected={view === 'notes'}
+                    onClick={() => setView('notes')}
+                  >
+                    <NotebookPenIcon className="size-4" />
+                    Notes
+                  </button>
+                  <button
+                    type="button"
+                    role="tab"
+                    className={`tab gap-2 ${view === 'upcoming' ? 'tab-active' : ''}`}
+                    aria-selected={view === 'upcoming'}
+                    onClick={() => {
+                      exitSelectionMode();
+                      setView('upcoming');
+                    }}
+                  >
+                    <CalendarClockIcon className="size-4" />
+                    Upcoming
+                  </button>
+                  <button
+                    type="button"
+                    role="tab"
+                    className={`tab gap-2 ${showArchived ? 'tab-active' : ''}`}
+                    aria-selected={showArchived}
+                    onClick={() => setView('archive')}
+                  >
+                    <ArchiveIcon className="size-4" />
+                    Archive
+                  </button>
+                </div>
+
+                {view === 'upcoming' ? (
+                  /* Calendar feed of the reminders and due dates */
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-ghost"
+                    onClick={() => setShowCalendarFeed(true)}
+                  >
+                    <CalendarPlusIcon className="size-4" />
+                    <span className="hidden sm:inline">
+                      Subscribe in calendar
+                    </span>
+                  </button>
+                ) : (
+                  /* Selection mode toggle */
+                  <button
+                    type="button"
+                    className={`btn btn-sm ${selectionMode ? 'btn-primary' : 'btn-ghost'}`}
+                    onClick={
+                      selectionMode
+                        ? exitSelectionMode
+                        : () => setSelectionMode(true)
+                    }
+                    disabled={notes.length === 0 && !selectionMode}
+                    aria-pressed={selectionMode}
+                  >
+                    <SquareCheckIcon className="size-4" />
+                    {selectionMode ? 'Done' : 'Select'}
+                  </button>
+                )}
+              </div>
+
+              {view === 'upcoming' ? (
+                /* Upcoming view: notes with a reminder or due date, by date */
+                <>
+                  {loadingUpcoming && (
+                    <div className="text-center text-primary py-10 sm:py-12 md:py-16">
+                      <span className="loading loading-dots loading-lg"></span>
+                    </div>
+                  )}
+                  {!loadingUpcoming && upcomingSections.length === 0 && (
+                    <p className="text-center text-base-content/70 py-10">
+                      {selectedTag || selectedNotebook
+                        ? 'Nothing upcoming matches these filters'
+                        : 'Nothing upcoming. Set a reminder or due date on a note to see it here'}
+                    </p>
+                  )}
+                  {upcomingSections.map((section) => (
+                    <section key={section.title} className="mb-6 sm:mb-8">
+                      <h2
+                        className={`text-sm font-semibold uppercase tracking-wide mb-2 sm:mb-3 ${
+                          section.title === 'Overdue'
+                            ? 'text-error'
+                            : 'text-base-content/60'
+                        }`}
+                      >
+                        {section.title}
+                      </h2>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-5 md:gap-6">
+                        {section.notes.map((note) => (
+                          <NoteCard
+                            key={note._id}
+                            note={note}
+                            setNotes={setNotes}
+                          />
+                        ))}
+                      </div>
+                    </section>
+                  ))}
+                </>
+              ) : (
+                <>
+                  {/* Loading state with spinner and message */}
+                  {loading && (
+                    <div className="text-center text-primary py-10 sm:py-12 md:py-16">
+                      <span className="loading loading-dots loading-lg"></span>
+                      <p className="mt-3 text-base sm:text-lg font-medium">
+                        Loading notes...
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Empty state shown when no notes exist and not rate limited */}
+                  {!loading &&
+                    notes.length === 0 &&
+                    !isRateLimited &&
+                    !showArchived &&
+                    !selectedTag &&
+                    !selectedNotebook && <NotesNotFound />}
+
+                  {/* Empty state for an archive with nothing in it */}
+                  {!loading &&
+                    notes.length === 0 &&
+                    !isRateLimited &&
+                    showArchived && (
+                      <p className="text-center text-base-content/70 py-10">
+                        {selectedTag || selectedNotebook
+                          ? 'No archived notes match these filters'
+                          : 'No archived notes'}
+                      </p>
+                    )}
+
+                  {/* Empty state for a tag or notebook filter that matches nothing */}
+                  {!loading &&
+                    notes.length === 0 &&
+                    !isRateLimited &&
+                    !showArchived &&
+                    (selectedTag || selectedNotebook) && (
+                      <p className="text-center text-base-content/70 py-10">
+                        {!selectedTag
+                          ? 'No notes in this notebook yet'
+                          : selectedNotebook
+                            ? `No notes tagged #${selectedTag} in this notebook`
+                            : `No notes tagged #${selectedTag}`}
+                      </p>
+                    )}
+
+                  {/* Pinned section above the grid */}
+                  {sections.pinned.length > 0 && !isRateLimited && (
+                    <section className="mb-6 sm:mb-8">
+                      <h2 className="flex items-center gap-2 text-sm font-semibold uppercase tracking-wide text-base-content/60 mb-2 sm:mb-3">
+                        <PinIcon className="size-4" />
+                        Pinned
+                      </h2>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-5 md:gap-6">
+                        {sections.pinned.map((note) => (
+                          <NoteCard
+                            key={note._id}
+                            note={note}
+                            setNotes={setNotes}
+                            selectable={selectionMode}
+                            selected={selectedIds.has(note._id)}
+                            onToggleSelect={(e) =>
+                              toggleSelect(note._id, e, orderedNotes)
+                            }
+                          />
+                        ))}
+                      </div>
+                    </section>
+                  )}
+
+                  {/* Notes grid shown when notes exist and not rate limited */}
+                  {sections.others.length > 0 && !isRateLimited && (
+                    <section>
+                      {sections.pinned.length > 0 && (
+                        <h2 className="text-sm font-semibold uppercase tracking-wide text-base-content/60 mb-2 sm:mb-3">
+                          Others
+                        </h2>
+                      )}
+                      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-5 md:gap-6">
+                        {sections.others.map((note) => (
+                          <NoteCard
+                            key={note._id}
+                            note={note}
+                            setNotes={setNotes}
+                            selectable={selectionMode}
+                            selected={selectedIds.has(note._id)}
+                            onToggleSelect={(e) =>
+                              toggleSelect(note._id, e, orderedNotes)
+                            }
+                          />
+                        ))}
+                      </div>
+                    </section>
+                  )}
+
+                  {/* Infinite scroll sentinel and next-page spinner */}
+                  <div ref={sentinelRef} aria-hidden="true" />
+                  {loadingMore && (
+                    <div className="text-center text-primary py-6">
+                      <span className="loading loading-dots loading-md"></span>
+                    </div>
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
       </div>
+
+      {/* Bulk actions for the selection, over the bottom of the grid */}
+      {selectionMode &&
+        view !== 'upcoming' &&
+        searchResults === null &&
+        !searching && (
+          <BulkActionBar
+            selectedCount={selectedIds.size}
+            loadedCount={orderedNotes.length}
+            archivedView={showArchived}
+            notebooks={notebookTree.notebooks}
+            busy={bulkBusy}
+            onAction={handleBulkAction}
+            onSelectAll={() => selectAll(orderedNotes)}
+            onClear={clearSelection}
+            onClose={exitSelectionMode}
+          />
+        )}
+
+      {/* Calendar feed dialog, opened from the Upcoming view */}
+      {showCalendarFeed && (
+        <CalendarFeedDialog onClose={() => setShowCalendarFeed(false)} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview ImportPage component for the Dex Note Taking App frontend.
+ *
+ * This component lets users bring notes in from other tools in bulk. Files
+ * are dropped onto the page (or picked with a file dialog), uploaded in one
+ * request, and the server's per-note report is shown afterwards so users
+ * can see exactly what was created, skipped as a duplicate, or failed.
+ *
+ * Key Features:
+ * - Drag-and-drop zone with a file picker fallback
+ * - Accepts Markdown/text files, ZIP archives, JSON exports and Evernote ENEX
+ * - List of selected files with sizes and a remove action
+ * - Import report with counts and a status per note
+ * - Links from created and duplicate notes to the note itself
+ * - Responsive design matching the other pages
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useRef, useState } from 'react';
+import { Link } from 'react-router';
+import toast from 'react-hot-toast';
+import { ArrowLeftIcon, FileTextIcon, UploadIcon, XIcon } from 'lucide-react';
+import api from '../lib/axios';
+import { getErrorMessage } from '../lib/apiErrors';
+import { formatFileSize } from '../lib/utils';
+
+/**
+ * File extensions the import endpoint understands.
+ *
+ * @type {string}
+ */
+const ACCEPTED_EXTENSIONS = '.md,.markdown,.txt,.zip,.json,.enex';
+
+/**
+ * Badge text and style for each result status in the report.
+ *
+ * @type {Object<string, {label: string, className: string}>}
+ */
+const RESULT_STATUSES = {
+  created: { label: 'Created', className: 'badge-success' },
+  duplicate: { label: 'Duplicate', className: 'badge-ghost' },
+  failed: { label: 'Failed', className: 'badge-error' },
+};
+
+/**
+ * Whether a file has an extension the importer accepts.
+ *
+ * @param {File} file - Dropped or picked file
+ * @returns {boolean} True when the extension is supported
+ */
+const isAccepted = (file) => {
+  const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+  return ACCEPTED_EXTENSIONS.split(',').includes(extension);
+};
+
+/**
+ * ImportPage component that uploads files and shows the import report.
+ *
+ * Why a dedicated page?
+ * - Room for the report: Large imports produce long per-note result lists
+ * - Focus: Drag-and-drop needs a generous, obvious target
+ *
+ * State Management:
+ * - files: Files selected for the next import
+ * - dragging: Whether files are being dragged over the drop zone
+ * - importing: Whether the upload is in progress
+ * - report: `{ summary, results }` from the last import, if any
+ *
+ * @returns {JSX.Element} The import page component
+ *
+ * @see {@link ../App.jsx} App component that renders this as the /import route
+ * @see {@link ../lib/axios.js} API client used for backend communication
+ * @see {@link ../../../backend/src/controllers/importController.js} Backend importNotes controller
+ */
+const ImportPage = () => {
+  /**
+   * State for the files queued for import.
+   *
+   * @type {Array<File>}
+   */
+  const [files, setFiles] = useState([]);
+
+  /**
+   * State for highlighting the drop zone while files are dragged over it.
+   *
+   * @type {boolean}
+   */
+  const [dragging, setDragging] = useState(false);
+
+  /**
+   * State for tracking the upload.
+   *
+   * @type {boolean}
+   */
+  const [importing, setImporting] = useState(false);
+
+  /**
+   * State for the report returned by the last import.
+   *
+   * @type {{summary: Object, results: Array<Object>}|null}
+   */
+  const [report, setReport] = useState(null);
+
+  /**
+   * Hidden file input opened by clicking the drop zone.
+   *
+   * @type {React.MutableRefObject<HTMLInputElement|null>}
+   */
+  const inputRef = useRef(null);
+
+  /**
+   * Adds files to the queue, skipping unsupported types and repeats.
+   *
+   * @function addFiles
+   * @param {FileList|Array<File>} fileList - Dropped or picked files
+   * @returns {void}
+   */
+  const addFiles = (fileList) => {
+    const incoming = Array.from(fileList);
+    const accepted = incoming.filter(isAccepted);
+
+    if (accepted.length < incoming.length) {
+      toast.error('Some files were skipped: unsupported file type');
+    }
+
+    setFiles((prev) => {
+      const known = new Set(prev.map((file) => `${file.name}:${file.size}`));
+      return [
+        ...prev,
+        ...accepted.filter((file) => !known.has(`${file.name}:${file.size}`)),
+      ];
+    });
+  };
+
+  /**
+   * Handles files dropped onto the drop zone.
+   *
+   * @function handleDrop
+   * @param {DragEvent} e - Drop event
+   * @returns {void}
+   */
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  /**
+   * Uploads the queued files and shows the resulting report.
+   *
+   * @async
+   * @function handleImport
+   * @returns {Promise<void>} Resolves when the import has finished
+   *
+   * @see {@link ../../../backend/src/routes/notesRoutes.js} POST /api/notes/import
+   */
+  const handleImport = async () => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+
+    setImporting(true);
+    try {
+      const res = await api.post('/notes/import', formData);
+      setReport(res.data);
+      setFiles([]);
+
+      const { created } = res.data.summary;
+      toast.success(`Imported ${created} ${created === 1 ? 'note' : 'notes'}`);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to import notes'));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-base-200 w-full overflow-x-hidden">
+      <div className="container mx-auto px-3 sm:px-5 md:px-6 py-4 sm:py-6 md:py-8">
+        <div className="max-w-3xl mx-auto">
+          <Link
+            to="/"
+            className="btn btn-ghost btn-sm sm:btn-md mb-4 sm:mb-6 touch-manipulation"
+          >
+            <ArrowLeftIcon className="size-4 sm:size-5" />
+            <span className="hidden sm:inline">Back to Notes</span>
+            <span className="sm:hidden">Back</span>
+          </Link>
+
+          <h2 className="text-xl sm:text-2xl md:text-3xl font-bold mb-1">
+            Import notes
+          </h2>
+          <p className="text-sm text-base-content/70 mb-5 sm:mb-6">
+            Markdown or text files, ZIP archives of them, a Dex-Note JSON
+            export, or an Evernote .enex export. Front matter titles, tags and
+            dates are kept.
+          </p>
+
+          {/* Drop zone */}
+          <button
+            type="button"
+            onClick={() => inputRef.current?.click()}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragging(true);
+            }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={handleDrop}
+            className={`w-full rounded-box border-2 border-dashed p-8 sm:p-12 flex flex-col items-center gap-3 text-center transition-colors touch-manipulation ${
+              dragging
+                ? 'border-primary bg-primary/10'
+                : 'border-base-content/20 bg-base-100 hover:border-base-content/40'
+            }`}
+          >
+            <UploadIcon className="size-10 opacity-70" />
+            <span className="font-medium">
+              Drop files here or click to choose
+            </span>
+            <span className="text-xs text-base-content/60">
+              {ACCEPTED_EXTENSIONS.split(',').join(' ')}
+            </span>
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            multiple
+            accept={ACCEPTED_EXTENSIONS}
+            className="hidden"
+            onChange={(e) => {
+              addFiles(e.target.files);
+              e.target.value = '';
+            }}
+          />
+
+          {/* Selected files */}
+          {files.length > 0 && (
+            <div className="card bg-base-100 mt-4 sm:mt-6">
+              <div className="card-body p-4 sm:p-6">
+                <ul className="flex flex-col divide-y divide-base-content/10">
+                  {files.map((file, index) => (
+                    <li
+                      key={`${file.name}:${file.size}`}
+                      className="flex items-center justify-between gap-2 py-2"
+                    >
+                      <span className="flex items-center gap-2 min-w-0">
+                        <FileTextIcon className="size-4 shrink-0 opacity-70" />
+                        <span className="truncate">{file.name}</span>
+                        <span className="text-xs text-base-content/60 shrink-0">
+                          {formatFileSize(file.size)}
+                        </span>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setFiles((prev) => prev.filter((_, i) => i !== index))
+                        }
+                        disabled={importing}
+                        className="btn btn-ghost btn-xs"
+                        aria-label={`Remove ${file.name}`}
+                      >
+                        <XIcon className="size-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+                <div className="card-actions justify-end mt-2">
+                  <button
+                    onClick={handleImport}
+                    disabled={importing}
+                    className="btn btn-primary btn-sm sm:btn-md touch-manipulation"
+                  >
+                    {importing ? (
+                      <>
+                        <span className="loading loading-spinner loading-sm"></span>
+                        Importing...
+                      </>
+                    ) : (
+                      `Import ${files.length} ${files.length === 1 ? 'file' : 'files'}`
+                    )}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Import report */}
+          {report && (
+            <div className="card bg-base-100 mt-4 sm:mt-6">
+              <div className="card-body p-4 sm:p-6">
+                <h3 className="font-semibold">Import report</h3>
+                <p className="text-sm text-base-content/70">
+                  {report.summary.created} created · {report.summary.duplicate}{' '}
+                  skipped as duplicates · {report.summary.failed} failed
+                </p>
+                <ul className="flex flex-col divide-y divide-base-content/10 mt-2">
+                  {report.results.map((result, index) => {
+                    const status = RESULT_STATUSES[result.status];
+                    return (
+                      <li
+                        key={`${result.source}-${index}`}
+                        className="flex items-start justify-between gap-3 py-2"
+                      >
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium truncate">
+                            {result.id ? (
+                              <Link
+                                to={`/note/${result.id}`}
+                                className="link link-hover"
+                              >
+                                {result.title}
+                              </Link>
+                            ) : (
+                              (result.title ?? result.source)
+                            )}
+                          </p>
+                          <p className="text-xs text-base-content/60 truncate">
+                            {result.source}
+                            {result.error && ` · ${result.error}`}
+                          </p>
+                        </div>
+                        <span className={`badge shrink-0 ${status.className}`}>
+                          {status.label}
+                        </span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPage;
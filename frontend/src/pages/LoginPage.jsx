@@ -0,0 +1,70 @@
+/**
+ * @fileoverview LoginPage component for the Dex Note Taking App frontend.
+ *
+ * This page signs existing users in. After a successful login it sends the
+ * user back to the page they originally tried to open, or to the notes list.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { Link, Navigate, useLocation, useNavigate } from 'react-router';
+import AuthForm from '../components/AuthForm';
+import useAuth from '../hooks/useAuth';
+
+/**
+ * LoginPage component rendering the sign-in form.
+ *
+ * @returns {JSX.Element} The login page
+ *
+ * @see {@link ../App.jsx} App component that renders this as the /login route
+ * @see {@link ../components/ProtectedRoute.jsx} Guard that redirects here
+ * @see {@link ../../../backend/src/controllers/authController.js} Backend login controller
+ */
+const LoginPage = () => {
+  const { user, initializing, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Where ProtectedRoute was sending the user before redirecting here
+  const from = location.state?.from?.pathname ?? '/';
+
+  if (!initializing && user) return <Navigate to={from} replace />;
+
+  /**
+   * Signs in and returns to the original destination.
+   *
+   * @async
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Promise<void>} Resolves after navigation
+   */
+  const handleLogin = async (email, password) => {
+    await login(email, password);
+    navigate(from, { replace: true });
+  };
+
+  return (
+    <AuthForm
+      title="Sign in"
+      submitLabel="Sign in"
+      submittingLabel="Signing in..."
+      passwordAutoComplete="current-password"
+      onSubmit={handleLogin}
+      footer={
+        <>
+          No account yet?{' '}
+          <Link
+            to="/register"
+            state={location.state}
+            className="link link-primary"
+          >
+            Create one
+          </Link>
+        </>
+      }
+    />
+  );
+};
+
+export default LoginPage;
@@ -10,11 +10,27 @@
  *
  * Key Features:
  * - Dynamic note fetching based on URL parameters
- * - Editable form fields for title and content
+ * - Editable form fields for title, content, and tags
  * - Form validation for required fields
+ * - Debounced autosave with a Saved / Saving / Offline indicator
+ * - Conflict detection via ETags, with a dialog to keep, replace or merge
+ * - Live warning when the note is changed or trashed in another tab or device
+ * - Content edited live with other tabs and devices, showing their cursors,
+ *   and kept on the device while offline
+ * - Opens from the copy kept on the device when offline; saves and deletes
+ *   made offline are queued and synced when the connection returns
+ * - Confirmation before leaving with unsaved changes
  * - API integration for update and delete operations
  * - Loading states with visual indicators
- * - Confirmation dialogs for destructive actions
+ * - Recoverable deletes that move the note to the trash
+ * - Revision history panel with line diffs and revert
+ * - Public read-only share links, with optional expiry and password
+ * - Reminder and due date, saved as soon as they are picked
+ * - File and image attachments, added with a file picker or by pasting or
+ *   dropping them on the editor, with image thumbnails
+ * - Checklist items ticked off, added and reordered in place, and
+ *   conversion between a text note and a checklist
+ * - Markdown content opened in a rendered preview, with edit and split modes
  * - Responsive design for all screen sizes
  * - Navigation back to home page
  * - Toast notifications for user feedback
@@ -23,12 +39,61 @@
  * @version 1.0.0
  */
 
-import { useEffect } from 'react';
+import { useEffect, useRef } from 'react';
 import { useState } from 'react';
 import { Link, useNavigate, useParams } from 'react-router';
 import api from '../lib/axios';
+import { subscribeToNoteEvents } from '../lib/noteEvents';
+import {
+  cacheNotes,
+  getCachedNote,
+  removeCachedNote,
+} from '../lib/offlineStore';
+import {
+  hasQueuedChanges,
+  isLocalNoteId,
+  queueDelete,
+  subscribeToSyncResults,
+} from '../lib/syncQueue';
+import { getErrorMessage, normalizeError } from '../lib/apiErrors';
 import toast from 'react-hot-toast';
-import { ArrowLeftIcon, LoaderIcon, Trash2Icon } from 'lucide-react';
+import {
+  ArrowLeftIcon,
+  FileTextIcon,
+  HistoryIcon,
+  ListChecksIcon,
+  LoaderIcon,
+  Share2Icon,
+  Trash2Icon,
+  TriangleAlertIcon,
+} from 'lucide-react';
+import TagInput from '../components/TagInput';
+import HistoryPanel from '../components/HistoryPanel';
+import ConflictDialog from '../components/ConflictDialog';
+import ShareDialog from '../components/ShareDialog';
+import SchedulePicker from '../components/SchedulePicker';
+import AttachmentList from '../components/AttachmentList';
+import MarkdownEditor from '../components/MarkdownEditor';
+import ChecklistEditor from '../components/ChecklistEditor';
+import RemoteCursors from '../components/RemoteCursors';
+import CollabPresence from '../components/CollabPresence';
+import SaveStatus from '../components/SaveStatus';
+import useUnsavedChangesPrompt from '../hooks/useUnsavedChangesPrompt';
+import useCollaboration from '../hooks/useCollaboration';
+import useNoteSave, { editableFields } from '../hooks/useNoteSave';
+import useChecklistItems from '../hooks/useChecklistItems';
+import useAttachments from '../hooks/useAttachments';
+import useAuth from '../hooks/useAuth';
+
+/**
+ * Lists a note's attachment IDs in one string, to tell whether its
+ * attachments changed.
+ *
+ * @param {Object} note - Note object
+ * @returns {string} Comma-separated attachment IDs
+ */
+const attachmentIds = (note) =>
+  (note.attachments ?? []).map((attachment) => attachment._id).join(',');
 
 /**
  * NoteDetailPage component that provides a comprehensive note editing interface.
@@ -58,8 +123,12 @@ import { ArrowLeftIcon, LoaderIcon, Trash2Icon } from 'lucide-react';
  *
  * API Integration:
  * - GET request to /notes/:id for fetching note data
- * - PUT request to /notes/:id for updating note
- * - DELETE request to /notes/:id for deleting note
+ * - PUT request to /notes/:id for updating note, sending the last seen
+ *   ETag as If-Match so a 409 reveals edits saved elsewhere
+ * - DELETE request to /notes/:id for moving the note to the trash
+ * - POST and DELETE requests to /notes/:id/attachments for attachments
+ * - WebSocket session (see useCollaboration) for the content; while it is
+ *   active, the PUT only carries the title and tags
  * - Handles success responses with navigation to home page
  * - Handles errors with appropriate user feedback
  *
@@ -106,21 +175,48 @@ const NoteDetailPage = () => {
   const [loading, setLoading] = useState(true);
 
   /**
-   * State for tracking the note save operation loading status.
+   * State for tracking the "Save Changes" button while it flushes and closes.
    *
-   * This state is used to show a loading spinner and disable the save
-   * button while the note is being updated. It provides visual feedback
-   * to users and prevents multiple form submissions during API calls.
+   * @type {boolean}
+   */
+  const [closing, setClosing] = useState(false);
+
+  /**
+   * State for a change to the note made somewhere else.
    *
-   * Why track saving state separately?
-   * - User feedback: Shows that the form is being saved
-   * - UI control: Disables save button to prevent double submissions
-   * - User experience: Prevents confusion about form submission status
-   * - Performance: Indicates when async operations are in progress
+   * Set from the note event stream: `{ type: "updated", note }` when a newer
+   * version was saved in another tab or device, `{ type: "deleted" }` when
+   * the note was moved to the trash there. Shown as a warning above the
+   * form until the user acts on it.
+   *
+   * @type {{type: string, note?: Object}|null}
+   */
+  const [remoteChange, setRemoteChange] = useState(null);
+
+  /**
+   * Whether this page is trashing the note itself, so the stream's
+   * `deleted` event for it isn't mistaken for a change made elsewhere.
+   *
+   * @type {React.MutableRefObject<boolean>}
+   */
+  const deletingRef = useRef(false);
+
+  /**
+   * State for toggling the revision history panel.
+   *
+   * The panel is only mounted while open, so the history is fetched fresh
+   * each time it is shown rather than on every page load.
    *
    * @type {boolean}
    */
-  const [saving, setSaving] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
+  /**
+   * State for toggling the share dialog.
+   *
+   * @type {boolean}
+   */
+  const [showShare, setShowShare] = useState(false);
 
   /**
    * React Router navigation hook for programmatic navigation.
@@ -157,6 +253,81 @@ const NoteDetailPage = () => {
    */
   const { id } = useParams();
 
+  const { user } = useAuth();
+
+  /**
+   * Ref to the content textarea, for restoring the caret after remote edits
+   * and placing the cursors of other tabs and devices.
+   *
+   * @type {React.RefObject<HTMLTextAreaElement>}
+   */
+  const textareaRef = useRef(null);
+
+  /**
+   * Live editing session for the note's content.
+   *
+   * Once `ready`, the shared document is the source of truth for the
+   * content: it is saved by the server, so REST saves leave it out. If the
+   * session can't start (`unavailable`), the content is edited and saved
+   * like the other fields.
+   *
+   * @see {@link ../hooks/useCollaboration.js} Hook that runs the session
+   */
+  // A checklist's notes may be empty, which the session can't save
+  const collab = useCollaboration(
+    isLocalNoteId(id) || note?.type === 'checklist' ? null : id,
+    user,
+    textareaRef
+  );
+
+  /**
+   * Save pipeline for the title, content and tags: autosave, conflicts and
+   * the queue for saves made offline.
+   *
+   * @see {@link ../hooks/useNoteSave.js} Hook that saves the note
+   */
+  const save = useNoteSave(id, note, setNote, collab);
+  const {
+    status: saveStatus,
+    conflict,
+    saveNote,
+    hasUnsavedChanges,
+    getSaveError,
+    loadVersion,
+    resolveConflict,
+    discardChanges,
+    compareRemote,
+    queueTask,
+  } = save;
+
+  useUnsavedChangesPrompt(hasUnsavedChanges);
+
+  /**
+   * Checklist item handlers and the text / checklist conversion.
+   *
+   * @see {@link ../hooks/useChecklistItems.js} Hook that saves the items
+   */
+  const { itemHandlers, mergeItems, converting, convert } = useChecklistItems(
+    id,
+    note,
+    setNote,
+    save
+  );
+
+  /**
+   * Attachment uploads and the paste and drop handlers of the editor card.
+   *
+   * @see {@link ../hooks/useAttachments.js} Hook that uploads the files
+   */
+  const {
+    uploads,
+    dragOver,
+    attach,
+    removeAttachment,
+    handlePaste,
+    dropHandlers,
+  } = useAttachments(id, setNote);
+
   /**
    * useEffect hook for fetching note data on component mount and ID changes.
    *
@@ -187,69 +358,193 @@ const NoteDetailPage = () => {
      * - User experience: Provides clear feedback about what went wrong
      * - Error recovery: Allows users to try again or navigate away
      *
+     * Copy kept on the device:
+     * - Used instead of the server's when the server can't be reached, for
+     *   notes created offline, and while the note has queued changes (the
+     *   server's copy doesn't have them yet)
+     * - Its version becomes the ETag; queued saves keep the ETag they were
+     *   queued with, so a newer version on the server still shows up as a
+     *   conflict when they sync
+     *
      * @async
      * @function fetchNote
      * @returns {Promise<void>} Resolves when fetch operation is complete
      */
     const fetchNote = async () => {
+      const showCachedCopy = async () => {
+        const cached = await getCachedNote(id);
+        if (!cached) return false;
+        loadVersion(cached, isLocalNoteId(id) ? null : `"${cached.__v ?? 0}"`);
+        return true;
+      };
+
       try {
+        if (
+          (isLocalNoteId(id) || hasQueuedChanges(id)) &&
+          (await showCachedCopy())
+        )
+          return;
         const res = await api.get(`/notes/${id}`);
-        setNote(res.data);
-      } catch {
-        toast.error('Failed to fetch the note');
+        loadVersion(res.data, res.headers.etag);
+        cacheNotes([res.data]);
+      } catch (error) {
+        if (normalizeError(error).isNetworkError && (await showCachedCopy())) {
+          toast("You're offline. Showing the copy saved on this device", {
+            id: 'offline-copy',
+          });
+        } else {
+          toast.error(getErrorMessage(error, 'Failed to fetch the note'));
+        }
       } finally {
         setLoading(false);
       }
     };
 
     fetchNote();
-  }, [id]);
+  }, [id, loadVersion]);
+
+  /**
+   * useEffect hook for watching the open note on the note event stream.
+   *
+   * An `updated` event only counts as a remote change when it carries a
+   * newer version than the one the editor is based on; moves, pins and
+   * archiving keep the version and are ignored, except that a reminder or
+   * due date set elsewhere is copied in. Neither do checklist item changes
+   * count: they are merged, as long as the title, content and tags are the
+   * ones this tab already has; nor, in a collaboration session, do the
+   * session's own content saves. The check waits for saves in flight, because
+   * the event for this tab's own save can arrive before the save's response.
+   *
+   * @see {@link ../lib/noteEvents.js} Stream client
+   */
+  useEffect(
+    () =>
+      subscribeToNoteEvents(({ type, data }) => {
+        if (type === 'deleted') {
+          if (data.id === id && !deletingRef.current)
+            setRemoteChange({ type: 'deleted' });
+        } else if (data.note._id === id) {
+          if (type === 'created') {
+            // Restored from the trash elsewhere
+            setRemoteChange(null);
+            return;
+          }
+          setNote((prev) =>
+            !prev ||
+            ((prev.remindAt ?? null) === (data.note.remindAt ?? null) &&
+              (prev.dueAt ?? null) === (data.note.dueAt ?? null) &&
+              attachmentIds(prev) === attachmentIds(data.note))
+              ? prev
+              : {
+                  ...prev,
+                  remindAt: data.note.remindAt ?? null,
+                  dueAt: data.note.dueAt ?? null,
+                  attachments: data.note.attachments ?? [],
+                }
+          );
+          queueTask(() => {
+            const seen = compareRemote(data.note);
+            if (seen === 'merged') mergeItems(data.note.items);
+            else if (seen === 'changed')
+              setRemoteChange({ type: 'updated', note: data.note });
+          });
+        }
+      }),
+    [id, queueTask, compareRemote, mergeItems]
+  );
+
+  /**
+   * useEffect hook for moving a note created offline to its server URL
+   * once the sync queue has created it. Its other results are followed by
+   * useNoteSave.
+   *
+   * @see {@link ../lib/syncQueue.js} Queue that reports the results
+   */
+  useEffect(
+    () =>
+      subscribeToSyncResults((result) => {
+        if (result.type === 'created' && result.localId === id)
+          navigate(`/note/${result.note._id}`, { replace: true });
+      }),
+    [id, navigate]
+  );
+
+  /**
+   * Trashes the note on the server, or queues that when it can't be reached.
+   *
+   * @async
+   * @function trashNote
+   * @returns {Promise<boolean>} Whether the delete was queued for later;
+   *   rejects with the request's error otherwise
+   */
+  const trashNote = async () => {
+    if (isLocalNoteId(id)) {
+      await queueDelete(id);
+      return false;
+    }
+    try {
+      await api.delete(`/notes/${id}`);
+      await removeCachedNote(id);
+      return false;
+    } catch (error) {
+      if (!normalizeError(error).isNetworkError) throw error;
+      await queueDelete(id).catch(() => {
+        throw error;
+      });
+      return true;
+    }
+  };
 
   /**
-   * Handles note deletion with confirmation dialog.
+   * Moves the note to the trash and returns to the home page.
    *
-   * This function processes the note deletion by showing a confirmation
-   * dialog, making an API call to delete the note, and handling the
-   * response. It includes user confirmation to prevent accidental deletions.
+   * This function makes an API call to trash the note and navigates home
+   * on success. No confirmation is needed because the note can be restored
+   * from the Trash page until it is purged.
    *
    * Why this approach?
-   * - User confirmation: Prevents accidental deletions with confirmation dialog
+   * - Recoverable deletes: The trash replaces the confirmation dialog as the
+   *   safety net against accidental clicks
    * - User feedback: Shows success message and navigates to home page
-   * - Error handling: Shows error message if deletion fails
-   * - Navigation: Redirects to home page after successful deletion
+   * - Error handling: Shows error message if the request fails
+   * - Offline: The delete is queued and sent when the connection returns
    *
    * @async
    * @function handleDelete
-   * @returns {Promise<void>} Resolves when deletion operation is complete
+   * @returns {Promise<void>} Resolves when the operation is complete
    *
    * @see {@link ../lib/axios.js} API client used for the request
+   * @see {@link ./TrashPage.jsx} Trash page where the note can be restored
    * @see {@link ../../backend/src/controllers/notesController.js} Backend deleteNote controller
    */
   const handleDelete = async () => {
-    if (!window.confirm('Are you sure you want to delete this note?')) return;
-
+    deletingRef.current = true;
     try {
-      await api.delete(`/notes/${id}`);
-      toast.success('Note deleted');
+      const queued = await trashNote();
+      // Pending edits go to the trash with the note; don't ask about them
+      discardChanges();
+      toast.success(
+        queued
+          ? "Note moved to trash. It'll sync when you reconnect"
+          : 'Note moved to trash'
+      );
       navigate('/');
-    } catch {
-      toast.error('Failed to delete note');
+    } catch (error) {
+      deletingRef.current = false;
+      toast.error(getErrorMessage(error, 'Failed to delete note'));
     }
   };
 
   /**
-   * Handles note saving with validation and API communication.
+   * Saves any pending edits right away and returns to the home page.
    *
-   * This function processes the note saving by validating the input
-   * data, making an API call to update the note, and handling the
-   * response. It includes comprehensive error handling and user feedback.
+   * Autosave normally keeps the note up to date, so this mostly flushes the
+   * last second of typing. If the save can't complete, the user stays on
+   * the page with their edits and an explanation.
    *
-   * Why this approach?
-   * - Validation: Client-side validation before API call
-   * - User feedback: Clear success/error messages
-   * - Loading states: Manages saving state throughout the process
-   * - Navigation: Redirects to home page on successful update
-   * - Error handling: Shows appropriate error messages for different scenarios
+   * Why keep a save button with autosave?
+   * - Closure: Users get an explicit "done" action that confirms the save
+   * - Flush: Skips the debounce delay before leaving the page
    *
    * Form Validation Strategy:
    * - Client-side: Checks for empty or whitespace-only fields
@@ -264,24 +559,92 @@ const NoteDetailPage = () => {
    * @see {@link ../../backend/src/controllers/notesController.js} Backend updateNote controller
    */
   const handleSave = async () => {
-    if (!note.title.trim() || !note.content.trim()) {
-      toast.error('Please add a title or content');
-      return;
-    }
-
-    setSaving(true);
+    setClosing(true);
+    const status = await saveNote(false);
+    setClosing(false);
 
-    try {
-      await api.put(`/notes/${id}`, note);
+    if (status === 'saved') {
       toast.success('Note updated successfully');
       navigate('/');
-    } catch {
-      toast.error('Failed to update note');
-    } finally {
-      setSaving(false);
+    } else if (status === 'queued') {
+      toast.success("Saved on this device. It'll sync when you reconnect");
+      navigate('/');
+    } else if (status === 'invalid') {
+      toast.error('Please add a title or content');
+    } else if (status === 'offline') {
+      toast.error("You're offline. Your changes will save when you reconnect");
+    } else if (status === 'conflict') {
+      toast.error(
+        'This note was changed elsewhere. Resolve the conflict first'
+      );
+    } else {
+      toast.error(getSaveError() ?? 'Failed to update note', {
+        id: 'save-error',
+      });
     }
   };
 
+  /**
+   * Replaces the form contents with a note reverted from the history panel.
+   *
+   * The revert is already saved on the server, so only the local state needs
+   * updating; unsaved edits in the form are replaced by the restored version.
+   *
+   * @function handleRestoreRevision
+   * @param {Object} restoredNote - Updated note returned by the restore endpoint
+   * @param {string} etag - ETag of the restored version
+   * @returns {void}
+   *
+   * @see {@link ../components/HistoryPanel.jsx} Panel that triggers the revert
+   */
+  const handleRestoreRevision = (restoredNote, etag) => {
+    loadVersion(restoredNote, etag);
+    setRemoteChange(null);
+  };
+
+  /**
+   * Applies the user's choice from the conflict dialog (see
+   * `resolveConflict` in useNoteSave) and drops the warning about a change
+   * made elsewhere, which the dialog has dealt with.
+   *
+   * @function handleResolveConflict
+   * @param {string} choice - "mine", "theirs" or "merged"
+   * @param {Object} fields - Title, content and tags to keep
+   * @returns {void}
+   *
+   * @see {@link ../components/ConflictDialog.jsx} Dialog that offers the choices
+   */
+  const handleResolveConflict = (choice, fields) => {
+    setRemoteChange(null);
+    resolveConflict(choice, fields);
+  };
+
+  /**
+   * Replaces the form contents with the version saved elsewhere.
+   *
+   * Unsaved edits would be lost, so the user is asked first when there are
+   * any. Choosing to keep editing instead is also safe: the next save is
+   * rejected with 409 and opens the conflict dialog.
+   *
+   * @function handleLoadRemote
+   * @returns {void}
+   */
+  const handleLoadRemote = () => {
+    if (
+      hasUnsavedChanges() &&
+      !window.confirm(
+        'Discard your unsaved changes and load the latest version?'
+      )
+    )
+      return;
+
+    const latest = remoteChange.note;
+    loadVersion(latest, `"${latest.__v ?? 0}"`);
+    setRemoteChange(null);
+  };
+
+  const isChecklist = note?.type === 'checklist';
+
   // Loading state with centered spinner
   if (loading) {
     return (
@@ -306,19 +669,131 @@ const NoteDetailPage = () => {
               <span className="hidden sm:inline">Back to Notes</span>
               <span className="sm:hidden">Back</span>
             </Link>
-            {/* Delete note button */}
-            <button
-              onClick={handleDelete}
-              className="btn btn-error btn-outline btn-sm sm:btn-md touch-manipulation"
-            >
-              <Trash2Icon className="size-4 sm:size-5" />
-              <span className="hidden sm:inline">Delete Note</span>
-              <span className="sm:hidden">Delete</span>
-            </button>
+            <div className="flex gap-2">
+              {/* History toggle button */}
+              <button
+                onClick={() => setShowHistory((open) => !open)}
+                className={`btn btn-sm sm:btn-md flex-1 sm:flex-none touch-manipulation ${
+                  showHistory ? 'btn-active' : 'btn-ghost'
+                }`}
+              >
+                <HistoryIcon className="size-4 sm:size-5" />
+                History
+              </button>
+              {/* Convert between text note and checklist */}
+              <button
+                onClick={convert}
+                disabled={converting || isLocalNoteId(id)}
+                className="btn btn-ghost btn-sm sm:btn-md flex-1 sm:flex-none touch-manipulation"
+                title={isChecklist ? 'Convert to text' : 'Convert to checklist'}
+              >
+                {isChecklist ? (
+                  <FileTextIcon className="size-4 sm:size-5" />
+                ) : (
+                  <ListChecksIcon className="size-4 sm:size-5" />
+                )}
+                {isChecklist ? 'To text' : 'To checklist'}
+              </button>
+              {/* Share links button */}
+              <button
+                onClick={() => setShowShare(true)}
+                className="btn btn-ghost btn-sm sm:btn-md flex-1 sm:flex-none touch-manipulation"
+              >
+                <Share2Icon className="size-4 sm:size-5" />
+                Share
+              </button>
+              {/* Delete note button */}
+              <button
+                onClick={handleDelete}
+                className="btn btn-error btn-outline btn-sm sm:btn-md flex-1 sm:flex-none touch-manipulation"
+              >
+                <Trash2Icon className="size-4 sm:size-5" />
+                <span className="hidden sm:inline">Delete Note</span>
+                <span className="sm:hidden">Delete</span>
+              </button>
+            </div>
           </div>
 
+          {/* Revision history panel */}
+          {showHistory && (
+            <div className="card bg-base-100 shadow-xl w-full mb-4 sm:mb-6">
+              <div className="card-body p-4 sm:p-6">
+                <HistoryPanel noteId={id} onRestore={handleRestoreRevision} />
+              </div>
+            </div>
+          )}
+
+          {/* Share links dialog */}
+          {showShare && (
+            <ShareDialog noteId={id} onClose={() => setShowShare(false)} />
+          )}
+
+          {/* Conflict resolution dialog */}
+          {conflict && (
+            <ConflictDialog
+              mine={editableFields(note)}
+              theirs={
+                // Shared content merges by itself; only title and tags conflict
+                collab.ready
+                  ? { ...conflict.note, content: note.content }
+                  : conflict.note
+              }
+              onResolve={handleResolveConflict}
+            />
+          )}
+
+          {/* Warning about a change made in another tab or device */}
+          {remoteChange && !conflict && (
+            <div role="alert" className="alert alert-warning mb-4 sm:mb-6">
+              <TriangleAlertIcon className="size-5 shrink-0" />
+              {remoteChange.type === 'deleted' ? (
+                <>
+                  <span>
+                    This note was moved to the trash elsewhere. Restore it from
+                    the Trash to keep editing.
+                  </span>
+                  <Link to="/" className="btn btn-sm">
+                    Back to Notes
+                  </Link>
+                </>
+              ) : (
+                <>
+                  <span>This note was changed elsewhere.</span>
+                  <div className="flex gap-2">
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-ghost"
+                      onClick={() => setRemoteChange(null)}
+                    >
+                      Keep editing
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-sm"
+                      onClick={handleLoadRemote}
+                    >
+                      Load latest
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
           {/* Main form card container */}
-          <div className="card bg-base-100 shadow-xl w-full">
+          <div
+            className="card bg-base-100 shadow-xl w-full relative"
+            onPaste={handlePaste}
+            {...dropHandlers}
+          >
+            {/* Highlight while files are dragged over the card */}
+            {dragOver && (
+              <div className="absolute inset-0 z-10 rounded-box border-2 border-dashed border-primary bg-primary/10 flex items-center justify-center pointer-events-none">
+                <span className="text-lg font-medium text-primary">
+                  Drop files to attach
+                </span>
+              </div>
+            )}
             <div className="card-body p-4 sm:p-6 md:p-8">
               {/* Title input field */}
               <div className="form-control mb-5 sm:mb-6">
@@ -336,31 +811,116 @@ const NoteDetailPage = () => {
                 />
               </div>
 
-              {/* Content textarea field */}
+              {/* Checklist items, saved as they change */}
+              {isChecklist && (
+                <div className="form-control mb-5 sm:mb-6">
+                  <label className="label">
+                    <span className="label-text text-base sm:text-lg font-medium">
+                      Items
+                    </span>
+                  </label>
+                  <ChecklistEditor
+                    items={note.items ?? []}
+                    disabled={isLocalNoteId(id)}
+                    {...itemHandlers}
+                  />
+                </div>
+              )}
+
+              {/* Content textarea field; optional notes on a checklist */}
+              <div className="form-control mb-6 sm:mb-8">
+                <label className="label gap-2">
+                  <span className="label-text text-base sm:text-lg font-medium">
+                    {isChecklist ? 'Notes' : 'Content'}
+                  </span>
+                  {!collab.unavailable && (
+                    <CollabPresence
+                      status={collab.status}
+                      peers={collab.peers}
+                    />
+                  )}
+                </label>
+                <MarkdownEditor
+                  placeholder={
+                    isChecklist
+                      ? 'Anything else worth noting (optional)'
+                      : collab.ready || collab.unavailable
+                        ? 'Write your note here... (Markdown supported)'
+                        : 'Connecting...'
+                  }
+                  value={collab.ready ? collab.content : note.content}
+                  onChange={(content) =>
+                    collab.ready
+                      ? collab.setContent(content)
+                      : setNote({ ...note, content })
+                  }
+                  defaultMode="preview"
+                  textareaRef={textareaRef}
+                  onSelect={collab.updateCursor}
+                  disabled={!collab.ready && !collab.unavailable}
+                  overlay={
+                    collab.ready && (
+                      <RemoteCursors
+                        textareaRef={textareaRef}
+                        value={collab.content}
+                        peers={collab.peers}
+                      />
+                    )
+                  }
+                />
+              </div>
+
+              {/* Tags input field */}
               <div className="form-control mb-6 sm:mb-8">
                 <label className="label">
                   <span className="label-text text-base sm:text-lg font-medium">
-                    Content
+                    Tags
                   </span>
                 </label>
-                <textarea
-                  placeholder="Write your note here..."
-                  className="textarea textarea-bordered text-base h-40 sm:h-48 md:h-56 w-full"
-                  value={note.content}
-                  onChange={(e) =>
-                    setNote({ ...note, content: e.target.value })
+                <TagInput
+                  tags={note.tags ?? []}
+                  onChange={(tags) => setNote({ ...note, tags })}
+                />
+              </div>
+
+              {/* Attachments, uploaded and removed on their own */}
+              <div className="form-control mb-6 sm:mb-8">
+                <AttachmentList
+                  noteId={id}
+                  attachments={note.attachments ?? []}
+                  uploads={uploads}
+                  onAttach={attach}
+                  onDelete={removeAttachment}
+                  disabled={isLocalNoteId(id)}
+                />
+              </div>
+
+              {/* Reminder and due date, saved on their own */}
+              <div className="form-control mb-6 sm:mb-8">
+                <SchedulePicker
+                  noteId={id}
+                  remindAt={note.remindAt}
+                  dueAt={note.dueAt}
+                  disabled={isLocalNoteId(id)}
+                  onChange={(saved) =>
+                    setNote((prev) => ({
+                      ...prev,
+                      remindAt: saved.remindAt,
+                      dueAt: saved.dueAt,
+                    }))
                   }
                 />
               </div>
 
-              {/* Save button with loading state */}
-              <div className="card-actions justify-end">
+              {/* Autosave indicator and save button with loading state */}
+              <div className="card-actions justify-between items-center">
+                <SaveStatus status={saveStatus} />
                 <button
                   className="btn btn-primary btn-md sm:btn-lg text-base sm:text-lg touch-manipulation"
-                  disabled={saving}
+                  disabled={closing}
                   onClick={handleSave}
                 >
-                  {saving ? (
+                  {closing ? (
                     <>
                       <span className="loading loading-spinner loading-sm sm:loading-md"></span>
                       Saving...
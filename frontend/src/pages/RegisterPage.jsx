@@ -0,0 +1,79 @@
+/**
+ * @fileoverview RegisterPage component for the Dex Note Taking App frontend.
+ *
+ * This page creates a new account. Registration signs the user in right away,
+ * so they land on their (empty) notes list without a separate login step.
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { Link, Navigate, useLocation, useNavigate } from 'react-router';
+import toast from 'react-hot-toast';
+import AuthForm from '../components/AuthForm';
+import useAuth from '../hooks/useAuth';
+
+/**
+ * Minimum password length, mirroring `MIN_PASSWORD_LENGTH` on the backend.
+ *
+ * @type {number}
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * RegisterPage component rendering the sign-up form.
+ *
+ * @returns {JSX.Element} The registration page
+ *
+ * @see {@link ../App.jsx} App component that renders this as the /register route
+ * @see {@link ../../../backend/src/controllers/authController.js} Backend register controller
+ * @see {@link ../../../backend/src/models/User.js} Backend password rules
+ */
+const RegisterPage = () => {
+  const { user, initializing, register } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const from = location.state?.from?.pathname ?? '/';
+
+  if (!initializing && user) return <Navigate to={from} replace />;
+
+  /**
+   * Creates the account and continues to the original destination.
+   *
+   * @async
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Promise<void>} Resolves after navigation
+   */
+  const handleRegister = async (email, password) => {
+    await register(email, password);
+    toast.success('Welcome to Dex-Note!');
+    navigate(from, { replace: true });
+  };
+
+  return (
+    <AuthForm
+      title="Create an account"
+      submitLabel="Create account"
+      submittingLabel="Creating account..."
+      passwordAutoComplete="new-password"
+      minPasswordLength={MIN_PASSWORD_LENGTH}
+      onSubmit={handleRegister}
+      footer={
+        <>
+          Already have an account?{' '}
+          <Link
+            to="/login"
+            state={location.state}
+            className="link link-primary"
+          >
+            Sign in
+          </Link>
+        </>
+      }
+    />
+  );
+};
+
+export default RegisterPage;
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview SharedNotePage component for the Dex Note Taking App frontend.
+ *
+ * This page is what a share link (`/s/:token`) opens. It shows one note,
+ * read-only, to anyone holding the link, signed in or not: the rendered
+ * Markdown, its tags and when it was last updated.
+ *
+ * Key Features:
+ * - Public route outside ProtectedRoute, with the Navbar's actions hidden
+ * - Password form for protected links, retried until the password is right
+ * - Distinct message for links that were revoked, expired, or whose note
+ *   was deleted
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { useParams } from 'react-router';
+import { LinkIcon, LoaderIcon, LockIcon } from 'lucide-react';
+import api from '../lib/axios';
+import { getErrorMessage, normalizeError } from '../lib/apiErrors';
+import { formatDate } from '../lib/utils';
+import Navbar from '../components/Navbar';
+import MarkdownContent from '../components/MarkdownContent';
+
+/**
+ * SharedNotePage component that renders a note opened through a share link.
+ *
+ * States:
+ * - loading: Fetching the note
+ * - password: The link is protected; shows the password form (with an
+ *   error after a wrong attempt)
+ * - missing: The link doesn't exist, was revoked or expired
+ * - error: Anything else, such as a network failure
+ * - ready: The note is shown
+ *
+ * @returns {JSX.Element} The shared note page
+ *
+ * @see {@link ../App.jsx} App component that renders this as the /s/:token route
+ * @see {@link ../components/ShareDialog.jsx} Dialog that creates the links
+ * @see {@link ../../../backend/src/controllers/shareController.js} Backend getSharedNote controller
+ */
+const SharedNotePage = () => {
+  const { token } = useParams();
+
+  /**
+   * Page state; see the component description.
+   *
+   * @type {{status: string, note?: Object, message?: string}}
+   */
+  const [state, setState] = useState({ status: 'loading' });
+
+  /**
+   * Password typed into the form.
+   *
+   * @type {string}
+   */
+  const [password, setPassword] = useState('');
+
+  /**
+   * Whether a password attempt is in flight.
+   *
+   * @type {boolean}
+   */
+  const [unlocking, setUnlocking] = useState(false);
+
+  /**
+   * Fetches the shared note, with a password when one is given.
+   *
+   * @async
+   * @function loadNote
+   * @param {string} [attempt] - Password to send
+   * @returns {Promise<void>}
+   */
+  const loadNote = useCallback(
+    async (attempt) => {
+      try {
+        const res = await api.get(`/public/${token}`, {
+          headers: attempt
+            ? { 'X-Share-Password': encodeURIComponent(attempt) }
+            : undefined,
+        });
+        setState({ status: 'ready', note: res.data.note });
+      } catch (error) {
+        const { status, code } = normalizeError(error);
+        if (status === 403) {
+          setState({
+            status: 'password',
+            message:
+              code === 'PASSWORD_INCORRECT' ? 'Incorrect password' : null,
+          });
+        } else if (status === 404 || status === 400) {
+          setState({ status: 'missing' });
+        } else {
+          setState({
+            status: 'error',
+            message: getErrorMessage(error, 'Failed to load the note'),
+          });
+        }
+      }
+    },
+    [token]
+  );
+
+  useEffect(() => {
+    loadNote();
+  }, [loadNote]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+    setUnlocking(true);
+    await loadNote(password);
+    setUnlocking(false);
+  };
+
+  const { status, note, message } = state;
+
+  return (
+    <div className="min-h-screen w-full overflow-x-hidden">
+      <Navbar showActions={false} />
+
+      <div className="container mx-auto px-3 sm:px-5 md:px-6 py-4 sm:py-6 md:py-8">
+        <div className="max-w-2xl mx-auto">
+          {status === 'loading' && (
+            <div className="flex justify-center py-16">
+              <LoaderIcon className="animate-spin size-10" />
+            </div>
+          )}
+
+          {status === 'password' && (
+            <form
+              className="card bg-base-100 shadow-xl"
+              onSubmit={handleUnlock}
+            >
+              <div className="card-body items-center text-center gap-4">
+                <LockIcon className="size-10 text-primary" />
+                <h2 className="card-title">This note is password protected</h2>
+                <input
+                  type="password"
+                  className={`input input-bordered w-full max-w-xs ${
+                    message ? 'input-error' : ''
+                  }`}
+                  placeholder="Password"
+                  aria-label="Password"
+                  autoFocus
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+                {message && <p className="text-sm text-error">{message}</p>}
+                <button
+                  type="submit"
+                  className="btn btn-primary"
+                  disabled={unlocking || !password}
+                >
+                  {unlocking && (
+                    <span className="loading loading-spinner loading-sm"></span>
+                  )}
+                  Open note
+                </button>
+              </div>
+            </form>
+          )}
+
+          {(status === 'missing' || status === 'error') && (
+            <div className="card bg-base-100 shadow-xl">
+              <div className="card-body items-center text-center">
+                <LinkIcon className="size-10 text-base-content/40" />
+                <h2 className="card-title">
+                  {status === 'missing'
+                    ? 'This link is no longer available'
+                    : "Couldn't load this note"}
+                </h2>
+                <p className="text-base-content/70">
+                  {status === 'missing'
+                    ? 'It may have expired or been revoked by its owner.'
+                    : message}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {status === 'ready' && (
+            <article className="card bg-base-100 shadow-xl">
+              <div className="card-body p-4 sm:p-6 md:p-8">
+                <h2 className="card-title text-xl sm:text-2xl break-words">
+                  {note.title}
+                </h2>
+                <p className="text-sm text-base-content/60">
+                  Updated {formatDate(new Date(note.updatedAt))}
+                </p>
+                {note.tags?.length > 0 && (
+                  <div className="flex flex-wrap gap-1.5">
+                    {note.tags.map((tag) => (
+                      <span key={tag} className="badge badge-outline">
+                        {tag}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <div className="divider my-1" />
+                <MarkdownContent content={note.content} />
+              </div>
+            </article>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedNotePage;
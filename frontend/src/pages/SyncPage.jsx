@@ -0,0 +1,298 @@
+/**
+ * @fileoverview SyncPage component for the Dex Note Taking App frontend.
+ *
+ * This page lists the changes made offline that haven't reached the server
+ * yet, and is where their conflicts get resolved: edits queued against a
+ * version of a note that was changed elsewhere in the meantime.
+ *
+ * Key Features:
+ * - Every queued change with its note title, kind and status
+ * - Conflict resolution with the same dialog the editor uses on a 409
+ * - Error shown for changes the server refused, with a discard action
+ * - "Sync now" button for retrying without waiting for the next attempt
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  CloudIcon,
+  GitMergeIcon,
+  LoaderIcon,
+  RefreshCwIcon,
+  XIcon,
+} from 'lucide-react';
+import { getCachedNote } from '../lib/offlineStore';
+import {
+  discardMutation,
+  replayMutations,
+  resolveConflict,
+  subscribeToSyncQueue,
+} from '../lib/syncQueue';
+import ConflictDialog from '../components/ConflictDialog';
+
+/**
+ * Label for each kind of queued change.
+ *
+ * @type {Object<string, string>}
+ */
+const CHANGE_LABELS = {
+  create: 'New note',
+  update: 'Edits',
+  delete: 'Move to trash',
+};
+
+/**
+ * Badge text and style for each mutation status.
+ *
+ * @type {Object<string, {label: string, className: string}>}
+ */
+const STATUS_BADGES = {
+  pending: { label: 'Waiting to sync', className: 'badge-ghost' },
+  conflict: { label: 'Conflict', className: 'badge-warning' },
+  failed: { label: 'Failed', className: 'badge-error' },
+};
+
+/**
+ * Picks the fields the conflict dialog compares.
+ *
+ * @param {Object} note - Note object
+ * @returns {{title: string, content: string, tags: Array<string>}} Fields
+ */
+const editableFields = (note) => ({
+  title: note.title,
+  content: note.content,
+  tags: note.tags ?? [],
+});
+
+/**
+ * SyncPage component that shows and resolves queued offline changes.
+ *
+ * State Management:
+ * - queue: `{ mutations, syncing }` as reported by the sync queue
+ * - notes: Cached copy of each queued note, by note ID, for titles and
+ *   the local side of conflicts
+ * - resolving: Conflicting mutation whose dialog is open, or null
+ *
+ * @returns {JSX.Element} The sync page component
+ *
+ * @see {@link ../App.jsx} App component that renders this as the /sync route
+ * @see {@link ../lib/syncQueue.js} Queue that holds the changes
+ * @see {@link ../components/ConflictDialog.jsx} Dialog used to resolve conflicts
+ */
+const SyncPage = () => {
+  /**
+   * State of the sync queue.
+   *
+   * @type {{mutations: Array<Object>, syncing: boolean}}
+   */
+  const [queue, setQueue] = useState({ mutations: [], syncing: false });
+
+  /**
+   * Cached notes of the queued changes, by note ID.
+   *
+   * @type {Object<string, Object>}
+   */
+  const [notes, setNotes] = useState({});
+
+  /**
+   * Conflicting mutation being resolved.
+   *
+   * @type {Object|null}
+   */
+  const [resolving, setResolving] = useState(null);
+
+  useEffect(() => subscribeToSyncQueue(setQueue), []);
+
+  // Read the local copy of every queued note for its title and fields
+  useEffect(() => {
+    let cancelled = false;
+    const ids = [...new Set(queue.mutations.map((item) => item.noteId))];
+    Promise.all(ids.map((id) => getCachedNote(id))).then((cached) => {
+      if (cancelled) return;
+      setNotes(
+        Object.fromEntries(
+          ids.map((id, index) => [id, cached[index]]).filter(([, note]) => note)
+        )
+      );
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [queue.mutations]);
+
+  /**
+   * Fields of the local side of a conflict: the cached note with the
+   * queued changes on top.
+   *
+   * @param {Object} mutation - Conflicting mutation
+   * @returns {{title: string, content: string, tags: Array<string>}} Fields
+   */
+  const localFields = (mutation) => ({
+    ...editableFields(notes[mutation.noteId] ?? mutation.server.note),
+    ...mutation.body,
+  });
+
+  /**
+   * Applies the choice made in the conflict dialog.
+   *
+   * @async
+   * @function handleResolve
+   * @param {string} choice - "mine", "theirs" or "merged"
+   * @param {Object} fields - Title, content and tags to keep
+   * @returns {Promise<void>}
+   */
+  const handleResolve = async (choice, fields) => {
+    const { seq } = resolving;
+    setResolving(null);
+    try {
+      await resolveConflict(seq, choice, fields);
+    } catch {
+      toast.error("Couldn't save your choice on this device");
+    }
+  };
+
+  /**
+   * Drops a queued change after confirming.
+   *
+   * @async
+   * @function handleDiscard
+   * @param {Object} mutation - Change to drop
+   * @returns {Promise<void>}
+   */
+  const handleDiscard = async (mutation) => {
+    if (!window.confirm('Discard this change? It will never be synced.'))
+      return;
+    try {
+      await discardMutation(mutation.seq);
+    } catch {
+      toast.error("Couldn't discard the change");
+    }
+  };
+
+  const { mutations, syncing } = queue;
+  const hasPending = mutations.some((item) => item.status === 'pending');
+
+  return (
+    <div className="min-h-screen bg-base-200 w-full overflow-x-hidden">
+      <div className="container mx-auto px-3 sm:px-5 md:px-6 py-4 sm:py-6 md:py-8">
+        <div className="max-w-3xl mx-auto">
+          {/* Navigation and sync action */}
+          <div className="flex flex-col sm:flex-row items-stretch sm:items-center justify-between gap-2.5 sm:gap-4 mb-4 sm:mb-6">
+            <Link
+              to="/"
+              className="btn btn-ghost btn-sm sm:btn-md touch-manipulation"
+            >
+              <ArrowLeftIcon className="size-4 sm:size-5" />
+              <span className="hidden sm:inline">Back to Notes</span>
+              <span className="sm:hidden">Back</span>
+            </Link>
+            {hasPending && (
+              <button
+                onClick={replayMutations}
+                disabled={syncing}
+                className="btn btn-primary btn-outline btn-sm sm:btn-md touch-manipulation"
+              >
+                <RefreshCwIcon
+                  className={`size-4 sm:size-5 ${syncing ? 'animate-spin' : ''}`}
+                />
+                Sync now
+              </button>
+            )}
+          </div>
+
+          <h2 className="text-xl sm:text-2xl md:text-3xl font-bold mb-1">
+            Sync
+          </h2>
+          <p className="text-sm text-base-content/70 mb-5 sm:mb-6">
+            Changes made offline are kept on this device and sent once
+            you&apos;re back online.
+          </p>
+
+          {/* Resolution dialog for the selected conflict */}
+          {resolving && (
+            <ConflictDialog
+              mine={localFields(resolving)}
+              theirs={resolving.server.note}
+              onResolve={handleResolve}
+            />
+          )}
+
+          {/* Empty state */}
+          {mutations.length === 0 && (
+            <div className="text-center text-base-content/70 py-12 sm:py-16">
+              <CloudIcon className="size-10 mx-auto mb-3 opacity-60" />
+              <p>Everything is synced.</p>
+            </div>
+          )}
+
+          {/* Queued changes */}
+          <div className="flex flex-col gap-3 sm:gap-4">
+            {mutations.map((mutation) => {
+              const note = notes[mutation.noteId];
+              const badge = STATUS_BADGES[mutation.status];
+              const sending = syncing && mutation.status === 'pending';
+              return (
+                <div
+                  key={mutation.seq}
+                  className="card bg-base-100 border-t-4 border-solid border-base-content/20 w-full"
+                >
+                  <div className="card-body p-3 sm:p-5">
+                    <h3 className="card-title text-base sm:text-lg line-clamp-2 break-words">
+                      {mutation.body?.title ?? note?.title ?? 'Untitled note'}
+                    </h3>
+                    <div className="flex flex-wrap items-center gap-2 text-xs sm:text-sm text-base-content/70">
+                      <span>{CHANGE_LABELS[mutation.type]}</span>
+                      <span
+                        className={`badge badge-sm gap-1 ${badge.className}`}
+                      >
+                        {sending && (
+                          <LoaderIcon className="size-3 animate-spin" />
+                        )}
+                        {badge.label}
+                      </span>
+                    </div>
+                    {mutation.status === 'conflict' && (
+                      <p className="text-sm text-base-content/70">
+                        This note was changed elsewhere after you edited it
+                        offline. Choose which version to keep.
+                      </p>
+                    )}
+                    {mutation.status === 'failed' && (
+                      <p className="text-sm text-error">{mutation.error}</p>
+                    )}
+                    <div className="card-actions justify-end mt-2 gap-2">
+                      {mutation.status === 'conflict' && (
+                        <button
+                          onClick={() => setResolving(mutation)}
+                          className="btn btn-primary btn-outline btn-xs sm:btn-sm touch-manipulation"
+                        >
+                          <GitMergeIcon className="size-4" />
+                          Resolve
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleDiscard(mutation)}
+                        disabled={sending}
+                        className="btn btn-ghost btn-xs sm:btn-sm text-error touch-manipulation"
+                      >
+                        <XIcon className="size-4" />
+                        Discard
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncPage;
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview TrashPage component for the Dex Note Taking App frontend.
+ *
+ * This component lists the notes that have been moved to the trash and lets
+ * the user restore them, delete them forever, or empty the whole trash.
+ * Notes left in the trash are purged automatically by the backend after the
+ * retention period, and the page shows how many days each note has left.
+ *
+ * Key Features:
+ * - List of trashed notes, most recently deleted first
+ * - Restore action that puts a note back in the main list
+ * - "Delete forever" action with confirmation dialog
+ * - "Empty trash" action with confirmation dialog
+ * - Days-until-purge indicator based on the server's retention setting
+ * - Responsive design matching the other pages
+ *
+ * @author Dayle Cortes
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  LoaderIcon,
+  RotateCcwIcon,
+  Trash2Icon,
+} from 'lucide-react';
+import api from '../lib/axios';
+import { getErrorMessage } from '../lib/apiErrors';
+import { formatDate } from '../lib/utils';
+import MarkdownExcerpt from '../components/MarkdownExcerpt';
+
+/**
+ * Number of milliseconds in a day, used for the purge countdown.
+ *
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * TrashPage component that manages notes in the trash.
+ *
+ * Why a dedicated page?
+ * - Separation: Trashed notes never mix with live notes in the HomePage grid
+ * - Safety: Destructive actions live behind their own route and confirmations
+ * - Clarity: Users can see exactly what will be purged and when
+ *
+ * State Management:
+ * - notes: Trashed notes returned by `GET /notes/trash`
+ * - retentionDays: Server retention period used for the purge countdown
+ * - loading: Whether the initial fetch is in progress
+ * - busyId: ID of the note (or "all") with an action in flight
+ *
+ * @returns {JSX.Element} The trash page component
+ *
+ * @see {@link ../App.jsx} App component that renders this as the /trash route
+ * @see {@link ../lib/axios.js} API client used for backend communication
+ * @see {@link ../../../backend/src/controllers/notesController.js} Backend trash controllers
+ */
+const TrashPage = () => {
+  /**
+   * State for storing the trashed notes.
+   *
+   * @type {Array<Object>}
+   */
+  const [notes, setNotes] = useState([]);
+
+  /**
+   * State for the server's trash retention period in days.
+   *
+   * @type {number|null}
+   */
+  const [retentionDays, setRetentionDays] = useState(null);
+
+  /**
+   * State for tracking the initial fetch.
+   *
+   * @type {boolean}
+   */
+  const [loading, setLoading] = useState(true);
+
+  /**
+   * State for the note ID whose action is in progress ("all" for empty trash).
+   *
+   * Used to disable buttons while a request is running so actions can't be
+   * triggered twice.
+   *
+   * @type {string|null}
+   */
+  const [busyId, setBusyId] = useState(null);
+
+  /**
+   * useEffect hook for fetching the trash on component mount.
+   *
+   * @see {@link ../../../backend/src/controllers/notesController.js} Backend getTrash controller
+   */
+  useEffect(() => {
+    const fetchTrash = async () => {
+      try {
+        const res = await api.get('/notes/trash');
+        setNotes(res.data.notes);
+        setRetentionDays(res.data.retentionDays);
+      } catch (error) {
+        toast.error(getErrorMessage(error, 'Failed to load trash'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTrash();
+  }, []);
+
+  /**
+   * Computes how many whole days remain before a trashed note is purged.
+   *
+   * @param {string} deletedAt - ISO timestamp when the note was trashed
+   * @returns {number} Days left (never negative)
+   */
+  const daysUntilPurge = (deletedAt) => {
+    const purgeAt = new Date(deletedAt).getTime() + retentionDays * DAY_MS;
+    return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+  };
+
+  /**
+   * Restores a note from the trash.
+   *
+   * @async
+   * @function handleRestore
+   * @param {string} id - MongoDB ObjectId of the note to restore
+   * @returns {Promise<void>} Resolves when the restore is complete
+   */
+  const handleRestore = async (id) => {
+    setBusyId(id);
+    try {
+      await api.post(`/notes/${id}/restore`);
+      setNotes((prev) => prev.filter((note) => note._id !== id));
+      toast.success('Note restored');
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to restore note'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Permanently deletes a single trashed note after confirmation.
+   *
+   * @async
+   * @function handleDeleteForever
+   * @param {string} id - MongoDB ObjectId of the note to delete
+   * @returns {Promise<void>} Resolves when the deletion is complete
+   */
+  const handleDeleteForever = async (id) => {
+    if (!window.confirm('Delete this note forever? This cannot be undone.'))
+      return;
+
+    setBusyId(id);
+    try {
+      await api.delete(`/notes/${id}/permanent`);
+      setNotes((prev) => prev.filter((note) => note._id !== id));
+      toast.success('Note deleted forever');
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to delete note'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Permanently deletes every note in the trash after confirmation.
+   *
+   * @async
+   * @function handleEmptyTrash
+   * @returns {Promise<void>} Resolves when the trash has been emptied
+   */
+  const handleEmptyTrash = async () => {
+    if (
+      !window.confirm(
+        `Permanently delete all ${notes.length} notes in the trash? This cannot be undone.`
+      )
+    )
+      return;
+
+    setBusyId('all');
+    try {
+      await api.delete('/notes/trash');
+      setNotes([]);
+      toast.success('Trash emptied');
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to empty trash'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Loading state with centered spinner
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-base-200 flex items-center justify-center">
+        <LoaderIcon className="animate-spin size-10" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-base-200 w-full overflow-x-hidden">
+      <div className="container mx-auto px-3 sm:px-5 md:px-6 py-4 sm:py-6 md:py-8">
+        <div className="max-w-3xl mx-auto">
+          {/* Navigation and empty-trash action */}
+          <div className="flex flex-col sm:flex-row items-stretch sm:items-center justify-between gap-2.5 sm:gap-4 mb-4 sm:mb-6">
+            <Link
+              to="/"
+              className="btn btn-ghost btn-sm sm:btn-md touch-manipulation"
+            >
+              <ArrowLeftIcon className="size-4 sm:size-5" />
+              <span className="hidden sm:inline">Back to Notes</span>
+              <span className="sm:hidden">Back</span>
+            </Link>
+            {notes.length > 0 && (
+              <button
+                onClick={handleEmptyTrash}
+                disabled={busyId !== null}
+                className="btn btn-error btn-outline btn-sm sm:btn-md touch-manipulation"
+              >
+                <Trash2Icon className="size-4 sm:size-5" />
+                Empty trash
+              </button>
+            )}
+          </div>
+
+          <h2 className="text-xl sm:text-2xl md:text-3xl font-bold mb-1">
+            Trash
+          </h2>
+          {retentionDays !== null && (
+            <p className="text-sm text-base-content/70 mb-5 sm:mb-6">
+              Notes in the trash are deleted forever after {retentionDays} days.
+            </p>
+          )}
+
+          {/* Empty state */}
+          {notes.length === 0 && (
+            <div className="text-center text-base-content/70 py-12 sm:py-16">
+              <Trash2Icon className="size-10 mx-auto mb-3 opacity-60" />
+              <p>The trash is empty.</p>
+            </div>
+          )}
+
+          {/* Trashed notes list */}
+          <div className="flex flex-col gap-3 sm:gap-4">
+            {notes.map((note) => (
+              <div
+                key={note._id}
+                className="card bg-base-100 border-t-4 border-solid border-base-content/20 w-full"
+              >
+                <div className="card-body p-3 sm:p-5">
+                  <h3 className="card-title text-base sm:text-lg line-clamp-2 break-words">
+                    {note.title}
+                  </h3>
+                  <MarkdownExcerpt
+                    content={note.content}
+                    className="text-base-content/70 line-clamp-2 text-sm sm:text-base break-words"
+                  />
+                  <div className="card-actions justify-between items-center mt-2 flex-wrap gap-2">
+                    <span className="text-xs sm:text-sm text-base-content/60">
+                      Deleted {formatDate(new Date(note.deletedAt))} · purged in{' '}
+                      {daysUntilPurge(note.deletedAt)} days
+                    </span>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleRestore(note._id)}
+                        disabled={busyId !== null}
+                        className="btn btn-primary btn-outline btn-xs sm:btn-sm touch-manipulation"
+                      >
+                        <RotateCcwIcon className="size-4" />
+                        Restore
+                      </button>
+                      <button
+                        onClick={() => handleDeleteForever(note._id)}
+                        disabled={busyId !== null}
+                        className="btn btn-ghost btn-xs sm:btn-sm text-error touch-manipulation"
+                      >
+                        <Trash2Icon className="size-4" />
+                        Delete forever
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashPage;
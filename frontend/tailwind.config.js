@@ -20,6 +20,7 @@
  */
 
 import daisyui from 'daisyui';
+import typography from '@tailwindcss/typography';
 
 /**
  * Tailwind CSS configuration object for the React frontend application.
@@ -130,10 +131,11 @@ export default {
    *
    * @type {Array<Plugin>}
    *
+   * @see {@link ./src/components/MarkdownContent.jsx} Component that uses the prose classes
    * @see {@link https://daisyui.com/components/} DaisyUI component documentation
    * @see {@link https://daisyui.com/docs/install/} DaisyUI installation and setup
    */
-  plugins: [daisyui],
+  plugins: [typography, daisyui],
 
   /**
    * DaisyUI-specific configuration options.